@@ -0,0 +1,62 @@
+/**
+ * Rate limits for public endpoints
+ *
+ * Each rule has an `ip` bucket and, where the request names an account (email
+ * or card owner), an `account` bucket. Card owner buckets count one IP's requests
+ * to that owner (see middleware/rateLimit). Buckets are fixed windows: max requests
+ * per windowMs. Set RATE_LIMIT_ENABLED=false to turn limiting off.
+ *
+ * Sign-in has no account bucket: anyone can send an email address, so a bucket
+ * shared by all clients would let them lock its owner out. Repeated failures
+ * against one account are handled by LOGIN_LOCKOUT (utils/loginProtection).
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const RATE_LIMITS = {
+    signIn: {
+        ip: { max: 20, windowMs: 15 * MINUTE }
+    },
+    forgotPassword: {
+        ip: { max: 5, windowMs: HOUR },
+        account: { max: 3, windowMs: HOUR }
+    },
+    addContact: {
+        ip: { max: 20, windowMs: HOUR },
+        account: { max: 5, windowMs: HOUR } // Contacts one IP sends to one card owner
+    },
+    trackScan: {
+        ip: { max: 60, windowMs: MINUTE },
+        account: { max: 100, windowMs: HOUR } // Scans one IP records for one card owner
+    },
+    submitQuery: {
+        ip: { max: 10, windowMs: HOUR },
+        account: { max: 3, windowMs: HOUR } // Queries one IP sends to one card owner
+    },
+    publicUsers: {
+        ip: { max: 60, windowMs: MINUTE }
+    },
+    accountDeletion: {
+        ip: { max: 5, windowMs: HOUR },
+        account: { max: 3, windowMs: HOUR }
+    },
+    dataExport: {
+        ip: { max: 10, windowMs: HOUR },
+        account: { max: 5, windowMs: HOUR }
+    }
+};
+
+// Failed sign-ins before an account is locked, and how long each successive lockout lasts
+const LOGIN_LOCKOUT = {
+    MAX_FAILURES: 5,
+    FAILURE_WINDOW_MS: 15 * MINUTE,
+    LOCK_DURATIONS_MINUTES: [15, 60, 240, 1440],
+    // Lockouts further apart than this start again from the first duration
+    ESCALATION_RESET_MS: 24 * HOUR
+};
+
+module.exports = {
+    RATE_LIMITS,
+    LOGIN_LOCKOUT
+};
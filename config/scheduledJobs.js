@@ -0,0 +1,54 @@
+/**
+ * Recurring background jobs
+ *
+ * Run by utils/jobScheduler.js as Bull repeatable jobs, so each run happens on
+ * one instance only. A job is either `every` (milliseconds) or `cron` (UTC).
+ * Set SCHEDULED_JOBS_USE_QUEUE=false to run them on in-process timers instead.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const RECURRING_JOBS = {
+    'alert-detection': {
+        description: 'Scan recent activity logs for security alerts',
+        every: HOUR
+    },
+    'purge-activity-logs': {
+        description: 'Delete activity logs older than the retention period',
+        cron: '0 2 * * *',
+        retentionDays: parseInt(process.env.ACTIVITY_LOG_RETENTION_DAYS || '180')
+    },
+    'purge-security-alerts': {
+        description: 'Delete security alerts older than the retention period',
+        cron: '30 2 * * *',
+        retentionDays: parseInt(process.env.SECURITY_ALERT_RETENTION_DAYS || '365')
+    },
+    'account-deletions': {
+        description: 'Delete accounts whose deletion grace period has ended',
+        every: HOUR
+    },
+    // DUNNING_ENABLED=false turns failed-renewal processing off
+    ...(process.env.DUNNING_ENABLED !== 'false' && {
+        'subscription-dunning': {
+            description: 'Suspend, cancel and remind subscriptions with failed renewals',
+            every: HOUR
+        }
+    }),
+    // WEEKLY_DIGEST_DAY (0 = Sunday) and WEEKLY_DIGEST_HOUR are UTC; WEEKLY_DIGEST_ENABLED=false turns it off
+    ...(process.env.WEEKLY_DIGEST_ENABLED !== 'false' && {
+        'weekly-digests': {
+            description: 'Email weekly digests to users and usage reports to enterprise admins',
+            cron: `0 ${parseInt(process.env.WEEKLY_DIGEST_HOUR || '7')} * * ${parseInt(process.env.WEEKLY_DIGEST_DAY || '1')}`
+        }
+    })
+};
+
+// Attempts for every job; retries back off exponentially from this delay
+const JOB_ATTEMPTS = 3;
+const JOB_BACKOFF_MS = 60 * 1000;
+
+module.exports = {
+    RECURRING_JOBS,
+    JOB_ATTEMPTS,
+    JOB_BACKOFF_MS
+};
@@ -1,29 +1,114 @@
 /**
- * Subscription plans configuration
- * 
- * This file contains temporary hard-coded subscription plans.
- * In the future, these will be stored in the database.
+ * Default subscription plan catalogue
+ *
+ * Plans are stored in Firestore (subscriptionPlans collection, managed through
+ * utils/planCatalogue.js and the /admin/plans endpoints). These definitions are
+ * version 1 of each built-in plan: they seed the catalogue and are served for
+ * any plan that has not been stored yet.
+ *
+ * Entitlements: a number is a limit, null is unlimited. exports is a monthly
+ * allowance; the others limit how many can exist at once. The defaults only
+ * keep the limit enforced before plans had entitlements (3 contacts on Free);
+ * tighter limits are set by storing a new plan version.
  */
 
-const SUBSCRIPTION_PLANS = {
+const DEFAULT_PLANS = {
+    FREE_PLAN: {
+        id: 'FREE_PLAN',
+        name: 'Free',
+        description: 'XS Card Free Plan',
+        tier: 'free',
+        interval: null,
+        pricingModel: 'flat',
+        defaultCurrency: 'ZAR',
+        prices: {
+            ZAR: { amount: 0, planCode: null }
+        },
+        entitlements: {
+            contacts: 3,
+            cards: null,
+            walletPasses: null,
+            templates: null,
+            exports: null
+        }
+    },
     MONTHLY_PLAN: {
         id: 'MONTHLY_PLAN',
         name: 'Monthly Subscription',
-        amount: 159.99, // in ZAR
-        planCode: 'PLN_25xliarx7epm9ct',
+        description: 'XS Card Monthly Subscription',
+        tier: 'premium',
         interval: 'monthly',
-        description: 'XS Card Monthly Subscription'
+        pricingModel: 'flat',
+        defaultCurrency: 'ZAR',
+        prices: {
+            ZAR: { amount: 159.99, planCode: 'PLN_25xliarx7epm9ct' }
+        },
+        entitlements: {
+            contacts: null,
+            cards: null,
+            walletPasses: null,
+            templates: null,
+            exports: null
+        }
     },
     ANNUAL_PLAN: {
         id: 'ANNUAL_PLAN',
         name: 'Annual Subscription',
-        amount: 1800.00, // in ZAR
-        planCode: 'PLN_kzb7lj21vrehzeq',
+        description: 'XS Card Annual Subscription',
+        tier: 'premium',
         interval: 'annually',
-        description: 'XS Card Annual Subscription'
+        pricingModel: 'flat',
+        defaultCurrency: 'ZAR',
+        prices: {
+            ZAR: { amount: 1800.00, planCode: 'PLN_kzb7lj21vrehzeq' }
+        },
+        entitlements: {
+            contacts: null,
+            cards: null,
+            walletPasses: null,
+            templates: null,
+            exports: null
+        }
+    },
+    ENTERPRISE_PLAN: {
+        id: 'ENTERPRISE_PLAN',
+        name: 'Enterprise',
+        description: 'XS Card Enterprise License (per seat)',
+        tier: 'enterprise',
+        interval: 'monthly',
+        pricingModel: 'per_seat',
+        minSeats: 5,
+        maxSeats: null,
+        defaultCurrency: 'ZAR',
+        prices: {
+            ZAR: { amount: 120.00, planCode: null } // Invoiced per seat
+        },
+        entitlements: {
+            contacts: null,
+            cards: null,
+            walletPasses: null,
+            templates: null,
+            exports: null
+        }
     }
 };
 
+// Plan applied to each users.plan value when no specific plan is recorded
+const DEFAULT_PLAN_BY_TIER = {
+    free: 'FREE_PLAN',
+    premium: 'MONTHLY_PLAN',
+    enterprise: 'ENTERPRISE_PLAN'
+};
+
+// Paid individual plans, with the flat fields older code reads
+const SUBSCRIPTION_PLANS = Object.fromEntries(
+    ['MONTHLY_PLAN', 'ANNUAL_PLAN'].map(planId => {
+        const plan = DEFAULT_PLANS[planId];
+        const price = plan.prices[plan.defaultCurrency];
+        return [planId, { ...plan, amount: price.amount, planCode: price.planCode }];
+    })
+);
+
 // Constants for trial
 const SUBSCRIPTION_CONSTANTS = {
     VERIFICATION_AMOUNT: 100, // R1.00 in cents
@@ -31,17 +116,19 @@ const SUBSCRIPTION_CONSTANTS = {
     TRIAL_MINUTES: 10080 // 7 days trial (7 * 24 * 60 minutes)
 };
 
-// Helper function to get plan by code
+// Helper function to get a default plan by code (use utils/planCatalogue for stored plans)
 const getPlanByCode = (planCode) => {
     return Object.values(SUBSCRIPTION_PLANS).find(plan => plan.planCode === planCode);
 };
 
-// Helper function to get plan by ID
+// Helper function to get a default plan by ID (use utils/planCatalogue for stored plans)
 const getPlanById = (planId) => {
     return SUBSCRIPTION_PLANS[planId];
 };
 
 module.exports = {
+    DEFAULT_PLANS,
+    DEFAULT_PLAN_BY_TIER,
     SUBSCRIPTION_PLANS,
     SUBSCRIPTION_CONSTANTS,
     getPlanByCode,
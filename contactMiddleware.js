@@ -7,7 +7,7 @@
 
 const { queueLocationLookup } = require('./locationQueue');
 const { getLocationFromIp } = require('./locationService');
-const { db } = require('./firebase');
+const contactStore = require('./utils/contactStore');
 
 // Flag to use direct processing instead of queue (for environments without Redis)
 const USE_DIRECT_PROCESSING = true;
@@ -59,26 +59,28 @@ function enrichContactWithIp(req, res, next) {
 /**
  * Process contact location after response is sent
  * 
- * @param {Object} req - Express request object with userId and contactIndex
+ * @param {string} userId - ID of the user whose contact list contains the contact
+ * @param {string} contactId - ID of the contact
+ * @param {string} ipAddress - IP address to look up
  */
-function processContactLocation(userId, contactIndex, ipAddress) {
-  console.log(`[ContactMiddleware] Processing location for user ${userId}, contact index ${contactIndex}`);
+function processContactLocation(userId, contactId, ipAddress) {
+  console.log(`[ContactMiddleware] Processing location for user ${userId}, contact ${contactId}`);
   
-  if (!userId || typeof contactIndex !== 'number' || !ipAddress) {
+  if (!userId || !contactId || !ipAddress) {
     console.warn(`[ContactMiddleware] Missing required data for location processing:`, {
-      userId, contactIndex, ipAddress
+      userId, contactId, ipAddress
     });
     return false;
   }
   
   if (USE_DIRECT_PROCESSING) {
     // Process directly for testing/development environments without Redis
-    processLocationDirectly(userId, contactIndex, ipAddress);
+    processLocationDirectly(userId, contactId, ipAddress);
     return true;
   } else {
     // Use Bull queue for production
-    queueLocationLookup(userId, contactIndex, ipAddress);
-    console.log(`[ContactMiddleware] Queued location lookup for user ${userId}, contact index ${contactIndex}`);
+    queueLocationLookup(userId, contactId, ipAddress);
+    console.log(`[ContactMiddleware] Queued location lookup for user ${userId}, contact ${contactId}`);
     return true;
   }
 }
@@ -87,11 +89,11 @@ function processContactLocation(userId, contactIndex, ipAddress) {
  * Process location directly without using a queue (for environments without Redis)
  * 
  * @param {string} userId - User ID
- * @param {number} contactIndex - Contact index
+ * @param {string} contactId - Contact ID
  * @param {string} ipAddress - IP address
  */
-async function processLocationDirectly(userId, contactIndex, ipAddress) {
-  console.log(`[ContactMiddleware] Direct processing for user ${userId}, contact index ${contactIndex}, IP ${ipAddress}`);
+async function processLocationDirectly(userId, contactId, ipAddress) {
+  console.log(`[ContactMiddleware] Direct processing for user ${userId}, contact ${contactId}, IP ${ipAddress}`);
   
   try {
     // Get location data from IP
@@ -99,14 +101,14 @@ async function processLocationDirectly(userId, contactIndex, ipAddress) {
     
     // If no location data could be determined, log and exit
     if (!locationData) {
-      console.warn(`[ContactMiddleware] Could not determine location from IP`, { ipAddress, userId, contactIndex });
+      console.warn(`[ContactMiddleware] Could not determine location from IP`, { ipAddress, userId, contactId });
       return;
     }
     
     // Update contact with location data
-    await updateContactWithLocation(userId, contactIndex, locationData);
+    await updateContactWithLocation(userId, contactId, locationData);
     
-    console.log(`[ContactMiddleware] Successfully added location data for contact at index ${contactIndex} for user ${userId}`);
+    console.log(`[ContactMiddleware] Successfully added location data for contact ${contactId} for user ${userId}`);
   } catch (error) {
     console.error(`[ContactMiddleware] Error processing location:`, error);
   }
@@ -116,42 +118,23 @@ async function processLocationDirectly(userId, contactIndex, ipAddress) {
  * Update a contact record with location data
  * 
  * @param {string} userId - ID of the user whose contact list contains the contact
- * @param {number} contactIndex - Index of the contact in the contact list
+ * @param {string} contactId - ID of the contact
  * @param {Object} locationData - Location data to save
  */
-async function updateContactWithLocation(userId, contactIndex, locationData) {
+async function updateContactWithLocation(userId, contactId, locationData) {
   try {
-    console.log(`[ContactMiddleware] Updating contact with location data:`, { userId, contactIndex });
-    
-    // Get the contacts document
-    const contactRef = db.collection('contacts').doc(userId);
-    const doc = await contactRef.get();
-    
-    if (!doc.exists) {
-      console.warn(`[ContactMiddleware] Contact document for user ${userId} not found`);
-      return;
-    }
+    console.log(`[ContactMiddleware] Updating contact with location data:`, { userId, contactId });
+    console.log(`[ContactMiddleware] Location data to be saved:`, locationData);
     
-    // Get the contact list
-    const contactList = doc.data().contactList || [];
+    // Single-document write, so concurrent saves to the list are unaffected
+    const updated = await contactStore.updateContactLocation(userId, contactId, locationData);
     
-    // Check if the index is valid
-    if (contactIndex < 0 || contactIndex >= contactList.length) {
-      console.warn(`[ContactMiddleware] Invalid contact index: ${contactIndex}, list length: ${contactList.length}`);
+    if (!updated) {
+      console.warn(`[ContactMiddleware] Contact ${contactId} for user ${userId} not found`);
       return;
     }
     
-    // Add location data to the contact
-    contactList[contactIndex].location = locationData;
-    
-    console.log(`[ContactMiddleware] Location data to be saved:`, locationData);
-    
-    // Update the document
-    await contactRef.update({
-      contactList: contactList
-    });
-    
-    console.log(`[ContactMiddleware] Updated contact at index ${contactIndex} with location data for user ${userId}`);
+    console.log(`[ContactMiddleware] Updated contact ${contactId} with location data for user ${userId}`);
   } catch (error) {
     console.error(`[ContactMiddleware] Error updating contact with location:`, error);
     throw error;
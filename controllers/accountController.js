@@ -0,0 +1,173 @@
+const config = require('../config/config');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { findUserByEmail } = require('../utils/loginProtection');
+const { getRateLimitIp } = require('../middleware/rateLimit');
+const {
+    AccountDeletionError,
+    getDeletionRequest,
+    requestAccountDeletion,
+    confirmAccountDeletion,
+    cancelAccountDeletion
+} = require('../utils/accountDeletion');
+const { buildUserDataExport } = require('../utils/dataExport');
+
+// Base URL for the links in deletion emails
+const getBaseUrl = (req) => config.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+const sendDeletionError = (res, error, fallbackMessage) => {
+    if (error instanceof AccountDeletionError) {
+        return res.status(error.status).json({ status: false, message: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ status: false, message: fallbackMessage, error: error.message });
+};
+
+/**
+ * Ask to delete the signed-in account. Body: reasons (optional list).
+ * Nothing is deleted until the link emailed to the user is opened.
+ */
+exports.requestMyAccountDeletion = async (req, res) => {
+    try {
+        const data = await requestAccountDeletion(req.user.uid, {
+            baseUrl: getBaseUrl(req),
+            reasons: req.body?.reasons,
+            source: 'app',
+            ipAddress: getRateLimitIp(req)
+        });
+        res.status(202).json({
+            status: true,
+            message: 'We have emailed you a link to confirm the deletion of your account.',
+            data
+        });
+    } catch (error) {
+        sendDeletionError(res, error, 'Failed to request account deletion');
+    }
+};
+
+exports.getMyAccountDeletion = async (req, res) => {
+    try {
+        const data = await getDeletionRequest(req.user.uid);
+        res.status(200).json({ status: true, data });
+    } catch (error) {
+        sendDeletionError(res, error, 'Failed to get account deletion status');
+    }
+};
+
+exports.cancelMyAccountDeletion = async (req, res) => {
+    try {
+        const data = await cancelAccountDeletion({ userId: req.user.uid });
+        res.status(200).json({ status: true, message: 'Account deletion cancelled', data });
+    } catch (error) {
+        sendDeletionError(res, error, 'Failed to cancel account deletion');
+    }
+};
+
+/**
+ * Public deletion request (public/deleteAccount.html). Body: email, reasons.
+ * The response is the same whether or not the email has an account.
+ */
+exports.requestAccountDeletionByEmail = async (req, res) => {
+    const { email, reasons } = req.body || {};
+    if (!email) {
+        return res.status(400).json({ status: false, message: 'Email is required' });
+    }
+
+    const message = 'If an account with that email exists, we have sent a link to confirm its deletion.';
+    try {
+        const userDoc = await findUserByEmail(email);
+        if (userDoc) {
+            await requestAccountDeletion(userDoc.id, {
+                baseUrl: getBaseUrl(req),
+                reasons,
+                source: 'web',
+                ipAddress: getRateLimitIp(req)
+            });
+        }
+        res.status(200).json({ status: true, message });
+    } catch (error) {
+        // Already scheduled: answer as for any other address
+        if (error instanceof AccountDeletionError && error.status === 409) {
+            return res.status(200).json({ status: true, message });
+        }
+        sendDeletionError(res, error, 'Failed to request account deletion');
+    }
+};
+
+/**
+ * Confirm from the emailed link. Body: token
+ */
+exports.confirmAccountDeletionRequest = async (req, res) => {
+    const { token } = req.body || {};
+    if (!token) {
+        return res.status(400).json({ status: false, message: 'Confirmation token is required' });
+    }
+
+    try {
+        const data = await confirmAccountDeletion(token, { baseUrl: getBaseUrl(req) });
+        res.status(200).json({
+            status: true,
+            message: `Your account will be deleted on ${data.scheduledFor}. You can cancel until then.`,
+            data
+        });
+    } catch (error) {
+        sendDeletionError(res, error, 'Failed to confirm account deletion');
+    }
+};
+
+/**
+ * Cancel from the link in the "deletion scheduled" email. Body: token
+ */
+exports.cancelAccountDeletionByLink = async (req, res) => {
+    const { token } = req.body || {};
+    if (!token) {
+        return res.status(400).json({ status: false, message: 'Cancellation token is required' });
+    }
+
+    try {
+        const data = await cancelAccountDeletion({ cancelToken: token });
+        res.status(200).json({ status: true, message: 'Account deletion cancelled', data });
+    } catch (error) {
+        sendDeletionError(res, error, 'Failed to cancel account deletion');
+    }
+};
+
+/**
+ * Everything we hold about the signed-in user, as a zip of JSON files
+ */
+exports.exportMyData = async (req, res) => {
+    const userId = req.user.uid;
+    try {
+        const archive = await buildUserDataExport(userId);
+        if (!archive) {
+            return res.status(404).json({ status: false, message: 'User not found' });
+        }
+
+        await logActivity({
+            action: ACTIONS.EXPORT,
+            resource: RESOURCES.USER,
+            userId,
+            resourceId: userId,
+            details: {
+                operation: 'data_subject_export',
+                files: archive.files,
+                sizeBytes: archive.body.length,
+                ipAddress: getRateLimitIp(req)
+            }
+        });
+
+        const filename = `xscard-data-${userId}-${new Date().toISOString().slice(0, 10)}.zip`;
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(archive.body);
+    } catch (error) {
+        console.error('Failed to export user data:', error);
+        await logActivity({
+            action: ACTIONS.ERROR,
+            resource: RESOURCES.USER,
+            userId,
+            status: 'error',
+            details: { error: error.message, operation: 'data_subject_export' }
+        });
+        res.status(500).json({ status: false, message: 'Failed to export user data', error: error.message });
+    }
+};
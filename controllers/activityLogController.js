@@ -1,5 +1,15 @@
 const { db, admin } = require('../firebase.js');
 const { getActivitiesByAction, getActivitiesByResource, ACTIONS, RESOURCES, logActivity } = require('../utils/logger');
+const { isPlatformAdmin } = require('../middleware/auth');
+const { isEnterpriseAdmin } = require('./helpers/enterpriseAdminHelper');
+const {
+  ROLLUP_SCOPES,
+  getScanAnalytics: getRollupAnalytics,
+  rankWithinEnterprise,
+  withScanCounts
+} = require('../utils/scanRollups');
+
+const RECENT_SCANS_LIMIT = 50;
 
 // Helper function for standardized error responses
 const sendError = (res, status, message, error = null) => {
@@ -727,148 +737,132 @@ exports.getErrors = async (req, res) => {
 };
 
 /**
- * Get scan analytics for enterprise users
+ * Get scan analytics from the scan rollups (utils/scanRollups)
+ * With an enterpriseId the enterprise's scans are counted (enterprise or platform
+ * admins only); without one, the requesting user's own scans.
+ * Query: from/to (or the older startTime/endTime), bucket (hour, day, week), compare, scanType
  */
 exports.getScanAnalytics = async (req, res) => {
   try {
     logRequestInfo(req);
     const { enterpriseId } = req.params;
-    const { startTime, endTime, scanType } = req.query;
-    
-    console.log('Getting scan analytics for enterprise:', enterpriseId);
-    
-    // Build query for scan activities
-    let query = db.collection('activityLogs')
-      .where('action', '==', 'scan')
-      .where('resource', '==', 'CARD');
-    
-    // Add time filters if provided
-    if (startTime) {
-      query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(new Date(startTime)));
-    }
-    if (endTime) {
-      query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(new Date(endTime)));
+    const { scanType, bucket = 'day' } = req.query;
+    const from = req.query.from || req.query.startTime;
+    const to = req.query.to || req.query.endTime;
+    const compare = req.query.compare !== 'false';
+    const userId = req.user.uid;
+
+    if (enterpriseId && !isPlatformAdmin(req) && !(await isEnterpriseAdmin(userId, enterpriseId))) {
+      return sendError(res, 403, 'Enterprise administrator access required');
     }
-    
-    const snapshot = await query.get();
-    const activities = [];
-    
-    snapshot.forEach(doc => {
+
+    console.log('Getting scan analytics for', enterpriseId ? `enterprise: ${enterpriseId}` : `user: ${userId}`);
+
+    const analytics = enterpriseId
+      ? await getRollupAnalytics(ROLLUP_SCOPES.ENTERPRISE, { enterpriseId }, { from, to, bucket, compare })
+      : await getRollupAnalytics(ROLLUP_SCOPES.USER, { userId }, { from, to, bucket, compare });
+
+    const [topScanners, departments] = enterpriseId
+      ? await Promise.all([
+        rankWithinEnterprise(ROLLUP_SCOPES.USER, enterpriseId, { from, to }),
+        rankWithinEnterprise(ROLLUP_SCOPES.DEPARTMENT, enterpriseId, { from, to })
+      ])
+      : [[{ userId, total: analytics.total, scanTypes: analytics.scanTypes }], []];
+
+    const totalScans = scanType ? (analytics.scanTypes[scanType] || 0) : analytics.total;
+
+    // Only the latest scans are read from the logs themselves
+    let recentQuery = db.collection('activityLogs');
+    recentQuery = enterpriseId
+      ? recentQuery.where('enterpriseId', '==', enterpriseId)
+      : recentQuery.where('userId', '==', userId);
+    const recentSnapshot = await recentQuery
+      .where('action', '==', 'scan')
+      .orderBy('timestamp', 'desc')
+      .limit(RECENT_SCANS_LIMIT)
+      .get();
+    const activities = recentSnapshot.docs.map(doc => {
       const data = doc.data();
-      activities.push({
+      return {
         id: doc.id,
         ...data,
-        timestamp: data.timestamp.toDate().toISOString()
-      });
-    });
-    
-    // Filter by enterprise if provided
-    let enterpriseActivities = activities;
-    if (enterpriseId) {
-      // Get enterprise users and filter activities
-      const enterpriseUsersSnapshot = await db.collection('users')
-        .where('enterpriseRef', '==', db.doc(`enterprise/${enterpriseId}`))
-        .get();
-      
-      const enterpriseUserIds = enterpriseUsersSnapshot.docs.map(doc => doc.id);
-      enterpriseActivities = activities.filter(activity => 
-        enterpriseUserIds.includes(activity.userId)
-      );
-    }
-    
-    // Filter by scan type if provided
-    if (scanType) {
-      enterpriseActivities = enterpriseActivities.filter(activity => 
-        activity.details?.scanType === scanType
-      );
-    }
-    
-    // Calculate analytics
-    const totalScans = enterpriseActivities.length;
-    const saveScans = enterpriseActivities.filter(a => a.details?.scanType === 'save').length;
-    const exchangeScans = enterpriseActivities.filter(a => a.details?.scanType === 'exchange').length;
-    
-    // Group by user
-    const userScans = {};
-    enterpriseActivities.forEach(activity => {
-      const userId = activity.userId;
-      if (!userScans[userId]) {
-        userScans[userId] = { total: 0, save: 0, exchange: 0 };
-      }
-      userScans[userId].total++;
-      if (activity.details?.scanType === 'save') userScans[userId].save++;
-      if (activity.details?.scanType === 'exchange') userScans[userId].exchange++;
+        timestamp: data.timestamp?.toDate ? data.timestamp.toDate().toISOString() : data.timestamp
+      };
     });
-    
-    // Get user details for the top scanners
-    const topScanners = Object.entries(userScans)
-      .sort(([,a], [,b]) => b.total - a.total)
-      .slice(0, 10)
-      .map(([userId, counts]) => ({ userId, ...counts }));
-    
+
     // Log this analytics view
     await logActivity({
       action: 'view',
       resource: 'ACTIVITY_LOG',
-      userId: req.user?.uid,
+      userId,
       details: {
         operation: 'get_scan_analytics',
-        enterpriseId: enterpriseId || 'all',
+        enterpriseId: enterpriseId || 'own',
         totalScans,
-        filters: { startTime, endTime, scanType }
+        filters: { from: analytics.range.from, to: analytics.range.to, bucket, scanType }
       }
     });
-    
+
     res.status(200).json({
       success: true,
       analytics: {
         totalScans,
-        saveScans,
-        exchangeScans,
-        topScanners,
-        timeRange: { startTime, endTime },
-        filters: { scanType }
+        saveScans: analytics.scanTypes.save || 0,
+        exchangeScans: analytics.scanTypes.exchange || 0,
+        scanTypes: analytics.scanTypes,
+        countries: analytics.countries,
+        devices: analytics.devices,
+        topScanners: topScanners.map(({ userId: scannerId, total, scanTypes }) => ({
+          userId: scannerId,
+          total,
+          save: scanTypes.save || 0,
+          exchange: scanTypes.exchange || 0
+        })),
+        departments,
+        series: analytics.series,
+        ...(analytics.previous && { previous: analytics.previous, change: analytics.change }),
+        timeRange: analytics.range,
+        filters: { scanType, bucket }
       },
-      activities: enterpriseActivities.slice(0, 50), // Limit recent activities
+      activities,
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    sendError(res, 500, 'Failed to get scan analytics', error);
+    sendError(res, error.status || 500, error.status ? error.message : 'Failed to get scan analytics', error);
   }
 };
 
 /**
  * Get all card scan counts for an enterprise
+ * Counts are lifetime totals (the cards' own scanCount plus cardScanTotals)
  */
 exports.getEnterpriseCardScans = async (req, res) => {
   try {
     logRequestInfo(req);
     const { enterpriseId } = req.params;
-    const { startTime, endTime, scanType } = req.query;
-    
+
+    if (!isPlatformAdmin(req) && !(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+      return sendError(res, 403, 'Enterprise administrator access required');
+    }
+
     console.log('Getting enterprise card scans for:', enterpriseId);
-    
+
     // Get enterprise users
     const enterpriseUsersSnapshot = await db.collection('users')
       .where('enterpriseRef', '==', db.doc(`enterprise/${enterpriseId}`))
       .get();
-    
-    const enterpriseUserIds = enterpriseUsersSnapshot.docs.map(doc => doc.id);
-    
+
     // Get all cards for enterprise users
     const cardScans = [];
-    const cardPromises = enterpriseUserIds.map(async (userId) => {
+    const cardPromises = enterpriseUsersSnapshot.docs.map(async (userDoc) => {
+      const userId = userDoc.id;
       try {
         const cardDoc = await db.collection('cards').doc(userId).get();
         if (cardDoc.exists) {
-          const cardData = cardDoc.data();
-          const cards = cardData.cards || [];
-          
-          // Get user details
-          const userDoc = await db.collection('users').doc(userId).get();
-          const userData = userDoc.exists ? userDoc.data() : {};
-          
+          const cards = await withScanCounts(userId, cardDoc.data().cards || []);
+          const userData = userDoc.data();
+
           cards.forEach((card, cardIndex) => {
             if (card.scanCount > 0) {
               cardScans.push({
@@ -879,7 +873,7 @@ exports.getEnterpriseCardScans = async (req, res) => {
                 cardName: card.name || '',
                 cardSurname: card.surname || '',
                 scanCount: card.scanCount || 0,
-                lastScanned: card.lastScanned ? card.lastScanned.toDate().toISOString() : null,
+                lastScanned: card.lastScanned?.toDate ? card.lastScanned.toDate().toISOString() : null,
                 company: card.company || userData.company || '',
                 occupation: card.occupation || ''
               });
@@ -890,17 +884,17 @@ exports.getEnterpriseCardScans = async (req, res) => {
         console.error(`Error getting cards for user ${userId}:`, error);
       }
     });
-    
+
     await Promise.all(cardPromises);
-    
+
     // Sort by scan count (highest first)
     cardScans.sort((a, b) => b.scanCount - a.scanCount);
-    
+
     // Calculate totals
     const totalScans = cardScans.reduce((sum, card) => sum + card.scanCount, 0);
     const totalCards = cardScans.length;
     const averageScans = totalCards > 0 ? (totalScans / totalCards).toFixed(1) : 0;
-    
+
     // Log this analytics view
     await logActivity({
       action: 'view',
@@ -914,21 +908,19 @@ exports.getEnterpriseCardScans = async (req, res) => {
         averageScans
       }
     });
-    
+
     res.status(200).json({
       success: true,
       enterpriseId,
       summary: {
         totalCards,
         totalScans,
-        averageScans,
-        timeRange: { startTime, endTime },
-        filters: { scanType }
+        averageScans
       },
       cardScans,
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
     sendError(res, 500, 'Failed to get enterprise card scans', error);
   }
@@ -1,9 +1,12 @@
 const { db, admin } = require('../firebase.js');
-const QRCode = require('qrcode');
-const axios = require('axios');
-const config = require('../config/config');
 const { formatDate } = require('../utils/dateFormatter');
 const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { buildCardVCard, buildVCardFilename } = require('../utils/vcardGenerator');
+const { issuePass, listProviders, refreshPassesForCard } = require('../utils/walletPass');
+const { reindexShortLinksAfterCardDelete } = require('../utils/shortLinks');
+const { withScanCounts, reindexScanRollupsAfterCardDelete } = require('../utils/scanRollups');
+const { parseQrOptions, buildCardQrPayload, resolveQrBranding, renderQrCode } = require('../utils/qrCodeGenerator');
+const { FEATURES, buildQuota, getLimit, checkEntitlement, limitReachedBody } = require('../utils/entitlements');
 
 // Shared error response helper
 const sendError = (res, status, message, error = null) => {
@@ -21,16 +24,6 @@ const validateUserAccess = async (userId, userUid) => {
     }
 };
 
-// Add this function at the top with other helper functions
-const logPasscreatorConfig = () => {
-  console.log('=== Passcreator Configuration ===');
-  console.log('PASSCREATOR_BASE_URL:', process.env.PASSCREATOR_BASE_URL || 'Not set');
-  console.log('PASSCREATOR_TEMPLATE_ID:', process.env.PASSCREATOR_TEMPLATE_ID || 'Not set');
-  console.log('PASSCREATOR_API_KEY:', process.env.PASSCREATOR_API_KEY ? '✓ Present' : '✗ Missing');
-  console.log('PASSCREATOR_PUBLIC_URL:', config.PASSCREATOR_PUBLIC_URL || 'Not set');
-  console.log('==============================');
-};
-
 exports.getAllCards = async (req, res) => {
     try {
         console.log('Fetching all cards...');
@@ -70,7 +63,7 @@ exports.getCardById = async (req, res) => {
         // Convert Firestore timestamps to readable dates
         const data = doc.data();
         if (data.cards) {
-            data.cards = data.cards.map(card => ({
+            data.cards = (await withScanCounts(id, data.cards)).map(card => ({
                 ...card,
                 createdAt: formatDate(card.createdAt) // Format for display
             }));
@@ -126,7 +119,6 @@ exports.addCard = async (req, res) => {
         }
 
         const cardRef = db.collection('cards').doc(userId);
-        const cardDoc = await cardRef.get();
 
         // Handle file URLs from Firebase Storage
         let profileImageUrl = null;
@@ -205,14 +197,31 @@ exports.addCard = async (req, res) => {
 
         console.log('Creating new card:', newCard); // Debug log
 
-        if (cardDoc.exists) {
-            await cardRef.update({
-                cards: admin.firestore.FieldValue.arrayUnion(newCard)
-            });
-        } else {
-            await cardRef.set({
-                cards: [newCard]
-            });
+        // The plan's card limit is checked in the same transaction as the insert
+        const cardLimit = await getLimit(userId, FEATURES.CARDS);
+        const limitReached = await db.runTransaction(async (transaction) => {
+            const cardDoc = await transaction.get(cardRef);
+            const cardCount = cardDoc.exists ? (cardDoc.data().cards || []).length : 0;
+
+            if (cardLimit !== null && cardCount >= cardLimit) {
+                return buildQuota(FEATURES.CARDS, cardLimit, cardCount);
+            }
+
+            if (cardDoc.exists) {
+                transaction.update(cardRef, {
+                    cards: admin.firestore.FieldValue.arrayUnion(newCard)
+                });
+            } else {
+                transaction.set(cardRef, {
+                    cards: [newCard]
+                });
+            }
+            return null;
+        });
+
+        if (limitReached) {
+            console.log(`Card limit reached for user ${userId}. Current cards: ${limitReached.used}`);
+            return res.status(403).json(limitReachedBody(limitReached));
         }
         
         // Ensure this runs before sending the response
@@ -394,6 +403,17 @@ exports.updateCard = async (req, res) => {
             }
         });
 
+        // Push a new version to any wallet passes issued for this card (non-blocking)
+        refreshPassesForCard(userId, cardIndex, updatedCards[cardIndex])
+            .then(result => {
+                if (result.total > 0) {
+                    console.log(`Wallet passes refreshed for user ${userId}, card ${cardIndex}:`, result);
+                }
+            })
+            .catch(passError => console.error('Error refreshing wallet passes:', passError));
+
+        const scanCounts = await withScanCounts(userId, updatedCards);
+
         // Format response to match EditCardResponse interface
         const responseData = {
             id: cardIndex.toString(), // Use card index as ID
@@ -407,7 +427,7 @@ exports.updateCard = async (req, res) => {
             employeeTitle: updatedCards[cardIndex].employeeTitle || undefined,
             profileImage: updatedCards[cardIndex].profileImage || undefined,
             companyLogo: updatedCards[cardIndex].companyLogo || undefined,
-            numberOfScan: updatedCards[cardIndex].scanCount || 0, // Map scanCount to numberOfScan
+            numberOfScan: scanCounts[cardIndex].scanCount || 0, // Map scanCount to numberOfScan
             // Include socials object with normalized structure
             socials: updatedCards[cardIndex].socials || {}
         };
@@ -497,6 +517,18 @@ exports.deleteCard = async (req, res) => {
             cards: updatedCards
         });
 
+        // Later cards just moved down one index; keep their short links and scan counts with them
+        try {
+            await reindexShortLinksAfterCardDelete(userId, parsedIndex);
+        } catch (linkError) {
+            console.error('Error re-indexing short links after card delete:', linkError);
+        }
+        try {
+            await reindexScanRollupsAfterCardDelete(userId, parsedIndex);
+        } catch (rollupError) {
+            console.error('Error re-indexing scan rollups after card delete:', rollupError);
+        }
+
         // Log card deletion activity
         await logActivity({
             action: ACTIONS.DELETE,
@@ -572,24 +604,35 @@ exports.generateQR = async (req, res) => {
             return sendError(res, 404, 'Card not found at specified index');
         }
 
-        // Create URL with both userId and cardIndex
-        const redirectUrl = `${req.protocol}://${req.get('host')}/saveContact?userId=${userId}&cardIndex=${cardIndex}`;
-        
-        // Generate QR code with better quality settings
-        const qrCodeBuffer = await QRCode.toBuffer(redirectUrl, {
-            errorCorrectionLevel: 'H',
-            margin: 1,
-            width: 300,
-            color: {
-                dark: '#000000',
-                light: '#ffffff'
-            }
+        const card = cardsData.cards[cardIndex];
+        const { format, size, margin } = parseQrOptions(req.query);
+
+        // Default payload is the card's short link; payload=vcard embeds the contact directly
+        const payload = await buildCardQrPayload({
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+            userId,
+            cardIndex,
+            card,
+            payload: req.query.payload
+        });
+
+        const { foreground, logo } = await resolveQrBranding(userId, card, req.query);
+
+        const qrCode = await renderQrCode(payload, {
+            format,
+            size,
+            margin,
+            foreground,
+            logo
         });
 
         // Removed QR code generation logging - no need to track this high-volume action
 
-        res.setHeader('Content-Type', 'image/png');
-        res.status(200).send(qrCodeBuffer);
+        res.setHeader('Content-Type', qrCode.contentType);
+        if (req.query.download === 'true') {
+            res.setHeader('Content-Disposition', `attachment; filename="xscard-qr-${userId}-${cardIndex}.${qrCode.extension}"`);
+        }
+        res.status(200).send(qrCode.buffer);
     } catch (error) {
         // Keep error logging for debugging purposes
         await logActivity({
@@ -604,8 +647,61 @@ exports.generateQR = async (req, res) => {
             }
         });
         
-        sendError(res, error.message === 'Unauthorized access' ? 403 : 500, 
-            'Failed to generate QR code', error);
+        let status = 500;
+        if (error.message === 'Unauthorized access') {
+            status = 403;
+        } else if (/too big/i.test(error.message)) {
+            // vCard payloads can exceed QR capacity at error correction level H
+            status = 422;
+        }
+
+        sendError(res, status, 'Failed to generate QR code', error);
+    }
+};
+
+// Public vCard download - lets phones offer a one-tap "Add to contacts"
+exports.downloadCardVCard = async (req, res) => {
+    const { id: userId } = req.params;
+    const cardIndex = parseInt(req.query.cardIndex) || 0;
+    const { version, images } = req.query;
+
+    try {
+        const cardRef = db.collection('cards').doc(userId);
+        const cardDoc = await cardRef.get();
+
+        if (!cardDoc.exists) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        const cardsData = cardDoc.data();
+        if (!cardsData.cards || !cardsData.cards[cardIndex]) {
+            return res.status(404).send({ message: 'Card not found' });
+        }
+
+        const card = cardsData.cards[cardIndex];
+        const vCard = await buildCardVCard(card, {
+            version,
+            uid: `xscard-${userId}-${cardIndex}`,
+            includeImages: images !== 'false'
+        });
+
+        res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${buildVCardFilename(card.name, card.surname)}"`);
+        res.status(200).send(vCard);
+    } catch (error) {
+        await logActivity({
+            action: ACTIONS.ERROR,
+            resource: RESOURCES.CARD,
+            userId: userId,
+            status: 'error',
+            details: {
+                error: error.message,
+                operation: 'download_vcard',
+                cardIndex: cardIndex
+            }
+        });
+
+        sendError(res, 500, 'Failed to generate vCard', error);
     }
 };
 
@@ -661,6 +757,9 @@ exports.updateCardColor = async (req, res) => {
             }
         });
 
+        refreshPassesForCard(userId, cardIndex, updatedCards[cardIndex])
+            .catch(passError => console.error('Error refreshing wallet passes:', passError));
+
         res.status(200).send({ 
             message: 'Card color updated successfully',
             color,
@@ -687,20 +786,15 @@ exports.updateCardColor = async (req, res) => {
 exports.createWalletPass = async (req, res) => {
     const { userId, cardIndex = 0 } = req.params;
     const { skipImages } = req.query;
+    const requestedProvider = req.query.provider || req.body?.provider;
 
     try {
-        // Log configuration before making the request
-        logPasscreatorConfig();
-        console.log('\nCreating wallet pass for:', { userId, cardIndex });
-
-        // Validate required environment variables
-        if (!process.env.PASSCREATOR_BASE_URL || 
-            !process.env.PASSCREATOR_TEMPLATE_ID || 
-            !process.env.PASSCREATOR_API_KEY || 
-            !config.PASSCREATOR_PUBLIC_URL) {
-            throw new Error('Missing required Passcreator configuration');
+        if (req.user.uid !== userId) {
+            return res.status(403).send({ message: 'Unauthorized access' });
         }
 
+        console.log('\nCreating wallet pass for:', { userId, cardIndex, requestedProvider });
+
         const cardRef = db.collection('cards').doc(userId);
         const cardDoc = await cardRef.get();
 
@@ -716,85 +810,61 @@ exports.createWalletPass = async (req, res) => {
         }
 
         const card = cardsData.cards[cardIndex];
-        
-        // Check if we should skip images
-        const isLocalIp = /^(localhost|127\.0\.0\.1|192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/.test(config.PASSCREATOR_PUBLIC_URL);
-        const shouldSkipImages = skipImages === 'true' || isLocalIp;
-        const environment = isLocalIp ? 'development' : 'production';
-        
-        // Prepare pass data
-        const passData = {
-            name: `${card.name} ${card.surname}`,
-            company: card.company,
-            jobTitle: card.occupation,
-            barcodeValue: `${config.PASSCREATOR_PUBLIC_URL}/queries.html?userId=${userId}&cardIndex=${cardIndex}`
-        };
 
-        // Add images only if we shouldn't skip them
-        if (!shouldSkipImages) {
-            if (card.profileImage) {
-                passData.urlToThumbnail = `${config.PASSCREATOR_PUBLIC_URL}${card.profileImage}`;
-            }
-            if (card.companyLogo) {
-                passData.urlToLogo = `${config.PASSCREATOR_PUBLIC_URL}${card.companyLogo}`;
-            }
+        // A card that already has a pass can be re-issued without using another one
+        const passQuota = await checkEntitlement(userId, FEATURES.WALLET_PASSES, { cardIndex });
+        if (!passQuota.allowed) {
+            return res.status(403).send(limitReachedBody(passQuota));
         }
 
-        // Make a single API call with the correct data
-        const response = await axios.post(
-            `${process.env.PASSCREATOR_BASE_URL}/api/pass?passtemplate=${process.env.PASSCREATOR_TEMPLATE_ID}&zapierStyle=true`,
-            passData,
-            {
-                headers: {
-                    'Authorization': process.env.PASSCREATOR_API_KEY,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-
-        console.log('Passcreator API Response:', {
-            uri: response.data.uri,
-            fileUrl: response.data.linkToPassFile,
-            pageUrl: response.data.linkToPassPage,
-            identifier: response.data.identifier
+        const pass = await issuePass({
+            userId,
+            cardIndex,
+            card,
+            provider: requestedProvider,
+            skipImages: skipImages === 'true'
         });
 
-        // Enhanced wallet pass creation logging
         await logActivity({
             action: ACTIONS.CREATE,
             resource: RESOURCES.WALLET_PASS,
             userId: userId,
-            resourceId: response.data.identifier || `${userId}_${cardIndex}`,
+            resourceId: pass.serialNumber,
             details: {
                 cardIndex: parseInt(cardIndex),
-                passUri: response.data.uri,
-                imagesIncluded: !shouldSkipImages,
-                environment: environment,
-                imageSkipReason: skipImages === 'true' ? 'explicit_skip' : (isLocalIp ? 'local_environment' : null),
+                provider: pass.provider,
+                externalId: pass.externalId || null,
+                passUri: pass.passUri,
+                imagesIncluded: pass.imagesIncluded,
+                environment: pass.environment || null,
+                imageSkipReason: pass.imageSkipReason || null,
                 cardName: card.name,
                 company: card.company
             }
         });
 
         res.status(200).send({
-            message: 'Wallet pass created successfully',
-            passUri: response.data.uri,
-            passFileUrl: response.data.linkToPassFile,
-            passPageUrl: response.data.linkToPassPage,
-            identifier: response.data.identifier,
+            message: pass.imagesIncluded || pass.provider !== 'passcreator'
+                ? 'Wallet pass created successfully'
+                : 'Wallet pass created successfully without images',
+            provider: pass.provider,
+            serialNumber: pass.serialNumber,
+            passUri: pass.passUri,
+            passFileUrl: pass.passFileUrl,
+            passPageUrl: pass.passPageUrl,
+            saveUrl: pass.saveUrl || null,
+            identifier: pass.externalId || pass.serialNumber,
             cardIndex: cardIndex,
-            imagesIncluded: !shouldSkipImages,
-            warning: shouldSkipImages ? 'Images were skipped due to local development environment or query parameter.' : null
+            imagesIncluded: pass.imagesIncluded,
+            warning: pass.warning || null
         });
 
     } catch (error) {
         console.error('Error creating wallet pass:', {
             message: error.message,
-            response: error.response?.data,
-            config: error.config
+            response: error.response?.data
         });
 
-        // Enhanced error logging
         await logActivity({
             action: ACTIONS.ERROR,
             resource: RESOURCES.WALLET_PASS,
@@ -804,62 +874,15 @@ exports.createWalletPass = async (req, res) => {
                 error: error.message,
                 operation: 'create_wallet_pass',
                 cardIndex: cardIndex,
-                environment: /^(localhost|127\.0\.0\.1|192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/.test(config.PASSCREATOR_PUBLIC_URL) ? 'development' : 'production',
+                provider: requestedProvider || null,
                 errorResponse: error.response?.data?.ErrorMessage || 'Unknown error'
             }
         });
 
-        // Check if error is due to image access issue
-        if (error.response?.data?.ErrorMessage === 'Thumbnail could not be imported from given URL') {
-            try {
-                // Try again without images
-                console.log('Retrying without images...');
-                
-                const card = (await db.collection('cards').doc(userId).get()).data().cards[cardIndex];
-                
-                const passData = {
-                    name: `${card.name} ${card.surname}`,
-                    company: card.company,
-                    jobTitle: card.occupation,
-                    barcodeValue: `${config.PASSCREATOR_PUBLIC_URL}/queries.html?userId=${userId}&cardIndex=${cardIndex}`
-                };
-                
-                const response = await axios.post(
-                    `${process.env.PASSCREATOR_BASE_URL}/api/pass?passtemplate=${process.env.PASSCREATOR_TEMPLATE_ID}&zapierStyle=true`,
-                    passData,
-                    {
-                        headers: {
-                            'Authorization': process.env.PASSCREATOR_API_KEY,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-                
-                return res.status(200).send({
-                    message: 'Wallet pass created successfully without images',
-                    passUri: response.data.uri,
-                    passFileUrl: response.data.linkToPassFile,
-                    passPageUrl: response.data.linkToPassPage,
-                    identifier: response.data.identifier,
-                    cardIndex: cardIndex,
-                    imagesIncluded: false,
-                    warning: 'Images could not be accessed by the wallet service and were omitted.'
-                });
-                
-            } catch (retryError) {
-                console.error('Error retrying without images:', retryError);
-                return res.status(500).send({
-                    message: 'Failed to create wallet pass after retrying without images',
-                    error: retryError.message,
-                    details: 'Please try again later or contact support.'
-                });
-            }
-        }
-
         // Extract specific error message if available
         let errorMessage = 'Failed to create wallet pass';
         let detailedError = 'No additional details available';
-        
+
         if (error.response?.data) {
             if (error.response.data.ErrorMessage) {
                 errorMessage = error.response.data.ErrorMessage;
@@ -869,11 +892,11 @@ exports.createWalletPass = async (req, res) => {
             }
         }
 
-        // Send a more user-friendly error response
-        res.status(500).send({
+        res.status(error.status || 500).send({
             message: errorMessage,
             error: error.message,
-            details: detailedError
+            details: detailedError,
+            providers: listProviders()
         });
     }
 };
@@ -1,4 +1,5 @@
 const { admin, db } = require('../firebase');
+const { FEATURES, checkEnterpriseEntitlement, limitReachedBody } = require('../utils/entitlements');
 
 /**
  * Helper function to send error responses
@@ -106,6 +107,12 @@ exports.createTemplate = async (req, res) => {
             return sendError(res, 403, permissionCheck.reason);
         }
 
+        // Templates count against the enterprise plan's template limit
+        const templateQuota = await checkEnterpriseEntitlement(enterpriseId, FEATURES.TEMPLATES);
+        if (!templateQuota.allowed) {
+            return res.status(403).json(limitReachedBody(templateQuota));
+        }
+
         // Check if template with same name already exists for this scope
         let existingTemplateQuery = db.collection('cardTemplates')
             .where('enterpriseId', '==', enterpriseId)
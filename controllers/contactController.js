@@ -2,201 +2,69 @@ const { db, admin } = require('../firebase.js');
 const { transporter, sendMailWithStatus } = require('../public/Utils/emailService');
 const { formatDate } = require('../utils/dateFormatter');
 const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { buildContactVCard, buildVCardFilename } = require('../utils/vcardGenerator');
+const { DUPLICATE_POLICIES, getDuplicatePolicy, findDuplicateGroups } = require('../utils/contactDedup');
+const contactStore = require('../utils/contactStore');
+const { WEBHOOK_EVENTS, emitWebhookEventForUser, toWebhookContact } = require('../utils/webhooks');
+const { parseColumns, parseDateRange, filterByCreatedAt, renderContactExport } = require('../utils/contactExport');
+const { FEATURES, buildQuota, getLimit, consumeEntitlement, limitReachedBody } = require('../utils/entitlements');
 
 // Import contact cache for invalidation
 const { contactCache } = require('./enterprise/contactAggregationController');
 const { getAllEnterpriseContacts } = require('./helpers/enterpriseContactsHelper');
-
-// Add constant for free plan limit
-const FREE_PLAN_CONTACT_LIMIT = 3;
+const { checkContactPermissions } = require('./helpers/contactPermissionsHelper');
 
 /**
- * Helper function to check user permissions for contact access operations
- * Follows the same pattern as checkCardPermissions in departmentsController.js
- * Currently implements employee-only permissions (access level: 'own')
+ * Old GET /Contacts behaviour: the whole list wrapped per owner instead of cursor pages,
+ * enterprise-wide contacts by default for admins and managers, and an empty list rather
+ * than a 404 from GET /Contacts/:id for unknown users.
+ * Enabled per request with ?format=legacy or for every request with CONTACTS_LEGACY_RESPONSE=true.
  */
-const checkContactPermissions = async (userId, action, targetUserId = null) => {
-    try {
-        console.log(`🔍 [ContactPermissions] Checking ${action} permission for user: ${userId}, target: ${targetUserId}`);
-
-        // Get user's basic data to check if they have enterprise association
-        const userRef = db.collection('users').doc(userId);
-        const userDoc = await userRef.get();
-        
-        if (!userDoc.exists) {
-            return { allowed: false, reason: 'User not found' };
-        }
-
-        const userData = userDoc.data();
-        const enterpriseRef = userData.enterpriseRef;
-
-        // If no enterprise association, allow access to own contacts only
-        if (!enterpriseRef) {
-            console.log(`📝 [ContactPermissions] No enterprise association - allowing own access only`);
-            if (targetUserId && targetUserId !== userId) {
-                return { 
-                    allowed: false, 
-                    reason: 'Non-enterprise users can only access their own contacts' 
-                };
-            }
-            return { 
-                allowed: true, 
-                accessLevel: 'own', 
-                userRole: 'individual',
-                ownUserId: userId,
-                effectivePermissions: ['viewContacts', 'deleteContacts', 'shareContacts']
-            };
-        }
-
-        const enterpriseId = enterpriseRef.id;
-        const enterpriseDoc = await enterpriseRef.get();
-        
-        if (!enterpriseDoc.exists) {
-            return { allowed: false, reason: 'Enterprise not found' };
-        }
-
-        // Find user's role in the enterprise
-        let userRole = null;
-        let userDepartmentId = null;
+const useLegacyResponse = (req) => req.query.format === 'legacy' ||
+    (process.env.CONTACTS_LEGACY_RESPONSE === 'true' && req.query.format !== 'paged');
 
-        // Check all departments for this user
-        const departmentsSnapshot = await enterpriseRef.collection('departments').get();
-        
-        for (const deptDoc of departmentsSnapshot.docs) {
-            const employeesSnapshot = await deptDoc.ref.collection('employees')
-                .where('userId', '==', db.doc(`users/${userId}`))
-                .get();
-            
-            if (!employeesSnapshot.empty) {
-                const employeeData = employeesSnapshot.docs[0].data();
-                userRole = employeeData.role;
-                userDepartmentId = deptDoc.id;
-                break;
-            }
-        }
-
-        if (!userRole) {
-            // User has enterpriseRef but is not an employee - treat as individual user
-            console.log(`📝 [ContactPermissions] User has enterprise association but is not an employee - treating as individual user`);
-            if (targetUserId && targetUserId !== userId) {
-                return { 
-                    allowed: false, 
-                    reason: 'Non-employee enterprise users can only access their own contacts' 
-                };
-            }
-            return { 
-                allowed: true, 
-                accessLevel: 'own', 
-                userRole: 'individual',
-                ownUserId: userId,
-                effectivePermissions: ['viewContacts', 'deleteContacts', 'shareContacts']
-            };
-        }
-
-        // Get user's individual permissions (if they exist)
-        let individualPermissions = { removed: [], added: [] };
-        try {
-            const enterpriseUserRef = enterpriseRef.collection('users').doc(userId);
-            const enterpriseUserDoc = await enterpriseUserRef.get();
-            if (enterpriseUserDoc.exists) {
-                individualPermissions = enterpriseUserDoc.data().individualPermissions || { removed: [], added: [] };
-            }
-        } catch (permError) {
-            console.log('No individual permissions found for user, using defaults');
-        }
-
-        // Define contact permissions by role (from analysis document)
-        const basePermissions = {
-            'admin': ['viewContacts', 'deleteContacts', 'manageAllContacts', 'exportContacts', 'shareContacts'],
-            'manager': ['viewContacts', 'deleteContacts', 'manageAllContacts', 'exportContacts', 'shareContacts'],
-            'employee': ['viewContacts', 'deleteContacts', 'shareContacts']
-        };
-
-        let effectivePermissions = [...(basePermissions[userRole] || [])];
-
-        // Apply individual permission overrides
-        if (individualPermissions.removed) {
-            effectivePermissions = effectivePermissions.filter(p => !individualPermissions.removed.includes(p));
-        }
-        if (individualPermissions.added) {
-            effectivePermissions = [...effectivePermissions, ...individualPermissions.added];
-        }
-
-        // Check if user has the required permission for this action
-        const requiredPermission = getRequiredPermission(action);
-        if (!effectivePermissions.includes(requiredPermission)) {
-            return { allowed: false, reason: `Access denied: ${requiredPermission} permission required` };
-        }
-
-        // Phase 2: Handle all roles (admin, manager, employee)
-        if (userRole === 'employee') {
-            // Employees can only access their own contacts
-            if (targetUserId && targetUserId !== userId) {
-                return { 
-                    allowed: false, 
-                    reason: 'Employees can only access their own contacts' 
-                };
-            }
-            return { 
-                allowed: true, 
-                accessLevel: 'own', 
-                userRole, 
-                userDepartmentId, 
-                effectivePermissions,
-                ownUserId: userId
-            };
-        }
-
-        if (userRole === 'admin') {
-            // Admins have enterprise-wide access
-            return { 
-                allowed: true, 
-                accessLevel: 'all_enterprise', 
-                userRole, 
-                userDepartmentId, 
-                effectivePermissions,
-                enterpriseId: enterpriseId
-            };
-        }
-
-        if (userRole === 'manager') {
-            // Managers have enterprise-wide access (same as admin for contacts)
-            return { 
-                allowed: true, 
-                accessLevel: 'all_enterprise', 
-                userRole, 
-                userDepartmentId, 
-                effectivePermissions,
-                enterpriseId: enterpriseId
-            };
-        }
-
-        // Unknown role
-        return { 
-            allowed: false, 
-            reason: `Unsupported user role: '${userRole}'. Supported roles: admin, manager, employee.` 
-        };
-
-    } catch (error) {
-        console.error('Error checking contact permissions:', error);
-        return { allowed: false, reason: 'Error checking permissions' };
+/**
+ * Respond to a contact insert that was refused by the duplicate policy or the plan's contact limit.
+ * Duplicate details are for the contact list owner; public submissions use sendPublicContactSaved.
+ */
+const sendContactInsertRejection = (res, userId, result, contactLimit) => {
+    if (result.action === 'rejected') {
+        console.log(`Duplicate contact rejected for user ${userId} (matched on ${result.duplicate.reasons.join(', ')})`);
+        return res.status(409).send({
+            success: false,
+            message: 'Contact already exists',
+            error: 'DUPLICATE_CONTACT',
+            duplicateContactId: result.contact.id,
+            duplicateIndex: result.duplicate.index,
+            matchedOn: result.duplicate.reasons
+        });
     }
+
+    console.log(`Contact limit reached for user ${userId}. Current contacts: ${result.contactCount}`);
+    return res.status(403).send(limitReachedBody(buildQuota(FEATURES.CONTACTS, contactLimit, result.contactCount)));
 };
 
 /**
- * Map actions to required permissions
+ * Respond to a public contact submission. The response is the same whether the contact
+ * was added, merged or refused as a duplicate, so the form can't be used to find out
+ * who is in the owner's contacts; duplicate details only go to the owner.
  */
-const getRequiredPermission = (action) => {
-    const actionMap = {
-        'view': 'viewContacts',
-        'delete': 'deleteContacts',
-        'export': 'exportContacts',
-        'share': 'shareContacts',
-        'manage': 'manageAllContacts'
-    };
-    return actionMap[action] || 'viewContacts';
+const sendPublicContactSaved = (res, userId, result, status = 200) => {
+    if (result.action === 'rejected') {
+        console.log(`Duplicate contact rejected for user ${userId} (matched on ${result.duplicate.reasons.join(', ')})`);
+    }
+    return res.status(status).send({
+        success: true,
+        message: 'Contact saved successfully'
+    });
 };
 
+const formatContact = (contact) => ({
+    ...contact,
+    createdAt: formatDate(contact.createdAt),
+    ...(contact.updatedAt && { updatedAt: formatDate(contact.updatedAt) })
+});
+
 /**
  * Update User Individual Contact Permissions
  */
@@ -346,11 +214,13 @@ exports.getAllContacts = async (req, res) => {
         }
 
         const requestingUserId = req.user.uid;
+        const targetUserId = req.query.userId || requestingUserId;
+        const legacyResponse = useLegacyResponse(req);
 
-        console.log(`🔍 [ContactController] getAllContacts - User ${requestingUserId} requesting all contacts`);
+        console.log(`🔍 [ContactController] getAllContacts - User ${requestingUserId} requesting contacts${legacyResponse ? ' (legacy format)' : ''}`);
 
         // Check contact permissions - no specific target user for "all" contacts
-        const permissionCheck = await checkContactPermissions(requestingUserId, 'view');
+        const permissionCheck = await checkContactPermissions(requestingUserId, 'view', req.query.userId || null);
         
         if (!permissionCheck.allowed) {
             console.log(`❌ [ContactController] Access denied: ${permissionCheck.reason}`);
@@ -363,27 +233,13 @@ exports.getAllContacts = async (req, res) => {
 
         console.log(`✅ [ContactController] Access granted - Level: ${permissionCheck.accessLevel}, Role: ${permissionCheck.userRole}`);
 
-        // For employee role with 'own' access level, only return their own contacts
-        if (permissionCheck.accessLevel === 'own') {
-            console.log(`📝 [ContactController] Returning own contacts only for user: ${requestingUserId}`);
+        // Enterprise-wide view for admin/manager roles (legacy default, or ?scope=enterprise)
+        if (permissionCheck.accessLevel === 'all_enterprise' && !req.query.userId && (legacyResponse || req.query.scope === 'enterprise')) {
+            console.log(`🏢 [ContactController] Fetching enterprise-wide contacts for ${permissionCheck.userRole} in enterprise: ${permissionCheck.enterpriseId}`);
             
-            const contactRef = db.collection('contacts').doc(requestingUserId);
-            const doc = await contactRef.get();
+            // Get all contacts for the enterprise
+            const enterpriseContacts = await getAllEnterpriseContacts(permissionCheck.enterpriseId);
             
-            if (!doc.exists || !doc.data().contactList) {
-                return res.status(200).send({
-                    success: true,
-                    contacts: [],
-                    message: 'No contacts found for user'
-                });
-            }
-
-            const data = doc.data();
-            const formattedContacts = data.contactList.map(contact => ({
-                ...contact,
-                createdAt: formatDate(contact.createdAt)
-            }));
-
             // Log the access
             await logActivity({
                 action: ACTIONS.READ,
@@ -392,61 +248,121 @@ exports.getAllContacts = async (req, res) => {
                 details: {
                     accessLevel: permissionCheck.accessLevel,
                     userRole: permissionCheck.userRole,
-                    contactCount: formattedContacts.length,
-                    scope: 'own'
+                    enterpriseId: permissionCheck.enterpriseId,
+                    contactCount: enterpriseContacts.totalCount,
+                    scope: 'all_enterprise'
                 }
             });
 
             return res.status(200).send({
                 success: true,
-                contacts: [{
-                    id: requestingUserId,
-                    contactList: formattedContacts
-                }],
-                totalCount: formattedContacts.length
+                contacts: enterpriseContacts.contacts,
+                totalCount: enterpriseContacts.totalCount,
+                enterpriseId: permissionCheck.enterpriseId,
+                accessLevel: 'all_enterprise'
             });
         }
 
-        // Phase 2: Handle enterprise-level access for admin/manager roles
-        if (permissionCheck.accessLevel === 'all_enterprise') {
-            console.log(`🏢 [ContactController] Fetching enterprise-wide contacts for ${permissionCheck.userRole} in enterprise: ${permissionCheck.enterpriseId}`);
-            
-            // Get all contacts for the enterprise
-            const enterpriseContacts = await getAllEnterpriseContacts(permissionCheck.enterpriseId);
-            
-            // Log the access
+        if (!['own', 'all_enterprise'].includes(permissionCheck.accessLevel)) {
+            console.log(`🚧 [ContactController] Unknown access level: ${permissionCheck.accessLevel}`);
+            return res.status(501).json({
+                success: false,
+                message: `Access level '${permissionCheck.accessLevel}' not implemented`,
+                supportedAccessLevels: ['own', 'all_enterprise'],
+                currentAccessLevel: permissionCheck.accessLevel
+            });
+        }
+
+        // Admins and managers may page through another employee's contacts in their enterprise
+        if (targetUserId !== requestingUserId) {
+            const targetUserDoc = await db.collection('users').doc(targetUserId).get();
+            if (!targetUserDoc.exists || targetUserDoc.data().enterpriseRef?.id !== permissionCheck.enterpriseId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied',
+                    reason: 'User is not a member of your enterprise'
+                });
+            }
+        }
+
+        if (legacyResponse) {
+            console.log(`📝 [ContactController] Returning own contacts only for user: ${targetUserId}`);
+
+            const contactList = await contactStore.listContacts(targetUserId);
+            const formattedContacts = contactList.map(contact => formatContact(contactStore.toLegacyContact(contact)));
+
             await logActivity({
                 action: ACTIONS.READ,
                 resource: RESOURCES.CONTACT,
                 userId: requestingUserId,
+                resourceId: targetUserId,
                 details: {
                     accessLevel: permissionCheck.accessLevel,
                     userRole: permissionCheck.userRole,
-                    enterpriseId: permissionCheck.enterpriseId,
-                    contactCount: enterpriseContacts.totalCount,
-                    scope: 'all_enterprise'
+                    contactCount: formattedContacts.length,
+                    scope: 'own'
                 }
             });
 
+            if (formattedContacts.length === 0) {
+                return res.status(200).send({
+                    success: true,
+                    contacts: [],
+                    message: 'No contacts found for user'
+                });
+            }
+
             return res.status(200).send({
                 success: true,
-                contacts: enterpriseContacts.contacts,
-                totalCount: enterpriseContacts.totalCount,
-                enterpriseId: permissionCheck.enterpriseId,
-                accessLevel: 'all_enterprise'
+                contacts: [{
+                    id: targetUserId,
+                    contactList: formattedContacts
+                }],
+                totalCount: formattedContacts.length
             });
         }
 
-        // Unknown access level
-        console.log(`🚧 [ContactController] Unknown access level: ${permissionCheck.accessLevel}`);
-        return res.status(501).json({
-            success: false,
-            message: `Access level '${permissionCheck.accessLevel}' not implemented`,
-            supportedAccessLevels: ['own', 'all_enterprise'],
-            currentAccessLevel: permissionCheck.accessLevel
+        const { limit, cursor, search, sort, order } = req.query;
+        const [page, totalCount] = await Promise.all([
+            contactStore.pageContacts(targetUserId, { limit, cursor, search, sort, order }),
+            contactStore.countContacts(targetUserId)
+        ]);
+
+        await logActivity({
+            action: ACTIONS.READ,
+            resource: RESOURCES.CONTACT,
+            userId: requestingUserId,
+            resourceId: targetUserId,
+            details: {
+                accessLevel: permissionCheck.accessLevel,
+                userRole: permissionCheck.userRole,
+                contactCount: page.contacts.length,
+                scope: targetUserId === requestingUserId ? 'own' : 'employee',
+                search: search || null
+            }
+        });
+
+        return res.status(200).send({
+            success: true,
+            userId: targetUserId,
+            contacts: page.contacts.map(formatContact),
+            totalCount,
+            pagination: {
+                limit: page.limit,
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore,
+                sort: page.sort,
+                order: page.order
+            }
         });
 
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).send({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Error fetching contacts:', error);
         res.status(500).send({ 
             success: false,
@@ -486,30 +402,22 @@ exports.getContactById = async (req, res) => {
 
         console.log(`✅ [ContactController] Access granted - Level: ${permissionCheck.accessLevel}, Role: ${permissionCheck.userRole}`);
 
-        const contactRef = db.collection('contacts').doc(id);
-        const doc = await contactRef.get();
-        
-        let data;
-        if (!doc.exists) {
-            // Return empty contact list instead of 404
-            console.log(`📝 [ContactController] Contact document does not exist for user ${id}, returning empty list`);
-            data = {
-                userId: db.doc(`users/${id}`),
-                contactList: []
-            };
-        } else {
-            // Send raw data for debugging
-            data = doc.data();
-            console.log('Raw contact data:', data); // Debug log
-
-            if (data.contactList) {
-                data.contactList = data.contactList.map(contact => ({
-                    ...contact,
-                    createdAt: formatDate(contact.createdAt) // Format for display
-                }));
-            }
+        // A user without contacts gets an empty list; an unknown user is a 404 unless the legacy response is asked for
+        const userDoc = await db.collection('users').doc(id).get();
+        if (!userDoc.exists && !useLegacyResponse(req)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
         }
 
+        // Whole list in the original contactList shape (each entry now carries its stable id)
+        const contactList = await contactStore.listContacts(id);
+        const data = {
+            userId: db.doc(`users/${id}`),
+            contactList: contactList.map(contact => formatContact(contactStore.toLegacyContact(contact)))
+        };
+
         // Log the access
         await logActivity({
             action: ACTIONS.READ,
@@ -519,14 +427,14 @@ exports.getContactById = async (req, res) => {
             details: {
                 accessLevel: permissionCheck.accessLevel,
                 userRole: permissionCheck.userRole,
-                contactCount: data.contactList ? data.contactList.length : 0
+                contactCount: data.contactList.length
             }
         });
 
         // Send the data without modification
         res.status(200).send({
             success: true,
-            id: doc.id,
+            id: id,
             ...data
         });
     } catch (error) {
@@ -539,6 +447,189 @@ exports.getContactById = async (req, res) => {
     }
 };
 
+/**
+ * Export a user's whole contactList as a single multi-entry .vcf file
+ */
+exports.exportContactListVCard = async (req, res) => {
+    const { id } = req.params;
+    const { version } = req.query;
+
+    try {
+        if (!req.user || !req.user.uid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const requestingUserId = req.user.uid;
+
+        const permissionCheck = await checkContactPermissions(requestingUserId, 'share', id);
+
+        if (!permissionCheck.allowed) {
+            console.log(`❌ [ContactController] vCard export access denied: ${permissionCheck.reason}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                reason: permissionCheck.reason
+            });
+        }
+
+        const contactList = await contactStore.listContacts(id);
+
+        const vcf = contactList
+            .map(contact => buildContactVCard(contact, { version }))
+            .join('');
+
+        // Exports count against the requesting user's monthly allowance
+        const exportQuota = await consumeEntitlement(requestingUserId, FEATURES.EXPORTS);
+        if (!exportQuota.allowed) {
+            return res.status(403).send(limitReachedBody(exportQuota));
+        }
+
+        await logActivity({
+            action: ACTIONS.EXPORT,
+            resource: RESOURCES.CONTACT,
+            userId: requestingUserId,
+            resourceId: id,
+            details: {
+                format: 'vcf',
+                contactCount: contactList.length,
+                accessLevel: permissionCheck.accessLevel
+            }
+        });
+
+        res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${buildVCardFilename('xscard', 'contacts', id)}"`);
+        res.status(200).send(vcf);
+    } catch (error) {
+        await logActivity({
+            action: ACTIONS.ERROR,
+            resource: RESOURCES.CONTACT,
+            userId: req.user?.uid,
+            resourceId: id,
+            status: 'error',
+            details: {
+                error: error.message,
+                operation: 'export_contacts_vcf'
+            }
+        });
+
+        console.error('Error exporting contacts as vCard:', error);
+        res.status(500).send({
+            success: false,
+            message: 'Failed to export contacts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Export the requesting user's contacts (or, for admins/managers, an enterprise
+ * member's via ?userId=) as CSV, vCard or Excel.
+ * Query: format=csv|vcf|xlsx, columns=name,email,city,..., from/to (createdAt range), version (vCard)
+ */
+exports.exportContacts = async (req, res) => {
+    const requestingUserId = req.user?.uid;
+    const targetUserId = req.query.userId || requestingUserId;
+    const format = String(req.query.format || 'csv').toLowerCase();
+
+    try {
+        if (!requestingUserId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const columns = parseColumns(req.query.columns);
+        const dateRange = parseDateRange(req.query.from, req.query.to);
+
+        // Exporting your own leads is sharing them; exporting someone else's needs exportContacts
+        const action = targetUserId === requestingUserId ? 'share' : 'export';
+        const permissionCheck = await checkContactPermissions(requestingUserId, action, targetUserId);
+
+        if (!permissionCheck.allowed) {
+            console.log(`❌ [ContactController] Contact export access denied: ${permissionCheck.reason}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                reason: permissionCheck.reason
+            });
+        }
+
+        if (targetUserId !== requestingUserId) {
+            const targetUserDoc = await db.collection('users').doc(targetUserId).get();
+            if (!targetUserDoc.exists || targetUserDoc.data().enterpriseRef?.id !== permissionCheck.enterpriseId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied',
+                    reason: 'User is not a member of your enterprise'
+                });
+            }
+        }
+
+        const contacts = filterByCreatedAt(await contactStore.listContacts(targetUserId), dateRange);
+        const file = await renderContactExport(contacts, { format, columns, version: req.query.version });
+
+        // Exports count against the requesting user's monthly allowance
+        const exportQuota = await consumeEntitlement(requestingUserId, FEATURES.EXPORTS);
+        if (!exportQuota.allowed) {
+            return res.status(403).send(limitReachedBody(exportQuota));
+        }
+        const filename = `contacts_${targetUserId}_${new Date().toISOString().split('T')[0]}.${file.extension}`;
+
+        await logActivity({
+            action: ACTIONS.EXPORT,
+            resource: RESOURCES.CONTACT,
+            userId: requestingUserId,
+            resourceId: targetUserId,
+            details: {
+                operation: 'export_contacts',
+                format,
+                recordCount: contacts.length,
+                columns: format === 'vcf' ? null : columns,
+                from: dateRange.from ? dateRange.from.toISOString() : null,
+                to: dateRange.to ? dateRange.to.toISOString() : null,
+                accessLevel: permissionCheck.accessLevel
+            }
+        });
+
+        console.log(`📤 [ContactController] Exported ${contacts.length} contacts for user ${targetUserId} as ${format}`);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200).send(file.body);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).send({
+                success: false,
+                message: error.message
+            });
+        }
+
+        await logActivity({
+            action: ACTIONS.ERROR,
+            resource: RESOURCES.CONTACT,
+            userId: requestingUserId,
+            resourceId: targetUserId,
+            status: 'error',
+            details: {
+                error: error.message,
+                operation: 'export_contacts',
+                format
+            }
+        });
+
+        console.error('Error exporting contacts:', error);
+        res.status(500).send({
+            success: false,
+            message: 'Failed to export contacts',
+            error: error.message
+        });
+    }
+};
+
 // Make this function more permissive for public use
 exports.addContact = async (req, res) => {
     const { userId, contactInfo } = req.body;
@@ -564,48 +655,25 @@ exports.addContact = async (req, res) => {
             return res.status(404).send({ message: 'User not found' });
         }
 
-        const contactRef = db.collection('contacts').doc(userId);
-        const doc = await contactRef.get();
-
-        let currentContacts = [];
-        if (doc.exists) {
-            currentContacts = doc.data().contactList || [];
-        }
-
-        // Check if free user has reached contact limit - Add strict validation
-        if (userData.plan === 'free' && currentContacts.length >= FREE_PLAN_CONTACT_LIMIT) {
-            console.log(`Contact limit reached for free user ${userId}. Current contacts: ${currentContacts.length}`);
-            return res.status(403).send({
-                message: 'Contact limit reached',
-                error: 'FREE_PLAN_LIMIT_REACHED',
-                currentContacts: currentContacts.length,
-                limit: FREE_PLAN_CONTACT_LIMIT
-            });
-        }
-
         const newContact = {
             ...contactInfo,
             email: contactInfo.email || '', // Add email field with fallback
             createdAt: admin.firestore.Timestamp.now()
         };
 
-        currentContacts.push(newContact);
-
-        await contactRef.set({
-            userId: db.doc(`users/${userId}`),
-            contactList: currentContacts
-        }, { merge: true });
-        
-        res.status(201).send({ 
-            message: 'Contact added successfully',
-            contactList: currentContacts.map(contact => ({
-                ...contact,
-                createdAt: formatDate(contact.createdAt)
-            })),
-            remainingContacts: userData.plan === 'free' ? 
-                FREE_PLAN_CONTACT_LIMIT - currentContacts.length : 
-                'unlimited'
+        // Check the plan's contact limit (null = unlimited) - enforced atomically with the insert
+        const contactLimit = await getLimit(userId, FEATURES.CONTACTS, { userData });
+        const result = await contactStore.addContact(userId, newContact, {
+            policy: getDuplicatePolicy(userData),
+            limit: contactLimit,
+            publicSubmission: true
         });
+
+        if (result.action === 'limit_reached') {
+            return sendContactInsertRejection(res, userId, result, contactLimit);
+        }
+
+        sendPublicContactSaved(res, userId, result, 201);
     } catch (error) {
         console.error('Error adding contact:', error);
         res.status(500).send({ 
@@ -638,30 +706,6 @@ exports.saveContactInfo = async (req, res) => {
             return res.status(404).send({ message: 'User not found' });
         }
 
-        // Get current contacts count
-        const contactsRef = db.collection('contacts').doc(userId);
-        const contactsDoc = await contactsRef.get();
-        
-        // Fix contactList vs contactsList inconsistency
-        let existingContacts = [];
-        if (contactsDoc.exists) {
-            // Try to get contactList first, then fall back to contactsList for backward compatibility
-            existingContacts = contactsDoc.data().contactList || contactsDoc.data().contactsList || [];
-        }
-        
-        if (!Array.isArray(existingContacts)) existingContacts = [];
-
-        // Check if free user has reached contact limit - Improve validation
-        if (userData.plan === 'free' && existingContacts.length >= FREE_PLAN_CONTACT_LIMIT) {
-            console.log(`Contact limit reached for free user ${userId}. Current contacts: ${existingContacts.length}`);
-            return res.status(403).send({
-                message: 'Contact limit reached',
-                error: 'FREE_PLAN_LIMIT_REACHED',
-                currentContacts: existingContacts.length,
-                limit: FREE_PLAN_CONTACT_LIMIT
-            });
-        }
-
         // Force-type the email field as string to avoid any type conversions
         const contactEmail = String(contactInfo.email || '');
         console.log('Processed email value:', contactEmail);
@@ -678,30 +722,39 @@ exports.saveContactInfo = async (req, res) => {
         
         console.log('Final contact object to save:', newContact);
         
-        // Add to existing contacts
-        existingContacts.push(newContact);
-
-        // Log the final array before saving
-        console.log('Contact list to save (first few):', 
-            existingContacts.slice(-3).map(c => ({ ...c, createdAt: 'timestamp' }))
-        );
+        // Add to existing contacts, or merge into / reject on a duplicate per the user's policy.
+        // The plan's contact limit only applies to new contacts - merges don't use up a slot
+        const contactLimit = await getLimit(userId, FEATURES.CONTACTS, { userData });
+        const insert = await contactStore.addContact(userId, newContact, {
+            policy: getDuplicatePolicy(userData),
+            limit: contactLimit,
+            publicSubmission: true
+        });
 
-        // Use contactList consistently
-        await contactsRef.set({
-            userId: db.doc(`users/${userId}`),
-            contactList: existingContacts
-        }, { merge: true });
+        if (insert.action === 'limit_reached') {
+            return sendContactInsertRejection(res, userId, insert, contactLimit);
+        }
+        if (insert.action === 'rejected') {
+            return sendPublicContactSaved(res, userId, insert);
+        }
 
         // Invalidate contact aggregation cache for all enterprises
         try {
-            contactCache.invalidateByPattern('enterprise:');
+            await contactCache.invalidateByPattern('enterprise:');
             console.log('✅ Contact aggregation cache invalidated after contact addition');
         } catch (cacheError) {
             console.warn('⚠️ Failed to invalidate contact cache:', cacheError.message);
         }
 
-        // Send email notification if user has email
-        if (userData.email) {
+        // Notify the enterprise's webhook subscribers (runs in the background)
+        emitWebhookEventForUser(userId, insert.action === 'merged' ? WEBHOOK_EVENTS.CONTACT_MERGED : WEBHOOK_EVENTS.CONTACT_CREATED, {
+            userId,
+            contact: toWebhookContact(insert.contact),
+            ...(insert.duplicate && { matchedOn: insert.duplicate.reasons })
+        }, userData);
+        
+        // Send email notification if user has email (not for a repeat of an existing contact)
+        if (userData.email && insert.action === 'added') {
             const mailOptions = {
                 from: process.env.EMAIL_USER,
                 to: userData.email,
@@ -720,8 +773,8 @@ exports.saveContactInfo = async (req, res) => {
                         </ul>
                     </div>
                     <p style="color: #666; font-size: 12px;">This is an automated notification from your XS Card application.</p>
-                    ${userData.plan === 'free' ? 
-                        `<p style="color: #ff4b6e;">You have ${FREE_PLAN_CONTACT_LIMIT - existingContacts.length} contacts remaining in your free plan.</p>` 
+                    ${contactLimit !== null ? 
+                        `<p style="color: #ff4b6e;">You have ${contactLimit - insert.contactCount} contacts remaining in your plan.</p>` 
                         : ''}
                 `
             };
@@ -738,28 +791,18 @@ exports.saveContactInfo = async (req, res) => {
             action: ACTIONS.CREATE,
             resource: RESOURCES.CONTACT,
             userId: userId,
-            resourceId: contactsRef.id,
+            resourceId: userId,
             details: {
+                contactId: insert.contact.id,
                 contactName: `${contactInfo.name} ${contactInfo.surname}`,
-                contactCount: existingContacts.length,
-                plan: userData.plan
+                contactCount: insert.contactCount,
+                plan: userData.plan,
+                duplicateAction: insert.action,
+                ...(insert.duplicate && { matchedOn: insert.duplicate.reasons })
             }
         });
 
-        // Make sure we're sending a success flag in the response for the frontend
-        res.status(200).send({ 
-            success: true,
-            message: 'Contact saved successfully',
-            // Return the saved contact for verification
-            savedContact: {
-                ...newContact,
-                createdAt: 'timestamp'
-            },
-            contactsCount: existingContacts.length,
-            remainingContacts: userData.plan === 'free' ? 
-                FREE_PLAN_CONTACT_LIMIT - existingContacts.length : 
-                'unlimited'
-        });
+        sendPublicContactSaved(res, userId, insert);
     } catch (error) {
         // Log error with await
         await logActivity({
@@ -791,26 +834,45 @@ exports.updateContact = async (req, res) => {
     }
 
     try {
-        const contactRef = db.collection('contacts').doc(id);
-        const doc = await contactRef.get();
+        if (!req.user || !req.user.uid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const permissionCheck = await checkContactPermissions(req.user.uid, 'delete', id);
+        if (!permissionCheck.allowed) {
+            console.log(`❌ [ContactController] Update contacts access denied: ${permissionCheck.reason}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                reason: permissionCheck.reason
+            });
+        }
 
-        if (!doc.exists) {
+        const userDoc = await db.collection('users').doc(id).get();
+        if (!userDoc.exists) {
             return res.status(404).send({ message: 'Contact list not found' });
         }
 
-        const currentContacts = doc.data().contactsList || [];
-        currentContacts.push({
+        const contactLimit = await getLimit(id, FEATURES.CONTACTS, { userData: userDoc.data() });
+        const result = await contactStore.addContact(id, {
             ...contactInfo,
-            createdAt: new Date().toISOString()
-        });
+            createdAt: admin.firestore.Timestamp.now()
+        }, { policy: getDuplicatePolicy(userDoc.data()), limit: contactLimit });
 
-        await contactRef.update({
-            contactsList: currentContacts
-        });
+        if (result.action === 'rejected' || result.action === 'limit_reached') {
+            return sendContactInsertRejection(res, id, result, contactLimit);
+        }
+
+        const currentContacts = await contactStore.listContacts(id);
 
         res.status(200).send({ 
             message: 'Contact list updated successfully',
-            updatedContacts: currentContacts
+            duplicateAction: result.action,
+            contactId: result.contact.id,
+            updatedContacts: currentContacts.map(formatContact)
         });
     } catch (error) {
         console.error('Error updating contacts:', error);
@@ -852,21 +914,20 @@ exports.deleteContact = async (req, res) => {
 
         console.log(`✅ [ContactController] Delete access granted - Level: ${permissionCheck.accessLevel}, Role: ${permissionCheck.userRole}`);
 
-        const contactRef = db.collection('contacts').doc(id);
-        const doc = await contactRef.get();
+        const contactDoc = await db.collection('contacts').doc(id).get();
         
-        if (!doc.exists) {
+        if (!contactDoc.exists) {
             return res.status(404).send({ 
                 success: false,
                 message: 'Contact list not found' 
             });
         }
 
-        await contactRef.delete();
+        const deletedCount = await contactStore.deleteAllContacts(id);
         
         // Invalidate contact aggregation cache for all enterprises
         try {
-            contactCache.invalidateByPattern('enterprise:');
+            await contactCache.invalidateByPattern('enterprise:');
             console.log('✅ Contact aggregation cache invalidated after contact list deletion');
         } catch (cacheError) {
             console.warn('⚠️ Failed to invalidate contact cache:', cacheError.message);
@@ -880,7 +941,7 @@ exports.deleteContact = async (req, res) => {
             resourceId: id,
             details: {
                 operation: 'delete_contact_list',
-                contactCount: doc.data().contactList.length
+                contactCount: deletedCount
             }
         });
         
@@ -911,10 +972,11 @@ exports.deleteContact = async (req, res) => {
 };
 
 exports.deleteContactFromList = async (req, res) => {
-    const { id, index } = req.params;
-    const contactIndex = parseInt(index);
+    const { id, contactId: contactKey } = req.params;
+    // Numeric keys are array positions from before contacts had stable IDs
+    const isLegacyIndex = /^\d+$/.test(contactKey);
     
-    console.log('Delete request received:', { id, index, contactIndex }); // Debug log
+    console.log('Delete request received:', { id, contactKey, isLegacyIndex }); // Debug log
 
     try {
         // Check if user is authenticated (from middleware)
@@ -928,7 +990,7 @@ exports.deleteContactFromList = async (req, res) => {
         const requestingUserId = req.user.uid;
         const targetUserId = id; // The contact document ID is the user ID
 
-        console.log(`🗑️ [ContactController] deleteContactFromList - User ${requestingUserId} requesting to delete contact ${contactIndex} from ${targetUserId}`);
+        console.log(`🗑️ [ContactController] deleteContactFromList - User ${requestingUserId} requesting to delete contact ${contactKey} from ${targetUserId}`);
 
         // Check contact permissions
         const permissionCheck = await checkContactPermissions(requestingUserId, 'delete', targetUserId);
@@ -944,42 +1006,32 @@ exports.deleteContactFromList = async (req, res) => {
 
         console.log(`✅ [ContactController] Delete contact access granted - Level: ${permissionCheck.accessLevel}, Role: ${permissionCheck.userRole}`);
 
-        const contactRef = db.collection('contacts').doc(id);
-        const doc = await contactRef.get();
-        
-        if (!doc.exists) {
-            console.log('Document not found:', id);
-            return res.status(404).send({ 
+        const contact = isLegacyIndex
+            ? await contactStore.getContactByIndex(id, parseInt(contactKey))
+            : await contactStore.getContact(id, contactKey);
+
+        if (!contact) {
+            if (isLegacyIndex) {
+                return res.status(400).send({ message: 'Contact index out of range' });
+            }
+            return res.status(404).send({
                 success: false,
-                message: 'Contact list not found' 
+                message: 'Contact not found'
             });
         }
 
-        const data = doc.data();
-        // Check if contactList exists (not contactsList)
-        const currentContacts = data.contactList || [];
-        
-        console.log('Current contacts:', { 
-            total: currentContacts.length, 
-            requestedIndex: contactIndex,
-            contacts: currentContacts
-        });
-
-        if (contactIndex < 0 || contactIndex >= currentContacts.length) {
-            console.log('Index out of range:', { contactIndex, length: currentContacts.length });
-            return res.status(400).send({ message: 'Contact index out of range' });
+        const deletedContact = await contactStore.deleteContact(id, contact.id);
+        if (!deletedContact) {
+            return res.status(404).send({
+                success: false,
+                message: 'Contact not found'
+            });
         }
-
-        const deletedContact = currentContacts[contactIndex];
-        currentContacts.splice(contactIndex, 1);
-
-        await contactRef.update({
-            contactList: currentContacts // Note: using contactList, not contactsList
-        });
+        const remainingContacts = await contactStore.countContacts(id);
 
         // Invalidate contact aggregation cache for all enterprises
         try {
-            contactCache.invalidateByPattern('enterprise:');
+            await contactCache.invalidateByPattern('enterprise:');
             console.log('✅ Contact aggregation cache invalidated after contact deletion');
         } catch (cacheError) {
             console.warn('⚠️ Failed to invalidate contact cache:', cacheError.message);
@@ -993,16 +1045,18 @@ exports.deleteContactFromList = async (req, res) => {
             resourceId: id,
             details: {
                 operation: 'delete_contact_from_list',
-                contactIndex: contactIndex,
+                contactId: deletedContact.id,
+                ...(isLegacyIndex && { contactIndex: parseInt(contactKey) }),
                 contactName: deletedContact.name ? `${deletedContact.name} ${deletedContact.surname || ''}` : 'unnamed',
-                remainingContacts: currentContacts.length
+                remainingContacts
             }
         });
 
         console.log('Contact deleted successfully');
         res.status(200).send({ 
             message: 'Contact deleted successfully',
-            remainingContacts: currentContacts.length
+            deletedContactId: deletedContact.id,
+            remainingContacts
         });
     } catch (error) {
         // Log error with await
@@ -1015,7 +1069,7 @@ exports.deleteContactFromList = async (req, res) => {
             details: {
                 error: error.message,
                 operation: 'delete_contact_from_list',
-                contactIndex: contactIndex
+                contactId: contactKey
             }
         });
         
@@ -1026,3 +1080,287 @@ exports.deleteContactFromList = async (req, res) => {
         });
     }
 };
+
+/**
+ * Update one contact by its stable ID
+ * PATCH /Contacts/:id/contact/:contactId
+ */
+exports.updateContactInList = async (req, res) => {
+    const { id, contactId } = req.params;
+    const { contactInfo } = req.body;
+
+    if (!contactInfo || typeof contactInfo !== 'object') {
+        return res.status(400).send({
+            success: false,
+            message: 'Contact info is required'
+        });
+    }
+
+    try {
+        const permissionCheck = await checkContactPermissions(req.user.uid, 'delete', id);
+        if (!permissionCheck.allowed) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                reason: permissionCheck.reason
+            });
+        }
+
+        const contact = await contactStore.updateContact(id, contactId, contactInfo);
+        if (!contact) {
+            return res.status(404).send({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        try {
+            await contactCache.invalidateByPattern('enterprise:');
+        } catch (cacheError) {
+            console.warn('⚠️ Failed to invalidate contact cache:', cacheError.message);
+        }
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.CONTACT,
+            userId: req.user.uid,
+            resourceId: id,
+            details: {
+                operation: 'update_contact',
+                contactId,
+                fields: Object.keys(contactInfo)
+            }
+        });
+
+        res.status(200).send({
+            success: true,
+            message: 'Contact updated successfully',
+            contact: formatContact(contact)
+        });
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        res.status(500).send({
+            success: false,
+            message: 'Failed to update contact',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List probable duplicate groups in a contact list
+ * GET /Contacts/:id/duplicates
+ */
+exports.getDuplicateContacts = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const permissionCheck = await checkContactPermissions(req.user.uid, 'view', id);
+        if (!permissionCheck.allowed) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                reason: permissionCheck.reason
+            });
+        }
+
+        const [contactList, userDoc] = await Promise.all([
+            contactStore.listContacts(id),
+            db.collection('users').doc(id).get()
+        ]);
+
+        const groups = findDuplicateGroups(contactList).map(group => ({
+            contactIds: group.indices.map(index => contactList[index].id),
+            indices: group.indices,
+            matchedOn: group.reasons,
+            contacts: group.indices.map(index => ({
+                index,
+                ...formatContact(contactList[index])
+            }))
+        }));
+
+        res.status(200).send({
+            success: true,
+            duplicatePolicy: getDuplicatePolicy(userDoc.exists ? userDoc.data() : {}),
+            contactCount: contactList.length,
+            duplicateGroups: groups,
+            duplicateContacts: groups.reduce((count, group) => count + group.indices.length - 1, 0),
+            // Public submissions that only matched an existing contact by name
+            flaggedContactIds: contactList.filter(contact => contact.possibleDuplicate).map(contact => contact.id)
+        });
+    } catch (error) {
+        console.error('Error finding duplicate contacts:', error);
+        res.status(500).send({
+            success: false,
+            message: 'Failed to find duplicate contacts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Merge duplicate contacts. Body: { groups: [[contactId, contactId], ...] } to merge
+ * specific contacts (list indices are still accepted); omit groups to merge every
+ * detected duplicate group. Each group collapses into its first contact in list order.
+ * POST /Contacts/:id/duplicates/merge
+ */
+exports.mergeDuplicateContacts = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const permissionCheck = await checkContactPermissions(req.user.uid, 'delete', id);
+        if (!permissionCheck.allowed) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied',
+                reason: permissionCheck.reason
+            });
+        }
+
+        const contactList = await contactStore.listContacts(id);
+        const requestedGroups = req.body.groups
+            ? req.body.groups
+            : findDuplicateGroups(contactList).map(group => group.indices);
+
+        // Resolve indices to IDs, then validate: 2+ known contacts per group, none in two groups
+        const knownIds = new Set(contactList.map(contact => contact.id));
+        const seen = new Set();
+        const groups = Array.isArray(requestedGroups) ? requestedGroups.map(group => (
+            Array.isArray(group)
+                ? group.map(key => (Number.isInteger(key) ? contactList[key]?.id : key))
+                : null
+        )) : null;
+        const invalid = !groups || groups.some(group =>
+            !group || group.length < 2 || group.some(contactId => {
+                const valid = typeof contactId === 'string' && knownIds.has(contactId) && !seen.has(contactId);
+                seen.add(contactId);
+                return !valid;
+            })
+        );
+        if (invalid) {
+            return res.status(400).send({
+                success: false,
+                message: 'groups must be arrays of at least two distinct, existing contact IDs or indices'
+            });
+        }
+
+        if (groups.length === 0) {
+            return res.status(200).send({
+                success: true,
+                message: 'No duplicate contacts to merge',
+                mergedGroups: 0,
+                contactCount: contactList.length
+            });
+        }
+
+        const result = await contactStore.mergeContactGroups(id, groups);
+        if (!result) {
+            return res.status(409).send({
+                success: false,
+                message: 'Contacts changed while merging, please reload and try again'
+            });
+        }
+
+        try {
+            await contactCache.invalidateByPattern('enterprise:');
+        } catch (cacheError) {
+            console.warn('⚠️ Failed to invalidate contact cache:', cacheError.message);
+        }
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.CONTACT,
+            userId: req.user.uid,
+            resourceId: id,
+            details: {
+                operation: 'merge_duplicate_contacts',
+                mergedGroups: groups.length,
+                mergedContactIds: result.merged.map(contact => contact.id),
+                removedContacts: result.removedIds.length,
+                remainingContacts: result.contactCount
+            }
+        });
+
+        res.status(200).send({
+            success: true,
+            message: `Merged ${groups.length} duplicate group(s)`,
+            mergedGroups: groups.length,
+            removedContacts: result.removedIds.length,
+            removedContactIds: result.removedIds,
+            contactCount: result.contactCount,
+            mergedContacts: result.merged.map(formatContact)
+        });
+    } catch (error) {
+        await logActivity({
+            action: ACTIONS.ERROR,
+            resource: RESOURCES.CONTACT,
+            userId: req.user?.uid,
+            resourceId: id,
+            status: 'error',
+            details: {
+                error: error.message,
+                operation: 'merge_duplicate_contacts'
+            }
+        });
+
+        console.error('Error merging duplicate contacts:', error);
+        res.status(500).send({
+            success: false,
+            message: 'Failed to merge duplicate contacts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set how duplicates are handled when someone saves their details to this user
+ * PUT /Contacts/:id/duplicate-policy  { policy: 'merge' | 'reject' | 'keep_both' }
+ */
+exports.updateDuplicatePolicy = async (req, res) => {
+    const { id } = req.params;
+    const { policy } = req.body;
+
+    if (id !== req.user.uid) {
+        return res.status(403).json({
+            success: false,
+            message: 'You can only change your own duplicate policy'
+        });
+    }
+
+    if (!Object.values(DUPLICATE_POLICIES).includes(policy)) {
+        return res.status(400).send({
+            success: false,
+            message: `Invalid policy. Supported: ${Object.values(DUPLICATE_POLICIES).join(', ')}`
+        });
+    }
+
+    try {
+        await db.collection('users').doc(id).update({
+            contactDuplicatePolicy: policy
+        });
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.USER,
+            userId: id,
+            resourceId: id,
+            details: {
+                operation: 'update_contact_duplicate_policy',
+                policy
+            }
+        });
+
+        res.status(200).send({
+            success: true,
+            message: 'Duplicate policy updated',
+            duplicatePolicy: policy
+        });
+    } catch (error) {
+        console.error('Error updating duplicate policy:', error);
+        res.status(500).send({
+            success: false,
+            message: 'Failed to update duplicate policy',
+            error: error.message
+        });
+    }
+};
@@ -9,7 +9,7 @@ const { logActivity, ACTIONS, RESOURCES } = require('../../utils/logger');
 
 /**
  * Process activity logs to detect security issues
- * This function should be called periodically (e.g., every 5 minutes)
+ * Run hourly by the 'alert-detection' scheduled job (utils/jobScheduler.js)
  */
 exports.processActivityLogsForAlerts = async () => {
   try {
@@ -77,6 +77,7 @@ exports.processActivityLogsForAlerts = async () => {
 
   } catch (error) {
     console.error('❌ [AlertDetection] Error processing activity logs for alerts:', error);
+    throw error;
   }
 };
 
@@ -107,6 +108,9 @@ async function processEnterpriseLogsForAlerts(enterpriseId, logs, oneDayAgo) {
     
     // 7. Check for bulk operations
     await checkBulkOperations(enterpriseId, logs);
+    
+    // 8. Check for large data exports
+    await checkLargeDataExports(enterpriseId, logs);
 
   } catch (error) {
     console.error(`❌ [AlertDetection] Error processing enterprise ${enterpriseId} logs:`, error);
@@ -490,6 +494,68 @@ async function checkBulkOperations(enterpriseId, logs) {
   }
 }
 
+/**
+ * Check for large data exports (a user exporting more than LARGE_EXPORT_THRESHOLD records in 1 hour)
+ */
+async function checkLargeDataExports(enterpriseId, logs) {
+  try {
+    const threshold = parseInt(process.env.LARGE_EXPORT_THRESHOLD || '500', 10);
+
+    // Group exported record counts by user
+    const userExports = {};
+    logs.forEach(log => {
+      if (log.action !== ACTIONS.EXPORT || !log.userId || log.userId === 'system') return;
+      const recordCount = Number(log.details?.recordCount) || 0;
+      if (!userExports[log.userId]) {
+        userExports[log.userId] = { recordCount: 0, logs: [] };
+      }
+      userExports[log.userId].recordCount += recordCount;
+      userExports[log.userId].logs.push(log);
+    });
+
+    for (const [userId, exports] of Object.entries(userExports)) {
+      if (exports.recordCount >= threshold) {
+        // Check for existing alert
+        const existingAlert = await checkExistingAlert(
+          enterpriseId, 
+          SECURITY_ALERT_TYPES.LARGE_DATA_EXPORT, 
+          userId, 
+          60 * 60 * 1000 // 1 hour
+        );
+
+        if (!existingAlert) {
+          const userInfo = exports.logs[0];
+          await createSecurityAlert({
+            enterpriseId: enterpriseId,
+            type: SECURITY_ALERT_TYPES.LARGE_DATA_EXPORT,
+            severity: SEVERITY_LEVELS.MEDIUM,
+            title: 'Large Data Export Detected',
+            description: `User ${userInfo.userName || userInfo.userEmail} exported ${exports.recordCount} records in the last hour.`,
+            userId: userId,
+            metadata: {
+              recordCount: exports.recordCount,
+              exportCount: exports.logs.length,
+              threshold: threshold,
+              timeWindow: '1 hour',
+              exports: exports.logs.map(log => ({
+                resource: log.resource,
+                resourceId: log.resourceId,
+                format: log.details?.format,
+                recordCount: log.details?.recordCount
+              })),
+              logEntryIds: exports.logs.map(log => log.id)
+            }
+          });
+          
+          console.log(`🚨 [AlertDetection] Created large data export alert for user ${userId}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error checking large data exports:', error);
+  }
+}
+
 /**
  * Check if an alert already exists
  */
@@ -535,24 +601,3 @@ async function checkExistingAlert(enterpriseId, alertType, userId, timeWindowMs,
     return null;
   }
 }
-
-/**
- * Initialize alert detection - start periodic processing
- */
-exports.initializeAlertDetection = () => {
-  console.log('🚀 [AlertDetection] Initializing security alert detection service...');
-  
-  // Process logs every 1 hours
-  const PROCESS_INTERVAL = 1 * 60 * 60 * 1000; // 1 hours
-  
-  setInterval(() => {
-    exports.processActivityLogsForAlerts();
-  }, PROCESS_INTERVAL);
-  
-  // Initial processing
-  setTimeout(() => {
-    exports.processActivityLogsForAlerts();
-  }, 10000); // Start after 10 seconds
-  
-  console.log('✅ [AlertDetection] Alert detection service initialized');
-};
\ No newline at end of file
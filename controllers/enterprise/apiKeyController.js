@@ -0,0 +1,161 @@
+const { db, admin } = require('../../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../../utils/logger');
+const { isEnterpriseAdmin } = require('../helpers/enterpriseAdminHelper');
+const { API_KEYS_COLLECTION, API_KEY_SCOPES, generateApiKey, findUnknownScopes } = require('../../utils/apiKeys');
+
+const MAX_EXPIRY_DAYS = 730;
+
+const toIsoString = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+const formatApiKey = (doc) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        name: data.name,
+        lastFour: data.lastFour,
+        scopes: data.scopes,
+        createdBy: data.createdBy,
+        createdAt: toIsoString(data.createdAt),
+        expiresAt: toIsoString(data.expiresAt),
+        lastUsedAt: toIsoString(data.lastUsedAt),
+        lastUsedIp: data.lastUsedIp || null,
+        revokedAt: toIsoString(data.revokedAt)
+    };
+};
+
+/**
+ * Create an API key for the enterprise. The key acts on behalf of the creating admin
+ * within its scopes; the plaintext key is only returned in this response.
+ * Body: name, scopes[], expiresInDays (optional)
+ */
+exports.createApiKey = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const userId = req.user.uid;
+        const { scopes, expiresInDays } = req.body;
+        const name = String(req.body.name || '').trim().slice(0, 100);
+
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage API keys' });
+        }
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'name is required' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `scopes must be a non-empty array. Available scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+            });
+        }
+        const unknownScopes = findUnknownScopes(scopes);
+        if (unknownScopes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown scope(s): ${unknownScopes.join(', ')}. Available scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+            });
+        }
+
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+                return res.status(400).json({ success: false, message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+            }
+            expiresAt = admin.firestore.Timestamp.fromDate(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+        }
+
+        const { key, keyHash, lastFour } = generateApiKey();
+        const keyRef = db.collection(API_KEYS_COLLECTION).doc(keyHash);
+        await keyRef.set({
+            enterpriseId,
+            name,
+            lastFour,
+            scopes: [...new Set(scopes)],
+            createdBy: userId,
+            createdAt: admin.firestore.Timestamp.now(),
+            expiresAt,
+            lastUsedAt: null,
+            lastUsedIp: null,
+            revokedAt: null
+        });
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.API_KEY,
+            userId,
+            resourceId: keyHash,
+            enterpriseId,
+            details: { name, scopes, lastFour, expiresAt: toIsoString(expiresAt) }
+        });
+
+        console.log(`🔑 API key "${name}" created for enterprise ${enterpriseId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now; it will not be shown again.',
+            data: { ...formatApiKey(await keyRef.get()), key }
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ success: false, message: 'Failed to create API key', error: error.message });
+    }
+};
+
+exports.listApiKeys = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        if (!(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage API keys' });
+        }
+
+        const snapshot = await db.collection(API_KEYS_COLLECTION).where('enterpriseId', '==', enterpriseId).get();
+        res.status(200).json({
+            success: true,
+            data: {
+                apiKeys: snapshot.docs.map(formatApiKey),
+                availableScopes: API_KEY_SCOPES
+            }
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ success: false, message: 'Failed to list API keys', error: error.message });
+    }
+};
+
+exports.revokeApiKey = async (req, res) => {
+    try {
+        const { enterpriseId, keyId } = req.params;
+        const userId = req.user.uid;
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage API keys' });
+        }
+
+        const keyRef = db.collection(API_KEYS_COLLECTION).doc(keyId);
+        const keyDoc = await keyRef.get();
+        if (!keyDoc.exists || keyDoc.data().enterpriseId !== enterpriseId) {
+            return res.status(404).json({ success: false, message: 'API key not found' });
+        }
+
+        if (!keyDoc.data().revokedAt) {
+            await keyRef.update({ revokedAt: admin.firestore.Timestamp.now(), revokedBy: userId });
+            await logActivity({
+                action: ACTIONS.DELETE,
+                resource: RESOURCES.API_KEY,
+                userId,
+                resourceId: keyId,
+                enterpriseId,
+                details: { name: keyDoc.data().name }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked',
+            data: formatApiKey(await keyRef.get())
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke API key', error: error.message });
+    }
+};
@@ -1,32 +1,104 @@
 const { db, admin } = require('../../firebase.js');
-
-// In-memory cache with TTL
-class ContactCache {    constructor() {
-        this.cache = new Map();
+const crypto = require('crypto');
+const { MemoryCacheStore, createSharedCacheStore } = require('../../utils/cache');
+const contactStore = require('../../utils/contactStore');
+
+// Two-tier cache with TTL: an in-process store, optionally in front of a shared
+// store (CONTACT_CACHE_BACKEND=redis) that every server instance reads and
+// invalidates through pub/sub
+class ContactCache {    constructor({ sharedStore = createSharedCacheStore() } = {}) {
+        this.instanceId = crypto.randomUUID();
+        this.maxCacheSize = 1000; // PHASE 4: Maximum cache entries
+        this.local = new MemoryCacheStore({ maxEntries: this.maxCacheSize });
+        this.shared = sharedStore;
         this.warmingFlags = new Map(); // Prevent duplicate calculations
         this.defaultTTL = 60 * 60 * 1000; // 1 hour in milliseconds
-        this.maxCacheSize = 1000; // PHASE 4: Maximum cache entries
         this.hitCount = 0; // PHASE 4: Performance metrics
         this.missCount = 0;
         this.lastCleanup = null; // PHASE 6: Track cleanup times
+
+        // Local copies of shared entries are capped so a missed pub/sub message only means brief staleness
+        this.localTTLCap = parseInt(process.env.CONTACT_CACHE_LOCAL_TTL_MS || String(5 * 60 * 1000));
         
         // PHASE 6: Configurable TTL settings
         this.ttlSettings = {
             enterprise: 60 * 60 * 1000,      // 1 hour for enterprise data
             department: 30 * 60 * 1000,      // 30 minutes for department data
             highActivity: 15 * 60 * 1000,    // 15 minutes for high-activity enterprises
-            lowActivity: 2 * 60 * 60 * 1000  // 2 hours for low-activity enterprises
+            lowActivity: 2 * 60 * 60 * 1000, // 2 hours for low-activity enterprises
+            stats: 15 * 60 * 1000            // 15 minutes for dashboard stats (scans don't invalidate them)
         };
+
+        if (this.shared) {
+            console.log(`ContactCache using shared "${this.shared.name}" backend`);
+            this.shared.subscribe((event) => this.handleSharedEvent(event));
+            if (typeof this.shared.onReady === 'function') {
+                this.shared.onReady(() => this.loadSharedConfig());
+            } else {
+                this.loadSharedConfig();
+            }
+        }
         
         // Cleanup expired entries every 10 minutes
         setInterval(() => {
             this.cleanup();
-        }, 10 * 60 * 1000);
+        }, 10 * 60 * 1000).unref();
         
         // PHASE 4: Memory monitoring every 5 minutes
         setInterval(() => {
             this.checkMemoryUsage();
-        }, 5 * 60 * 1000);
+        }, 5 * 60 * 1000).unref();
+    }
+
+    get backendName() {
+        return this.shared ? this.shared.name : 'memory';
+    }
+
+    // Run an operation against the shared store; the local tier keeps working if it fails
+    async withShared(operation, fallback = null) {
+        if (!this.shared) return fallback;
+        // Connection errors are already logged by the backend; don't add one per request
+        if (this.shared.isReady && !this.shared.isReady()) return fallback;
+        try {
+            return await operation(this.shared);
+        } catch (error) {
+            console.error(`ContactCache ${this.shared.name} backend error:`, error.message);
+            return fallback;
+        }
+    }
+
+    // Apply invalidation and config events published by other instances
+    handleSharedEvent(event) {
+        if (!event || event.origin === this.instanceId) return;
+
+        switch (event.type) {
+            case 'invalidate':
+                this.local.delete(event.key);
+                break;
+            case 'invalidatePattern':
+                this.local.deleteByPatternSync(event.pattern);
+                break;
+            case 'clear':
+                this.local.clear();
+                this.warmingFlags.clear();
+                break;
+            case 'config':
+                this.ttlSettings = { ...this.ttlSettings, ...event.ttlSettings };
+                break;
+            default:
+                break;
+        }
+    }
+
+    async publish(event) {
+        await this.withShared(store => store.publish({ ...event, origin: this.instanceId }));
+    }
+
+    async loadSharedConfig() {
+        const config = await this.withShared(store => store.getConfig());
+        if (config && config.ttlSettings) {
+            this.ttlSettings = { ...this.ttlSettings, ...config.ttlSettings };
+        }
     }
 
     generateKey(enterpriseId, departmentId = null) {
@@ -34,62 +106,120 @@ class ContactCache {    constructor() {
             return `enterprise:${enterpriseId}:department:${departmentId}:contacts`;
         }
         return `enterprise:${enterpriseId}:contacts`;
-    }    get(key) {
-        const entry = this.cache.get(key);
-        if (!entry) {
-            this.missCount++; // PHASE 4: Track misses
-            return null;
+    }
+
+    // Dashboard stats (enterpriseController.getEnterpriseStats), one entry per period
+    generateStatsKey(enterpriseId, period) {
+        return `enterprise:${enterpriseId}:stats:${period}`;
+    }
+
+    async get(key) {
+        let entry = this.local.getSync(key);
+
+        if (!entry && this.shared) {
+            entry = await this.withShared(store => store.get(key));
+            if (entry && Date.now() <= entry.expiresAt) {
+                await this.local.set(key, this.toLocalEntry(entry));
+            } else {
+                entry = null;
+            }
         }
 
-        // Check if expired
-        if (Date.now() > entry.expiresAt) {
-            this.cache.delete(key);
+        if (!entry) {
             this.missCount++; // PHASE 4: Track misses
             return null;
         }
 
         this.hitCount++; // PHASE 4: Track hits
-        entry.accessCount++; // PHASE 6: Track access frequency
+        entry.accessCount = (entry.accessCount || 0) + 1; // PHASE 6: Track access frequency
         entry.lastAccessed = Date.now(); // PHASE 6: Update last access time
         return entry.data;
-    }set(key, data, ttl = this.defaultTTL) {
-        // PHASE 4: Enforce cache size limits
-        if (this.cache.size >= this.maxCacheSize) {
-            this.evictOldestEntries(Math.floor(this.maxCacheSize * 0.1)); // Remove 10% of entries
-        }
-        
+    }
+
+    // Return an entry even if it has expired (fallback when recalculation fails)
+    getStale(key) {
+        return this.local.peek(key);
+    }
+
+    toLocalEntry(entry) {
+        return {
+            ...entry,
+            expiresAt: Math.min(entry.expiresAt, Date.now() + this.localTTLCap),
+            accessCount: 0,
+            lastAccessed: Date.now()
+        };
+    }
+
+    async set(key, data, ttl = this.defaultTTL) {
         // PHASE 6: Smart TTL selection based on data type
         let smartTTL = ttl;
-        if (key.includes('department:')) {
+        if (key.includes(':stats:')) {
+            smartTTL = this.ttlSettings.stats;
+        } else if (key.includes('department:')) {
             smartTTL = this.ttlSettings.department;
         } else if (key.includes('enterprise:')) {
             smartTTL = this.ttlSettings.enterprise;
         }
         
-        this.cache.set(key, {
+        const entry = {
             data,
             createdAt: Date.now(),
             expiresAt: Date.now() + smartTTL,
             accessCount: 0, // PHASE 4: Track access frequency
             lastAccessed: Date.now() // PHASE 6: Track last access
-        });
+        };
+
+        await this.withShared(store => store.set(key, entry));
+        await this.local.set(key, this.shared ? this.toLocalEntry(entry) : entry);
     }
 
-    invalidate(key) {
-        this.cache.delete(key);
+    async invalidate(key) {
+        await this.local.delete(key);
+        await this.withShared(store => store.delete(key));
+        await this.publish({ type: 'invalidate', key });
         console.log(`Cache invalidated: ${key}`);
     }
 
-    invalidateByPattern(pattern) {
-        const keys = Array.from(this.cache.keys());
-        const matchingKeys = keys.filter(key => key.includes(pattern));
-        
-        matchingKeys.forEach(key => {
-            this.cache.delete(key);
+    async invalidateByPattern(pattern) {
+        const localCount = await this.local.deleteByPattern(pattern);
+        const sharedCount = await this.withShared(store => store.deleteByPattern(pattern), 0);
+        await this.publish({ type: 'invalidatePattern', pattern });
+
+        const count = Math.max(localCount, sharedCount);
+        console.log(`Cache invalidated by pattern "${pattern}": ${count} entries`);
+        return count;
+    }
+
+    async clear() {
+        const localCount = await this.local.clear();
+        const sharedCount = await this.withShared(store => store.clear(), 0);
+        this.warmingFlags.clear();
+        await this.publish({ type: 'clear' });
+        return Math.max(localCount, sharedCount);
+    }
+
+    async updateTTLSettings(ttlSettings) {
+        this.ttlSettings = { ...this.ttlSettings, ...ttlSettings };
+        await this.withShared(store => store.setConfig({ ttlSettings: this.ttlSettings }));
+        await this.publish({ type: 'config', ttlSettings: this.ttlSettings });
+        return this.ttlSettings;
+    }
+
+    // Entries as seen by this backend: shared entries (with local access counts) or the local store
+    async getEntries() {
+        const localEntries = await this.local.entries();
+        if (!this.shared) return localEntries;
+
+        const sharedEntries = await this.withShared(store => store.entries(), null);
+        if (!sharedEntries) return localEntries;
+
+        const localByKey = new Map(localEntries);
+        return sharedEntries.map(([key, entry]) => {
+            const localEntry = localByKey.get(key);
+            return [key, localEntry
+                ? { ...entry, accessCount: localEntry.accessCount, lastAccessed: localEntry.lastAccessed }
+                : entry];
         });
-        
-        console.log(`Cache invalidated by pattern "${pattern}": ${matchingKeys.length} entries`);
-        return matchingKeys.length;
     }
 
     setWarmingFlag(key) {
@@ -113,15 +243,9 @@ class ContactCache {    constructor() {
         this.warmingFlags.delete(key);
     }    cleanup() {
         const now = Date.now();
-        let cleaned = 0;
 
-        // Clean expired cache entries
-        for (const [key, entry] of this.cache.entries()) {
-            if (now > entry.expiresAt) {
-                this.cache.delete(key);
-                cleaned++;
-            }
-        }
+        // Clean expired cache entries (the shared backend expires its own)
+        const cleaned = this.local.cleanup();
 
         // Clean expired warming flags
         for (const [key, warmingTime] of this.warmingFlags.entries()) {
@@ -137,13 +261,7 @@ class ContactCache {    constructor() {
         }
     }// PHASE 4: Memory management methods
     evictOldestEntries(count) {
-        const entries = Array.from(this.cache.entries());
-        entries.sort((a, b) => a[1].createdAt - b[1].createdAt); // Sort by creation time
-        
-        for (let i = 0; i < count && i < entries.length; i++) {
-            this.cache.delete(entries[i][0]);
-        }
-        
+        this.local.evictOldest(count);
         console.log(`Evicted ${count} oldest cache entries to manage memory`);
     }
     
@@ -154,14 +272,14 @@ class ContactCache {    constructor() {
         // If heap usage > 500MB, aggressively clean cache
         if (heapUsedMB > 500) {
             console.log(`High memory usage detected (${heapUsedMB.toFixed(2)}MB), cleaning cache`);
-            this.evictOldestEntries(Math.floor(this.cache.size * 0.5)); // Remove 50% of entries
+            this.evictOldestEntries(Math.floor(this.local.entriesMap.size * 0.5)); // Remove 50% of entries
         }
-    }    getStats() {
+    }    async getStats() {
         const memUsage = process.memoryUsage();
         const now = Date.now();
         
         // PHASE 6: Enhanced performance metrics
-        const cacheEntries = Array.from(this.cache.entries());
+        const cacheEntries = await this.getEntries();
         const avgAge = cacheEntries.length > 0 
             ? cacheEntries.reduce((sum, [, entry]) => sum + (now - entry.createdAt), 0) / cacheEntries.length / 1000
             : 0;
@@ -170,11 +288,14 @@ class ContactCache {    constructor() {
         
         return {
             // Basic stats
-            totalEntries: this.cache.size,
+            backend: this.backendName,
+            backendConnected: this.shared ? Boolean(this.shared.isReady && this.shared.isReady()) : true,
+            totalEntries: cacheEntries.length,
+            localEntries: this.local.entriesMap.size,
             warmingFlags: this.warmingFlags.size,
             maxCacheSize: this.maxCacheSize,
             
-            // Performance metrics
+            // Performance metrics (per instance)
             hitCount: this.hitCount,
             missCount: this.missCount,
             hitRate: this.hitCount + this.missCount > 0 ? (this.hitCount / (this.hitCount + this.missCount) * 100).toFixed(2) + '%' : '0%',
@@ -227,7 +348,7 @@ exports.getEnterpriseContactsSummary = async (req, res) => {
         const cacheKey = contactCache.generateKey(enterpriseId);
         
         // Check cache first
-        const cachedData = contactCache.get(cacheKey);
+        const cachedData = await contactCache.get(cacheKey);
         if (cachedData) {
             console.log(`Cache HIT for enterprise ${enterpriseId}`);
             return res.status(200).send({
@@ -249,7 +370,7 @@ exports.getEnterpriseContactsSummary = async (req, res) => {
                 retryCount++;
                 
                 // Check if cache was populated during wait
-                const warmedData = contactCache.get(cacheKey);
+                const warmedData = await contactCache.get(cacheKey);
                 if (warmedData) {
                     console.log(`Cache warmed after ${retryCount * 100}ms wait for enterprise ${enterpriseId}`);
                     return res.status(200).send({
@@ -279,7 +400,7 @@ exports.getEnterpriseContactsSummary = async (req, res) => {
             const summary = await calculateEnterpriseContactsSummary(enterpriseId);
             
             // Cache the result
-            contactCache.set(cacheKey, summary);
+            await contactCache.set(cacheKey, summary);
             
             // Clear warming flag
             contactCache.clearWarmingFlag(cacheKey);
@@ -298,7 +419,7 @@ exports.getEnterpriseContactsSummary = async (req, res) => {
             console.error(`Calculation error for enterprise ${enterpriseId}:`, calculationError);
             
             // Try to return stale cached data if available
-            const staleData = contactCache.cache.get(cacheKey);
+            const staleData = contactCache.getStale(cacheKey);
             if (staleData && staleData.data) {
                 console.log(`Returning stale cached data for enterprise ${enterpriseId} due to calculation error`);
                 return res.status(200).send({
@@ -347,7 +468,7 @@ exports.getDepartmentContactsSummary = async (req, res) => {
         const cacheKey = contactCache.generateKey(enterpriseId, departmentId);
         
         // Check cache first
-        const cachedData = contactCache.get(cacheKey);
+        const cachedData = await contactCache.get(cacheKey);
         if (cachedData) {
             console.log(`Cache HIT for department ${departmentId} in enterprise ${enterpriseId}`);
             return res.status(200).send({
@@ -368,7 +489,7 @@ exports.getDepartmentContactsSummary = async (req, res) => {
             const summary = await calculateDepartmentContactsSummary(enterpriseId, departmentId);
             
             // Cache the result
-            contactCache.set(cacheKey, summary);
+            await contactCache.set(cacheKey, summary);
             
             // Clear warming flag
             contactCache.clearWarmingFlag(cacheKey);
@@ -414,7 +535,7 @@ exports.getEnterpriseContactsWithDetails = async (req, res) => {
         const cacheKey = `${contactCache.generateKey(enterpriseId)}:details:${sortBy}:${sortOrder}:${limit || 'all'}:${offset}`;
         
         // Try to get from cache first
-        const cachedData = contactCache.get(cacheKey);
+        const cachedData = await contactCache.get(cacheKey);
         if (cachedData) {
             console.log(`✅ Cache HIT for enterprise ${enterpriseId} contact details`);
             return res.status(200).send({
@@ -453,7 +574,7 @@ exports.getEnterpriseContactsWithDetails = async (req, res) => {
             };
             
             // Cache the empty result
-            contactCache.set(cacheKey, emptyResult);
+            await contactCache.set(cacheKey, emptyResult);
             
             return res.status(200).send({
                 success: true,
@@ -499,15 +620,13 @@ exports.getEnterpriseContactsWithDetails = async (req, res) => {
                 // Fetch contacts for this employee
                 if (empData.userId) {
                     try {
-                        const contactsRef = db.collection('contacts').doc(empData.userId.id);
-                        const contactsDoc = await contactsRef.get();
+                        const contactList = await contactStore.listContacts(empData.userId.id);
                         
-                        if (contactsDoc.exists && contactsDoc.data().contactList) {
-                            const contactList = contactsDoc.data().contactList || [];
+                        if (contactList.length > 0) {
                             
                             // Format each contact with full details
-                            const formattedContacts = contactList.map((contact, index) => ({
-                                contactId: `${empData.userId.id}_${index}`,
+                            const formattedContacts = contactList.map(contact => ({
+                                contactId: contact.id,
                                 name: contact.name || '',
                                 surname: contact.surname || '',
                                 fullName: `${contact.name || ''} ${contact.surname || ''}`.trim(),
@@ -636,7 +755,7 @@ exports.getEnterpriseContactsWithDetails = async (req, res) => {
         };
 
         // Cache the result
-        contactCache.set(cacheKey, responseData);
+        await contactCache.set(cacheKey, responseData);
         
         console.log(`✅ Enterprise ${enterpriseId} contact details calculated and cached in ${calculationTime}`);
 
@@ -675,7 +794,7 @@ exports.getDepartmentContactsWithDetails = async (req, res) => {
         const cacheKey = `${contactCache.generateKey(enterpriseId, departmentId)}:details:${sortBy}:${sortOrder}:${limit || 'all'}:${offset}`;
         
         // Try to get from cache first
-        const cachedData = contactCache.get(cacheKey);
+        const cachedData = await contactCache.get(cacheKey);
         if (cachedData) {
             console.log(`✅ Cache HIT for department ${departmentId} contact details`);
             return res.status(200).send({
@@ -722,7 +841,7 @@ exports.getDepartmentContactsWithDetails = async (req, res) => {
             };
             
             // Cache the empty result
-            contactCache.set(cacheKey, emptyResult);
+            await contactCache.set(cacheKey, emptyResult);
             
             return res.status(200).send({
                 success: true,
@@ -758,15 +877,13 @@ exports.getDepartmentContactsWithDetails = async (req, res) => {
             // Fetch contacts for this employee
             if (empData.userId) {
                 try {
-                    const contactsRef = db.collection('contacts').doc(empData.userId.id);
-                    const contactsDoc = await contactsRef.get();
+                    const contactList = await contactStore.listContacts(empData.userId.id);
                     
-                    if (contactsDoc.exists && contactsDoc.data().contactList) {
-                        const contactList = contactsDoc.data().contactList || [];
+                    if (contactList.length > 0) {
                         
                         // Format each contact with full details
-                        const formattedContacts = contactList.map((contact, index) => ({
-                            contactId: `${empData.userId.id}_${index}`,
+                        const formattedContacts = contactList.map(contact => ({
+                            contactId: contact.id,
                             name: contact.name || '',
                             surname: contact.surname || '',
                             fullName: `${contact.name || ''} ${contact.surname || ''}`.trim(),
@@ -880,7 +997,7 @@ exports.getDepartmentContactsWithDetails = async (req, res) => {
         };
 
         // Cache the result
-        contactCache.set(cacheKey, responseData);
+        await contactCache.set(cacheKey, responseData);
         
         console.log(`✅ Department ${departmentId} contact details calculated and cached in ${calculationTime}`);
 
@@ -947,13 +1064,7 @@ async function calculateEnterpriseContactsSummary(enterpriseId) {
             
             if (userId) {
                 try {
-                    const contactsRef = db.collection('contacts').doc(userId);
-                    const contactsDoc = await contactsRef.get();
-                    
-                    if (contactsDoc.exists && contactsDoc.data().contactList) {
-                        const contactCount = contactsDoc.data().contactList.length || 0;
-                        departmentContactCount += contactCount;
-                    }
+                    departmentContactCount += await contactStore.countContacts(userId);
                 } catch (contactError) {
                     console.error(`Error fetching contacts for employee ${empDoc.id}:`, contactError);
                 }
@@ -1031,12 +1142,7 @@ async function calculateDepartmentContactsSummary(enterpriseId, departmentId) {
 
         if (userId) {
             try {
-                const contactsRef = db.collection('contacts').doc(userId);
-                const contactsDoc = await contactsRef.get();
-                
-                if (contactsDoc.exists && contactsDoc.data().contactList) {
-                    contactCount = contactsDoc.data().contactList.length || 0;
-                }
+                contactCount = await contactStore.countContacts(userId);
             } catch (contactError) {
                 console.error(`Error fetching contacts for employee ${empDoc.id}:`, contactError);
             }
@@ -1170,10 +1276,9 @@ async function calculateDepartmentContactsWithDetails(enterpriseId, departmentId
         let contacts = [];
         if (userId) {
             // Query contacts collection for this user
-            const contactDoc = await db.collection('contacts').doc(userId).get();
+            const contactList = await contactStore.listContacts(userId);
             
-            if (contactDoc.exists) {
-                const contactList = contactDoc.data().contactList || [];
+            if (contactList.length > 0) {
                 
                 // Format contact details (remove sensitive info if needed)
                 contacts = contactList.map(contact => ({
@@ -1217,38 +1322,41 @@ async function calculateDepartmentContactsWithDetails(enterpriseId, departmentId
 /**
  * Invalidate cache for an enterprise (used when contacts are added/removed)
  */
-exports.invalidateEnterpriseCache = (enterpriseId) => {
+exports.invalidateEnterpriseCache = async (enterpriseId) => {
     if (!enterpriseId) return;
     
     // Invalidate enterprise-wide cache
     const enterpriseKey = contactCache.generateKey(enterpriseId);
-    contactCache.invalidate(enterpriseKey);
+    await contactCache.invalidate(enterpriseKey);
     
     // Invalidate all department caches for this enterprise
-    contactCache.invalidateByPattern(`enterprise:${enterpriseId}:department:`);
+    await contactCache.invalidateByPattern(`enterprise:${enterpriseId}:department:`);
+
+    // Dashboard stats count the same contacts and members
+    await contactCache.invalidateByPattern(`enterprise:${enterpriseId}:stats:`);
 };
 
 /**
  * Invalidate cache for a specific department
  */
-exports.invalidateDepartmentCache = (enterpriseId, departmentId) => {
+exports.invalidateDepartmentCache = async (enterpriseId, departmentId) => {
     if (!enterpriseId || !departmentId) return;
     
     // Invalidate department cache
     const deptKey = contactCache.generateKey(enterpriseId, departmentId);
-    contactCache.invalidate(deptKey);
+    await contactCache.invalidate(deptKey);
     
     // Also invalidate enterprise cache since department data changed
     const enterpriseKey = contactCache.generateKey(enterpriseId);
-    contactCache.invalidate(enterpriseKey);
+    await contactCache.invalidate(enterpriseKey);
 };
 
 /**
  * Get cache statistics (for monitoring)
  */
-exports.getCacheStats = (req, res) => {
+exports.getCacheStats = async (req, res) => {
     try {
-        const stats = contactCache.getStats();
+        const stats = await contactCache.getStats();
         res.status(200).send({
             success: true,
             cache: stats,
@@ -1262,11 +1370,9 @@ exports.getCacheStats = (req, res) => {
 /**
  * Clear all cache (for admin/debugging)
  */
-exports.clearAllCache = (req, res) => {
+exports.clearAllCache = async (req, res) => {
     try {
-        const beforeSize = contactCache.cache.size;
-        contactCache.cache.clear();
-        contactCache.warmingFlags.clear();
+        const beforeSize = await contactCache.clear();
         
         res.status(200).send({
             success: true,
@@ -1285,16 +1391,16 @@ exports.clearAllCache = (req, res) => {
 /**
  * Invalidate all caches for multiple enterprises
  */
-exports.invalidateMultipleEnterprises = (enterpriseIds) => {
+exports.invalidateMultipleEnterprises = async (enterpriseIds) => {
     if (!Array.isArray(enterpriseIds)) return 0;
     
     let invalidatedCount = 0;
-    enterpriseIds.forEach(enterpriseId => {
+    for (const enterpriseId of enterpriseIds) {
         if (enterpriseId) {
-            invalidateEnterpriseCache(enterpriseId);
+            await exports.invalidateEnterpriseCache(enterpriseId);
             invalidatedCount++;
         }
-    });
+    }
     
     console.log(`Batch invalidated caches for ${invalidatedCount} enterprises`);
     return invalidatedCount;
@@ -1303,9 +1409,9 @@ exports.invalidateMultipleEnterprises = (enterpriseIds) => {
 /**
  * Invalidate all department caches across all enterprises
  */
-exports.invalidateAllDepartmentCaches = (req, res) => {
+exports.invalidateAllDepartmentCaches = async (req, res) => {
     try {
-        const invalidatedCount = contactCache.invalidateByPattern('department:');
+        const invalidatedCount = await contactCache.invalidateByPattern('department:');
         
         res.status(200).send({
             success: true,
@@ -1335,12 +1441,12 @@ exports.warmCacheForEnterprises = async (req, res) => {
                 const cacheKey = contactCache.generateKey(enterpriseId);
                 
                 // Only warm if not already cached
-                if (!contactCache.get(cacheKey)) {
+                if (!await contactCache.get(cacheKey)) {
                     console.log(`Warming cache for enterprise ${enterpriseId}...`);
                     const startTime = Date.now();
                     
                     const summary = await calculateEnterpriseContactsSummary(enterpriseId);
-                    contactCache.set(cacheKey, summary);
+                    await contactCache.set(cacheKey, summary);
                     
                     warmingResults.push({
                         enterpriseId,
@@ -1382,7 +1488,7 @@ exports.warmCacheForEnterprises = async (req, res) => {
 /**
  * Update cache TTL settings
  */
-exports.updateCacheConfig = (req, res) => {
+exports.updateCacheConfig = async (req, res) => {
     try {
         const { ttlSettings } = req.body;
         
@@ -1394,8 +1500,8 @@ exports.updateCacheConfig = (req, res) => {
                 }
             }
             
-            // Update TTL settings
-            contactCache.ttlSettings = { ...contactCache.ttlSettings, ...ttlSettings };
+            // Update TTL settings (shared backends propagate them to every instance)
+            await contactCache.updateTTLSettings(ttlSettings);
             
             console.log('Cache TTL settings updated:', contactCache.ttlSettings);
         }
@@ -1419,6 +1525,7 @@ exports.getCacheConfig = (req, res) => {
         res.status(200).send({
             success: true,
             configuration: {
+                backend: contactCache.backendName,
                 ttlSettings: contactCache.ttlSettings,
                 maxCacheSize: contactCache.maxCacheSize,
                 defaultTTL: contactCache.defaultTTL
@@ -1433,14 +1540,15 @@ exports.getCacheConfig = (req, res) => {
 /**
  * Advanced cache analytics
  */
-exports.getCacheAnalytics = (req, res) => {
+exports.getCacheAnalytics = async (req, res) => {
     try {
-        const entries = Array.from(contactCache.cache.entries());
+        const entries = await contactCache.getEntries();
         const now = Date.now();
         
         // Analyze cache patterns
         const analytics = {
             // Basic metrics
+            backend: contactCache.backendName,
             totalEntries: entries.length,
             hitRate: contactCache.hitCount + contactCache.missCount > 0 
                 ? ((contactCache.hitCount / (contactCache.hitCount + contactCache.missCount)) * 100).toFixed(2) + '%' 
@@ -1486,6 +1594,7 @@ exports.getCacheAnalytics = (req, res) => {
 
 // Export cache instance for use in other modules
 module.exports.contactCache = contactCache;
+module.exports.ContactCache = ContactCache;
 
 // ================================
 // DETAILED CONTACT ENDPOINTS
@@ -1508,7 +1617,7 @@ const getEnterpriseContactsWithDetails = async (req, res) => {
         
         // Check cache first (with details suffix to separate from summary cache)
         const cacheKey = `enterprise_${enterpriseId}_contacts_details`;
-        const cachedData = contactCache.get(cacheKey);
+        const cachedData = await contactCache.get(cacheKey);
           if (cachedData) {
             console.log(`✅ Cache hit for enterprise ${enterpriseId} detailed contacts`);
             contactCache.hitCount++;
@@ -1570,35 +1679,29 @@ const getEnterpriseContactsWithDetails = async (req, res) => {
                         console.log(`👤 Processing employee: ${employeeData.firstName} ${employeeData.lastName} (${userId})`);
                         
                         // Get contacts for this user
-                        const contactsDoc = await admin.firestore()
-                            .collection('contacts')
-                            .doc(userId)
-                            .get();
-
-                        if (contactsDoc.exists) {
-                            const contactsData = contactsDoc.data();
-                            if (contactsData.contactList && Array.isArray(contactsData.contactList)) {
-                                // Add full contact details with employee context
-                                for (const contact of contactsData.contactList) {
-                                    const contactWithContext = {
-                                        ...contact,
-                                        ownerInfo: {
-                                            userId: userId,
-                                            firstName: employeeData.firstName,
-                                            lastName: employeeData.lastName,
-                                            email: employeeData.email,
-                                            department: departmentId,
-                                            jobTitle: employeeData.jobTitle
-                                        },
-                                        enterpriseId: enterpriseId
-                                    };
-                                    
-                                    departmentContacts.push(contactWithContext);
-                                    departmentContactCount++;
-                                    totalContacts++;
-                                }
-                                  console.log(`📞 Found ${contactsData.contactList.length} contacts for ${employeeData.firstName} ${employeeData.lastName}`);
+                        const contactList = (await contactStore.listContacts(userId)).map(contactStore.toLegacyContact);
+
+                        if (contactList.length > 0) {
+                            // Add full contact details with employee context
+                            for (const contact of contactList) {
+                                const contactWithContext = {
+                                    ...contact,
+                                    ownerInfo: {
+                                        userId: userId,
+                                        firstName: employeeData.firstName,
+                                        lastName: employeeData.lastName,
+                                        email: employeeData.email,
+                                        department: departmentId,
+                                        jobTitle: employeeData.jobTitle
+                                    },
+                                    enterpriseId: enterpriseId
+                                };
+                                
+                                departmentContacts.push(contactWithContext);
+                                departmentContactCount++;
+                                totalContacts++;
                             }
+                            console.log(`📞 Found ${contactList.length} contacts for ${employeeData.firstName} ${employeeData.lastName}`);
                         }
                     }
                 }
@@ -1630,7 +1733,7 @@ const getEnterpriseContactsWithDetails = async (req, res) => {
         };
 
         // Cache the detailed results
-        contactCache.set(cacheKey, detailedContactData);
+        await contactCache.set(cacheKey, detailedContactData);
         console.log(`💾 Cached detailed contacts for enterprise ${enterpriseId}`);
 
         res.status(200).send({
@@ -1665,7 +1768,7 @@ const getDepartmentContactsWithDetails = async (req, res) => {
         
         // Check cache first
         const cacheKey = `enterprise_${enterpriseId}_department_${departmentId}_contacts_details`;
-        const cachedData = contactCache.get(cacheKey);
+        const cachedData = await contactCache.get(cacheKey);
           if (cachedData) {
             console.log(`✅ Cache hit for department ${departmentId} detailed contacts`);
             contactCache.hitCount++;
@@ -1720,40 +1823,34 @@ const getDepartmentContactsWithDetails = async (req, res) => {
                 console.log(`👤 Processing employee: ${employeeData.firstName} ${employeeData.lastName} (${userId})`);
                 
                 // Get contacts for this user
-                const contactsDoc = await admin.firestore()
-                    .collection('contacts')
-                    .doc(userId)
-                    .get();
+                const contactList = (await contactStore.listContacts(userId)).map(contactStore.toLegacyContact);
 
                 let employeeContactCount = 0;
                 
-                if (contactsDoc.exists) {
-                    const contactsData = contactsDoc.data();
-                    if (contactsData.contactList && Array.isArray(contactsData.contactList)) {
-                        // Add full contact details with employee context
-                        for (const contact of contactsData.contactList) {
-                            const contactWithContext = {
-                                ...contact,
-                                ownerInfo: {
-                                    userId: userId,
-                                    firstName: employeeData.firstName,
-                                    lastName: employeeData.lastName,
-                                    email: employeeData.email,
-                                    department: departmentId,
-                                    departmentName: department.name,
-                                    jobTitle: employeeData.jobTitle
-                                },
-                                enterpriseId: enterpriseId,
-                                enterpriseName: enterpriseData.name
-                            };
-                            
-                            departmentContacts.push(contactWithContext);
-                            employeeContactCount++;
-                            contactCount++;
-                        }
+                if (contactList.length > 0) {
+                    // Add full contact details with employee context
+                    for (const contact of contactList) {
+                        const contactWithContext = {
+                            ...contact,
+                            ownerInfo: {
+                                userId: userId,
+                                firstName: employeeData.firstName,
+                                lastName: employeeData.lastName,
+                                email: employeeData.email,
+                                department: departmentId,
+                                departmentName: department.name,
+                                jobTitle: employeeData.jobTitle
+                            },
+                            enterpriseId: enterpriseId,
+                            enterpriseName: enterpriseData.name
+                        };
                         
-                        console.log(`📞 Found ${contactsData.contactList.length} contacts for ${employeeData.firstName} ${employeeData.lastName}`);
+                        departmentContacts.push(contactWithContext);
+                        employeeContactCount++;
+                        contactCount++;
                     }
+                    
+                    console.log(`📞 Found ${contactList.length} contacts for ${employeeData.firstName} ${employeeData.lastName}`);
                 }
 
                 employeeContactCounts[userId] = {
@@ -1780,7 +1877,7 @@ const getDepartmentContactsWithDetails = async (req, res) => {
         };
 
         // Cache the detailed results
-        contactCache.set(cacheKey, departmentContactData);
+        await contactCache.set(cacheKey, departmentContactData);
         console.log(`💾 Cached detailed contacts for department ${departmentId}`);
 
         res.status(200).send({
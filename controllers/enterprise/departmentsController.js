@@ -2,6 +2,11 @@ const { db, admin } = require('../../firebase.js');
 const { sendMailWithStatus } = require('../../public/Utils/emailService');
 const { invalidateEnterpriseCache } = require('./contactAggregationController'); // PHASE 5: Cache invalidation
 const { logActivity, ACTIONS, RESOURCES } = require('../../utils/logger');
+const archiver = require('archiver');
+const { parseQrOptions, buildCardQrPayload, resolveQrBranding, renderQrCode } = require('../../utils/qrCodeGenerator');
+const { parseSpreadsheet } = require('../../utils/spreadsheetParser');
+const { IMPORTS_COLLECTION, IMPORT_STATUS, validateImportRows, queueEmployeeImport } = require('../../utils/employeeImport');
+const { WEBHOOK_EVENTS, emitWebhookEvent, toWebhookEmployee } = require('../../utils/webhooks');
 
 // Helper function for standardized error responses
 const sendError = (res, status, message, error = null) => {
@@ -359,6 +364,12 @@ exports.createDepartment = async (req, res) => {
             }
         }
         
+        try {
+            await invalidateEnterpriseCache(enterpriseId);
+        } catch (cacheError) {
+            console.error('Cache invalidation error after department creation:', cacheError);
+        }
+
         // Format managers for response
         const formattedManagers = managers.length > 0 ? managers : [];
 
@@ -669,6 +680,12 @@ exports.deleteDepartment = async (req, res) => {
         // Delete the department
         await departmentRef.delete();
 
+        try {
+            await invalidateEnterpriseCache(enterpriseId);
+        } catch (cacheError) {
+            console.error('Cache invalidation error after department deletion:', cacheError);
+        }
+
         res.status(200).send({
             success: true,
             message: 'Department deleted successfully',
@@ -1383,6 +1400,11 @@ exports.addEmployee = async (req, res) => {
         };
         
         console.log(`Added employee ${newEmployeeId} to department ${departmentId}`);
+
+        emitWebhookEvent(enterpriseId, WEBHOOK_EVENTS.EMPLOYEE_ADDED, {
+            ...toWebhookEmployee(actualUserId, departmentId, { ...employeeData, teamId: teamData?.id }),
+            source: 'manual'
+        });
         
         // Only send department welcome email if the user already existed (didn't need verification email)
         const isExistingUser = userId || (email && !userData.verificationToken);
@@ -1422,7 +1444,7 @@ exports.addEmployee = async (req, res) => {
         
         // PHASE 5: Cache invalidation for employee addition
         try {
-            invalidateEnterpriseCache(enterpriseId);
+            await invalidateEnterpriseCache(enterpriseId);
             console.log(`Cache invalidated for enterprise ${enterpriseId} due to employee addition`);
         } catch (cacheError) {
             console.error('Cache invalidation error after employee addition:', cacheError);
@@ -1538,7 +1560,7 @@ exports.updateEmployee = async (req, res) => {
         
         // PHASE 5: Cache invalidation for employee update
         try {
-            invalidateEnterpriseCache(enterpriseId);
+            await invalidateEnterpriseCache(enterpriseId);
             console.log(`Cache invalidated for enterprise ${enterpriseId} due to employee update`);
         } catch (cacheError) {
             console.error('Cache invalidation error after employee update:', cacheError);
@@ -1618,6 +1640,11 @@ exports.deleteEmployee = async (req, res) => {
             // Note: We're not deleting the card or user account
             // This allows the user to remain in the system even if no longer an employee
         });
+
+        emitWebhookEvent(enterpriseId, WEBHOOK_EVENTS.EMPLOYEE_REMOVED, {
+            ...toWebhookEmployee(employeeId, departmentId, employeeData),
+            reason: 'deleted'
+        });
           res.status(200).send({
             success: true,
             message: 'Employee deleted successfully',
@@ -1627,7 +1654,7 @@ exports.deleteEmployee = async (req, res) => {
         
         // PHASE 5: Cache invalidation for employee deletion
         try {
-            invalidateEnterpriseCache(enterpriseId);
+            await invalidateEnterpriseCache(enterpriseId);
             console.log(`Cache invalidated for enterprise ${enterpriseId} due to employee deletion`);
         } catch (cacheError) {
             console.error('Cache invalidation error after employee deletion:', cacheError);
@@ -1747,6 +1774,11 @@ exports.unassignEmployee = async (req, res) => {
             }
         });
 
+        emitWebhookEvent(enterpriseId, WEBHOOK_EVENTS.EMPLOYEE_REMOVED, {
+            ...toWebhookEmployee(employeeId, departmentId, employeeData),
+            reason: 'unassigned'
+        });
+
         res.status(200).json({
             status: true,
             message: 'Employee unassigned successfully',
@@ -1905,6 +1937,11 @@ exports.unassignAllEmployees = async (req, res) => {
                         updatedAt: admin.firestore.Timestamp.now()
                     });
                 });
+
+                batch.forEach(employee => emitWebhookEvent(enterpriseId, WEBHOOK_EVENTS.EMPLOYEE_REMOVED, {
+                    ...toWebhookEmployee(employee.id, departmentId, employee.data),
+                    reason: 'unassigned'
+                }));
             } catch (error) {
                 console.error(`Error processing batch ${i / batchSize + 1}:`, error);
                 results.errors.push(`Batch ${i / batchSize + 1}: ${error.message}`);
@@ -1928,6 +1965,110 @@ exports.unassignAllEmployees = async (req, res) => {
     }
 };
 
+/**
+ * Collect every card visible to the requesting user in an enterprise, with employee context.
+ * Scope follows checkCardPermissions: all_enterprise, department or own.
+ */
+const collectEnterpriseCards = async (enterpriseId, userId, permissionCheck) => {
+    // First get all departments in the enterprise
+    const departmentsSnapshot = await db.collection('enterprise')
+        .doc(enterpriseId)
+        .collection('departments')
+        .get();
+
+    if (departmentsSnapshot.empty) {
+        return [];
+    }
+
+    // Get all employees across all departments and collect their card references
+    const cardPromises = [];
+    const employeeInfo = [];
+    
+    for (const deptDoc of departmentsSnapshot.docs) {
+        // Apply department filtering based on access level
+        if (permissionCheck.accessLevel === 'department' && 
+            deptDoc.id !== permissionCheck.userDepartmentId) {
+            continue; // Skip departments user doesn't have access to
+        }
+        
+        const employeesSnapshot = await deptDoc.ref.collection('employees').get();
+        
+        for (const employeeDoc of employeesSnapshot.docs) {
+            const employeeData = employeeDoc.data();
+            
+            // Apply user-level filtering for employees
+            if (permissionCheck.accessLevel === 'own') {
+                // For employees, only show their own cards
+                let employeeUserId = null;
+                if (employeeData.userId && typeof employeeData.userId === 'object' && employeeData.userId.id) {
+                    employeeUserId = employeeData.userId.id;
+                } else if (typeof employeeData.userId === 'string') {
+                    employeeUserId = employeeData.userId;
+                } else {
+                    employeeUserId = employeeDoc.id; // Fallback to employee document ID
+                }
+                
+                if (employeeUserId !== userId) {
+                    continue; // Skip cards that don't belong to the current user
+                }
+            }
+            
+            if (employeeData.cardsRef) {
+                // Store employee info for later association with cards
+                employeeInfo.push({
+                    employeeId: employeeDoc.id,
+                    departmentId: deptDoc.id,
+                    departmentName: deptDoc.data().name,
+                    firstName: employeeData.firstName,
+                    lastName: employeeData.lastName,
+                    title: employeeData.title,
+                    email: employeeData.email,
+                    cardsRefPath: employeeData.cardsRef.path
+                });
+                
+                // Add promise to fetch the card document
+                cardPromises.push(employeeData.cardsRef.get());
+            }
+        }
+    }
+    
+    // Execute all card fetch promises in parallel
+    const cardResults = await Promise.all(cardPromises);
+    
+    // Process and organize the cards
+    const allCards = [];
+    
+    cardResults.forEach((cardDoc, index) => {
+        if (cardDoc.exists && cardDoc.data().cards) {
+            const employee = employeeInfo[index];
+            const cardUserId = cardDoc.id;
+            
+            // Format and add each card with employee context
+            cardDoc.data().cards.forEach((card, cardIndex) => {
+                // Create a clean card object without old scan properties
+                const { scans, numberOfScan, ...cleanCard } = card;
+                
+                allCards.push({
+                    ...cleanCard,
+                    userId: cardUserId,
+                    cardIndex: cardIndex,
+                    employeeId: employee.employeeId,
+                    employeeName: `${employee.firstName} ${employee.lastName}`,
+                    employeeTitle: employee.title,
+                    departmentId: employee.departmentId,
+                    departmentName: employee.departmentName,
+                    createdAt: card.createdAt ? 
+                        (card.createdAt.toDate ? card.createdAt.toDate().toISOString() : 
+                            card.createdAt._seconds ? new Date(card.createdAt._seconds * 1000).toISOString() : null) 
+                        : null
+                });
+            });
+        }
+    });
+
+    return allCards;
+};
+
 // Get all cards for an enterprise
 exports.getAllEnterpriseCards = async (req, res) => {
     try {
@@ -1947,106 +2088,18 @@ exports.getAllEnterpriseCards = async (req, res) => {
             });
         }
 
-        // First get all departments in the enterprise
-        const departmentsSnapshot = await db.collection('enterprise')
-            .doc(enterpriseId)
-            .collection('departments')
-            .get();
+        const allCards = await collectEnterpriseCards(enterpriseId, userId, permissionCheck);
 
-        if (departmentsSnapshot.empty) {
+        if (allCards.length === 0) {
             return res.status(200).send({
                 success: true,
                 cards: [],
-                message: 'No departments found in this enterprise'
+                count: 0,
+                accessLevel: permissionCheck.accessLevel,
+                userRole: permissionCheck.userRole
             });
         }
 
-        // Get all employees across all departments and collect their card references
-        const cardPromises = [];
-        const employeeInfo = [];
-        
-        for (const deptDoc of departmentsSnapshot.docs) {
-            // Apply department filtering based on access level
-            if (permissionCheck.accessLevel === 'department' && 
-                deptDoc.id !== permissionCheck.userDepartmentId) {
-                continue; // Skip departments user doesn't have access to
-            }
-            
-            const employeesSnapshot = await deptDoc.ref.collection('employees').get();
-            
-            for (const employeeDoc of employeesSnapshot.docs) {
-                const employeeData = employeeDoc.data();
-                
-                // Apply user-level filtering for employees
-                if (permissionCheck.accessLevel === 'own') {
-                    // For employees, only show their own cards
-                    let employeeUserId = null;
-                    if (employeeData.userId && typeof employeeData.userId === 'object' && employeeData.userId.id) {
-                        employeeUserId = employeeData.userId.id;
-                    } else if (typeof employeeData.userId === 'string') {
-                        employeeUserId = employeeData.userId;
-                    } else {
-                        employeeUserId = employeeDoc.id; // Fallback to employee document ID
-                    }
-                    
-                    if (employeeUserId !== userId) {
-                        continue; // Skip cards that don't belong to the current user
-                    }
-                }
-                
-                if (employeeData.cardsRef) {
-                    // Store employee info for later association with cards
-                    employeeInfo.push({
-                        employeeId: employeeDoc.id,
-                        departmentId: deptDoc.id,
-                        departmentName: deptDoc.data().name,
-                        firstName: employeeData.firstName,
-                        lastName: employeeData.lastName,
-                        title: employeeData.title,
-                        email: employeeData.email,
-                        cardsRefPath: employeeData.cardsRef.path
-                    });
-                    
-                    // Add promise to fetch the card document
-                    cardPromises.push(employeeData.cardsRef.get());
-                }
-            }
-        }
-        
-        // Execute all card fetch promises in parallel
-        const cardResults = await Promise.all(cardPromises);
-        
-        // Process and organize the cards
-        const allCards = [];
-        
-        cardResults.forEach((cardDoc, index) => {
-            if (cardDoc.exists && cardDoc.data().cards) {
-                const employee = employeeInfo[index];
-                const cardUserId = cardDoc.id;
-                
-                // Format and add each card with employee context
-                cardDoc.data().cards.forEach((card, cardIndex) => {
-                    // Create a clean card object without old scan properties
-                    const { scans, numberOfScan, ...cleanCard } = card;
-                    
-                    allCards.push({
-                        ...cleanCard,
-                        userId: cardUserId,
-                        cardIndex: cardIndex,
-                        employeeId: employee.employeeId,
-                        employeeName: `${employee.firstName} ${employee.lastName}`,
-                        employeeTitle: employee.title,
-                        departmentId: employee.departmentId,
-                        departmentName: employee.departmentName,
-                        createdAt: card.createdAt ? 
-                            (card.createdAt.toDate ? card.createdAt.toDate().toISOString() : 
-                                card.createdAt._seconds ? new Date(card.createdAt._seconds * 1000).toISOString() : null) 
-                            : null
-                    });
-                });
-            }
-        });
-        
         res.status(200).send({
             success: true,
             cards: allCards,
@@ -2060,6 +2113,113 @@ exports.getAllEnterpriseCards = async (req, res) => {
     }
 };
 
+// Download a ZIP of QR codes for every card in the enterprise cards scope
+// Accepts the same query options as GET /generateQR (format, size, margin, color, logo, payload)
+exports.downloadEnterpriseCardQrCodes = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const userId = req.user.uid;
+
+        if (!enterpriseId) {
+            return sendError(res, 400, 'Enterprise ID is required');
+        }
+
+        const permissionCheck = await checkCardPermissions(userId, enterpriseId);
+        if (!permissionCheck.allowed) {
+            return res.status(403).json({
+                success: false,
+                message: permissionCheck.reason
+            });
+        }
+
+        if (!permissionCheck.effectivePermissions.includes('exportCards')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions to export cards'
+            });
+        }
+
+        const allCards = await collectEnterpriseCards(enterpriseId, userId, permissionCheck);
+        if (allCards.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No cards found for this enterprise'
+            });
+        }
+
+        const qrOptions = parseQrOptions(req.query);
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="enterprise-${enterpriseId}-qr-codes.zip"`);
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('warning', (warning) => console.warn('[QRExport] Archive warning:', warning.message));
+        archive.on('error', (error) => {
+            console.error('[QRExport] Archive error:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+
+        const usedNames = new Set();
+        const failures = [];
+
+        for (const card of allCards) {
+            try {
+                const payload = await buildCardQrPayload({
+                    baseUrl,
+                    userId: card.userId,
+                    cardIndex: card.cardIndex,
+                    card,
+                    payload: req.query.payload
+                });
+                const branding = await resolveQrBranding(card.userId, card, req.query);
+                const qr = await renderQrCode(payload, { ...qrOptions, ...branding });
+
+                const baseName = `${card.employeeName || card.name || card.userId}-card-${card.cardIndex + 1}`
+                    .replace(/[^a-z0-9._-]+/gi, '_');
+                let fileName = `${baseName}.${qr.extension}`;
+                for (let suffix = 2; usedNames.has(fileName); suffix++) {
+                    fileName = `${baseName}-${suffix}.${qr.extension}`;
+                }
+                usedNames.add(fileName);
+
+                const folder = (card.departmentName || 'unassigned').replace(/[^a-z0-9._-]+/gi, '_');
+                archive.append(qr.buffer, { name: `${folder}/${fileName}` });
+            } catch (error) {
+                console.warn(`[QRExport] Skipping card ${card.userId}/${card.cardIndex}:`, error.message);
+                failures.push({ userId: card.userId, cardIndex: card.cardIndex, error: error.message });
+            }
+        }
+
+        if (failures.length > 0) {
+            archive.append(JSON.stringify(failures, null, 2), { name: 'failed.json' });
+        }
+
+        await archive.finalize();
+
+        await logActivity({
+            action: ACTIONS.EXPORT,
+            resource: RESOURCES.QR_CODE,
+            userId,
+            resourceId: enterpriseId,
+            details: {
+                operation: 'enterprise_qr_zip',
+                format: qrOptions.format,
+                cardCount: allCards.length - failures.length,
+                failedCount: failures.length,
+                accessLevel: permissionCheck.accessLevel
+            }
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Error exporting enterprise QR codes:', error);
+            return res.end();
+        }
+        sendError(res, 500, 'Error exporting enterprise QR codes', error);
+    }
+};
+
 // Get all cards in a specific department
 exports.getDepartmentCards = async (req, res) => {
     try {
@@ -2683,3 +2843,184 @@ exports.updateEmployeeRole = async (req, res) => {
         });
     }
 };
+
+
+/**
+ * Only enterprise-wide admins with createCards may bulk import employees
+ * @returns {Promise<Object|null>} - Error response body, or null when allowed
+ */
+const checkEmployeeImportPermission = async (userId, enterpriseId) => {
+    const permissionCheck = await checkCardPermissions(userId, enterpriseId);
+    if (!permissionCheck.allowed) {
+        return { success: false, message: permissionCheck.reason };
+    }
+    if (permissionCheck.accessLevel !== 'all_enterprise' || !permissionCheck.effectivePermissions.includes('createCards')) {
+        return { success: false, message: 'Insufficient permissions to import employees' };
+    }
+    return null;
+};
+
+const formatEmployeeImport = (importId, data) => ({
+    id: importId,
+    enterpriseId: data.enterpriseId,
+    fileName: data.fileName,
+    status: data.status,
+    summary: data.summary,
+    progress: data.progress || null,
+    error: data.error || null,
+    rows: data.rows.map(row => ({
+        rowNumber: row.rowNumber,
+        email: row.email,
+        firstName: row.firstName,
+        lastName: row.lastName,
+        role: row.role,
+        department: row.departmentName,
+        team: row.teamName || null,
+        action: row.action,
+        valid: row.valid,
+        errors: row.errors,
+        result: row.result || null
+    })),
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : null,
+    completedAt: data.completedAt?.toDate ? data.completedAt.toDate().toISOString() : null
+});
+
+/**
+ * Upload a CSV/XLSX of employees.
+ * Always validates every row and stores the report; with dryRun=false the import
+ * starts straight away (otherwise confirm it with POST .../employees/import/:importId/run).
+ * Body/query: dryRun (default true), skipInvalid (run valid rows even if some are invalid),
+ * departmentId (default department for rows without one)
+ */
+exports.importEmployees = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const userId = req.user.uid;
+        const options = { ...req.query, ...req.body };
+        const dryRun = String(options.dryRun ?? 'true') !== 'false';
+        const skipInvalid = String(options.skipInvalid) === 'true';
+
+        const denied = await checkEmployeeImportPermission(userId, enterpriseId);
+        if (denied) {
+            return res.status(403).json(denied);
+        }
+
+        const { rows } = parseSpreadsheet(req.file);
+        const report = await validateImportRows(enterpriseId, rows, {
+            defaultDepartmentId: options.departmentId || null
+        });
+
+        const importRef = db.collection(IMPORTS_COLLECTION).doc();
+        const importData = {
+            enterpriseId,
+            createdBy: userId,
+            fileName: req.file.originalname,
+            status: IMPORT_STATUS.VALIDATED,
+            skipInvalid,
+            summary: report.summary,
+            rows: report.rows,
+            createdAt: admin.firestore.Timestamp.now()
+        };
+        await importRef.set(importData);
+
+        console.log(`📋 Validated employee import ${importRef.id} for enterprise ${enterpriseId}: ${report.summary.validRows}/${report.summary.totalRows} valid`);
+
+        if (dryRun) {
+            return res.status(200).send({
+                success: true,
+                message: 'Import validated (dry run). Nothing has been created yet.',
+                dryRun: true,
+                import: formatEmployeeImport(importRef.id, importData)
+            });
+        }
+
+        if (report.summary.invalidRows > 0 && !skipInvalid) {
+            return res.status(422).send({
+                success: false,
+                message: `${report.summary.invalidRows} row(s) are invalid. Fix them or pass skipInvalid=true to import the valid rows only.`,
+                import: formatEmployeeImport(importRef.id, importData)
+            });
+        }
+
+        await queueEmployeeImport(importRef.id);
+
+        res.status(202).send({
+            success: true,
+            message: 'Employee import started',
+            dryRun: false,
+            import: formatEmployeeImport(importRef.id, { ...importData, status: IMPORT_STATUS.QUEUED })
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return sendError(res, 400, error.message);
+        }
+        sendError(res, 500, 'Error importing employees', error);
+    }
+};
+
+/**
+ * Start (or resume after a failure) a previously validated import
+ */
+exports.runEmployeeImport = async (req, res) => {
+    try {
+        const { enterpriseId, importId } = req.params;
+        const userId = req.user.uid;
+        const skipInvalid = String(req.body.skipInvalid ?? req.query.skipInvalid) === 'true';
+
+        const denied = await checkEmployeeImportPermission(userId, enterpriseId);
+        if (denied) {
+            return res.status(403).json(denied);
+        }
+
+        const importRef = db.collection(IMPORTS_COLLECTION).doc(importId);
+        const importDoc = await importRef.get();
+        if (!importDoc.exists || importDoc.data().enterpriseId !== enterpriseId) {
+            return sendError(res, 404, 'Employee import not found');
+        }
+
+        const importData = importDoc.data();
+        if (![IMPORT_STATUS.VALIDATED, IMPORT_STATUS.FAILED].includes(importData.status)) {
+            return sendError(res, 409, `Import is already ${importData.status}`);
+        }
+        if (importData.summary.invalidRows > 0 && !skipInvalid && !importData.skipInvalid) {
+            return sendError(res, 422, `${importData.summary.invalidRows} row(s) are invalid. Pass skipInvalid=true to import the valid rows only.`);
+        }
+
+        await queueEmployeeImport(importId);
+
+        res.status(202).send({
+            success: true,
+            message: 'Employee import started',
+            import: formatEmployeeImport(importId, { ...importData, status: IMPORT_STATUS.QUEUED })
+        });
+    } catch (error) {
+        sendError(res, 500, 'Error starting employee import', error);
+    }
+};
+
+/**
+ * Import status, progress and per-row results
+ */
+exports.getEmployeeImport = async (req, res) => {
+    try {
+        const { enterpriseId, importId } = req.params;
+        const userId = req.user.uid;
+
+        const denied = await checkEmployeeImportPermission(userId, enterpriseId);
+        if (denied) {
+            return res.status(403).json(denied);
+        }
+
+        const importDoc = await db.collection(IMPORTS_COLLECTION).doc(importId).get();
+        if (!importDoc.exists || importDoc.data().enterpriseId !== enterpriseId) {
+            return sendError(res, 404, 'Employee import not found');
+        }
+
+        res.status(200).send({
+            success: true,
+            import: formatEmployeeImport(importId, importDoc.data())
+        });
+    } catch (error) {
+        sendError(res, 500, 'Error fetching employee import', error);
+    }
+};
@@ -0,0 +1,910 @@
+const { db, admin } = require('../../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../../utils/logger');
+const { invalidateEnterpriseCache } = require('./contactAggregationController');
+const { getEffectiveTemplateForCardCreation } = require('../cardTemplateController');
+const { updateEmployeeActiveStatus } = require('../userController');
+const { isEnterpriseAdmin } = require('../helpers/enterpriseAdminHelper');
+const { ALLOWED_ROLES, findUsersByEmail, onboardEmployee } = require('../../utils/employeeImport');
+const {
+    SCHEMAS,
+    SCIM_TOKENS_COLLECTION,
+    ScimError,
+    toScimErrorBody,
+    generateScimToken,
+    parseFilter,
+    parsePagination,
+    toListResponse,
+    toScimUser,
+    toScimGroup,
+    fromScimUser,
+    userPatchToChanges,
+    groupPatchToChanges,
+    parseGroupId
+} = require('../../utils/scim');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sendScim = (res, status, body) => res.status(status).type('application/scim+json').json(body);
+
+const sendScimError = (res, error, operation) => {
+    if (!(error instanceof ScimError)) {
+        console.error(`[SCIM] ❌ Error in ${operation}:`, error);
+        error = new ScimError(500, error.message || 'Internal server error');
+    }
+    sendScim(res, error.status, toScimErrorBody(error));
+};
+
+const getScimBaseUrl = (req) => `${req.protocol}://${req.get('host')}/scim/v2`;
+
+const enterpriseDoc = (enterpriseId) => db.collection('enterprise').doc(enterpriseId);
+
+const departmentsCollection = (enterpriseId) => enterpriseDoc(enterpriseId).collection('departments');
+
+// Same slug rule as departmentsController.createDepartment
+const toDepartmentId = (name) => name.toLowerCase().replace(/[^\w\s-]/g, '').replace(/[\s_]+/g, '-');
+
+// SCIM actions are logged against the token that made them
+const scimActor = (req) => `scim:${req.scim.tokenId.slice(0, 12)}`;
+
+/**
+ * The user's department employee record (new structure: employees/{userId})
+ * @returns {Promise<{ref: Object, data: Object, departmentId: string, departmentName: string}|null>}
+ */
+const loadEmployee = async (userData) => {
+    if (!userData.employeeRef) return null;
+
+    const employeeDoc = await userData.employeeRef.get();
+    if (!employeeDoc.exists) return null;
+
+    const departmentRef = employeeDoc.ref.parent.parent;
+    const departmentDoc = await departmentRef.get();
+    return {
+        ref: employeeDoc.ref,
+        data: employeeDoc.data(),
+        departmentId: departmentRef.id,
+        departmentName: departmentDoc.exists ? departmentDoc.data().name : departmentRef.id
+    };
+};
+
+/**
+ * Load a user that belongs to the token's enterprise (404 otherwise)
+ */
+const loadEnterpriseUser = async (enterpriseId, userId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().enterpriseRef?.id !== enterpriseId) {
+        throw new ScimError(404, `User ${userId} not found`);
+    }
+    const userData = userDoc.data();
+    return { userRef: userDoc.ref, userData, employee: await loadEmployee(userData) };
+};
+
+const renderUser = async (req, userId) => {
+    const { userData, employee } = await loadEnterpriseUser(req.scim.enterpriseId, userId);
+    return toScimUser(userId, userData, employee, getScimBaseUrl(req));
+};
+
+/**
+ * Deactivate or reactivate a provisioned user through the same steps as
+ * userController.deactivateUser/reactivateUser
+ */
+const setUserActive = async (req, userId, userRef, userData, active) => {
+    const now = admin.firestore.Timestamp.now();
+    await userRef.update({
+        active,
+        ...(active ? { reactivatedAt: now } : { deactivatedAt: now }),
+        updatedAt: now
+    });
+
+    const employeeUpdateResult = await updateEmployeeActiveStatus(userId, active, active ? 'reactivation' : 'deactivation');
+    if (!employeeUpdateResult.success) {
+        console.log(`[SCIM] ⚠️  Employee update failed: ${employeeUpdateResult.error}`);
+    }
+
+    await logActivity({
+        action: ACTIONS.UPDATE,
+        resource: RESOURCES.USER,
+        userId: scimActor(req),
+        resourceId: userId,
+        details: {
+            updateType: active ? 'account_reactivation' : 'account_deactivation',
+            oldStatus: userData.active === false ? 'inactive' : 'active',
+            newStatus: active ? 'active' : 'inactive',
+            operationType: active ? 'scim_reactivation' : 'scim_deactivation',
+            enterpriseId: req.scim.enterpriseId,
+            targetUserId: userId,
+            employeeUpdated: !employeeUpdateResult?.skipped,
+            employeeRef: employeeUpdateResult?.employeeRef || null,
+            employeeUpdateSuccess: employeeUpdateResult?.success || false
+        }
+    });
+};
+
+/**
+ * Apply SCIM attribute changes to the users document and employee record.
+ * The department is only used when a user is provisioned; department moves are made in XS Card.
+ */
+const applyUserChanges = async (req, userId, changes) => {
+    const { userRef, userData, employee } = await loadEnterpriseUser(req.scim.enterpriseId, userId);
+    const now = admin.firestore.Timestamp.now();
+    const userUpdates = {};
+    const employeeUpdates = {};
+
+    if (changes.email !== undefined && changes.email !== userData.email) {
+        if (!EMAIL_PATTERN.test(changes.email)) {
+            throw new ScimError(400, `Invalid userName '${changes.email}'`, 'invalidValue');
+        }
+        const existingUsers = await findUsersByEmail([changes.email]);
+        if (existingUsers.has(changes.email)) {
+            throw new ScimError(409, `A user with userName ${changes.email} already exists`, 'uniqueness');
+        }
+        await admin.auth().updateUser(userId, { email: changes.email });
+        userUpdates.email = changes.email;
+        employeeUpdates.email = changes.email;
+    }
+    if (changes.firstName !== undefined) {
+        userUpdates.name = changes.firstName;
+        employeeUpdates.name = changes.firstName;
+    }
+    if (changes.lastName !== undefined) {
+        userUpdates.surname = changes.lastName;
+        employeeUpdates.surname = changes.lastName;
+    }
+    if (changes.phone !== undefined) {
+        userUpdates.phone = changes.phone;
+        employeeUpdates.phone = changes.phone;
+    }
+    if (changes.title !== undefined) {
+        userUpdates.title = changes.title;
+        employeeUpdates.position = changes.title;
+    }
+    if (changes.employeeId !== undefined) {
+        userUpdates.employeeId = changes.employeeId;
+        employeeUpdates.employeeId = changes.employeeId;
+    }
+    if (changes.externalId !== undefined) {
+        userUpdates.scimExternalId = changes.externalId || null;
+    }
+
+    if (Object.keys(userUpdates).length > 0) {
+        await userRef.update({ ...userUpdates, updatedAt: now });
+    }
+    if (employee && Object.keys(employeeUpdates).length > 0) {
+        await employee.ref.update({ ...employeeUpdates, updatedAt: now });
+    }
+
+    const isActive = userData.active !== false;
+    if (changes.active !== undefined && changes.active !== isActive) {
+        await setUserActive(req, userId, userRef, userData, changes.active);
+    }
+
+    await invalidateEnterpriseCache(req.scim.enterpriseId);
+};
+
+/**
+ * Department for a new user: the enterprise extension's department (matched by
+ * name or ID), else scimSettings.defaultDepartmentId
+ */
+const resolveDepartment = async (enterpriseId, enterpriseData, departmentName) => {
+    const departmentsSnapshot = await departmentsCollection(enterpriseId).get();
+    const wanted = String(departmentName || '').trim().toLowerCase();
+
+    if (wanted) {
+        const match = departmentsSnapshot.docs.find(doc =>
+            doc.id === wanted || String(doc.data().name || '').trim().toLowerCase() === wanted);
+        if (match) return match.id;
+    }
+
+    const defaultDepartmentId = enterpriseData.scimSettings?.defaultDepartmentId;
+    if (defaultDepartmentId && departmentsSnapshot.docs.some(doc => doc.id === defaultDepartmentId)) {
+        return defaultDepartmentId;
+    }
+
+    throw new ScimError(400, wanted
+        ? `Department '${departmentName}' not found and no default SCIM department is configured`
+        : 'No department given and no default SCIM department is configured', 'invalidValue');
+};
+
+// ==================== DISCOVERY ====================
+
+exports.getServiceProviderConfig = async (req, res) => {
+    sendScim(res, 200, {
+        schemas: [SCHEMAS.SERVICE_PROVIDER_CONFIG],
+        patch: { supported: true },
+        bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+        filter: { supported: true, maxResults: 200 },
+        changePassword: { supported: false },
+        sort: { supported: false },
+        etag: { supported: false },
+        authenticationSchemes: [{
+            type: 'oauthbearertoken',
+            name: 'OAuth Bearer Token',
+            description: 'Enterprise SCIM token created in XS Card',
+            primary: true
+        }],
+        meta: { resourceType: 'ServiceProviderConfig', location: `${getScimBaseUrl(req)}/ServiceProviderConfig` }
+    });
+};
+
+exports.getResourceTypes = async (req, res) => {
+    const baseUrl = getScimBaseUrl(req);
+    const resourceTypes = [
+        {
+            schemas: [SCHEMAS.RESOURCE_TYPE],
+            id: 'User',
+            name: 'User',
+            endpoint: '/Users',
+            schema: SCHEMAS.USER,
+            schemaExtensions: [{ schema: SCHEMAS.ENTERPRISE_USER, required: false }],
+            meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/User` }
+        },
+        {
+            schemas: [SCHEMAS.RESOURCE_TYPE],
+            id: 'Group',
+            name: 'Group',
+            description: 'Departments (id = departmentId) and teams (id = departmentId:teamId)',
+            endpoint: '/Groups',
+            schema: SCHEMAS.GROUP,
+            meta: { resourceType: 'ResourceType', location: `${baseUrl}/ResourceTypes/Group` }
+        }
+    ];
+    sendScim(res, 200, toListResponse(resourceTypes, resourceTypes.length, 1));
+};
+
+exports.getSchemas = async (req, res) => {
+    const schemas = [
+        { id: SCHEMAS.USER, name: 'User', description: 'XS Card user' },
+        { id: SCHEMAS.ENTERPRISE_USER, name: 'EnterpriseUser', description: 'employeeNumber and department' },
+        { id: SCHEMAS.GROUP, name: 'Group', description: 'Department or team' }
+    ].map(schema => ({ schemas: ['urn:ietf:params:scim:schemas:core:2.0:Schema'], ...schema }));
+    sendScim(res, 200, toListResponse(schemas, schemas.length, 1));
+};
+
+// ==================== USERS ====================
+
+exports.listUsers = async (req, res) => {
+    try {
+        const { enterpriseId } = req.scim;
+        const filter = parseFilter(req.query.filter, ['userName', 'emails.value', 'externalId', 'id']);
+        const { startIndex, count } = parsePagination(req.query);
+
+        let userIds;
+        if (filter?.attribute === 'id') {
+            const userDoc = await db.collection('users').doc(filter.value).get();
+            userIds = userDoc.exists && userDoc.data().enterpriseRef?.id === enterpriseId ? [userDoc.id] : [];
+        } else {
+            let query = db.collection('users').where('enterpriseRef', '==', enterpriseDoc(enterpriseId));
+            if (filter?.attribute === 'externalId') {
+                query = query.where('scimExternalId', '==', filter.value);
+            } else if (filter) {
+                query = query.where('email', '==', filter.value.toLowerCase());
+            }
+            const snapshot = await query.get();
+            userIds = snapshot.docs.map(doc => doc.id).sort();
+        }
+
+        const pageIds = userIds.slice(startIndex - 1, startIndex - 1 + count);
+        const resources = await Promise.all(pageIds.map(userId => renderUser(req, userId)));
+
+        sendScim(res, 200, toListResponse(resources, userIds.length, startIndex));
+    } catch (error) {
+        sendScimError(res, error, 'listUsers');
+    }
+};
+
+exports.getUser = async (req, res) => {
+    try {
+        sendScim(res, 200, await renderUser(req, req.params.userId));
+    } catch (error) {
+        sendScimError(res, error, 'getUser');
+    }
+};
+
+exports.createUser = async (req, res) => {
+    try {
+        const { enterpriseId } = req.scim;
+        const fields = fromScimUser(req.body || {});
+
+        if (!EMAIL_PATTERN.test(fields.email)) {
+            throw new ScimError(400, 'userName must be a valid email address', 'invalidValue');
+        }
+
+        const enterpriseSnapshot = await enterpriseDoc(enterpriseId).get();
+        if (!enterpriseSnapshot.exists) {
+            throw new ScimError(404, 'Enterprise not found');
+        }
+        const enterpriseData = enterpriseSnapshot.data();
+
+        const existingUsers = await findUsersByEmail([fields.email]);
+        const existingUserId = existingUsers.get(fields.email);
+        if (existingUserId) {
+            const existingUser = (await db.collection('users').doc(existingUserId).get()).data();
+            if (existingUser.enterpriseRef) {
+                throw new ScimError(409, existingUser.enterpriseRef.id === enterpriseId
+                    ? `User ${fields.email} is already provisioned`
+                    : `User ${fields.email} belongs to another enterprise`, 'uniqueness');
+            }
+        }
+
+        const defaultRole = enterpriseData.scimSettings?.defaultRole;
+        const row = {
+            email: fields.email,
+            firstName: fields.firstName,
+            lastName: fields.lastName,
+            role: ALLOWED_ROLES.includes(defaultRole) ? defaultRole : 'employee',
+            departmentId: await resolveDepartment(enterpriseId, enterpriseData, fields.department),
+            teamId: null,
+            title: fields.title,
+            position: fields.title,
+            phone: fields.phone,
+            employeeId: fields.employeeId,
+            source: 'scim'
+        };
+
+        console.log(`[SCIM] 👤 Provisioning ${row.email} into ${enterpriseId}/${row.departmentId}`);
+        const { userId, created } = await onboardEmployee(
+            enterpriseId,
+            enterpriseData,
+            row,
+            departmentId => getEffectiveTemplateForCardCreation(enterpriseId, departmentId)
+        );
+
+        const userRef = db.collection('users').doc(userId);
+        await userRef.update({
+            scimManaged: true,
+            scimExternalId: fields.externalId,
+            active: true,
+            updatedAt: admin.firestore.Timestamp.now()
+        });
+
+        if (fields.active === false) {
+            await setUserActive(req, userId, userRef, (await userRef.get()).data(), false);
+        }
+
+        await invalidateEnterpriseCache(enterpriseId);
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.EMPLOYEE,
+            userId: scimActor(req),
+            resourceId: userId,
+            details: {
+                operation: 'scim_provision_user',
+                enterpriseId,
+                departmentId: row.departmentId,
+                email: row.email,
+                role: row.role,
+                newUser: created,
+                externalId: fields.externalId
+            }
+        });
+
+        const resource = await renderUser(req, userId);
+        res.location(resource.meta.location);
+        sendScim(res, 201, resource);
+    } catch (error) {
+        sendScimError(res, error, 'createUser');
+    }
+};
+
+exports.replaceUser = async (req, res) => {
+    try {
+        const fields = fromScimUser(req.body || {});
+        delete fields.department;
+        if (!fields.email) delete fields.email;
+
+        await applyUserChanges(req, req.params.userId, fields);
+        sendScim(res, 200, await renderUser(req, req.params.userId));
+    } catch (error) {
+        sendScimError(res, error, 'replaceUser');
+    }
+};
+
+exports.patchUser = async (req, res) => {
+    try {
+        const changes = userPatchToChanges(req.body);
+        delete changes.department;
+
+        await applyUserChanges(req, req.params.userId, changes);
+        sendScim(res, 200, await renderUser(req, req.params.userId));
+    } catch (error) {
+        sendScimError(res, error, 'patchUser');
+    }
+};
+
+/**
+ * DELETE deactivates the user: their cards, contacts and history stay in XS Card
+ */
+exports.deleteUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { userRef, userData } = await loadEnterpriseUser(req.scim.enterpriseId, userId);
+
+        if (userData.active !== false) {
+            await setUserActive(req, userId, userRef, userData, false);
+            await invalidateEnterpriseCache(req.scim.enterpriseId);
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendScimError(res, error, 'deleteUser');
+    }
+};
+
+// ==================== GROUPS ====================
+
+const memberDisplay = (data) => `${data.name || ''} ${data.surname || ''}`.trim();
+
+/**
+ * Load a department or team group
+ * @returns {Promise<{id, departmentId, teamId, ref, data, departmentRef}>}
+ */
+const loadGroup = async (enterpriseId, groupId) => {
+    const { departmentId, teamId } = parseGroupId(groupId);
+    const departmentRef = departmentsCollection(enterpriseId).doc(departmentId);
+    const ref = teamId ? departmentRef.collection('teams').doc(teamId) : departmentRef;
+    const groupDoc = await ref.get();
+
+    if (!groupDoc.exists) {
+        throw new ScimError(404, `Group ${groupId} not found`);
+    }
+    return { id: groupId, departmentId, teamId, ref, data: groupDoc.data(), departmentRef };
+};
+
+const loadGroupMembers = async (group) => {
+    const employeesSnapshot = await group.ref.collection('employees').get();
+    return employeesSnapshot.docs.map(doc => {
+        const data = doc.data();
+        return { value: data.userId?.id || doc.id, display: memberDisplay(data) };
+    });
+};
+
+const renderGroup = async (req, group, includeMembers = true) => toScimGroup(
+    group.id,
+    group.data.name,
+    includeMembers ? await loadGroupMembers(group) : null,
+    group.data,
+    getScimBaseUrl(req)
+);
+
+const excludesMembers = (req) => String(req.query.excludedAttributes || '')
+    .split(',')
+    .some(attribute => attribute.trim().toLowerCase() === 'members');
+
+/**
+ * Add a department employee to a team, moving them out of their current team
+ * (teamsController.addEmployeeToTeam requires that step to be done separately)
+ */
+const addTeamMember = async (group, userId) => {
+    const employeeRef = group.departmentRef.collection('employees').doc(userId);
+    const employeeDoc = await employeeRef.get();
+    if (!employeeDoc.exists) {
+        throw new ScimError(400, `User ${userId} is not an employee of department ${group.departmentId}`, 'invalidValue');
+    }
+
+    const employeeData = employeeDoc.data();
+    if (employeeData.teamRef?.id === group.teamId) return;
+    if (employeeData.teamRef && employeeData.teamEmployeeRef) {
+        await removeTeamMember({ ...group, teamId: employeeData.teamRef.id, ref: employeeData.teamRef }, userId);
+    }
+
+    const teamEmployeeRef = await group.ref.collection('employees').add({
+        employeeRef,
+        userId: employeeData.userId,
+        name: employeeData.name || '',
+        surname: employeeData.surname || '',
+        role: employeeData.role,
+        position: employeeData.position || '',
+        addedAt: admin.firestore.Timestamp.now()
+    });
+
+    await employeeRef.update({
+        teamRef: group.ref,
+        teamEmployeeRef,
+        teamId: group.teamId,
+        updatedAt: admin.firestore.Timestamp.now()
+    });
+    await group.ref.update({
+        memberCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.Timestamp.now()
+    });
+};
+
+const removeTeamMember = async (group, userId) => {
+    const employeeRef = group.departmentRef.collection('employees').doc(userId);
+    const employeeDoc = await employeeRef.get();
+    if (!employeeDoc.exists) return;
+
+    const employeeData = employeeDoc.data();
+    if (!employeeData.teamRef || !employeeData.teamEmployeeRef || employeeData.teamRef.id !== group.teamId) return;
+
+    await db.runTransaction(async (transaction) => {
+        transaction.delete(employeeData.teamEmployeeRef);
+        transaction.update(employeeRef, {
+            teamRef: admin.firestore.FieldValue.delete(),
+            teamEmployeeRef: admin.firestore.FieldValue.delete(),
+            teamId: null,
+            updatedAt: admin.firestore.Timestamp.now()
+        });
+        transaction.update(group.ref, {
+            memberCount: admin.firestore.FieldValue.increment(-1),
+            updatedAt: admin.firestore.Timestamp.now()
+        });
+    });
+};
+
+/**
+ * Users can be added to a department only when they are not in one yet;
+ * XS Card employees belong to exactly one department
+ */
+const addDepartmentMember = async (req, group, userId) => {
+    const { userData, employee } = await loadEnterpriseUser(req.scim.enterpriseId, userId);
+    if (employee) {
+        if (employee.departmentId === group.departmentId) return;
+        throw new ScimError(400, `User ${userId} already belongs to department ${employee.departmentId}; move them in XS Card`, 'invalidValue');
+    }
+
+    const enterpriseData = (await enterpriseDoc(req.scim.enterpriseId).get()).data();
+    const defaultRole = enterpriseData.scimSettings?.defaultRole;
+    await onboardEmployee(req.scim.enterpriseId, enterpriseData, {
+        email: userData.email,
+        firstName: userData.name || '',
+        lastName: userData.surname || '',
+        role: ALLOWED_ROLES.includes(defaultRole) ? defaultRole : 'employee',
+        departmentId: group.departmentId,
+        teamId: null,
+        title: userData.title || '',
+        position: userData.title || '',
+        phone: userData.phone || '',
+        employeeId: userData.employeeId || '',
+        source: 'scim'
+    }, departmentId => getEffectiveTemplateForCardCreation(req.scim.enterpriseId, departmentId));
+};
+
+const applyGroupChanges = async (req, group, { add, remove, displayName }) => {
+    if (displayName !== undefined && displayName !== group.data.name) {
+        if (!String(displayName).trim()) {
+            throw new ScimError(400, 'displayName cannot be empty', 'invalidValue');
+        }
+        await group.ref.update({ name: String(displayName).trim(), updatedAt: admin.firestore.Timestamp.now() });
+    }
+
+    if (!group.teamId && remove.length > 0) {
+        throw new ScimError(400, 'Users cannot be removed from a department group; deactivate the user instead', 'mutability');
+    }
+
+    for (const userId of add) {
+        if (group.teamId) await addTeamMember(group, userId);
+        else await addDepartmentMember(req, group, userId);
+    }
+    for (const userId of remove) {
+        await removeTeamMember(group, userId);
+    }
+
+    await logActivity({
+        action: ACTIONS.UPDATE,
+        resource: group.teamId ? RESOURCES.TEAM : RESOURCES.DEPARTMENT,
+        userId: scimActor(req),
+        resourceId: group.teamId || group.departmentId,
+        details: {
+            operation: 'scim_update_group',
+            enterpriseId: req.scim.enterpriseId,
+            groupId: group.id,
+            displayName: displayName ?? null,
+            membersAdded: add.length,
+            membersRemoved: remove.length
+        }
+    });
+
+    await invalidateEnterpriseCache(req.scim.enterpriseId);
+};
+
+exports.listGroups = async (req, res) => {
+    try {
+        const { enterpriseId } = req.scim;
+        const filter = parseFilter(req.query.filter, ['displayName', 'id']);
+        const { startIndex, count } = parsePagination(req.query);
+
+        const groups = [];
+        const departmentsSnapshot = await departmentsCollection(enterpriseId).get();
+        for (const deptDoc of departmentsSnapshot.docs) {
+            groups.push({ id: deptDoc.id, departmentId: deptDoc.id, teamId: null, ref: deptDoc.ref, data: deptDoc.data() });
+            const teamsSnapshot = await deptDoc.ref.collection('teams').get();
+            teamsSnapshot.forEach(teamDoc => groups.push({
+                id: `${deptDoc.id}:${teamDoc.id}`,
+                departmentId: deptDoc.id,
+                teamId: teamDoc.id,
+                ref: teamDoc.ref,
+                data: teamDoc.data()
+            }));
+        }
+
+        const matching = groups.filter(group => !filter || (filter.attribute === 'id'
+            ? group.id === filter.value
+            : String(group.data.name || '').toLowerCase() === filter.value.toLowerCase()));
+        const page = matching.slice(startIndex - 1, startIndex - 1 + count);
+        const includeMembers = !excludesMembers(req);
+        const resources = await Promise.all(page.map(group => renderGroup(req, group, includeMembers)));
+
+        sendScim(res, 200, toListResponse(resources, matching.length, startIndex));
+    } catch (error) {
+        sendScimError(res, error, 'listGroups');
+    }
+};
+
+exports.getGroup = async (req, res) => {
+    try {
+        const group = await loadGroup(req.scim.enterpriseId, req.params.groupId);
+        sendScim(res, 200, await renderGroup(req, group, !excludesMembers(req)));
+    } catch (error) {
+        sendScimError(res, error, 'getGroup');
+    }
+};
+
+/**
+ * POST /Groups creates a department; teams are created in XS Card
+ */
+exports.createGroup = async (req, res) => {
+    try {
+        const { enterpriseId } = req.scim;
+        const displayName = String(req.body?.displayName || '').trim();
+        if (!displayName) {
+            throw new ScimError(400, 'displayName is required', 'invalidValue');
+        }
+
+        const departmentId = toDepartmentId(displayName);
+        const departmentRef = departmentsCollection(enterpriseId).doc(departmentId);
+        const existingByName = await departmentsCollection(enterpriseId).where('name', '==', displayName).get();
+        if (!existingByName.empty || (await departmentRef.get()).exists) {
+            throw new ScimError(409, `A department named '${displayName}' already exists`, 'uniqueness');
+        }
+
+        const now = admin.firestore.Timestamp.now();
+        await departmentRef.set({
+            name: displayName,
+            description: '',
+            parentDepartmentId: null,
+            createdAt: now,
+            updatedAt: now,
+            memberCount: 0,
+            managers: [],
+            scimManaged: true
+        });
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.DEPARTMENT,
+            userId: scimActor(req),
+            resourceId: departmentId,
+            details: { operation: 'scim_create_group', enterpriseId, name: displayName }
+        });
+
+        const group = await loadGroup(enterpriseId, departmentId);
+        const members = (req.body.members || []).map(member => member.value).filter(Boolean);
+        if (members.length > 0) {
+            await applyGroupChanges(req, group, { add: members, remove: [], displayName: undefined });
+        }
+
+        const resource = await renderGroup(req, group);
+        res.location(resource.meta.location);
+        sendScim(res, 201, resource);
+    } catch (error) {
+        sendScimError(res, error, 'createGroup');
+    }
+};
+
+exports.replaceGroup = async (req, res) => {
+    try {
+        const group = await loadGroup(req.scim.enterpriseId, req.params.groupId);
+        const current = (await loadGroupMembers(group)).map(member => member.value);
+        const wanted = (req.body?.members || []).map(member => member.value).filter(Boolean);
+
+        await applyGroupChanges(req, group, {
+            add: wanted.filter(userId => !current.includes(userId)),
+            remove: current.filter(userId => !wanted.includes(userId)),
+            displayName: req.body?.displayName
+        });
+
+        sendScim(res, 200, await renderGroup(req, await loadGroup(req.scim.enterpriseId, req.params.groupId)));
+    } catch (error) {
+        sendScimError(res, error, 'replaceGroup');
+    }
+};
+
+exports.patchGroup = async (req, res) => {
+    try {
+        const changes = groupPatchToChanges(req.body);
+        const group = await loadGroup(req.scim.enterpriseId, req.params.groupId);
+
+        await applyGroupChanges(req, group, changes);
+
+        sendScim(res, 200, await renderGroup(req, await loadGroup(req.scim.enterpriseId, req.params.groupId), !excludesMembers(req)));
+    } catch (error) {
+        sendScimError(res, error, 'patchGroup');
+    }
+};
+
+/**
+ * DELETE follows deleteDepartment/deleteTeam: only empty groups can be removed
+ */
+exports.deleteGroup = async (req, res) => {
+    try {
+        const { enterpriseId } = req.scim;
+        const group = await loadGroup(enterpriseId, req.params.groupId);
+
+        const employeesSnapshot = await group.ref.collection('employees').limit(1).get();
+        if (!employeesSnapshot.empty) {
+            throw new ScimError(409, 'Cannot delete a group with members. Remove or reassign them first.');
+        }
+        if (!group.teamId) {
+            const childDepartments = await departmentsCollection(enterpriseId)
+                .where('parentDepartmentId', '==', group.departmentId)
+                .limit(1)
+                .get();
+            if (!childDepartments.empty) {
+                throw new ScimError(409, 'Cannot delete a department with child departments.');
+            }
+        }
+
+        await group.ref.delete();
+
+        await logActivity({
+            action: ACTIONS.DELETE,
+            resource: group.teamId ? RESOURCES.TEAM : RESOURCES.DEPARTMENT,
+            userId: scimActor(req),
+            resourceId: group.teamId || group.departmentId,
+            details: { operation: 'scim_delete_group', enterpriseId, groupId: group.id }
+        });
+
+        res.status(204).end();
+    } catch (error) {
+        sendScimError(res, error, 'deleteGroup');
+    }
+};
+
+// ==================== TOKEN MANAGEMENT (Firebase auth, enterprise admins) ====================
+
+const formatScimToken = (doc) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        name: data.name,
+        lastFour: data.lastFour,
+        createdBy: data.createdBy,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : null,
+        lastUsedAt: data.lastUsedAt?.toDate ? data.lastUsedAt.toDate().toISOString() : null,
+        revokedAt: data.revokedAt?.toDate ? data.revokedAt.toDate().toISOString() : null
+    };
+};
+
+/**
+ * Create a SCIM token. The plaintext token is only returned in this response.
+ */
+exports.createScimToken = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const userId = req.user.uid;
+        const name = String(req.body?.name || 'SCIM token').trim().slice(0, 100);
+
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage SCIM tokens' });
+        }
+
+        const { token, tokenHash, lastFour } = generateScimToken();
+        const tokenRef = db.collection(SCIM_TOKENS_COLLECTION).doc(tokenHash);
+        await tokenRef.set({
+            enterpriseId,
+            name,
+            lastFour,
+            createdBy: userId,
+            createdAt: admin.firestore.Timestamp.now(),
+            lastUsedAt: null,
+            revokedAt: null
+        });
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.SCIM_TOKEN,
+            userId,
+            resourceId: tokenHash,
+            details: { enterpriseId, name, lastFour }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'SCIM token created. Copy it now; it will not be shown again.',
+            data: { ...formatScimToken(await tokenRef.get()), token, baseUrl: getScimBaseUrl(req) }
+        });
+    } catch (error) {
+        console.error('Error creating SCIM token:', error);
+        res.status(500).json({ success: false, message: 'Failed to create SCIM token', error: error.message });
+    }
+};
+
+exports.listScimTokens = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        if (!(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage SCIM tokens' });
+        }
+
+        const snapshot = await db.collection(SCIM_TOKENS_COLLECTION).where('enterpriseId', '==', enterpriseId).get();
+        res.status(200).json({
+            success: true,
+            data: { tokens: snapshot.docs.map(formatScimToken) }
+        });
+    } catch (error) {
+        console.error('Error listing SCIM tokens:', error);
+        res.status(500).json({ success: false, message: 'Failed to list SCIM tokens', error: error.message });
+    }
+};
+
+exports.revokeScimToken = async (req, res) => {
+    try {
+        const { enterpriseId, tokenId } = req.params;
+        const userId = req.user.uid;
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage SCIM tokens' });
+        }
+
+        const tokenRef = db.collection(SCIM_TOKENS_COLLECTION).doc(tokenId);
+        const tokenDoc = await tokenRef.get();
+        if (!tokenDoc.exists || tokenDoc.data().enterpriseId !== enterpriseId) {
+            return res.status(404).json({ success: false, message: 'SCIM token not found' });
+        }
+
+        if (!tokenDoc.data().revokedAt) {
+            await tokenRef.update({ revokedAt: admin.firestore.Timestamp.now(), revokedBy: userId });
+            await logActivity({
+                action: ACTIONS.DELETE,
+                resource: RESOURCES.SCIM_TOKEN,
+                userId,
+                resourceId: tokenId,
+                details: { enterpriseId, name: tokenDoc.data().name }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'SCIM token revoked',
+            data: formatScimToken(await tokenRef.get())
+        });
+    } catch (error) {
+        console.error('Error revoking SCIM token:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke SCIM token', error: error.message });
+    }
+};
+
+/**
+ * Defaults for users provisioned without a matching department: { defaultDepartmentId, defaultRole }
+ */
+exports.updateScimSettings = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const { defaultDepartmentId, defaultRole } = req.body;
+        if (!(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+            return res.status(403).json({ success: false, message: 'Only enterprise admins can manage SCIM settings' });
+        }
+
+        if (defaultRole !== undefined && !ALLOWED_ROLES.includes(defaultRole)) {
+            return res.status(400).json({ success: false, message: `defaultRole must be one of: ${ALLOWED_ROLES.join(', ')}` });
+        }
+        if (defaultDepartmentId) {
+            const departmentDoc = await departmentsCollection(enterpriseId).doc(defaultDepartmentId).get();
+            if (!departmentDoc.exists) {
+                return res.status(404).json({ success: false, message: 'Department not found' });
+            }
+        }
+
+        const enterpriseRef = enterpriseDoc(enterpriseId);
+        const currentSettings = (await enterpriseRef.get()).data()?.scimSettings || {};
+        const scimSettings = {
+            defaultDepartmentId: defaultDepartmentId !== undefined ? defaultDepartmentId || null : currentSettings.defaultDepartmentId || null,
+            defaultRole: defaultRole || currentSettings.defaultRole || 'employee'
+        };
+        await enterpriseRef.update({ scimSettings, updatedAt: admin.firestore.Timestamp.now() });
+
+        res.status(200).json({ success: true, message: 'SCIM settings updated', data: { scimSettings } });
+    } catch (error) {
+        console.error('Error updating SCIM settings:', error);
+        res.status(500).json({ success: false, message: 'Failed to update SCIM settings', error: error.message });
+    }
+};
@@ -1,6 +1,7 @@
 const { db, admin } = require('../../firebase');
 const { logActivity, ACTIONS, RESOURCES } = require('../../utils/logger');
 const { sendSecurityAlert } = require('../../public/Utils/emailService');
+const { scheduleAccountUnlock } = require('../../utils/jobScheduler');
 
 /**
  * Force password reset for a user
@@ -227,7 +228,7 @@ exports.tempLockAccount = async (req, res) => {
     }
 
     // Schedule account unlock
-    scheduleAccountUnlock(userId, lockUntil);
+    const unlockJob = await scheduleAccountUnlock(userId, lockUntil);
 
     // Log the security action
     await logActivity({
@@ -242,6 +243,7 @@ exports.tempLockAccount = async (req, res) => {
         reason: reason || 'Security action',
         duration: duration,
         lockUntil: lockUntil.toISOString(),
+        unlockJobId: unlockJob.jobId,
         actionType: 'temp_lock_account'
       }
     });
@@ -513,46 +515,54 @@ exports.createIncidentReport = async (req, res) => {
 };
 
 /**
- * Schedule account unlock (helper function)
+ * Lift a temporary lock once it has expired. Run by the 'account-unlock' job
+ * that tempLockAccount schedules (utils/jobScheduler.js).
+ * @param {string} userId - Locked user
+ * @param {Date} unlockAt - Lock expiry the job was scheduled for
  */
-function scheduleAccountUnlock(userId, unlockTime) {
-  const timeUntilUnlock = unlockTime.getTime() - Date.now();
-  
-  if (timeUntilUnlock > 0) {
-    setTimeout(async () => {
-      try {
-        console.log(`🔓 [SecurityActions] Auto-unlocking account ${userId}`);
-        
-        // Update user document
-        await db.collection('users').doc(userId).update({
-          accountLocked: false,
-          accountLockedUntil: admin.firestore.FieldValue.delete(),
-          accountLockReason: admin.firestore.FieldValue.delete(),
-          accountLockedBy: admin.firestore.FieldValue.delete(),
-          accountLockedAt: admin.firestore.FieldValue.delete(),
-          updatedAt: admin.firestore.Timestamp.now()
-        });
-
-        // Re-enable user in Firebase Auth
-        await admin.auth().updateUser(userId, { disabled: false });
-
-        // Log the unlock
-        await logActivity({
-          action: 'AUTO_UNLOCK_ACCOUNT',
-          resource: RESOURCES.USER,
-          userId: 'system',
-          resourceId: userId,
-          details: {
-            targetUserId: userId,
-            actionType: 'auto_unlock_account',
-            unlockedAt: new Date().toISOString()
-          }
-        });
+exports.autoUnlockAccount = async (userId, unlockAt) => {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists || !userDoc.data().accountLocked) {
+    console.log(`🔓 [SecurityActions] Account ${userId} is no longer locked, nothing to do`);
+    return { unlocked: false };
+  }
 
-        console.log(`✅ [SecurityActions] Account ${userId} unlocked successfully`);
-      } catch (error) {
-        console.error(`❌ [SecurityActions] Error auto-unlocking account ${userId}:`, error);
-      }
-    }, timeUntilUnlock);
+  // Locked again since this job was scheduled: that lock's own job lifts it
+  const lockedUntil = userDoc.data().accountLockedUntil?.toDate?.();
+  if (lockedUntil && lockedUntil > unlockAt) {
+    console.log(`🔒 [SecurityActions] Account ${userId} is locked until ${lockedUntil.toISOString()}, leaving it locked`);
+    return { unlocked: false };
   }
-}
\ No newline at end of file
+
+  console.log(`🔓 [SecurityActions] Auto-unlocking account ${userId}`);
+
+  // Update user document
+  await userRef.update({
+    accountLocked: false,
+    accountLockedUntil: admin.firestore.FieldValue.delete(),
+    accountLockReason: admin.firestore.FieldValue.delete(),
+    accountLockedBy: admin.firestore.FieldValue.delete(),
+    accountLockedAt: admin.firestore.FieldValue.delete(),
+    updatedAt: admin.firestore.Timestamp.now()
+  });
+
+  // Re-enable user in Firebase Auth
+  await admin.auth().updateUser(userId, { disabled: false });
+
+  // Log the unlock
+  await logActivity({
+    action: 'AUTO_UNLOCK_ACCOUNT',
+    resource: RESOURCES.USER,
+    userId: 'system',
+    resourceId: userId,
+    details: {
+      targetUserId: userId,
+      actionType: 'auto_unlock_account',
+      unlockedAt: new Date().toISOString()
+    }
+  });
+
+  console.log(`✅ [SecurityActions] Account ${userId} unlocked successfully`);
+  return { unlocked: true };
+};
@@ -1,4 +1,5 @@
 const { db, admin } = require('../../firebase.js');
+const { invalidateEnterpriseCache } = require('./contactAggregationController');
 
 // Helper function for standardized error responses
 const sendError = (res, status, message, error = null) => {
@@ -99,6 +100,12 @@ exports.createTeam = async (req, res) => {
         
         console.log(`Created team with ID: ${teamId} in department: ${departmentId}`);
 
+        try {
+            await invalidateEnterpriseCache(enterpriseId);
+        } catch (cacheError) {
+            console.error('Cache invalidation error after team creation:', cacheError);
+        }
+
         res.status(201).send({
             success: true,
             message: 'Team created successfully',
@@ -494,6 +501,12 @@ exports.deleteTeam = async (req, res) => {
         // Delete the team
         await teamRef.delete();
 
+        try {
+            await invalidateEnterpriseCache(enterpriseId);
+        } catch (cacheError) {
+            console.error('Cache invalidation error after team deletion:', cacheError);
+        }
+
         res.status(200).send({
             success: true,
             message: 'Team deleted successfully',
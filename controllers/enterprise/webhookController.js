@@ -0,0 +1,331 @@
+const { db, admin } = require('../../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../../utils/logger');
+const { isEnterpriseAdmin } = require('../helpers/enterpriseAdminHelper');
+const {
+    WEBHOOKS_COLLECTION,
+    DELIVERIES_COLLECTION,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUS,
+    generateWebhookSecret,
+    validateWebhookUrl,
+    replayDelivery
+} = require('../../utils/webhooks');
+
+const SUPPORTED_EVENTS = [...Object.values(WEBHOOK_EVENTS), '*'];
+const MAX_DELIVERIES_PAGE = 100;
+
+const toIsoString = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+const formatWebhook = (doc) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        url: data.url,
+        description: data.description || '',
+        events: data.events,
+        active: data.active,
+        createdBy: data.createdBy,
+        createdAt: toIsoString(data.createdAt),
+        updatedAt: toIsoString(data.updatedAt),
+        lastDeliveryAt: toIsoString(data.lastDeliveryAt),
+        lastDeliveryStatus: data.lastDeliveryStatus || null,
+        consecutiveFailures: data.consecutiveFailures || 0
+    };
+};
+
+const formatDelivery = (doc) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        webhookId: data.webhookId,
+        event: data.event,
+        eventId: data.eventId,
+        status: data.status,
+        attempts: data.attempts || 0,
+        responseStatus: data.responseStatus ?? null,
+        error: data.error || null,
+        durationMs: data.durationMs ?? null,
+        replayOf: data.replayOf || null,
+        payload: data.payload,
+        createdAt: toIsoString(data.createdAt),
+        lastAttemptAt: toIsoString(data.lastAttemptAt),
+        deliveredAt: toIsoString(data.deliveredAt)
+    };
+};
+
+/**
+ * @returns {string|null} - Error message for an invalid events list
+ */
+const validateEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        return `events must be a non-empty array. Supported: ${SUPPORTED_EVENTS.join(', ')}`;
+    }
+    const unknown = events.filter(event => !SUPPORTED_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return `Unknown event(s): ${unknown.join(', ')}. Supported: ${SUPPORTED_EVENTS.join(', ')}`;
+    }
+    return null;
+};
+
+// Load a subscription that belongs to the enterprise
+const loadWebhook = async (enterpriseId, webhookId) => {
+    const webhookDoc = await db.collection(WEBHOOKS_COLLECTION).doc(webhookId).get();
+    return webhookDoc.exists && webhookDoc.data().enterpriseId === enterpriseId ? webhookDoc : null;
+};
+
+const forbidden = (res) => res.status(403).json({ success: false, message: 'Only enterprise admins can manage webhooks' });
+
+/**
+ * Create a webhook subscription. The signing secret is only returned in this response.
+ * Body: url, events[], description
+ */
+exports.createWebhook = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const userId = req.user.uid;
+        const { url, events, description = '' } = req.body;
+
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return forbidden(res);
+        }
+
+        const urlError = await validateWebhookUrl(url);
+        const eventsError = validateEvents(events);
+        if (urlError || eventsError) {
+            return res.status(400).json({ success: false, message: urlError || eventsError });
+        }
+
+        const secret = generateWebhookSecret();
+        const now = admin.firestore.Timestamp.now();
+        const webhookRef = await db.collection(WEBHOOKS_COLLECTION).add({
+            enterpriseId,
+            url,
+            description: String(description).slice(0, 200),
+            events: [...new Set(events)],
+            secret,
+            active: true,
+            createdBy: userId,
+            createdAt: now,
+            updatedAt: now,
+            consecutiveFailures: 0
+        });
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.WEBHOOK,
+            userId,
+            resourceId: webhookRef.id,
+            enterpriseId,
+            details: { url, events }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created. Store the signing secret now; it will not be shown again.',
+            data: { ...formatWebhook(await webhookRef.get()), secret }
+        });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to create webhook', error: error.message });
+    }
+};
+
+exports.listWebhooks = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        if (!(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+            return forbidden(res);
+        }
+
+        const snapshot = await db.collection(WEBHOOKS_COLLECTION).where('enterpriseId', '==', enterpriseId).get();
+        res.status(200).json({
+            success: true,
+            data: {
+                webhooks: snapshot.docs.map(formatWebhook),
+                supportedEvents: SUPPORTED_EVENTS
+            }
+        });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ success: false, message: 'Failed to list webhooks', error: error.message });
+    }
+};
+
+/**
+ * Update url, events, description or active; rotateSecret=true issues a new signing secret
+ */
+exports.updateWebhook = async (req, res) => {
+    try {
+        const { enterpriseId, webhookId } = req.params;
+        const userId = req.user.uid;
+        const { url, events, description, active, rotateSecret } = req.body;
+
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return forbidden(res);
+        }
+
+        const webhookDoc = await loadWebhook(enterpriseId, webhookId);
+        if (!webhookDoc) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const updates = {};
+        if (url !== undefined) {
+            const urlError = await validateWebhookUrl(url);
+            if (urlError) return res.status(400).json({ success: false, message: urlError });
+            updates.url = url;
+        }
+        if (events !== undefined) {
+            const eventsError = validateEvents(events);
+            if (eventsError) return res.status(400).json({ success: false, message: eventsError });
+            updates.events = [...new Set(events)];
+        }
+        if (description !== undefined) updates.description = String(description).slice(0, 200);
+        if (active !== undefined) {
+            updates.active = Boolean(active);
+            if (updates.active) updates.consecutiveFailures = 0;
+        }
+        const secret = rotateSecret === true ? generateWebhookSecret() : null;
+        if (secret) updates.secret = secret;
+
+        await webhookDoc.ref.update({ ...updates, updatedAt: admin.firestore.Timestamp.now() });
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.WEBHOOK,
+            userId,
+            resourceId: webhookId,
+            enterpriseId,
+            details: { updatedFields: Object.keys(updates).filter(field => field !== 'secret'), secretRotated: Boolean(secret) }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated',
+            data: { ...formatWebhook(await webhookDoc.ref.get()), ...(secret && { secret }) }
+        });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to update webhook', error: error.message });
+    }
+};
+
+exports.deleteWebhook = async (req, res) => {
+    try {
+        const { enterpriseId, webhookId } = req.params;
+        const userId = req.user.uid;
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return forbidden(res);
+        }
+
+        const webhookDoc = await loadWebhook(enterpriseId, webhookId);
+        if (!webhookDoc) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        // Deliveries are kept for the log; queued ones fail once the webhook is gone
+        await webhookDoc.ref.delete();
+
+        await logActivity({
+            action: ACTIONS.DELETE,
+            resource: RESOURCES.WEBHOOK,
+            userId,
+            resourceId: webhookId,
+            enterpriseId,
+            details: { url: webhookDoc.data().url }
+        });
+
+        res.status(200).json({ success: true, message: 'Webhook deleted', webhookId });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete webhook', error: error.message });
+    }
+};
+
+/**
+ * Delivery log, newest first. Query: webhookId, status, event, limit (max 100), startAfter (delivery ID)
+ */
+exports.getWebhookDeliveries = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const { webhookId, status, event, startAfter } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_DELIVERIES_PAGE);
+
+        if (!(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+            return forbidden(res);
+        }
+        if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}`
+            });
+        }
+
+        let query = db.collection(DELIVERIES_COLLECTION).where('enterpriseId', '==', enterpriseId);
+        if (webhookId) query = query.where('webhookId', '==', webhookId);
+        if (status) query = query.where('status', '==', status);
+        if (event) query = query.where('event', '==', event);
+        query = query.orderBy('createdAt', 'desc');
+
+        if (startAfter) {
+            const cursorDoc = await db.collection(DELIVERIES_COLLECTION).doc(startAfter).get();
+            if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+        }
+
+        const snapshot = await query.limit(limit + 1).get();
+        const deliveries = snapshot.docs.slice(0, limit).map(formatDelivery);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                deliveries,
+                hasMore: snapshot.docs.length > limit,
+                nextCursor: snapshot.docs.length > limit ? deliveries[deliveries.length - 1].id : null
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook deliveries', error: error.message });
+    }
+};
+
+/**
+ * Queue a new delivery of the same payload (signed again with the current secret)
+ */
+exports.replayWebhookDelivery = async (req, res) => {
+    try {
+        const { enterpriseId, deliveryId } = req.params;
+        const userId = req.user.uid;
+        if (!(await isEnterpriseAdmin(userId, enterpriseId))) {
+            return forbidden(res);
+        }
+
+        const deliveryDoc = await db.collection(DELIVERIES_COLLECTION).doc(deliveryId).get();
+        if (!deliveryDoc.exists || deliveryDoc.data().enterpriseId !== enterpriseId) {
+            return res.status(404).json({ success: false, message: 'Webhook delivery not found' });
+        }
+        if (!(await loadWebhook(enterpriseId, deliveryDoc.data().webhookId))) {
+            return res.status(409).json({ success: false, message: 'The webhook for this delivery no longer exists' });
+        }
+
+        const newDeliveryId = await replayDelivery(deliveryId);
+
+        await logActivity({
+            action: ACTIONS.SEND,
+            resource: RESOURCES.WEBHOOK,
+            userId,
+            resourceId: deliveryDoc.data().webhookId,
+            enterpriseId,
+            details: { operation: 'replay_delivery', deliveryId, newDeliveryId, event: deliveryDoc.data().event }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Webhook delivery queued for replay',
+            data: { deliveryId: newDeliveryId, replayOf: deliveryId }
+        });
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({ success: false, message: 'Failed to replay webhook delivery', error: error.message });
+    }
+};
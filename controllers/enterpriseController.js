@@ -1,5 +1,10 @@
 const { db, admin } = require('../firebase');
 const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { sendBillingDocumentPdf } = require('./helpers/billingDocumentsHelper');
+const { isEnterpriseAdmin } = require('./helpers/enterpriseAdminHelper');
+const { isPlatformAdmin } = require('../middleware/auth');
+const { contactCache } = require('./enterprise/contactAggregationController');
+const { STATS_PERIODS, DEFAULT_PERIOD, calculateEnterpriseStats } = require('../utils/enterpriseStats');
 
 /**
  * Get all enterprises
@@ -238,35 +243,73 @@ exports.deleteEnterprise = async (req, res) => {
 };
 
 /**
- * Get enterprise statistics
- * Note: This is a placeholder for the stats endpoint
+ * Get enterprise dashboard statistics
+ * Query: period (7d, 30d, 90d or 365d; default 30d), refresh=true to skip the cache
  */
 exports.getEnterpriseStats = async (req, res) => {
+  const { enterpriseId } = req.params;
+  const period = req.query.period || DEFAULT_PERIOD;
+
   try {
-    const { enterpriseId } = req.params;
-    
-    const doc = await db.collection('enterprise').doc(enterpriseId).get();
-    
-    if (!doc.exists) {
+    if (!STATS_PERIODS[period]) {
+      return res.status(400).json({
+        status: false,
+        message: `period must be one of: ${Object.keys(STATS_PERIODS).join(', ')}`
+      });
+    }
+
+    if (!isPlatformAdmin(req) && !(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+      return res.status(403).json({
+        status: false,
+        message: 'Only enterprise administrators can view enterprise statistics'
+      });
+    }
+
+    const cacheKey = contactCache.generateStatsKey(enterpriseId, period);
+    if (req.query.refresh !== 'true') {
+      const cachedStats = await contactCache.get(cacheKey);
+      if (cachedStats) {
+        return res.status(200).json({
+          status: true,
+          data: { stats: cachedStats },
+          cached: true
+        });
+      }
+    }
+
+    let stats;
+    try {
+      stats = await calculateEnterpriseStats(enterpriseId, { period });
+    } catch (calculationError) {
+      // Serve the last figures we had rather than nothing
+      const staleEntry = contactCache.getStale(cacheKey);
+      if (!staleEntry) throw calculationError;
+
+      console.error(`Stats calculation failed for enterprise ${enterpriseId}, returning cached stats:`, calculationError);
+      return res.status(200).json({
+        status: true,
+        data: { stats: staleEntry.data },
+        cached: true,
+        stale: true,
+        cacheAge: Date.now() - staleEntry.createdAt
+      });
+    }
+
+    if (!stats) {
       return res.status(404).json({ 
         status: false, 
         message: 'Enterprise not found' 
       });
     }
 
-    // This is a placeholder - implement actual stats logic as needed
-    const stats = {
-      totalUsers: 0,
-      activeUsers: 0,
-      departments: 0,
-      lastActivity: new Date().toISOString()
-    };
+    await contactCache.set(cacheKey, stats);
 
     res.status(200).json({ 
       status: true,
       data: {
         stats
-      }
+      },
+      cached: false
     });
   } catch (error) {
     console.error('Error getting enterprise stats:', error);
@@ -404,23 +447,28 @@ exports.downloadInvoice = async (req, res) => {
       });
     }
 
-    // For now, return a placeholder response
-    // In a real implementation, you would:
-    // 1. Generate PDF using a library like puppeteer or jsPDF
-    // 2. Store PDFs in Firebase Storage
-    // 3. Return the PDF file or signed URL
-    
-    res.status(200).json({
-      status: true,
-      message: 'Invoice PDF download functionality - placeholder implementation',
-      data: {
-        invoiceId: invoiceId,
-        filename: `invoice-${invoiceData.number}.pdf`,
-        note: 'PDF generation to be implemented with puppeteer or similar library'
-      }
+    // Enterprise billing details for the "Bill to" block
+    const enterpriseDoc = await db.collection('enterprise').doc(enterpriseId).get();
+    const enterpriseData = enterpriseDoc.exists ? enterpriseDoc.data() : {};
+    const billingDetails = enterpriseData.billingDetails || {};
+
+    const delivery = await sendBillingDocumentPdf(req, res, {
+      collection: 'enterpriseInvoices',
+      docId: invoiceId,
+      data: invoiceData,
+      type: 'invoice',
+      billTo: {
+        name: billingDetails.companyName || enterpriseData.name || enterpriseId,
+        email: billingDetails.email || enterpriseData.billingEmail || null,
+        vatNumber: billingDetails.vatNumber || enterpriseData.vatNumber || null,
+        address: billingDetails.address || enterpriseData.address || null,
+        logoUrl: enterpriseData.logoUrl || null
+      },
+      storagePath: `invoices/${enterpriseId}/${invoiceId}.pdf`,
+      filename: `invoice-${invoiceData.number || invoiceId}.pdf`
     });
 
-    // Log the download attempt
+    // Log the download
     await logActivity({
       action: ACTIONS.VIEW,
       resource: 'ENTERPRISE_INVOICE',
@@ -428,12 +476,15 @@ exports.downloadInvoice = async (req, res) => {
       resourceId: invoiceId,
       details: {
         invoiceNumber: invoiceData.number,
-        enterpriseId: enterpriseId
+        enterpriseId: enterpriseId,
+        cached: delivery.cached,
+        delivery: delivery.delivery
       }
     });
 
   } catch (error) {
     console.error('Error downloading invoice:', error);
+    if (res.headersSent) return;
     res.status(500).json({
       status: false,
       message: 'Failed to download invoice',
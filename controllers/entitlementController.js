@@ -0,0 +1,16 @@
+const { getEntitlements } = require('../utils/entitlements');
+
+/**
+ * Plan limits and current usage of the signed-in user, for usage bars.
+ * Each entitlement: { limit, used, remaining, allowed } - limit and remaining are
+ * null when unlimited; exports also carry the period (YYYY-MM) they count.
+ */
+exports.getMyEntitlements = async (req, res) => {
+    try {
+        const data = await getEntitlements(req.user.uid);
+        res.status(200).json({ status: true, data });
+    } catch (error) {
+        console.error('Failed to get entitlements:', error);
+        res.status(500).json({ status: false, message: 'Failed to get entitlements', error: error.message });
+    }
+};
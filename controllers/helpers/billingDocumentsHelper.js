@@ -0,0 +1,93 @@
+const { db, admin } = require('../../firebase.js');
+const { RENDERER_VERSION, getDocumentHash, renderBillingDocumentPdf } = require('../../utils/invoicePdf');
+const { savePrivateFile, privateFileExists, getSignedFileUrl, readPrivateFile } = require('../../utils/firebaseStorage');
+
+/**
+ * Return the PDF for an invoice or receipt, rendering and caching it when needed.
+ * The cached file is reused while the document content (hash) is unchanged.
+ * @param {Object} params - Document parameters
+ * @param {string} params.collection - Firestore collection (enterpriseInvoices, paymentReceipts)
+ * @param {string} params.docId - Document ID
+ * @param {Object} params.data - Document data
+ * @param {string} params.type - 'invoice' or 'receipt'
+ * @param {Object} params.billTo - Customer details printed on the document
+ * @param {string} params.storagePath - Where to cache the PDF in storage
+ * @returns {Promise<Object>} - { cached, storagePath, location, buffer? }
+ */
+const getBillingDocumentPdf = async ({ collection, docId, data, type, billTo, storagePath }) => {
+    const hash = getDocumentHash(data, billTo);
+    const cachedPdf = data.pdf;
+
+    if (cachedPdf && cachedPdf.hash === hash) {
+        try {
+            if (await privateFileExists(cachedPdf.storagePath, cachedPdf.location)) {
+                return {
+                    cached: true,
+                    storagePath: cachedPdf.storagePath,
+                    location: cachedPdf.location
+                };
+            }
+        } catch (error) {
+            console.warn(`Cached PDF check failed for ${collection}/${docId}, re-rendering:`, error.message);
+        }
+    }
+
+    console.log(`🧾 Rendering ${type} PDF for ${collection}/${docId}`);
+    const buffer = await renderBillingDocumentPdf(data, { type, billTo });
+    const saved = await savePrivateFile(buffer, storagePath, 'application/pdf');
+
+    await db.collection(collection).doc(docId).update({
+        pdf: {
+            storagePath: saved.storagePath,
+            location: saved.location,
+            hash,
+            rendererVersion: RENDERER_VERSION,
+            generatedAt: admin.firestore.Timestamp.now()
+        }
+    });
+
+    return { cached: false, buffer, ...saved };
+};
+
+/**
+ * Respond with a billing document PDF.
+ * First request streams the freshly rendered PDF; later requests get a signed URL
+ * to the cached file (pass ?stream=true to always receive the file itself).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - getBillingDocumentPdf params plus filename
+ * @returns {Promise<Object>} - { cached, delivery } for logging
+ */
+const sendBillingDocumentPdf = async (req, res, { filename, ...params }) => {
+    const pdf = await getBillingDocumentPdf(params);
+
+    if (pdf.cached && req.query.stream !== 'true' && pdf.location === 'firebase') {
+        const signed = await getSignedFileUrl(pdf.storagePath);
+        if (signed) {
+            res.status(200).json({
+                status: true,
+                data: {
+                    id: params.docId,
+                    filename,
+                    url: signed.url,
+                    expiresAt: signed.expiresAt,
+                    cached: true
+                }
+            });
+            return { cached: true, delivery: 'signed_url' };
+        }
+    }
+
+    const buffer = pdf.buffer || await readPrivateFile(pdf.storagePath, pdf.location);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.status(200).send(buffer);
+    return { cached: pdf.cached, delivery: 'stream' };
+};
+
+module.exports = {
+    getBillingDocumentPdf,
+    sendBillingDocumentPdf
+};
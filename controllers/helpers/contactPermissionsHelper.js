@@ -0,0 +1,202 @@
+const { db } = require('../../firebase.js');
+
+/**
+ * Helper function to check user permissions for contact access operations
+ * Follows the same pattern as checkCardPermissions in departmentsController.js
+ * Currently implements employee-only permissions (access level: 'own')
+ * Used by contactController and the location heatmap (routes/locationRoutes.js)
+ */
+const checkContactPermissions = async (userId, action, targetUserId = null) => {
+    try {
+        console.log(`🔍 [ContactPermissions] Checking ${action} permission for user: ${userId}, target: ${targetUserId}`);
+
+        // Get user's basic data to check if they have enterprise association
+        const userRef = db.collection('users').doc(userId);
+        const userDoc = await userRef.get();
+        
+        if (!userDoc.exists) {
+            return { allowed: false, reason: 'User not found' };
+        }
+
+        const userData = userDoc.data();
+        const enterpriseRef = userData.enterpriseRef;
+
+        // If no enterprise association, allow access to own contacts only
+        if (!enterpriseRef) {
+            console.log(`📝 [ContactPermissions] No enterprise association - allowing own access only`);
+            if (targetUserId && targetUserId !== userId) {
+                return { 
+                    allowed: false, 
+                    reason: 'Non-enterprise users can only access their own contacts' 
+                };
+            }
+            return { 
+                allowed: true, 
+                accessLevel: 'own', 
+                userRole: 'individual',
+                ownUserId: userId,
+                effectivePermissions: ['viewContacts', 'deleteContacts', 'shareContacts']
+            };
+        }
+
+        const enterpriseId = enterpriseRef.id;
+        const enterpriseDoc = await enterpriseRef.get();
+        
+        if (!enterpriseDoc.exists) {
+            return { allowed: false, reason: 'Enterprise not found' };
+        }
+
+        // Find user's role in the enterprise
+        let userRole = null;
+        let userDepartmentId = null;
+
+        // Check all departments for this user
+        const departmentsSnapshot = await enterpriseRef.collection('departments').get();
+        
+        for (const deptDoc of departmentsSnapshot.docs) {
+            const employeesSnapshot = await deptDoc.ref.collection('employees')
+                .where('userId', '==', db.doc(`users/${userId}`))
+                .get();
+            
+            if (!employeesSnapshot.empty) {
+                const employeeData = employeesSnapshot.docs[0].data();
+                userRole = employeeData.role;
+                userDepartmentId = deptDoc.id;
+                break;
+            }
+        }
+
+        if (!userRole) {
+            // User has enterpriseRef but is not an employee - treat as individual user
+            console.log(`📝 [ContactPermissions] User has enterprise association but is not an employee - treating as individual user`);
+            if (targetUserId && targetUserId !== userId) {
+                return { 
+                    allowed: false, 
+                    reason: 'Non-employee enterprise users can only access their own contacts' 
+                };
+            }
+            return { 
+                allowed: true, 
+                accessLevel: 'own', 
+                userRole: 'individual',
+                ownUserId: userId,
+                effectivePermissions: ['viewContacts', 'deleteContacts', 'shareContacts']
+            };
+        }
+
+        // Get user's individual permissions (if they exist)
+        let individualPermissions = { removed: [], added: [] };
+        try {
+            const enterpriseUserRef = enterpriseRef.collection('users').doc(userId);
+            const enterpriseUserDoc = await enterpriseUserRef.get();
+            if (enterpriseUserDoc.exists) {
+                individualPermissions = enterpriseUserDoc.data().individualPermissions || { removed: [], added: [] };
+            }
+        } catch (permError) {
+            console.log('No individual permissions found for user, using defaults');
+        }
+
+        // Define contact permissions by role (from analysis document)
+        const basePermissions = {
+            'admin': ['viewContacts', 'deleteContacts', 'manageAllContacts', 'exportContacts', 'shareContacts'],
+            'manager': ['viewContacts', 'deleteContacts', 'manageAllContacts', 'exportContacts', 'shareContacts'],
+            'employee': ['viewContacts', 'deleteContacts', 'shareContacts']
+        };
+
+        let effectivePermissions = [...(basePermissions[userRole] || [])];
+
+        // Apply individual permission overrides
+        if (individualPermissions.removed) {
+            effectivePermissions = effectivePermissions.filter(p => !individualPermissions.removed.includes(p));
+        }
+        if (individualPermissions.added) {
+            effectivePermissions = [...effectivePermissions, ...individualPermissions.added];
+        }
+
+        // Check if user has the required permission for this action
+        const requiredPermission = getRequiredPermission(action);
+        if (!effectivePermissions.includes(requiredPermission)) {
+            return { allowed: false, reason: `Access denied: ${requiredPermission} permission required` };
+        }
+
+        // Phase 2: Handle all roles (admin, manager, employee)
+        if (userRole === 'employee') {
+            // Employees can only access their own contacts
+            if (targetUserId && targetUserId !== userId) {
+                return { 
+                    allowed: false, 
+                    reason: 'Employees can only access their own contacts' 
+                };
+            }
+            return { 
+                allowed: true, 
+                accessLevel: 'own', 
+                userRole, 
+                userDepartmentId, 
+                effectivePermissions,
+                ownUserId: userId
+            };
+        }
+
+        // Admins and managers only reach the contacts of their own enterprise's members
+        if (targetUserId && targetUserId !== userId) {
+            const targetUserDoc = await db.collection('users').doc(targetUserId).get();
+            if (!targetUserDoc.exists || targetUserDoc.data().enterpriseRef?.id !== enterpriseId) {
+                return { allowed: false, reason: 'User is not a member of your enterprise' };
+            }
+        }
+
+        if (userRole === 'admin') {
+            // Admins have enterprise-wide access
+            return { 
+                allowed: true, 
+                accessLevel: 'all_enterprise', 
+                userRole, 
+                userDepartmentId, 
+                effectivePermissions,
+                enterpriseId: enterpriseId
+            };
+        }
+
+        if (userRole === 'manager') {
+            // Managers have enterprise-wide access (same as admin for contacts)
+            return { 
+                allowed: true, 
+                accessLevel: 'all_enterprise', 
+                userRole, 
+                userDepartmentId, 
+                effectivePermissions,
+                enterpriseId: enterpriseId
+            };
+        }
+
+        // Unknown role
+        return { 
+            allowed: false, 
+            reason: `Unsupported user role: '${userRole}'. Supported roles: admin, manager, employee.` 
+        };
+
+    } catch (error) {
+        console.error('Error checking contact permissions:', error);
+        return { allowed: false, reason: 'Error checking permissions' };
+    }
+};
+
+/**
+ * Map actions to required permissions
+ */
+const getRequiredPermission = (action) => {
+    const actionMap = {
+        'view': 'viewContacts',
+        'delete': 'deleteContacts',
+        'export': 'exportContacts',
+        'share': 'shareContacts',
+        'manage': 'manageAllContacts'
+    };
+    return actionMap[action] || 'viewContacts';
+};
+
+module.exports = {
+    checkContactPermissions,
+    getRequiredPermission
+};
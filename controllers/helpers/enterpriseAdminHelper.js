@@ -0,0 +1,31 @@
+const { db } = require('../../firebase.js');
+
+/**
+ * Check that a user is an admin of the enterprise (role on their employee record).
+ * Falls back to searching departments for users without an employeeRef.
+ */
+const isEnterpriseAdmin = async (userId, enterpriseId) => {
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists || userDoc.data().enterpriseRef?.id !== enterpriseId) return false;
+
+    const userData = userDoc.data();
+    if (userData.employeeRef) {
+        const employeeDoc = await userData.employeeRef.get();
+        return employeeDoc.exists && employeeDoc.data().role === 'admin';
+    }
+
+    const departmentsSnapshot = await db.collection('enterprise').doc(enterpriseId).collection('departments').get();
+    for (const deptDoc of departmentsSnapshot.docs) {
+        const employeesSnapshot = await deptDoc.ref.collection('employees')
+            .where('userId', '==', db.doc(`users/${userId}`))
+            .get();
+        if (!employeesSnapshot.empty) {
+            return employeesSnapshot.docs[0].data().role === 'admin';
+        }
+    }
+    return false;
+};
+
+module.exports = {
+    isEnterpriseAdmin
+};
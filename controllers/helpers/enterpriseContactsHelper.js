@@ -1,5 +1,6 @@
 const { db } = require('../../firebase.js');
 const { formatDate } = require('../../utils/dateFormatter');
+const contactStore = require('../../utils/contactStore');
 
 /**
  * Get all contacts for an enterprise (admin/manager access)
@@ -44,42 +45,36 @@ const getAllEnterpriseContacts = async (enterpriseId) => {
 
         for (const user of enterpriseUsers) {
             try {
-                const contactRef = db.collection('contacts').doc(user.userId);
-                const contactDoc = await contactRef.get();
-                
-                if (contactDoc.exists) {
-                    const contactData = contactDoc.data();
-                    const contactList = contactData.contactList || [];
-                    
-                    if (contactList.length > 0) {
-                        // Format contacts with owner information
-                        const formattedContacts = contactList.map(contact => ({
-                            ...contact,
-                            createdAt: formatDate(contact.createdAt),
-                            // Add owner information for enterprise view
-                            owner: {
-                                userId: user.userId,
-                                name: user.name,
-                                role: user.role,
-                                department: user.department,
-                                departmentName: user.departmentName
-                            }
-                        }));
+                const contactList = (await contactStore.listContacts(user.userId)).map(contactStore.toLegacyContact);
 
-                        allContacts.push({
-                            id: user.userId,
-                            owner: {
-                                userId: user.userId,
-                                name: user.name,
-                                role: user.role,
-                                department: user.department,
-                                departmentName: user.departmentName
-                            },
-                            contactList: formattedContacts
-                        });
+                if (contactList.length > 0) {
+                    // Format contacts with owner information
+                    const formattedContacts = contactList.map(contact => ({
+                        ...contact,
+                        createdAt: formatDate(contact.createdAt),
+                        // Add owner information for enterprise view
+                        owner: {
+                            userId: user.userId,
+                            name: user.name,
+                            role: user.role,
+                            department: user.department,
+                            departmentName: user.departmentName
+                        }
+                    }));
 
-                        totalContactCount += contactList.length;
-                    }
+                    allContacts.push({
+                        id: user.userId,
+                        owner: {
+                            userId: user.userId,
+                            name: user.name,
+                            role: user.role,
+                            department: user.department,
+                            departmentName: user.departmentName
+                        },
+                        contactList: formattedContacts
+                    });
+
+                    totalContactCount += contactList.length;
                 }
             } catch (contactError) {
                 console.warn(`⚠️ [EnterpriseContacts] Failed to fetch contacts for user ${user.userId}:`, contactError.message);
@@ -1,6 +1,7 @@
 const https = require('https');
 const { db, admin } = require('../firebase');
 const crypto = require('crypto');
+const { claimPaystackEvent, markPaystackEventProcessed, markPaystackEventFailed } = require('../utils/paystackEvents');
 
 // This file is no longer needed as we're migrating payment functionality
 // to the subscription controller.
@@ -30,13 +31,42 @@ const initializePayment = async (req, res) => {
 };
 
 // Keep this for backward compatibility
-const handlePaymentCallback = (req, res) => {
+// POST is the Paystack webhook: only charge.success sets up the trial, and each
+// event is processed once (the signature is checked by verifyPaystackSignature)
+const handlePaymentCallback = async (req, res) => {
+    let claim = null;
     try {
         // Import and call the subscription callback handler
         const { handleTrialCallback } = require('./subscriptionController');
+        if (req.method !== 'POST') {
+            return handleTrialCallback(req, res);
+        }
+
+        if (req.body?.event !== 'charge.success') {
+            return res.status(200).json({ status: true, message: 'Event ignored' });
+        }
+
+        claim = await claimPaystackEvent(req.body, 'payment_webhook');
+        if (!claim.claimed) {
+            console.log(`Skipping duplicate payment webhook event ${claim.key} (${claim.status})`);
+            return res.status(200).json({ status: true, message: 'Event already processed' });
+        }
+
+        // Server errors release the event so Paystack's retry is processed again
+        const { key } = claim;
+        res.on('finish', () => {
+            const settle = res.statusCode >= 500
+                ? markPaystackEventFailed(key, new Error(`Trial callback responded with HTTP ${res.statusCode}`))
+                : markPaystackEventProcessed(key, { statusCode: res.statusCode });
+            settle.catch(error => console.error('Failed to record payment webhook event:', error));
+        });
+
         return handleTrialCallback(req, res);
     } catch (error) {
         console.error('Payment callback redirect error:', error);
+        if (claim?.claimed) {
+            await markPaystackEventFailed(claim.key, error).catch(() => {});
+        }
         res.status(500).json({ 
             status: false,
             message: 'Payment callback failed',
@@ -0,0 +1,239 @@
+const { db, admin } = require('../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const {
+    PlanCatalogueError,
+    getPlan,
+    listPlans,
+    listPlanVersions,
+    validateSeatCount,
+    quotePlan,
+    createPlan,
+    createPlanVersion,
+    retirePlan
+} = require('../utils/planCatalogue');
+
+const toIsoString = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+const formatPlan = (plan) => ({
+    id: plan.id,
+    version: plan.version,
+    status: plan.status,
+    name: plan.name,
+    description: plan.description || '',
+    tier: plan.tier,
+    interval: plan.interval,
+    pricingModel: plan.pricingModel,
+    minSeats: plan.minSeats ?? null,
+    maxSeats: plan.maxSeats ?? null,
+    defaultCurrency: plan.defaultCurrency,
+    prices: plan.prices,
+    entitlements: plan.entitlements,
+    source: plan.source,
+    supersededBy: plan.supersededBy || null,
+    createdAt: toIsoString(plan.createdAt),
+    createdBy: plan.createdBy || null,
+    retiredAt: toIsoString(plan.retiredAt)
+});
+
+const sendCatalogueError = (res, error, fallbackMessage) => {
+    if (error instanceof PlanCatalogueError) {
+        return res.status(error.status).json({ status: false, message: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ status: false, message: fallbackMessage, error: error.message });
+};
+
+/**
+ * Latest version of every plan. Query: includeRetired=true
+ */
+exports.listCataloguePlans = async (req, res) => {
+    try {
+        const plans = await listPlans({ includeRetired: req.query.includeRetired === 'true' });
+        res.status(200).json({ status: true, data: plans.map(formatPlan) });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to list plans');
+    }
+};
+
+exports.getPlanVersions = async (req, res) => {
+    try {
+        const versions = await listPlanVersions(req.params.planId);
+        if (versions.length === 0) {
+            return res.status(404).json({ status: false, message: 'Plan not found' });
+        }
+        res.status(200).json({ status: true, data: versions.map(formatPlan) });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to get plan versions');
+    }
+};
+
+/**
+ * Body: id, name, description, tier, interval, pricingModel, minSeats, maxSeats,
+ * defaultCurrency, prices { CUR: { amount, planCode } }, entitlements
+ */
+exports.createCataloguePlan = async (req, res) => {
+    try {
+        const plan = await createPlan(req.body, req.user.uid);
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.SUBSCRIPTION_PLAN,
+            userId: req.user.uid,
+            resourceId: plan.id,
+            details: { version: plan.version, tier: plan.tier, prices: plan.prices }
+        });
+
+        res.status(201).json({ status: true, message: 'Plan created', data: formatPlan(plan) });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to create plan');
+    }
+};
+
+/**
+ * New version from the latest one; the body holds only the fields that change
+ */
+exports.createCataloguePlanVersion = async (req, res) => {
+    try {
+        const { planId } = req.params;
+        const plan = await createPlanVersion(planId, req.body, req.user.uid);
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.SUBSCRIPTION_PLAN,
+            userId: req.user.uid,
+            resourceId: planId,
+            details: { version: plan.version, changedFields: Object.keys(req.body) }
+        });
+
+        res.status(201).json({
+            status: true,
+            message: `Version ${plan.version} of ${planId} created. Existing subscribers stay on their current version.`,
+            data: formatPlan(plan)
+        });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to create plan version');
+    }
+};
+
+exports.retireCataloguePlan = async (req, res) => {
+    try {
+        const { planId } = req.params;
+        const retiredVersions = await retirePlan(planId, req.user.uid);
+
+        await logActivity({
+            action: ACTIONS.DELETE,
+            resource: RESOURCES.SUBSCRIPTION_PLAN,
+            userId: req.user.uid,
+            resourceId: planId,
+            details: { operation: 'retire_plan', retiredVersions }
+        });
+
+        res.status(200).json({
+            status: true,
+            message: `${planId} retired. It is no longer offered; existing subscribers keep it.`,
+            data: { planId, retiredVersions }
+        });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to retire plan');
+    }
+};
+
+/**
+ * Price of a plan. Query: currency, seats (per-seat plans)
+ */
+exports.getPlanQuote = async (req, res) => {
+    try {
+        const plan = await getPlan(req.params.planId);
+        if (!plan || plan.status !== 'active') {
+            return res.status(404).json({ status: false, message: 'Plan not found' });
+        }
+
+        const seats = req.query.seats !== undefined ? Number(req.query.seats) : (plan.minSeats || 1);
+        const seatError = validateSeatCount(plan, seats);
+        if (seatError) {
+            return res.status(400).json({ status: false, message: seatError });
+        }
+
+        const quote = quotePlan(plan, { currency: req.query.currency || null, seats });
+        if (!quote) {
+            return res.status(400).json({
+                status: false,
+                message: `${plan.name} is not available in ${req.query.currency}. Available: ${Object.keys(plan.prices).join(', ')}`
+            });
+        }
+
+        res.status(200).json({
+            status: true,
+            data: { planId: plan.id, version: plan.version, interval: plan.interval, pricingModel: plan.pricingModel, ...quote }
+        });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to quote plan');
+    }
+};
+
+/**
+ * Put an enterprise on an enterprise-tier plan. Body: planId, seats, currency
+ */
+exports.assignEnterprisePlan = async (req, res) => {
+    try {
+        const { enterpriseId } = req.params;
+        const { planId, currency = null } = req.body;
+        const seats = Number(req.body.seats);
+
+        const enterpriseRef = db.collection('enterprise').doc(enterpriseId);
+        const enterpriseDoc = await enterpriseRef.get();
+        if (!enterpriseDoc.exists) {
+            return res.status(404).json({ status: false, message: 'Enterprise not found' });
+        }
+
+        const plan = await getPlan(planId);
+        if (!plan || plan.status !== 'active' || plan.tier !== 'enterprise') {
+            return res.status(400).json({ status: false, message: 'planId must be an active enterprise plan' });
+        }
+        const seatError = validateSeatCount(plan, seats);
+        if (seatError) {
+            return res.status(400).json({ status: false, message: seatError });
+        }
+        const quote = quotePlan(plan, { currency, seats });
+        if (!quote) {
+            return res.status(400).json({ status: false, message: `${plan.name} is not available in ${currency}` });
+        }
+
+        const billingPlan = {
+            planId: plan.id,
+            planVersion: plan.version,
+            seats: quote.seats,
+            currency: quote.currency,
+            unitAmount: quote.unitAmount,
+            amount: quote.amount,
+            interval: plan.interval,
+            assignedAt: admin.firestore.Timestamp.now(),
+            assignedBy: req.user.uid
+        };
+        await enterpriseRef.update({ billingPlan, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.SUBSCRIPTION_PLAN,
+            userId: req.user.uid,
+            resourceId: plan.id,
+            enterpriseId,
+            details: {
+                operation: 'assign_enterprise_plan',
+                previousPlan: enterpriseDoc.data().billingPlan?.planId || null,
+                planVersion: plan.version,
+                seats: quote.seats,
+                amount: quote.amount,
+                currency: quote.currency
+            }
+        });
+
+        res.status(200).json({
+            status: true,
+            message: 'Enterprise plan updated',
+            data: { ...billingPlan, assignedAt: toIsoString(billingPlan.assignedAt) }
+        });
+    } catch (error) {
+        sendCatalogueError(res, error, 'Failed to assign enterprise plan');
+    }
+};
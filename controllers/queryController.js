@@ -0,0 +1,243 @@
+const { db } = require('../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { isPlatformAdmin } = require('../middleware/auth');
+const { getRateLimitIp } = require('../middleware/rateLimit');
+const {
+    QUERY_STATUS,
+    validateQuery,
+    createQuery,
+    getQuery,
+    listQueries,
+    setQueryStatus,
+    notifyQueryReceived,
+    replyToQuery
+} = require('../utils/queryInbox');
+
+const MAX_QUERIES_PAGE = 100;
+
+// Hidden form field real visitors never fill in
+const HONEYPOT_FIELD = 'website';
+
+// Shared error response helper
+const sendError = (res, status, message, error = null) => {
+    console.error(`${message}:`, error);
+    res.status(status).json({
+        success: false,
+        message,
+        ...(error && { error: error.message })
+    });
+};
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+const formatQuery = (query) => ({
+    ...query,
+    createdAt: toIso(query.createdAt),
+    updatedAt: toIso(query.updatedAt),
+    handledAt: toIso(query.handledAt),
+    lastRepliedAt: toIso(query.lastRepliedAt),
+    replies: (query.replies || []).map(reply => ({ ...reply, sentAt: toIso(reply.sentAt) }))
+});
+
+// Card owners see their own queries; platform admins also see the platform inbox (userId null)
+const canAccessQuery = (req, query) =>
+    query.userId === req.user.uid || (query.userId === null && isPlatformAdmin(req));
+
+const loadAccessibleQuery = async (req, res) => {
+    const query = await getQuery(req.params.queryId);
+    if (!query || !canAccessQuery(req, query)) {
+        sendError(res, 404, 'Query not found');
+        return null;
+    }
+    return query;
+};
+
+/**
+ * POST /submit-query (public) { name, email, message, userId?, cardIndex? }
+ * Without a userId the query goes to the platform inbox. Any `to` sent by the
+ * page is ignored: the recipient is always the card owner or the platform.
+ */
+exports.submitQuery = async (req, res) => {
+    const { userId, cardIndex = 0, page } = req.body || {};
+
+    // Bots fill in every field: accept the submission but keep nothing
+    if (req.body?.[HONEYPOT_FIELD]) {
+        console.log(`🍯 Honeypot submission to /submit-query dropped (from ${getRateLimitIp(req)})`);
+        return res.status(201).json({ success: true, message: 'Query submitted successfully' });
+    }
+
+    try {
+        const fields = validateQuery(req.body);
+
+        let owner = null;
+        if (userId) {
+            const ownerDoc = await db.collection('users').doc(String(userId)).get();
+            if (!ownerDoc.exists) {
+                return sendError(res, 404, 'Card owner not found');
+            }
+            owner = ownerDoc.data();
+        }
+
+        const query = await createQuery({
+            userId: userId ? String(userId) : null,
+            cardIndex,
+            query: fields,
+            source: {
+                page,
+                ipAddress: getRateLimitIp(req),
+                userAgent: req.headers['user-agent']
+            }
+        });
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.QUERY,
+            userId: query.userId || 'anonymous',
+            resourceId: query.id,
+            ...(owner?.enterpriseRef && { enterpriseId: owner.enterpriseRef.id }),
+            details: {
+                operation: 'query_submitted',
+                cardIndex: query.cardIndex,
+                inbox: query.userId ? 'card_owner' : 'platform',
+                senderEmail: query.email
+            }
+        });
+
+        // The query is stored either way; a failed email shouldn't fail the form
+        try {
+            const mailResult = await notifyQueryReceived(query, owner);
+            if (!mailResult.success) {
+                console.error('Failed to send query notification:', mailResult.error);
+            } else if (mailResult.blocked) {
+                console.log('Query notification blocked by user preference');
+            }
+        } catch (emailError) {
+            console.error('Query notification error:', emailError);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Query submitted successfully',
+            queryId: query.id
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to submit query', error);
+    }
+};
+
+/**
+ * GET /queries?status=&cardIndex=&limit=&startAfter=&inbox=platform
+ * inbox=platform lists the queries sent to the platform (platform admins only)
+ */
+exports.getQueries = async (req, res) => {
+    const { status, cardIndex, startAfter, inbox } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_QUERIES_PAGE);
+
+    try {
+        if (inbox === 'platform' && !isPlatformAdmin(req)) {
+            return sendError(res, 403, 'Platform administrator access required');
+        }
+
+        const page = await listQueries(inbox === 'platform' ? null : req.user.uid, {
+            status,
+            cardIndex,
+            limit,
+            startAfter
+        });
+
+        res.status(200).json({
+            success: true,
+            queries: page.queries.map(formatQuery),
+            count: page.queries.length,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to fetch queries', error);
+    }
+};
+
+// GET /queries/:queryId
+exports.getQueryById = async (req, res) => {
+    try {
+        const query = await loadAccessibleQuery(req, res);
+        if (!query) return;
+
+        res.status(200).json({ success: true, query: formatQuery(query) });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch query', error);
+    }
+};
+
+// POST /queries/:queryId/reply { message }
+exports.replyToQuery = async (req, res) => {
+    const userId = req.user.uid;
+
+    try {
+        const query = await loadAccessibleQuery(req, res);
+        if (!query) return;
+
+        const senderDoc = await db.collection('users').doc(userId).get();
+        const sender = senderDoc.exists ? senderDoc.data() : {};
+
+        const result = await replyToQuery(query, {
+            message: req.body?.message,
+            repliedBy: userId,
+            sender
+        });
+
+        await logActivity({
+            action: ACTIONS.SEND,
+            resource: RESOURCES.QUERY,
+            userId,
+            resourceId: query.id,
+            details: {
+                operation: 'query_reply',
+                to: query.email,
+                messageId: result.messageId,
+                replyCount: result.query.replies.length
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Reply sent',
+            query: formatQuery(result.query)
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to reply to query', error);
+    }
+};
+
+// PATCH /queries/:queryId/status { status: 'handled' | 'new' }
+exports.updateQueryStatus = async (req, res) => {
+    const userId = req.user.uid;
+    const { status } = req.body || {};
+
+    try {
+        const query = await loadAccessibleQuery(req, res);
+        if (!query) return;
+
+        const updated = await setQueryStatus(query.id, status, userId);
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.QUERY,
+            userId,
+            resourceId: query.id,
+            details: {
+                operation: status === QUERY_STATUS.HANDLED ? 'query_handled' : 'query_reopened',
+                previousStatus: query.status,
+                status: updated.status
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: status === QUERY_STATUS.HANDLED ? 'Query marked as handled' : 'Query reopened',
+            query: formatQuery(updated)
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to update query', error);
+    }
+};
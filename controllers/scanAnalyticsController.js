@@ -0,0 +1,153 @@
+const { db } = require('../firebase.js');
+const { logActivity, RESOURCES } = require('../utils/logger');
+const { isPlatformAdmin } = require('../middleware/auth');
+const { isEnterpriseAdmin } = require('./helpers/enterpriseAdminHelper');
+const { ROLLUP_SCOPES, getScanAnalytics, rankWithinEnterprise } = require('../utils/scanRollups');
+
+// Shared error response helper
+const sendError = (res, status, message, error = null) => {
+    console.error(`${message}:`, error);
+    res.status(status).json({
+        success: false,
+        message,
+        ...(error && { error: error.message })
+    });
+};
+
+// from, to (YYYY-MM-DD), bucket (hour, day, week) and compare (default true)
+const analyticsOptions = (query) => ({
+    from: query.from,
+    to: query.to,
+    bucket: query.bucket || 'day',
+    compare: query.compare !== 'false'
+});
+
+const canViewEnterprise = async (req, enterpriseId) =>
+    isPlatformAdmin(req) || isEnterpriseAdmin(req.user.uid, enterpriseId);
+
+const logAnalyticsView = (req, operation, resourceId, analytics, enterpriseId = null) => logActivity({
+    action: 'view',
+    resource: RESOURCES.ACTIVITY_LOG,
+    userId: req.user.uid,
+    resourceId,
+    ...(enterpriseId && { enterpriseId }),
+    details: {
+        operation,
+        total: analytics.total,
+        range: analytics.range,
+        bucket: analytics.bucket
+    }
+});
+
+/**
+ * GET /analytics/scans/cards/:userId/:cardIndex
+ * Scans of one card (its owner only)
+ */
+exports.getCardScanAnalytics = async (req, res) => {
+    const { userId, cardIndex } = req.params;
+
+    try {
+        if (userId !== req.user.uid && !isPlatformAdmin(req)) {
+            return sendError(res, 403, 'You can only view analytics for your own cards');
+        }
+
+        const cardIdx = parseInt(cardIndex, 10);
+        const cardDoc = await db.collection('cards').doc(userId).get();
+        if (isNaN(cardIdx) || !cardDoc.exists || !(cardDoc.data().cards || [])[cardIdx]) {
+            return sendError(res, 404, 'Card not found');
+        }
+
+        const analytics = await getScanAnalytics(ROLLUP_SCOPES.CARD, { userId, cardIndex: cardIdx }, analyticsOptions(req.query));
+        await logAnalyticsView(req, 'get_card_scan_analytics', `${userId}:${cardIdx}`, analytics);
+
+        res.status(200).json({ success: true, analytics });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to get card scan analytics', error);
+    }
+};
+
+/**
+ * GET /analytics/scans/users/:userId
+ * Scans of all of a user's cards (the user, or an admin of their enterprise)
+ */
+exports.getUserScanAnalytics = async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        if (userId !== req.user.uid && !isPlatformAdmin(req)) {
+            const userDoc = await db.collection('users').doc(userId).get();
+            const enterpriseId = userDoc.exists ? userDoc.data().enterpriseRef?.id : null;
+            if (!enterpriseId || !(await isEnterpriseAdmin(req.user.uid, enterpriseId))) {
+                return sendError(res, 403, 'You can only view your own scan analytics');
+            }
+        }
+
+        const analytics = await getScanAnalytics(ROLLUP_SCOPES.USER, { userId }, analyticsOptions(req.query));
+        await logAnalyticsView(req, 'get_user_scan_analytics', userId, analytics);
+
+        res.status(200).json({ success: true, analytics });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to get user scan analytics', error);
+    }
+};
+
+/**
+ * GET /analytics/scans/enterprise/:enterpriseId
+ * Enterprise scans with its top users and departments (enterprise or platform admins)
+ */
+exports.getEnterpriseScanAnalytics = async (req, res) => {
+    const { enterpriseId } = req.params;
+
+    try {
+        if (!(await canViewEnterprise(req, enterpriseId))) {
+            return sendError(res, 403, 'Enterprise administrator access required');
+        }
+
+        const options = analyticsOptions(req.query);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+        const [analytics, topUsers, topDepartments] = await Promise.all([
+            getScanAnalytics(ROLLUP_SCOPES.ENTERPRISE, { enterpriseId }, options),
+            rankWithinEnterprise(ROLLUP_SCOPES.USER, enterpriseId, { ...options, limit }),
+            rankWithinEnterprise(ROLLUP_SCOPES.DEPARTMENT, enterpriseId, { ...options, limit })
+        ]);
+        await logAnalyticsView(req, 'get_enterprise_scan_analytics', enterpriseId, analytics, enterpriseId);
+
+        res.status(200).json({
+            success: true,
+            analytics: { ...analytics, topUsers, topDepartments }
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to get enterprise scan analytics', error);
+    }
+};
+
+/**
+ * GET /analytics/scans/enterprise/:enterpriseId/departments/:departmentId
+ * Scans of a department's members (enterprise or platform admins)
+ */
+exports.getDepartmentScanAnalytics = async (req, res) => {
+    const { enterpriseId, departmentId } = req.params;
+
+    try {
+        if (!(await canViewEnterprise(req, enterpriseId))) {
+            return sendError(res, 403, 'Enterprise administrator access required');
+        }
+
+        const departmentDoc = await db.collection('enterprise').doc(enterpriseId)
+            .collection('departments').doc(departmentId).get();
+        if (!departmentDoc.exists) {
+            return sendError(res, 404, 'Department not found');
+        }
+
+        const analytics = await getScanAnalytics(
+            ROLLUP_SCOPES.DEPARTMENT,
+            { enterpriseId, departmentId },
+            analyticsOptions(req.query)
+        );
+        await logAnalyticsView(req, 'get_department_scan_analytics', departmentId, analytics, enterpriseId);
+
+        res.status(200).json({ success: true, analytics });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to get department scan analytics', error);
+    }
+};
@@ -0,0 +1,54 @@
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { JOB_STATUSES, listJobs, retryJob } = require('../utils/jobScheduler');
+
+/**
+ * Background jobs and recurring schedules. Query: status (comma-separated,
+ * default waiting,delayed,active,failed), limit (per status, default 50)
+ */
+exports.listScheduledJobs = async (req, res) => {
+    try {
+        const statuses = req.query.status
+            ? req.query.status.split(',').map(status => status.trim())
+            : undefined;
+        const invalid = (statuses || []).filter(status => !JOB_STATUSES.includes(status));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                status: false,
+                message: `Invalid status: ${invalid.join(', ')}. Use: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+        const data = await listJobs({ statuses, limit });
+        res.status(200).json({ status: true, data });
+    } catch (error) {
+        console.error('Failed to list scheduled jobs:', error);
+        res.status(500).json({ status: false, message: 'Failed to list scheduled jobs', error: error.message });
+    }
+};
+
+exports.retryScheduledJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await retryJob(jobId);
+        if (!job) {
+            return res.status(404).json({ status: false, message: 'Job not found' });
+        }
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.SYSTEM,
+            userId: req.user.uid,
+            resourceId: jobId,
+            details: { operation: 'retry_scheduled_job', jobName: job.name }
+        });
+
+        res.status(200).json({ status: true, message: 'Job queued to run again', data: job });
+    } catch (error) {
+        if (error.message === 'Only failed jobs can be retried') {
+            return res.status(409).json({ status: false, message: error.message });
+        }
+        console.error('Failed to retry scheduled job:', error);
+        res.status(500).json({ status: false, message: 'Failed to retry scheduled job', error: error.message });
+    }
+};
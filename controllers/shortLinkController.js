@@ -0,0 +1,182 @@
+const { db } = require('../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { trackCardScan } = require('../utils/scanTracker');
+const { countryFromHeaders } = require('../utils/scanRollups');
+const {
+    LINK_STATUS,
+    getShortLink,
+    createShortLink,
+    listShortLinks,
+    updateShortLink,
+    buildShortLinkTarget,
+    buildShortUrl,
+    recordShortLinkHit
+} = require('../utils/shortLinks');
+
+// Shared error response helper
+const sendError = (res, status, message, error = null) => {
+    console.error(`${message}:`, error);
+    res.status(status).json({
+        success: false,
+        message,
+        ...(error && { error: error.message })
+    });
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const formatLink = (req, link) => ({
+    ...link,
+    shortUrl: buildShortUrl(getBaseUrl(req), link.code),
+    createdAt: link.createdAt?.toDate ? link.createdAt.toDate().toISOString() : link.createdAt || null,
+    updatedAt: link.updatedAt?.toDate ? link.updatedAt.toDate().toISOString() : link.updatedAt || null,
+    lastHitAt: link.lastHitAt?.toDate ? link.lastHitAt.toDate().toISOString() : link.lastHitAt || null
+});
+
+// Make sure the card index exists for the owner
+const assertCardExists = async (userId, cardIndex) => {
+    const cardDoc = await db.collection('cards').doc(userId).get();
+    const cards = cardDoc.exists ? cardDoc.data().cards || [] : [];
+    return Boolean(cards[parseInt(cardIndex) || 0]);
+};
+
+// GET /c/:code (public)
+exports.redirectShortLink = async (req, res) => {
+    const { code } = req.params;
+
+    try {
+        const link = await getShortLink(code);
+        if (!link) {
+            return res.status(404).send({ message: 'Link not found' });
+        }
+        if (link.status !== LINK_STATUS.ACTIVE) {
+            return res.status(410).send({ message: 'This link has been disabled' });
+        }
+
+        // Analytics must never delay or break the redirect
+        Promise.all([
+            recordShortLinkHit(code),
+            trackCardScan({
+                userId: link.userId,
+                cardIndex: link.cardIndex,
+                scanType: 'link',
+                userAgent: req.headers['user-agent'],
+                ipAddress: req.ip || req.connection.remoteAddress,
+                country: countryFromHeaders(req.headers),
+                details: { shortCode: code, target: link.target }
+            })
+        ]).catch(error => console.error('❌ Error recording short link hit:', error));
+
+        res.redirect(302, buildShortLinkTarget(link));
+    } catch (error) {
+        console.error('Error resolving short link:', error);
+        res.status(500).send({ message: 'Failed to resolve link', error: error.message });
+    }
+};
+
+// GET /Cards/:id/short-links?cardIndex=&status=
+exports.getShortLinks = async (req, res) => {
+    const { id: userId } = req.params;
+
+    try {
+        if (req.user.uid !== userId) {
+            return sendError(res, 403, 'Unauthorized access');
+        }
+
+        const links = await listShortLinks(userId, {
+            cardIndex: req.query.cardIndex,
+            status: req.query.status
+        });
+
+        res.status(200).json({
+            success: true,
+            links: links.map(link => formatLink(req, link)),
+            count: links.length
+        });
+    } catch (error) {
+        sendError(res, 500, 'Failed to fetch short links', error);
+    }
+};
+
+// POST /Cards/:id/short-links { cardIndex, target }
+exports.createShortLink = async (req, res) => {
+    const { id: userId } = req.params;
+    const { cardIndex = 0, target } = req.body || {};
+
+    try {
+        if (req.user.uid !== userId) {
+            return sendError(res, 403, 'Unauthorized access');
+        }
+
+        if (!(await assertCardExists(userId, cardIndex))) {
+            return sendError(res, 404, 'Card not found at specified index');
+        }
+
+        const link = await createShortLink({ userId, cardIndex, target, createdBy: req.user.uid });
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.SHORT_LINK,
+            userId,
+            resourceId: link.code,
+            details: {
+                cardIndex: link.cardIndex,
+                target: link.target
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Short link created',
+            link: formatLink(req, link)
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to create short link', error);
+    }
+};
+
+// PATCH /Cards/:id/short-links/:code { cardIndex?, target?, status? }
+exports.updateShortLink = async (req, res) => {
+    const { id: userId, code } = req.params;
+    const { cardIndex, target, status } = req.body || {};
+
+    try {
+        if (req.user.uid !== userId) {
+            return sendError(res, 403, 'Unauthorized access');
+        }
+
+        const link = await getShortLink(code);
+        if (!link || link.userId !== userId) {
+            return sendError(res, 404, 'Short link not found');
+        }
+
+        if (cardIndex === undefined && target === undefined && status === undefined) {
+            return sendError(res, 400, 'Nothing to update. Provide cardIndex, target or status');
+        }
+
+        if (cardIndex !== undefined && !(await assertCardExists(userId, cardIndex))) {
+            return sendError(res, 404, 'Card not found at specified index');
+        }
+
+        const updated = await updateShortLink(code, { cardIndex, target, status });
+
+        await logActivity({
+            action: ACTIONS.UPDATE,
+            resource: RESOURCES.SHORT_LINK,
+            userId,
+            resourceId: code,
+            details: {
+                previous: { cardIndex: link.cardIndex, target: link.target, status: link.status },
+                current: { cardIndex: updated.cardIndex, target: updated.target, status: updated.status }
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Short link updated',
+            link: formatLink(req, updated)
+        });
+    } catch (error) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Failed to update short link', error);
+    }
+};
@@ -1,8 +1,13 @@
 const https = require('https');
 const { db, admin } = require('../firebase.js');
-const { SUBSCRIPTION_PLANS, SUBSCRIPTION_CONSTANTS, getPlanById, getPlanByCode } = require('../config/subscriptionPlans');
+const { SUBSCRIPTION_CONSTANTS } = require('../config/subscriptionPlans');
+const { PLAN_STATUS, getPlan, getPlanByCode, listPlans } = require('../utils/planCatalogue');
+const { FEATURES, checkEntitlement } = require('../utils/entitlements');
 const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
 const { storePaymentMethod } = require('./billingController');
+const { sendBillingDocumentPdf } = require('./helpers/billingDocumentsHelper');
+const { claimPaystackEvent, markPaystackEventProcessed, markPaystackEventFailed } = require('../utils/paystackEvents');
+const { startDunning, recoverFromDunning } = require('../utils/subscriptionDunning');
 
 // ============================================================================
 // SUBSCRIPTION HISTORY HELPER FUNCTIONS (Phase 1)
@@ -70,7 +75,8 @@ const cleanupUserSubscriptionFields = async (userId) => {
  * Create a subscription history record for archival purposes
  * @param {string} userId - User ID
  * @param {Object} subscriptionData - Current subscription data
- * @param {Object} cancellationDetails - Cancellation information
+ * @param {Object} cancellationDetails - Cancellation information; dunning transitions
+ *   also pass `status` (the new status) and `transition` ({ from, to })
  * @returns {Promise<string>} - History record ID
  */
 const createSubscriptionHistory = async (userId, subscriptionData, cancellationDetails = {}) => {
@@ -80,14 +86,16 @@ const createSubscriptionHistory = async (userId, subscriptionData, cancellationD
             .where('userId', '==', userId)
             .get();
         
-        const subscriptionNumber = existingHistorySnapshot.size + 1;
+        // Transition records belong to the subscription that is still running
+        const subscriptionNumber = existingHistorySnapshot.docs
+            .filter(doc => (doc.data().status || 'cancelled') === 'cancelled').length + 1;
         
         // Calculate total paid amount
         let totalPaid = 0;
         if (subscriptionData.amount) {
             totalPaid = subscriptionData.amount;
         } else if (subscriptionData.planId) {
-            const plan = getPlanById(subscriptionData.planId);
+            const plan = await getPlan(subscriptionData.planId, subscriptionData.planVersion);
             totalPaid = plan ? plan.amount : 0;
         }
 
@@ -125,7 +133,8 @@ const createSubscriptionHistory = async (userId, subscriptionData, cancellationD
             planCode: subscriptionData.planCode || subscriptionData.subscriptionCode || null,
             subscriptionCode: subscriptionData.subscriptionCode || null,
             customerCode: subscriptionData.customerCode || null,
-            status: 'cancelled',
+            status: cancellationDetails.status || 'cancelled',
+            transition: cancellationDetails.transition || null,
             
             // Dates (only include if they exist)
             startDate: subscriptionData.startDate || subscriptionData.trialStartDate || null,
@@ -136,11 +145,11 @@ const createSubscriptionHistory = async (userId, subscriptionData, cancellationD
             
             // Cancellation details
             cancellationReason: cancellationDetails.reason || 'User requested',
-            cancellationSource: cancellationDetails.source || 'user_action', // user_action, webhook, admin
+            cancellationSource: cancellationDetails.source || 'user_action', // user_action, webhook, admin, dunning
             
             // Financial data
             totalPaid: totalPaid,
-            currency: 'ZAR',
+            currency: subscriptionData.currency || 'ZAR',
             
             // Metadata
             subscriptionNumber: subscriptionNumber,
@@ -270,17 +279,139 @@ const getUserSubscriptionHistory = async (userId, limit = 50) => {
     }
 };
 
+// ============================================================================
+// PAYMENT RECEIPT HELPERS
+// ============================================================================
+
+/**
+ * Allocate the next sequential receipt number, e.g. RCT-2025-000042
+ * @returns {Promise<string>} - Receipt number
+ */
+const nextReceiptNumber = async () => {
+    const year = new Date().getFullYear();
+    const counterRef = db.collection('counters').doc(`paymentReceipts-${year}`);
+
+    const sequence = await db.runTransaction(async (transaction) => {
+        const counterDoc = await transaction.get(counterRef);
+        const next = (counterDoc.exists ? counterDoc.data().value || 0 : 0) + 1;
+        transaction.set(counterRef, { value: next, updatedAt: new Date().toISOString() }, { merge: true });
+        return next;
+    });
+
+    return `RCT-${year}-${String(sequence).padStart(6, '0')}`;
+};
+
+/**
+ * Record a payment receipt for an individual-plan charge.
+ * Keyed by the Paystack reference so repeated webhooks/callbacks don't duplicate it.
+ * @param {string} userId - User ID
+ * @param {Object} payment - Payment details
+ * @param {string} payment.reference - Paystack transaction reference
+ * @param {number} payment.amount - Amount paid in major units (ZAR)
+ * @param {string} payment.currency - Currency code
+ * @param {string} payment.planId - Plan ID
+ * @param {string} payment.planName - Plan name for the line item
+ * @param {string} payment.paidAt - Payment date (ISO string)
+ * @param {string} payment.email - Customer email
+ * @param {string} payment.source - callback or webhook
+ * @returns {Promise<Object|null>} - Receipt record, or null if skipped
+ */
+const createPaymentReceipt = async (userId, payment) => {
+    try {
+        if (!payment.reference || !payment.amount) {
+            return null;
+        }
+
+        // R1 card verification charges are refunded, so they get no receipt
+        if (Math.round(payment.amount * 100) <= SUBSCRIPTION_CONSTANTS.VERIFICATION_AMOUNT) {
+            return null;
+        }
+
+        const receiptRef = db.collection('paymentReceipts').doc(payment.reference);
+        const existing = await receiptRef.get();
+        if (existing.exists) {
+            return { id: existing.id, ...existing.data() };
+        }
+
+        const userDoc = await db.collection('users').doc(userId).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
+        const plan = payment.planId ? await getPlan(payment.planId) : null;
+        const planName = payment.planName || plan?.name || 'XS Card Subscription';
+        const paidAt = payment.paidAt || new Date().toISOString();
+
+        const receipt = {
+            userId: userId,
+            number: await nextReceiptNumber(),
+            reference: payment.reference,
+            date: paidAt,
+            amount: payment.amount,
+            currency: payment.currency || 'ZAR',
+            status: 'paid',
+            planId: payment.planId || null,
+            lineItems: [
+                {
+                    description: `${planName} - ${new Date(paidAt).toLocaleDateString('en-ZA', { month: 'long', year: 'numeric' })}`,
+                    quantity: 1,
+                    rate: payment.amount,
+                    amount: payment.amount
+                }
+            ],
+            billTo: {
+                name: [userData.name, userData.surname].filter(Boolean).join(' ') || payment.email || userData.email || '',
+                email: payment.email || userData.email || null
+            },
+            source: payment.source || 'unknown',
+            createdAt: new Date().toISOString()
+        };
+
+        await receiptRef.set(receipt);
+        console.log(`Payment receipt ${receipt.number} created for user ${userId}`);
+
+        await logActivity({
+            action: ACTIONS.CREATE,
+            resource: RESOURCES.PAYMENT,
+            userId: userId,
+            resourceId: payment.reference,
+            details: {
+                operation: 'payment_receipt',
+                receiptNumber: receipt.number,
+                amount: receipt.amount,
+                currency: receipt.currency
+            }
+        });
+
+        return { id: receiptRef.id, ...receipt };
+    } catch (error) {
+        console.error('Error creating payment receipt:', error);
+        return null;
+    }
+};
+
 // ============================================================================
 // EXISTING SUBSCRIPTION FUNCTIONS (Modified for Phase 1)
 // ============================================================================
 
+/**
+ * Latest version of a paid plan that can be bought now
+ * @param {string} planId - Plan ID
+ * @param {string} currency - Requested currency (defaults to the plan's)
+ * @returns {Promise<Object|null>} - null for unknown, retired or non-premium plans,
+ *   and for plans not sold in the requested currency
+ */
+const getPurchasablePlan = async (planId, currency = null) => {
+    const plan = await getPlan(planId, null, currency);
+    if (!plan || plan.status !== PLAN_STATUS.ACTIVE || plan.tier !== 'premium') return null;
+    if (currency && plan.currency !== currency) return null;
+    return plan.planCode ? plan : null;
+};
+
 /**
  * Initialize a subscription with Paystack
  * Uses the authenticated user's email and the selected plan ID
  */
 const initializeSubscription = async (req, res) => {
     try {
-        const { planId } = req.body;
+        const { planId, currency } = req.body;
         const userEmail = req.user.email;
 
         // Validate request
@@ -291,12 +422,12 @@ const initializeSubscription = async (req, res) => {
             });
         }
 
-        // Get plan details from configuration
-        const plan = getPlanById(planId);
+        // Get the plan's current version from the catalogue
+        const plan = await getPurchasablePlan(planId, currency);
         if (!plan) {
             return res.status(400).json({
                 status: false,
-                message: 'Invalid plan ID'
+                message: currency ? `Invalid plan ID or plan not available in ${currency}` : 'Invalid plan ID'
             });
         }
 
@@ -305,11 +436,14 @@ const initializeSubscription = async (req, res) => {
         // Prepare Paystack request parameters
         const params = JSON.stringify({
             email: userEmail,
-            amount: plan.amount * 100, // Convert to kobo/cents
+            amount: Math.round(plan.amount * 100), // Convert to kobo/cents
             plan: plan.planCode,
+            currency: plan.currency,
             callback_url: `${baseUrl}/subscription/callback`,
             metadata: {
                 planId: plan.id,
+                planVersion: plan.version,
+                currency: plan.currency,
                 cancel_action: `${baseUrl}/subscription/cancel`
             }
         });
@@ -369,7 +503,7 @@ const initializeSubscription = async (req, res) => {
  */
 const initializeTrialSubscription = async (req, res) => {
     try {
-        const { planId } = req.body;
+        const { planId, currency } = req.body;
         const userEmail = req.user.email;
 
         // Validate request
@@ -380,12 +514,12 @@ const initializeTrialSubscription = async (req, res) => {
             });
         }
 
-        // Get plan details from configuration
-        const plan = getPlanById(planId);
+        // Get the plan's current version from the catalogue
+        const plan = await getPurchasablePlan(planId, currency);
         if (!plan) {
             return res.status(400).json({
                 status: false,
-                message: 'Invalid plan ID'
+                message: currency ? `Invalid plan ID or plan not available in ${currency}` : 'Invalid plan ID'
             });
         }
 
@@ -398,6 +532,8 @@ const initializeTrialSubscription = async (req, res) => {
             callback_url: `${baseUrl}/subscription/trial/callback`,
             metadata: {
                 planId: plan.id,
+                planVersion: plan.version,
+                currency: plan.currency,
                 isTrialSetup: true,
                 cancel_action: `${baseUrl}/subscription/cancel`
             }
@@ -649,7 +785,7 @@ const handleSubscriptionCallback = async (req, res) => {
                 const userId = userDoc.id;
                 const metadata = paymentData.data.metadata || {};
                 const planId = metadata.planId;
-                const plan = getPlanById(planId);
+                const plan = await getPlan(planId, metadata.planVersion, metadata.currency);
 
                 // === PHASE 2: CLEAN USER RECORD - ONLY ESSENTIAL RBAC FIELDS ===
                 // Update user subscription status (minimal data for RBAC)
@@ -667,6 +803,8 @@ const handleSubscriptionCallback = async (req, res) => {
                     userId: userId,
                     email: userEmail,
                     planId: planId || 'unknown',
+                    planVersion: plan?.version || null,
+                    currency: paymentData.data.currency || plan?.currency || null,
                     reference: reference,
                     amount: paymentData.data.amount / 100,
                     status: 'active',
@@ -711,6 +849,16 @@ const handleSubscriptionCallback = async (req, res) => {
                     console.error('Error storing payment method:', paymentMethodError);
                     // Don't fail the subscription if payment method storage fails
                 }
+
+                await createPaymentReceipt(userId, {
+                    reference: reference,
+                    amount: paymentData.data.amount / 100,
+                    currency: paymentData.data.currency,
+                    planId: planId,
+                    paidAt: paymentData.data.paid_at,
+                    email: userEmail,
+                    source: 'callback'
+                });
             } else {
                 console.error('User not found for email:', userEmail);
             }
@@ -773,7 +921,7 @@ const handleTrialCallback = async (req, res) => {
             // Get plan ID from metadata
             const metadata = paymentData.data.metadata || {};
             const planId = metadata.planId;
-            const plan = getPlanById(planId);
+            const plan = await getPlan(planId, metadata.planVersion, metadata.currency);
 
             if (!plan) {
                 console.error('Invalid plan ID in metadata:', planId);
@@ -793,6 +941,22 @@ const handleTrialCallback = async (req, res) => {
 
             const userDoc = userSnapshot.docs[0];
             const userId = userDoc.id;
+
+            // The redirect callback and the webhook both report the same payment:
+            // only the first one refunds it and creates the delayed subscription
+            const existingSubscription = await db.collection('subscriptions').doc(userId).get();
+            if (existingSubscription.exists &&
+                existingSubscription.data().reference === reference &&
+                existingSubscription.data().status !== 'trial_incomplete') {
+                console.log(`Trial for reference ${reference} already set up for user ${userId}`);
+                if (req.method === 'GET') {
+                    return res.redirect('/subscription-trial-success.html');
+                }
+                return res.status(200).json({
+                    status: 'success',
+                    message: 'Trial subscription already set up'
+                });
+            }
             
             // Calculate trial end date (TRIAL_MINUTES minutes from now)
             const trialEndDate = new Date();
@@ -834,6 +998,8 @@ const handleTrialCallback = async (req, res) => {
                     userId: userId,
                     email: userEmail,
                     planId: planId,
+                    planVersion: plan.version,
+                    currency: plan.currency,
                     customerCode: customerCode,
                     reference: reference,
                     status: 'trial',
@@ -896,6 +1062,8 @@ const handleTrialCallback = async (req, res) => {
                     userId: userId,
                     email: userEmail,
                     planId: planId,
+                    planVersion: plan.version,
+                    currency: plan.currency,
                     customerCode: customerCode,
                     reference: reference,
                     status: 'trial_incomplete',
@@ -946,197 +1114,342 @@ const handleTrialCallback = async (req, res) => {
 };
 
 /**
- * Handle Paystack webhook events
- * Used for subscription lifecycle events
+ * Find the user a webhook event refers to: by customer email, then by the
+ * subscription or customer code stored on the subscriptions document
+ * @param {Object} data - Event data
+ * @returns {Promise<Object|null>} - users document snapshot
  */
-const handleSubscriptionWebhook = async (req, res) => {
+const findWebhookUser = async (data) => {
+    const customer = data.customer || data.subscription?.customer || {};
+    const subscriptionCode = data.subscription_code || data.subscription?.subscription_code;
+
+    if (customer.email) {
+        const userSnapshot = await db.collection('users')
+            .where('email', '==', customer.email)
+            .limit(1)
+            .get();
+        if (!userSnapshot.empty) return userSnapshot.docs[0];
+    }
+
+    const lookups = [
+        ['subscriptionCode', subscriptionCode],
+        ['customerCode', customer.customer_code]
+    ].filter(([, value]) => value);
+
+    for (const [field, value] of lookups) {
+        const subscriptionSnapshot = await db.collection('subscriptions')
+            .where(field, '==', value)
+            .limit(1)
+            .get();
+        if (!subscriptionSnapshot.empty) {
+            const userDoc = await db.collection('users').doc(subscriptionSnapshot.docs[0].id).get();
+            if (userDoc.exists) return userDoc;
+        }
+    }
+
+    console.error(`No matching user found for webhook (email: ${customer.email}, subscription: ${subscriptionCode})`);
+    return null;
+};
+
+/**
+ * subscription.disable / subscription.not_renewing / subscription.deactivate
+ */
+const handleSubscriptionEndedEvent = async (data, event) => {
+    const userDoc = await findWebhookUser(data);
+    if (!userDoc) return { userId: null, outcome: 'user_not_found' };
+
+    const userId = userDoc.id;
+    const userData = userDoc.data();
+    console.log(`Updating subscription status to cancelled for user ${userId}`);
+
+    // === PHASE 1: CREATE SUBSCRIPTION HISTORY RECORD FOR WEBHOOK CANCELLATION ===
+    // Get current subscription data before cancellation
+    const subscriptionDoc = await db.collection('subscriptions').doc(userId).get();
+    const subscriptionData = subscriptionDoc.exists ? subscriptionDoc.data() : {};
+
+    // Combine user and subscription data for comprehensive history
+    const combinedSubscriptionData = {
+        ...subscriptionData,
+        // Add user subscription fields for complete record
+        subscriptionPlan: userData.subscriptionPlan || subscriptionData.planId,
+        subscriptionStatus: userData.subscriptionStatus,
+        trialStartDate: userData.trialStartDate || subscriptionData.trialStartDate,
+        trialEndDate: userData.trialEndDate || subscriptionData.trialEndDate,
+        subscriptionStart: userData.subscriptionStart || subscriptionData.startDate,
+        subscriptionEnd: userData.subscriptionEnd || subscriptionData.endDate,
+        customerCode: userData.customerCode || subscriptionData.customerCode,
+        subscriptionCode: userData.subscriptionCode || subscriptionData.subscriptionCode,
+        paymentReference: userData.paymentReference || subscriptionData.reference
+    };
+
+    const cancellationDetails = {
+        cancellationDate: new Date().toISOString(),
+        reason: `Webhook cancellation: ${event.event}`,
+        source: 'webhook' // webhook source
+    };
+
+    // Create history record (non-blocking - don't fail webhook processing if this fails)
     try {
-        // Log all incoming webhook data for debugging
-        console.log('Received webhook payload:', JSON.stringify(req.body));
-        
-        const event = req.body;
-        
-        // Quickly acknowledge the webhook
-        res.status(200).send('Webhook received');
-        
-        console.log('Received webhook event:', event.event);
-        
-        // Handle subscription cancellation or disabling
-        if (event.event === 'subscription.disable' || 
-            event.event === 'subscription.not_renewing' ||
-            event.event === 'subscription.deactivate') {
-            
-            const data = event.data;
-            let customerEmail;
-            let subscriptionCode;
-            
-            // Extract customer email and subscription code
-            if (data.customer) {
-                customerEmail = data.customer.email;
-            } else if (data.subscription && data.subscription.customer) {
-                customerEmail = data.subscription.customer.email;
-            }
-            
-            if (data.subscription) {
-                subscriptionCode = data.subscription.subscription_code;
-            }
-            
-            console.log(`Processing subscription cancellation for: ${customerEmail}, code: ${subscriptionCode}`);
-            
-            // Find user by email or subscription code
-            let userQuery = db.collection('users');
-            if (customerEmail) {
-                userQuery = userQuery.where('email', '==', customerEmail);
-            } else if (subscriptionCode) {
-                userQuery = userQuery.where('subscriptionCode', '==', subscriptionCode);
-            } else {
-                console.error('No identifiable information in webhook data');
-                return;
-            }
-            
-            const userSnapshot = await userQuery.limit(1).get();
-            
-            if (!userSnapshot.empty) {
-                const userDoc = userSnapshot.docs[0];
-                const userId = userDoc.id;
-                const userData = userDoc.data();
-                
-                console.log(`Updating subscription status to cancelled for user ${userId}`);
-                
-                // === PHASE 1: CREATE SUBSCRIPTION HISTORY RECORD FOR WEBHOOK CANCELLATION ===
-                // Get current subscription data before cancellation
-                const subscriptionDoc = await db.collection('subscriptions').doc(userId).get();
-                let subscriptionData = {};
-                if (subscriptionDoc.exists) {
-                    subscriptionData = subscriptionDoc.data();
-                }
-                
-                // Combine user and subscription data for comprehensive history
-                const combinedSubscriptionData = {
-                    ...subscriptionData,
-                    // Add user subscription fields for complete record
-                    subscriptionPlan: userData.subscriptionPlan || subscriptionData.planId,
-                    subscriptionStatus: userData.subscriptionStatus,
-                    trialStartDate: userData.trialStartDate || subscriptionData.trialStartDate,
-                    trialEndDate: userData.trialEndDate || subscriptionData.trialEndDate,
-                    subscriptionStart: userData.subscriptionStart || subscriptionData.startDate,
-                    subscriptionEnd: userData.subscriptionEnd || subscriptionData.endDate,
-                    customerCode: userData.customerCode || subscriptionData.customerCode,
-                    subscriptionCode: userData.subscriptionCode || subscriptionData.subscriptionCode,
-                    paymentReference: userData.paymentReference || subscriptionData.reference
-                };
-                
-                const cancellationDetails = {
-                    cancellationDate: new Date().toISOString(),
-                    reason: `Webhook cancellation: ${event.event}`,
-                    source: 'webhook' // webhook source
-                };
-                
-                // Create history record (non-blocking - don't fail webhook processing if this fails)
-                try {
-                    await createSubscriptionHistory(userId, combinedSubscriptionData, cancellationDetails);
-                    console.log(`Subscription history created for user ${userId} via webhook before cancellation`);
-                } catch (historyError) {
-                    console.error('Failed to create subscription history via webhook (continuing with cancellation):', historyError);
-                }
-                
-                // === EXISTING WEBHOOK CANCELLATION LOGIC (UNCHANGED) ===
-                // Update user with cancelled status and change plan to free
-                await userDoc.ref.update({
-                    subscriptionStatus: 'cancelled',
-                    plan: 'free', // Change plan back to free when subscription is cancelled
-                    cancellationDate: new Date().toISOString(),
-                    lastUpdated: new Date().toISOString()
-                });
-                
-                // Also update subscription document
-                await db.collection('subscriptions').doc(userId).update({
-                    status: 'cancelled',
-                    cancellationDate: new Date().toISOString(),
-                    lastUpdated: new Date().toISOString()
-                });
-                
-                console.log(`Subscription cancelled for user ${userId} and plan changed to free`);
-            } else {
-                console.error(`No matching user found for cancellation event`);
-            }
+        await createSubscriptionHistory(userId, combinedSubscriptionData, cancellationDetails);
+        console.log(`Subscription history created for user ${userId} via webhook before cancellation`);
+    } catch (historyError) {
+        console.error('Failed to create subscription history via webhook (continuing with cancellation):', historyError);
+    }
+
+    // Update user with cancelled status and change plan to free
+    await userDoc.ref.update({
+        subscriptionStatus: 'cancelled',
+        plan: 'free', // Change plan back to free when subscription is cancelled
+        cancellationDate: new Date().toISOString(),
+        lastUpdated: new Date().toISOString()
+    });
+
+    // Also update subscription document
+    if (subscriptionDoc.exists) {
+        await subscriptionDoc.ref.update({
+            status: 'cancelled',
+            cancellationDate: new Date().toISOString(),
+            lastUpdated: new Date().toISOString()
+        });
+    }
+
+    console.log(`Subscription cancelled for user ${userId} and plan changed to free`);
+    return { userId, outcome: 'cancelled' };
+};
+
+/**
+ * charge.success: issue the receipt and, for recurring plan charges, renew the subscription.
+ * The R1 trial setup charge is handled by the trial callback.
+ */
+const handleChargeSuccessEvent = async (data, event) => {
+    const userDoc = await findWebhookUser(data);
+    if (!userDoc) return { userId: null, outcome: 'user_not_found' };
+
+    const userId = userDoc.id;
+    const amount = data.amount ? data.amount / 100 : 0;
+    const metadata = typeof data.metadata === 'object' && data.metadata ? data.metadata : {};
+    const plan = data.plan?.plan_code ? await getPlanByCode(data.plan.plan_code) : null;
+    const isRenewal = !metadata.isTrialSetup && Boolean(data.plan?.plan_code);
+    const paidAt = data.paid_at || data.paidAt || new Date().toISOString();
+
+    await createPaymentReceipt(userId, {
+        reference: data.reference,
+        amount: amount,
+        currency: data.currency,
+        planId: metadata.planId || plan?.id,
+        planName: data.plan?.name,
+        paidAt: paidAt,
+        email: data.customer?.email,
+        source: 'webhook'
+    });
+
+    if (isRenewal) {
+        const now = new Date().toISOString();
+        const recovered = await recoverFromDunning(userId, { reference: data.reference });
+
+        await db.collection('subscriptions').doc(userId).set({
+            status: 'active',
+            lastPaymentDate: paidAt,
+            lastPaymentReference: data.reference,
+            lastPaymentAmount: amount,
+            ...(plan && {
+                planId: plan.id,
+                planVersion: plan.version,
+                currency: plan.currency,
+                planCode: plan.planCode,
+                planName: plan.name,
+                planAmount: plan.amount,
+                planInterval: plan.interval
+            }),
+            lastUpdated: now
+        }, { merge: true });
+
+        await userDoc.ref.update({
+            subscriptionStatus: 'active',
+            // Enterprise users keep their plan; everyone else paying for a plan is premium
+            plan: userDoc.data().plan === 'enterprise' ? 'enterprise' : 'premium',
+            paymentFailureCount: 0,
+            lastUpdated: now
+        });
+
+        console.log(`Subscription renewed for user ${userId} (${data.reference})${recovered ? ' after failed renewal' : ''}`);
+    }
+
+    // Log the webhook-triggered subscription event
+    await logActivity({
+        action: isRenewal ? ACTIONS.UPDATE : ACTIONS.CREATE,
+        resource: RESOURCES.SUBSCRIPTION,
+        userId: userId,
+        resourceId: data.reference || 'webhook-event',
+        details: {
+            source: 'webhook',
+            event: event.event,
+            renewal: isRenewal,
+            plan: data.plan?.name || 'unknown',
+            amount: amount
         }
-        
-        // Handle more event types
-        if (event.event === 'charge.success' || 
-            event.event === 'subscription.create' || 
-            event.event === 'invoice.payment_succeeded' ||
-            event.event === 'subscription.not_renewing') {
-            
-            console.log('LOGGING WEBHOOK SUBSCRIPTION EVENT');
-            // Find the user and log the subscription event
-            if (event.event === 'charge.success' || event.event === 'subscription.create') {
-                const data = event.data;
-                const customerEmail = data.customer?.email;
-                
-                if (customerEmail) {
-                    const userSnapshot = await db.collection('users')
-                        .where('email', '==', customerEmail)
-                        .limit(1)
-                        .get();
-                        
-                    if (!userSnapshot.empty) {
-                        const userDoc = userSnapshot.docs[0];
-                        const userId = userDoc.id;
-                        
-                        // Log the webhook-triggered subscription event
-                        await logActivity({
-                            action: ACTIONS.CREATE,
-                            resource: RESOURCES.SUBSCRIPTION,
-                            userId: userId,
-                            resourceId: data.reference || 'webhook-event',
-                            details: {
-                                source: 'webhook',
-                                event: event.event,
-                                plan: data.plan?.name || 'unknown',
-                                amount: data.amount ? data.amount / 100 : 0
-                            }
-                        });
-                    }
-                }
-            }
+    });
+
+    return { userId, outcome: isRenewal ? 'renewed' : 'receipt' };
+};
+
+/**
+ * subscription.create: keep the subscription code and email token used for cancellation
+ */
+const handleSubscriptionCreateEvent = async (data, event) => {
+    const userDoc = await findWebhookUser(data);
+    if (!userDoc) return { userId: null, outcome: 'user_not_found' };
+
+    const userId = userDoc.id;
+    const plan = data.plan?.plan_code ? await getPlanByCode(data.plan.plan_code) : null;
+
+    // merge keeps the other fields of the stored Paystack subscription response
+    await db.collection('subscriptions').doc(userId).set({
+        subscriptionCode: data.subscription_code || null,
+        subscriptionData: {
+            subscription_code: data.subscription_code || null,
+            email_token: data.email_token || null,
+            status: data.status || null,
+            next_payment_date: data.next_payment_date || null
+        },
+        nextPaymentDate: data.next_payment_date || null,
+        ...(plan && { planId: plan.id, planVersion: plan.version, planCode: plan.planCode, planName: plan.name }),
+        lastUpdated: new Date().toISOString()
+    }, { merge: true });
+
+    await logActivity({
+        action: ACTIONS.CREATE,
+        resource: RESOURCES.SUBSCRIPTION,
+        userId: userId,
+        resourceId: data.subscription_code || 'webhook-event',
+        details: {
+            source: 'webhook',
+            event: event.event,
+            plan: data.plan?.name || 'unknown',
+            nextPaymentDate: data.next_payment_date || null
         }
-        
-        // Handle failed charge events
-        if (event.event === 'charge.failed') {
-            const data = event.data;
-            const customerEmail = data.customer?.email;
-            
-            if (!customerEmail) {
-                console.error('No customer email in webhook data');
-                return;
-            }
-            
-            console.log(`Payment failed for customer ${customerEmail}`);
-            
-            // Find the user with this email
-            const userSnapshot = await db.collection('users')
-                .where('email', '==', customerEmail)
-                .limit(1)
-                .get();
-                
-            if (!userSnapshot.empty) {
-                const userDoc = userSnapshot.docs[0];
-                const userId = userDoc.id;
-                
-                // Update payment failure info but don't immediately change status
-                // This allows for retry attempts before subscription is fully cancelled
-                await userDoc.ref.update({
-                    lastPaymentFailure: new Date().toISOString(),
-                    paymentFailureCount: admin.firestore.FieldValue.increment(1)
-                });
-                
-                console.log(`Updated payment failure info for user ${userId}`);
-            }
+    });
+
+    console.log(`Subscription ${data.subscription_code} recorded for user ${userId}`);
+    return { userId, outcome: 'subscription_recorded' };
+};
+
+/**
+ * invoice.payment_failed: a renewal charge failed. The failure is recorded and
+ * the subscription enters the dunning grace period (utils/subscriptionDunning).
+ */
+const handleInvoicePaymentFailedEvent = async (data, event) => {
+    const userDoc = await findWebhookUser(data);
+    if (!userDoc) return { userId: null, outcome: 'user_not_found' };
+
+    const userId = userDoc.id;
+    const now = new Date().toISOString();
+    const amount = data.amount ? data.amount / 100 : 0;
+
+    await userDoc.ref.update({
+        lastPaymentFailure: now,
+        paymentFailureCount: admin.firestore.FieldValue.increment(1)
+    });
+
+    await db.collection('subscriptions').doc(userId).set({
+        lastPaymentFailure: {
+            date: now,
+            invoiceCode: data.invoice_code || null,
+            amount: amount,
+            description: data.description || null,
+            nextRetryDate: data.subscription?.next_payment_date || null
+        },
+        lastUpdated: now
+    }, { merge: true });
+
+    const subscriptionStatus = await startDunning(userId, {
+        invoiceCode: data.invoice_code,
+        amount: amount,
+        description: data.description
+    });
+
+    await logActivity({
+        action: ACTIONS.ERROR,
+        resource: RESOURCES.PAYMENT,
+        userId: userId,
+        resourceId: data.invoice_code || data.subscription?.subscription_code || 'webhook-event',
+        status: 'error',
+        details: {
+            source: 'webhook',
+            event: event.event,
+            amount: amount,
+            description: data.description || null,
+            subscriptionStatus: subscriptionStatus
         }
-        
+    });
+
+    console.log(`Recorded failed invoice payment for user ${userId} (subscription ${subscriptionStatus})`);
+    return { userId, outcome: 'payment_failure_recorded', subscriptionStatus: subscriptionStatus };
+};
+
+/**
+ * charge.failed
+ */
+const handleChargeFailedEvent = async (data) => {
+    const userDoc = await findWebhookUser(data);
+    if (!userDoc) return { userId: null, outcome: 'user_not_found' };
+
+    // Update payment failure info but don't immediately change status
+    // This allows for retry attempts before subscription is fully cancelled
+    await userDoc.ref.update({
+        lastPaymentFailure: new Date().toISOString(),
+        paymentFailureCount: admin.firestore.FieldValue.increment(1)
+    });
+
+    console.log(`Updated payment failure info for user ${userDoc.id}`);
+    return { userId: userDoc.id, outcome: 'payment_failure_recorded' };
+};
+
+const WEBHOOK_EVENT_HANDLERS = {
+    'subscription.disable': handleSubscriptionEndedEvent,
+    'subscription.not_renewing': handleSubscriptionEndedEvent,
+    'subscription.deactivate': handleSubscriptionEndedEvent,
+    'subscription.create': handleSubscriptionCreateEvent,
+    'charge.success': handleChargeSuccessEvent,
+    'charge.failed': handleChargeFailedEvent,
+    'invoice.payment_failed': handleInvoicePaymentFailedEvent
+};
+
+/**
+ * Handle Paystack webhook events
+ * Used for subscription lifecycle events. The signature is checked by
+ * verifyPaystackSignature; each event is applied once (see utils/paystackEvents).
+ * Responds 500 when processing fails so Paystack retries the event.
+ */
+const handleSubscriptionWebhook = async (req, res) => {
+    const event = req.body;
+    console.log('Received webhook event:', event?.event);
+
+    const handler = WEBHOOK_EVENT_HANDLERS[event?.event];
+    if (!handler) {
+        return res.status(200).send('Webhook received');
+    }
+
+    let claim = null;
+    try {
+        claim = await claimPaystackEvent(event, 'subscription_webhook');
+        if (!claim.claimed) {
+            console.log(`Skipping duplicate webhook event ${claim.key} (${claim.status})`);
+            return res.status(200).send('Webhook already processed');
+        }
+
+        const result = await handler(event.data || {}, event);
+        await markPaystackEventProcessed(claim.key, result);
+
+        res.status(200).send('Webhook received');
     } catch (error) {
         console.error('Error processing subscription webhook:', error);
+        if (claim?.claimed) {
+            await markPaystackEventFailed(claim.key, error).catch(markError => {
+                console.error('Failed to record webhook event failure:', markError);
+            });
+        }
+        res.status(500).send('Webhook processing failed');
     }
 };
 
@@ -1202,14 +1515,20 @@ const cancelSubscriptionWithPaystack = async (code, token) => {
 /**
  * Get available subscription plans
  */
-const getSubscriptionPlans = (req, res) => {
+const getSubscriptionPlans = async (req, res) => {
     try {
-        const plans = Object.values(SUBSCRIPTION_PLANS).map(plan => ({
+        // Optional ?currency= lists only plans sold in that currency, priced in it
+        const catalogue = await listPlans({ tier: 'premium', currency: req.query.currency || null });
+        const plans = catalogue.filter(plan => plan.planCode).map(plan => ({
             id: plan.id,
+            version: plan.version,
             name: plan.name,
             amount: plan.amount,
+            currency: plan.currency,
+            prices: plan.prices,
             interval: plan.interval,
             description: plan.description,
+            entitlements: plan.entitlements,
             trialDays: SUBSCRIPTION_CONSTANTS.TRIAL_DAYS
         }));
 
@@ -1277,14 +1596,14 @@ const getSubscriptionStatus = async (req, res) => {
             // Phase 2: Prioritize subscription collection data
             const planId = subscriptionData.planId || userData.subscriptionPlan; // Fallback for backward compatibility
             if (planId) {
-                const plan = getPlanById(planId);
+                const plan = await getPlan(planId, subscriptionData.planVersion);
                 if (plan) {
                     planDetails = plan;
                     subscriptionPlan = plan.interval === 'annually' ? 'premium_annual' : 'premium_monthly';
                 }
             } else if (subscriptionData.planCode) {
                 // Fallback to plan code lookup
-                const plan = getPlanByCode(subscriptionData.planCode);
+                const plan = await getPlanByCode(subscriptionData.planCode);
                 if (plan) {
                     planDetails = plan;
                     subscriptionPlan = plan.interval === 'annually' ? 'premium_annual' : 'premium_monthly';
@@ -1295,12 +1614,14 @@ const getSubscriptionStatus = async (req, res) => {
         // Calculate subscription dates and status
         const now = new Date();
         // Include trial_incomplete as active since user paid and is in trial period
+        // past_due keeps access during the dunning grace period
         const isActive = userData.subscriptionStatus === 'active' || 
                          userData.subscriptionStatus === 'trial' ||
-                         userData.subscriptionStatus === 'trial_incomplete';
+                         userData.subscriptionStatus === 'trial_incomplete' ||
+                         userData.subscriptionStatus === 'past_due';
         
-        // Get current contact count
-        const currentContactCount = await getCurrentContactCount(userId);
+        // Contact usage against the limit of the plan that applies to the user
+        const contactQuota = await checkEntitlement(userId, FEATURES.CONTACTS, { userData });
         
         // === PHASE 2: BUILD RESPONSE PRIORITIZING SUBSCRIPTIONS COLLECTION ===
         const response = {
@@ -1323,7 +1644,7 @@ const getSubscriptionStatus = async (req, res) => {
                 
                 // Financial and plan details (from subscriptions collection)
                 amount: subscriptionData.planAmount || planDetails?.amount || 0,
-                currency: 'ZAR',
+                currency: subscriptionData.currency || planDetails?.currency || 'ZAR',
                 
                 // Additional subscription fields (prioritize subscriptions collection)
                 paymentMethod: subscriptionData.paymentMethod || null,
@@ -1332,16 +1653,23 @@ const getSubscriptionStatus = async (req, res) => {
                 cancellationDate: subscriptionData.cancellationDate || userData.cancellationDate || null,
                 autoRenew: subscriptionData.autoRenew !== false, // Default to true unless explicitly false
                 
+                // Failed renewal grace period (past_due / suspended)
+                dunning: ['past_due', 'suspended'].includes(subscriptionData.status) && subscriptionData.dunning ? {
+                    status: subscriptionData.status,
+                    failedAt: subscriptionData.dunning.failedAt,
+                    graceEndsAt: subscriptionData.dunning.graceEndsAt,
+                    cancelsAt: subscriptionData.dunning.cancelsAt
+                } : null,
+                
                 // Contact limits and usage
-                contactLimit: (userData.plan === 'free' && 
-                             userData.subscriptionStatus !== 'trial' && 
-                             userData.subscriptionStatus !== 'trial_incomplete' && 
-                             userData.subscriptionStatus !== 'active') ? 3 : 'unlimited',
-                currentContactCount: currentContactCount,
+                // Other quotas: GET /me/entitlements
+                contactLimit: contactQuota.limit ?? 'unlimited',
+                currentContactCount: contactQuota.used,
                 
                 // Plan details (use subscription data first, then config)
                 planDetails: planDetails ? {
                     id: planDetails.id,
+                    version: subscriptionData.planVersion || planDetails.version,
                     name: subscriptionData.planName || planDetails.name,
                     interval: subscriptionData.planInterval || planDetails.interval,
                     description: planDetails.description,
@@ -1362,23 +1690,6 @@ const getSubscriptionStatus = async (req, res) => {
     }
 };
 
-// Helper function to get current contact count
-const getCurrentContactCount = async (userId) => {
-    try {
-        const contactRef = db.collection('contacts').doc(userId);
-        const contactDoc = await contactRef.get();
-        
-        if (contactDoc.exists) {
-            const contactData = contactDoc.data();
-            return contactData.contactList ? contactData.contactList.length : 0;
-        }
-        return 0;
-    } catch (error) {
-        console.error('Error getting contact count:', error);
-        return 0;
-    }
-};
-
 /**
  * Get subscription logs for a user
  */
@@ -1715,7 +2026,7 @@ const cancelSubscription = async (req, res) => {
 const updateSubscriptionPlan = async (req, res) => {
     try {
         const userId = req.user.uid;
-        const { planId, reason } = req.body;
+        const { planId, currency, reason } = req.body;
 
         // Validate request
         if (!planId) {
@@ -1726,11 +2037,11 @@ const updateSubscriptionPlan = async (req, res) => {
         }
 
         // Get plan details
-        const newPlan = getPlanById(planId);
+        const newPlan = await getPurchasablePlan(planId, currency);
         if (!newPlan) {
             return res.status(400).json({
                 status: false,
-                message: 'Invalid plan ID'
+                message: currency ? `Invalid plan ID or plan not available in ${currency}` : 'Invalid plan ID'
             });
         }
 
@@ -1767,6 +2078,8 @@ const updateSubscriptionPlan = async (req, res) => {
         await db.collection('subscriptions').doc(userId).set({
             userId: userId,
             planId: planId,
+            planVersion: newPlan.version,
+            currency: newPlan.currency,
             status: 'active',
             planCode: newPlan.planCode,
             planName: newPlan.name,
@@ -1846,6 +2159,98 @@ const getSubscriptionHistory = async (req, res) => {
     }
 };
 
+/**
+ * Get the authenticated user's payment receipts
+ */
+const getPaymentReceipts = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+
+        const receiptsSnapshot = await db.collection('paymentReceipts')
+            .where('userId', '==', userId)
+            .get();
+
+        const receipts = receiptsSnapshot.docs.map(doc => {
+            const receipt = doc.data();
+            return {
+                id: doc.id,
+                number: receipt.number,
+                date: receipt.date,
+                amount: receipt.amount,
+                currency: receipt.currency || 'ZAR',
+                status: receipt.status,
+                reference: receipt.reference,
+                lineItems: receipt.lineItems || [],
+                downloadUrl: `/subscription/receipts/${doc.id}/download`
+            };
+        });
+
+        receipts.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        res.status(200).json({
+            status: true,
+            data: receipts
+        });
+    } catch (error) {
+        console.error('Error getting payment receipts:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to retrieve payment receipts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Download a payment receipt as PDF (signed URL once it has been generated)
+ */
+const downloadPaymentReceipt = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { receiptId } = req.params;
+
+        const receiptDoc = await db.collection('paymentReceipts').doc(receiptId).get();
+        if (!receiptDoc.exists || receiptDoc.data().userId !== userId) {
+            return res.status(404).json({
+                status: false,
+                message: 'Receipt not found'
+            });
+        }
+
+        const receipt = receiptDoc.data();
+        const delivery = await sendBillingDocumentPdf(req, res, {
+            collection: 'paymentReceipts',
+            docId: receiptId,
+            data: receipt,
+            type: 'receipt',
+            billTo: receipt.billTo || {},
+            storagePath: `receipts/${userId}/${receiptId}.pdf`,
+            filename: `receipt-${receipt.number || receiptId}.pdf`
+        });
+
+        await logActivity({
+            action: ACTIONS.VIEW,
+            resource: RESOURCES.PAYMENT,
+            userId: userId,
+            resourceId: receiptId,
+            details: {
+                operation: 'download_receipt',
+                receiptNumber: receipt.number,
+                cached: delivery.cached,
+                delivery: delivery.delivery
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading payment receipt:', error);
+        if (res.headersSent) return;
+        res.status(500).json({
+            status: false,
+            message: 'Failed to download receipt',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Clean up user subscription fields (Phase 2)
  * Admin endpoint for gradual cleanup of user records
@@ -1890,5 +2295,10 @@ module.exports = {
     getSubscriptionLogs,
     updateSubscriptionPlan,
     getSubscriptionHistory,
+    getPaymentReceipts,
+    downloadPaymentReceipt,
+    createPaymentReceipt,
+    createSubscriptionHistory,
+    cancelSubscriptionWithPaystack,
     cleanupUserRecord
 };
@@ -12,6 +12,25 @@ const getBaseUrl = (req) => {
     return config.BASE_URL || `${req.protocol}://${req.get('host')}`;
 };
 const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { checkAccountLock, recordFailedSignIn, clearFailedSignIns } = require('../utils/loginProtection');
+const { getRateLimitIp } = require('../middleware/rateLimit');
+const { isPlatformAdmin } = require('../middleware/auth');
+const { AccountDeletionError, requestAccountDeletion, deleteUserData } = require('../utils/accountDeletion');
+const { invalidateEnterpriseCache } = require('./enterprise/contactAggregationController');
+
+// Firebase sign-in errors that mean wrong credentials (as opposed to e.g. a disabled user)
+const CREDENTIAL_ERRORS = ['INVALID_PASSWORD', 'EMAIL_NOT_FOUND', 'INVALID_LOGIN_CREDENTIALS', 'INVALID_EMAIL'];
+
+const sendAccountLocked = (res, lockedUntil) => {
+    const retryAfter = lockedUntil ? Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1) : null;
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(423).send({
+        message: 'Your account is temporarily locked. Please try again later.',
+        accountLocked: true,
+        lockedUntil: lockedUntil ? lockedUntil.toISOString() : null,
+        retryAfter
+    });
+};
 
 /**
  * Helper function to update employee isActive status in enterprise departments
@@ -151,6 +170,9 @@ const updateEmployeeActiveStatus = async (userId, isActive, operation = 'deactiv
     }
 };
 
+// Shared with SCIM provisioning, which maps active:false onto the same flow
+exports.updateEmployeeActiveStatus = updateEmployeeActiveStatus;
+
 const sendVerificationEmail = async (userData, req) => {
     const now = Date.now();
     const lastSent = userData.lastVerificationEmailSent || 0;
@@ -572,37 +594,46 @@ exports.updateUserStatus = async (req, res) => {
     }
 };
 
+/**
+ * Delete a user. Users deleting themselves go through the confirmed deletion
+ * with a grace period (utils/accountDeletion); platform admins delete at once.
+ */
 exports.deleteUser = async (req, res) => {
     const { id } = req.params;
     try {
-        const userRef = db.collection('users').doc(id);
-        const doc = await userRef.get();
-        
+        const isSelf = req.user.uid === id;
+        if (!isSelf && !isPlatformAdmin(req)) {
+            return res.status(403).send({ message: 'You can only delete your own account' });
+        }
+
+        const doc = await db.collection('users').doc(id).get();
         if (!doc.exists) {
             return res.status(404).send({ message: 'User not found' });
         }
 
-        const userData = doc.data();
-        
-        // Log user deletion
-        await logActivity({
-            action: ACTIONS.DELETE,
-            resource: RESOURCES.USER,
-            userId: id,
-            resourceId: id,
-            details: {
-                email: userData.email,
-                plan: userData.plan,
-                status: userData.status
-            }
-        });
+        if (isSelf) {
+            const deletion = await requestAccountDeletion(id, {
+                baseUrl: getBaseUrl(req),
+                reasons: req.body?.reasons,
+                source: 'app',
+                ipAddress: getRateLimitIp(req)
+            });
+            return res.status(202).send({
+                message: 'We have emailed you a link to confirm the deletion of your account.',
+                deletion
+            });
+        }
 
-        await userRef.delete();
+        const summary = await deleteUserData(id, { deletedBy: req.user.uid });
         res.status(200).send({ 
             message: 'User deleted successfully',
-            deletedUserId: id
+            deletedUserId: id,
+            summary
         });
     } catch (error) {
+        if (error instanceof AccountDeletionError) {
+            return res.status(error.status).send({ message: error.message });
+        }
         console.error('Delete error:', error);
         
         // Log error
@@ -627,6 +658,28 @@ exports.deleteUser = async (req, res) => {
 exports.signIn = async (req, res) => {
     const { email, password } = req.body;
 
+    try {
+        // Locked accounts (failed sign-ins or an admin's temporary lock) don't get to try a password
+        const lock = await checkAccountLock(email);
+        if (lock.locked) {
+            await logActivity({
+                action: ACTIONS.ERROR,
+                resource: RESOURCES.USER,
+                userId: 'unknown',
+                status: 'error',
+                details: {
+                    error: 'Account locked',
+                    operation: 'login',
+                    email,
+                    lockedUntil: lock.lockedUntil ? lock.lockedUntil.toISOString() : null
+                }
+            });
+            return sendAccountLocked(res, lock.lockedUntil);
+        }
+    } catch (lockError) {
+        console.error('Sign in lock check error:', lockError);
+    }
+
     try {
         const response = await axios.post(AUTH_ENDPOINTS.signIn, {
             email,
@@ -705,6 +758,8 @@ exports.signIn = async (req, res) => {
             });
         }
 
+        await clearFailedSignIns(email);
+
         // Log successful login
         await logActivity({
             action: ACTIONS.LOGIN,
@@ -741,6 +796,21 @@ exports.signIn = async (req, res) => {
                 attemptedAuth: true
             }
         });
+
+        const firebaseError = String(error.response?.data?.error?.message || '');
+        if (CREDENTIAL_ERRORS.some(code => firebaseError.startsWith(code))) {
+            try {
+                const lockout = await recordFailedSignIn(email, {
+                    ipAddress: getRateLimitIp(req),
+                    userAgent: req.headers['user-agent']
+                });
+                if (lockout.locked) {
+                    return sendAccountLocked(res, lockout.lockedUntil);
+                }
+            } catch (lockoutError) {
+                console.error('Failed to record failed sign-in:', lockoutError);
+            }
+        }
         
         res.status(401).send({ 
             message: 'Invalid credentials',
@@ -1567,6 +1637,15 @@ exports.deactivateUser = async (req, res) => {
         console.log(`[DeactivateUser] ✅ Verification - Updated active status: ${updatedData.active}`);
         console.log(`[DeactivateUser] 📋 Full updated document:`, updatedData);
 
+        // Enterprise dashboard stats count active and deactivated members
+        if (updatedData.enterpriseRef) {
+            try {
+                await invalidateEnterpriseCache(updatedData.enterpriseRef.id);
+            } catch (cacheError) {
+                console.error('Cache invalidation error after account deactivation:', cacheError);
+            }
+        }
+
         // Log user deactivation
         await logActivity({
             action: ACTIONS.UPDATE,
@@ -1775,6 +1854,15 @@ exports.reactivateUser = async (req, res) => {
         console.log(`[ReactivateUser] ✅ Verification - Updated active status: ${updatedData.active}`);
         console.log(`[ReactivateUser] 📋 Full updated document:`, updatedData);
 
+        // Enterprise dashboard stats count active and deactivated members
+        if (updatedData.enterpriseRef) {
+            try {
+                await invalidateEnterpriseCache(updatedData.enterpriseRef.id);
+            } catch (cacheError) {
+                console.error('Cache invalidation error after account reactivation:', cacheError);
+            }
+        }
+
         // Log user reactivation
         await logActivity({
             action: ACTIONS.UPDATE,
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { db, admin } = require('../firebase.js');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { getPassRecord, PASSES_COLLECTION } = require('../utils/walletPass');
+const appleWalletProvider = require('../utils/walletPass/appleWalletProvider');
+
+/**
+ * Apple Wallet pass web service (PassKit) plus the public .pkpass download.
+ * Devices authenticate with "Authorization: ApplePass <authenticationToken>".
+ */
+
+const PKPASS_CONTENT_TYPE = 'application/vnd.apple.pkpass';
+
+// POST /wallet/v1/log is public: keep what a caller can write to our logs small
+const MAX_DEVICE_LOG_ENTRIES = 10;
+const MAX_DEVICE_LOG_LENGTH = 500;
+
+// Constant-time comparison, so response timing doesn't reveal how much of a token matched
+const tokensMatch = (provided, expected) => {
+    if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(expected);
+    return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+// Load the pass record and make sure the caller holds its authentication token
+const loadAuthorisedPass = async (serialNumber, token) => {
+    if (!token) return null;
+    const record = await getPassRecord(serialNumber);
+    if (!record || record.provider !== 'apple' || !tokensMatch(token, record.authenticationToken)) {
+        return null;
+    }
+    return record;
+};
+
+const getApplePassToken = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('ApplePass ') ? header.slice('ApplePass '.length).trim() : null;
+};
+
+// Current card data for a pass record
+const loadCardForPass = async (record) => {
+    const cardDoc = await db.collection('cards').doc(record.userId).get();
+    if (!cardDoc.exists) return null;
+    const cards = cardDoc.data().cards || [];
+    return cards[record.cardIndex] || null;
+};
+
+const toMillis = (timestamp) => {
+    if (!timestamp) return 0;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    return new Date(timestamp).getTime() || 0;
+};
+
+const sendPassBundle = async (res, record) => {
+    const card = await loadCardForPass(record);
+    if (!card) {
+        return res.status(404).send({ message: 'Card for this pass no longer exists' });
+    }
+
+    const bundle = await appleWalletProvider.buildPassBundle(record, card);
+
+    res.setHeader('Content-Type', PKPASS_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="xscard-${record.serialNumber}.pkpass"`);
+    res.setHeader('Last-Modified', new Date(toMillis(record.updatedAt)).toUTCString());
+    return res.status(200).send(bundle);
+};
+
+// GET /wallet/passes/:serialNumber.pkpass?token=
+exports.downloadPass = async (req, res) => {
+    const { serialNumber } = req.params;
+    try {
+        const record = await loadAuthorisedPass(serialNumber, req.query.token);
+        if (!record) {
+            return res.status(404).send({ message: 'Pass not found' });
+        }
+        if (record.status !== 'active') {
+            return res.status(410).send({ message: 'Pass has been revoked' });
+        }
+
+        await sendPassBundle(res, record);
+    } catch (error) {
+        console.error('Error downloading wallet pass:', error);
+        res.status(500).send({ message: 'Failed to generate wallet pass', error: error.message });
+    }
+};
+
+// POST /wallet/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber
+exports.registerDevice = async (req, res) => {
+    const { deviceLibraryIdentifier, passTypeIdentifier, serialNumber } = req.params;
+    try {
+        const record = await loadAuthorisedPass(serialNumber, getApplePassToken(req));
+        if (!record) {
+            return res.sendStatus(401);
+        }
+
+        const registrationRef = db.collection(appleWalletProvider.REGISTRATIONS_COLLECTION)
+            .doc(`${deviceLibraryIdentifier}_${serialNumber}`);
+        const existing = await registrationRef.get();
+
+        await registrationRef.set({
+            deviceLibraryIdentifier,
+            passTypeIdentifier,
+            serialNumber,
+            pushToken: req.body?.pushToken || null,
+            userId: record.userId,
+            updatedAt: admin.firestore.Timestamp.now(),
+            ...(existing.exists ? {} : { createdAt: admin.firestore.Timestamp.now() })
+        }, { merge: true });
+
+        if (!existing.exists) {
+            await logActivity({
+                action: ACTIONS.CREATE,
+                resource: RESOURCES.WALLET_PASS,
+                userId: record.userId,
+                resourceId: serialNumber,
+                details: {
+                    operation: 'register_device',
+                    cardIndex: record.cardIndex
+                }
+            });
+        }
+
+        res.sendStatus(existing.exists ? 200 : 201);
+    } catch (error) {
+        console.error('Error registering wallet device:', error);
+        res.sendStatus(500);
+    }
+};
+
+// DELETE /wallet/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber
+exports.unregisterDevice = async (req, res) => {
+    const { deviceLibraryIdentifier, serialNumber } = req.params;
+    try {
+        const record = await loadAuthorisedPass(serialNumber, getApplePassToken(req));
+        if (!record) {
+            return res.sendStatus(401);
+        }
+
+        await db.collection(appleWalletProvider.REGISTRATIONS_COLLECTION)
+            .doc(`${deviceLibraryIdentifier}_${serialNumber}`)
+            .delete();
+
+        res.sendStatus(200);
+    } catch (error) {
+        console.error('Error unregistering wallet device:', error);
+        res.sendStatus(500);
+    }
+};
+
+// GET /wallet/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier?passesUpdatedSince=
+exports.getUpdatedSerialNumbers = async (req, res) => {
+    const { deviceLibraryIdentifier, passTypeIdentifier } = req.params;
+    const updatedSince = parseInt(req.query.passesUpdatedSince) || 0;
+
+    try {
+        const registrations = await db.collection(appleWalletProvider.REGISTRATIONS_COLLECTION)
+            .where('deviceLibraryIdentifier', '==', deviceLibraryIdentifier)
+            .where('passTypeIdentifier', '==', passTypeIdentifier)
+            .get();
+
+        if (registrations.empty) {
+            return res.sendStatus(204);
+        }
+
+        const serialNumbers = [];
+        let lastUpdated = updatedSince;
+
+        for (const registration of registrations.docs) {
+            const passDoc = await db.collection(PASSES_COLLECTION).doc(registration.data().serialNumber).get();
+            if (!passDoc.exists) continue;
+
+            const updatedAt = toMillis(passDoc.data().updatedAt);
+            if (updatedAt > updatedSince) {
+                serialNumbers.push(passDoc.id);
+                lastUpdated = Math.max(lastUpdated, updatedAt);
+            }
+        }
+
+        if (serialNumbers.length === 0) {
+            return res.sendStatus(204);
+        }
+
+        res.status(200).json({
+            serialNumbers,
+            lastUpdated: String(lastUpdated)
+        });
+    } catch (error) {
+        console.error('Error listing updated wallet passes:', error);
+        res.sendStatus(500);
+    }
+};
+
+// GET /wallet/v1/passes/:passTypeIdentifier/:serialNumber
+exports.getLatestPass = async (req, res) => {
+    const { serialNumber } = req.params;
+    try {
+        const record = await loadAuthorisedPass(serialNumber, getApplePassToken(req));
+        if (!record) {
+            return res.sendStatus(401);
+        }
+
+        const ifModifiedSince = req.headers['if-modified-since'];
+        if (ifModifiedSince) {
+            // HTTP dates have one-second precision
+            const lastModified = Math.floor(toMillis(record.updatedAt) / 1000) * 1000;
+            if (lastModified <= new Date(ifModifiedSince).getTime()) {
+                return res.sendStatus(304);
+            }
+        }
+
+        await sendPassBundle(res, record);
+    } catch (error) {
+        console.error('Error serving latest wallet pass:', error);
+        res.sendStatus(500);
+    }
+};
+
+// POST /wallet/v1/log
+// Messages are single-lined and truncated so a caller can't forge log lines or flood the logs
+exports.logDeviceMessages = (req, res) => {
+    const logs = Array.isArray(req.body?.logs) ? req.body.logs : [];
+    logs.slice(0, MAX_DEVICE_LOG_ENTRIES).forEach(message => {
+        const text = String(message).replace(/[\x00-\x1f\x7f]+/g, ' ').slice(0, MAX_DEVICE_LOG_LENGTH);
+        console.warn('[AppleWallet] Device log:', text);
+    });
+    if (logs.length > MAX_DEVICE_LOG_ENTRIES) {
+        console.warn(`[AppleWallet] Dropped ${logs.length - MAX_DEVICE_LOG_ENTRIES} further device log messages`);
+    }
+    res.sendStatus(200);
+};
@@ -8,7 +8,7 @@
 
 const Queue = require('bull');
 const { getLocationFromIp } = require('./locationService');
-const { db } = require('./firebase');
+const contactStore = require('./utils/contactStore');
 
 // Create a Bull queue for location processing jobs
 const locationQueue = new Queue('location-processing', {
@@ -22,14 +22,14 @@ const locationQueue = new Queue('location-processing', {
  * Queue a job to look up location from IP and update the contact record
  * 
  * @param {string} userId - ID of the user whose contact list contains the contact
- * @param {number} contactIndex - Index of the contact in the contact list
+ * @param {string} contactId - ID of the contact
  * @param {string} ipAddress - IP address to look up
  */
-function queueLocationLookup(userId, contactIndex, ipAddress) {
+function queueLocationLookup(userId, contactId, ipAddress) {
   // Enqueue a job with retry logic
   locationQueue.add({
     userId,
-    contactIndex,
+    contactId,
     ipAddress
   }, {
     attempts: 3,             // Retry up to 3 times on failure
@@ -43,14 +43,16 @@ function queueLocationLookup(userId, contactIndex, ipAddress) {
 
 // Process jobs in the queue
 locationQueue.process(async (job) => {
+  // Jobs queued before contacts had IDs carry contactIndex instead
   const { userId, contactIndex, ipAddress } = job.data;
+  const contactId = job.data.contactId ?? contactIndex;
   
   try {
     console.log(`Processing location lookup for IP: ${ipAddress}`);
     
     // Skip if no IP address provided
     if (!ipAddress) {
-      console.warn('No IP address provided for location lookup', { userId, contactIndex });
+      console.warn('No IP address provided for location lookup', { userId, contactId });
       return { success: false, reason: 'no_ip_address' };
     }
     
@@ -59,17 +61,17 @@ locationQueue.process(async (job) => {
     
     // If no location data could be determined, log and exit
     if (!locationData) {
-      console.warn('Could not determine location from IP', { ipAddress, userId, contactIndex });
+      console.warn('Could not determine location from IP', { ipAddress, userId, contactId });
       return { success: false, reason: 'location_not_found' };
     }
     
     // Update the contact record with location data
-    await updateContactWithLocation(userId, contactIndex, locationData);
+    await updateContactWithLocation(userId, contactId, locationData);
     
-    console.log(`Successfully added location data for contact at index ${contactIndex} for user ${userId}`);
+    console.log(`Successfully added location data for contact ${contactId} for user ${userId}`);
     return { success: true, location: locationData };
   } catch (error) {
-    console.error(`Failed to process location for user ${userId}, contact index ${contactIndex}:`, error);
+    console.error(`Failed to process location for user ${userId}, contact ${contactId}:`, error);
     throw error; // This will trigger retry mechanism based on our configuration
   }
 });
@@ -78,38 +80,28 @@ locationQueue.process(async (job) => {
  * Update a contact record with location data
  * 
  * @param {string} userId - ID of the user whose contact list contains the contact
- * @param {number} contactIndex - Index of the contact in the contact list
+ * @param {string|number} contactId - ID of the contact (or its list index for older jobs)
  * @param {Object} locationData - Location data to save
  */
-async function updateContactWithLocation(userId, contactIndex, locationData) {
+async function updateContactWithLocation(userId, contactId, locationData) {
   try {
-    // Get the contacts document
-    const contactRef = db.collection('contacts').doc(userId);
-    const doc = await contactRef.get();
-    
-    if (!doc.exists) {
-      console.warn(`Contact document for user ${userId} not found`);
-      return;
+    if (typeof contactId === 'number') {
+      const contact = await contactStore.getContactByIndex(userId, contactId);
+      if (!contact) {
+        console.warn(`Invalid contact index: ${contactId} for user ${userId}`);
+        return;
+      }
+      contactId = contact.id;
     }
     
-    // Get the contact list
-    const contactList = doc.data().contactList || [];
-    
-    // Check if the index is valid
-    if (contactIndex < 0 || contactIndex >= contactList.length) {
-      console.warn(`Invalid contact index: ${contactIndex}, list length: ${contactList.length}`);
+    // Single-document write, so concurrent saves to the list are unaffected
+    const updated = await contactStore.updateContactLocation(userId, contactId, locationData);
+    if (!updated) {
+      console.warn(`Contact ${contactId} for user ${userId} not found`);
       return;
     }
     
-    // Add location data to the contact
-    contactList[contactIndex].location = locationData;
-    
-    // Update the document
-    await contactRef.update({
-      contactList: contactList
-    });
-    
-    console.log(`Updated contact at index ${contactIndex} with location data for user ${userId}`);
+    console.log(`Updated contact ${contactId} with location data for user ${userId}`);
   } catch (error) {
     console.error('Error updating contact with location:', error);
     throw error;
@@ -1,8 +1,104 @@
 const { admin, db } = require('../firebase');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { API_KEYS_COLLECTION, hashApiKey, isApiKey, resolveRouteScope } = require('../utils/apiKeys');
 
+// Avoid a write on every API key request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const METHOD_ACTIONS = {
+    GET: ACTIONS.READ,
+    POST: ACTIONS.CREATE,
+    PUT: ACTIONS.UPDATE,
+    PATCH: ACTIONS.UPDATE,
+    DELETE: ACTIONS.DELETE
+};
+
+/**
+ * Authenticate an enterprise API key and check it may call this route.
+ * The key acts as the admin who created it (req.user.uid), so controller
+ * permission checks still apply on top of the key's scopes.
+ */
+const authenticateApiKey = async (req, res, next, apiKey) => {
+    const keyId = hashApiKey(apiKey);
+    const keyDoc = await db.collection(API_KEYS_COLLECTION).doc(keyId).get();
+    const keyData = keyDoc.exists ? keyDoc.data() : null;
+
+    if (!keyData || keyData.revokedAt) {
+        return res.status(401).json({ message: 'Invalid or revoked API key' });
+    }
+    if (keyData.expiresAt && keyData.expiresAt.toMillis() <= Date.now()) {
+        return res.status(401).json({ message: 'API key has expired' });
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    const routeScope = resolveRouteScope(req.method, path);
+    if (!routeScope) {
+        return res.status(403).json({ message: 'API keys cannot access this endpoint' });
+    }
+    if (!keyData.scopes.includes(routeScope.scope)) {
+        return res.status(403).json({ message: `API key is missing the '${routeScope.scope}' scope` });
+    }
+    if (routeScope.enterpriseId && routeScope.enterpriseId !== keyData.enterpriseId) {
+        return res.status(403).json({ message: 'API key is not valid for this enterprise' });
+    }
+
+    req.user = { uid: keyData.createdBy, apiKeyId: keyId };
+    req.principal = {
+        type: 'api_key',
+        uid: keyData.createdBy,
+        keyId,
+        enterpriseId: keyData.enterpriseId,
+        scopes: keyData.scopes
+    };
+
+    const lastUsedAt = keyData.lastUsedAt?.toMillis ? keyData.lastUsedAt.toMillis() : 0;
+    if (Date.now() - lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+        keyDoc.ref.update({ lastUsedAt: admin.firestore.Timestamp.now(), lastUsedIp: req.ip || null }).catch(error => {
+            console.error('Failed to update API key lastUsedAt:', error.message);
+        });
+    }
+
+    // Attribute every API key call in activityLogs
+    res.on('finish', () => {
+        logActivity({
+            action: METHOD_ACTIONS[req.method] || ACTIONS.READ,
+            resource: RESOURCES.API_KEY,
+            userId: keyData.createdBy,
+            resourceId: keyId,
+            enterpriseId: keyData.enterpriseId,
+            ip: req.ip,
+            status: res.statusCode < 400 ? 'success' : 'error',
+            details: {
+                operation: 'api_key_request',
+                keyName: keyData.name,
+                method: req.method,
+                path,
+                scope: routeScope.scope,
+                statusCode: res.statusCode
+            }
+        });
+    });
+
+    next();
+};
+
+/**
+ * Accepts a Firebase ID token or an enterprise API key ("Bearer xsk_..." or "X-API-Key: xsk_...").
+ * Sets req.user ({ uid }) and req.principal ({ type: 'user' | 'api_key', uid, keyId, enterpriseId, scopes }).
+ */
 exports.authenticateUser = async (req, res, next) => {
     try {
+        // Routers mounted at '/' each run this middleware; authenticate once per request
+        if (req.principal) {
+            return next();
+        }
+
         const authHeader = req.headers.authorization;
+        const apiKeyHeader = req.headers['x-api-key'];
+        if (isApiKey(apiKeyHeader)) {
+            return await authenticateApiKey(req, res, next, apiKeyHeader);
+        }
+
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
             return res.status(401).json({
                 message: 'Authentication required. Please provide a valid token.'
@@ -10,7 +106,11 @@ exports.authenticateUser = async (req, res, next) => {
         }
 
         const token = authHeader.split('Bearer ')[1];
-        
+
+        if (isApiKey(token)) {
+            return await authenticateApiKey(req, res, next, token);
+        }
+
         // Check if it's a test token
         if (token.startsWith('test_token_') || token.includes('test_user_curl_')) {
             // Mock decoded token for testing - use a user from x-spark-test enterprise
@@ -20,14 +120,16 @@ exports.authenticateUser = async (req, res, next) => {
                 name: 'Tshehlap User'
             };
             req.token = token;
+            req.principal = { type: 'user', uid: req.user.uid, keyId: null, enterpriseId: null, scopes: null };
             next();
             return;
         }
-        
+
         // For non-test tokens, use normal verification
         const decodedToken = await admin.auth().verifyIdToken(token);
         req.user = decodedToken;
         req.token = token;
+        req.principal = { type: 'user', uid: decodedToken.uid, keyId: null, enterpriseId: null, scopes: null };
         next();
     } catch (error) {
         res.status(500).json({
@@ -36,3 +138,24 @@ exports.authenticateUser = async (req, res, next) => {
         });
     }
 };
+
+/**
+ * Platform administrators are users whose ID token carries the `platformAdmin`
+ * custom claim or whose uid is listed in PLATFORM_ADMIN_UIDS. Use after
+ * authenticateUser; API keys are never platform admins.
+ */
+exports.isPlatformAdmin = (req) => {
+    const adminUids = (process.env.PLATFORM_ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+    return req.principal?.type === 'user' &&
+        (req.user.platformAdmin === true || adminUids.includes(req.user.uid));
+};
+
+/**
+ * Restrict a route to platform administrators
+ */
+exports.requirePlatformAdmin = (req, res, next) => {
+    if (!exports.isPlatformAdmin(req)) {
+        return res.status(403).json({ message: 'Platform administrator access required' });
+    }
+    next();
+};
@@ -197,7 +197,42 @@ const handleMultipleUploads = (fields) => {
   };
 };
 
+// Spreadsheets (bulk imports) are parsed in memory and never stored
+const spreadsheetUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith('.csv') || name.endsWith('.xlsx')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and XLSX files are allowed!'), false);
+    }
+  }
+});
+
+/**
+ * Middleware to accept a single CSV/XLSX file into req.file (buffer only, no storage upload)
+ * @param {string} fieldName - Name of the field containing the file
+ */
+const handleSpreadsheetUpload = (fieldName) => {
+  return (req, res, next) => {
+    spreadsheetUpload.single(fieldName)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: `File upload failed: ${err.message}`
+        });
+      }
+      next();
+    });
+  };
+};
+
 module.exports = {
   handleSingleUpload,
-  handleMultipleUploads
+  handleMultipleUploads,
+  handleSpreadsheetUpload
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+
+// Paystack webhook endpoints whose raw body is kept for signature verification
+const PAYSTACK_WEBHOOK_PATHS = ['/subscription/webhook', '/payment/webhook'];
+
+/**
+ * express.json `verify` hook: keep the raw body of Paystack webhooks.
+ * The signature covers the exact bytes Paystack sent, not re-serialised JSON.
+ */
+exports.captureRawBody = (req, res, buf) => {
+    if (PAYSTACK_WEBHOOK_PATHS.includes(req.originalUrl.split('?')[0])) {
+        req.rawBody = buf;
+    }
+};
+
+/**
+ * Reject webhook requests whose x-paystack-signature is not the HMAC-SHA512
+ * of the raw body keyed with PAYSTACK_SECRET_KEY
+ */
+exports.verifyPaystackSignature = async (req, res, next) => {
+    const secret = process.env.PAYSTACK_SECRET_KEY;
+    if (!secret) {
+        console.error('❌ PAYSTACK_SECRET_KEY is not set; cannot verify Paystack webhooks');
+        return res.status(500).json({ message: 'Webhook verification is not configured' });
+    }
+
+    const signature = req.headers['x-paystack-signature'];
+    const expected = crypto.createHmac('sha512', secret).update(req.rawBody || '').digest('hex');
+    const valid = typeof signature === 'string' &&
+        req.rawBody &&
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) {
+        console.warn(`⚠️ Rejected Paystack webhook with ${signature ? 'an invalid' : 'no'} signature from ${req.ip}`);
+        await logActivity({
+            action: ACTIONS.ERROR,
+            resource: RESOURCES.PAYMENT,
+            userId: 'system',
+            status: 'error',
+            ip: req.ip,
+            details: {
+                operation: 'paystack_webhook_signature',
+                path: req.originalUrl,
+                event: req.body?.event || null,
+                reason: signature ? 'invalid_signature' : 'missing_signature'
+            }
+        });
+        return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+
+    next();
+};
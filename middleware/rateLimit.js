@@ -0,0 +1,138 @@
+const { db } = require('../firebase');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const rateLimiter = require('../utils/rateLimit');
+const { normalizeEmail, findUserByEmail } = require('../utils/loginProtection');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+/**
+ * Account each rule's account bucket is keyed on, and how to find its user.
+ * perIp buckets count one client's requests to that account: anyone can name a
+ * card owner, so a bucket shared by all clients would let one client use up the
+ * owner's allowance for everyone else.
+ */
+const ACCOUNTS = {
+    forgotPassword: { key: req => normalizeEmail(req.body?.email), byEmail: true },
+    addContact: { key: req => req.body?.userId, perIp: true },
+    trackScan: { key: req => req.body?.userId, perIp: true },
+    submitQuery: { key: req => req.body?.userId, perIp: true },
+    accountDeletion: { key: req => normalizeEmail(req.body?.email), byEmail: true },
+    dataExport: { key: req => req.user?.uid }
+};
+
+/**
+ * Client IP for rate limiting: Express's req.ip, which only reads X-Forwarded-For
+ * through the proxies the app trusts (TRUST_PROXY_HOPS, see server.js)
+ */
+const getRateLimitIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+const findAccountUser = async (ruleName, account) => {
+    if (ACCOUNTS[ruleName].byEmail) return findUserByEmail(account);
+    const userDoc = await db.collection('users').doc(String(account)).get();
+    return userDoc.exists ? userDoc : null;
+};
+
+/**
+ * Log a tripped limit and, when the account belongs to an enterprise, raise an
+ * API_RATE_LIMIT alert for its admins
+ */
+const reportLimitTripped = async (req, { ruleName, scope, ip, account, result }) => {
+    const userDoc = account ? await findAccountUser(ruleName, account) : null;
+    const userData = userDoc ? userDoc.data() : null;
+    const enterpriseId = userData?.enterpriseRef?.id || null;
+    const path = req.originalUrl.split('?')[0];
+    const windowMinutes = Math.round(RATE_LIMITS[ruleName][scope].windowMs / 60000);
+
+    await logActivity({
+        action: ACTIONS.ERROR,
+        resource: RESOURCES.SYSTEM,
+        userId: userDoc?.id || 'anonymous',
+        resourceId: path,
+        ...(enterpriseId && { enterpriseId }),
+        status: 'error',
+        details: {
+            operation: 'rate_limit',
+            rule: ruleName,
+            scope,
+            method: req.method,
+            ipAddress: ip,
+            limit: result.limit,
+            windowMinutes
+        }
+    });
+
+    if (!enterpriseId) return;
+
+    const { createSecurityAlert, SECURITY_ALERT_TYPES, SEVERITY_LEVELS } = require('../controllers/enterprise/securityAlertsController');
+    await createSecurityAlert({
+        enterpriseId,
+        type: SECURITY_ALERT_TYPES.API_RATE_LIMIT,
+        severity: scope === 'account' ? SEVERITY_LEVELS.MEDIUM : SEVERITY_LEVELS.LOW,
+        title: 'Rate Limit Exceeded',
+        description: `${req.method} ${path} for ${userData.name || userData.email} exceeded ${result.limit} requests per ${windowMinutes} minutes (${scope === 'account' && !ACCOUNTS[ruleName].perIp ? 'all sources' : `from ${ip}`}).`,
+        userId: userDoc.id,
+        metadata: {
+            rule: ruleName,
+            scope,
+            ipAddress: ip,
+            userAgent: req.headers['user-agent'] || null,
+            limit: result.limit,
+            windowMinutes
+        }
+    });
+};
+
+/**
+ * Limit a public endpoint per client IP and, where the request names one, per account.
+ * Over the limit the request gets 429 with Retry-After.
+ * @param {string} ruleName - Key of RATE_LIMITS in config/rateLimits.js
+ * @returns {Function} - Express middleware
+ */
+exports.rateLimit = (ruleName) => {
+    const rule = RATE_LIMITS[ruleName];
+    if (!rule) {
+        throw new Error(`Unknown rate limit rule: ${ruleName}`);
+    }
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false') {
+            return next();
+        }
+
+        const ip = getRateLimitIp(req);
+        const account = rule.account && ACCOUNTS[ruleName] ? ACCOUNTS[ruleName].key(req) : null;
+        const buckets = [
+            { scope: 'ip', id: ip },
+            ...(account ? [{ scope: 'account', id: ACCOUNTS[ruleName].perIp ? `${ip}:${account}` : account }] : [])
+        ];
+
+        try {
+            for (const { scope, id } of buckets) {
+                const result = await rateLimiter.consume(`${ruleName}:${scope}:${id}`, rule[scope]);
+                if (result.allowed) continue;
+
+                // Report once per window, not for every rejected request
+                if (result.count === result.limit + 1) {
+                    console.warn(`⛔ [RateLimit] ${ruleName} ${scope} limit reached for ${id}`);
+                    reportLimitTripped(req, { ruleName, scope, ip, account, result }).catch((error) => {
+                        console.error('[RateLimit] Failed to report tripped limit:', error.message);
+                    });
+                }
+
+                res.set('Retry-After', String(result.retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many requests. Please try again later.',
+                    error: 'RATE_LIMITED',
+                    retryAfter: result.retryAfter
+                });
+            }
+        } catch (error) {
+            // Counters are best-effort: a failed check must not take the endpoint down
+            console.error(`[RateLimit] ${ruleName} check failed:`, error.message);
+        }
+
+        next();
+    };
+};
+
+exports.getRateLimitIp = getRateLimitIp;
@@ -0,0 +1,42 @@
+const { db, admin } = require('../firebase');
+const { SCIM_TOKENS_COLLECTION, ScimError, hashScimToken, toScimErrorBody } = require('../utils/scim');
+
+// Avoid a write on every provisioning request
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Authenticate SCIM requests with an enterprise-scoped bearer token.
+ * Tokens are stored hashed in scimTokens/{sha256(token)}; sets req.scim = { enterpriseId, tokenId }.
+ */
+exports.authenticateScim = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            throw new ScimError(401, 'Authentication required. Please provide a SCIM bearer token.');
+        }
+
+        const token = authHeader.split('Bearer ')[1].trim();
+        const tokenId = hashScimToken(token);
+        const tokenDoc = await db.collection(SCIM_TOKENS_COLLECTION).doc(tokenId).get();
+
+        if (!tokenDoc.exists || tokenDoc.data().revokedAt) {
+            console.log('[SCIM] ❌ Invalid or revoked SCIM token');
+            throw new ScimError(401, 'Invalid or revoked SCIM token');
+        }
+
+        const tokenData = tokenDoc.data();
+        req.scim = { enterpriseId: tokenData.enterpriseId, tokenId };
+
+        const lastUsedAt = tokenData.lastUsedAt?.toMillis ? tokenData.lastUsedAt.toMillis() : 0;
+        if (Date.now() - lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+            tokenDoc.ref.update({ lastUsedAt: admin.firestore.Timestamp.now() }).catch(error => {
+                console.error('[SCIM] Failed to update token lastUsedAt:', error.message);
+            });
+        }
+
+        next();
+    } catch (error) {
+        const scimError = error instanceof ScimError ? error : new ScimError(500, 'Authentication failed');
+        res.status(scimError.status).type('application/scim+json').json(toScimErrorBody(scimError));
+    }
+};
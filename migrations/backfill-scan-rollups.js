@@ -0,0 +1,113 @@
+const { db, admin } = require('../firebase');
+const { detectDevice, membershipOf, addRollupWrites } = require('../utils/scanRollups');
+
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 100; // Each scan group writes up to four rollup documents
+
+/**
+ * Migration script to build the scan rollups (utils/scanRollups) from the scan
+ * activity logs written before rollups existed. Only logs older than `before`
+ * are counted: pass the day rollups went live, and run it once, since the
+ * rollups it adds to are increments.
+ *
+ * Lifetime card totals are left alone: cards already carry their pre-rollup
+ * scanCount. Scans are put in the card owner's current department and
+ * enterprise, and their country is recorded as unknown.
+ * @param {Object} options - Options
+ * @param {string} options.before - YYYY-MM-DD; logs from this day on are skipped
+ * @param {boolean} options.dryRun - Report what would be written without writing
+ */
+const backfillScanRollups = async ({ before, dryRun = false } = {}) => {
+  try {
+    const cutoff = new Date(`${before}T00:00:00Z`);
+    if (!before || isNaN(cutoff)) {
+      throw new Error('A cutoff date (YYYY-MM-DD) is required');
+    }
+
+    console.log(`🚀 Backfilling scan rollups from logs before ${before}${dryRun ? ' (dry run)' : ''}...`);
+
+    // One group per card, hour, scan type and device
+    const groups = new Map();
+    let logsRead = 0;
+    let lastDoc = null;
+
+    while (true) {
+      let query = db.collection('activityLogs')
+        .where('action', '==', 'scan')
+        .where('timestamp', '<', admin.firestore.Timestamp.fromDate(cutoff))
+        .orderBy('timestamp')
+        .limit(PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      snapshot.docs.forEach(doc => {
+        const log = doc.data();
+        if (!log.userId || !log.timestamp?.toDate) return;
+
+        const iso = log.timestamp.toDate().toISOString();
+        const scan = {
+          userId: log.userId,
+          cardIndex: parseInt(log.details?.cardIndex) || 0,
+          date: iso.slice(0, 10),
+          hour: iso.slice(11, 13),
+          scanType: log.details?.scanType,
+          device: detectDevice(log.details?.userAgent)
+        };
+        const groupKey = [scan.userId, scan.cardIndex, scan.date, scan.hour, scan.scanType, scan.device].join('|');
+        const group = groups.get(groupKey) || { scan, count: 0 };
+        group.count++;
+        groups.set(groupKey, group);
+      });
+
+      logsRead += snapshot.size;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      console.log(`   • ${logsRead} scan logs read`);
+    }
+
+    const userIds = [...new Set([...groups.values()].map(({ scan }) => scan.userId))];
+    const memberships = new Map();
+    for (const userId of userIds) {
+      const userDoc = await db.collection('users').doc(userId).get();
+      memberships.set(userId, membershipOf(userDoc.exists ? userDoc.data() : {}));
+    }
+
+    const entries = [...groups.values()];
+    if (!dryRun) {
+      for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        entries.slice(i, i + BATCH_SIZE).forEach(({ scan, count }) => {
+          addRollupWrites(batch, { ...scan, ...memberships.get(scan.userId), country: 'unknown' }, count);
+        });
+        await batch.commit();
+      }
+    }
+
+    console.log(`\n🎉 Backfill ${dryRun ? 'dry run ' : ''}completed!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Scan logs counted: ${logsRead}`);
+    console.log(`   • Card owners: ${userIds.length}`);
+    console.log(`   • Hourly groups ${dryRun ? 'to write' : 'written'}: ${entries.length}`);
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly: node migrations/backfill-scan-rollups.js YYYY-MM-DD [dry-run]
+if (require.main === module) {
+  const [before, mode] = process.argv.slice(2);
+
+  backfillScanRollups({ before, dryRun: mode === 'dry-run' })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  backfillScanRollups
+};
@@ -0,0 +1,185 @@
+const { db, admin } = require('../firebase');
+const contactStore = require('../utils/contactStore');
+
+const { CONTACTS_COLLECTION, ITEMS_SUBCOLLECTION, STORAGE_VERSION } = contactStore;
+
+/**
+ * Migration script to move every user's `contactList` array into
+ * one document per contact (contacts/{userId}/items/{contactId}), and to
+ * re-index converted lists whose match key fields are out of date.
+ * Lists are also converted lazily on first access, so this can run while the API is up.
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Report what would be migrated without writing
+ */
+const moveContactsToSubcollection = async ({ dryRun = false } = {}) => {
+  try {
+    console.log(`🚀 Starting contacts subcollection migration${dryRun ? ' (dry run)' : ''}...`);
+
+    const contactsSnapshot = await db.collection(CONTACTS_COLLECTION).get();
+    console.log(`📊 Found ${contactsSnapshot.size} contact lists to process`);
+
+    let migrated = 0;
+    let reindexed = 0;
+    let skipped = 0;
+    let failed = 0;
+    let contactsMoved = 0;
+
+    for (const doc of contactsSnapshot.docs) {
+      try {
+        const result = await contactStore.migrateUserContacts(doc.id, { dryRun });
+        if (result.migrated) {
+          migrated++;
+          contactsMoved += result.contactCount;
+          if (dryRun) {
+            console.log(`   • ${doc.id}: ${result.contactCount} contacts would be moved`);
+          }
+        } else if (result.reindexed) {
+          reindexed++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to migrate contacts for user ${doc.id}:`, error.message);
+      }
+    }
+
+    console.log(`\n🎉 Migration ${dryRun ? 'dry run ' : ''}completed!`);
+    console.log(`📊 Summary:`);
+    console.log(`   • Lists ${dryRun ? 'to migrate' : 'migrated'}: ${migrated}`);
+    console.log(`   • Contacts ${dryRun ? 'to move' : 'moved'}: ${contactsMoved}`);
+    console.log(`   • Lists ${dryRun ? 'to re-index' : 're-indexed'}: ${reindexed}`);
+    console.log(`   • Lists skipped (already migrated): ${skipped}`);
+    console.log(`   • Lists failed: ${failed}`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Validate migration results: every list uses the subcollection and the
+ * stored contactCount matches the number of item documents
+ */
+const validateMigration = async () => {
+  try {
+    console.log('🔍 Validating migration results...');
+
+    const contactsSnapshot = await db.collection(CONTACTS_COLLECTION).get();
+    let notMigrated = 0;
+    let countMismatches = 0;
+
+    for (const doc of contactsSnapshot.docs) {
+      const data = doc.data();
+
+      if (data.storage !== STORAGE_VERSION || Array.isArray(data.contactList)) {
+        notMigrated++;
+        console.log(`   ⚠️  ${doc.id}: still uses the contactList array`);
+        continue;
+      }
+
+      const itemsSnapshot = await doc.ref.collection(ITEMS_SUBCOLLECTION).get();
+      if (itemsSnapshot.size !== (data.contactCount || 0)) {
+        countMismatches++;
+        console.log(`   ⚠️  ${doc.id}: contactCount ${data.contactCount || 0}, ${itemsSnapshot.size} item documents`);
+      }
+    }
+
+    console.log('\n📊 Migration Validation Results:');
+    console.log(`   • Total contact lists: ${contactsSnapshot.size}`);
+    console.log(`   • Not migrated: ${notMigrated}`);
+    console.log(`   • Count mismatches: ${countMismatches}`);
+
+    if (notMigrated === 0 && countMismatches === 0) {
+      console.log('✅ Migration validation successful!');
+    } else {
+      console.log('⚠️  Some contact lists may need manual intervention');
+    }
+
+  } catch (error) {
+    console.error('❌ Validation failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rollback migration: rebuild each `contactList` array from the item documents
+ * (so contacts added after the migration are kept) and remove the items.
+ * Stop the API before rolling back; running servers assume migrated lists stay migrated.
+ */
+const rollbackContactsSubcollection = async () => {
+  try {
+    console.log('🔄 Rolling back contacts subcollection migration...');
+
+    const contactsSnapshot = await db.collection(CONTACTS_COLLECTION)
+      .where('storage', '==', STORAGE_VERSION)
+      .get();
+    console.log(`📊 Found ${contactsSnapshot.size} contact lists to rollback`);
+
+    let processed = 0;
+
+    for (const doc of contactsSnapshot.docs) {
+      const contacts = await contactStore.listContacts(doc.id);
+      const contactList = contacts.map(({ id, ...contact }) => contactStore.toLegacyContact(contact));
+
+      await doc.ref.update({
+        contactList,
+        storage: admin.firestore.FieldValue.delete(),
+        indexVersion: admin.firestore.FieldValue.delete(),
+        contactCount: admin.firestore.FieldValue.delete(),
+        nextSequence: admin.firestore.FieldValue.delete(),
+        legacyContactList: admin.firestore.FieldValue.delete(),
+        migratedAt: admin.firestore.FieldValue.delete()
+      });
+
+      const itemsSnapshot = await doc.ref.collection(ITEMS_SUBCOLLECTION).get();
+      for (let i = 0; i < itemsSnapshot.docs.length; i += 400) {
+        const batch = db.batch();
+        itemsSnapshot.docs.slice(i, i + 400).forEach(itemDoc => batch.delete(itemDoc.ref));
+        await batch.commit();
+      }
+
+      processed++;
+      console.log(`   • ${doc.id}: restored ${contactList.length} contacts`);
+    }
+
+    console.log(`✅ Rollback completed: ${processed} contact lists processed`);
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  const command = process.argv[2];
+
+  const run = (task) => task
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+
+  switch (command) {
+    case 'rollback':
+      run(rollbackContactsSubcollection());
+      break;
+    case 'validate':
+      run(validateMigration());
+      break;
+    case 'dry-run':
+      run(moveContactsToSubcollection({ dryRun: true }));
+      break;
+    default:
+      run(moveContactsToSubcollection().then(validateMigration));
+  }
+}
+
+module.exports = {
+  moveContactsToSubcollection,
+  validateMigration,
+  rollbackContactsSubcollection
+};
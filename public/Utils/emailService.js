@@ -429,6 +429,289 @@ const sendIntegrationUpdate = async (userId, updateData) => {
   }
 };
 
+const formatDigestDate = (date) => new Date(date).toLocaleDateString('en-ZA', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Send the weekly activity digest (new contacts, card scans, upcoming meetings)
+ */
+const sendWeeklyDigest = async (userId, digest) => {
+  try {
+    const userDoc = await require('../../firebase').db.collection('users').doc(userId).get();
+    const userData = userDoc.data();
+    
+    if (!userData?.email) {
+      return { success: false, error: 'User email not found' };
+    }
+    
+    const period = `${formatDigestDate(digest.periodStart)} - ${formatDigestDate(digest.periodEnd)}`;
+    const scanTypes = Object.entries(digest.scans.byType || {});
+    
+    const mailOptions = {
+      to: userData.email,
+      subject: `Your XS Card week: ${digest.newContactCount} new contacts, ${digest.scans.total} scans`,
+      html: `
+        <h2 style="color: #1976d2;">📊 Your Weekly Digest</h2>
+        <p>Hi ${userData.name || 'there'}, here is your XS Card activity for ${period}.</p>
+        
+        <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3 style="color: #1976d2;">New Contacts (${digest.newContactCount})</h3>
+          ${digest.newContacts.length > 0 ? `
+            <ul>
+              ${digest.newContacts.map(contact => `<li><strong>${contact.name} ${contact.surname || ''}</strong>${contact.company ? ` - ${contact.company}` : ''}${contact.howWeMet ? ` (${contact.howWeMet})` : ''}</li>`).join('')}
+            </ul>
+            ${digest.newContactCount > digest.newContacts.length ? `<p>...and ${digest.newContactCount - digest.newContacts.length} more.</p>` : ''}
+          ` : '<p>No new contacts this week.</p>'}
+        </div>
+        
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3>Card Scans (${digest.scans.total})</h3>
+          ${scanTypes.length > 0 ? `
+            <ul>
+              ${scanTypes.map(([type, count]) => `<li>${type}: ${count}</li>`).join('')}
+            </ul>
+          ` : '<p>Your cards were not scanned this week.</p>'}
+        </div>
+        
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3>Upcoming Meetings (${digest.upcomingMeetings.length})</h3>
+          ${digest.upcomingMeetings.length > 0 ? `
+            <ul>
+              ${digest.upcomingMeetings.map(meeting => `<li><strong>${meeting.title}</strong> - ${new Date(meeting.meetingWhen).toLocaleString('en-ZA')}${meeting.location ? ` (${meeting.location})` : ''}</li>`).join('')}
+            </ul>
+          ` : '<p>No meetings scheduled for the coming week.</p>'}
+        </div>
+        
+        <p style="color: #666; font-size: 12px;">
+          You are receiving this weekly digest from your XS Card account. You can turn it off in your notification preferences.
+        </p>
+      `
+    };
+    
+    return await sendNotificationEmail(userId, 'weeklyDigest', mailOptions);
+  } catch (error) {
+    console.error('Error sending weekly digest:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send the weekly enterprise usage report to an enterprise admin
+ */
+const sendUsageReport = async (userId, report) => {
+  try {
+    const userDoc = await require('../../firebase').db.collection('users').doc(userId).get();
+    const userData = userDoc.data();
+    
+    if (!userData?.email) {
+      return { success: false, error: 'User email not found' };
+    }
+    
+    const period = `${formatDigestDate(report.periodStart)} - ${formatDigestDate(report.periodEnd)}`;
+    const cellStyle = 'padding: 8px; border-bottom: 1px solid #ddd; text-align: left;';
+    
+    const mailOptions = {
+      to: userData.email,
+      subject: `Usage Report: ${report.enterpriseName} (${period})`,
+      html: `
+        <h2 style="color: #1976d2;">📈 Weekly Usage Report</h2>
+        <p><strong>Enterprise:</strong> ${report.enterpriseName}</p>
+        <p><strong>Period:</strong> ${period}</p>
+        
+        <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Active Employees:</strong> ${report.totals.activeEmployees}</p>
+          <p><strong>Card Scans:</strong> ${report.totals.scans}</p>
+          <p><strong>Contacts Captured:</strong> ${report.totals.contactsCaptured}</p>
+        </div>
+        
+        ${report.departments.length > 0 ? `
+          <table style="border-collapse: collapse; width: 100%;">
+            <tr>
+              <th style="${cellStyle}">Department</th>
+              <th style="${cellStyle}">Active Employees</th>
+              <th style="${cellStyle}">Scans</th>
+              <th style="${cellStyle}">Contacts Captured</th>
+            </tr>
+            ${report.departments.map(department => `
+              <tr>
+                <td style="${cellStyle}">${department.name}</td>
+                <td style="${cellStyle}">${department.activeEmployees}</td>
+                <td style="${cellStyle}">${department.scans}</td>
+                <td style="${cellStyle}">${department.contactsCaptured}</td>
+              </tr>
+            `).join('')}
+          </table>
+        ` : '<p>No departments found.</p>'}
+        
+        <p style="color: #666; font-size: 12px;">
+          This usage report is sent weekly to enterprise administrators. You can turn it off in your notification preferences.
+        </p>
+      `
+    };
+    
+    return await sendNotificationEmail(userId, 'usageReports', mailOptions);
+  } catch (error) {
+    console.error('Error sending usage report:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const DUNNING_NOTICES = {
+  payment_failed: {
+    subject: 'Action required: your XS Card payment failed',
+    heading: '⚠️ Your payment failed',
+    color: '#f57c00',
+    body: (notice) => `<p>We could not process the renewal payment for your ${notice.planName}. Your premium features stay available until <strong>${formatDigestDate(notice.graceEndsAt)}</strong>.</p>
+        <p>Please update your payment method so your subscription can renew.</p>`
+  },
+  reminder: {
+    subject: 'Reminder: your XS Card payment is still outstanding',
+    heading: '⏰ Payment still outstanding',
+    color: '#f57c00',
+    body: (notice) => `<p>The renewal payment for your ${notice.planName} is still outstanding. If it is not received by <strong>${formatDigestDate(notice.graceEndsAt)}</strong>, your account will move to the free plan.</p>`
+  },
+  suspended: {
+    subject: 'Your XS Card premium features have been suspended',
+    heading: '⛔ Premium features suspended',
+    color: '#d32f2f',
+    body: (notice) => `<p>We did not receive the renewal payment for your ${notice.planName}, so your account is now on the free plan and limited to ${notice.contactLimit} contacts.</p>
+        <p>Your subscription will be cancelled on <strong>${formatDigestDate(notice.cancelsAt)}</strong> unless the payment is made. Paying restores your premium features immediately.</p>`
+  },
+  final_notice: {
+    subject: 'Final notice: your XS Card subscription will be cancelled',
+    heading: '⛔ Final notice',
+    color: '#d32f2f',
+    body: (notice) => `<p>Your ${notice.planName} will be cancelled on <strong>${formatDigestDate(notice.cancelsAt)}</strong> because the renewal payment has not been received.</p>`
+  },
+  cancelled: {
+    subject: 'Your XS Card subscription has been cancelled',
+    heading: 'Subscription cancelled',
+    color: '#666666',
+    body: (notice) => `<p>Your ${notice.planName} has been cancelled because the renewal payment was not received. Your account remains on the free plan (${notice.contactLimit} contacts). You can subscribe again at any time.</p>`
+  },
+  recovered: {
+    subject: 'Your XS Card payment was received',
+    heading: '✅ Payment received',
+    color: '#388e3c',
+    body: (notice) => `<p>Thank you - the payment for your ${notice.planName} was received and your premium features are active again.</p>`
+  }
+};
+
+/**
+ * Send a failed-renewal (dunning) notice. These are billing emails, so they are
+ * sent regardless of notification preferences.
+ * @param {string} userId - User ID
+ * @param {Object} notice - { type, planName, amount, graceEndsAt, cancelsAt, contactLimit }
+ */
+const sendDunningNotice = async (userId, notice) => {
+  try {
+    const template = DUNNING_NOTICES[notice.type];
+    if (!template) {
+      return { success: false, error: `Unknown dunning notice: ${notice.type}` };
+    }
+
+    const userDoc = await require('../../firebase').db.collection('users').doc(userId).get();
+    const userData = userDoc.data();
+    
+    if (!userData?.email) {
+      return { success: false, error: 'User email not found' };
+    }
+    
+    const mailOptions = {
+      to: userData.email,
+      subject: template.subject,
+      html: `
+        <h2 style="color: ${template.color};">${template.heading}</h2>
+        <p>Hi ${userData.name || 'there'},</p>
+        ${template.body(notice)}
+        ${notice.amount ? `<p><strong>Amount:</strong> R${Number(notice.amount).toFixed(2)}</p>` : ''}
+        
+        <p style="color: #666; font-size: 12px;">
+          This is a billing notice about your XS Card subscription.
+        </p>
+      `,
+      headers: {
+        'X-Notification-Type': `dunning_${notice.type}`,
+        'X-User-ID': userId
+      }
+    };
+    
+    return await sendMailWithStatus(mailOptions);
+  } catch (error) {
+    console.error('Error sending dunning notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const ACCOUNT_DELETION_NOTICES = {
+  confirm: {
+    subject: 'Confirm your XS Card account deletion',
+    heading: 'Confirm account deletion',
+    color: '#d32f2f',
+    body: (notice) => `<p>We received a request to delete your XS Card account and all the data we hold about you.</p>
+        <p><a href="${notice.confirmUrl}" style="background-color: #d32f2f; color: white; padding: 15px 25px; text-decoration: none; border-radius: 5px; display: inline-block;">Confirm deletion</a></p>
+        <p>This link expires on <strong>${formatDigestDate(notice.expiresAt)}</strong>. Your account will be deleted ${notice.gracePeriodDays} days after you confirm, and you can cancel until then.</p>
+        <p>If you did not ask for this, ignore this email and nothing will change.</p>`
+  },
+  scheduled: {
+    subject: 'Your XS Card account will be deleted',
+    heading: 'Account deletion scheduled',
+    color: '#f57c00',
+    body: (notice) => `<p>Your XS Card account and its data (cards, contacts, meetings, subscription and payment methods) will be permanently deleted on <strong>${formatDigestDate(notice.scheduledFor)}</strong>.</p>
+        <p>Changed your mind? <a href="${notice.cancelUrl}">Cancel the deletion</a> before then, or cancel it from the app.</p>`
+  },
+  cancelled: {
+    subject: 'Your XS Card account deletion was cancelled',
+    heading: '✅ Deletion cancelled',
+    color: '#388e3c',
+    body: () => '<p>Your account will not be deleted. Everything stays as it was.</p>'
+  },
+  completed: {
+    subject: 'Your XS Card account has been deleted',
+    heading: 'Account deleted',
+    color: '#666666',
+    body: () => `<p>Your XS Card account and the data linked to it have been deleted. Payment receipts are kept for as long as the law requires us to keep financial records.</p>
+        <p>Thank you for using XS Card.</p>`
+  }
+};
+
+/**
+ * Send an account deletion notice. Sent regardless of notification preferences,
+ * and to an address rather than a user ID because the user may already be gone.
+ * @param {Object} recipient - { email, name }
+ * @param {Object} notice - { type, confirmUrl, expiresAt, gracePeriodDays, scheduledFor, cancelUrl }
+ */
+const sendAccountDeletionNotice = async (recipient, notice) => {
+  try {
+    const template = ACCOUNT_DELETION_NOTICES[notice.type];
+    if (!template) {
+      return { success: false, error: `Unknown account deletion notice: ${notice.type}` };
+    }
+    if (!recipient?.email) {
+      return { success: false, error: 'Recipient email not provided' };
+    }
+
+    return await sendMailWithStatus({
+      to: recipient.email,
+      subject: template.subject,
+      html: `
+        <h2 style="color: ${template.color};">${template.heading}</h2>
+        <p>Hi ${recipient.name || 'there'},</p>
+        ${template.body(notice)}
+      `,
+      headers: {
+        'X-Notification-Type': `account_deletion_${notice.type}`
+      }
+    });
+  } catch (error) {
+    console.error('Error sending account deletion notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   transporter,
   sendMailWithStatus,
@@ -439,5 +722,9 @@ module.exports = {
   sendNotificationEmail,
   sendSecurityAlert,
   sendAdminNotification,
-  sendIntegrationUpdate
+  sendIntegrationUpdate,
+  sendWeeklyDigest,
+  sendUsageReport,
+  sendDunningNotice,
+  sendAccountDeletionNotice
 };
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const accountController = require('../controllers/accountController');
+const { authenticateUser } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Account deletion from the web page and the emailed links (no authentication required)
+router.post('/account-deletion/request', rateLimit('accountDeletion'), accountController.requestAccountDeletionByEmail);
+router.post('/account-deletion/confirm', accountController.confirmAccountDeletionRequest);
+router.post('/account-deletion/cancel', accountController.cancelAccountDeletionByLink);
+
+// The signed-in user's own account
+router.post('/me/account-deletion', authenticateUser, accountController.requestMyAccountDeletion);
+router.get('/me/account-deletion', authenticateUser, accountController.getMyAccountDeletion);
+router.delete('/me/account-deletion', authenticateUser, accountController.cancelMyAccountDeletion);
+router.get('/me/data-export', authenticateUser, rateLimit('dataExport'), accountController.exportMyData);
+
+module.exports = router;
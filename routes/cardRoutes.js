@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const cardController = require('../controllers/cardController');
+const shortLinkController = require('../controllers/shortLinkController');
 const { authenticateUser } = require('../middleware/auth');
 const { handleSingleUpload, handleMultipleUploads } = require('../middleware/fileUpload');
 
@@ -22,6 +23,11 @@ router.delete('/Cards/:id', cardController.deleteCard);
 router.post('/Cards/:userId/wallet/:cardIndex?', cardController.createWalletPass);
 router.patch('/Cards/:id/color', cardController.updateCardColor);
 router.get('/generateQR/:userId/:cardIndex', cardController.generateQR);
+
+// Short links (/c/:code) for a user's cards
+router.get('/Cards/:id/short-links', shortLinkController.getShortLinks);
+router.post('/Cards/:id/short-links', shortLinkController.createShortLink);
+router.patch('/Cards/:id/short-links/:code', shortLinkController.updateShortLink);
 // router.get('/Cards', cardController.getAllCards);
 
 module.exports = router;
@@ -2,19 +2,26 @@ const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
 const { authenticateUser } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Keep these public routes
-router.post('/saveContactInfo', contactController.saveContactInfo);
-router.post('/saveContact', contactController.saveContactInfo);
-router.post('/public/saveContact', contactController.saveContactInfo);
+router.post('/saveContactInfo', rateLimit('addContact'), contactController.saveContactInfo);
+router.post('/saveContact', rateLimit('addContact'), contactController.saveContactInfo);
+router.post('/public/saveContact', rateLimit('addContact'), contactController.saveContactInfo);
 
 // Protected routes
 router.use(authenticateUser);
 router.get('/Contacts', contactController.getAllContacts);
+router.get('/Contacts/export', contactController.exportContacts);
 router.get('/Contacts/:id', contactController.getContactById);
+router.get('/Contacts/:id/vcf', contactController.exportContactListVCard);
+router.get('/Contacts/:id/duplicates', contactController.getDuplicateContacts);
+router.post('/Contacts/:id/duplicates/merge', contactController.mergeDuplicateContacts);
+router.put('/Contacts/:id/duplicate-policy', contactController.updateDuplicatePolicy);
 router.patch('/Contacts/:id', contactController.updateContact);
 router.delete('/Contacts/:id', contactController.deleteContact);
-router.delete('/Contacts/:id/contact/:index', contactController.deleteContactFromList);
+router.patch('/Contacts/:id/contact/:contactId', contactController.updateContactInList);
+router.delete('/Contacts/:id/contact/:contactId', contactController.deleteContactFromList);
 
 // Contact permissions management
 router.put('/enterprise/:enterpriseId/users/:userId/contact-permissions', contactController.updateUserContactPermissions);
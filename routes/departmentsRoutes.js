@@ -3,7 +3,11 @@ const router = express.Router();
 const departmentsController = require('../controllers/enterprise/departmentsController');
 const teamsController = require('../controllers/enterprise/teamsController');
 const exportController = require('../controllers/enterprise/exportController'); // Added exportController
+const scimController = require('../controllers/enterprise/scimController');
+const apiKeyController = require('../controllers/enterprise/apiKeyController');
+const webhookController = require('../controllers/enterprise/webhookController');
 const { authenticateUser } = require('../middleware/auth');
+const { handleSpreadsheetUpload } = require('../middleware/fileUpload');
 
 // Apply authentication to all department routes
 router.use(authenticateUser);
@@ -59,8 +63,33 @@ router.get('/enterprise/:enterpriseId/departments/:departmentId/managers', depar
 // Add a route to get all employees across the enterprise
 router.get('/enterprise/:enterpriseId/employees', departmentsController.getAllEnterpriseEmployees);
 
+// Bulk employee import (CSV/XLSX): dry-run report, then a background job
+router.post('/enterprise/:enterpriseId/employees/import', handleSpreadsheetUpload('file'), departmentsController.importEmployees);
+router.post('/enterprise/:enterpriseId/employees/import/:importId/run', departmentsController.runEmployeeImport);
+router.get('/enterprise/:enterpriseId/employees/import/:importId', departmentsController.getEmployeeImport);
+
+// SCIM provisioning tokens and defaults (enterprise admins)
+router.post('/enterprise/:enterpriseId/scim/tokens', scimController.createScimToken);
+router.get('/enterprise/:enterpriseId/scim/tokens', scimController.listScimTokens);
+router.delete('/enterprise/:enterpriseId/scim/tokens/:tokenId', scimController.revokeScimToken);
+router.put('/enterprise/:enterpriseId/scim/settings', scimController.updateScimSettings);
+
+// Enterprise API keys for server-to-server access (enterprise admins)
+router.post('/enterprise/:enterpriseId/api-keys', apiKeyController.createApiKey);
+router.get('/enterprise/:enterpriseId/api-keys', apiKeyController.listApiKeys);
+router.delete('/enterprise/:enterpriseId/api-keys/:keyId', apiKeyController.revokeApiKey);
+
+// Outbound webhook subscriptions, delivery log and replay (enterprise admins)
+router.post('/enterprise/:enterpriseId/webhooks', webhookController.createWebhook);
+router.get('/enterprise/:enterpriseId/webhooks', webhookController.listWebhooks);
+router.get('/enterprise/:enterpriseId/webhooks/deliveries', webhookController.getWebhookDeliveries);
+router.post('/enterprise/:enterpriseId/webhooks/deliveries/:deliveryId/replay', webhookController.replayWebhookDelivery);
+router.patch('/enterprise/:enterpriseId/webhooks/:webhookId', webhookController.updateWebhook);
+router.delete('/enterprise/:enterpriseId/webhooks/:webhookId', webhookController.deleteWebhook);
+
 // Enterprise cards routes - New endpoints
 router.get('/enterprise/:enterpriseId/cards', departmentsController.getAllEnterpriseCards);
+router.get('/enterprise/:enterpriseId/cards/qr-codes', departmentsController.downloadEnterpriseCardQrCodes);
 router.get('/enterprise/:enterpriseId/departments/:departmentId/cards', departmentsController.getDepartmentCards);
 router.get('/enterprise/:enterpriseId/departments/:departmentId/teams/:teamId/cards', departmentsController.getTeamCards);
 
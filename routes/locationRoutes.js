@@ -7,8 +7,17 @@
 
 const express = require('express');
 const router = express.Router();
-const { db } = require('../firebase');
+const contactStore = require('../utils/contactStore');
 const { authenticateUser } = require('../middleware/auth');
+const { logActivity, ACTIONS, RESOURCES } = require('../utils/logger');
+const { checkContactPermissions } = require('../controllers/helpers/contactPermissionsHelper');
+const {
+  HEATMAP_SCOPES,
+  parseHeatmapOptions,
+  resolveScopeMembers,
+  buildLocationHeatmap,
+  toGeoJSON
+} = require('../utils/locationHeatmap');
 
 /**
  * GET /api/analytics/locations
@@ -26,17 +35,14 @@ router.get('/analytics/locations', authenticateUser, async (req, res) => {
     
     console.log(`[LocationRoutes] Fetching data for user: ${userId}`);
     
-    // Get the contacts document
-    const contactRef = db.collection('contacts').doc(userId);
-    const doc = await contactRef.get();
+    // Get the user's contacts
+    const contactList = await contactStore.listContacts(userId);
     
-    if (!doc.exists) {
+    if (contactList.length === 0) {
       console.log(`[LocationRoutes] No contacts found for user: ${userId}`);
       return res.status(404).json({ error: 'No contacts found' });
     }
     
-    // Get contacts with location data
-    const contactList = doc.data().contactList || [];
     console.log(`[LocationRoutes] Total contacts found: ${contactList.length}`);
     
     // Filter to only contacts with location data
@@ -79,6 +85,104 @@ router.get('/analytics/locations', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/locations/heatmap
+ *
+ * Clustered heatmap of contact locations for the caller (scope=own, the
+ * default) or, for roles with enterprise-wide contact access, a team,
+ * department or the whole enterprise.
+ * Query: scope, departmentId (defaults to the caller's), teamId, employeeIds
+ * (comma-separated user IDs), from/to (or startDate/endDate), zoom (0-20) or
+ * precision (geohash length 1-9), format=geojson
+ */
+router.get('/analytics/locations/heatmap', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const scope = req.query.scope || HEATMAP_SCOPES.OWN;
+    const { teamId } = req.query;
+    const employeeIds = req.query.employeeIds
+      ? String(req.query.employeeIds).split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+
+    if (!Object.values(HEATMAP_SCOPES).includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${Object.values(HEATMAP_SCOPES).join(', ')}` });
+    }
+
+    const options = parseHeatmapOptions(req.query);
+    console.log(`[LocationRoutes] Heatmap request from ${userId}: scope ${scope}, precision ${options.precision}`);
+
+    let members = [{ userId }];
+    let enterpriseId = null;
+    let departmentId = null;
+
+    if (scope !== HEATMAP_SCOPES.OWN) {
+      const permissionCheck = await checkContactPermissions(userId, 'view');
+      if (!permissionCheck.allowed) {
+        return res.status(403).json({ error: 'Access denied', reason: permissionCheck.reason });
+      }
+      if (permissionCheck.accessLevel !== 'all_enterprise') {
+        return res.status(403).json({
+          error: 'Access denied',
+          reason: 'Your role can only view the locations of your own contacts'
+        });
+      }
+
+      enterpriseId = permissionCheck.enterpriseId;
+      departmentId = req.query.departmentId || permissionCheck.userDepartmentId;
+      members = await resolveScopeMembers(scope, { enterpriseId, departmentId, teamId });
+    }
+
+    if (employeeIds) {
+      const outside = employeeIds.filter(id => !members.some(member => member.userId === id));
+      if (outside.length > 0) {
+        return res.status(403).json({
+          error: 'Access denied',
+          reason: `Not in the selected ${scope === HEATMAP_SCOPES.OWN ? 'account' : scope}: ${outside.join(', ')}`
+        });
+      }
+      members = members.filter(member => employeeIds.includes(member.userId));
+    }
+
+    const heatmap = await buildLocationHeatmap(members, options);
+    console.log(`[LocationRoutes] ${heatmap.totalContacts} located contacts in ${heatmap.clusters.length} clusters`);
+
+    if (scope !== HEATMAP_SCOPES.OWN) {
+      await logActivity({
+        action: ACTIONS.READ,
+        resource: RESOURCES.CONTACT,
+        userId,
+        enterpriseId,
+        details: {
+          operation: 'location_heatmap',
+          scope,
+          departmentId: scope === HEATMAP_SCOPES.ENTERPRISE ? null : departmentId,
+          teamId: scope === HEATMAP_SCOPES.TEAM ? teamId : null,
+          employees: members.length,
+          contactCount: heatmap.totalContacts
+        }
+      });
+    }
+
+    if (req.query.format === 'geojson') {
+      return res.type('application/geo+json').send(JSON.stringify(toGeoJSON(heatmap)));
+    }
+
+    res.json({
+      scope,
+      ...(enterpriseId && { enterpriseId }),
+      ...(scope === HEATMAP_SCOPES.DEPARTMENT || scope === HEATMAP_SCOPES.TEAM ? { departmentId } : {}),
+      ...(scope === HEATMAP_SCOPES.TEAM && { teamId }),
+      ...heatmap
+    });
+  } catch (error) {
+    console.error('[LocationRoutes] Error building location heatmap:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to build location heatmap', details: error.message });
+  }
+});
+
 /**
  * Aggregate location data for heatmap visualization
  * 
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { initializePayment, handlePaymentCallback } = require('../controllers/paymentController');
 const { authenticateUser } = require('../middleware/auth');
+const { verifyPaystackSignature } = require('../middleware/paystackSignature');
 
 // Public route - no authentication needed
 router.get('/payment/callback', handlePaymentCallback);
-router.post('/payment/webhook', handlePaymentCallback);
+router.post('/payment/webhook', verifyPaystackSignature, handlePaymentCallback);
 
 // Protected route - needs authentication
 router.post('/payment/initialize', authenticateUser, initializePayment);
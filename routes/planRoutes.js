@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listCataloguePlans,
+    getPlanVersions,
+    createCataloguePlan,
+    createCataloguePlanVersion,
+    retireCataloguePlan,
+    getPlanQuote,
+    assignEnterprisePlan
+} = require('../controllers/planCatalogueController');
+const { getMyEntitlements } = require('../controllers/entitlementController');
+const { authenticateUser, requirePlatformAdmin } = require('../middleware/auth');
+
+// Plan pricing and usage for signed-in users
+router.get('/plans/:planId/quote', authenticateUser, getPlanQuote);
+router.get('/me/entitlements', authenticateUser, getMyEntitlements);
+
+// Plan catalogue administration - platform admins only
+router.get('/admin/plans', authenticateUser, requirePlatformAdmin, listCataloguePlans);
+router.post('/admin/plans', authenticateUser, requirePlatformAdmin, createCataloguePlan);
+router.get('/admin/plans/:planId/versions', authenticateUser, requirePlatformAdmin, getPlanVersions);
+router.post('/admin/plans/:planId/versions', authenticateUser, requirePlatformAdmin, createCataloguePlanVersion);
+router.post('/admin/plans/:planId/retire', authenticateUser, requirePlatformAdmin, retireCataloguePlan);
+router.put('/admin/enterprises/:enterpriseId/plan', authenticateUser, requirePlatformAdmin, assignEnterprisePlan);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const queryController = require('../controllers/queryController');
+const { authenticateUser } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Public query form (queries.html, saveContact.html)
+router.post('/submit-query', rateLimit('submitQuery'), queryController.submitQuery);
+
+// The card owner's query inbox
+router.get('/queries', authenticateUser, queryController.getQueries);
+router.get('/queries/:queryId', authenticateUser, queryController.getQueryById);
+router.post('/queries/:queryId/reply', authenticateUser, queryController.replyToQuery);
+router.patch('/queries/:queryId/status', authenticateUser, queryController.updateQueryStatus);
+
+module.exports = router;
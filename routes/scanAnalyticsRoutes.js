@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const scanAnalyticsController = require('../controllers/scanAnalyticsController');
+const { authenticateUser } = require('../middleware/auth');
+
+// Scan analytics read from the scan rollups. Query: from, to, bucket (hour, day, week), compare
+router.get('/analytics/scans/cards/:userId/:cardIndex', authenticateUser, scanAnalyticsController.getCardScanAnalytics);
+router.get('/analytics/scans/users/:userId', authenticateUser, scanAnalyticsController.getUserScanAnalytics);
+router.get('/analytics/scans/enterprise/:enterpriseId', authenticateUser, scanAnalyticsController.getEnterpriseScanAnalytics);
+router.get(
+    '/analytics/scans/enterprise/:enterpriseId/departments/:departmentId',
+    authenticateUser,
+    scanAnalyticsController.getDepartmentScanAnalytics
+);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { listScheduledJobs, retryScheduledJob } = require('../controllers/scheduledJobsController');
+const { authenticateUser, requirePlatformAdmin } = require('../middleware/auth');
+
+// Background job monitoring - platform admins only
+router.get('/admin/jobs', authenticateUser, requirePlatformAdmin, listScheduledJobs);
+router.post('/admin/jobs/:jobId/retry', authenticateUser, requirePlatformAdmin, retryScheduledJob);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const scimController = require('../controllers/enterprise/scimController');
+const { authenticateScim } = require('../middleware/scimAuth');
+
+// Identity providers send application/scim+json, which the app-wide parser skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+// SCIM 2.0 provisioning (enterprise-scoped bearer tokens, mounted at /scim/v2)
+router.use(authenticateScim);
+
+router.get('/ServiceProviderConfig', scimController.getServiceProviderConfig);
+router.get('/ResourceTypes', scimController.getResourceTypes);
+router.get('/Schemas', scimController.getSchemas);
+
+router.get('/Users', scimController.listUsers);
+router.post('/Users', scimController.createUser);
+router.get('/Users/:userId', scimController.getUser);
+router.put('/Users/:userId', scimController.replaceUser);
+router.patch('/Users/:userId', scimController.patchUser);
+router.delete('/Users/:userId', scimController.deleteUser);
+
+router.get('/Groups', scimController.listGroups);
+router.post('/Groups', scimController.createGroup);
+router.get('/Groups/:groupId', scimController.getGroup);
+router.put('/Groups/:groupId', scimController.replaceGroup);
+router.patch('/Groups/:groupId', scimController.patchGroup);
+router.delete('/Groups/:groupId', scimController.deleteGroup);
+
+module.exports = router;
@@ -11,13 +11,16 @@ const {
     getSubscriptionLogs,
     updateSubscriptionPlan,
     getSubscriptionHistory,
+    getPaymentReceipts,
+    downloadPaymentReceipt,
     cleanupUserRecord
 } = require('../controllers/subscriptionController');
 const { authenticateUser } = require('../middleware/auth');
+const { verifyPaystackSignature } = require('../middleware/paystackSignature');
 
 // Public routes - no authentication needed
 router.get('/subscription/trial/callback', handleTrialCallback);
-router.post('/subscription/webhook', handleSubscriptionWebhook);
+router.post('/subscription/webhook', verifyPaystackSignature, handleSubscriptionWebhook);
 
 // Protected routes - authentication required
 router.post('/subscription/initialize', authenticateUser, initializeSubscription);
@@ -28,6 +31,8 @@ router.put('/subscription/plan', authenticateUser, updateSubscriptionPlan);
 router.post('/subscription/cancel', authenticateUser, cancelSubscription);
 router.get('/subscription/logs', authenticateUser, getSubscriptionLogs);
 router.get('/subscription/history', authenticateUser, getSubscriptionHistory);
+router.get('/subscription/receipts', authenticateUser, getPaymentReceipts);
+router.get('/subscription/receipts/:receiptId/download', authenticateUser, downloadPaymentReceipt);
 router.post('/subscription/cleanup', authenticateUser, cleanupUserRecord);
 
 module.exports = router;
@@ -5,6 +5,7 @@ const path = require('path');
 const fs = require('fs');
 const userController = require('../controllers/userController');
 const { authenticateUser } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Configure multer for file upload
 const storage = multer.diskStorage({
@@ -24,7 +25,7 @@ const storage = multer.diskStorage({
 const upload = multer({ storage: storage });
 
 // Public routes (no authentication required)
-router.post('/SignIn', userController.signIn);
+router.post('/SignIn', rateLimit('signIn'), userController.signIn);
 router.post('/AddUser', upload.fields([
     { name: 'profileImage', maxCount: 1 },
     { name: 'companyLogo', maxCount: 1 }
@@ -32,11 +33,11 @@ router.post('/AddUser', upload.fields([
 router.get('/verify-email', userController.verifyEmail);
 
 // Public routes for the frontend (no authentication required)
-router.get('/public/Users', userController.getAllUsers);
-router.get('/public/Users/:id', userController.getUserById);
+router.get('/public/Users', rateLimit('publicUsers'), userController.getAllUsers);
+router.get('/public/Users/:id', rateLimit('publicUsers'), userController.getUserById);
 
 // Password reset routes (no authentication required)
-router.post('/forgot-password', userController.forgotPassword);
+router.post('/forgot-password', rateLimit('forgotPassword'), userController.forgotPassword);
 router.post('/reset-password', userController.resetPassword);
 router.get('/reset-user-info', userController.getResetUserInfo);
 
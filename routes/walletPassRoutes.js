@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const walletPassController = require('../controllers/walletPassController');
+
+// Public routes - devices authenticate per pass with "ApplePass <token>"
+router.get('/passes/:serialNumber.pkpass', walletPassController.downloadPass);
+
+// Apple Wallet web service (webServiceURL = <BASE_URL>/wallet)
+router.post('/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber', walletPassController.registerDevice);
+router.delete('/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier/:serialNumber', walletPassController.unregisterDevice);
+router.get('/v1/devices/:deviceLibraryIdentifier/registrations/:passTypeIdentifier', walletPassController.getUpdatedSerialNumbers);
+router.get('/v1/passes/:passTypeIdentifier/:serialNumber', walletPassController.getLatestPass);
+router.post('/v1/log', walletPassController.logDeviceMessages);
+
+module.exports = router;
@@ -10,9 +10,10 @@
  - Defaults to deleting 97% of documents in the `securityAlerts` collection.
  - By default runs in DRY RUN mode. Pass --execute (or --yes) to actually delete.
  - Deletions are processed oldest-first by `timestamp` in batches of up to 500.
+ - The scheduler (utils/jobScheduler.js) also purges past the retention period daily.
 */
 
-const { db, admin } = require('../firebase');
+const { countDocuments, deleteOldest } = require('../utils/dataPurge');
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -39,89 +40,13 @@ function parseArgs() {
   return result;
 }
 
-async function getTotalAlertsCount(enterpriseId) {
-  // Prefer count() aggregation if supported
-  try {
-    let query = db.collection('securityAlerts');
-    if (enterpriseId) {
-      query = query.where('enterpriseId', '==', enterpriseId);
-    }
-    // Aggregation queries require Firebase Admin SDK with count support
-    if (typeof query.count === 'function') {
-      const snap = await query.count().get();
-      return snap.data().count;
-    }
-  } catch (e) {
-    // Fallthrough to manual count
-  }
-
-  // Fallback: manual count (paginated for safety)
-  let total = 0;
-  let query = db.collection('securityAlerts');
-  if (enterpriseId) {
-    query = query.where('enterpriseId', '==', enterpriseId);
-  }
-  let page = query.orderBy('timestamp', 'asc').limit(1000);
-  let lastDoc = null;
-  for (;;) {
-    const snap = await page.get();
-    total += snap.size;
-    if (snap.empty || snap.size < 1000) break;
-    lastDoc = snap.docs[snap.docs.length - 1];
-    page = query.orderBy('timestamp', 'asc').startAfter(lastDoc).limit(1000);
-  }
-  return total;
-}
-
-async function deleteOldestAlerts(targetDeleteCount, enterpriseId) {
-  const BATCH_LIMIT = 500;
-  const PAGE_SIZE = 500; // read size aligned with batch limit
-  let deleted = 0;
-  let lastDoc = null;
-
-  while (deleted < targetDeleteCount) {
-    let baseQuery = db.collection('securityAlerts');
-    if (enterpriseId) {
-      baseQuery = baseQuery.where('enterpriseId', '==', enterpriseId);
-    }
-    let query = baseQuery.orderBy('timestamp', 'asc').limit(Math.min(PAGE_SIZE, targetDeleteCount - deleted));
-    if (lastDoc) {
-      query = baseQuery.orderBy('timestamp', 'asc').startAfter(lastDoc).limit(Math.min(PAGE_SIZE, targetDeleteCount - deleted));
-    }
-
-    const snap = await query.get();
-    if (snap.empty) break;
-
-    const batch = db.batch();
-    let ops = 0;
-    for (const doc of snap.docs) {
-      batch.delete(doc.ref);
-      ops += 1;
-      deleted += 1;
-      lastDoc = doc;
-      if (ops === BATCH_LIMIT || deleted >= targetDeleteCount) {
-        break;
-      }
-    }
-    await batch.commit();
-    console.log(`✅ Deleted batch: ${ops} (total deleted: ${deleted}/${targetDeleteCount})`);
-
-    if (snap.size < Math.min(PAGE_SIZE, targetDeleteCount - (deleted - ops))) {
-      // No more docs to delete
-      break;
-    }
-  }
-
-  return deleted;
-}
-
 (async () => {
   try {
     const { percent, execute, enterpriseId } = parseArgs();
     console.log('— Purge Security Alerts —');
     console.log(`Scope: collection=securityAlerts${enterpriseId ? `, enterpriseId=${enterpriseId}` : ''}`);
 
-    const total = await getTotalAlertsCount(enterpriseId);
+    const total = await countDocuments('securityAlerts', { enterpriseId });
     const targetDelete = Math.floor((percent / 100) * total);
 
     console.log(`Total alerts found: ${total}`);
@@ -137,7 +62,7 @@ async function deleteOldestAlerts(targetDeleteCount, enterpriseId) {
       process.exit(0);
     }
 
-    const deleted = await deleteOldestAlerts(targetDelete, enterpriseId);
+    const deleted = await deleteOldest('securityAlerts', { limit: targetDelete, enterpriseId });
     console.log('— Result —');
     console.log(`Requested delete: ${targetDelete}`);
     console.log(`Actually deleted: ${deleted}`);
@@ -148,14 +73,3 @@ async function deleteOldestAlerts(targetDeleteCount, enterpriseId) {
     process.exit(1);
   }
 })();
-
-
-
-
-
-
-
-
-
-
-
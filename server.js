@@ -11,9 +11,24 @@ const { db, admin } = require('./firebase.js');
 const { sendMailWithStatus, sendNotificationEmail } = require('./public/Utils/emailService');
 const { invalidateEnterpriseCache } = require('./controllers/enterprise/contactAggregationController');
 const { logActivity, ACTIONS, RESOURCES } = require('./utils/logger');
+const { downloadCardVCard } = require('./controllers/cardController');
+const { redirectShortLink } = require('./controllers/shortLinkController');
+const { trackCardScan } = require('./utils/scanTracker');
+const { countryFromHeaders } = require('./utils/scanRollups');
+const { getDuplicatePolicy } = require('./utils/contactDedup');
+const contactStore = require('./utils/contactStore');
+const { WEBHOOK_EVENTS, emitWebhookEventForUser, toWebhookContact } = require('./utils/webhooks');
+const { FEATURES, buildQuota, getLimit, limitReachedBody } = require('./utils/entitlements');
+const { captureRawBody } = require('./middleware/paystackSignature');
+const { rateLimit } = require('./middleware/rateLimit');
 const app = express();
 const port = 8383;
 
+// Number of proxies in front of the app (e.g. 1 on Render). req.ip, used for rate
+// limiting and logs, reads X-Forwarded-For only through these; with 0 it is the
+// connecting address and client-supplied headers are ignored.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '0'));
+
 // Configure CORS
 const corsOptions = {
   // For production, replace with your actual frontend domains
@@ -74,6 +89,13 @@ const locationRoutes = require('./routes/locationRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const cardTemplateRoutes = require('./routes/cardTemplateRoutes');
 const emailSignatureRoutes = require('./routes/emailSignatureRoutes');
+const walletPassRoutes = require('./routes/walletPassRoutes');
+const scimRoutes = require('./routes/scimRoutes');
+const planRoutes = require('./routes/planRoutes');
+const scheduledJobRoutes = require('./routes/scheduledJobRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const queryRoutes = require('./routes/queryRoutes');
+const scanAnalyticsRoutes = require('./routes/scanAnalyticsRoutes');
 
 // Location tracking middleware
 const { enrichContactWithIp, processContactLocation, getClientIp } = require('./contactMiddleware');
@@ -99,7 +121,8 @@ const storage = multer.diskStorage({
 const upload = multer({ storage: storage });
 
 // Increase body parser limit for email attachments and large payloads
-app.use(express.json({ limit: '50mb' }));
+// (the raw body of Paystack webhooks is kept for signature verification)
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // Serve static files from public directory - must be BEFORE any route mounting
@@ -112,6 +135,12 @@ app.use('/', subscriptionRoutes);
 // Location analytics routes
 app.use('/api', locationRoutes);
 
+// Wallet pass downloads and Apple Wallet web service (public, per-pass token auth)
+app.use('/wallet', walletPassRoutes);
+
+// SCIM 2.0 provisioning for identity providers (enterprise SCIM token auth)
+app.use('/scim/v2', scimRoutes);
+
 // NOTE: Test endpoints removed for production deployment
 // If you need to re-enable test endpoints for development:
 // 1. Uncomment the test route lines below
@@ -142,6 +171,11 @@ app.get('/reset-password', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
 });
 
+// Serve the account deletion page (also opened from the confirm/cancel email links)
+app.get('/delete-account', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'deleteAccount.html'));
+});
+
 // Password setup endpoint - public (root path)
 app.post('/set-password', async (req, res) => {
   try {
@@ -257,7 +291,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Track scan endpoint for analytics (public route) - must be before protected routes
-app.post('/track-scan', async (req, res) => {
+app.post('/track-scan', rateLimit('trackScan'), async (req, res) => {
   try {
     const { userId, cardIndex, scanType, sessionId, timestamp } = req.body;
     
@@ -266,7 +300,7 @@ app.post('/track-scan', async (req, res) => {
       cardIndex,
       scanType,
       sessionId,
-      timestamp: new Date(timestamp).toISOString()
+      timestamp: new Date(timestamp || Date.now())
     });
 
     // Validate required fields
@@ -277,61 +311,24 @@ app.post('/track-scan', async (req, res) => {
       });
     }
 
-    // Log the scan activity
-    await logActivity({
-      action: 'scan',
-      resource: 'CARD',
-      userId: userId,
-      resourceId: userId,
-      details: {
-        scanType: scanType,
-        cardIndex: cardIndex || 0,
-        sessionId: sessionId,
-        timestamp: new Date(timestamp).toISOString(),
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip || req.connection.remoteAddress
-      }
+    await trackCardScan({
+      userId,
+      cardIndex,
+      scanType,
+      sessionId,
+      timestamp,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip || req.connection.remoteAddress,
+      country: countryFromHeaders(req.headers)
     });
 
-    // Update scan count on the card document
-    try {
-      const cardRef = db.collection('cards').doc(userId);
-      const cardDoc = await cardRef.get();
-      
-      if (cardDoc.exists) {
-        const cardData = cardDoc.data();
-        const cards = cardData.cards || [];
-        const targetCardIndex = cardIndex || 0;
-        
-        if (cards[targetCardIndex]) {
-          // Initialize scan count if it doesn't exist
-          if (!cards[targetCardIndex].scanCount) {
-            cards[targetCardIndex].scanCount = 0;
-          }
-          
-          // Increment scan count
-          cards[targetCardIndex].scanCount += 1;
-          
-          // Update last scanned timestamp
-          cards[targetCardIndex].lastScanned = admin.firestore.Timestamp.now();
-          
-          // Update the card document
-          await cardRef.update({
-            cards: cards,
-            updatedAt: admin.firestore.Timestamp.now()
-          });
-          
-          console.log(`✅ Card scan count updated: ${cards[targetCardIndex].scanCount} scans for user ${userId}, card ${targetCardIndex}`);
-        } else {
-          console.warn(`⚠️ Card index ${targetCardIndex} not found for user ${userId}`);
-        }
-      } else {
-        console.warn(`⚠️ Card document not found for user ${userId}`);
-      }
-    } catch (cardUpdateError) {
-      console.error('❌ Error updating card scan count:', cardUpdateError);
-      // Don't fail the scan tracking if card update fails
-    }
+    emitWebhookEventForUser(userId, WEBHOOK_EVENTS.CARD_SCANNED, {
+      userId,
+      cardIndex: cardIndex || 0,
+      scanType,
+      sessionId: sessionId || null,
+      scannedAt: new Date(timestamp || Date.now()).toISOString()
+    });
 
     console.log(`✅ Scan tracked successfully: ${scanType} scan for user ${userId}, card ${cardIndex || 0}`);
 
@@ -362,8 +359,13 @@ app.get('/saveContact', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'saveContact.html'));
 });
 
+// Public contact submissions get the same response whether the contact was added,
+// merged into an existing one or refused as a duplicate, so the form can't be used
+// to find out who is in the owner's contacts
+const PUBLIC_CONTACT_SAVED = { success: true, message: 'Contact saved successfully' };
+
 // Add the AddContact endpoint directly to server.js
-app.post('/AddContact', enrichContactWithIp, async (req, res) => {
+app.post('/AddContact', rateLimit('addContact'), enrichContactWithIp, async (req, res) => {
     const { userId, contactInfo } = req.body;
     
     console.log('Add Contact called - Public endpoint in server.js');
@@ -385,25 +387,8 @@ app.post('/AddContact', enrichContactWithIp, async (req, res) => {
             return res.status(404).send({ message: 'User not found' });
         }
 
-        const contactRef = db.collection('contacts').doc(userId);
-        const doc = await contactRef.get();
-
-        let currentContacts = [];
-        if (doc.exists) {
-            currentContacts = doc.data().contactList || [];
-        }
-
-        const FREE_PLAN_CONTACT_LIMIT = 3;
-
-        if (userData.plan === 'free' && currentContacts.length >= FREE_PLAN_CONTACT_LIMIT) {
-            console.log(`Contact limit reached for free user ${userId}. Current contacts: ${currentContacts.length}`);
-            return res.status(403).send({
-                message: 'Contact limit reached',
-                error: 'FREE_PLAN_LIMIT_REACHED',
-                currentContacts: currentContacts.length,
-                limit: FREE_PLAN_CONTACT_LIMIT
-            });
-        }
+        // Contact limit from the user's plan (null = unlimited)
+        const contactLimit = await getLimit(userId, FEATURES.CONTACTS, { userData });
 
         const newContact = {
             ...contactInfo,
@@ -411,16 +396,29 @@ app.post('/AddContact', enrichContactWithIp, async (req, res) => {
             createdAt: admin.firestore.Timestamp.now()
         };
 
-        currentContacts.push(newContact);        await contactRef.set({
-            userId: db.doc(`users/${userId}`),
-            contactList: currentContacts
-        }, { merge: true });
+        // Duplicate policy and plan limit are applied atomically; merging into an
+        // existing contact doesn't use up a plan slot
+        const insert = await contactStore.addContact(userId, newContact, {
+            policy: getDuplicatePolicy(userData),
+            limit: contactLimit,
+            publicSubmission: true
+        });
+
+        if (insert.action === 'rejected') {
+            console.log(`Duplicate contact rejected for user ${userId} (matched on ${insert.duplicate.reasons.join(', ')})`);
+            return res.status(201).send(PUBLIC_CONTACT_SAVED);
+        }
+
+        if (insert.action === 'limit_reached') {
+            console.log(`Contact limit reached for user ${userId}. Current contacts: ${insert.contactCount}`);
+            return res.status(403).send(limitReachedBody(buildQuota(FEATURES.CONTACTS, contactLimit, insert.contactCount)));
+        }
         
         // PHASE 3: Cache invalidation for enterprise contact aggregation
         if (userData.enterpriseRef) {
             try {
                 const enterpriseId = userData.enterpriseRef.id;
-                invalidateEnterpriseCache(enterpriseId);
+                await invalidateEnterpriseCache(enterpriseId);
                 console.log(`Cache invalidated for enterprise ${enterpriseId} due to contact addition by user ${userId}`);
             } catch (cacheError) {
                 // Don't fail the contact save if cache invalidation fails
@@ -428,16 +426,29 @@ app.post('/AddContact', enrichContactWithIp, async (req, res) => {
             }
         }
         
-        // Process location data
-        const contactIndex = currentContacts.length - 1;
+        // Process location data (a merged contact keeps the location it already has)
+        const contactId = insert.contact.id;
         const ipAddress = req._locationMetadata?.ipAddress;
         
         // Queue location lookup in background
-        if (ipAddress) {
-            processContactLocation(userId, contactIndex, ipAddress);
+        if (ipAddress && !insert.contact.location) {
+            processContactLocation(userId, contactId, ipAddress);
         }
         
-        if (userData.email) {
+        if (insert.action === 'merged') {
+            console.log(`Contact merged into existing contact ${contactId} for user ${userId} (matched on ${insert.duplicate.reasons.join(', ')})`);
+        } else if (insert.duplicate) {
+            console.log(`Contact ${contactId} for user ${userId} flagged as a possible duplicate of ${insert.contact.possibleDuplicate.contactId}`);
+        }
+        
+        // Notify the enterprise's webhook subscribers (runs in the background)
+        emitWebhookEventForUser(userId, insert.action === 'merged' ? WEBHOOK_EVENTS.CONTACT_MERGED : WEBHOOK_EVENTS.CONTACT_CREATED, {
+            userId,
+            contact: toWebhookContact(insert.contact),
+            ...(insert.duplicate && { matchedOn: insert.duplicate.reasons })
+        }, userData);
+        
+        if (userData.email && insert.action === 'added') {
             const mailOptions = {
                 from: process.env.EMAIL_USER,
                 to: userData.email,
@@ -456,8 +467,8 @@ app.post('/AddContact', enrichContactWithIp, async (req, res) => {
                         </ul>
                     </div>
                     <p style="color: #666; font-size: 12px;">This is an automated notification from your XS Card application.</p>
-                    ${userData.plan === 'free' ? 
-                        `<p style="color: #ff4b6e;">You have ${FREE_PLAN_CONTACT_LIMIT - currentContacts.length} contacts remaining in your free plan.</p>` 
+                    ${contactLimit !== null ? 
+                        `<p style="color: #ff4b6e;">You have ${contactLimit - insert.contactCount} contacts remaining in your plan.</p>` 
                         : ''}
                 `
             };
@@ -474,17 +485,7 @@ app.post('/AddContact', enrichContactWithIp, async (req, res) => {
             }
         }
         
-        res.status(201).send({ 
-            success: true,
-            message: 'Contact added successfully',
-            contactList: currentContacts.map(contact => ({
-                ...contact,
-                createdAt: contact.createdAt ? contact.createdAt.toDate().toISOString() : new Date().toISOString()
-            })),
-            remainingContacts: userData.plan === 'free' ? 
-                FREE_PLAN_CONTACT_LIMIT - currentContacts.length : 
-                'unlimited'
-        });
+        res.status(201).send(PUBLIC_CONTACT_SAVED);
     } catch (error) {
         console.error('Error adding contact:', error);
         res.status(500).send({ 
@@ -496,7 +497,7 @@ app.post('/AddContact', enrichContactWithIp, async (req, res) => {
 });
 
 // Add new contact saving endpoint
-app.post('/saveContact', async (req, res) => {
+app.post('/saveContact', rateLimit('addContact'), async (req, res) => {
     const { userId, contactInfo } = req.body;
     
     if (!userId || !contactInfo) {
@@ -504,31 +505,38 @@ app.post('/saveContact', async (req, res) => {
     }
 
     try {
-        const contactsRef = db.collection('contacts').doc(userId);
-        const contactsDoc = await contactsRef.get();
+        const userRef = db.collection('users').doc(userId);
+        const userDoc = await userRef.get();
+        const userData = userDoc.data();
 
-        let contactList = contactsDoc.exists ? (contactsDoc.data().contactList || []) : [];
-        if (!Array.isArray(contactList)) contactList = [];
+        if (!userData) {
+            return res.status(404).send({ message: 'User not found' });
+        }
 
-        contactList.push({
+        const contactLimit = await getLimit(userId, FEATURES.CONTACTS, { userData });
+        const insert = await contactStore.addContact(userId, {
             name: contactInfo.name,
             surname: contactInfo.surname,
             phone: contactInfo.phone,
             howWeMet: contactInfo.howWeMet,
             createdAt: admin.firestore.Timestamp.now()
-        });        await contactsRef.set({
-            contactList: contactList
-        }, { merge: true });
+        }, { policy: getDuplicatePolicy(userData), limit: contactLimit, publicSubmission: true });
 
-        const userRef = db.collection('users').doc(userId);
-        const userDoc = await userRef.get();
-        const userData = userDoc.data();
+        if (insert.action === 'limit_reached') {
+            console.log(`Contact limit reached for user ${userId}. Current contacts: ${insert.contactCount}`);
+            return res.status(403).send(limitReachedBody(buildQuota(FEATURES.CONTACTS, contactLimit, insert.contactCount)));
+        }
+
+        if (insert.action === 'rejected') {
+            console.log(`Duplicate contact rejected for user ${userId} (matched on ${insert.duplicate.reasons.join(', ')})`);
+            return res.status(200).send(PUBLIC_CONTACT_SAVED);
+        }
 
         // PHASE 3: Cache invalidation for enterprise contact aggregation
         if (userData && userData.enterpriseRef) {
             try {
                 const enterpriseId = userData.enterpriseRef.id;
-                invalidateEnterpriseCache(enterpriseId);
+                await invalidateEnterpriseCache(enterpriseId);
                 console.log(`Cache invalidated for enterprise ${enterpriseId} due to contact addition via saveContact by user ${userId}`);
             } catch (cacheError) {
                 // Don't fail the contact save if cache invalidation fails
@@ -536,7 +544,7 @@ app.post('/saveContact', async (req, res) => {
             }
         }
 
-        if (userData && userData.email) {
+        if (userData && userData.email && insert.action === 'added') {
             const mailOptions = {
                 from: process.env.EMAIL_USER,
                 to: userData.email,
@@ -567,12 +575,7 @@ app.post('/saveContact', async (req, res) => {
             }
         }
 
-        res.status(200).send({ 
-            success: true,
-            message: 'Contact saved successfully',
-            contact: contactList[contactList.length - 1],
-            emailSent: userData?.email ? true : false
-        });
+        res.status(200).send(PUBLIC_CONTACT_SAVED);
 
     } catch (error) {
         console.error('Error saving contact:', error);
@@ -617,6 +620,12 @@ app.get('/public/cards/:id', async (req, res) => {
     }
 });
 
+// Public vCard download for a specific card (one-tap "Add to contacts" on phones)
+app.get('/public/cards/:id/vcard', downloadCardVCard);
+
+// Short card links (/c/:code) - stable codes that resolve to the card's current index
+app.get('/c/:code', redirectShortLink);
+
 // Protected routes - after public routes
 
 // Add a simple root route for testing
@@ -634,6 +643,9 @@ app.get('/', (req, res) => {
     });
 });
 
+// Before userRoutes, whose authenticateUser also covers routers mounted after it
+app.use('/', accountRoutes);
+app.use('/', queryRoutes);
 app.use('/', userRoutes);
 app.use('/', cardRoutes);
 app.use('/', contactRoutes);
@@ -644,6 +656,9 @@ app.use('/', billingRoutes);
 app.use('/', activityLogRoutes); // Mount at root instead of /api/logs
 app.use('/api', enterpriseRoutes); // Mount enterprise routes with /api prefix
 app.use('/', notificationRoutes);
+app.use('/', planRoutes);
+app.use('/', scheduledJobRoutes);
+app.use('/', scanAnalyticsRoutes);
 app.use('/api/templates', cardTemplateRoutes);
 
 // Test endpoint to verify server is working
@@ -894,8 +909,8 @@ testLogging().then(success => {
   console.log('Test logging result:', success);
 });
 
-// Initialize Security Alert Detection Service
-const { initializeAlertDetection } = require('./controllers/enterprise/alertDetectionService');
-initializeAlertDetection();
+// Initialize scheduled jobs (security alert detection, log purges, account unlocks and deletions, weekly digests, dunning)
+const { initializeScheduledJobs } = require('./utils/jobScheduler');
+initializeScheduledJobs();
 
 app.listen(port, () => console.log(`Server has started on port: ${port}`));
@@ -0,0 +1,270 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  sendAccountDeletionNotice: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logActivity: jest.fn(async () => {})
+}));
+jest.mock('../../utils/firebaseStorage', () => ({
+  ...jest.requireActual('../../utils/firebaseStorage'),
+  deleteFile: jest.fn(async () => {}),
+  deleteUserFiles: jest.fn(async () => 2)
+}));
+jest.mock('../../utils/webhooks', () => ({
+  ...jest.requireActual('../../utils/webhooks'),
+  emitWebhookEvent: jest.fn()
+}));
+
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { sendAccountDeletionNotice } = require('../../public/Utils/emailService');
+const { logActivity } = require('../../utils/logger');
+const { deleteFile, isUserFile } = require('../../utils/firebaseStorage');
+const { emitWebhookEvent } = require('../../utils/webhooks');
+const contactStore = require('../../utils/contactStore');
+const { PASSES_COLLECTION } = require('../../utils/walletPass');
+const {
+  DELETION_REQUESTS_COLLECTION,
+  DELETION_STATUS,
+  getDeletionRequest,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  cancelAccountDeletion,
+  deleteUserData,
+  processDueDeletions
+} = require('../../utils/accountDeletion');
+const { toPlain, collectUserData, buildUserDataExport } = require('../../utils/dataExport');
+
+const { db } = firebase;
+const BASE_URL = 'https://app.example.com';
+
+// The confirm and cancel tokens only leave the server in the emailed links
+const tokenFromLastEmail = (param) => {
+  const notice = sendAccountDeletionNotice.mock.calls[sendAccountDeletionNotice.mock.calls.length - 1][1];
+  return new URL(notice.confirmUrl || notice.cancelUrl).searchParams.get(param);
+};
+
+const readDoc = async (path) => {
+  const doc = await db.doc(path).get();
+  return doc.exists ? doc.data() : null;
+};
+
+beforeEach(async () => {
+  firebase.reset();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await db.collection('users').doc('u1').set({ email: 'ada@example.com', name: 'Ada', passwordResetToken: 'secret' });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('deletion requests', () => {
+  test('are confirmed from the emailed link and scheduled after the grace period', async () => {
+    const pending = await requestAccountDeletion('u1', { baseUrl: BASE_URL, reasons: ['not using it'] });
+    expect(pending.status).toBe(DELETION_STATUS.PENDING_CONFIRMATION);
+    expect(sendAccountDeletionNotice).toHaveBeenCalledWith(
+      { email: 'ada@example.com', name: 'Ada' },
+      expect.objectContaining({ type: 'confirm', gracePeriodDays: 30 })
+    );
+
+    const token = tokenFromLastEmail('token');
+    expect(JSON.stringify(await readDoc(`${DELETION_REQUESTS_COLLECTION}/u1`))).not.toContain(token);
+
+    const scheduled = await confirmAccountDeletion(token, { baseUrl: BASE_URL });
+    expect(scheduled.status).toBe(DELETION_STATUS.SCHEDULED);
+    const graceDays = (new Date(scheduled.scheduledFor) - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(graceDays)).toBe(30);
+    expect((await readDoc('users/u1')).deletionScheduledFor).toBeDefined();
+
+    await expect(confirmAccountDeletion(token, { baseUrl: BASE_URL })).rejects.toMatchObject({ status: 400 });
+    await expect(requestAccountDeletion('u1', { baseUrl: BASE_URL })).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('reject expired confirmation links', async () => {
+    await requestAccountDeletion('u1', { baseUrl: BASE_URL });
+    firebase.db._store.get(`${DELETION_REQUESTS_COLLECTION}/u1`).confirmationExpiresAt = Timestamp.fromMillis(Date.now() - 1000);
+
+    await expect(confirmAccountDeletion(tokenFromLastEmail('token'), { baseUrl: BASE_URL }))
+      .rejects.toThrow(/expired/);
+  });
+
+  test('can be cancelled from the emailed cancel link', async () => {
+    await requestAccountDeletion('u1', { baseUrl: BASE_URL });
+    await confirmAccountDeletion(tokenFromLastEmail('token'), { baseUrl: BASE_URL });
+
+    const cancelled = await cancelAccountDeletion({ cancelToken: tokenFromLastEmail('cancel') });
+    expect(cancelled.status).toBe(DELETION_STATUS.CANCELLED);
+    expect(await readDoc('users/u1')).not.toHaveProperty('deletionScheduledFor');
+    expect(sendAccountDeletionNotice).toHaveBeenLastCalledWith(expect.anything(), { type: 'cancelled' });
+
+    await expect(cancelAccountDeletion({ userId: 'u1' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('404 for unknown users', async () => {
+    await expect(requestAccountDeletion('ghost', { baseUrl: BASE_URL })).rejects.toMatchObject({ status: 404 });
+    expect(await getDeletionRequest('ghost')).toBeNull();
+  });
+});
+
+describe('deleteUserData', () => {
+  beforeEach(async () => {
+    const enterpriseRef = db.collection('enterprise').doc('ent1');
+    const departmentRef = enterpriseRef.collection('departments').doc('sales');
+    const employeeRef = departmentRef.collection('employees').doc('e1');
+    await enterpriseRef.set({ name: 'Acme' });
+    await departmentRef.set({ name: 'Sales', memberCount: 2 });
+    await employeeRef.set({ userId: db.doc('users/u1'), firstName: 'Ada', lastName: 'L' });
+    await db.collection('users').doc('u1').update({ enterpriseRef, employeeRef, profileImage: '/profiles/u1/me.png' });
+
+    await db.collection('cards').doc('u1').set({ cards: [{ name: 'Ada', companyLogo: 'https://cdn.example.com/logo.png' }] });
+    await db.collection('meetings').doc('u1').set({ bookings: [] });
+    await db.collection('subscriptions').doc('u1').set({ status: 'cancelled' });
+    await db.collection('paymentMethods').doc('pm1').set({ userId: 'u1' });
+    await db.collection('paymentReceipts').doc('r1').set({ userId: 'u1' });
+    await db.collection(PASSES_COLLECTION).doc('SN1').set({ userId: 'u1', cardIndex: 0 });
+    await db.collection('walletPassRegistrations').doc('reg1').set({ serialNumber: 'SN1' });
+    await db.collection('shortLinks').doc('abc').set({ userId: 'u1' });
+    await db.collection('shortLinks').doc('xyz').set({ userId: 'u2' });
+    await contactStore.addContact('u1', { name: 'Grace', email: 'grace@example.com' }, { limit: null });
+  });
+
+  test('removes every store linked to the user and keeps payment records', async () => {
+    const summary = await deleteUserData('u1');
+
+    expect(summary).toMatchObject({ employeeRecords: 1, contacts: 1, files: 2, cards: 1, meetings: 1, walletPasses: 1, shortLinks: 1, authRecord: true });
+    for (const path of ['users/u1', 'cards/u1', 'meetings/u1', 'subscriptions/u1', 'paymentMethods/pm1',
+      `${PASSES_COLLECTION}/SN1`, 'walletPassRegistrations/reg1', 'shortLinks/abc',
+      'enterprise/ent1/departments/sales/employees/e1']) {
+      expect(await readDoc(path)).toBeNull();
+    }
+    expect(await contactStore.listContacts('u1')).toEqual([]);
+    expect(await readDoc('shortLinks/xyz')).not.toBeNull();
+    expect(await readDoc('paymentReceipts/r1')).not.toBeNull();
+    expect((await readDoc('enterprise/ent1/departments/sales')).memberCount).toBe(1);
+
+    // Only our own storage is touched, not images hosted elsewhere
+    expect(deleteFile).toHaveBeenCalledWith('/profiles/u1/me.png');
+    expect(deleteFile).not.toHaveBeenCalledWith('https://cdn.example.com/logo.png');
+    expect(emitWebhookEvent).toHaveBeenCalledWith('ent1', 'employee.removed', expect.objectContaining({ reason: 'account_deleted' }));
+    expect(logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      resourceId: 'u1',
+      enterpriseId: 'ent1',
+      details: expect.objectContaining({ operation: 'account_deletion_completed' })
+    }));
+  });
+
+  test('can run again after a partial failure', async () => {
+    await deleteUserData('u1');
+    const again = await deleteUserData('u1');
+
+    expect(again).toMatchObject({ employeeRecords: 0, contacts: 0, cards: 0, walletPasses: 0 });
+  });
+
+  test("never deletes images outside the user's own upload folders", async () => {
+    await db.collection('users').doc('u1').update({ profileImage: '../../server.js', companyLogo: '/profiles/u1/../../../.env' });
+    await db.collection('cards').doc('u1').set({ cards: [
+      { profileImage: 'https://storage.googleapis.com/test-bucket/profiles/u2/them.png', companyLogo: '/profiles/u2/logo.png' },
+      { profileImage: 'https://storage.googleapis.com/other-bucket/profiles/u1/me.png', companyLogo: 'https://storage.googleapis.com/test-bucket/apk-files/app.apk' },
+      { profileImage: 'https://storage.googleapis.com/test-bucket/events/u1/banner.png', companyLogo: '/profiles/u1/logo.png' }
+    ] });
+
+    const summary = await deleteUserData('u1');
+
+    expect(deleteFile.mock.calls.map(([url]) => url).sort()).toEqual([
+      '/profiles/u1/logo.png',
+      'https://storage.googleapis.com/test-bucket/events/u1/banner.png'
+    ]);
+    expect(summary.images).toBe(2);
+  });
+});
+
+describe('isUserFile', () => {
+  test.each([
+    ['/profiles/u1/me.png', true],
+    ['events/u1/banner.png', true],
+    ['https://storage.googleapis.com/test-bucket/profiles/u1/me.png', true],
+    ['/profiles/u1', false],
+    ['/profiles/u10/me.png', false],
+    ['/profiles/u1/../u2/me.png', false],
+    ['../../server.js', false],
+    ['/templates/u1/logo.png', false],
+    ['https://storage.googleapis.com/test-bucket/profiles/u2/me.png', false],
+    ['https://storage.googleapis.com/test-bucket/profiles/u1/../u2/me.png', false],
+    ['https://storage.googleapis.com/other-bucket/profiles/u1/me.png', false],
+    ['https://cdn.example.com/storage.googleapis.com/test-bucket/profiles/u1/me.png', false],
+    ['http://storage.googleapis.com/test-bucket/profiles/u1/me.png', false],
+    [null, false]
+  ])('%s is one of u1\'s uploads: %s', (url, expected) => {
+    expect(isUserFile(url, 'u1')).toBe(expected);
+  });
+});
+
+describe('processDueDeletions', () => {
+  test('deletes accounts whose grace period has ended only', async () => {
+    await db.collection('users').doc('u2').set({ email: 'bob@example.com', name: 'Bob' });
+    await db.collection(DELETION_REQUESTS_COLLECTION).doc('u1').set({
+      userId: 'u1',
+      status: DELETION_STATUS.SCHEDULED,
+      cancelTokenHash: 'hash',
+      scheduledFor: Timestamp.fromMillis(Date.now() - 1000)
+    });
+    await db.collection(DELETION_REQUESTS_COLLECTION).doc('u2').set({
+      userId: 'u2',
+      status: DELETION_STATUS.SCHEDULED,
+      scheduledFor: Timestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    expect(await processDueDeletions()).toEqual({ due: 1, deleted: 1, failed: 0 });
+    expect(await readDoc('users/u1')).toBeNull();
+    expect(await readDoc('users/u2')).not.toBeNull();
+
+    const request = await readDoc(`${DELETION_REQUESTS_COLLECTION}/u1`);
+    expect(request.status).toBe(DELETION_STATUS.COMPLETED);
+    expect(request).not.toHaveProperty('cancelTokenHash');
+    expect(sendAccountDeletionNotice).toHaveBeenCalledWith({ email: 'ada@example.com', name: 'Ada' }, { type: 'completed' });
+  });
+});
+
+describe('data export', () => {
+  test('converts Firestore values to plain JSON', () => {
+    const when = new Date('2026-03-01T10:00:00Z');
+    expect(toPlain({
+      at: Timestamp.fromDate(when),
+      ref: db.doc('users/u1'),
+      tags: [Timestamp.fromDate(when)],
+      missing: undefined
+    })).toEqual({ at: when.toISOString(), ref: 'users/u1', tags: [when.toISOString()], missing: null });
+  });
+
+  test("collects the user's data without stored secrets", async () => {
+    await db.collection('cards').doc('u1').set({ cards: [{ name: 'Ada' }] });
+    await db.collection('shortLinks').doc('abc').set({ userId: 'u1' });
+    await db.collection('shortLinks').doc('xyz').set({ userId: 'u2' });
+    await db.collection(DELETION_REQUESTS_COLLECTION).doc('u1').set({ userId: 'u1', status: 'scheduled', cancelTokenHash: 'hash' });
+    await contactStore.addContact('u1', { name: 'Grace', email: 'grace@example.com' }, { limit: null });
+
+    const data = await collectUserData('u1');
+
+    expect(data['profile.json']).toMatchObject({ id: 'u1', email: 'ada@example.com' });
+    expect(data['profile.json']).not.toHaveProperty('passwordResetToken');
+    expect(data['cards.json']).toEqual([{ name: 'Ada' }]);
+    expect(data['contacts.json']).toHaveLength(1);
+    expect(data['short-links.json'].map(link => link.id)).toEqual(['abc']);
+    expect(data['account-deletion.json']).toEqual({ id: 'u1', userId: 'u1', status: 'scheduled' });
+    expect(data['subscription.json']).toBeNull();
+    expect(await collectUserData('ghost')).toBeNull();
+  });
+
+  test('builds a zip with a README and one file per kind of data', async () => {
+    const { body, files } = await buildUserDataExport('u1');
+
+    expect(body.subarray(0, 2).toString()).toBe('PK');
+    expect(files).toMatchObject({ 'profile.json': 1, 'cards.json': 0, 'subscription.json': 0 });
+    for (const name of ['README.txt', ...Object.keys(files)]) {
+      expect(body.includes(name)).toBe(true);
+    }
+    expect(await buildUserDataExport('ghost')).toBeNull();
+  });
+});
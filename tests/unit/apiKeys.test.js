@@ -0,0 +1,194 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  transporter: {},
+  sendMailWithStatus: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logActivity: jest.fn(async () => {})
+}));
+
+const { EventEmitter } = require('events');
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { logActivity, RESOURCES } = require('../../utils/logger');
+const { authenticateUser } = require('../../middleware/auth');
+const contactController = require('../../controllers/contactController');
+const contactStore = require('../../utils/contactStore');
+const {
+  API_KEYS_COLLECTION,
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  findUnknownScopes,
+  resolveRouteScope
+} = require('../../utils/apiKeys');
+
+describe('generateApiKey', () => {
+  test('generates prefixed keys whose hash is the stored id', () => {
+    const { key, keyHash, lastFour } = generateApiKey();
+    expect(isApiKey(key)).toBe(true);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(lastFour).toBe(key.slice(-4));
+    expect(isApiKey('eyJhbGciOi...')).toBe(false);
+    expect(isApiKey(undefined)).toBe(false);
+  });
+});
+
+describe('findUnknownScopes', () => {
+  test('accepts a single scope or a list', () => {
+    expect(findUnknownScopes('contacts:read')).toEqual([]);
+    expect(findUnknownScopes(['cards:read', 'cards:write', 'admin'])).toEqual(['cards:write', 'admin']);
+  });
+});
+
+describe('resolveRouteScope', () => {
+  test.each([
+    ['GET', '/Contacts/u1', 'contacts:read', null],
+    ['GET', '/Contacts/export', 'contacts:read', null],
+    ['GET', '/Contacts/u1/duplicates', 'contacts:read', null],
+    ['POST', '/Contacts/u1/duplicates/merge', 'contacts:write', null],
+    ['PATCH', '/Contacts/u1', 'contacts:write', null],
+    ['DELETE', '/Contacts/u1/contact/3', 'contacts:write', null],
+    ['GET', '/Cards/u1', 'cards:read', null],
+    ['GET', '/enterprise/ent1/cards/qr-codes', 'cards:read', 'ent1'],
+    ['GET', '/api/enterprise/ent1/departments/d1/contacts/summary', 'contacts:read', 'ent1'],
+    ['GET', '/enterprise/ent1/departments/d1/teams/t1/members', 'employees:read', 'ent1'],
+    ['POST', '/enterprise/ent1/employees/import/imp1/run', 'employees:write', 'ent1'],
+    ['PATCH', '/enterprise/ent1/departments/d1/employees/e1/role', 'employees:write', 'ent1'],
+    ['GET', '/enterprise/ent1/departments/d1/teams', 'departments:read', 'ent1'],
+    ['DELETE', '/enterprise/ent1/departments/d1/', 'departments:write', 'ent1']
+  ])('%s %s needs %s', (method, path, scope, enterpriseId) => {
+    expect(resolveRouteScope(method, path)).toEqual({ scope, enterpriseId });
+    expect(API_KEY_SCOPES[scope]).toBeDefined();
+  });
+
+  test.each([
+    ['POST', '/Cards/u1'],
+    ['GET', '/Users/u1'],
+    ['POST', '/api-keys'],
+    ['GET', '/enterprise/ent1/security/logs'],
+    ['GET', '/Contacts/u1/extra/segments'],
+    ['DELETE', '/enterprise/ent1/cards']
+  ])('API keys may not call %s %s', (method, path) => {
+    expect(resolveRouteScope(method, path)).toBeNull();
+  });
+});
+
+describe('authenticateUser with an API key', () => {
+  const createKey = async (overrides = {}) => {
+    const { key, keyHash } = generateApiKey();
+    await firebase.db.collection(API_KEYS_COLLECTION).doc(keyHash).set({
+      name: 'CRM sync',
+      enterpriseId: 'ent1',
+      createdBy: 'admin1',
+      scopes: ['contacts:read', 'employees:read'],
+      ...overrides
+    });
+    return { key, keyHash };
+  };
+
+  const run = async ({ method = 'GET', url, headers }) => {
+    const req = { method, originalUrl: url, headers, ip: '203.0.113.9' };
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn(() => res);
+    const next = jest.fn();
+    await authenticateUser(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    firebase.reset();
+    logActivity.mockClear();
+  });
+
+  test('sets the principal, tracks last use and logs the call', async () => {
+    const { key, keyHash } = await createKey();
+    const { req, res, next } = await run({ url: '/enterprise/ent1/employees?limit=5', headers: { 'x-api-key': key } });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ uid: 'admin1', apiKeyId: keyHash });
+    expect(req.principal).toEqual({
+      type: 'api_key',
+      uid: 'admin1',
+      keyId: keyHash,
+      enterpriseId: 'ent1',
+      scopes: ['contacts:read', 'employees:read']
+    });
+
+    res.emit('finish');
+    expect(logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      resource: RESOURCES.API_KEY,
+      userId: 'admin1',
+      resourceId: keyHash,
+      enterpriseId: 'ent1',
+      status: 'success',
+      details: expect.objectContaining({ path: '/enterprise/ent1/employees', scope: 'employees:read' })
+    }));
+
+    await new Promise(setImmediate);
+    const stored = (await firebase.db.collection(API_KEYS_COLLECTION).doc(keyHash).get()).data();
+    expect(stored.lastUsedAt).toBeInstanceOf(Timestamp);
+    expect(stored.lastUsedIp).toBe('203.0.113.9');
+  });
+
+  test('accepts the key as a bearer token', async () => {
+    const { key } = await createKey();
+    const { next } = await run({ url: '/Contacts/u1', headers: { authorization: `Bearer ${key}` } });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['an unknown key', {}, { url: '/Contacts/u1' }, 401],
+    ['a revoked key', { revokedAt: Timestamp.now() }, { url: '/Contacts/u1' }, 401],
+    ['an expired key', { expiresAt: Timestamp.fromMillis(Date.now() - 1000) }, { url: '/Contacts/u1' }, 401],
+    ['a route outside the allow-list', {}, { url: '/Users/u1' }, 403],
+    ['a missing scope', {}, { method: 'DELETE', url: '/Contacts/u1/contact/2' }, 403],
+    ['another enterprise', {}, { url: '/enterprise/ent2/employees' }, 403]
+  ])('rejects %s', async (name, overrides, request, status) => {
+    const { key } = await createKey(overrides);
+    const credential = name === 'an unknown key' ? generateApiKey().key : key;
+    const { req, res, next } = await run({ ...request, headers: { 'x-api-key': credential } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(status);
+    expect(req.principal).toBeUndefined();
+  });
+
+  test('reaches contacts of its own enterprise\'s members only', async () => {
+    const { db } = firebase;
+    const enterpriseRef = db.collection('enterprise').doc('ent1');
+    await enterpriseRef.set({ name: 'Acme' });
+    await enterpriseRef.collection('departments').doc('d1').set({ name: 'Sales' });
+    await enterpriseRef.collection('departments').doc('d1').collection('employees').doc('e1')
+      .set({ userId: db.doc('users/admin1'), role: 'admin' });
+    await db.collection('users').doc('admin1').set({ enterpriseRef });
+    await db.collection('users').doc('member').set({ enterpriseRef });
+    await db.collection('users').doc('outsider').set({ enterpriseRef: db.collection('enterprise').doc('ent2') });
+    const { key } = await createKey({ scopes: ['contacts:write'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const updateContacts = async (userId) => {
+      const { req, res, next } = await run({ method: 'PATCH', url: `/Contacts/${userId}`, headers: { 'x-api-key': key } });
+      expect(next).toHaveBeenCalled();
+      res.send = jest.fn(() => res);
+      await contactController.updateContact({ ...req, params: { id: userId }, body: { contactInfo: { name: 'Lead', email: 'lead@example.com' } } }, res);
+      return res;
+    };
+
+    const outsider = await updateContacts('outsider');
+    expect(outsider.status).toHaveBeenCalledWith(403);
+    expect(outsider.json).toHaveBeenCalledWith(expect.objectContaining({ reason: 'User is not a member of your enterprise' }));
+    expect(await contactStore.listContacts('outsider')).toEqual([]);
+
+    expect((await updateContacts('member')).status).toHaveBeenCalledWith(200);
+    jest.restoreAllMocks();
+  });
+});
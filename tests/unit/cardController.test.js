@@ -0,0 +1,68 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../utils/walletPass', () => ({
+  ...jest.requireActual('../../utils/walletPass'),
+  issuePass: jest.fn()
+}));
+
+// config/config.js only has development and production settings
+process.env.NODE_ENV = 'development';
+
+const firebase = require('../../firebase');
+const { issuePass, PASSES_COLLECTION } = require('../../utils/walletPass');
+const { invalidateCatalogue, createPlanVersion } = require('../../utils/planCatalogue');
+const cardController = require('../../controllers/cardController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  firebase.reset();
+  invalidateCatalogue();
+  issuePass.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createWalletPass', () => {
+  const request = (uid, userId, cardIndex = '0') => ({ params: { userId, cardIndex }, query: {}, body: {}, user: { uid } });
+
+  beforeEach(async () => {
+    await firebase.db.collection('users').doc('owner').set({ plan: 'free' });
+    await firebase.db.collection('cards').doc('owner').set({ cards: [{ name: 'Ada', company: 'Acme' }, { name: 'Ada' }] });
+  });
+
+  test("refuses to issue passes for another user's card", async () => {
+    const res = mockResponse();
+    await cardController.createWalletPass(request('intruder', 'owner'), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(issuePass).not.toHaveBeenCalled();
+  });
+
+  test('issues a pass for the owner', async () => {
+    issuePass.mockResolvedValue({ provider: 'passcreator', serialNumber: 'SN1', passUri: 'uri', imagesIncluded: true });
+    const res = mockResponse();
+    await cardController.createWalletPass(request('owner', 'owner'), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(issuePass).toHaveBeenCalledWith(expect.objectContaining({ userId: 'owner', cardIndex: '0' }));
+  });
+
+  test('stops at the plan wallet pass limit', async () => {
+    await createPlanVersion('FREE_PLAN', { entitlements: { contacts: 3, walletPasses: 1 } }, 'admin1');
+    await firebase.db.collection(PASSES_COLLECTION).doc('p1').set({ userId: 'owner', cardIndex: 0, status: 'active' });
+    const res = mockResponse();
+    await cardController.createWalletPass(request('owner', 'owner', '1'), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.send.mock.calls[0][0]).toMatchObject({ error: 'PLAN_LIMIT_REACHED', feature: 'walletPasses' });
+    expect(issuePass).not.toHaveBeenCalled();
+  });
+});
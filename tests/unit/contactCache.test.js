@@ -0,0 +1,159 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const { MemoryCacheStore, registerCacheStore, createSharedCacheStore } = require('../../utils/cache');
+const { ContactCache } = require('../../controllers/enterprise/contactAggregationController');
+
+// A shared store whose instances see the same entries and events, like Redis
+const createSharedBackend = () => {
+  const entries = new MemoryCacheStore();
+  const listeners = [];
+  let config = null;
+
+  return class FakeSharedStore extends MemoryCacheStore {
+    constructor() {
+      super();
+      this.name = 'fake';
+      this.shared = true;
+      this.entriesMap = entries.entriesMap;
+    }
+
+    async getConfig() {
+      return config;
+    }
+
+    async setConfig(value) {
+      config = value;
+    }
+
+    async publish(message) {
+      listeners.forEach(handler => handler(JSON.parse(JSON.stringify(message))));
+    }
+
+    subscribe(handler) {
+      listeners.push(handler);
+    }
+  };
+};
+
+const entry = (data, { createdAt = Date.now(), ttl = 60000 } = {}) =>
+  ({ data, createdAt, expiresAt: createdAt + ttl, accessCount: 0, lastAccessed: createdAt });
+
+const quietly = () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+};
+
+beforeEach(quietly);
+afterEach(() => jest.restoreAllMocks());
+
+describe('MemoryCacheStore', () => {
+  test('drops expired entries on read but peek still returns them', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('old', entry('stale', { createdAt: Date.now() - 2000, ttl: 1000 }));
+    expect(store.peek('old').data).toBe('stale');
+    await expect(store.get('old')).resolves.toBeNull();
+    expect(store.peek('old')).toBeNull();
+  });
+
+  test('evicts the oldest tenth when full', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 10 });
+    for (let i = 0; i < 10; i++) {
+      await store.set(`key${i}`, entry(i, { createdAt: 1000 + i }));
+    }
+    await store.set('key10', entry(10));
+    await expect(store.size()).resolves.toBe(10);
+    expect(store.peek('key0')).toBeNull();
+    expect(store.peek('key1')).not.toBeNull();
+  });
+
+  test('deletes by substring and cleans up expired entries', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('enterprise:e1:contacts', entry(1));
+    await store.set('enterprise:e1:department:d1:contacts', entry(2));
+    await store.set('enterprise:e2:contacts', entry(3, { createdAt: Date.now() - 2000, ttl: 1000 }));
+
+    await expect(store.deleteByPattern('enterprise:e1')).resolves.toBe(2);
+    expect(store.cleanup()).toBe(1);
+    await expect(store.size()).resolves.toBe(0);
+  });
+});
+
+describe('createSharedCacheStore', () => {
+  test('returns null for memory and unknown backends', () => {
+    expect(createSharedCacheStore()).toBeNull();
+    expect(createSharedCacheStore('MEMORY')).toBeNull();
+    expect(createSharedCacheStore('memcached')).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('builds registered backends', () => {
+    registerCacheStore('Fake', (options) => ({ name: 'fake', options }));
+    expect(createSharedCacheStore('fake', { prefix: 'x:' })).toEqual({ name: 'fake', options: { prefix: 'x:' } });
+  });
+});
+
+describe('ContactCache with a shared store', () => {
+  let FakeSharedStore;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    FakeSharedStore = createSharedBackend();
+    first = new ContactCache({ sharedStore: new FakeSharedStore() });
+    second = new ContactCache({ sharedStore: new FakeSharedStore() });
+  });
+
+  test('a value cached by one instance is served to another', async () => {
+    await first.set(first.generateKey('e1'), { total: 3 });
+    await expect(second.get(first.generateKey('e1'))).resolves.toEqual({ total: 3 });
+    expect(second.local.peek('enterprise:e1:contacts')).not.toBeNull();
+  });
+
+  test('local copies expire after the local TTL cap', async () => {
+    await first.set('enterprise:e1:contacts', { total: 3 });
+    const local = first.local.peek('enterprise:e1:contacts');
+    expect(local.expiresAt - Date.now()).toBeLessThanOrEqual(first.localTTLCap);
+  });
+
+  test('invalidation reaches the other instance', async () => {
+    await first.set('enterprise:e1:contacts', { total: 3 });
+    await second.get('enterprise:e1:contacts');
+
+    await first.invalidate('enterprise:e1:contacts');
+    expect(second.local.peek('enterprise:e1:contacts')).toBeNull();
+    await expect(second.get('enterprise:e1:contacts')).resolves.toBeNull();
+  });
+
+  test('pattern invalidation and clear reach the other instance', async () => {
+    await first.set('enterprise:e1:department:d1:contacts', { total: 1 });
+    await first.set('enterprise:e2:contacts', { total: 2 });
+    await second.get('enterprise:e1:department:d1:contacts');
+    await second.get('enterprise:e2:contacts');
+
+    await first.invalidateByPattern('enterprise:e1');
+    expect(second.local.peek('enterprise:e1:department:d1:contacts')).toBeNull();
+    expect(second.local.peek('enterprise:e2:contacts')).not.toBeNull();
+
+    await first.clear();
+    await expect(second.local.size()).resolves.toBe(0);
+  });
+
+  test('TTL settings are shared with other and later instances', async () => {
+    await first.updateTTLSettings({ department: 1234 });
+    expect(second.ttlSettings.department).toBe(1234);
+
+    const later = new ContactCache({ sharedStore: new FakeSharedStore() });
+    await later.loadSharedConfig();
+    expect(later.ttlSettings.department).toBe(1234);
+  });
+
+  test('falls back to the local tier while the shared store is down', async () => {
+    const store = new FakeSharedStore();
+    store.isReady = () => false;
+    const cache = new ContactCache({ sharedStore: store });
+
+    await cache.set('enterprise:e3:contacts', { total: 5 });
+    await expect(cache.get('enterprise:e3:contacts')).resolves.toEqual({ total: 5 });
+    expect(store.peek('enterprise:e3:contacts')).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  transporter: {},
+  sendMailWithStatus: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../controllers/helpers/contactPermissionsHelper', () => ({
+  checkContactPermissions: jest.fn(async () => ({ allowed: true, accessLevel: 'owner', userRole: 'user' }))
+}));
+jest.mock('../../controllers/helpers/enterpriseContactsHelper', () => ({
+  getAllEnterpriseContacts: jest.fn(async () => ({ contacts: [{ id: 'member', contactList: [] }], totalCount: 0 }))
+}));
+
+const firebase = require('../../firebase');
+const { checkContactPermissions } = require('../../controllers/helpers/contactPermissionsHelper');
+const { getAllEnterpriseContacts } = require('../../controllers/helpers/enterpriseContactsHelper');
+const contactStore = require('../../utils/contactStore');
+const { USAGE_COLLECTION } = require('../../utils/entitlements');
+const contactController = require('../../controllers/contactController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.setHeader = jest.fn();
+  return res;
+};
+
+beforeEach(() => {
+  firebase.reset();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.CONTACTS_LEGACY_RESPONSE;
+});
+
+describe('getContactById', () => {
+  test('404s for an unknown user', async () => {
+    const res = mockResponse();
+    await contactController.getContactById({ params: { id: 'ghost' }, query: {}, user: { uid: 'ghost' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('keeps returning an empty list for an unknown user in the legacy format', async () => {
+    const res = mockResponse();
+    await contactController.getContactById({ params: { id: 'ghost' }, query: { format: 'legacy' }, user: { uid: 'ghost' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).toMatchObject({ success: true, id: 'ghost', contactList: [] });
+
+    process.env.CONTACTS_LEGACY_RESPONSE = 'true';
+    const envRes = mockResponse();
+    await contactController.getContactById({ params: { id: 'ghost' }, query: {}, user: { uid: 'ghost' } }, envRes);
+    expect(envRes.status).toHaveBeenCalledWith(200);
+  });
+
+  test('returns an empty list for a user without contacts', async () => {
+    await firebase.db.collection('users').doc('u1').set({ name: 'Jane' });
+    const res = mockResponse();
+    await contactController.getContactById({ params: { id: 'u1' }, query: {}, user: { uid: 'u1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).toMatchObject({ success: true, id: 'u1', contactList: [] });
+  });
+});
+
+describe('getAllContacts', () => {
+  const getAll = async (query = {}) => {
+    const res = mockResponse();
+    await contactController.getAllContacts({ query, user: { uid: 'admin' } }, res);
+    return res.send.mock.calls[0][0];
+  };
+
+  beforeEach(() => {
+    checkContactPermissions.mockResolvedValue({ allowed: true, accessLevel: 'all_enterprise', userRole: 'admin', enterpriseId: 'ent1' });
+  });
+
+  test('pages through an admin\'s own contacts unless the enterprise scope is asked for', async () => {
+    expect(await getAll()).toMatchObject({ success: true, userId: 'admin', contacts: [], pagination: expect.any(Object) });
+    expect(getAllEnterpriseContacts).not.toHaveBeenCalled();
+
+    expect(await getAll({ scope: 'enterprise' })).toMatchObject({ accessLevel: 'all_enterprise', enterpriseId: 'ent1' });
+    expect(getAllEnterpriseContacts).toHaveBeenCalledWith('ent1');
+  });
+
+  test('keeps the enterprise-wide default for admins in the legacy format', async () => {
+    expect(await getAll({ format: 'legacy' })).toMatchObject({ accessLevel: 'all_enterprise', contacts: [{ id: 'member' }] });
+
+    process.env.CONTACTS_LEGACY_RESPONSE = 'true';
+    expect(await getAll()).toMatchObject({ accessLevel: 'all_enterprise' });
+    expect(await getAll({ format: 'paged' })).toMatchObject({ userId: 'admin', pagination: expect.any(Object) });
+  });
+
+  test('returns the legacy empty list for employees without contacts', async () => {
+    checkContactPermissions.mockResolvedValue({ allowed: true, accessLevel: 'own', userRole: 'employee' });
+    expect(await getAll({ format: 'legacy' })).toEqual({ success: true, contacts: [], message: 'No contacts found for user' });
+  });
+});
+
+describe('exportContactListVCard', () => {
+  const exportVCard = async () => {
+    const res = mockResponse();
+    await contactController.exportContactListVCard({ params: { id: 'u1' }, query: {}, user: { uid: 'u1' } }, res);
+    return res;
+  };
+
+  const exportsUsed = async () => {
+    const usageDoc = await firebase.db.collection(USAGE_COLLECTION).doc('u1').get();
+    return usageDoc.exists ? usageDoc.data().exports.count : 0;
+  };
+
+  test('counts an export only once the file has been built', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(contactStore, 'listContacts').mockRejectedValueOnce(new Error('read failed'));
+    expect((await exportVCard()).status).toHaveBeenCalledWith(500);
+    expect(await exportsUsed()).toBe(0);
+
+    await contactStore.addContact('u1', { name: 'Grace', email: 'grace@example.com' }, { limit: null });
+    const res = await exportVCard();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).toContain('FN:Grace');
+    expect(await exportsUsed()).toBe(1);
+  });
+});
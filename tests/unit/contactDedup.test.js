@@ -0,0 +1,184 @@
+const {
+  DUPLICATE_POLICIES,
+  normaliseEmail,
+  normalisePhone,
+  nameSimilarity,
+  matchContacts,
+  findDuplicate,
+  findDuplicateGroups,
+  mergeContacts,
+  getDuplicatePolicy,
+  applyContactInsert
+} = require('../../utils/contactDedup');
+
+describe('normalisation', () => {
+  test('emails compare case-insensitively', () => {
+    expect(normaliseEmail('  Jane@Example.COM ')).toBe('jane@example.com');
+    expect(normaliseEmail(undefined)).toBe('');
+  });
+
+  test('phones are reduced to international digits', () => {
+    expect(normalisePhone('082 123 4567')).toBe('27821234567');
+    expect(normalisePhone('+27 (82) 123-4567')).toBe('27821234567');
+    expect(normalisePhone('0044 20 7946 0018')).toBe('442079460018');
+    expect(normalisePhone('12345')).toBe('');
+  });
+
+  test('names ignore accents, case and punctuation', () => {
+    expect(nameSimilarity({ name: 'José', surname: "O'Brien" }, { name: 'jose', surname: 'OBrien' })).toBe(1);
+    expect(nameSimilarity({ name: 'Jon', surname: 'Smith' }, { name: 'John', surname: 'Smith' })).toBeGreaterThan(0.85);
+    expect(nameSimilarity({ name: '' }, { name: 'Jane' })).toBe(0);
+  });
+});
+
+describe('matchContacts', () => {
+  test('matches on email or phone', () => {
+    expect(matchContacts({ email: 'a@x.com', phone: '0821234567' }, { email: 'A@x.com', phone: '+27821234567' }))
+      .toEqual(['email', 'phone']);
+  });
+
+  test('matches similar names unless email or phone conflict', () => {
+    const jon = { name: 'Jon', surname: 'Smith' };
+    expect(matchContacts(jon, { name: 'John', surname: 'Smith', email: 'j@x.com' })).toEqual(['name']);
+    expect(matchContacts({ ...jon, email: 'jon@x.com' }, { name: 'John', surname: 'Smith', email: 'john@x.com' })).toBeNull();
+    expect(matchContacts(jon, { name: 'Mary', surname: 'Jones' })).toBeNull();
+  });
+});
+
+describe('findDuplicate', () => {
+  test('prefers an email or phone match over an earlier name-only match', () => {
+    const list = [
+      { id: 'c1', name: 'Jane', surname: 'Doe' },
+      { id: 'c2', name: 'J', surname: 'Doe', email: 'jane@x.com' }
+    ];
+    expect(findDuplicate(list, { name: 'Jane', surname: 'Doe', email: 'jane@x.com' })).toEqual({ index: 1, reasons: ['email'] });
+    expect(findDuplicate(list, { name: 'Jane', surname: 'Doe' })).toEqual({ index: 0, reasons: ['name'] });
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  test('groups contacts connected by email, phone or name', () => {
+    const list = [
+      { name: 'Jane', surname: 'Doe', email: 'jane@x.com' },
+      { name: 'Mary', surname: 'Major', phone: '0821234567' },
+      { name: 'Jane', surname: 'Doe', email: 'JANE@x.com', phone: '0831112222' },
+      { name: 'Unrelated', surname: 'Person' },
+      { name: 'M', surname: 'Major', phone: '+27 82 123 4567' },
+      { name: 'Jane', surname: 'Doe', phone: '083 111 2222' }
+    ];
+
+    const groups = findDuplicateGroups(list);
+    expect(groups).toHaveLength(2);
+    expect(groups.find(group => group.indices.includes(0))).toEqual({
+      indices: [0, 2, 5],
+      reasons: expect.arrayContaining(['email', 'phone'])
+    });
+    expect(groups.find(group => group.indices.includes(1))).toEqual({ indices: [1, 4], reasons: ['phone'] });
+  });
+
+  test('finds name typos at either end of the name', () => {
+    const groups = findDuplicateGroups([
+      { name: 'Katherine', surname: 'Johnson' },
+      { name: 'Catherine', surname: 'Johnson' },
+      { name: 'Katherine', surname: 'Johnsen' }
+    ]);
+    expect(groups).toEqual([{ indices: [0, 1, 2], reasons: ['name'] }]);
+  });
+
+  test('does not group different people with similar names', () => {
+    expect(findDuplicateGroups([
+      { name: 'Jon', surname: 'Smith', email: 'jon@x.com' },
+      { name: 'John', surname: 'Smith', email: 'john@x.com' }
+    ])).toEqual([]);
+  });
+
+  test('handles large lists without comparing every pair', () => {
+    const list = Array.from({ length: 20000 }, (_, i) => ({
+      name: `Person${i}`,
+      surname: `Family${i % 977}`,
+      email: `person${i}@x.com`
+    }));
+    list.push({ name: 'Dup', surname: 'Entry', email: 'person42@x.com' });
+
+    const started = Date.now();
+    const groups = findDuplicateGroups(list);
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(groups).toContainEqual({ indices: [42, 20000], reasons: ['email'] });
+  });
+});
+
+describe('mergeContacts', () => {
+  test('keeps the earliest contact and fills gaps from the others', () => {
+    const merged = mergeContacts([
+      { id: 'new', name: 'Jane', email: 'jane@x.com', company: 'Acme', howWeMet: 'Expo; Coffee', createdAt: '2026-02-01' },
+      { id: 'old', name: 'Jane', email: '', howWeMet: 'expo', createdAt: '2026-01-01', location: { city: 'Cape Town' } }
+    ]);
+    expect(merged).toMatchObject({
+      id: 'old',
+      email: 'jane@x.com',
+      company: 'Acme',
+      howWeMet: 'expo; Coffee',
+      createdAt: '2026-01-01',
+      location: { city: 'Cape Town' },
+      mergedCount: 2
+    });
+  });
+
+  test('clears a review flag once the flagged contacts are merged', () => {
+    const flagged = { id: 'c2', name: 'Jane', possibleDuplicate: { contactId: 'c1', matchedOn: ['name'] }, createdAt: '2026-02-01' };
+    expect(mergeContacts([{ id: 'c1', name: 'Jane', createdAt: '2026-01-01' }, flagged])).not.toHaveProperty('possibleDuplicate');
+  });
+});
+
+describe('getDuplicatePolicy', () => {
+  afterEach(() => {
+    delete process.env.CONTACT_DUPLICATE_POLICY;
+  });
+
+  test('user setting wins over the environment, which wins over merge', () => {
+    expect(getDuplicatePolicy()).toBe('merge');
+    process.env.CONTACT_DUPLICATE_POLICY = 'reject';
+    expect(getDuplicatePolicy({})).toBe('reject');
+    expect(getDuplicatePolicy({ contactDuplicatePolicy: 'keep_both' })).toBe('keep_both');
+    expect(getDuplicatePolicy({ contactDuplicatePolicy: 'bogus' })).toBe('reject');
+  });
+});
+
+describe('applyContactInsert', () => {
+  const existing = () => [{ id: 'c1', name: 'Jane', surname: 'Doe', email: 'jane@x.com', createdAt: '2026-01-01' }];
+
+  test('merges, rejects or keeps both per policy', () => {
+    const list = existing();
+    expect(applyContactInsert(list, { name: 'Jane', email: 'JANE@x.com', company: 'Acme' }, DUPLICATE_POLICIES.MERGE))
+      .toMatchObject({ action: 'merged', index: 0, contact: { id: 'c1', company: 'Acme' } });
+    expect(list).toHaveLength(1);
+
+    expect(applyContactInsert(existing(), { email: 'jane@x.com' }, DUPLICATE_POLICIES.REJECT))
+      .toMatchObject({ action: 'rejected', index: 0, duplicate: { reasons: ['email'] } });
+    expect(applyContactInsert(existing(), { email: 'jane@x.com' }, DUPLICATE_POLICIES.KEEP_BOTH))
+      .toMatchObject({ action: 'added', index: 1, duplicate: null });
+  });
+
+  test('public name-only matches are kept and flagged, never merged or rejected', () => {
+    [DUPLICATE_POLICIES.MERGE, DUPLICATE_POLICIES.REJECT].forEach(policy => {
+      const list = existing();
+      const result = applyContactInsert(list, { name: 'Jane', surname: 'Doe', phone: '0821234567' }, policy, { publicSubmission: true });
+      expect(result).toMatchObject({
+        action: 'added',
+        index: 1,
+        contact: { possibleDuplicate: { contactId: 'c1', matchedOn: ['name'] } },
+        duplicate: { index: 0, reasons: ['name'] }
+      });
+      expect(list[0]).not.toHaveProperty('phone');
+    });
+  });
+
+  test('public email matches still follow the policy', () => {
+    const result = applyContactInsert(existing(), { name: 'Jane', email: 'jane@x.com' }, DUPLICATE_POLICIES.MERGE, { publicSubmission: true });
+    expect(result.action).toBe('merged');
+  });
+
+  test('owner-entered name-only matches merge', () => {
+    expect(applyContactInsert(existing(), { name: 'Jane', surname: 'Doe' }, DUPLICATE_POLICIES.MERGE).action).toBe('merged');
+  });
+});
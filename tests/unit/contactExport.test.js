@@ -0,0 +1,118 @@
+const {
+  EXPORT_COLUMNS,
+  parseColumns,
+  parseDateRange,
+  filterByCreatedAt,
+  buildRows,
+  renderContactExport
+} = require('../../utils/contactExport');
+const { parseXlsx } = require('../../utils/spreadsheetParser');
+
+const contact = (overrides = {}) => ({
+  id: 'c1',
+  name: 'Ada',
+  surname: 'Lovelace',
+  email: 'ada@example.com',
+  phone: '+27 82 000 0000',
+  company: 'Analytical, Ltd',
+  createdAt: '2026-03-10T09:00:00.000Z',
+  location: { city: 'Cape Town', country: 'South Africa', latitude: -33.92, longitude: 18.42 },
+  ...overrides
+});
+
+describe('parseColumns', () => {
+  test('returns every column when none are requested', () => {
+    expect(parseColumns()).toEqual(Object.keys(EXPORT_COLUMNS));
+    expect(parseColumns(' , ')).toEqual(Object.keys(EXPORT_COLUMNS));
+  });
+
+  test('keeps the requested order and drops repeats', () => {
+    expect(parseColumns('email, name,email')).toEqual(['email', 'name']);
+  });
+
+  test('rejects unknown columns with a 400', () => {
+    expect(() => parseColumns('name,password')).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('password')
+    }));
+  });
+});
+
+describe('parseDateRange', () => {
+  test('treats a bare `to` date as the end of that day', () => {
+    const range = parseDateRange('2026-03-01', '2026-03-10');
+    expect(range.from.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(range.to.toISOString()).toBe('2026-03-10T23:59:59.999Z');
+  });
+
+  test('keeps explicit times as given', () => {
+    expect(parseDateRange(null, '2026-03-10T12:00:00Z').to.toISOString()).toBe('2026-03-10T12:00:00.000Z');
+  });
+
+  test('rejects invalid and reversed ranges', () => {
+    expect(() => parseDateRange('yesterday')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseDateRange('2026-03-10', '2026-03-01')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('filterByCreatedAt', () => {
+  const contacts = [
+    contact({ id: 'early', createdAt: '2026-02-28T23:59:59Z' }),
+    contact({ id: 'timestamp', createdAt: { toDate: () => new Date('2026-03-05T00:00:00Z') } }),
+    contact({ id: 'serialised', createdAt: { _seconds: Date.parse('2026-03-10T18:00:00Z') / 1000 } }),
+    contact({ id: 'undated', createdAt: undefined })
+  ];
+
+  test('keeps everything when no range is given', () => {
+    expect(filterByCreatedAt(contacts, { from: null, to: null })).toHaveLength(4);
+  });
+
+  test('reads Firestore and serialised timestamps and drops undated contacts', () => {
+    const range = parseDateRange('2026-03-01', '2026-03-10');
+    expect(filterByCreatedAt(contacts, range).map(c => c.id)).toEqual(['timestamp', 'serialised']);
+  });
+});
+
+describe('buildRows', () => {
+  test('writes headers and reads location fields, leaving missing ones empty', () => {
+    const rows = buildRows([contact(), contact({ location: undefined })], ['name', 'city', 'latitude']);
+    expect(rows).toEqual([
+      ['First Name', 'City', 'Latitude'],
+      ['Ada', 'Cape Town', -33.92],
+      ['Ada', '', '']
+    ]);
+  });
+});
+
+describe('renderContactExport', () => {
+  test('renders quoted CSV with a BOM', async () => {
+    const file = await renderContactExport([contact()], { format: 'csv', columns: ['name', 'company'] });
+    expect(file.extension).toBe('csv');
+    expect(file.contentType).toMatch(/^text\/csv/);
+    expect(file.body).toBe('\uFEFFFirst Name,Company\nAda,"Analytical, Ltd"\n');
+  });
+
+  test('renders one vCard per contact', async () => {
+    const file = await renderContactExport([contact(), contact({ id: 'c2', name: 'Grace' })], { format: 'vcf' });
+    expect(file.extension).toBe('vcf');
+    expect(file.body.match(/BEGIN:VCARD/g)).toHaveLength(2);
+    expect(file.body).toContain('EMAIL');
+  });
+
+  test('renders an xlsx workbook that reads back', async () => {
+    const file = await renderContactExport(
+      [contact({ name: 'Zoë <& Co>' })],
+      { format: 'xlsx', columns: ['name', 'email', 'longitude'] }
+    );
+    expect(file.extension).toBe('xlsx');
+    expect(Buffer.isBuffer(file.body)).toBe(true);
+    expect(parseXlsx(file.body)).toEqual([
+      ['First Name', 'Email', 'Longitude'],
+      ['Zoë <& Co>', 'ada@example.com', '18.42']
+    ]);
+  });
+
+  test('rejects unknown formats with a 400', async () => {
+    await expect(renderContactExport([], { format: 'pdf' })).rejects.toMatchObject({ status: 400 });
+  });
+});
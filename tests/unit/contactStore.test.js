@@ -0,0 +1,143 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const contactStore = require('../../utils/contactStore');
+
+const { db, admin } = firebase;
+let userCount = 0;
+// Converted lists are remembered per process, so each test uses its own owner
+const newUserId = () => `user${++userCount}`;
+
+const createdAt = (day) => admin.firestore.Timestamp.fromDate(new Date(`2026-01-${String(day).padStart(2, '0')}T00:00:00Z`));
+
+beforeEach(() => {
+  firebase.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('conversion and re-indexing', () => {
+  test('converts a contactList array with match keys', async () => {
+    const userId = newUserId();
+    await db.collection('contacts').doc(userId).set({
+      contactList: [{ name: 'Jane', surname: 'Doe', email: 'JANE@x.com', phone: '082 123 4567', createdAt: '2026-01-02' }]
+    });
+
+    const [contact] = await contactStore.listContacts(userId);
+    expect(contact).not.toHaveProperty('emailKey');
+
+    const stored = db._store.get(`contacts/${userId}/items/${contact.id}`);
+    expect(stored).toMatchObject({ emailKey: 'jane@x.com', phoneKey: '27821234567', nameKeys: ['^jan', '$doe'] });
+    expect(db._store.get(`contacts/${userId}`)).toMatchObject({ indexVersion: contactStore.INDEX_VERSION, contactCount: 1 });
+  });
+
+  test('re-indexes converted lists from before the match keys and fixes the count', async () => {
+    const userId = newUserId();
+    await db.collection('contacts').doc(userId).set({ storage: 'subcollection', contactCount: 7, nextSequence: 1 });
+    await db.collection(`contacts/${userId}/items`).doc('c1').set({ name: 'Jane', email: 'jane@x.com', sequence: 0, createdAt: createdAt(1) });
+
+    await expect(contactStore.migrateUserContacts(userId)).resolves.toEqual({ migrated: false, reindexed: true, contactCount: 1 });
+    expect(db._store.get(`contacts/${userId}/items/c1`)).toMatchObject({ emailKey: 'jane@x.com', name: 'Jane', sequence: 0 });
+    await expect(contactStore.countContacts(userId)).resolves.toBe(1);
+  });
+});
+
+describe('addContact', () => {
+  test('merges, rejects and counts through the match keys', async () => {
+    const userId = newUserId();
+    const first = await contactStore.addContact(userId, { name: 'Jane', email: 'jane@x.com', createdAt: createdAt(1) }, { policy: 'merge' });
+    expect(first).toMatchObject({ action: 'added', contactCount: 1 });
+
+    const merged = await contactStore.addContact(userId, { name: 'J', email: 'JANE@X.com', company: 'Acme', createdAt: createdAt(2) }, { policy: 'merge' });
+    expect(merged).toMatchObject({ action: 'merged', contact: { id: first.contact.id, company: 'Acme' }, contactCount: 1 });
+
+    const byPhone = await contactStore.addContact(userId, { name: 'Bob', phone: '0821234567', createdAt: createdAt(3) }, { policy: 'reject' });
+    expect(byPhone.action).toBe('added');
+    await expect(contactStore.addContact(userId, { name: 'Robert', phone: '+27 82 123 4567' }, { policy: 'reject' }))
+      .resolves.toMatchObject({ action: 'rejected', contact: { id: byPhone.contact.id }, duplicate: { reasons: ['phone'] } });
+
+    await expect(contactStore.countContacts(userId)).resolves.toBe(2);
+  });
+
+  test('enforces the limit from the stored count, but merges still go through', async () => {
+    const userId = newUserId();
+    await contactStore.addContact(userId, { name: 'Jane', email: 'jane@x.com', createdAt: createdAt(1) }, { policy: 'merge', limit: 1 });
+
+    await expect(contactStore.addContact(userId, { name: 'Bob', email: 'bob@x.com' }, { policy: 'merge', limit: 1 }))
+      .resolves.toMatchObject({ action: 'limit_reached', contactCount: 1 });
+    await expect(contactStore.addContact(userId, { name: 'Jane', email: 'jane@x.com' }, { policy: 'merge', limit: 1 }))
+      .resolves.toMatchObject({ action: 'merged' });
+  });
+
+  test('finds fuzzy name matches and flags them on public submissions', async () => {
+    const userId = newUserId();
+    const first = await contactStore.addContact(userId, { name: 'Katherine', surname: 'Johnson', createdAt: createdAt(1) }, { policy: 'merge' });
+
+    const flagged = await contactStore.addContact(userId, { name: 'Catherine', surname: 'Johnson', createdAt: createdAt(2) }, {
+      policy: 'merge',
+      publicSubmission: true
+    });
+    expect(flagged).toMatchObject({
+      action: 'added',
+      contact: { possibleDuplicate: { contactId: first.contact.id, matchedOn: ['name'] } },
+      contactCount: 2
+    });
+
+    await expect(contactStore.addContact(userId, { name: 'Katherine', surname: 'Jonson' }, { policy: 'merge' }))
+      .resolves.toMatchObject({ action: 'merged', contact: { id: first.contact.id } });
+  });
+
+  test('keep_both skips the duplicate lookup', async () => {
+    const userId = newUserId();
+    await contactStore.addContact(userId, { name: 'Jane', email: 'jane@x.com' }, { policy: 'keep_both' });
+    await expect(contactStore.addContact(userId, { name: 'Jane', email: 'jane@x.com' }, { policy: 'keep_both' }))
+      .resolves.toMatchObject({ action: 'added', contactCount: 2 });
+  });
+});
+
+describe('pageContacts', () => {
+  const seed = async (userId) => {
+    const people = [
+      ['Anna', 'Acme'], ['Ben', 'Other'], ['Anna', 'Other'], ['Carl', 'Acme'], ['Anna', 'Acme'],
+      ['Dina', 'Acme'], ['Anna', 'Other'], ['Anna', 'Acme'], ['Anna', 'Other'], ['Anna', 'Acme']
+    ];
+    for (const [index, [name, company]] of people.entries()) {
+      await contactStore.addContact(userId, { name, surname: `S${index}`, company, createdAt: createdAt(index + 1) }, { policy: 'keep_both' });
+    }
+  };
+
+  test('fills pages when a second search term filters results', async () => {
+    const userId = newUserId();
+    await seed(userId);
+
+    const first = await contactStore.pageContacts(userId, { search: 'anna acme', limit: 2, sort: 'createdAt', order: 'asc' });
+    expect(first.contacts.map(contact => contact.surname)).toEqual(['S0', 'S4']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await contactStore.pageContacts(userId, { search: 'anna acme', limit: 2, sort: 'createdAt', order: 'asc', cursor: first.nextCursor });
+    expect(second.contacts.map(contact => contact.surname)).toEqual(['S7', 'S9']);
+    expect(second).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  test('pages through a plain list', async () => {
+    const userId = newUserId();
+    await seed(userId);
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await contactStore.pageContacts(userId, { limit: 4, sort: 'name', cursor });
+      seen.push(...page.contacts.map(contact => contact.surname));
+      cursor = page.nextCursor;
+    } while (cursor);
+    expect(seen).toHaveLength(10);
+    expect(new Set(seen).size).toBe(10);
+  });
+
+  test('rejects unknown sorts and cursors', async () => {
+    const userId = newUserId();
+    await expect(contactStore.pageContacts(userId, { sort: 'email' })).rejects.toMatchObject({ status: 400 });
+    await expect(contactStore.pageContacts(userId, { cursor: 'missing' })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const contactStore = require('../../utils/contactStore');
+const { invalidateCatalogue } = require('../../utils/planCatalogue');
+const { addRollupWrites } = require('../../utils/scanRollups');
+const { getPeriodRanges, buildTrend, calculateEnterpriseStats } = require('../../utils/enterpriseStats');
+const enterpriseController = require('../../controllers/enterpriseController');
+
+const { db } = firebase;
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString().slice(0, 10);
+
+const addScans = async (date, count, enterpriseId = 'ent1') => {
+  const batch = db.batch();
+  addRollupWrites(batch, { userId: 'admin', cardIndex: 0, enterpriseId, departmentId: 'sales', date, hour: '09', scanType: 'link' }, count);
+  await batch.commit();
+};
+
+// Callers of addContact set createdAt, as the contact form does
+const addContacts = async (userId, count, createdDaysAgo = 0) => {
+  const createdAt = Timestamp.fromMillis(Date.now() - createdDaysAgo * DAY);
+  for (let i = 0; i < count; i++) {
+    await contactStore.addContact(userId, { name: `Lead ${i}`, email: `lead${i}-${createdDaysAgo}@example.com`, createdAt }, { limit: null });
+  }
+};
+
+const setUpEnterprise = async () => {
+  const enterpriseRef = db.collection('enterprise').doc('ent1');
+  const salesRef = enterpriseRef.collection('departments').doc('sales');
+  const adminEmployeeRef = salesRef.collection('employees').doc('e1');
+  await enterpriseRef.set({ name: 'Acme', billingPlan: { planId: 'ENTERPRISE_PLAN', seats: 2 } });
+  await salesRef.set({ name: 'Sales' });
+  await salesRef.collection('teams').doc('t1').set({ name: 'Inbound' });
+  await salesRef.collection('teams').doc('t2').set({ name: 'Outbound' });
+  await enterpriseRef.collection('departments').doc('ops').set({ name: 'Ops' });
+  await adminEmployeeRef.set({ userId: db.doc('users/admin'), role: 'admin' });
+
+  await db.collection('users').doc('admin').set({ enterpriseRef, employeeRef: adminEmployeeRef });
+  await db.collection('users').doc('member').set({ enterpriseRef });
+  await db.collection('users').doc('leaver').set({ enterpriseRef, active: false });
+  await db.collection('users').doc('outsider').set({ enterpriseRef: db.collection('enterprise').doc('ent2') });
+
+  await db.collection('cards').doc('admin').set({ cards: [{ name: 'A' }, { name: 'B' }] });
+  await db.collection('cards').doc('member').set({ cards: [{ name: 'C' }] });
+  await db.collection('cards').doc('outsider').set({ cards: [{ name: 'D' }] });
+
+  await db.collection('activityLogs').doc('l1').set({ enterpriseId: 'ent1', timestamp: Timestamp.fromMillis(Date.parse('2026-01-01T00:00:00Z')) });
+  await db.collection('activityLogs').doc('l2').set({ enterpriseId: 'ent1', timestamp: Timestamp.fromMillis(Date.parse('2026-02-01T00:00:00Z')) });
+};
+
+beforeEach(() => {
+  firebase.reset();
+  invalidateCatalogue();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('buildTrend', () => {
+  test('reports the change and a rounded percentage', () => {
+    expect(buildTrend(15, 10)).toEqual({ current: 15, previous: 10, change: 5, changePercent: 50 });
+    expect(buildTrend(2, 3)).toMatchObject({ change: -1, changePercent: -33.3 });
+  });
+
+  test('has no percentage from a zero baseline', () => {
+    expect(buildTrend(4, 0)).toMatchObject({ change: 4, changePercent: null });
+  });
+});
+
+describe('getPeriodRanges', () => {
+  test('returns the period ending now and the one before it', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+    const { current, previous } = getPeriodRanges('7d', now);
+
+    expect(current).toEqual({ from: new Date('2026-03-24T12:00:00Z'), to: now });
+    expect(previous).toEqual({ from: new Date('2026-03-17T12:00:00Z'), to: new Date('2026-03-24T12:00:00Z') });
+  });
+});
+
+describe('calculateEnterpriseStats', () => {
+  test('counts members, structure, cards, scans, contacts and seats', async () => {
+    await setUpEnterprise();
+    await addScans(daysAgo(0), 3);
+    await addScans(daysAgo(6), 2);
+    await addScans(daysAgo(7), 4);
+    await addScans(daysAgo(20), 8);
+    await addScans(daysAgo(0), 50, 'ent2');
+    await addContacts('admin', 2);
+    await addContacts('member', 1, 10);
+    await addContacts('outsider', 5);
+
+    const stats = await calculateEnterpriseStats('ent1', { period: '7d' });
+
+    expect(stats).toMatchObject({
+      enterpriseId: 'ent1',
+      period: '7d',
+      totalUsers: 3,
+      activeUsers: 2,
+      deactivatedUsers: 1,
+      departments: 2,
+      teams: 2,
+      cardsIssued: 3,
+      scans: { current: 5, previous: 4, change: 1, changePercent: 25 },
+      contactsCaptured: { current: 2, previous: 1 },
+      lastActivity: '2026-02-01T00:00:00.000Z'
+    });
+    expect(stats.seats).toMatchObject({
+      plan: { id: 'ENTERPRISE_PLAN' },
+      purchased: 2,
+      used: 2,
+      remaining: 0,
+      overAllocated: false,
+      utilisationPercent: 100
+    });
+  });
+
+  test('reports seats without a purchased count as unlimited', async () => {
+    await db.collection('enterprise').doc('ent1').set({ name: 'Acme' });
+
+    const stats = await calculateEnterpriseStats('ent1');
+    expect(stats).toMatchObject({ period: '30d', totalUsers: 0, scans: { current: 0 }, lastActivity: null });
+    expect(stats.seats).toMatchObject({ purchased: null, remaining: null, overAllocated: false, utilisationPercent: null });
+  });
+
+  test('returns null for unknown enterprises', async () => {
+    expect(await calculateEnterpriseStats('nope')).toBeNull();
+  });
+});
+
+describe('getEnterpriseStats', () => {
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const getStats = async (uid, query = {}) => {
+    const res = mockResponse();
+    await enterpriseController.getEnterpriseStats({
+      params: { enterpriseId: 'ent1' },
+      query,
+      user: { uid },
+      principal: { type: 'user' }
+    }, res);
+    return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+  };
+
+  beforeEach(setUpEnterprise);
+
+  test('rejects unknown periods and non-admins', async () => {
+    expect((await getStats('admin', { period: '1y' })).status).toBe(400);
+    expect((await getStats('member')).status).toBe(403);
+    expect((await getStats('outsider')).status).toBe(403);
+  });
+
+  test('caches results per period until a refresh is asked for', async () => {
+    const first = await getStats('admin', { period: '90d' });
+    expect(first).toMatchObject({ status: 200, body: { cached: false, data: { stats: { totalUsers: 3 } } } });
+
+    await db.collection('users').doc('newcomer').set({ enterpriseRef: db.collection('enterprise').doc('ent1') });
+    expect((await getStats('admin', { period: '90d' })).body).toMatchObject({ cached: true, data: { stats: { totalUsers: 3 } } });
+    expect((await getStats('admin', { period: '90d', refresh: 'true' })).body).toMatchObject({ cached: false, data: { stats: { totalUsers: 4 } } });
+  });
+});
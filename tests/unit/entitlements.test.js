@@ -0,0 +1,169 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const { invalidateCatalogue, createPlanVersion } = require('../../utils/planCatalogue');
+const { PASSES_COLLECTION } = require('../../utils/walletPass');
+const contactStore = require('../../utils/contactStore');
+const {
+  USAGE_COLLECTION,
+  FEATURES,
+  buildQuota,
+  getLimit,
+  checkEntitlement,
+  checkEnterpriseEntitlement,
+  consumeEntitlement,
+  getEntitlements,
+  limitReachedBody
+} = require('../../utils/entitlements');
+
+const { db } = firebase;
+
+const addContacts = async (userId, count) => {
+  for (let i = 0; i < count; i++) {
+    await contactStore.addContact(userId, { name: `Lead ${i}`, email: `lead${i}@example.com` }, { limit: null });
+  }
+};
+
+beforeEach(() => {
+  firebase.reset();
+  invalidateCatalogue();
+});
+
+describe('buildQuota', () => {
+  test('reports remaining quota and whether one more is allowed', () => {
+    expect(buildQuota(FEATURES.CONTACTS, 3, 2)).toEqual({ feature: 'contacts', limit: 3, used: 2, remaining: 1, allowed: true });
+    expect(buildQuota(FEATURES.CONTACTS, 3, 5)).toMatchObject({ remaining: 0, allowed: false });
+    expect(buildQuota(FEATURES.CARDS, null, 40)).toMatchObject({ remaining: null, allowed: true });
+  });
+
+  test('adds the period to metered features', () => {
+    expect(buildQuota(FEATURES.EXPORTS, 3, 0).period).toBe(new Date().toISOString().slice(0, 7));
+  });
+});
+
+describe('checkEntitlement', () => {
+  test('enforces the free contact limit', async () => {
+    await db.collection('users').doc('u1').set({ plan: 'free' });
+    await addContacts('u1', 3);
+
+    expect(await checkEntitlement('u1', FEATURES.CONTACTS)).toMatchObject({ limit: 3, used: 3, allowed: false });
+    expect(await getLimit('u1', FEATURES.CONTACTS)).toBe(3);
+  });
+
+  test('only limits free contacts by default', async () => {
+    await db.collection('users').doc('u1').set({ plan: 'premium' });
+    await addContacts('u1', 4);
+    await db.collection('cards').doc('u1').set({ cards: new Array(10).fill({ name: 'Card' }) });
+
+    expect(await checkEntitlement('u1', FEATURES.CONTACTS)).toMatchObject({ limit: null, used: 4, allowed: true });
+    expect(await checkEntitlement('u1', FEATURES.CARDS)).toMatchObject({ limit: null, used: 10, allowed: true });
+    for (const feature of [FEATURES.CARDS, FEATURES.WALLET_PASSES, FEATURES.TEMPLATES, FEATURES.EXPORTS]) {
+      expect(await getLimit('u2', feature, { userData: { plan: 'free' } })).toBeNull();
+    }
+  });
+
+  test('applies card limits from a stored plan version', async () => {
+    await createPlanVersion('MONTHLY_PLAN', { entitlements: { cards: 10 } }, 'admin1');
+    await db.collection('users').doc('u1').set({ plan: 'premium' });
+    await db.collection('cards').doc('u1').set({ cards: new Array(10).fill({ name: 'Card' }) });
+
+    expect(await checkEntitlement('u1', FEATURES.CARDS)).toMatchObject({ limit: 10, used: 10, allowed: false });
+  });
+
+  test('counts wallet passes per card and lets a card re-issue its pass', async () => {
+    await createPlanVersion('FREE_PLAN', { entitlements: { contacts: 3, walletPasses: 1 } }, 'admin1');
+    await db.collection('users').doc('u1').set({ plan: 'free' });
+    await db.collection(PASSES_COLLECTION).doc('p1').set({ userId: 'u1', cardIndex: 0, status: 'active' });
+    await db.collection(PASSES_COLLECTION).doc('p2').set({ userId: 'u1', cardIndex: 0, status: 'active' });
+
+    expect(await checkEntitlement('u1', FEATURES.WALLET_PASSES, { cardIndex: 1 })).toMatchObject({ used: 1, allowed: false });
+    expect(await checkEntitlement('u1', FEATURES.WALLET_PASSES, { cardIndex: '0' })).toMatchObject({ used: 1, allowed: true });
+  });
+
+  test('counts templates across the enterprise', async () => {
+    const enterpriseRef = db.collection('enterprise').doc('ent1');
+    await enterpriseRef.set({ name: 'Acme' });
+    await db.collection('cardTemplates').doc('t1').set({ enterpriseId: 'ent1', isActive: true });
+    await db.collection('cardTemplates').doc('t2').set({ enterpriseId: 'ent1', isActive: false });
+    await db.collection('users').doc('u1').set({ plan: 'enterprise', enterpriseRef });
+
+    expect(await checkEntitlement('u1', FEATURES.TEMPLATES)).toMatchObject({ limit: null, used: 1 });
+    expect(await checkEntitlement('u2', FEATURES.TEMPLATES, { userData: { plan: 'free' } })).toMatchObject({ limit: null, used: 0, allowed: true });
+    await expect(checkEnterpriseEntitlement('ent1', FEATURES.CONTACTS)).rejects.toThrow(/not an enterprise-wide/);
+  });
+
+  test('falls back to the tier default for features a stored plan predates', async () => {
+    await db.collection('subscriptionPlans').doc('FREE_PLAN@v1').set({
+      planId: 'FREE_PLAN',
+      version: 1,
+      status: 'active',
+      tier: 'free',
+      defaultCurrency: 'ZAR',
+      prices: { ZAR: { amount: 0, planCode: null } },
+      entitlements: { exports: 5 }
+    });
+
+    expect(await getLimit('u1', FEATURES.EXPORTS, { userData: { plan: 'free' } })).toBe(5);
+    expect(await getLimit('u1', FEATURES.CONTACTS, { userData: { plan: 'free' } })).toBe(3);
+  });
+});
+
+describe('consumeEntitlement', () => {
+  test('meters exports per month and stops at the limit', async () => {
+    await createPlanVersion('FREE_PLAN', { entitlements: { contacts: 3, exports: 3 } }, 'admin1');
+    await db.collection('users').doc('u1').set({ plan: 'free' });
+
+    for (let used = 1; used <= 3; used++) {
+      expect(await consumeEntitlement('u1', FEATURES.EXPORTS)).toMatchObject({ used, allowed: true });
+    }
+    expect(await consumeEntitlement('u1', FEATURES.EXPORTS)).toMatchObject({ used: 3, remaining: 0, allowed: false });
+    expect(await checkEntitlement('u1', FEATURES.EXPORTS)).toMatchObject({ used: 3, allowed: false });
+  });
+
+  test('starts a new allowance in a new month', async () => {
+    await createPlanVersion('FREE_PLAN', { entitlements: { contacts: 3, exports: 3 } }, 'admin1');
+    await db.collection('users').doc('u1').set({ plan: 'free' });
+    await db.collection(USAGE_COLLECTION).doc('u1').set({ exports: { period: '2000-01', count: 3 } });
+
+    expect(await consumeEntitlement('u1', FEATURES.EXPORTS)).toMatchObject({ used: 1, limit: 3, allowed: true });
+  });
+
+  test('keeps counting unlimited exports', async () => {
+    await db.collection('users').doc('u1').set({ plan: 'free' });
+
+    await consumeEntitlement('u1', FEATURES.EXPORTS);
+    expect(await consumeEntitlement('u1', FEATURES.EXPORTS)).toMatchObject({ used: 2, limit: null, allowed: true });
+  });
+
+  test('only meters metered features', async () => {
+    await expect(consumeEntitlement('u1', FEATURES.CONTACTS)).rejects.toThrow(/not a metered/);
+  });
+});
+
+describe('getEntitlements', () => {
+  test('lists every feature with the plan it comes from', async () => {
+    await db.collection('users').doc('u1').set({ plan: 'free' });
+    await addContacts('u1', 2);
+
+    const result = await getEntitlements('u1');
+    expect(result.tier).toBe('free');
+    expect(result.plan).toEqual({ id: 'FREE_PLAN', version: 1, name: 'Free' });
+    expect(Object.keys(result.entitlements).sort()).toEqual(Object.values(FEATURES).sort());
+    expect(result.entitlements.contacts).toEqual({ limit: 3, used: 2, remaining: 1, allowed: true });
+  });
+});
+
+describe('limitReachedBody', () => {
+  test('keeps the contact error code the apps handle', () => {
+    expect(limitReachedBody(buildQuota(FEATURES.CONTACTS, 3, 3))).toMatchObject({
+      success: false,
+      error: 'FREE_PLAN_LIMIT_REACHED',
+      currentContacts: 3
+    });
+    expect(limitReachedBody(buildQuota(FEATURES.EXPORTS, 3, 3))).toMatchObject({
+      error: 'PLAN_LIMIT_REACHED',
+      message: 'Monthly export limit reached',
+      period: expect.any(String)
+    });
+  });
+});
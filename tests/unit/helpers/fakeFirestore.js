@@ -0,0 +1,395 @@
+/**
+ * In-memory stand-in for the parts of the Firestore Admin API the utils use,
+ * so their logic can be tested without a project. Use it from a jest.mock
+ * factory for ../../firebase:
+ *
+ *   jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+ *
+ * and reset between tests with `require('../../firebase').reset()`.
+ */
+
+class Timestamp {
+  constructor(millis) {
+    this._millis = millis;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromDate(date) {
+    return new Timestamp(new Date(date).getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  get seconds() {
+    return Math.floor(this._millis / 1000);
+  }
+
+  get nanoseconds() {
+    return (this._millis % 1000) * 1e6;
+  }
+
+  toDate() {
+    return new Date(this._millis);
+  }
+
+  toMillis() {
+    return this._millis;
+  }
+}
+
+const sentinel = (op, value) => ({ __fieldValue: op, value });
+
+const FieldValue = {
+  increment: (value) => sentinel('increment', value),
+  arrayUnion: (...values) => sentinel('arrayUnion', values),
+  arrayRemove: (...values) => sentinel('arrayRemove', values),
+  delete: () => sentinel('delete'),
+  serverTimestamp: () => sentinel('serverTimestamp')
+};
+
+const isSentinel = (value) => value && typeof value === 'object' && '__fieldValue' in value;
+
+const isPlainObject = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Timestamp) &&
+  !(value instanceof Date) && !isSentinel(value) && !value.__isDocumentReference && !Buffer.isBuffer(value);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (value && value.__isDocumentReference) return value.path;
+  return value;
+};
+
+const equals = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, i) => equals(item, right[i]));
+  }
+  if (isPlainObject(left) && isPlainObject(right)) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+  return left === right;
+};
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const getField = (data, fieldPath) =>
+  String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// FieldPath.documentId() is stood in for by '__name__', which orders by document ID
+const fieldName = (field) => (typeof field === 'object' ? '__name__' : field);
+
+const resolveSentinel = (current, value) => {
+  switch (value.__fieldValue) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.value;
+    case 'arrayUnion': {
+      const array = Array.isArray(current) ? [...current] : [];
+      value.value.forEach(item => {
+        if (!array.some(existing => equals(existing, item))) array.push(clone(item));
+      });
+      return array;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(item => !value.value.some(removed => equals(removed, item)));
+    case 'serverTimestamp':
+      return Timestamp.now();
+    default:
+      return undefined;
+  }
+};
+
+// Write `value` into `target` at a path of keys, applying field value sentinels
+const setPath = (target, keys, value) => {
+  const [key, ...rest] = keys;
+  if (rest.length > 0) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    setPath(target[key], rest, value);
+    return;
+  }
+  if (isSentinel(value)) {
+    if (value.__fieldValue === 'delete') delete target[key];
+    else target[key] = resolveSentinel(target[key], value);
+  } else {
+    target[key] = clone(value);
+  }
+};
+
+// set(..., { merge: true }): nested maps merge, everything else replaces
+const mergeInto = (target, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = {};
+      mergeInto(target[key], value);
+    } else {
+      setPath(target, [key], value);
+    }
+  });
+  return target;
+};
+
+const createFirestore = () => {
+  const store = new Map();
+  let autoId = 0;
+
+  const matches = (data, { field, op, value }) => {
+    const actual = field === '__name__' ? data.__path : getField(data, field);
+    switch (op) {
+      case '==': return equals(actual, value);
+      case '!=': return actual !== undefined && !equals(actual, value);
+      case '<': return actual !== undefined && compare(actual, value) < 0;
+      case '<=': return actual !== undefined && compare(actual, value) <= 0;
+      case '>': return actual !== undefined && compare(actual, value) > 0;
+      case '>=': return actual !== undefined && compare(actual, value) >= 0;
+      case 'in': return value.some(candidate => equals(actual, candidate));
+      case 'not-in': return actual !== undefined && !value.some(candidate => equals(actual, candidate));
+      case 'array-contains': return Array.isArray(actual) && actual.some(item => equals(item, value));
+      case 'array-contains-any': return Array.isArray(actual) && actual.some(item => value.some(v => equals(item, v)));
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  };
+
+  const snapshotOf = (ref) => {
+    const data = store.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (field) => (data === undefined ? undefined : clone(getField(data, field))),
+      createTime: undefined
+    };
+  };
+
+  const querySnapshot = (docs) => ({
+    docs,
+    size: docs.length,
+    empty: docs.length === 0,
+    forEach: (fn) => docs.forEach(fn)
+  });
+
+  function docRef(path) {
+    const parts = path.split('/');
+    const ref = {
+      __isDocumentReference: true,
+      id: parts[parts.length - 1],
+      path,
+      get firestore() {
+        return api;
+      },
+      get parent() {
+        return collectionRef(parts.slice(0, -1).join('/'));
+      },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      set: async (data, options = {}) => writes.set(ref, data, options),
+      update: async (data) => writes.update(ref, data),
+      delete: async () => writes.delete(ref),
+      create: async (data) => writes.create(ref, data),
+      isEqual: (other) => other && other.path === path
+    };
+    return ref;
+  }
+
+  const writes = {
+    set(ref, data, { merge = false } = {}) {
+      const current = merge && store.has(ref.path) ? clone(store.get(ref.path)) : {};
+      if (merge) mergeInto(current, data);
+      else Object.entries(data).forEach(([key, value]) => setPath(current, [key], value));
+      store.set(ref.path, current);
+    },
+    update(ref, data) {
+      if (!store.has(ref.path)) {
+        const error = new Error(`5 NOT_FOUND: No document to update: ${ref.path}`);
+        error.code = 5;
+        throw error;
+      }
+      const current = clone(store.get(ref.path));
+      Object.entries(data).forEach(([field, value]) => setPath(current, field.split('.'), value));
+      store.set(ref.path, current);
+    },
+    delete(ref) {
+      store.delete(ref.path);
+    },
+    create(ref, data) {
+      if (store.has(ref.path)) {
+        const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${ref.path}`);
+        error.code = 6;
+        throw error;
+      }
+      writes.set(ref, data);
+    }
+  };
+
+  function buildQuery(collectionPath, state) {
+    const next = (changes) => buildQuery(collectionPath, { ...state, ...changes });
+
+    const run = () => {
+      const prefix = `${collectionPath}/`;
+      const valueOf = (doc, field) => (field === '__name__' ? doc.ref.id : getField(doc.data, field));
+      let docs = [...store.keys()]
+        .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+        .map(path => ({ ref: docRef(path), data: { ...store.get(path), __path: path } }))
+        .filter(({ data }) => state.filters.every(filter => matches(data, filter)));
+
+      // Firestore leaves out documents that lack an ordered field
+      state.orders.forEach(({ field }) => {
+        docs = docs.filter(doc => valueOf(doc, field) !== undefined);
+      });
+      const compareOrdered = (a, b) => {
+        for (const [i, { field, direction }] of state.orders.entries()) {
+          const result = compare(valueOf(a, field), Array.isArray(b) ? b[i] : valueOf(b, field));
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      };
+      docs.sort((a, b) => compareOrdered(a, b) || (a.ref.path < b.ref.path ? -1 : 1));
+
+      if (Array.isArray(state.startAfter)) {
+        // Cursor values, one per orderBy
+        docs = docs.filter(doc => compareOrdered(doc, state.startAfter) > 0);
+      } else if (state.startAfter) {
+        const index = docs.findIndex(({ ref }) => ref.path === state.startAfter);
+        docs = index === -1 ? docs : docs.slice(index + 1);
+      }
+      if (state.limit !== null) docs = docs.slice(0, state.limit);
+
+      return docs.map(({ ref }) => {
+        const snapshot = snapshotOf(ref);
+        if (!state.select) return snapshot;
+        const full = snapshot.data();
+        const picked = Object.fromEntries(state.select.filter(field => field in full).map(field => [field, full[field]]));
+        return { ...snapshot, data: () => clone(picked) };
+      });
+    };
+
+    return {
+      __query: true,
+      where: (field, op, value) => next({ filters: [...state.filters, { field: fieldName(field), op, value }] }),
+      orderBy: (field, direction = 'asc') => next({ orders: [...state.orders, { field: fieldName(field), direction }] }),
+      limit: (limit) => next({ limit }),
+      // A document snapshot, a document path or one value per orderBy
+      startAfter: (...cursor) => {
+        if (cursor[0] && cursor[0].ref) return next({ startAfter: cursor[0].ref.path });
+        if (cursor.length === 1 && typeof cursor[0] === 'string' && cursor[0].includes('/')) return next({ startAfter: cursor[0] });
+        return next({ startAfter: cursor });
+      },
+      select: (...fields) => next({ select: fields }),
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+      get: async () => querySnapshot(run())
+    };
+  }
+
+  function collectionRef(path) {
+    const query = buildQuery(path, { filters: [], orders: [], limit: null, startAfter: null, select: null });
+    return {
+      ...query,
+      id: path.split('/').pop(),
+      path,
+      // The document a subcollection belongs to; null for top-level collections
+      get parent() {
+        const parts = path.split('/');
+        return parts.length > 1 ? docRef(parts.slice(0, -1).join('/')) : null;
+      },
+      doc: (id) => docRef(`${path}/${id || `auto${++autoId}`}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/auto${++autoId}`);
+        writes.set(ref, data);
+        return ref;
+      },
+      listDocuments: async () => [...store.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map(docRef)
+    };
+  }
+
+  const batch = () => {
+    const operations = [];
+    const api = {
+      set: (ref, data, options) => { operations.push(() => writes.set(ref, data, options)); return api; },
+      update: (ref, data) => { operations.push(() => writes.update(ref, data)); return api; },
+      delete: (ref) => { operations.push(() => writes.delete(ref)); return api; },
+      create: (ref, data) => { operations.push(() => writes.create(ref, data)); return api; },
+      commit: async () => operations.forEach(operation => operation())
+    };
+    return api;
+  };
+
+  const runTransaction = async (fn) => {
+    const transaction = batch();
+    transaction.get = async (target) => (target.__query ? target.get() : target.get());
+    transaction.getAll = async (...refs) => Promise.all(refs.map(ref => ref.get()));
+    const result = await fn(transaction);
+    await transaction.commit();
+    return result;
+  };
+
+  const api = {
+    collection: collectionRef,
+    doc: docRef,
+    batch,
+    runTransaction,
+    getAll: async (...refs) => Promise.all(refs.map(ref => ref.get())),
+    // Test helpers
+    _store: store,
+    _reset: () => {
+      store.clear();
+      autoId = 0;
+    }
+  };
+  return api;
+};
+
+/**
+ * A replacement for the ../firebase module
+ * @returns {{db: Object, admin: Object, reset: Function}}
+ */
+const createFirebase = () => {
+  const db = createFirestore();
+  const firestore = () => db;
+  firestore.FieldValue = FieldValue;
+  firestore.Timestamp = Timestamp;
+  firestore.FieldPath = { documentId: () => ({ __documentId: true }) };
+
+  return {
+    db,
+    admin: {
+      firestore,
+      auth: () => ({
+        deleteUser: async () => {},
+        getUser: async () => ({}),
+        updateUser: async () => ({})
+      })
+    },
+    bucket: { name: 'test-bucket' },
+    reset: db._reset
+  };
+};
+
+module.exports = {
+  Timestamp,
+  FieldValue,
+  createFirestore,
+  createFirebase
+};
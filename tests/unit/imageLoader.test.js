@@ -0,0 +1,43 @@
+const path = require('path');
+const axios = require('axios');
+const { isInsidePublicDir, loadImageBuffer } = require('../../utils/imageLoader');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+describe('isInsidePublicDir', () => {
+  test('accepts files under public/', () => {
+    expect(isInsidePublicDir(path.join(PUBLIC_DIR, 'profiles', 'photo.jpg'))).toBe(true);
+  });
+
+  test('rejects sibling directories that share the prefix', () => {
+    expect(isInsidePublicDir(`${PUBLIC_DIR}-old${path.sep}photo.jpg`)).toBe(false);
+  });
+
+  test('rejects paths that climb out and the directory itself', () => {
+    expect(isInsidePublicDir(path.join(PUBLIC_DIR, '..', 'server.js'))).toBe(false);
+    expect(isInsidePublicDir(PUBLIC_DIR)).toBe(false);
+  });
+});
+
+describe('loadImageBuffer', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('does not fetch URLs on private addresses', async () => {
+    const get = jest.spyOn(axios, 'get');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(loadImageBuffer('http://169.254.169.254/latest/meta-data/iam')).resolves.toBeNull();
+    await expect(loadImageBuffer('http://127.0.0.1:6379/')).resolves.toBeNull();
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('does not read files outside public/', async () => {
+    await expect(loadImageBuffer('../server.js')).resolves.toBeNull();
+    await expect(loadImageBuffer('/../../etc/passwd')).resolves.toBeNull();
+  });
+
+  test('ignores empty references', async () => {
+    await expect(loadImageBuffer('')).resolves.toBeNull();
+    await expect(loadImageBuffer(null)).resolves.toBeNull();
+  });
+});
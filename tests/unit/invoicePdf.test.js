@@ -0,0 +1,139 @@
+const zlib = require('zlib');
+const {
+  RENDERER_VERSION,
+  computeTotals,
+  formatMoney,
+  getDocumentHash,
+  renderBillingDocumentPdf
+} = require('../../utils/invoicePdf');
+
+const INVOICE = {
+  number: 'INV-2026-0042',
+  date: '2026-03-01T10:00:00Z',
+  dueDate: '2026-03-31T10:00:00Z',
+  currency: 'ZAR',
+  status: 'pending',
+  amount: 11500,
+  lineItems: [
+    { description: 'Enterprise seats (March)', quantity: 10, rate: 1000, amount: 10000 },
+    { description: 'Onboarding', quantity: 1, rate: 1500, amount: 1500 }
+  ]
+};
+
+const BILL_TO = { name: 'Acme (Pty) Ltd', email: 'billing@acme.example', vatNumber: '4123456789' };
+
+/**
+ * Text drawn on the pages of a pdfkit PDF: content streams are inflated and the
+ * hex strings of each TJ array joined, one entry per text run
+ * @param {Buffer} pdf - PDF file
+ * @returns {string[]}
+ */
+const extractText = (pdf) => {
+  const runs = [];
+  const source = pdf.toString('latin1');
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(source))) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    let content;
+    try {
+      content = zlib.inflateSync(pdf.subarray(start, end)).toString('latin1');
+    } catch (error) {
+      continue; // fonts and images
+    }
+    for (const [, array] of content.matchAll(/\[([^\]]*)\]\s*TJ/g)) {
+      runs.push([...array.matchAll(/<([0-9a-fA-F]*)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''));
+    }
+    streamPattern.lastIndex = end;
+  }
+  return runs;
+};
+
+const env = { ...process.env };
+
+beforeEach(() => {
+  delete process.env.INVOICE_LOGO_URL;
+  delete process.env.INVOICE_VAT_RATE;
+  process.env.INVOICE_COMPANY_NAME = 'XS Card';
+  process.env.INVOICE_COMPANY_VAT_NUMBER = '4999999999';
+});
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+describe('formatMoney', () => {
+  test('prints rand with an R and other currencies by code', () => {
+    expect(formatMoney(12000, 'ZAR')).toBe('R12,000.00');
+    expect(formatMoney(9.999, 'USD')).toBe('USD 10.00');
+  });
+});
+
+describe('computeTotals', () => {
+  test('splits VAT out of inclusive amounts', () => {
+    expect(computeTotals(INVOICE)).toEqual({ subtotal: 10000, vat: 1500, total: 11500, vatRate: 0.15, vatInclusive: true });
+  });
+
+  test('adds VAT to exclusive line items', () => {
+    expect(computeTotals({ ...INVOICE, amount: undefined, vatInclusive: false }))
+      .toMatchObject({ subtotal: 11500, vat: 1725, total: 13225 });
+  });
+
+  test('uses VAT recorded on the document', () => {
+    expect(computeTotals({ amount: 100, vatAmount: 10 })).toMatchObject({ subtotal: 90, vat: 10, total: 100 });
+  });
+});
+
+describe('getDocumentHash', () => {
+  test('changes with the content but not with storage metadata', () => {
+    const hash = getDocumentHash(INVOICE, BILL_TO);
+    expect(getDocumentHash({ ...INVOICE, pdf: { path: 'x' }, updatedAt: 'later' }, BILL_TO)).toBe(hash);
+    expect(getDocumentHash({ ...INVOICE, amount: 11501 }, BILL_TO)).not.toBe(hash);
+    expect(RENDERER_VERSION).toBeGreaterThan(0);
+  });
+});
+
+describe('renderBillingDocumentPdf', () => {
+  test('renders an invoice with its line items, totals and currency', async () => {
+    const pdf = await renderBillingDocumentPdf(INVOICE, { type: 'invoice', billTo: BILL_TO });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+
+    const text = extractText(pdf);
+    expect(text).toEqual(expect.arrayContaining([
+      'TAX INVOICE',
+      'Invoice No: INV-2026-0042',
+      'Status: PENDING',
+      'Acme (Pty) Ltd',
+      'VAT No: 4123456789',
+      'Enterprise seats (March)',
+      '10',
+      'R1,000.00',
+      'R10,000.00',
+      'Onboarding',
+      'R1,500.00',
+      'Subtotal (excl. VAT)',
+      'VAT (15%)',
+      'R11,500.00',
+      'Total Due',
+      'All amounts in ZAR. Prices include VAT at 15%.'
+    ]));
+  });
+
+  test('renders receipts in their currency with a single line for the plan', async () => {
+    const receipt = { number: 'RCPT-7', date: '2026-03-05', currency: 'USD', amount: 9.99, description: 'Premium (monthly)' };
+    const text = extractText(await renderBillingDocumentPdf(receipt, { type: 'receipt', billTo: { name: 'Ada' } }));
+
+    expect(text).toEqual(expect.arrayContaining([
+      'PAYMENT RECEIPT',
+      'Receipt No: RCPT-7',
+      'Premium (monthly)',
+      'Total Paid',
+      'USD 9.99',
+      'All amounts in USD. Prices include VAT at 15%.'
+    ]));
+    expect(text.some(run => run.startsWith('Due Date'))).toBe(false);
+  });
+});
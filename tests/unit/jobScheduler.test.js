@@ -0,0 +1,256 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({}));
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logActivity: jest.fn(async () => {})
+}));
+
+// Stand-in for Bull: records what is queued and the processors registered
+jest.mock('bull', () => {
+  class FakeQueue {
+    constructor(name, options) {
+      this.name = name;
+      this.options = options;
+      this.processors = {};
+      this.added = [];
+      this.removedKeys = [];
+      this.repeatable = FakeQueue.existingRepeatable;
+      this.jobs = new Map();
+      this.client = { on: () => {} };
+      FakeQueue.instances.push(this);
+    }
+
+    process(name, handler) {
+      this.processors[name] = handler;
+    }
+
+    on() {}
+
+    async add(name, data, options) {
+      if (FakeQueue.failAdd) throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+      this.added.push({ name, data, options });
+      return { id: options.jobId };
+    }
+
+    async getRepeatableJobs() {
+      return this.repeatable;
+    }
+
+    async removeRepeatableByKey(key) {
+      this.removedKeys.push(key);
+    }
+
+    async getJob(id) {
+      return this.jobs.get(id) || null;
+    }
+  }
+  FakeQueue.instances = [];
+  FakeQueue.existingRepeatable = [];
+  FakeQueue.failAdd = false;
+  return FakeQueue;
+});
+
+const Queue = require('bull');
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { RECURRING_JOBS } = require('../../config/scheduledJobs');
+const {
+  JOB_NAMES,
+  initializeScheduledJobs,
+  scheduleAccountUnlock,
+  listJobs,
+  retryJob
+} = require('../../utils/jobScheduler');
+const { countDocuments, deleteOldest, purgeExpired } = require('../../utils/dataPurge');
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+const DAY = 24 * 60 * 60 * 1000;
+
+const loadConfig = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../config/scheduledJobs');
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('recurring job config', () => {
+  test('every job has exactly one schedule', () => {
+    const { RECURRING_JOBS } = loadConfig({});
+    Object.values(RECURRING_JOBS).forEach(job => {
+      expect(Boolean(job.every) !== Boolean(job.cron)).toBe(true);
+    });
+  });
+
+  test('weekly digests run at the configured UTC day and hour', () => {
+    expect(loadConfig({}).RECURRING_JOBS['weekly-digests'].cron).toBe('0 7 * * 1');
+    expect(loadConfig({ WEEKLY_DIGEST_DAY: '5', WEEKLY_DIGEST_HOUR: '16' }).RECURRING_JOBS['weekly-digests'].cron)
+      .toBe('0 16 * * 5');
+    expect(loadConfig({ WEEKLY_DIGEST_ENABLED: 'false' }).RECURRING_JOBS).not.toHaveProperty('weekly-digests');
+  });
+});
+
+describe('cronMatchesHour', () => {
+  const { cronMatchesHour } = require('../../utils/jobScheduler');
+
+  test('matches the hour and weekday a cron schedule names', () => {
+    const mondayMorning = new Date('2026-10-19T07:45:00Z');
+    expect(cronMatchesHour('0 7 * * 1', mondayMorning)).toBe(true);
+    expect(cronMatchesHour('0 7 * * 2', mondayMorning)).toBe(false);
+    expect(cronMatchesHour('30 2 * * *', mondayMorning)).toBe(false);
+    expect(cronMatchesHour('0 6,7 19 10 *', mondayMorning)).toBe(true);
+  });
+});
+
+describe('job queue', () => {
+  // The scheduler creates one queue per process; the first test to use it creates it
+  const queue = () => Queue.instances[0];
+
+  beforeAll(async () => {
+    Queue.existingRepeatable = [
+      { name: 'purge-activity-logs', key: 'purge-activity-logs:::0 3 * * *', cron: '0 3 * * *', every: null },
+      { name: 'retired-job', key: 'retired-job:::3600000', cron: null, every: '3600000' }
+    ];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    initializeScheduledJobs();
+    for (let i = 0; i < 20; i++) await flushPromises();
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  beforeEach(() => {
+    firebase.reset();
+    Queue.failAdd = false;
+  });
+
+  test('registers every recurring job and removes stale schedules', () => {
+    expect(Queue.instances).toHaveLength(1);
+    expect(queue().added.map(job => job.name).sort()).toEqual(Object.keys(RECURRING_JOBS).sort());
+    expect(queue().added.find(job => job.name === JOB_NAMES.PURGE_ACTIVITY_LOGS).options)
+      .toEqual({ repeat: { cron: '0 2 * * *', tz: 'UTC' }, jobId: JOB_NAMES.PURGE_ACTIVITY_LOGS });
+    expect(queue().added.find(job => job.name === JOB_NAMES.ALERT_DETECTION).options.repeat)
+      .toEqual({ every: 60 * 60 * 1000 });
+    expect(queue().removedKeys.sort()).toEqual(['purge-activity-logs:::0 3 * * *', 'retired-job:::3600000']);
+  });
+
+  test('registers a processor for every job', () => {
+    expect(Object.keys(queue().processors).sort()).toEqual(Object.values(JOB_NAMES).sort());
+  });
+
+  test('purge jobs delete only documents past the retention period', async () => {
+    const { db } = firebase;
+    const retentionDays = RECURRING_JOBS[JOB_NAMES.PURGE_ACTIVITY_LOGS].retentionDays;
+    await db.collection('activityLogs').doc('old').set({ timestamp: Timestamp.fromMillis(Date.now() - (retentionDays + 1) * DAY) });
+    await db.collection('activityLogs').doc('recent').set({ timestamp: Timestamp.fromMillis(Date.now() - DAY) });
+
+    const result = await queue().processors[JOB_NAMES.PURGE_ACTIVITY_LOGS]({ data: {} });
+
+    expect(result.deleted).toBe(1);
+    expect((await db.collection('activityLogs').get()).docs.map(doc => doc.id)).toEqual(['recent']);
+  });
+
+  test('unlock jobs lift the lock they were scheduled for but not a later one', async () => {
+    const { db } = firebase;
+    const unlock = queue().processors[JOB_NAMES.ACCOUNT_UNLOCK];
+    const unlockAt = new Date();
+    await db.collection('users').doc('u1').set({
+      accountLocked: true,
+      accountLockedBy: 'system',
+      accountLockedUntil: Timestamp.fromMillis(unlockAt.getTime())
+    });
+    await db.collection('users').doc('u2').set({
+      accountLocked: true,
+      accountLockedUntil: Timestamp.fromMillis(unlockAt.getTime() + 60 * 60 * 1000)
+    });
+
+    expect(await unlock({ data: { userId: 'u1', unlockAt: unlockAt.toISOString() } })).toEqual({ unlocked: true });
+    expect(await unlock({ data: { userId: 'u2', unlockAt: unlockAt.toISOString() } })).toEqual({ unlocked: false });
+    expect(await unlock({ data: { userId: 'missing', unlockAt: unlockAt.toISOString() } })).toEqual({ unlocked: false });
+
+    const u1 = (await db.collection('users').doc('u1').get()).data();
+    expect(u1.accountLocked).toBe(false);
+    expect(u1).not.toHaveProperty('accountLockedBy');
+    expect((await db.collection('users').doc('u2').get()).data().accountLocked).toBe(true);
+  });
+
+  test('queues account unlocks as delayed jobs, one per lock', async () => {
+    const unlockAt = new Date(Date.now() + 15 * 60 * 1000);
+    const result = await scheduleAccountUnlock('u1', unlockAt);
+
+    expect(result).toEqual({ jobId: `account-unlock:u1:${unlockAt.getTime()}`, persistent: true });
+    const job = queue().added.find(entry => entry.options.jobId === result.jobId);
+    expect(job.data).toEqual({ userId: 'u1', unlockAt: unlockAt.toISOString() });
+    expect(job.options.delay).toBeGreaterThan(14 * 60 * 1000);
+  });
+
+  test('falls back to a local timer when Redis is unavailable', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      Queue.failAdd = true;
+      const result = await scheduleAccountUnlock('u1', new Date(Date.now() + 60 * 1000));
+      expect(result.persistent).toBe(false);
+      expect(jest.getTimerCount()).toBe(1);
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    }
+  });
+
+  test('retries failed jobs only', async () => {
+    const failed = { id: 'j1', name: 'alert-detection', data: {}, attemptsMade: 3, timestamp: Date.now(), isFailed: async () => true, retry: jest.fn() };
+    const running = { ...failed, id: 'j2', isFailed: async () => false };
+    queue().jobs.set('j1', failed);
+    queue().jobs.set('j2', running);
+
+    expect(await retryJob('j1')).toMatchObject({ id: 'j1', status: 'waiting' });
+    expect(failed.retry).toHaveBeenCalled();
+    await expect(retryJob('j2')).rejects.toThrow('Only failed jobs can be retried');
+    expect(await retryJob('missing')).toBeNull();
+  });
+
+  test('job administration needs the queue', async () => {
+    process.env.SCHEDULED_JOBS_USE_QUEUE = 'false';
+    try {
+      await expect(listJobs()).rejects.toThrow(/local timers/);
+      await expect(retryJob('j1')).rejects.toThrow(/local timers/);
+    } finally {
+      delete process.env.SCHEDULED_JOBS_USE_QUEUE;
+    }
+  });
+});
+
+describe('dataPurge', () => {
+  const { db } = firebase;
+
+  beforeEach(async () => {
+    firebase.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    for (let i = 0; i < 5; i++) {
+      await db.collection('securityAlerts').doc(`a${i}`).set({
+        enterpriseId: i % 2 ? 'ent1' : 'ent2',
+        timestamp: Timestamp.fromMillis(Date.now() - (10 - i) * DAY)
+      });
+    }
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts and deletes oldest first within scope', async () => {
+    expect(await countDocuments('securityAlerts', { enterpriseId: 'ent2' })).toBe(3);
+    expect(await deleteOldest('securityAlerts', { limit: 2 })).toBe(2);
+    expect((await db.collection('securityAlerts').get()).docs.map(doc => doc.id).sort()).toEqual(['a2', 'a3', 'a4']);
+  });
+
+  test('purges by retention period and rejects invalid periods', async () => {
+    expect((await purgeExpired('securityAlerts', 7.5)).deleted).toBe(3);
+    await expect(purgeExpired('securityAlerts', 0)).rejects.toThrow(/Invalid retention period/);
+    await expect(purgeExpired('users', 30)).rejects.toThrow(/Unknown purge target/);
+  });
+});
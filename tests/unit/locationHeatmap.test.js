@@ -0,0 +1,200 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const contactStore = require('../../utils/contactStore');
+const {
+  HEATMAP_SCOPES,
+  encodeGeohash,
+  parseHeatmapOptions,
+  resolveScopeMembers,
+  clusterPoints,
+  buildLocationHeatmap,
+  toGeoJSON
+} = require('../../utils/locationHeatmap');
+
+const { db } = firebase;
+
+const CAPE_TOWN = { latitude: -33.9249, longitude: 18.4241, city: 'Cape Town', country: 'South Africa', countryCode: 'za' };
+const STELLENBOSCH = { latitude: -33.9321, longitude: 18.8602, city: 'Stellenbosch', country: 'South Africa', countryCode: 'ZA' };
+const LONDON = { latitude: 51.5074, longitude: -0.1278, city: 'London', country: 'United Kingdom', countryCode: 'GB' };
+
+let contactNumber = 0;
+const addContact = (userId, location, createdAt = '2026-03-10T12:00:00Z') => contactStore.addContact(userId, {
+  name: `Lead ${++contactNumber}`,
+  email: `lead${contactNumber}@example.com`,
+  createdAt: Timestamp.fromMillis(Date.parse(createdAt)),
+  ...(location && { location })
+}, { limit: null });
+
+const httpErrorOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+beforeEach(() => firebase.reset());
+
+describe('encodeGeohash', () => {
+  test('matches known geohashes', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 6)).toBe('u4pruy');
+    expect(encodeGeohash(57.64911, 10.40744, 9)).toBe('u4pruydqq');
+    expect(encodeGeohash(42.605, -5.603, 5)).toBe('ezs42');
+    expect(encodeGeohash(48.8566, 2.3522, 6)).toBe('u09tvw');
+    expect(encodeGeohash(37.7749, -122.4194, 6)).toBe('9q8yyk');
+  });
+
+  test('puts nearby points in the same cell at low precision only', () => {
+    expect(encodeGeohash(CAPE_TOWN.latitude, CAPE_TOWN.longitude, 3)).toBe(encodeGeohash(STELLENBOSCH.latitude, STELLENBOSCH.longitude, 3));
+    expect(encodeGeohash(CAPE_TOWN.latitude, CAPE_TOWN.longitude, 5)).not.toBe(encodeGeohash(STELLENBOSCH.latitude, STELLENBOSCH.longitude, 5));
+  });
+});
+
+describe('parseHeatmapOptions', () => {
+  test('reads whole days, with the end date running to the next midnight', () => {
+    expect(parseHeatmapOptions({ startDate: '2026-03-01', endDate: '2026-03-31' })).toEqual({
+      from: new Date('2026-03-01T00:00:00Z'),
+      to: new Date('2026-04-01T00:00:00Z'),
+      precision: 4
+    });
+    expect(parseHeatmapOptions({ to: '2026-03-31T08:00:00Z' }).to).toEqual(new Date('2026-03-31T08:00:00Z'));
+  });
+
+  test('takes a precision, or derives one from the zoom level', () => {
+    expect(parseHeatmapOptions({ precision: '7' }).precision).toBe(7);
+    expect(parseHeatmapOptions({ zoom: '0' }).precision).toBe(1);
+    expect(parseHeatmapOptions({ zoom: '12.7' }).precision).toBe(5);
+    expect(parseHeatmapOptions({ zoom: '30' }).precision).toBe(8);
+  });
+
+  test.each([
+    ['a bad date', { from: 'last week' }, /from must be a date/],
+    ['from not before to', { from: '2026-03-02', to: '2026-03-01' }, /from must be before to/],
+    ['a precision out of range', { precision: '10' }, /precision must be between 1 and 9/],
+    ['a negative zoom', { zoom: '-1' }, /zoom must be 0 or more/]
+  ])('rejects %s with a 400', (_, query, message) => {
+    expect(httpErrorOf(() => parseHeatmapOptions(query))).toMatchObject({ status: 400, message: expect.stringMatching(message) });
+  });
+});
+
+describe('clusterPoints', () => {
+  test('places each cell at the average of its points and names it after its most common place', () => {
+    const points = [
+      { ...CAPE_TOWN, ownerId: 'u1' },
+      { ...CAPE_TOWN, latitude: -33.9251, ownerId: 'u2' },
+      { ...STELLENBOSCH, ownerId: 'u1' },
+      { ...LONDON, ownerId: 'u1' }
+    ];
+
+    expect(clusterPoints(points, 3)).toEqual([
+      { geohash: 'k3v', latitude: -33.927367, longitude: 18.569467, count: 3, locationName: 'Cape Town, South Africa', employees: 2 },
+      { geohash: 'gcp', latitude: 51.5074, longitude: -0.1278, count: 1, locationName: 'London, United Kingdom', employees: 1 }
+    ]);
+  });
+});
+
+describe('buildLocationHeatmap', () => {
+  test('clusters located contacts in range with country, city and employee breakdowns', async () => {
+    await addContact('u1', CAPE_TOWN);
+    await addContact('u1', CAPE_TOWN);
+    await addContact('u1', LONDON);
+    await addContact('u1', null);
+    await addContact('u1', { latitude: 0, longitude: 0, city: null, country: null });
+    await addContact('u1', { latitude: 123, longitude: 18 });
+    await addContact('u2', STELLENBOSCH);
+    await addContact('u2', LONDON, '2026-01-15T12:00:00Z');
+
+    const heatmap = await buildLocationHeatmap(
+      [{ userId: 'u1', name: 'Ada' }, { userId: 'u2', name: 'Grace' }, { userId: 'u3', name: 'Idle' }],
+      { from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-04-01T00:00:00Z'), precision: 4 }
+    );
+
+    expect(heatmap).toMatchObject({
+      precision: 4,
+      range: { from: '2026-03-01T00:00:00.000Z', to: '2026-04-01T00:00:00.000Z' },
+      totalContacts: 4
+    });
+    expect(heatmap.clusters.map(cluster => [cluster.locationName, cluster.count])).toEqual([
+      ['Cape Town, South Africa', 2],
+      ['London, United Kingdom', 1],
+      ['Stellenbosch, South Africa', 1]
+    ]);
+    expect(heatmap.countries).toEqual([
+      { countryCode: 'ZA', country: 'South Africa', count: 3, percent: 75 },
+      { countryCode: 'GB', country: 'United Kingdom', count: 1, percent: 25 }
+    ]);
+    expect(heatmap.cities[0]).toEqual({ city: 'Cape Town', country: 'South Africa', countryCode: 'ZA', count: 2, percent: 50 });
+    expect(heatmap.employees).toEqual([{ userId: 'u1', name: 'Ada', count: 3 }, { userId: 'u2', name: 'Grace', count: 1 }]);
+  });
+
+  test('is empty for members without located contacts', async () => {
+    expect(await buildLocationHeatmap([{ userId: 'u1' }])).toMatchObject({
+      range: { from: null, to: null },
+      totalContacts: 0,
+      clusters: [],
+      countries: []
+    });
+  });
+});
+
+describe('resolveScopeMembers', () => {
+  beforeEach(async () => {
+    const departmentsRef = db.collection('enterprise').doc('ent1').collection('departments');
+    const salesRef = departmentsRef.doc('sales');
+    await salesRef.set({ name: 'Sales' });
+    await salesRef.collection('teams').doc('t1').set({ name: 'Inbound' });
+    await salesRef.collection('employees').doc('e1').set({ userId: db.doc('users/u1'), firstName: 'Ada', lastName: 'Lovelace', teamRef: salesRef.collection('teams').doc('t1') });
+    await salesRef.collection('employees').doc('e2').set({ userId: 'u2', name: 'Grace' });
+    await salesRef.collection('employees').doc('e3').set({ name: 'Pending invite' });
+    await departmentsRef.doc('ops').set({ name: 'Ops' });
+    await departmentsRef.doc('ops').collection('employees').doc('e4').set({ userId: db.doc('users/u3'), teamId: 't1' });
+  });
+
+  test('lists the members of a team, department or enterprise', async () => {
+    const ids = { enterpriseId: 'ent1', departmentId: 'sales', teamId: 't1' };
+
+    expect(await resolveScopeMembers(HEATMAP_SCOPES.TEAM, ids)).toEqual([{ userId: 'u1', name: 'Ada Lovelace', departmentId: 'sales' }]);
+    expect((await resolveScopeMembers(HEATMAP_SCOPES.DEPARTMENT, ids)).map(member => member.userId)).toEqual(['u1', 'u2']);
+    expect(await resolveScopeMembers(HEATMAP_SCOPES.ENTERPRISE, { enterpriseId: 'ent1' })).toEqual([
+      { userId: 'u3', name: 'Unknown', departmentId: 'ops' },
+      { userId: 'u1', name: 'Ada Lovelace', departmentId: 'sales' },
+      { userId: 'u2', name: 'Grace', departmentId: 'sales' }
+    ]);
+  });
+
+  test('404s for unknown departments and teams and needs their IDs', async () => {
+    await expect(resolveScopeMembers(HEATMAP_SCOPES.DEPARTMENT, { enterpriseId: 'ent1', departmentId: 'nope' })).rejects.toMatchObject({ status: 404 });
+    await expect(resolveScopeMembers(HEATMAP_SCOPES.TEAM, { enterpriseId: 'ent1', departmentId: 'sales', teamId: 'nope' })).rejects.toMatchObject({ status: 404 });
+    await expect(resolveScopeMembers(HEATMAP_SCOPES.TEAM, { enterpriseId: 'ent1', departmentId: 'sales' })).rejects.toMatchObject({ status: 400 });
+    await expect(resolveScopeMembers(HEATMAP_SCOPES.DEPARTMENT, { enterpriseId: 'ent1' })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('toGeoJSON', () => {
+  test('returns a FeatureCollection with [longitude, latitude] points weighted by the largest cluster', () => {
+    const heatmap = {
+      precision: 3,
+      range: { from: null, to: null },
+      totalContacts: 5,
+      clusters: [
+        { geohash: 'k3v', latitude: -33.9, longitude: 18.5, count: 4, locationName: 'Cape Town, South Africa', employees: 2 },
+        { geohash: 'gcp', latitude: 51.5, longitude: -0.1, count: 1, locationName: 'London, United Kingdom', employees: 1 }
+      ]
+    };
+
+    const geojson = toGeoJSON(heatmap);
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(geojson.metadata).toEqual({ precision: 3, range: { from: null, to: null }, totalContacts: 5 });
+    expect(geojson.features[1]).toEqual({
+      type: 'Feature',
+      id: 'gcp',
+      geometry: { type: 'Point', coordinates: [-0.1, 51.5] },
+      properties: { geohash: 'gcp', count: 1, weight: 0.25, locationName: 'London, United Kingdom', employees: 1 }
+    });
+    expect(geojson.features[0].properties.weight).toBe(1);
+    expect(toGeoJSON({ ...heatmap, clusters: [] }).features).toEqual([]);
+  });
+});
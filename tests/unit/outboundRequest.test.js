@@ -0,0 +1,100 @@
+const dns = require('dns');
+const { isPrivateAddress, assertPublicUrl, publicOnlyLookup } = require('../../utils/outboundRequest');
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd12:3456::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe'
+  ])('blocks %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '172.32.0.1', '142.250.190.78', '2606:4700:4700::1111'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test('treats anything that is not an IP address as blocked', () => {
+    expect(isPrivateAddress('localhost')).toBe(true);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('rejects other schemes', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toMatchObject({ status: 400 });
+    await expect(assertPublicUrl('ftp://example.com/x')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('rejects http when only https is allowed', async () => {
+    await expect(assertPublicUrl('http://8.8.8.8/', { allowHttp: false })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('rejects private IP literals', async () => {
+    await expect(assertPublicUrl('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({
+      status: 400,
+      code: 'EBLOCKEDADDRESS'
+    });
+    await expect(assertPublicUrl('http://[::1]:8080/')).rejects.toMatchObject({ code: 'EBLOCKEDADDRESS' });
+  });
+
+  test('rejects names that resolve to a private address', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: '8.8.8.8', family: 4 }, { address: '10.0.0.5', family: 4 }]));
+
+    await expect(assertPublicUrl('https://internal.example.com/hook')).rejects.toMatchObject({
+      code: 'EBLOCKEDADDRESS'
+    });
+  });
+
+  test('accepts names that resolve to public addresses', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: '93.184.216.34', family: 4 }]));
+
+    const url = await assertPublicUrl('https://example.com/image.png');
+    expect(url.hostname).toBe('example.com');
+  });
+
+  test('reports names that do not resolve as bad requests', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })));
+
+    await expect(assertPublicUrl('https://nowhere.invalid/')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('publicOnlyLookup', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('fails the connection when the name now resolves to a private address', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '127.0.0.1', 4));
+
+    publicOnlyLookup('rebound.example.com', {}, (error) => {
+      expect(error.code).toBe('EBLOCKEDADDRESS');
+      done();
+    });
+  });
+
+  test('passes public addresses through unchanged', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '93.184.216.34', 4));
+
+    publicOnlyLookup('example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe('93.184.216.34');
+      expect(family).toBe(4);
+      done();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logActivity: jest.fn(async () => {})
+}));
+
+const crypto = require('crypto');
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { logActivity } = require('../../utils/logger');
+const { captureRawBody, verifyPaystackSignature } = require('../../middleware/paystackSignature');
+const {
+  PAYSTACK_EVENTS_COLLECTION,
+  EVENT_STATUS,
+  getPaystackEventKey,
+  claimPaystackEvent,
+  markPaystackEventProcessed,
+  markPaystackEventFailed
+} = require('../../utils/paystackEvents');
+
+const SECRET = 'sk_test_paystack';
+const sign = (body, secret = SECRET) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('captureRawBody', () => {
+  test('keeps the raw body of Paystack webhook paths only', () => {
+    const buf = Buffer.from('{"event":"charge.success"}');
+    const webhook = { originalUrl: '/subscription/webhook?x=1' };
+    const other = { originalUrl: '/AddContact' };
+
+    captureRawBody(webhook, {}, buf);
+    captureRawBody(other, {}, buf);
+
+    expect(webhook.rawBody).toBe(buf);
+    expect(other).not.toHaveProperty('rawBody');
+  });
+});
+
+describe('verifyPaystackSignature', () => {
+  const originalSecret = process.env.PAYSTACK_SECRET_KEY;
+  const body = JSON.stringify({ event: 'subscription.disable', data: { subscription_code: 'SUB_1' } });
+
+  const run = async (headers, rawBody = Buffer.from(body)) => {
+    const req = { headers, rawBody, body: JSON.parse(body), ip: '203.0.113.5', originalUrl: '/subscription/webhook' };
+    const res = mockResponse();
+    const next = jest.fn();
+    await verifyPaystackSignature(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = SECRET;
+    logActivity.mockClear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = originalSecret;
+    jest.restoreAllMocks();
+  });
+
+  test('accepts the HMAC-SHA512 of the raw body', async () => {
+    const { res, next } = await run({ 'x-paystack-signature': sign(body) });
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a missing signature', {}, 'missing_signature'],
+    ['a signature made with another key', { 'x-paystack-signature': sign(body, 'sk_other') }, 'invalid_signature'],
+    ['a truncated signature', { 'x-paystack-signature': sign(body).slice(0, 64) }, 'invalid_signature']
+  ])('rejects %s and logs it', async (_, headers, reason) => {
+    const { res, next } = await run(headers);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      details: expect.objectContaining({ reason, event: 'subscription.disable' })
+    }));
+  });
+
+  test('rejects a signature over a different body', async () => {
+    const forged = JSON.stringify({ event: 'subscription.disable', data: { subscription_code: 'SUB_2' } });
+    const { res, next } = await run({ 'x-paystack-signature': sign(body) }, Buffer.from(forged));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('rejects requests whose raw body was not captured', async () => {
+    const { res, next } = await run({ 'x-paystack-signature': sign('') }, undefined);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('fails closed without a secret key', async () => {
+    delete process.env.PAYSTACK_SECRET_KEY;
+    const { res, next } = await run({ 'x-paystack-signature': sign(body) });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe('getPaystackEventKey', () => {
+  test('uses the event type and object id', () => {
+    expect(getPaystackEventKey({ event: 'charge.success', data: { id: 42, reference: 'ref' } })).toBe('charge.success:42');
+    expect(getPaystackEventKey({ event: 'subscription.disable', data: { subscription_code: 'SUB_1' } }))
+      .toBe('subscription.disable:SUB_1');
+  });
+
+  test('tells invoice retries apart by updated_at', () => {
+    const first = getPaystackEventKey({ event: 'invoice.payment_failed', data: { invoice_code: 'INV_1', updated_at: '2026-05-01' } });
+    const retry = getPaystackEventKey({ event: 'invoice.payment_failed', data: { invoice_code: 'INV_1', updated_at: '2026-05-04' } });
+    expect(first).not.toBe(retry);
+  });
+});
+
+describe('claimPaystackEvent', () => {
+  const event = { event: 'charge.success', data: { id: 7, reference: 'ref_7' } };
+
+  const storedEvent = async () => {
+    const snapshot = await firebase.db.collection(PAYSTACK_EVENTS_COLLECTION).get();
+    return snapshot.docs[0].data();
+  };
+
+  beforeEach(() => firebase.reset());
+
+  test('claims a new event once and acknowledges retries after it is processed', async () => {
+    const claim = await claimPaystackEvent(event, 'webhook');
+    expect(claim).toEqual({ claimed: true, key: 'charge.success:7', status: null });
+    expect(await claimPaystackEvent(event, 'webhook')).toMatchObject({ claimed: false, status: EVENT_STATUS.PROCESSING });
+
+    await markPaystackEventProcessed(claim.key, { action: 'renewed' });
+    expect(await claimPaystackEvent(event, 'callback')).toMatchObject({ claimed: false, status: EVENT_STATUS.PROCESSED });
+
+    expect(await storedEvent()).toMatchObject({
+      status: EVENT_STATUS.PROCESSED,
+      attempts: 1,
+      duplicateCount: 1,
+      result: { action: 'renewed' }
+    });
+  });
+
+  test('lets a retry reclaim a failed event', async () => {
+    const { key } = await claimPaystackEvent(event, 'webhook');
+    await markPaystackEventFailed(key, new Error('Firestore unavailable'));
+
+    expect(await claimPaystackEvent(event, 'webhook')).toEqual({ claimed: true, key, status: EVENT_STATUS.FAILED });
+    expect(await storedEvent()).toMatchObject({ status: EVENT_STATUS.PROCESSING, attempts: 2, error: null });
+  });
+
+  test('lets a retry reclaim an event whose handler stopped mid-way', async () => {
+    await claimPaystackEvent(event, 'webhook');
+    const [docId] = [...firebase.db._store.keys()].filter(path => path.startsWith(PAYSTACK_EVENTS_COLLECTION));
+    firebase.db._store.get(docId).claimedAt = Timestamp.fromMillis(Date.now() - 10 * 60 * 1000);
+
+    expect(await claimPaystackEvent(event, 'webhook')).toMatchObject({ claimed: true, status: EVENT_STATUS.PROCESSING });
+  });
+});
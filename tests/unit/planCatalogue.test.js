@@ -0,0 +1,183 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const {
+  PLANS_COLLECTION,
+  PLAN_STATUS,
+  getPlan,
+  getPlanByCode,
+  listPlans,
+  listPlanVersions,
+  validateSeatCount,
+  quotePlan,
+  resolveUserPlan,
+  createPlan,
+  createPlanVersion,
+  retirePlan,
+  invalidateCatalogue
+} = require('../../utils/planCatalogue');
+
+const TEAM_PLAN = {
+  id: 'TEAM_PLAN',
+  name: 'Team',
+  tier: 'premium',
+  interval: 'monthly',
+  pricingModel: 'per_seat',
+  minSeats: 2,
+  maxSeats: 20,
+  prices: {
+    USD: { amount: 9.99, planCode: 'PLN_team_usd' },
+    ZAR: { amount: 179.5, planCode: 'PLN_team_zar' }
+  },
+  entitlements: { contacts: null, cards: 5, walletPasses: null, templates: 2, exports: 10 }
+};
+
+beforeEach(() => {
+  firebase.reset();
+  invalidateCatalogue();
+});
+
+describe('built-in plans', () => {
+  test('are served as version 1 until stored', async () => {
+    const plan = await getPlan('MONTHLY_PLAN');
+    expect(plan).toMatchObject({
+      id: 'MONTHLY_PLAN',
+      version: 1,
+      status: PLAN_STATUS.ACTIVE,
+      currency: 'ZAR',
+      amount: 159.99,
+      planCode: 'PLN_25xliarx7epm9ct',
+      source: 'default'
+    });
+    expect(await getPlanByCode('PLN_kzb7lj21vrehzeq')).toMatchObject({ id: 'ANNUAL_PLAN' });
+    expect(await getPlan('NO_SUCH_PLAN')).toBeNull();
+  });
+});
+
+describe('createPlan', () => {
+  test('stores version 1 with every entitlement key and prices in each currency', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+
+    const stored = firebase.db._store.get(`${PLANS_COLLECTION}/TEAM_PLAN@v1`);
+    expect(stored).toMatchObject({ planId: 'TEAM_PLAN', version: 1, createdBy: 'admin1', defaultCurrency: 'USD' });
+
+    expect(await getPlan('TEAM_PLAN', null, 'ZAR')).toMatchObject({ currency: 'ZAR', amount: 179.5, planCode: 'PLN_team_zar' });
+    expect(await getPlan('TEAM_PLAN', null, 'EUR')).toMatchObject({ currency: 'USD', amount: 9.99 });
+    expect(await getPlanByCode('PLN_team_zar')).toMatchObject({ id: 'TEAM_PLAN', currency: 'ZAR' });
+  });
+
+  test('rejects duplicates, including built-in plans', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+    await expect(createPlan(TEAM_PLAN, 'admin1')).rejects.toMatchObject({ status: 409 });
+    await expect(createPlan({ ...TEAM_PLAN, id: 'FREE_PLAN' }, 'admin1')).rejects.toMatchObject({ status: 409 });
+  });
+
+  test.each([
+    ['a bad id', { id: 'team plan' }],
+    ['an unknown tier', { tier: 'gold' }],
+    ['a bad currency code', { prices: { usd: { amount: 1 } } }],
+    ['a negative price', { prices: { USD: { amount: -1 } } }],
+    ['a default currency without a price', { defaultCurrency: 'EUR' }],
+    ['an unknown entitlement', { entitlements: { seats: 3 } }],
+    ['a fractional limit', { entitlements: { cards: 1.5 } }],
+    ['maxSeats below minSeats', { minSeats: 10, maxSeats: 5 }]
+  ])('rejects %s with a 400', async (_, overrides) => {
+    await expect(createPlan({ ...TEAM_PLAN, ...overrides }, 'admin1')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('createPlanVersion', () => {
+  test('builds on the latest version and keeps earlier versions for their subscribers', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+    const v2 = await createPlanVersion('TEAM_PLAN', { prices: { USD: { amount: 12, planCode: 'PLN_team_v2' } } }, 'admin1');
+
+    expect(v2).toMatchObject({ version: 2, amount: 12, entitlements: TEAM_PLAN.entitlements, minSeats: 2 });
+    expect(await getPlan('TEAM_PLAN')).toMatchObject({ version: 2 });
+    expect(await getPlan('TEAM_PLAN', 1)).toMatchObject({ version: 1, amount: 9.99, supersededBy: 2 });
+    expect((await listPlanVersions('TEAM_PLAN')).map(plan => plan.version)).toEqual([2, 1]);
+  });
+
+  test('stores the built-in version before versioning a default plan', async () => {
+    await createPlanVersion('FREE_PLAN', { entitlements: { contacts: 5, cards: 1, walletPasses: 1, templates: 0, exports: 3 } }, 'admin1');
+
+    expect(firebase.db._store.get(`${PLANS_COLLECTION}/FREE_PLAN@v1`)).toMatchObject({ createdBy: 'system', supersededBy: 2 });
+    expect((await getPlan('FREE_PLAN')).entitlements.contacts).toBe(5);
+    expect((await getPlan('FREE_PLAN', 1)).entitlements.contacts).toBe(3);
+  });
+
+  test('404s for unknown plans', async () => {
+    await expect(createPlanVersion('NOPE', {}, 'admin1')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('retirePlan', () => {
+  test('hides the plan from new subscribers but keeps it resolvable', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+    expect(await retirePlan('TEAM_PLAN', 'admin1')).toBe(1);
+
+    expect((await listPlans()).map(plan => plan.id)).not.toContain('TEAM_PLAN');
+    expect((await listPlans({ includeRetired: true })).map(plan => plan.id)).toContain('TEAM_PLAN');
+    expect(await getPlan('TEAM_PLAN')).toMatchObject({ status: PLAN_STATUS.RETIRED });
+  });
+
+  test('refuses to retire a tier default', async () => {
+    await expect(retirePlan('FREE_PLAN', 'admin1')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('listPlans', () => {
+  test('filters by tier and currency', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+    expect((await listPlans({ tier: 'premium' })).map(plan => plan.id).sort())
+      .toEqual(['ANNUAL_PLAN', 'MONTHLY_PLAN', 'TEAM_PLAN']);
+    expect((await listPlans({ currency: 'USD' })).map(plan => plan.id)).toEqual(['TEAM_PLAN']);
+  });
+});
+
+describe('seat pricing', () => {
+  test('validates seat counts against the plan bounds', async () => {
+    const enterprise = await getPlan('ENTERPRISE_PLAN');
+    expect(validateSeatCount(enterprise, 5)).toBeNull();
+    expect(validateSeatCount(enterprise, 4)).toMatch(/at least 5/);
+    expect(validateSeatCount(enterprise, 2.5)).toMatch(/positive integer/);
+    expect(validateSeatCount(await getPlan('MONTHLY_PLAN'), 0)).toBeNull();
+  });
+
+  test('quotes per-seat plans by seat and flat plans once', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+    const team = await getPlan('TEAM_PLAN');
+
+    expect(quotePlan(team, { currency: 'ZAR', seats: 3 })).toEqual({ currency: 'ZAR', unitAmount: 179.5, seats: 3, amount: 538.5 });
+    expect(quotePlan(await getPlan('MONTHLY_PLAN'), { seats: 4 })).toMatchObject({ seats: 1, amount: 159.99 });
+    expect(quotePlan(team, { currency: 'EUR' })).toBeNull();
+  });
+});
+
+describe('resolveUserPlan', () => {
+  test('uses the version on a premium subscription', async () => {
+    await createPlan(TEAM_PLAN, 'admin1');
+    await createPlanVersion('TEAM_PLAN', { entitlements: { ...TEAM_PLAN.entitlements, cards: 8 } }, 'admin1');
+    await firebase.db.collection('subscriptions').doc('u1').set({ planId: 'TEAM_PLAN', planVersion: 1 });
+
+    const { tier, plan, entitlements } = await resolveUserPlan('u1', { plan: 'premium' });
+    expect(tier).toBe('premium');
+    expect(plan).toMatchObject({ id: 'TEAM_PLAN', version: 1 });
+    expect(entitlements.cards).toBe(5);
+  });
+
+  test('ignores a recorded plan of another tier and defaults unknown tiers to free', async () => {
+    await firebase.db.collection('subscriptions').doc('u1').set({ planId: 'MONTHLY_PLAN' });
+    await firebase.db.collection('users').doc('u1').set({ plan: 'gold' });
+
+    expect((await resolveUserPlan('u1')).plan.id).toBe('FREE_PLAN');
+  });
+
+  test('gives enterprise members their enterprise plan', async () => {
+    const enterpriseRef = firebase.db.collection('enterprise').doc('ent1');
+    await enterpriseRef.set({ name: 'Acme' });
+
+    const { tier, plan } = await resolveUserPlan('u1', { plan: 'enterprise', enterpriseRef });
+    expect(tier).toBe('enterprise');
+    expect(plan.id).toBe('ENTERPRISE_PLAN');
+  });
+});
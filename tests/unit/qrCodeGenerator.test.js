@@ -0,0 +1,81 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const {
+  parseQrOptions,
+  ensureScannableColor,
+  buildCardQrPayload,
+  resolveQrBranding,
+  renderQrCode
+} = require('../../utils/qrCodeGenerator');
+
+beforeEach(() => firebase.reset());
+
+describe('parseQrOptions', () => {
+  test('defaults to a 300px png', () => {
+    expect(parseQrOptions()).toEqual({ format: 'png', size: 300, margin: 1 });
+  });
+
+  test('clamps size and margin and ignores unknown formats', () => {
+    expect(parseQrOptions({ format: 'SVG', size: '5000', margin: '-3' })).toEqual({ format: 'svg', size: 2000, margin: 0 });
+    expect(parseQrOptions({ format: 'gif', size: '10', margin: '50' })).toEqual({ format: 'png', size: 100, margin: 10 });
+  });
+});
+
+describe('ensureScannableColor', () => {
+  test('keeps dark colours and replaces light ones with black', () => {
+    expect(ensureScannableColor('#1b2b5b')).toBe('#1B2B5B');
+    expect(ensureScannableColor('#ffff00')).toBe('#000000');
+    expect(ensureScannableColor()).toBe('#000000');
+  });
+});
+
+describe('buildCardQrPayload', () => {
+  const card = { name: 'Jane', surname: 'Doe', email: 'jane@example.com', profileImage: 'https://example.com/p.jpg' };
+
+  test('embeds a text-only vCard', async () => {
+    const payload = await buildCardQrPayload({ baseUrl: 'https://xs.example', userId: 'u1', cardIndex: 0, card, payload: 'vcard' });
+    expect(payload).toContain('BEGIN:VCARD');
+    expect(payload).toContain('FN:Jane Doe');
+    expect(payload).not.toContain('PHOTO');
+  });
+
+  test('returns the saveContact URL for direct payloads', async () => {
+    const payload = await buildCardQrPayload({ baseUrl: 'https://xs.example', userId: 'u1', cardIndex: 2, card, payload: 'direct' });
+    expect(payload).toBe('https://xs.example/saveContact?userId=u1&cardIndex=2');
+  });
+
+  test('uses one short link per card by default', async () => {
+    const first = await buildCardQrPayload({ baseUrl: 'https://xs.example', userId: 'u1', cardIndex: 0, card });
+    const second = await buildCardQrPayload({ baseUrl: 'https://xs.example', userId: 'u1', cardIndex: 0, card });
+    expect(first).toMatch(/^https:\/\/xs\.example\/c\/[a-zA-Z0-9]{7}$/);
+    expect(second).toBe(first);
+  });
+});
+
+describe('resolveQrBranding', () => {
+  test('accepts hex colours and the card colour', async () => {
+    await expect(resolveQrBranding('u1', {}, { color: '336699' })).resolves.toEqual({ foreground: '#336699', logo: null });
+    await expect(resolveQrBranding('u1', { colorScheme: '#102030' }, { color: 'card' }))
+      .resolves.toEqual({ foreground: '#102030', logo: null });
+  });
+});
+
+describe('renderQrCode', () => {
+  test('renders svg with the requested colour', async () => {
+    const result = await renderQrCode('https://xs.example/c/abc1234', { format: 'svg', size: 200, foreground: '#336699' });
+    expect(result.contentType).toBe('image/svg+xml');
+    const svg = result.buffer.toString('utf8');
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('#336699');
+  });
+
+  test('renders png and pdf', async () => {
+    const png = await renderQrCode('hello', { format: 'png', size: 120 });
+    expect(png.buffer.slice(1, 4).toString()).toBe('PNG');
+
+    const pdf = await renderQrCode('hello', { format: 'pdf', size: 120 });
+    expect(pdf.contentType).toBe('application/pdf');
+    expect(pdf.buffer.slice(0, 4).toString()).toBe('%PDF');
+  });
+});
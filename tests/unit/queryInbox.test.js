@@ -0,0 +1,203 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  sendMailWithStatus: jest.fn(async () => ({ success: true, messageId: 'msg-1' })),
+  sendNotificationEmail: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logActivity: jest.fn(async () => {})
+}));
+
+// config/config.js only has development and production settings
+process.env.NODE_ENV = 'development';
+
+const firebase = require('../../firebase');
+const { sendMailWithStatus, sendNotificationEmail } = require('../../public/Utils/emailService');
+const {
+  QUERIES_COLLECTION,
+  QUERY_STATUS,
+  MAX_LENGTHS,
+  validateQuery,
+  createQuery,
+  listQueries,
+  setQueryStatus,
+  notifyQueryReceived,
+  replyToQuery
+} = require('../../utils/queryInbox');
+const queryController = require('../../controllers/queryController');
+
+const { db } = firebase;
+
+const FIELDS = { name: 'Grace', email: 'grace@example.com', message: 'Hello' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const storedQueries = async () => (await db.collection(QUERIES_COLLECTION).get()).docs.map(doc => doc.data());
+
+beforeEach(() => {
+  firebase.reset();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('validateQuery', () => {
+  test('trims the fields and lower-cases the email', () => {
+    expect(validateQuery({ name: ' Grace ', email: ' Grace@Example.COM ', message: '\nHello\n', to: 'x@example.com' }))
+      .toEqual(FIELDS);
+  });
+
+  test.each([
+    ['a missing name', { name: '' }, /required/],
+    ['a blank message', { message: '   ' }, /required/],
+    ['an invalid email', { email: 'grace@example' }, /valid email/],
+    ['a long name', { name: 'x'.repeat(MAX_LENGTHS.name + 1) }, /name must be at most 100/],
+    ['a long message', { message: 'x'.repeat(MAX_LENGTHS.message + 1) }, /message must be at most 5000/]
+  ])('rejects %s with a 400', (_, overrides, message) => {
+    let error;
+    try {
+      validateQuery({ ...FIELDS, ...overrides });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ status: 400, message: expect.stringMatching(message) });
+  });
+
+  test('rejects an empty body', () => {
+    expect(() => validateQuery()).toThrow(/required/);
+  });
+});
+
+describe('inbox', () => {
+  test('lists an owner\'s queries newest first, a page at a time', async () => {
+    const now = jest.spyOn(Date, 'now');
+    for (let i = 0; i < 3; i++) {
+      now.mockReturnValue(1700000000000 + i * 1000);
+      await createQuery({ userId: 'u1', cardIndex: i % 2, query: { ...FIELDS, message: `m${i}` } });
+    }
+    now.mockRestore();
+    await createQuery({ userId: null, query: FIELDS });
+
+    const first = await listQueries('u1', { limit: 2 });
+    expect(first.queries.map(query => query.message)).toEqual(['m2', 'm1']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await listQueries('u1', { limit: 2, startAfter: first.nextCursor });
+    expect(second).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(second.queries.map(query => query.message)).toEqual(['m0']);
+
+    expect((await listQueries('u1', { cardIndex: '1' })).queries.map(query => query.message)).toEqual(['m1']);
+    expect((await listQueries(null)).queries).toHaveLength(1);
+    await expect(listQueries('u1', { status: 'spam' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('marks queries handled and back to new', async () => {
+    const { id } = await createQuery({ userId: 'u1', query: FIELDS });
+
+    expect(await setQueryStatus(id, QUERY_STATUS.HANDLED, 'u1')).toMatchObject({ status: 'handled', handledBy: 'u1' });
+    expect(await setQueryStatus(id, QUERY_STATUS.NEW, 'u1')).toMatchObject({ status: 'new', handledAt: null });
+    await expect(setQueryStatus(id, QUERY_STATUS.REPLIED, 'u1')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('notifyQueryReceived', () => {
+  const query = { id: 'q1', userId: 'u1', name: '<b>Eve</b>', email: 'eve@example.com', message: 'Hi\n<script>alert(1)</script>' };
+
+  test('notifies the card owner with the submitted text escaped', async () => {
+    await notifyQueryReceived(query, { email: 'owner@example.com' });
+
+    const [userId, preference, mail] = sendNotificationEmail.mock.calls[0];
+    expect([userId, preference, mail.to]).toEqual(['u1', 'teamUpdates', 'owner@example.com']);
+    expect(mail.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(mail.html).toContain('Hi<br>');
+    expect(mail.html).not.toContain('<script>');
+  });
+
+  test('sends platform queries to the platform inbox with reply-to set', async () => {
+    await notifyQueryReceived({ ...query, userId: null }, null);
+
+    expect(sendMailWithStatus).toHaveBeenCalledWith(expect.objectContaining({ to: 'xscard@xspark.co.za', replyTo: 'eve@example.com' }));
+    expect(sendNotificationEmail).not.toHaveBeenCalled();
+  });
+
+  test('skips owners without an email address', async () => {
+    expect(await notifyQueryReceived(query, {})).toMatchObject({ success: false });
+  });
+});
+
+describe('replyToQuery', () => {
+  test('emails the sender and records the reply', async () => {
+    const query = await createQuery({ userId: 'u1', query: FIELDS });
+    const result = await replyToQuery(query, {
+      message: 'Thanks!',
+      repliedBy: 'u1',
+      sender: { name: 'Ada', surname: 'Lovelace', email: 'ada@example.com' }
+    });
+
+    expect(sendMailWithStatus).toHaveBeenCalledWith(expect.objectContaining({ to: 'grace@example.com', replyTo: 'ada@example.com' }), 'u1');
+    expect(sendMailWithStatus.mock.calls[0][0].html).toContain('Ada Lovelace');
+    expect(result.messageId).toBe('msg-1');
+    expect(result.query).toMatchObject({ status: 'replied', replies: [expect.objectContaining({ message: 'Thanks!', repliedBy: 'u1' })] });
+  });
+
+  test('records nothing when the email fails', async () => {
+    const query = await createQuery({ userId: 'u1', query: FIELDS });
+    sendMailWithStatus.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+
+    await expect(replyToQuery(query, { message: 'Thanks!', repliedBy: 'u1' })).rejects.toMatchObject({ status: 502 });
+    await expect(replyToQuery(query, { message: ' ', repliedBy: 'u1' })).rejects.toMatchObject({ status: 400 });
+    expect((await storedQueries())[0].replies).toEqual([]);
+  });
+});
+
+describe('submitQuery', () => {
+  const submit = async (body) => {
+    const res = mockResponse();
+    await queryController.submitQuery({ body, headers: { 'user-agent': 'jest' }, ip: '203.0.113.9' }, res);
+    return res;
+  };
+
+  test('stores the query against the card owner and notifies them, never a page-supplied address', async () => {
+    await db.collection('users').doc('u1').set({ email: 'owner@example.com' });
+    const res = await submit({ ...FIELDS, userId: 'u1', cardIndex: '1', to: 'attacker@example.com' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(await storedQueries()).toEqual([expect.objectContaining({
+      userId: 'u1',
+      cardIndex: 1,
+      email: 'grace@example.com',
+      source: expect.objectContaining({ ipAddress: '203.0.113.9', userAgent: 'jest' })
+    })]);
+    expect(sendNotificationEmail.mock.calls[0][2].to).toBe('owner@example.com');
+    expect(sendMailWithStatus).not.toHaveBeenCalled();
+  });
+
+  test('drops honeypot submissions without storing them', async () => {
+    const res = await submit({ ...FIELDS, website: 'http://spam.example.com' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(await storedQueries()).toEqual([]);
+  });
+
+  test('rejects invalid fields and unknown card owners', async () => {
+    expect((await submit({ ...FIELDS, email: 'nope' })).status).toHaveBeenCalledWith(400);
+    expect((await submit({ ...FIELDS, userId: 'ghost' })).status).toHaveBeenCalledWith(404);
+    expect(await storedQueries()).toEqual([]);
+  });
+
+  test('keeps the query when the notification fails', async () => {
+    sendMailWithStatus.mockRejectedValueOnce(new Error('SMTP down'));
+    const res = await submit(FIELDS);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(await storedQueries()).toEqual([expect.objectContaining({ userId: null, cardIndex: null })]);
+  });
+});
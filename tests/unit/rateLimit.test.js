@@ -0,0 +1,215 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  sendSecurityAlert: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logActivity: jest.fn(async () => {})
+}));
+
+process.env.RATE_LIMIT_BACKEND = 'memory';
+
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { sendSecurityAlert } = require('../../public/Utils/emailService');
+const { RATE_LIMITS, LOGIN_LOCKOUT } = require('../../config/rateLimits');
+const rateLimiter = require('../../utils/rateLimit');
+const { rateLimit, getRateLimitIp } = require('../../middleware/rateLimit');
+const { checkAccountLock, recordFailedSignIn, clearFailedSignIns } = require('../../utils/loginProtection');
+
+const { MemoryRateLimitStore } = rateLimiter;
+
+// Buckets persist in the shared memory store, so each test uses its own IPs and accounts
+let testId = 0;
+beforeEach(() => {
+  testId++;
+  firebase.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('MemoryRateLimitStore', () => {
+  test('counts within a window and starts a new one after it', async () => {
+    const store = new MemoryRateLimitStore();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    expect(await store.hit('k', 500)).toEqual({ count: 1, resetAt: 1500 });
+    expect(await store.hit('k', 500)).toEqual({ count: 2, resetAt: 1500 });
+
+    now.mockReturnValue(1500);
+    expect(await store.get('k')).toBeNull();
+    expect(await store.hit('k', 500)).toEqual({ count: 1, resetAt: 2000 });
+
+    now.mockReturnValue(3000);
+    store.sweep();
+    expect(store.buckets.size).toBe(0);
+  });
+});
+
+describe('consume', () => {
+  test('allows max requests per window and reports when to retry', async () => {
+    const key = `consume:${testId}`;
+    const limit = { max: 2, windowMs: 60 * 1000 };
+
+    expect(await rateLimiter.consume(key, limit)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(await rateLimiter.consume(key, limit)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await rateLimiter.consume(key, limit)).toMatchObject({ allowed: false, count: 3, retryAfter: 60 });
+
+    await rateLimiter.reset(key);
+    expect(await rateLimiter.consume(key, limit)).toMatchObject({ allowed: true, count: 1 });
+  });
+});
+
+describe('getRateLimitIp', () => {
+  test("uses Express's req.ip and ignores client-sent X-Forwarded-For", () => {
+    const req = { ip: '198.51.100.4', headers: { 'x-forwarded-for': '1.2.3.4' }, socket: { remoteAddress: '10.0.0.1' } };
+    expect(getRateLimitIp(req)).toBe('198.51.100.4');
+    expect(getRateLimitIp({ headers: { 'x-forwarded-for': '1.2.3.4' }, socket: { remoteAddress: '10.0.0.1' } })).toBe('10.0.0.1');
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const send = async (ruleName, { ip, body = {} }) => {
+    const req = { ip, body, headers: {}, method: 'POST', originalUrl: '/test' };
+    const res = {};
+    res.set = jest.fn(() => res);
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    const next = jest.fn();
+    await rateLimit(ruleName)(req, res, next);
+    return { res, next, limited: res.status.mock.calls.some(([status]) => status === 429) };
+  };
+
+  const ipFor = (n) => `203.0.${testId}.${n}`;
+
+  test('rejects unknown rules', () => {
+    expect(() => rateLimit('nope')).toThrow(/Unknown rate limit rule/);
+  });
+
+  test('limits each IP and answers 429 with Retry-After', async () => {
+    const { max } = RATE_LIMITS.publicUsers.ip;
+    for (let i = 0; i < max; i++) {
+      expect((await send('publicUsers', { ip: ipFor(1) })).limited).toBe(false);
+    }
+
+    const { res, next, limited } = await send('publicUsers', { ip: ipFor(1) });
+    expect(limited).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(res.json.mock.calls[0][0]).toMatchObject({ error: 'RATE_LIMITED' });
+
+    expect((await send('publicUsers', { ip: ipFor(2) })).limited).toBe(false);
+  });
+
+  test("keys card owner buckets per IP, so one client can't exhaust an owner's allowance", async () => {
+    const owner = `owner-${testId}`;
+    const { max } = RATE_LIMITS.addContact.account;
+    for (let i = 0; i < max; i++) {
+      await send('addContact', { ip: ipFor(1), body: { userId: owner } });
+    }
+
+    expect((await send('addContact', { ip: ipFor(1), body: { userId: owner } })).limited).toBe(true);
+    expect((await send('addContact', { ip: ipFor(2), body: { userId: owner } })).limited).toBe(false);
+    expect((await send('addContact', { ip: ipFor(1), body: { userId: `other-${testId}` } })).limited).toBe(false);
+  });
+
+  test('keys email account buckets on the email across IPs', async () => {
+    const email = `User${testId}@Example.com`;
+    const { max } = RATE_LIMITS.forgotPassword.account;
+    for (let i = 0; i < max; i++) {
+      await send('forgotPassword', { ip: ipFor(i), body: { email } });
+    }
+
+    expect((await send('forgotPassword', { ip: ipFor(99), body: { email: email.toLowerCase() } })).limited).toBe(true);
+  });
+
+  test("limits sign-in per IP only, so other clients can't lock an account out", async () => {
+    const email = `user${testId}@example.com`;
+    const { max } = RATE_LIMITS.signIn.ip;
+    for (let i = 0; i <= max; i++) {
+      expect((await send('signIn', { ip: ipFor(i), body: { email } })).limited).toBe(false);
+    }
+
+    expect(RATE_LIMITS.signIn.account).toBeUndefined();
+  });
+
+  test('can be turned off', async () => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    try {
+      for (let i = 0; i <= RATE_LIMITS.forgotPassword.ip.max; i++) {
+        expect((await send('forgotPassword', { ip: ipFor(1) })).next).toHaveBeenCalled();
+      }
+    } finally {
+      delete process.env.RATE_LIMIT_ENABLED;
+    }
+  });
+});
+
+describe('login protection', () => {
+  const createUser = async (data = {}) => {
+    const email = `person${testId}@example.com`;
+    await firebase.db.collection('users').doc('u1').set({ email, name: 'Person', ...data });
+    return email;
+  };
+
+  const readUser = async () => (await firebase.db.collection('users').doc('u1').get()).data();
+
+  const failTimes = async (email, times) => {
+    let result;
+    for (let i = 0; i < times; i++) result = await recordFailedSignIn(email, { ipAddress: '203.0.113.1' });
+    return result;
+  };
+
+  beforeEach(() => sendSecurityAlert.mockClear());
+
+  test('locks the account after repeated failures and tells the owner', async () => {
+    const email = await createUser();
+
+    expect(await failTimes(email, LOGIN_LOCKOUT.MAX_FAILURES - 1)).toEqual({ locked: false });
+    const result = await recordFailedSignIn(email.toUpperCase());
+
+    expect(result).toMatchObject({ locked: true, level: 1 });
+    expect(await readUser()).toMatchObject({ accountLocked: true, accountLockedBy: 'system', signInLockoutCount: 1 });
+    expect(await checkAccountLock(email)).toMatchObject({ locked: true });
+    expect(sendSecurityAlert).toHaveBeenCalledWith('u1', expect.objectContaining({ type: 'account_locked' }));
+  });
+
+  test('escalates lockouts that follow each other', async () => {
+    const email = await createUser({
+      signInLockoutCount: 1,
+      lastSignInLockoutAt: Timestamp.fromMillis(Date.now() - 60 * 60 * 1000)
+    });
+
+    const result = await failTimes(email, LOGIN_LOCKOUT.MAX_FAILURES);
+    expect(result).toMatchObject({ locked: true, level: 2 });
+    const lockedFor = result.lockedUntil.getTime() - Date.now();
+    expect(Math.round(lockedFor / 60000)).toBe(LOGIN_LOCKOUT.LOCK_DURATIONS_MINUTES[1]);
+  });
+
+  test('lifts expired automatic locks but keeps admin locks', async () => {
+    const email = await createUser({
+      accountLocked: true,
+      accountLockedBy: 'system',
+      accountLockedUntil: Timestamp.fromMillis(Date.now() - 1000)
+    });
+    expect(await checkAccountLock(email)).toEqual({ locked: false, lockedUntil: null, reason: null });
+    expect((await readUser()).accountLocked).toBe(false);
+
+    await firebase.db.collection('users').doc('u1').update({ accountLocked: true, accountLockedBy: 'admin1', accountLockReason: 'Investigation' });
+    expect(await checkAccountLock(email)).toMatchObject({ locked: true, reason: 'Investigation' });
+  });
+
+  test('forgets failures after a successful sign-in', async () => {
+    const email = await createUser();
+    await failTimes(email, LOGIN_LOCKOUT.MAX_FAILURES - 1);
+    await clearFailedSignIns(email);
+
+    expect(await recordFailedSignIn(email)).toEqual({ locked: false });
+  });
+
+  test('does not lock unknown emails', async () => {
+    expect(await failTimes(`ghost${testId}@example.com`, LOGIN_LOCKOUT.MAX_FAILURES)).toEqual({ locked: false });
+  });
+});
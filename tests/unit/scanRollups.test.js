@@ -0,0 +1,271 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../locationService', () => ({
+  getLocationFromIp: jest.fn(async () => ({ countryCode: 'za' }))
+}));
+
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { getLocationFromIp } = require('../../locationService');
+const {
+  ROLLUPS_COLLECTION,
+  TOTALS_COLLECTION,
+  ROLLUP_SCOPES,
+  rollupKey,
+  detectDevice,
+  countryFromHeaders,
+  membershipOf,
+  recordScanRollups,
+  withScanCounts,
+  reindexScanRollupsAfterCardDelete,
+  parseRange,
+  getScanAnalytics,
+  rankWithinEnterprise,
+  countScans
+} = require('../../utils/scanRollups');
+
+const { db } = firebase;
+const DAY = 24 * 60 * 60 * 1000;
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)';
+
+const readDoc = async (collection, id) => {
+  const doc = await db.collection(collection).doc(id).get();
+  return doc.exists ? doc.data() : null;
+};
+
+const rollupIds = () => [...firebase.db._store.keys()]
+  .filter(path => path.startsWith(`${ROLLUPS_COLLECTION}/`))
+  .map(path => path.slice(ROLLUPS_COLLECTION.length + 1))
+  .sort();
+
+// Scans are recorded at the current time, so tests pin the clock
+const scanAt = async (iso, scan = {}) => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(iso));
+  try {
+    return await recordScanRollups({ userId: 'u1', cardIndex: 0, scanType: 'save', country: 'ZA', userAgent: IPHONE, ...scan });
+  } finally {
+    now.mockRestore();
+  }
+};
+
+beforeEach(() => {
+  firebase.reset();
+  getLocationFromIp.mockClear();
+});
+
+describe('rollupKey', () => {
+  test('builds one key per scope', () => {
+    const ids = { userId: 'u1', cardIndex: '2', departmentId: 'sales', enterpriseId: 'ent1' };
+    expect(rollupKey(ROLLUP_SCOPES.CARD, ids)).toBe('u1:2');
+    expect(rollupKey(ROLLUP_SCOPES.USER, ids)).toBe('u1');
+    expect(rollupKey(ROLLUP_SCOPES.DEPARTMENT, ids)).toBe('ent1:sales');
+    expect(rollupKey(ROLLUP_SCOPES.ENTERPRISE, ids)).toBe('ent1');
+    expect(() => rollupKey('team', ids)).toThrow(/Unknown scan rollup scope/);
+  });
+});
+
+describe('request details', () => {
+  test('detects the device family', () => {
+    expect(detectDevice(IPHONE)).toBe('ios');
+    expect(detectDevice('Mozilla/5.0 (Linux; Android 14; Pixel 8)')).toBe('android');
+    expect(detectDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64)')).toBe('desktop');
+    expect(detectDevice('curl/8.0')).toBe('other');
+    expect(detectDevice(undefined)).toBe('unknown');
+  });
+
+  test('reads the country from CDN headers, ignoring unknown values', () => {
+    expect(countryFromHeaders({ 'cf-ipcountry': 'za' })).toBe('ZA');
+    expect(countryFromHeaders({ 'cf-ipcountry': 'XX', 'cloudfront-viewer-country': 'GB' })).toBe('GB');
+    expect(countryFromHeaders({ 'x-country-code': 'South Africa' })).toBeNull();
+    expect(countryFromHeaders()).toBeNull();
+  });
+
+  test('takes the department from departmentRef or the employee path', () => {
+    const enterpriseRef = db.doc('enterprise/ent1');
+    expect(membershipOf({ enterpriseRef, departmentRef: db.doc('enterprise/ent1/departments/sales') }))
+      .toEqual({ enterpriseId: 'ent1', departmentId: 'sales' });
+    expect(membershipOf({ enterpriseRef, employeeRef: db.doc('enterprise/ent1/departments/ops/employees/e1') }))
+      .toEqual({ enterpriseId: 'ent1', departmentId: 'ops' });
+    expect(membershipOf()).toEqual({ enterpriseId: null, departmentId: null });
+  });
+});
+
+describe('recordScanRollups', () => {
+  const userData = {
+    enterpriseRef: db.doc('enterprise/ent1'),
+    employeeRef: db.doc('enterprise/ent1/departments/sales/employees/e1')
+  };
+
+  test('counts the scan in every scope it belongs to and in the card total', async () => {
+    await scanAt('2026-03-10T09:30:00Z', { cardIndex: '1', scanType: 'Exchange!', userData });
+    await scanAt('2026-03-10T14:00:00Z', { cardIndex: 1, userData });
+
+    expect(rollupIds()).toEqual([
+      'card:u1:1:2026-03-10',
+      'department:ent1:sales:2026-03-10',
+      'enterprise:ent1:2026-03-10',
+      'user:u1:2026-03-10'
+    ]);
+    expect(await readDoc(ROLLUPS_COLLECTION, 'enterprise:ent1:2026-03-10')).toMatchObject({
+      total: 2,
+      hours: { '09': 1, '14': 1 },
+      scanTypes: { exchange: 1, save: 1 },
+      countries: { ZA: 2 },
+      devices: { ios: 2 }
+    });
+    expect(await readDoc(TOTALS_COLLECTION, 'u1:1')).toMatchObject({ scanCount: 2, cardIndex: 1 });
+  });
+
+  test('keeps scans of users outside an enterprise to card and user rollups', async () => {
+    await scanAt('2026-03-10T09:30:00Z');
+    expect(rollupIds()).toEqual(['card:u1:0:2026-03-10', 'user:u1:2026-03-10']);
+  });
+
+  test('uses plausible client timestamps and the server time otherwise', async () => {
+    const now = '2026-03-10T09:30:00Z';
+    expect((await scanAt(now, { timestamp: Date.parse('2026-03-09T23:00:00Z') })).scannedAt.toISOString()).toBe('2026-03-09T23:00:00.000Z');
+    expect((await scanAt(now, { timestamp: Date.parse('2026-03-10T12:00:00Z') })).scannedAt.toISOString()).toBe('2026-03-10T09:30:00.000Z');
+    expect((await scanAt(now, { timestamp: Date.parse('2026-01-01T00:00:00Z') })).scannedAt.toISOString()).toBe('2026-03-10T09:30:00.000Z');
+    expect((await scanAt(now, { timestamp: 'not a date' })).scannedAt.toISOString()).toBe('2026-03-10T09:30:00.000Z');
+  });
+
+  test('looks the country up by IP when the CDN did not send it', async () => {
+    expect((await scanAt('2026-03-10T09:30:00Z', { country: null, ipAddress: '198.51.100.1' })).country).toBe('ZA');
+    expect((await scanAt('2026-03-10T09:30:00Z', { country: null })).country).toBe('unknown');
+    expect(getLocationFromIp).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('withScanCounts', () => {
+  test('adds rollup totals to the counts cards had before rollups', async () => {
+    const before = Timestamp.fromMillis(Date.parse('2026-01-01T00:00:00Z'));
+    await db.collection(TOTALS_COLLECTION).doc('u1:0').set({
+      userId: 'u1',
+      cardIndex: 0,
+      scanCount: 3,
+      lastScannedAt: Timestamp.fromMillis(Date.parse('2026-03-01T00:00:00Z'))
+    });
+
+    const cards = await withScanCounts('u1', [{ name: 'A', scanCount: 10, lastScanned: before }, { name: 'B', scanCount: 1 }]);
+    expect(cards[0].scanCount).toBe(13);
+    expect(cards[0].lastScanned.toDate().toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(cards[1]).toEqual({ name: 'B', scanCount: 1 });
+  });
+});
+
+describe('reindexScanRollupsAfterCardDelete', () => {
+  test("removes the deleted card's rollups and moves later cards down one index", async () => {
+    await scanAt('2026-03-10T09:30:00Z', { cardIndex: 0 });
+    await scanAt('2026-03-10T09:30:00Z', { cardIndex: 1 });
+    await scanAt('2026-03-10T09:30:00Z', { cardIndex: 2 });
+    await scanAt('2026-03-10T09:30:00Z', { cardIndex: 2 });
+
+    expect(await reindexScanRollupsAfterCardDelete('u1', 1)).toEqual({ deleted: 2, moved: 2 });
+
+    expect(rollupIds()).toEqual(['card:u1:0:2026-03-10', 'card:u1:1:2026-03-10', 'user:u1:2026-03-10']);
+    expect(await readDoc(ROLLUPS_COLLECTION, 'card:u1:1:2026-03-10')).toMatchObject({ key: 'u1:1', cardIndex: 1, total: 2 });
+    expect(await readDoc(TOTALS_COLLECTION, 'u1:1')).toMatchObject({ cardIndex: 1, scanCount: 2 });
+    expect(await readDoc(TOTALS_COLLECTION, 'u1:2')).toBeNull();
+    expect(await readDoc(ROLLUPS_COLLECTION, 'user:u1:2026-03-10')).toMatchObject({ total: 4 });
+  });
+});
+
+describe('parseRange', () => {
+  test('covers whole UTC days, inclusive', () => {
+    expect(parseRange({ from: '2026-03-01', to: '2026-03-10T18:00:00Z' })).toEqual({
+      from: new Date('2026-03-01T00:00:00Z'),
+      to: new Date('2026-03-10T00:00:00Z'),
+      days: 10,
+      bucket: 'day'
+    });
+  });
+
+  test('defaults to the last 30 days', () => {
+    const { from, to, days } = parseRange();
+    expect(days).toBe(30);
+    expect(to.toISOString().slice(0, 10)).toBe(new Date().toISOString().slice(0, 10));
+    expect(to - from).toBe(29 * DAY);
+  });
+
+  test.each([
+    ['an unknown bucket', { bucket: 'month' }, /bucket must be one of/],
+    ['a bad from date', { from: 'yesterday' }, /from must be a date/],
+    ['a bad to date', { to: '2026-13-45' }, /to must be a date/],
+    ['from after to', { from: '2026-03-10', to: '2026-03-01' }, /must not be after/],
+    ['too many hours', { from: '2026-01-01', to: '2026-03-01', bucket: 'hour' }, /hour buckets cover at most 31 days/]
+  ])('rejects %s with a 400', (_, query, message) => {
+    let error;
+    try {
+      parseRange(query);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ status: 400, message: expect.stringMatching(message) });
+  });
+});
+
+describe('analytics', () => {
+  const enterpriseUser = (departmentId) => ({
+    enterpriseRef: db.doc('enterprise/ent1'),
+    departmentRef: db.doc(`enterprise/ent1/departments/${departmentId}`)
+  });
+
+  beforeEach(async () => {
+    await scanAt('2026-03-02T08:00:00Z', { userData: enterpriseUser('sales') });
+    await scanAt('2026-03-03T08:00:00Z', { userData: enterpriseUser('sales'), scanType: 'exchange' });
+    await scanAt('2026-03-03T09:00:00Z', { userId: 'u2', userData: enterpriseUser('ops') });
+    await scanAt('2026-03-08T10:00:00Z', { userData: enterpriseUser('sales'), userAgent: 'Mozilla/5.0 (Windows NT 10.0)' });
+    await scanAt('2026-02-27T10:00:00Z', { userData: enterpriseUser('sales') });
+  });
+
+  test('sums a range with breakdowns, a daily series and the previous period', async () => {
+    const result = await getScanAnalytics(ROLLUP_SCOPES.USER, { userId: 'u1' }, { from: '2026-03-02', to: '2026-03-04' });
+
+    expect(result).toMatchObject({
+      scope: 'user',
+      userId: 'u1',
+      range: { from: '2026-03-02', to: '2026-03-04', days: 3 },
+      total: 2,
+      scanTypes: { save: 1, exchange: 1 },
+      devices: { ios: 2 },
+      previous: { range: { from: '2026-02-27', to: '2026-03-01' }, total: 1 },
+      change: { total: 1, percent: 100 }
+    });
+    expect(result.series).toEqual([
+      { start: '2026-03-02T00:00:00.000Z', total: 1 },
+      { start: '2026-03-03T00:00:00.000Z', total: 1 },
+      { start: '2026-03-04T00:00:00.000Z', total: 0 }
+    ]);
+  });
+
+  test('buckets by hour and by week starting Monday', async () => {
+    const hourly = await getScanAnalytics(ROLLUP_SCOPES.ENTERPRISE, { enterpriseId: 'ent1' }, { from: '2026-03-03', to: '2026-03-03', bucket: 'hour', compare: false });
+    expect(hourly.series).toHaveLength(24);
+    expect(hourly.series.filter(bucket => bucket.total)).toEqual([
+      { start: '2026-03-03T08:00:00.000Z', total: 1 },
+      { start: '2026-03-03T09:00:00.000Z', total: 1 }
+    ]);
+    expect(hourly).not.toHaveProperty('previous');
+
+    const weekly = await getScanAnalytics(ROLLUP_SCOPES.ENTERPRISE, { enterpriseId: 'ent1' }, { from: '2026-03-02', to: '2026-03-10', bucket: 'week', compare: false });
+    expect(weekly.series).toEqual([
+      { start: '2026-03-02T00:00:00.000Z', total: 4 },
+      { start: '2026-03-09T00:00:00.000Z', total: 0 }
+    ]);
+  });
+
+  test('ranks users and departments within an enterprise', async () => {
+    expect(await rankWithinEnterprise(ROLLUP_SCOPES.USER, 'ent1', { from: '2026-03-01', to: '2026-03-10' })).toEqual([
+      { userId: 'u1', total: 3, scanTypes: { save: 2, exchange: 1 } },
+      { userId: 'u2', total: 1, scanTypes: { save: 1 } }
+    ]);
+    const departments = await rankWithinEnterprise(ROLLUP_SCOPES.DEPARTMENT, 'ent1', { from: '2026-03-01', to: '2026-03-10', limit: 1 });
+    expect(departments).toEqual([{ departmentId: 'sales', total: 3, scanTypes: { save: 2, exchange: 1 } }]);
+  });
+
+  test('counts scans over whole days', async () => {
+    const count = (from, to) => countScans(ROLLUP_SCOPES.CARD, { userId: 'u1', cardIndex: 0 }, new Date(from), new Date(to));
+    expect(await count('2026-03-02T00:00:00Z', '2026-03-08T00:00:00Z')).toBe(3);
+    expect(await count('2026-03-03T00:00:00Z', '2026-03-03T00:00:00Z')).toBe(1);
+  });
+});
@@ -0,0 +1,282 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const { Timestamp } = require('./helpers/fakeFirestore');
+const { authenticateScim } = require('../../middleware/scimAuth');
+const {
+  SCHEMAS,
+  SCIM_TOKENS_COLLECTION,
+  ScimError,
+  toScimErrorBody,
+  generateScimToken,
+  hashScimToken,
+  parseFilter,
+  parsePagination,
+  toListResponse,
+  toScimUser,
+  fromScimUser,
+  userPatchToChanges,
+  groupPatchToChanges,
+  parseGroupId
+} = require('../../utils/scim');
+
+const BASE_URL = 'https://api.example.com/scim/v2';
+
+describe('tokens', () => {
+  test('generates prefixed tokens whose hash is the stored id', () => {
+    const { token, tokenHash, lastFour } = generateScimToken();
+    expect(token).toMatch(/^xscim_[\w-]{43}$/);
+    expect(tokenHash).toBe(hashScimToken(token));
+    expect(tokenHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(lastFour).toBe(token.slice(-4));
+    expect(generateScimToken().token).not.toBe(token);
+  });
+});
+
+describe('parseFilter', () => {
+  const supported = ['userName', 'externalId'];
+
+  test('returns null without a filter', () => {
+    expect(parseFilter(undefined, supported)).toBeNull();
+  });
+
+  test('matches attributes case-insensitively and unescapes the value', () => {
+    expect(parseFilter('USERNAME eq "a\\"b@example.com"', supported)).toEqual({
+      attribute: 'userName',
+      value: 'a"b@example.com'
+    });
+  });
+
+  test('rejects other operators and attributes with invalidFilter', () => {
+    expect(() => parseFilter('userName co "a"', supported)).toThrow(expect.objectContaining({ status: 400, scimType: 'invalidFilter' }));
+    expect(() => parseFilter('title eq "CTO"', supported)).toThrow(expect.objectContaining({ status: 400, scimType: 'invalidFilter' }));
+  });
+});
+
+describe('pagination', () => {
+  test('defaults and clamps startIndex and count', () => {
+    expect(parsePagination({})).toEqual({ startIndex: 1, count: 100 });
+    expect(parsePagination({ startIndex: '-4', count: '5000' })).toEqual({ startIndex: 1, count: 200 });
+    expect(parsePagination({ startIndex: '11', count: '-1' })).toEqual({ startIndex: 11, count: 0 });
+  });
+
+  test('wraps resources in a ListResponse', () => {
+    expect(toListResponse([{ id: 'a' }], 7, 3)).toEqual({
+      schemas: [SCHEMAS.LIST_RESPONSE],
+      totalResults: 7,
+      startIndex: 3,
+      itemsPerPage: 1,
+      Resources: [{ id: 'a' }]
+    });
+  });
+});
+
+describe('toScimErrorBody', () => {
+  test('renders status as a string and includes scimType when set', () => {
+    expect(toScimErrorBody(new ScimError(409, 'exists', 'uniqueness'))).toEqual({
+      schemas: [SCHEMAS.ERROR],
+      status: '409',
+      scimType: 'uniqueness',
+      detail: 'exists'
+    });
+    expect(toScimErrorBody(new Error('boom'))).not.toHaveProperty('scimType');
+  });
+});
+
+describe('toScimUser', () => {
+  test('combines the user and employee records', () => {
+    const user = toScimUser('u1', {
+      email: 'ada@example.com',
+      name: 'Ada',
+      surname: 'Lovelace',
+      scimExternalId: 'okta-1',
+      createdAt: Timestamp.fromDate('2026-01-01T00:00:00Z')
+    }, {
+      data: { position: 'Engineer', employeeId: 'E7', phone: '+27820000000', isActive: true },
+      departmentName: 'R&D'
+    }, BASE_URL);
+
+    expect(user).toMatchObject({
+      id: 'u1',
+      externalId: 'okta-1',
+      userName: 'ada@example.com',
+      name: { givenName: 'Ada', familyName: 'Lovelace', formatted: 'Ada Lovelace' },
+      phoneNumbers: [{ value: '+27820000000', type: 'work' }],
+      title: 'Engineer',
+      active: true,
+      [SCHEMAS.ENTERPRISE_USER]: { employeeNumber: 'E7', department: 'R&D' },
+      meta: {
+        resourceType: 'User',
+        created: '2026-01-01T00:00:00.000Z',
+        lastModified: '2026-01-01T00:00:00.000Z',
+        location: `${BASE_URL}/Users/u1`
+      }
+    });
+  });
+
+  test('is inactive when either record is deactivated', () => {
+    expect(toScimUser('u1', { email: 'a@example.com', active: false }, null, BASE_URL).active).toBe(false);
+    expect(toScimUser('u1', { email: 'a@example.com' }, { data: { isActive: false } }, BASE_URL).active).toBe(false);
+    expect(toScimUser('u1', { email: 'a@example.com' }, null, BASE_URL).displayName).toBe('a@example.com');
+  });
+});
+
+describe('fromScimUser', () => {
+  test('reads the fields we store, preferring primary values', () => {
+    expect(fromScimUser({
+      userName: ' Ada@Example.com ',
+      externalId: 'okta-1',
+      name: { givenName: 'Ada', familyName: 'Lovelace' },
+      phoneNumbers: [{ value: '111', type: 'home' }, { value: '222', primary: true }],
+      title: 'Engineer',
+      active: 'False',
+      [SCHEMAS.ENTERPRISE_USER]: { employeeNumber: 'E7', department: 'R&D' }
+    })).toEqual({
+      email: 'ada@example.com',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      phone: '222',
+      title: 'Engineer',
+      externalId: 'okta-1',
+      employeeId: 'E7',
+      department: 'R&D',
+      active: false
+    });
+  });
+
+  test('falls back to the work email and leaves active unset when absent', () => {
+    const fields = fromScimUser({ emails: [{ value: 'x@example.com', type: 'work' }] });
+    expect(fields.email).toBe('x@example.com');
+    expect(fields).not.toHaveProperty('active');
+  });
+});
+
+describe('userPatchToChanges', () => {
+  test('maps path operations, including Azure AD string booleans', () => {
+    expect(userPatchToChanges({
+      Operations: [
+        { op: 'Replace', path: 'active', value: 'False' },
+        { op: 'replace', path: 'name.givenName', value: 'Grace' },
+        { op: 'replace', path: 'emails[type eq "work"].value', value: 'Grace@Example.com' },
+        { op: 'remove', path: 'title' },
+        { op: 'add', path: `${SCHEMAS.ENTERPRISE_USER}:department`, value: 'Ops' },
+        { op: 'replace', path: 'preferredLanguage', value: 'en' }
+      ]
+    })).toEqual({
+      active: false,
+      firstName: 'Grace',
+      email: 'grace@example.com',
+      title: '',
+      department: 'Ops'
+    });
+  });
+
+  test('maps a pathless partial User', () => {
+    expect(userPatchToChanges({
+      Operations: [{
+        op: 'replace',
+        value: {
+          active: true,
+          name: { familyName: 'Hopper' },
+          phoneNumbers: [{ value: '333', type: 'work' }],
+          [SCHEMAS.ENTERPRISE_USER]: { employeeNumber: 'E9' }
+        }
+      }]
+    })).toEqual({ active: true, lastName: 'Hopper', phone: '333', employeeId: 'E9' });
+  });
+
+  test('rejects malformed bodies and unsupported operations', () => {
+    expect(() => userPatchToChanges({})).toThrow(expect.objectContaining({ scimType: 'invalidSyntax' }));
+    expect(() => userPatchToChanges({ Operations: [{ op: 'move', path: 'title' }] }))
+      .toThrow(expect.objectContaining({ scimType: 'invalidSyntax' }));
+    expect(() => userPatchToChanges({ Operations: [{ op: 'remove' }] }))
+      .toThrow(expect.objectContaining({ scimType: 'noTarget' }));
+  });
+});
+
+describe('groupPatchToChanges', () => {
+  test('collects added and removed members and a new display name', () => {
+    expect(groupPatchToChanges({
+      Operations: [
+        { op: 'add', path: 'members', value: [{ value: 'u1' }, { value: 'u2' }] },
+        { op: 'remove', path: 'members[value eq "u3"]' },
+        { op: 'remove', path: 'members', value: [{ value: 'u4' }] },
+        { op: 'replace', path: 'displayName', value: 'Sales' },
+        { op: 'replace', value: { members: [{ value: 'u5' }, {}] } }
+      ]
+    })).toEqual({ add: ['u1', 'u2', 'u5'], remove: ['u3', 'u4'], displayName: 'Sales' });
+  });
+
+  test('rejects unsupported paths', () => {
+    expect(() => groupPatchToChanges({ Operations: [{ op: 'replace', path: 'externalId', value: 'x' }] }))
+      .toThrow(expect.objectContaining({ status: 400, scimType: 'invalidPath' }));
+  });
+});
+
+describe('parseGroupId', () => {
+  test('splits department and team ids', () => {
+    expect(parseGroupId('sales')).toEqual({ departmentId: 'sales', teamId: null });
+    expect(parseGroupId('sales:east')).toEqual({ departmentId: 'sales', teamId: 'east' });
+  });
+});
+
+describe('authenticateScim', () => {
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.type = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const run = async (authorization) => {
+    const req = { headers: authorization ? { authorization } : {} };
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticateScim(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    firebase.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('accepts a live token and scopes the request to its enterprise', async () => {
+    const { token, tokenHash } = generateScimToken();
+    await firebase.db.collection(SCIM_TOKENS_COLLECTION).doc(tokenHash).set({ enterpriseId: 'ent1' });
+
+    const { req, next } = await run(`Bearer ${token}`);
+    expect(next).toHaveBeenCalled();
+    expect(req.scim).toEqual({ enterpriseId: 'ent1', tokenId: tokenHash });
+
+    await new Promise(setImmediate);
+    const stored = (await firebase.db.collection(SCIM_TOKENS_COLLECTION).doc(tokenHash).get()).data();
+    expect(stored.lastUsedAt).toBeInstanceOf(Timestamp);
+  });
+
+  test.each([
+    ['no header', undefined],
+    ['an unknown token', 'Bearer xscim_unknown']
+  ])('rejects %s with a SCIM 401', async (_, authorization) => {
+    const { res, next } = await run(authorization);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.type).toHaveBeenCalledWith('application/scim+json');
+    expect(res.json.mock.calls[0][0]).toMatchObject({ schemas: [SCHEMAS.ERROR], status: '401' });
+  });
+
+  test('rejects a revoked token', async () => {
+    const { token, tokenHash } = generateScimToken();
+    await firebase.db.collection(SCIM_TOKENS_COLLECTION).doc(tokenHash).set({
+      enterpriseId: 'ent1',
+      revokedAt: Timestamp.now()
+    });
+
+    const { res, next } = await run(`Bearer ${token}`);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+const firebase = require('../../firebase');
+const {
+  LINK_STATUS,
+  isValidCode,
+  getShortLink,
+  createShortLink,
+  getOrCreateCardShortLink,
+  updateShortLink,
+  buildShortLinkTarget,
+  buildShortUrl,
+  recordShortLinkHit,
+  reindexShortLinksAfterCardDelete
+} = require('../../utils/shortLinks');
+
+beforeEach(() => firebase.reset());
+
+describe('codes and URLs', () => {
+  test('isValidCode accepts only short alphanumeric codes', () => {
+    expect(isValidCode('abC2345')).toBe(true);
+    expect(isValidCode('abc')).toBe(false);
+    expect(isValidCode('abc/../x')).toBe(false);
+    expect(isValidCode(1234567)).toBe(false);
+  });
+
+  test('buildShortUrl trims trailing slashes from the base', () => {
+    expect(buildShortUrl('https://xs.example//', 'abc1234')).toBe('https://xs.example/c/abc1234');
+  });
+
+  test('buildShortLinkTarget falls back to saveContact for unknown targets', () => {
+    expect(buildShortLinkTarget({ userId: 'a b', cardIndex: 1, target: 'queries' })).toBe('/queries.html?userId=a%20b&cardIndex=1');
+    expect(buildShortLinkTarget({ userId: 'u1', cardIndex: 0, target: 'gone' })).toBe('/saveContact?userId=u1&cardIndex=0');
+  });
+});
+
+describe('createShortLink', () => {
+  test('stores an active link with a fresh code', async () => {
+    const link = await createShortLink({ userId: 'u1', cardIndex: '2' });
+    expect(isValidCode(link.code)).toBe(true);
+    expect(link).toMatchObject({ userId: 'u1', cardIndex: 2, target: 'saveContact', status: 'active', hits: 0, createdBy: 'u1' });
+    await expect(getShortLink(link.code)).resolves.toMatchObject({ code: link.code, userId: 'u1' });
+  });
+
+  test('rejects unknown targets with a 400', async () => {
+    await expect(createShortLink({ userId: 'u1', cardIndex: 0, target: 'admin' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('getOrCreateCardShortLink reuses the active link', async () => {
+    const first = await getOrCreateCardShortLink('u1', 0);
+    await expect(getOrCreateCardShortLink('u1', 0)).resolves.toMatchObject({ code: first.code });
+
+    await updateShortLink(first.code, { status: LINK_STATUS.DISABLED });
+    const replacement = await getOrCreateCardShortLink('u1', 0);
+    expect(replacement.code).not.toBe(first.code);
+  });
+});
+
+describe('updateShortLink', () => {
+  test('validates status and target', async () => {
+    const { code } = await createShortLink({ userId: 'u1', cardIndex: 0 });
+    await expect(updateShortLink(code, { status: 'deleted' })).rejects.toMatchObject({ status: 400 });
+    await expect(updateShortLink(code, { target: 'nowhere' })).rejects.toMatchObject({ status: 400 });
+
+    const disabled = await updateShortLink(code, { status: 'disabled' });
+    expect(disabled).toMatchObject({ status: 'disabled', disabledReason: 'owner' });
+
+    const enabled = await updateShortLink(code, { status: 'active', target: 'queries' });
+    expect(enabled).toMatchObject({ status: 'active', target: 'queries' });
+    expect(enabled).not.toHaveProperty('disabledReason');
+  });
+
+  test('recordShortLinkHit counts hits', async () => {
+    const { code } = await createShortLink({ userId: 'u1', cardIndex: 0 });
+    await recordShortLinkHit(code);
+    await recordShortLinkHit(code);
+    await expect(getShortLink(code)).resolves.toMatchObject({ hits: 2 });
+  });
+});
+
+describe('reindexShortLinksAfterCardDelete', () => {
+  test('disables links to the deleted card and shifts later ones down', async () => {
+    const before = await createShortLink({ userId: 'u1', cardIndex: 0 });
+    const deleted = await createShortLink({ userId: 'u1', cardIndex: 1 });
+    const after = await createShortLink({ userId: 'u1', cardIndex: 2 });
+    const otherOwner = await createShortLink({ userId: 'u2', cardIndex: 2 });
+
+    await expect(reindexShortLinksAfterCardDelete('u1', 1)).resolves.toEqual({ disabled: 1, shifted: 1 });
+
+    await expect(getShortLink(before.code)).resolves.toMatchObject({ cardIndex: 0, status: 'active' });
+    await expect(getShortLink(deleted.code)).resolves.toMatchObject({ status: 'disabled', disabledReason: 'card_deleted' });
+    await expect(getShortLink(after.code)).resolves.toMatchObject({ cardIndex: 1, status: 'active' });
+    await expect(getShortLink(otherOwner.code)).resolves.toMatchObject({ cardIndex: 2 });
+  });
+});
@@ -0,0 +1,184 @@
+const zlib = require('zlib');
+const {
+  MAX_UNCOMPRESSED_SIZE,
+  parseCsv,
+  parseXlsx,
+  parseSpreadsheet
+} = require('../../utils/spreadsheetParser');
+
+// Minimal zip writer: deflated entries, no CRCs (the parser doesn't check them)
+const buildZip = (files, { deflate = true } = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, contents]) => {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.isBuffer(contents) ? contents : Buffer.from(contents);
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+const sheetXml = (rows) => '<worksheet><sheetData>' + rows + '</sheetData></worksheet>';
+
+describe('parseCsv', () => {
+  test('handles quoted delimiters, escaped quotes and embedded newlines', () => {
+    expect(parseCsv('name,note\r\n"Smith, J","said ""hi""\nthen left"\r\n')).toEqual([
+      ['name', 'note'],
+      ['Smith, J', 'said "hi"\nthen left']
+    ]);
+  });
+
+  test('detects semicolon delimiters and strips a BOM', () => {
+    expect(parseCsv('\uFEFFname;email\nAda;ada@example.com')).toEqual([
+      ['name', 'email'],
+      ['Ada', 'ada@example.com']
+    ]);
+  });
+});
+
+describe('parseXlsx', () => {
+  test('resolves shared strings, inline strings and rich text runs', () => {
+    const workbook = buildZip({
+      'xl/sharedStrings.xml': '<sst><si><t>Email</t></si><si><r><t>Ada </t></r><r><t>&amp; Co</t></r></si></sst>',
+      'xl/worksheets/sheet1.xml': sheetXml(
+        '<row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c><c r="B1" t="s"><v>0</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2" t="inlineStr"><is><t>a&lt;b&gt;@example.com</t></is></c></row>'
+      )
+    });
+
+    expect(parseXlsx(workbook)).toEqual([
+      ['Name', 'Email'],
+      ['Ada & Co', 'a<b>@example.com']
+    ]);
+  });
+
+  test('keeps column and row positions when cells and rows are left out', () => {
+    const workbook = buildZip({
+      'xl/worksheets/sheet1.xml': sheetXml(
+        '<row r="1"><c r="A1" t="inlineStr"><is><t>a</t></is></c><c r="C1"><v>3</v></c></row>' +
+        '<row r="3"><c r="B3"><f>1+1</f><v>2</v></c></row>'
+      )
+    }, { deflate: false });
+
+    expect(parseXlsx(workbook)).toEqual([['a', '', '3'], [], ['', '2']]);
+  });
+
+  test('follows the workbook relationships to the first sheet', () => {
+    const workbook = buildZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="People" sheetId="1" r:id="rId7"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Type="worksheet" Target="worksheets/people.xml"/></Relationships>',
+      'xl/worksheets/people.xml': sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>found</t></is></c></row>')
+    });
+
+    expect(parseXlsx(workbook)).toEqual([['found']]);
+  });
+
+  describe('malformed workbooks', () => {
+    const valid = buildZip({ 'xl/worksheets/sheet1.xml': sheetXml('<row r="1"><c r="A1"><v>1</v></c></row>') });
+
+    test.each([
+      ['not a zip', Buffer.from('name,email\nAda,ada@example.com')],
+      ['an empty buffer', Buffer.alloc(0)],
+      ['truncated data', Buffer.concat([valid.subarray(0, 40), valid.subarray(valid.length - 22)])]
+    ])('rejects %s with a 400', (_, buffer) => {
+      expect(() => parseXlsx(buffer)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('rejects a central directory offset past the end of the file', () => {
+      const buffer = Buffer.from(valid);
+      buffer.writeUInt32LE(buffer.length + 100, buffer.length - 6);
+      expect(() => parseXlsx(buffer)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('rejects a local header offset past the end of the file', () => {
+      const buffer = Buffer.from(valid);
+      const central = buffer.readUInt32LE(buffer.length - 6);
+      buffer.writeUInt32LE(0xfffffff0, central + 42);
+      expect(() => parseXlsx(buffer)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('rejects corrupt deflate data', () => {
+      const buffer = Buffer.from(valid);
+      const central = buffer.readUInt32LE(buffer.length - 6);
+      const nameLength = buffer.readUInt16LE(central + 28);
+      buffer.fill(0xff, 30 + nameLength, central);
+      expect(() => parseXlsx(buffer)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('rejects a workbook that inflates past the size cap', () => {
+      const bomb = buildZip({ 'xl/worksheets/sheet1.xml': Buffer.alloc(MAX_UNCOMPRESSED_SIZE + 1, 0x20) });
+      expect(bomb.length).toBeLessThan(1024 * 1024);
+      expect(() => parseXlsx(bomb)).toThrow(expect.objectContaining({
+        status: 400,
+        message: expect.stringMatching(/too large/)
+      }));
+    });
+
+    test('rejects a workbook without a worksheet', () => {
+      expect(() => parseXlsx(buildZip({ 'docProps/app.xml': '<Properties/>' }))).toThrow(expect.objectContaining({
+        status: 400,
+        message: 'Workbook does not contain a worksheet'
+      }));
+    });
+  });
+});
+
+describe('parseSpreadsheet', () => {
+  test('keys rows by trimmed header, numbers them from the file and skips blank rows', () => {
+    const file = { originalname: 'staff.csv', buffer: Buffer.from(' Name , Email \nAda, ada@example.com \n,\nGrace,\n') };
+
+    expect(parseSpreadsheet(file)).toEqual({
+      headers: ['Name', 'Email'],
+      rows: [
+        { rowNumber: 2, values: { Name: 'Ada', Email: 'ada@example.com' } },
+        { rowNumber: 4, values: { Name: 'Grace', Email: '' } }
+      ]
+    });
+  });
+
+  test('reads xlsx uploads by extension', () => {
+    const file = {
+      originalname: 'Staff.XLSX',
+      buffer: buildZip({ 'xl/worksheets/sheet1.xml': sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c></row><row r="2"><c r="A2" t="inlineStr"><is><t>Ada</t></is></c></row>') })
+    };
+    expect(parseSpreadsheet(file).rows).toEqual([{ rowNumber: 2, values: { Name: 'Ada' } }]);
+  });
+
+  test('rejects missing, unsupported and empty files', () => {
+    expect(() => parseSpreadsheet(undefined)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseSpreadsheet({ originalname: 'staff.pdf', mimetype: 'application/pdf', buffer: Buffer.from('x') }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseSpreadsheet({ originalname: 'staff.csv', buffer: Buffer.alloc(0) }))
+      .toThrow(expect.objectContaining({ status: 400, message: 'File is empty' }));
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  sendDunningNotice: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../controllers/subscriptionController', () => ({
+  createSubscriptionHistory: jest.fn(async () => {}),
+  cancelSubscriptionWithPaystack: jest.fn(async () => ({ status: true }))
+}));
+
+const firebase = require('../../firebase');
+const { sendDunningNotice } = require('../../public/Utils/emailService');
+const { cancelSubscriptionWithPaystack } = require('../../controllers/subscriptionController');
+const { startDunning, recoverFromDunning, runDunning } = require('../../utils/subscriptionDunning');
+
+const { db } = firebase;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const noticeTypes = () => sendDunningNotice.mock.calls.map(([, notice]) => notice.type);
+const subscription = async () => (await db.collection('subscriptions').doc('u1').get()).data();
+
+beforeEach(async () => {
+  firebase.reset();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  await db.collection('users').doc('u1').set({ plan: 'premium', subscriptionStatus: 'active' });
+  await db.collection('subscriptions').doc('u1').set({
+    status: 'active',
+    planName: 'Premium',
+    subscriptionCode: 'SUB_1',
+    subscriptionData: { email_token: 'tok' }
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('dunning timeline', () => {
+  test('a failed renewal starts the grace period once', async () => {
+    await expect(startDunning('u1', { invoiceCode: 'INV_1' })).resolves.toBe('past_due');
+    await expect(startDunning('u1', { invoiceCode: 'INV_2' })).resolves.toBe('past_due');
+
+    const current = await subscription();
+    expect(current.dunning).toMatchObject({ failureCount: 2, previousStatus: 'active', lastFailure: { invoiceCode: 'INV_2' } });
+    expect(noticeTypes()).toEqual(['payment_failed']);
+  });
+
+  test('runs remind, suspend and cancel as the deadlines pass', async () => {
+    await startDunning('u1');
+    const failedAt = new Date((await subscription()).dunning.failedAt);
+    const at = (days) => new Date(failedAt.getTime() + days * DAY_MS);
+
+    await expect(runDunning({ now: at(1) })).resolves.toMatchObject({ checked: 1, reminded: 0 });
+    // Both reminders are due after a missed run: one email goes out
+    await expect(runDunning({ now: at(6.5) })).resolves.toMatchObject({ reminded: 1 });
+    await expect(runDunning({ now: at(6.6) })).resolves.toMatchObject({ reminded: 0 });
+
+    await expect(runDunning({ now: at(7) })).resolves.toMatchObject({ suspended: 1 });
+    expect((await db.collection('users').doc('u1').get()).data()).toMatchObject({ plan: 'free', subscriptionStatus: 'suspended' });
+
+    await expect(runDunning({ now: at(12) })).resolves.toMatchObject({ reminded: 1 });
+    await expect(runDunning({ now: at(14) })).resolves.toMatchObject({ cancelled: 1 });
+    expect(cancelSubscriptionWithPaystack).toHaveBeenCalledWith('SUB_1', 'tok');
+
+    await expect(runDunning({ now: at(15) })).resolves.toMatchObject({ checked: 0 });
+    expect(noticeTypes()).toEqual(['payment_failed', 'reminder', 'suspended', 'final_notice', 'cancelled']);
+  });
+
+  test('a successful renewal ends dunning', async () => {
+    await startDunning('u1');
+    await expect(recoverFromDunning('u1', { reference: 'ref_1' })).resolves.toBe(true);
+    expect(await subscription()).toMatchObject({ status: 'active', dunning: { status: 'recovered', recoveryReference: 'ref_1' } });
+    await expect(recoverFromDunning('u1')).resolves.toBe(false);
+  });
+});
+
+describe('subscription-dunning job', () => {
+  test('is scheduled hourly unless turned off', () => {
+    jest.isolateModules(() => {
+      expect(require('../../config/scheduledJobs').RECURRING_JOBS['subscription-dunning']).toEqual(
+        expect.objectContaining({ every: 60 * 60 * 1000 })
+      );
+    });
+
+    process.env.DUNNING_ENABLED = 'false';
+    try {
+      jest.isolateModules(() => {
+        expect(require('../../config/scheduledJobs').RECURRING_JOBS).not.toHaveProperty('subscription-dunning');
+      });
+    } finally {
+      delete process.env.DUNNING_ENABLED;
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  resolveVersion,
+  escapeText,
+  foldLine,
+  buildCardVCard,
+  buildContactVCard,
+  buildVCardFilename
+} = require('../../utils/vcardGenerator');
+
+describe('resolveVersion', () => {
+  test('defaults to 3.0 and accepts short forms', () => {
+    expect(resolveVersion()).toBe('3.0');
+    expect(resolveVersion('4')).toBe('4.0');
+    expect(resolveVersion('4.0')).toBe('4.0');
+    expect(resolveVersion('2.1')).toBe('3.0');
+  });
+});
+
+describe('escapeText', () => {
+  test('escapes backslashes, commas, semicolons and newlines', () => {
+    expect(escapeText('a\\b, c; d\r\ne')).toBe('a\\\\b\\, c\\; d\\ne');
+  });
+
+  test('turns missing values into empty strings', () => {
+    expect(escapeText(undefined)).toBe('');
+    expect(escapeText(null)).toBe('');
+  });
+});
+
+describe('foldLine', () => {
+  test('leaves short lines alone', () => {
+    expect(foldLine('FN:Jane Doe')).toBe('FN:Jane Doe');
+  });
+
+  test('folds at 75 octets with a leading space on continuation lines', () => {
+    const folded = foldLine(`NOTE:${'x'.repeat(200)}`);
+    const lines = folded.split('\r\n');
+    expect(Buffer.byteLength(lines[0])).toBe(75);
+    lines.slice(1).forEach(line => {
+      expect(line.startsWith(' ')).toBe(true);
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`NOTE:${'x'.repeat(200)}`);
+  });
+
+  test('never splits a multi-byte character', () => {
+    const folded = foldLine(`NOTE:${'é'.repeat(100)}`);
+    folded.split('\r\n').forEach(line => {
+      expect(line).not.toContain('�');
+      expect(Buffer.from(line, 'utf8').toString('utf8')).toBe(line);
+    });
+  });
+});
+
+describe('buildContactVCard', () => {
+  test('renders a 3.0 contact with CRLF line endings', () => {
+    const vcard = buildContactVCard({
+      name: 'Jane',
+      surname: 'Doe',
+      company: 'Acme, Inc.',
+      phone: '+27 82 123 4567',
+      email: 'jane@example.com',
+      howWeMet: 'Conference',
+      location: { city: 'Cape Town', country: 'South Africa' }
+    });
+
+    expect(vcard.startsWith('BEGIN:VCARD\r\nVERSION:3.0\r\n')).toBe(true);
+    expect(vcard.endsWith('END:VCARD\r\n')).toBe(true);
+    expect(vcard).toContain('FN:Jane Doe\r\n');
+    expect(vcard).toContain('N:Doe;Jane;;;\r\n');
+    expect(vcard).toContain('ORG:Acme\\, Inc.\r\n');
+    expect(vcard).toContain('TEL;TYPE=CELL:+27 82 123 4567\r\n');
+    expect(vcard).toContain('ADR:;;;Cape Town;;;South Africa\r\n');
+    expect(vcard).toContain('NOTE:How we met: Conference\r\n');
+  });
+
+  test('uses a tel: URI in 4.0', () => {
+    const vcard = buildContactVCard({ name: 'Jane', phone: '+27 (82) 123-4567' }, { version: '4.0' });
+    expect(vcard).toContain('TEL;TYPE=cell;VALUE=uri:tel:+27821234567');
+  });
+
+  test('falls back to the email for the formatted name', () => {
+    expect(buildContactVCard({ email: 'x@example.com' })).toContain('FN:x@example.com');
+  });
+});
+
+describe('buildCardVCard', () => {
+  test('renders card fields and socials without images', async () => {
+    const vcard = await buildCardVCard({
+      name: 'Sam',
+      surname: 'Lee',
+      company: 'XS',
+      occupation: 'Engineer',
+      email: 'sam@example.com',
+      socials: { linkedin: { link: 'https://linkedin.com/in/sam' } }
+    }, { version: '4.0', uid: 'user-1:0', includeImages: false });
+
+    expect(vcard).toContain('KIND:individual');
+    expect(vcard).toContain('UID:user-1:0');
+    expect(vcard).toContain('TITLE:Engineer');
+    expect(vcard).toContain('EMAIL;TYPE=work:sam@example.com');
+    expect(vcard).toContain('URL;TYPE=linkedin:https://linkedin.com/in/sam');
+    expect(vcard).not.toContain('PHOTO');
+  });
+});
+
+describe('buildVCardFilename', () => {
+  test('keeps only filesystem-safe characters', () => {
+    expect(buildVCardFilename('Jane', 'O\'Neil / Doe')).toBe('Jane_O_Neil_Doe.vcf');
+    expect(buildVCardFilename()).toBe('contact.vcf');
+  });
+});
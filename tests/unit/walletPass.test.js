@@ -0,0 +1,153 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+
+// config/config.js only has development and production settings
+process.env.NODE_ENV = 'development';
+
+const {
+  buildBarcodeUrl,
+  normaliseHexColor,
+  hexToRgbString,
+  contrastingColor,
+  buildPassContent,
+  DEFAULT_BACKGROUND
+} = require('../../utils/walletPass/passContent');
+const firebase = require('../../firebase');
+const { resolveProvider, listProviders, PASSES_COLLECTION } = require('../../utils/walletPass');
+const appleWalletProvider = require('../../utils/walletPass/appleWalletProvider');
+const walletPassController = require('../../controllers/walletPassController');
+
+describe('pass content', () => {
+  test('prefers the short link for the barcode', () => {
+    expect(buildBarcodeUrl('https://xs.example/', 'u1', 0, 'abc1234')).toBe('https://xs.example/c/abc1234');
+    expect(buildBarcodeUrl('https://xs.example', 'u1', 2)).toBe('https://xs.example/queries.html?userId=u1&cardIndex=2');
+  });
+
+  test('normalises colours and falls back to the default', () => {
+    expect(normaliseHexColor('#abc')).toBe('#AABBCC');
+    expect(normaliseHexColor('1b2b5b')).toBe('#1B2B5B');
+    expect(normaliseHexColor('red')).toBe(DEFAULT_BACKGROUND);
+    expect(normaliseHexColor(undefined)).toBe(DEFAULT_BACKGROUND);
+    expect(hexToRgbString('#FF8000')).toBe('rgb(255, 128, 0)');
+  });
+
+  test('picks a readable foreground', () => {
+    expect(contrastingColor('#FFFFFF')).toBe('#000000');
+    expect(contrastingColor('#1B2B5B')).toBe('#FFFFFF');
+  });
+
+  test('builds provider-neutral content from a card', () => {
+    const content = buildPassContent({
+      name: 'Jane',
+      surname: 'Doe',
+      company: 'Acme',
+      occupation: 'CTO',
+      colorScheme: '#fff',
+      socials: { linkedin: { link: 'https://linkedin.com/in/jane', title: 'LinkedIn' }, empty: { link: '' } }
+    });
+
+    expect(content).toMatchObject({
+      fullName: 'Jane Doe',
+      company: 'Acme',
+      jobTitle: 'CTO',
+      backgroundColor: '#FFFFFF',
+      foregroundColor: '#000000',
+      socials: [{ key: 'linkedin', label: 'LinkedIn', value: 'https://linkedin.com/in/jane' }]
+    });
+  });
+});
+
+describe('resolveProvider', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => resolveProvider('samsung')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('returns the requested provider by name', () => {
+    expect(resolveProvider('Apple').name).toBe('apple');
+  });
+
+  test('reports 503 when nothing is configured', () => {
+    delete process.env.WALLET_PASS_PROVIDER;
+    expect(listProviders().every(provider => provider.configured === false)).toBe(true);
+    expect(() => resolveProvider()).toThrow(expect.objectContaining({ status: 503 }));
+  });
+});
+
+describe('apple pass.json', () => {
+  test('carries the barcode, colours and an update web service', () => {
+    process.env.APPLE_PASS_TYPE_IDENTIFIER = 'pass.test';
+    process.env.APPLE_TEAM_IDENTIFIER = 'TEAM123';
+
+    const pass = appleWalletProvider.buildPassJson(
+      { serialNumber: 'serial-1', userId: 'u1', cardIndex: 0, shortCode: 'abc1234', authenticationToken: 'token', version: 3 },
+      { name: 'Jane', surname: 'Doe', email: 'jane@example.com', colorScheme: '#000000' }
+    );
+
+    expect(pass.serialNumber).toBe('serial-1');
+    expect(pass.passTypeIdentifier).toBe('pass.test');
+    expect(pass.barcode.message).toMatch(/\/c\/abc1234$/);
+    expect(pass.backgroundColor).toBe('rgb(0, 0, 0)');
+    expect(pass.foregroundColor).toBe('rgb(255, 255, 255)');
+    expect(pass.webServiceURL).toMatch(/\/wallet$/);
+    expect(pass.generic.auxiliaryFields).toEqual([{ key: 'email', label: 'EMAIL', value: 'jane@example.com' }]);
+    expect(pass.generic.backFields).toContainEqual({ key: 'version', label: 'PASS VERSION', value: '3' });
+  });
+});
+
+describe('wallet web service', () => {
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.sendStatus = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    firebase.reset();
+    await firebase.db.collection(PASSES_COLLECTION).doc('serial-1').set({
+      userId: 'u1',
+      cardIndex: 0,
+      provider: 'apple',
+      status: 'active',
+      authenticationToken: 'a'.repeat(32)
+    });
+  });
+
+  test('only accepts the exact pass authentication token', async () => {
+    const register = async (authorization) => {
+      const res = mockResponse();
+      await walletPassController.registerDevice({
+        params: { deviceLibraryIdentifier: 'device-1', passTypeIdentifier: 'pass.test', serialNumber: 'serial-1' },
+        headers: { authorization },
+        body: {}
+      }, res);
+      return res.sendStatus.mock.calls[0][0];
+    };
+
+    expect(await register(`ApplePass ${'a'.repeat(31)}b`)).toBe(401);
+    expect(await register(`ApplePass ${'a'.repeat(31)}`)).toBe(401);
+    expect(await register('ApplePass ')).toBe(401);
+    expect(await register(`ApplePass ${'a'.repeat(32)}`)).toBe(201);
+  });
+
+  test('caps and single-lines device log messages', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const logs = ['line one\nFAKE ERROR something', 'x'.repeat(5000), ...new Array(50).fill('more')];
+      walletPassController.logDeviceMessages({ body: { logs } }, mockResponse());
+
+      const messages = warn.mock.calls.map(call => call.join(' '));
+      expect(messages).toHaveLength(11);
+      expect(messages[0]).toBe('[AppleWallet] Device log: line one FAKE ERROR something');
+      expect(warn.mock.calls[1][1]).toHaveLength(500);
+      expect(messages[10]).toMatch(/Dropped 42 further/);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
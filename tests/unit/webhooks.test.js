@@ -0,0 +1,169 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('axios');
+
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const firebase = require('../../firebase');
+const {
+  WEBHOOKS_COLLECTION,
+  DELIVERIES_COLLECTION,
+  DELIVERY_STATUS,
+  generateWebhookSecret,
+  signPayload,
+  validateWebhookUrl,
+  deliverWebhook,
+  toWebhookContact
+} = require('../../utils/webhooks');
+
+// Resolve every host name to the given address
+const resolveTo = (address) => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+  callback(null, options.all ? [{ address, family: 4 }] : address, 4);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('signPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'contact.created' });
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+    expect(signPayload('whsec_test', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  test('changes with the secret, body and timestamp', () => {
+    const signature = signPayload('whsec_a', '{}', 1);
+    expect(signPayload('whsec_b', '{}', 1)).not.toBe(signature);
+    expect(signPayload('whsec_a', '{ }', 1)).not.toBe(signature);
+    expect(signPayload('whsec_a', '{}', 2)).not.toBe(signature);
+  });
+
+  test('defaults to the current time', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000123456);
+    expect(signPayload('whsec_a', '{}')).toMatch(/^t=1700000123,v1=[0-9a-f]{64}$/);
+  });
+
+  test('generates distinct secrets', () => {
+    expect(generateWebhookSecret()).toMatch(/^whsec_[\w-]{32}$/);
+    expect(generateWebhookSecret()).not.toBe(generateWebhookSecret());
+  });
+});
+
+describe('validateWebhookUrl', () => {
+  test('accepts https URLs on public hosts', async () => {
+    resolveTo('93.184.216.34');
+    await expect(validateWebhookUrl('https://crm.example.com/hooks/xscard')).resolves.toBeNull();
+  });
+
+  test('rejects invalid and non-https URLs', async () => {
+    resolveTo('93.184.216.34');
+    await expect(validateWebhookUrl('not a url')).resolves.toBe('url must be a valid URL');
+    await expect(validateWebhookUrl('http://crm.example.com/hooks')).resolves.toBe('URL must use https');
+  });
+
+  test.each([
+    'https://127.0.0.1/hooks',
+    'https://10.0.0.5/hooks',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/hooks'
+  ])('rejects the non-public address %s', async (url) => {
+    await expect(validateWebhookUrl(url)).resolves.toMatch(/non-public address/);
+  });
+
+  test('rejects host names that resolve to private addresses', async () => {
+    resolveTo('192.168.0.10');
+    await expect(validateWebhookUrl('https://intranet.example.com/hooks')).resolves.toMatch(/non-public address/);
+  });
+});
+
+describe('deliverWebhook', () => {
+  const setup = async (url) => {
+    await firebase.db.collection(WEBHOOKS_COLLECTION).doc('wh1').set({
+      enterpriseId: 'ent1',
+      url,
+      secret: 'whsec_test',
+      active: true,
+      consecutiveFailures: 0
+    });
+    await firebase.db.collection(DELIVERIES_COLLECTION).doc('d1').set({
+      webhookId: 'wh1',
+      enterpriseId: 'ent1',
+      event: 'contact.created',
+      payload: { id: 'evt_1', type: 'contact.created', data: { id: 'c1' } },
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0
+    });
+  };
+
+  const readDelivery = async () => (await firebase.db.collection(DELIVERIES_COLLECTION).doc('d1').get()).data();
+
+  beforeEach(() => {
+    firebase.reset();
+    axios.post.mockReset();
+  });
+
+  test('posts the signed payload through the public-only agents and records the attempt', async () => {
+    resolveTo('93.184.216.34');
+    await setup('https://crm.example.com/hooks');
+    axios.post.mockResolvedValue({ status: 200, data: { secret: 'echoed back' } });
+
+    await expect(deliverWebhook('d1')).resolves.toEqual({ status: DELIVERY_STATUS.SUCCEEDED, responseStatus: 200 });
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://crm.example.com/hooks');
+    expect(JSON.parse(body)).toMatchObject({ id: 'evt_1' });
+    expect(options).toMatchObject({ maxRedirects: 0, proxy: false });
+    expect(options.httpsAgent).toBeDefined();
+    const [, timestamp] = options.headers['X-XSCard-Signature'].match(/^t=(\d+),/);
+    expect(options.headers['X-XSCard-Signature']).toBe(signPayload('whsec_test', body, Number(timestamp)));
+
+    const delivery = await readDelivery();
+    expect(delivery).toMatchObject({ status: DELIVERY_STATUS.SUCCEEDED, attempts: 1, responseStatus: 200, error: null });
+    expect(delivery).not.toHaveProperty('responseBody');
+  });
+
+  test('refuses to deliver to a host that now resolves to a private address', async () => {
+    await setup('https://crm.example.com/hooks');
+    resolveTo('10.0.0.7');
+
+    await expect(deliverWebhook('d1', { isLastAttempt: false })).rejects.toThrow(/non-public address/);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(await readDelivery()).toMatchObject({ status: DELIVERY_STATUS.RETRYING, attempts: 1 });
+
+    const webhook = (await firebase.db.collection(WEBHOOKS_COLLECTION).doc('wh1').get()).data();
+    expect(webhook.consecutiveFailures).toBe(1);
+  });
+
+  test('refuses http subscriptions stored before https was required', async () => {
+    await setup('http://crm.example.com/hooks');
+
+    await expect(deliverWebhook('d1')).rejects.toThrow(/https/);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(await readDelivery()).toMatchObject({ status: DELIVERY_STATUS.FAILED });
+  });
+
+  test('marks non-2xx responses as failed without storing the body', async () => {
+    resolveTo('93.184.216.34');
+    await setup('https://crm.example.com/hooks');
+    axios.post.mockResolvedValue({ status: 500, data: 'internal details' });
+
+    await expect(deliverWebhook('d1')).rejects.toThrow('Endpoint responded with HTTP 500');
+    const delivery = await readDelivery();
+    expect(delivery).toMatchObject({ status: DELIVERY_STATUS.FAILED, responseStatus: 500 });
+    expect(delivery).not.toHaveProperty('responseBody');
+  });
+});
+
+describe('toWebhookContact', () => {
+  test('sends only the public contact fields', () => {
+    expect(toWebhookContact({ id: 'c1', name: 'Ada', possibleDuplicate: { contactId: 'c0' }, emailKey: 'x' })).toEqual({
+      id: 'c1',
+      name: 'Ada',
+      surname: '',
+      email: '',
+      phone: '',
+      company: '',
+      howWeMet: '',
+      createdAt: null
+    });
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../../firebase', () => require('./helpers/fakeFirestore').createFirebase());
+jest.mock('../../public/Utils/emailService', () => ({
+  sendWeeklyDigest: jest.fn(async () => ({ success: true })),
+  sendUsageReport: jest.fn(async () => ({ success: true }))
+}));
+
+const firebase = require('../../firebase');
+const { sendWeeklyDigest } = require('../../public/Utils/emailService');
+const { getDigestPeriod, runWeeklyDigests } = require('../../utils/weeklyDigest');
+
+const { db, admin } = firebase;
+const now = new Date('2026-10-19T07:00:00Z');
+
+beforeEach(() => {
+  firebase.reset();
+  sendWeeklyDigest.mockClear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getDigestPeriod', () => {
+  test('covers the previous 7 days and is keyed by ISO week', () => {
+    const period = getDigestPeriod(now);
+    expect(period.start.toISOString()).toBe('2026-10-12T07:00:00.000Z');
+    expect(period.key).toBe('2026-W43');
+    expect(getDigestPeriod(new Date('2027-01-01T12:00:00Z')).key).toBe('2026-W53');
+  });
+});
+
+describe('runWeeklyDigests', () => {
+  beforeEach(async () => {
+    await db.collection('users').doc('u1').set({ email: 'u1@example.com' });
+    await db.collection('users').doc('u2').set({ email: 'u2@example.com' });
+    await db.collection('users').doc('u3').set({});
+    await db.collection('activityLogs').add({
+      action: 'scan',
+      userId: 'u1',
+      details: { scanType: 'qr' },
+      timestamp: admin.firestore.Timestamp.fromDate(new Date('2026-10-18T10:00:00Z'))
+    });
+  });
+
+  test('sends digests only to users with something to report', async () => {
+    const summary = await runWeeklyDigests({ now });
+
+    expect(summary.digests).toEqual({ sent: 1, optedOut: 0, failed: 0, skipped: 2 });
+    expect(sendWeeklyDigest).toHaveBeenCalledWith('u1', expect.objectContaining({
+      scans: { total: 1, byType: { qr: 1 } }
+    }));
+
+    const run = await db.collection('digestRuns').doc('2026-W43').get();
+    expect(run.data().status).toBe('completed');
+  });
+
+  test('runs once per week unless forced', async () => {
+    await runWeeklyDigests({ now });
+    await expect(runWeeklyDigests({ now: new Date('2026-10-19T08:00:00Z') })).resolves.toBeNull();
+    expect(sendWeeklyDigest).toHaveBeenCalledTimes(1);
+
+    await runWeeklyDigests({ now, force: true });
+    expect(sendWeeklyDigest).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,514 @@
+/**
+ * Account deletion (right to erasure)
+ *
+ * A request moves through accountDeletionRequests/{userId}:
+ *   pending_confirmation - a link was emailed; nothing happens until it is opened
+ *   scheduled            - confirmed; the account is deleted once scheduledFor passes
+ *   cancelled / completed
+ *
+ * The grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30) lets the owner
+ * change their mind. The 'account-deletions' scheduled job (utils/jobScheduler.js)
+ * deletes accounts that are due; a run that fails part-way is retried by the
+ * next one, as every step can run again safely.
+ *
+ * Payment receipts and subscription history are kept (financial records the law
+ * requires us to keep), as are activity logs, which hold IDs rather than profile data.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../firebase');
+const { logActivity, ACTIONS, RESOURCES } = require('./logger');
+const contactStore = require('./contactStore');
+const { deleteFile, isUserFile, deleteUserFiles } = require('./firebaseStorage');
+const { PASSES_COLLECTION } = require('./walletPass');
+const { WEBHOOK_EVENTS, emitWebhookEvent, toWebhookEmployee } = require('./webhooks');
+const { USAGE_COLLECTION } = require('./entitlements');
+const { QUERIES_COLLECTION } = require('./queryInbox');
+const { ROLLUPS_COLLECTION, TOTALS_COLLECTION } = require('./scanRollups');
+const { sendAccountDeletionNotice } = require('../public/Utils/emailService');
+
+const DELETION_REQUESTS_COLLECTION = 'accountDeletionRequests';
+
+const DELETION_STATUS = {
+  PENDING_CONFIRMATION: 'pending_confirmation',
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed'
+};
+
+const CONFIRMATION_TTL_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 400;
+
+const gracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+class AccountDeletionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AccountDeletionError';
+    this.status = status;
+  }
+}
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const requestRef = (userId) => db.collection(DELETION_REQUESTS_COLLECTION).doc(userId);
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+
+/**
+ * @param {Object} request - accountDeletionRequests document data
+ * @returns {Object} - Request as returned to clients
+ */
+const formatDeletionRequest = (request) => ({
+  status: request.status,
+  requestedAt: toIso(request.requestedAt),
+  confirmationExpiresAt: request.status === DELETION_STATUS.PENDING_CONFIRMATION ? toIso(request.confirmationExpiresAt) : null,
+  confirmedAt: toIso(request.confirmedAt),
+  scheduledFor: toIso(request.scheduledFor),
+  cancelledAt: toIso(request.cancelledAt),
+  completedAt: toIso(request.completedAt)
+});
+
+/**
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Current request (see formatDeletionRequest)
+ */
+const getDeletionRequest = async (userId) => {
+  const doc = await requestRef(userId).get();
+  return doc.exists ? formatDeletionRequest(doc.data()) : null;
+};
+
+/**
+ * Start a deletion: email the owner a confirmation link
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Base URL for the links in the email
+ * @param {string[]} options.reasons - Why the user is leaving
+ * @param {string} options.source - app, web or admin
+ * @param {string} options.ipAddress - Client IP
+ * @returns {Promise<Object>} - The request (see formatDeletionRequest)
+ */
+const requestAccountDeletion = async (userId, { baseUrl, reasons = [], source = 'app', ipAddress = null }) => {
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists) {
+    throw new AccountDeletionError(404, 'User not found');
+  }
+  const userData = userDoc.data();
+
+  const existing = await requestRef(userId).get();
+  if (existing.exists && existing.data().status === DELETION_STATUS.SCHEDULED) {
+    throw new AccountDeletionError(409, 'Account deletion is already scheduled');
+  }
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_MS);
+  const request = {
+    userId,
+    status: DELETION_STATUS.PENDING_CONFIRMATION,
+    confirmationTokenHash: hashToken(token),
+    confirmationExpiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+    reasons: Array.isArray(reasons) ? reasons.map(String).slice(0, 10) : [],
+    source,
+    requestedAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.Timestamp.now()
+  };
+  await requestRef(userId).set(request);
+
+  await sendAccountDeletionNotice({ email: userData.email, name: userData.name }, {
+    type: 'confirm',
+    confirmUrl: `${baseUrl}/delete-account?token=${token}`,
+    expiresAt,
+    gracePeriodDays: gracePeriodDays()
+  });
+
+  await logActivity({
+    action: ACTIONS.CREATE,
+    resource: RESOURCES.USER,
+    userId,
+    resourceId: userId,
+    details: {
+      operation: 'account_deletion_requested',
+      source,
+      reasons: request.reasons,
+      ipAddress,
+      confirmationExpiresAt: expiresAt.toISOString()
+    }
+  });
+
+  return formatDeletionRequest(request);
+};
+
+/**
+ * Confirm a deletion from the emailed link; the account is deleted after the grace period
+ * @param {string} token - Token from the confirmation link
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Base URL for the cancel link in the email
+ * @returns {Promise<Object>} - The request (see formatDeletionRequest)
+ */
+const confirmAccountDeletion = async (token, { baseUrl }) => {
+  const snapshot = await db.collection(DELETION_REQUESTS_COLLECTION)
+    .where('confirmationTokenHash', '==', hashToken(token))
+    .limit(1)
+    .get();
+  if (snapshot.empty) {
+    throw new AccountDeletionError(400, 'Invalid or already used confirmation link');
+  }
+
+  const requestDoc = snapshot.docs[0];
+  const request = requestDoc.data();
+  if (request.status !== DELETION_STATUS.PENDING_CONFIRMATION || request.confirmationExpiresAt.toDate() < new Date()) {
+    throw new AccountDeletionError(400, 'This confirmation link has expired. Please request account deletion again.');
+  }
+
+  const userDoc = await db.collection('users').doc(request.userId).get();
+  if (!userDoc.exists) {
+    throw new AccountDeletionError(404, 'User not found');
+  }
+  const userData = userDoc.data();
+
+  const cancelToken = generateToken();
+  const scheduledFor = new Date(Date.now() + gracePeriodDays() * 24 * 60 * 60 * 1000);
+  const updates = {
+    status: DELETION_STATUS.SCHEDULED,
+    confirmationTokenHash: admin.firestore.FieldValue.delete(),
+    cancelTokenHash: hashToken(cancelToken),
+    confirmedAt: admin.firestore.Timestamp.now(),
+    scheduledFor: admin.firestore.Timestamp.fromDate(scheduledFor),
+    updatedAt: admin.firestore.Timestamp.now()
+  };
+  await requestDoc.ref.update(updates);
+  await userDoc.ref.update({
+    deletionScheduledFor: updates.scheduledFor,
+    updatedAt: admin.firestore.Timestamp.now()
+  });
+
+  await sendAccountDeletionNotice({ email: userData.email, name: userData.name }, {
+    type: 'scheduled',
+    scheduledFor,
+    cancelUrl: `${baseUrl}/delete-account?cancel=${cancelToken}`
+  });
+
+  await logActivity({
+    action: ACTIONS.UPDATE,
+    resource: RESOURCES.USER,
+    userId: request.userId,
+    resourceId: request.userId,
+    details: {
+      operation: 'account_deletion_confirmed',
+      scheduledFor: scheduledFor.toISOString()
+    }
+  });
+
+  console.log(`🗑️ [AccountDeletion] Deletion of ${request.userId} scheduled for ${scheduledFor.toISOString()}`);
+  return formatDeletionRequest({ ...request, ...updates });
+};
+
+/**
+ * Cancel a pending or scheduled deletion, by the signed-in owner or from the emailed cancel link
+ * @param {Object} options - One of userId or cancelToken
+ * @param {string} options.userId - Signed-in user
+ * @param {string} options.cancelToken - Token from the cancel link
+ * @returns {Promise<Object>} - The request (see formatDeletionRequest)
+ */
+const cancelAccountDeletion = async ({ userId = null, cancelToken = null }) => {
+  let requestDoc;
+  if (userId) {
+    requestDoc = await requestRef(userId).get();
+  } else {
+    const snapshot = await db.collection(DELETION_REQUESTS_COLLECTION)
+      .where('cancelTokenHash', '==', hashToken(cancelToken))
+      .limit(1)
+      .get();
+    requestDoc = snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  const request = requestDoc?.exists ? requestDoc.data() : null;
+  if (!request || ![DELETION_STATUS.PENDING_CONFIRMATION, DELETION_STATUS.SCHEDULED].includes(request.status)) {
+    throw new AccountDeletionError(404, 'No account deletion to cancel');
+  }
+
+  const updates = {
+    status: DELETION_STATUS.CANCELLED,
+    confirmationTokenHash: admin.firestore.FieldValue.delete(),
+    cancelTokenHash: admin.firestore.FieldValue.delete(),
+    cancelledAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.Timestamp.now()
+  };
+  await requestDoc.ref.update(updates);
+
+  const userRef = db.collection('users').doc(request.userId);
+  const userDoc = await userRef.get();
+  if (userDoc.exists) {
+    await userRef.update({
+      deletionScheduledFor: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.Timestamp.now()
+    });
+    if (request.status === DELETION_STATUS.SCHEDULED) {
+      const userData = userDoc.data();
+      await sendAccountDeletionNotice({ email: userData.email, name: userData.name }, { type: 'cancelled' });
+    }
+  }
+
+  await logActivity({
+    action: ACTIONS.UPDATE,
+    resource: RESOURCES.USER,
+    userId: request.userId,
+    resourceId: request.userId,
+    details: {
+      operation: 'account_deletion_cancelled',
+      previousStatus: request.status,
+      via: userId ? 'account' : 'email_link'
+    }
+  });
+
+  return formatDeletionRequest({ ...request, ...updates });
+};
+
+const deleteDocuments = async (docs) => {
+  for (let start = 0; start < docs.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    docs.slice(start, start + BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  return docs.length;
+};
+
+const deleteWhereUserId = async (collection, userId) => {
+  const snapshot = await db.collection(collection).where('userId', '==', userId).get();
+  return deleteDocuments(snapshot.docs);
+};
+
+const deleteDocument = async (ref) => {
+  const doc = await ref.get();
+  if (!doc.exists) return 0;
+  await ref.delete();
+  return 1;
+};
+
+// Stop renewals before the subscription record is deleted
+const disablePaystackSubscription = async (userId) => {
+  const subscriptionDoc = await db.collection('subscriptions').doc(userId).get();
+  if (!subscriptionDoc.exists) return false;
+
+  const subscription = subscriptionDoc.data();
+  const emailToken = subscription.subscriptionData?.email_token;
+  if (!subscription.subscriptionCode || !emailToken || subscription.status === 'cancelled') return false;
+
+  const { cancelSubscriptionWithPaystack } = require('../controllers/subscriptionController');
+  const result = await cancelSubscriptionWithPaystack(subscription.subscriptionCode, emailToken);
+  if (!result.status && !/already|not active|inactive/i.test(result.message || '')) {
+    throw new Error(`Paystack did not disable subscription ${subscription.subscriptionCode}: ${result.message}`);
+  }
+  return true;
+};
+
+const findEmployeeDocs = async (userId, userData) => {
+  if (userData.employeeRef) {
+    const employeeDoc = await userData.employeeRef.get();
+    if (employeeDoc.exists) return [employeeDoc];
+  }
+  const enterpriseId = userData.enterpriseRef?.id;
+  if (!enterpriseId) return [];
+
+  const docs = [];
+  const departmentsSnapshot = await db.collection('enterprise').doc(enterpriseId).collection('departments').get();
+  for (const deptDoc of departmentsSnapshot.docs) {
+    const employeesSnapshot = await deptDoc.ref.collection('employees')
+      .where('userId', '==', db.doc(`users/${userId}`))
+      .get();
+    docs.push(...employeesSnapshot.docs);
+  }
+  return docs;
+};
+
+// Same bookkeeping as removing an employee from a department
+const removeEmployeeRecords = async (userId, userData) => {
+  const employeeDocs = await findEmployeeDocs(userId, userData);
+
+  for (const employeeDoc of employeeDocs) {
+    const employeeData = employeeDoc.data();
+    const departmentRef = employeeDoc.ref.parent.parent;
+
+    await db.runTransaction(async (transaction) => {
+      transaction.delete(employeeDoc.ref);
+      transaction.update(departmentRef, {
+        memberCount: admin.firestore.FieldValue.increment(-1),
+        updatedAt: admin.firestore.Timestamp.now()
+      });
+      if (employeeData.teamRef && employeeData.teamEmployeeRef) {
+        transaction.delete(employeeData.teamEmployeeRef);
+        transaction.update(employeeData.teamRef, {
+          memberCount: admin.firestore.FieldValue.increment(-1),
+          updatedAt: admin.firestore.Timestamp.now()
+        });
+      }
+    });
+
+    emitWebhookEvent(userData.enterpriseRef?.id, WEBHOOK_EVENTS.EMPLOYEE_REMOVED, {
+      ...toWebhookEmployee(userId, departmentRef.id, employeeData),
+      reason: 'account_deleted'
+    });
+  }
+
+  return employeeDocs.length;
+};
+
+const deleteWalletPasses = async (userId) => {
+  const snapshot = await db.collection(PASSES_COLLECTION).where('userId', '==', userId).get();
+  for (const passDoc of snapshot.docs) {
+    const registrations = await db.collection('walletPassRegistrations')
+      .where('serialNumber', '==', passDoc.id)
+      .get();
+    await deleteDocuments(registrations.docs);
+  }
+  return deleteDocuments(snapshot.docs);
+};
+
+// Images the user's profile and cards point at. The fields are user-supplied, so only
+// the user's own uploads are deleted; deleteUserFiles then clears the rest of those folders.
+const deleteReferencedImages = async (userId, userData, cards) => {
+  const urls = new Set([userData.profileImage, userData.companyLogo]);
+  cards.forEach(card => {
+    urls.add(card.profileImage);
+    urls.add(card.companyLogo);
+  });
+
+  let deleted = 0;
+  for (const url of urls) {
+    if (!isUserFile(url, userId)) continue;
+    try {
+      await deleteFile(url);
+      deleted += 1;
+    } catch (error) {
+      console.error(`[AccountDeletion] Could not delete image ${url}:`, error.message);
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Delete a user and everything linked to them. Safe to run again after a
+ * partial failure.
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {string} options.deletedBy - Who triggered it (a user ID or 'system')
+ * @returns {Promise<Object>} - What was deleted, per store
+ */
+const deleteUserData = async (userId, { deletedBy = 'system' } = {}) => {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  const userData = userDoc.exists ? userDoc.data() : {};
+  const enterpriseId = userData.enterpriseRef?.id || null;
+
+  console.log(`🗑️ [AccountDeletion] Deleting account ${userId}`);
+
+  const cardsDoc = await db.collection('cards').doc(userId).get();
+  const cards = cardsDoc.exists ? (cardsDoc.data().cards || []) : [];
+
+  const summary = {};
+  summary.paystackSubscriptionDisabled = await disablePaystackSubscription(userId);
+  summary.employeeRecords = await removeEmployeeRecords(userId, userData);
+  summary.contacts = await contactStore.deleteAllContacts(userId);
+  summary.images = await deleteReferencedImages(userId, userData, cards);
+  summary.files = await deleteUserFiles(userId);
+  summary.cards = cards.length;
+  await deleteDocument(db.collection('cards').doc(userId));
+  summary.meetings = await deleteDocument(db.collection('meetings').doc(userId));
+  summary.subscription = await deleteDocument(db.collection('subscriptions').doc(userId));
+  summary.paymentMethods = await deleteWhereUserId('paymentMethods', userId);
+  summary.walletPasses = await deleteWalletPasses(userId);
+  summary.shortLinks = await deleteWhereUserId('shortLinks', userId);
+  summary.queries = await deleteWhereUserId(QUERIES_COLLECTION, userId);
+  // Card and user scan rollups; department and enterprise ones carry no user ID
+  summary.scanRollups = await deleteWhereUserId(ROLLUPS_COLLECTION, userId);
+  summary.scanTotals = await deleteWhereUserId(TOTALS_COLLECTION, userId);
+  await deleteDocument(db.collection(USAGE_COLLECTION).doc(userId));
+
+  try {
+    await admin.auth().deleteUser(userId);
+    summary.authRecord = true;
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') throw error;
+    summary.authRecord = false;
+  }
+
+  await deleteDocument(userRef);
+
+  await logActivity({
+    action: ACTIONS.DELETE,
+    resource: RESOURCES.USER,
+    userId: deletedBy,
+    resourceId: userId,
+    ...(enterpriseId && { enterpriseId }),
+    details: {
+      operation: 'account_deletion_completed',
+      summary
+    }
+  });
+
+  console.log(`✅ [AccountDeletion] Account ${userId} deleted:`, JSON.stringify(summary));
+  return summary;
+};
+
+/**
+ * Delete every account whose grace period has ended
+ * @returns {Promise<{due: number, deleted: number, failed: number}>}
+ */
+const processDueDeletions = async () => {
+  const snapshot = await db.collection(DELETION_REQUESTS_COLLECTION)
+    .where('status', '==', DELETION_STATUS.SCHEDULED)
+    .where('scheduledFor', '<=', admin.firestore.Timestamp.now())
+    .get();
+
+  const result = { due: snapshot.size, deleted: 0, failed: 0 };
+
+  for (const requestDoc of snapshot.docs) {
+    const { userId } = requestDoc.data();
+    try {
+      const userDoc = await db.collection('users').doc(userId).get();
+      const recipient = userDoc.exists ? { email: userDoc.data().email, name: userDoc.data().name } : null;
+
+      const summary = await deleteUserData(userId);
+
+      // The request stays as a record that the deletion happened, without the tokens
+      await requestDoc.ref.update({
+        status: DELETION_STATUS.COMPLETED,
+        cancelTokenHash: admin.firestore.FieldValue.delete(),
+        completedAt: admin.firestore.Timestamp.now(),
+        summary,
+        lastError: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.Timestamp.now()
+      });
+      if (recipient) {
+        await sendAccountDeletionNotice(recipient, { type: 'completed' });
+      }
+      result.deleted += 1;
+    } catch (error) {
+      console.error(`❌ [AccountDeletion] Deleting ${userId} failed, will retry:`, error);
+      await requestDoc.ref.update({
+        lastError: error.message,
+        attempts: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.Timestamp.now()
+      });
+      result.failed += 1;
+    }
+  }
+
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} of ${result.due} account deletions failed`);
+  }
+  return result;
+};
+
+module.exports = {
+  DELETION_REQUESTS_COLLECTION,
+  DELETION_STATUS,
+  AccountDeletionError,
+  getDeletionRequest,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  cancelAccountDeletion,
+  deleteUserData,
+  processDueDeletions
+};
@@ -0,0 +1,92 @@
+/**
+ * Enterprise API keys for server-to-server access.
+ *
+ * Keys are stored hashed in apiKeys/{sha256(key)} and act on behalf of the admin
+ * who created them, limited to their scopes. Every route an API key may call is
+ * listed in SCOPE_ROUTES; anything else is denied.
+ */
+
+const crypto = require('crypto');
+
+const API_KEYS_COLLECTION = 'apiKeys';
+const API_KEY_PREFIX = 'xsk_';
+
+const API_KEY_SCOPES = {
+  'contacts:read': 'Read contacts and contact exports',
+  'contacts:write': 'Create, update and delete contacts',
+  'cards:read': 'Read cards and QR codes',
+  'employees:read': 'Read employees, team members and import reports',
+  'employees:write': 'Add, update, remove and import employees',
+  'departments:read': 'Read departments and teams',
+  'departments:write': 'Create, update and delete departments and teams'
+};
+
+const READ = ['GET'];
+const WRITE = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ENTERPRISE = '/(?:api/)?enterprise/(?<enterpriseId>[^/]+)';
+
+const route = (scope, methods, pattern) => ({ scope, methods, pattern: new RegExp(`^${pattern}/?$`) });
+
+// Paths are matched against the full request path (router mount prefix included)
+const SCOPE_ROUTES = [
+  route('contacts:read', READ, '/Contacts(?:/export|/[^/]+(?:/vcf|/duplicates)?)?'),
+  route('contacts:read', READ, `${ENTERPRISE}(?:/departments/[^/]+)?/contacts/(?:summary|details)`),
+  route('contacts:write', WRITE, '/Contacts/[^/]+(?:/contact/[^/]+|/duplicates/merge|/duplicate-policy)?'),
+  route('cards:read', READ, '/Cards/[^/]+'),
+  route('cards:read', READ, `${ENTERPRISE}/cards(?:/qr-codes)?`),
+  route('cards:read', READ, `${ENTERPRISE}/departments/[^/]+(?:/teams/[^/]+)?/cards`),
+  route('cards:read', READ, `${ENTERPRISE}/departments/[^/]+/employees/[^/]+/card`),
+  route('employees:read', READ, `${ENTERPRISE}/employees(?:/import/[^/]+)?`),
+  route('employees:read', READ, `${ENTERPRISE}/departments/[^/]+/(?:employees(?:/[^/]+)?|query-employee|managers)`),
+  route('employees:read', READ, `${ENTERPRISE}/departments/[^/]+/teams/[^/]+/members`),
+  route('employees:write', WRITE, `${ENTERPRISE}/employees/import(?:/[^/]+/run)?`),
+  route('employees:write', WRITE, `${ENTERPRISE}/departments/[^/]+/employees(?:/unassign-all|/[^/]+(?:/role|/unassign)?)?`),
+  route('employees:write', WRITE, `${ENTERPRISE}/departments/[^/]+/teams/[^/]+/(?:employees(?:/[^/]+)?|members/bulk-(?:add|remove))`),
+  route('departments:read', READ, `${ENTERPRISE}/departments(?:/[^/]+(?:/teams(?:/[^/]+)?)?)?`),
+  route('departments:write', WRITE, `${ENTERPRISE}/departments(?:/[^/]+(?:/teams(?:/[^/]+)?)?)?`)
+];
+
+/**
+ * Generate a new API key; only its hash is stored
+ * @returns {{key: string, keyHash: string, lastFour: string}}
+ */
+const generateApiKey = () => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, keyHash: hashApiKey(key), lastFour: key.slice(-4) };
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (credential) => typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+
+/**
+ * @param {*} scopes - Requested scopes
+ * @returns {string[]} - Unknown scopes
+ */
+const findUnknownScopes = (scopes) => (Array.isArray(scopes) ? scopes : [scopes])
+  .filter(scope => !API_KEY_SCOPES[scope]);
+
+/**
+ * Find the scope an API key needs for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ * @returns {{scope: string, enterpriseId: string|null}|null} - null when API keys may not call the route
+ */
+const resolveRouteScope = (method, path) => {
+  for (const { scope, methods, pattern } of SCOPE_ROUTES) {
+    if (!methods.includes(method)) continue;
+    const match = path.match(pattern);
+    if (match) return { scope, enterpriseId: match.groups?.enterpriseId || null };
+  }
+  return null;
+};
+
+module.exports = {
+  API_KEYS_COLLECTION,
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  findUnknownScopes,
+  resolveRouteScope
+};
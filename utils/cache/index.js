@@ -0,0 +1,50 @@
+/**
+ * Cache store registry
+ *
+ * ContactCache always keeps a local MemoryCacheStore and can sit in front of
+ * a shared store selected by CONTACT_CACHE_BACKEND (memory | redis). Shared
+ * stores implement the MemoryCacheStore methods plus publish/subscribe for
+ * cross-instance invalidation, getConfig/setConfig for TTL settings and,
+ * optionally, isReady/onReady for connection state.
+ */
+
+const MemoryCacheStore = require('./memoryCacheStore');
+const RedisCacheStore = require('./redisCacheStore');
+
+const SHARED_STORES = {
+  redis: (options) => new RedisCacheStore(options)
+};
+
+/**
+ * Register an additional shared store implementation
+ * @param {string} name - Backend name used in CONTACT_CACHE_BACKEND
+ * @param {Function} factory - (options) => store instance
+ */
+const registerCacheStore = (name, factory) => {
+  SHARED_STORES[name.toLowerCase()] = factory;
+};
+
+/**
+ * Create the shared store for the configured backend
+ * @param {string} backend - Backend name (defaults to CONTACT_CACHE_BACKEND, then memory)
+ * @param {Object} options - Store options
+ * @returns {Object|null} - Shared store, or null for memory-only caching
+ */
+const createSharedCacheStore = (backend = process.env.CONTACT_CACHE_BACKEND, options = {}) => {
+  const name = (backend || 'memory').toLowerCase();
+  if (name === 'memory') return null;
+
+  const factory = SHARED_STORES[name];
+  if (!factory) {
+    console.warn(`[ContactCache] Unknown cache backend '${name}', falling back to memory. Supported: memory, ${Object.keys(SHARED_STORES).join(', ')}`);
+    return null;
+  }
+  return factory(options);
+};
+
+module.exports = {
+  MemoryCacheStore,
+  RedisCacheStore,
+  registerCacheStore,
+  createSharedCacheStore
+};
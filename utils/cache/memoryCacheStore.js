@@ -0,0 +1,129 @@
+/**
+ * In-process cache store backed by a Map.
+ *
+ * Entries are { data, createdAt, expiresAt, accessCount, lastAccessed }.
+ * Used on its own for single-instance deployments and as the local tier in
+ * front of a shared store.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Maximum entries before eviction
+   */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.shared = false;
+    this.entriesMap = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    return this.getSync(key);
+  }
+
+  /**
+   * Synchronous read; drops the entry when it has expired
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Cache entry
+   */
+  getSync(key) {
+    const entry = this.entriesMap.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.entriesMap.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Read an entry even if it has expired (stale fallback)
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Cache entry
+   */
+  peek(key) {
+    return this.entriesMap.get(key) || null;
+  }
+
+  async set(key, entry) {
+    // Enforce cache size limits
+    if (!this.entriesMap.has(key) && this.entriesMap.size >= this.maxEntries) {
+      this.evictOldest(Math.max(1, Math.floor(this.maxEntries * 0.1))); // Remove 10% of entries
+    }
+    this.entriesMap.set(key, entry);
+  }
+
+  async delete(key) {
+    return this.entriesMap.delete(key) ? 1 : 0;
+  }
+
+  /**
+   * Delete every key containing the pattern (substring match)
+   * @param {string} pattern - Substring to match
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async deleteByPattern(pattern) {
+    return this.deleteByPatternSync(pattern);
+  }
+
+  deleteByPatternSync(pattern) {
+    let deleted = 0;
+    for (const key of Array.from(this.entriesMap.keys())) {
+      if (key.includes(pattern)) {
+        this.entriesMap.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async clear() {
+    const size = this.entriesMap.size;
+    this.entriesMap.clear();
+    return size;
+  }
+
+  async entries() {
+    return Array.from(this.entriesMap.entries());
+  }
+
+  async size() {
+    return this.entriesMap.size;
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} - Number of removed entries
+   */
+  cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const [key, entry] of this.entriesMap.entries()) {
+      if (now > entry.expiresAt) {
+        this.entriesMap.delete(key);
+        cleaned++;
+      }
+    }
+    return cleaned;
+  }
+
+  /**
+   * Evict the oldest entries by creation time
+   * @param {number} count - Number of entries to evict
+   * @returns {number} - Number of evicted entries
+   */
+  evictOldest(count) {
+    const entries = Array.from(this.entriesMap.entries());
+    entries.sort((a, b) => a[1].createdAt - b[1].createdAt); // Sort by creation time
+
+    let evicted = 0;
+    for (let i = 0; i < count && i < entries.length; i++) {
+      this.entriesMap.delete(entries[i][0]);
+      evicted++;
+    }
+    return evicted;
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,175 @@
+/**
+ * Shared cache store backed by Redis (the same Redis Bull uses for locationQueue).
+ *
+ * Entries are stored as JSON under `<prefix><key>` with a PX expiry, so every
+ * server instance sees the same warm cache. A second connection subscribes to
+ * the invalidation channel, since a subscribed ioredis client cannot run
+ * regular commands.
+ */
+
+const Redis = require('ioredis');
+
+const DEFAULT_PREFIX = 'xscard:contactCache:';
+const SCAN_COUNT = 200;
+
+// Keep requests fast when Redis is down: fail instead of queueing commands
+const connectionOptions = () => ({
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  ...(process.env.REDIS_PASSWORD && { password: process.env.REDIS_PASSWORD }),
+  maxRetriesPerRequest: 1,
+  enableOfflineQueue: false,
+  retryStrategy: (times) => Math.min(times * 500, 10000)
+});
+
+class RedisCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.prefix - Key prefix
+   * @param {Object} options.redisOptions - Extra ioredis options
+   */
+  constructor({ prefix = process.env.CONTACT_CACHE_REDIS_PREFIX || DEFAULT_PREFIX, redisOptions = {} } = {}) {
+    this.name = 'redis';
+    this.shared = true;
+    this.prefix = prefix;
+    this.channel = `${prefix}events`;
+    this.configKey = `${prefix}__config`;
+    this.client = new Redis({ ...connectionOptions(), ...redisOptions });
+    this.subscriber = null;
+
+    this.client.on('error', (error) => {
+      console.error('[ContactCache] Redis error:', error.message);
+    });
+  }
+
+  isReady() {
+    return this.client.status === 'ready';
+  }
+
+  /**
+   * Run a callback every time the connection becomes ready (including reconnects)
+   * @param {Function} handler - Callback
+   */
+  onReady(handler) {
+    this.client.on('ready', handler);
+  }
+
+  entryKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.entryKey(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry) {
+    const ttl = Math.max(1, Math.round(entry.expiresAt - Date.now()));
+    await this.client.set(this.entryKey(key), JSON.stringify(entry), 'PX', ttl);
+  }
+
+  async delete(key) {
+    return this.client.del(this.entryKey(key));
+  }
+
+  /**
+   * Iterate over all cache keys (without prefix) using SCAN
+   * @returns {Promise<string[]>} - Cache keys
+   */
+  async keys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', SCAN_COUNT);
+      cursor = nextCursor;
+      batch
+        .filter(fullKey => fullKey !== this.configKey)
+        .forEach(fullKey => keys.push(fullKey.slice(this.prefix.length)));
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  /**
+   * Delete every key containing the pattern (substring match, same as the memory store)
+   * @param {string} pattern - Substring to match
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async deleteByPattern(pattern) {
+    const matching = (await this.keys()).filter(key => key.includes(pattern));
+    if (matching.length === 0) return 0;
+    return this.client.del(...matching.map(key => this.entryKey(key)));
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    if (keys.length === 0) return 0;
+    return this.client.del(...keys.map(key => this.entryKey(key)));
+  }
+
+  async entries() {
+    const keys = await this.keys();
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mget(...keys.map(key => this.entryKey(key)));
+    return keys
+      .map((key, index) => [key, values[index] ? JSON.parse(values[index]) : null])
+      .filter(([, entry]) => entry);
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+
+  async getConfig() {
+    const raw = await this.client.get(this.configKey);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async setConfig(config) {
+    await this.client.set(this.configKey, JSON.stringify(config));
+  }
+
+  /**
+   * Broadcast a cache event to every instance
+   * @param {Object} message - Event payload
+   * @returns {Promise<void>}
+   */
+  async publish(message) {
+    await this.client.publish(this.channel, JSON.stringify(message));
+  }
+
+  /**
+   * Listen for cache events from every instance
+   * @param {Function} handler - Called with each parsed event
+   */
+  subscribe(handler) {
+    if (this.subscriber) return;
+
+    // Subscriptions must survive startup, so this connection may queue until Redis is reachable
+    this.subscriber = this.client.duplicate({ enableOfflineQueue: true, maxRetriesPerRequest: null });
+    this.subscriber.on('error', (error) => {
+      console.error('[ContactCache] Redis subscriber error:', error.message);
+    });
+    this.subscriber.on('message', (channel, raw) => {
+      if (channel !== this.channel) return;
+      try {
+        handler(JSON.parse(raw));
+      } catch (error) {
+        console.error('[ContactCache] Ignoring malformed cache event:', error.message);
+      }
+    });
+    // ioredis re-subscribes automatically after reconnecting
+    this.subscriber.subscribe(this.channel).catch((error) => {
+      console.error('[ContactCache] Failed to subscribe to cache events:', error.message);
+    });
+  }
+
+  async close() {
+    await Promise.all([
+      this.client.quit().catch(() => {}),
+      this.subscriber ? this.subscriber.quit().catch(() => {}) : null
+    ]);
+  }
+}
+
+module.exports = RedisCacheStore;
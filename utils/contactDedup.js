@@ -0,0 +1,318 @@
+/**
+ * Contact de-duplication for contactList entries.
+ *
+ * Contacts match on normalised email or phone, or on a fuzzy full-name match
+ * when neither side has a conflicting email/phone. Insert-time behaviour is
+ * controlled by a duplicate policy (merge, reject, keep_both): the user's
+ * `contactDuplicatePolicy` field wins over CONTACT_DUPLICATE_POLICY (default merge).
+ * Anyone can put any name on a public submission, so a name-only match there is
+ * never merged or refused: the contact is kept and flagged with `possibleDuplicate`
+ * for the owner to review.
+ */
+
+const DUPLICATE_POLICIES = {
+  MERGE: 'merge',
+  REJECT: 'reject',
+  KEEP_BOTH: 'keep_both'
+};
+
+const NAME_SIMILARITY_THRESHOLD = parseFloat(process.env.CONTACT_NAME_SIMILARITY_THRESHOLD || '0.85');
+// findDuplicateGroups only compares names within blocks sharing a name prefix or
+// suffix; blocks larger than this (very common names) are matched on email/phone only
+const NAME_BLOCK_KEY_LENGTH = 3;
+const MAX_NAME_BLOCK_SIZE = 200;
+const DEFAULT_COUNTRY_CODE = process.env.CONTACT_DEFAULT_COUNTRY_CODE || '27';
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Reduce a phone number to digits in international form (0821234567 -> 27821234567)
+ * @param {string} phone - Phone number as entered
+ * @returns {string} - Normalised number, or '' when too short to compare
+ */
+const normalisePhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0')) digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+  return digits.length >= 7 ? digits : '';
+};
+
+const normaliseName = (contact) => `${contact.name || ''} ${contact.surname || ''}`
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Name similarity between 0 and 1 (1 - normalised edit distance)
+ * @param {Object} a - Contact
+ * @param {Object} b - Contact
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+  const nameA = normaliseName(a);
+  const nameB = normaliseName(b);
+  if (!nameA || !nameB) return 0;
+  if (nameA === nameB) return 1;
+  return 1 - levenshtein(nameA, nameB) / Math.max(nameA.length, nameB.length);
+};
+
+/**
+ * Decide whether two contacts are the same person
+ * @param {Object} a - Contact
+ * @param {Object} b - Contact
+ * @returns {string[]|null} - Match reasons (email, phone, name), or null when not a duplicate
+ */
+const matchContacts = (a, b) => {
+  const emailA = normaliseEmail(a.email);
+  const emailB = normaliseEmail(b.email);
+  const phoneA = normalisePhone(a.phone);
+  const phoneB = normalisePhone(b.phone);
+
+  const reasons = [];
+  if (emailA && emailA === emailB) reasons.push('email');
+  if (phoneA && phoneA === phoneB) reasons.push('phone');
+  if (reasons.length > 0) return reasons;
+
+  // Different email or phone on both sides means two different people with similar names
+  const conflicting = (emailA && emailB) || (phoneA && phoneB);
+  if (!conflicting && nameSimilarity(a, b) >= NAME_SIMILARITY_THRESHOLD) {
+    return ['name'];
+  }
+  return null;
+};
+
+const isNameOnlyMatch = (reasons) => reasons.length === 1 && reasons[0] === 'name';
+
+/**
+ * Find the existing contact that duplicates the candidate, preferring an email or
+ * phone match over a name-only one
+ * @param {Object[]} contactList - Existing contacts
+ * @param {Object} candidate - Contact being added
+ * @returns {{index: number, reasons: string[]}|null}
+ */
+const findDuplicate = (contactList, candidate) => {
+  let nameMatch = null;
+  for (let index = 0; index < contactList.length; index++) {
+    const reasons = matchContacts(contactList[index], candidate);
+    if (!reasons) continue;
+    if (!isNameOnlyMatch(reasons)) return { index, reasons };
+    if (!nameMatch) nameMatch = { index, reasons };
+  }
+  return nameMatch;
+};
+
+/**
+ * Keys that put probable name matches in the same block: a typo rarely touches both ends of a name
+ * @param {Object} contact - Contact
+ * @returns {string[]} - Prefix and suffix keys, none when the contact has no name
+ */
+const nameBlockKeys = (contact) => {
+  const name = normaliseName(contact).replace(/ /g, '');
+  if (name.length === 0) return [];
+  return [`^${name.slice(0, NAME_BLOCK_KEY_LENGTH)}`, `$${name.slice(-NAME_BLOCK_KEY_LENGTH)}`];
+};
+
+/**
+ * Group probable duplicates in an existing list (connected components of pairwise matches).
+ * Rather than comparing every pair, contacts are bucketed by normalised email, phone
+ * and name blocks, and only contacts sharing a bucket are compared.
+ * @param {Object[]} contactList - Contacts
+ * @returns {Array<{indices: number[], reasons: string[]}>} - Groups with two or more contacts
+ */
+const findDuplicateGroups = (contactList) => {
+  const parent = contactList.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const reasonsByRoot = new Map();
+  const pairReasons = [];
+
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+  contactList.forEach((contact, index) => {
+    const email = normaliseEmail(contact.email);
+    const phone = normalisePhone(contact.phone);
+    if (email) addToBucket(`email:${email}`, index);
+    if (phone) addToBucket(`phone:${phone}`, index);
+    nameBlockKeys(contact).forEach(key => addToBucket(`name:${key}`, index));
+  });
+
+  const compared = new Set();
+  buckets.forEach((indices, key) => {
+    if (indices.length < 2) return;
+
+    // Everyone in an email or phone bucket matches the first member
+    if (!key.startsWith('name:')) {
+      const reason = key.slice(0, key.indexOf(':'));
+      indices.slice(1).forEach(index => {
+        parent[find(index)] = find(indices[0]);
+        pairReasons.push([index, [reason]]);
+      });
+      return;
+    }
+
+    if (indices.length > MAX_NAME_BLOCK_SIZE) return;
+    for (let a = 0; a < indices.length; a++) {
+      for (let b = a + 1; b < indices.length; b++) {
+        const pairKey = `${indices[a]}:${indices[b]}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const reasons = matchContacts(contactList[indices[a]], contactList[indices[b]]);
+        if (reasons) {
+          parent[find(indices[b])] = find(indices[a]);
+          pairReasons.push([indices[a], reasons]);
+        }
+      }
+    }
+  });
+
+  pairReasons.forEach(([index, reasons]) => {
+    const root = find(index);
+    const merged = reasonsByRoot.get(root) || new Set();
+    reasons.forEach(reason => merged.add(reason));
+    reasonsByRoot.set(root, merged);
+  });
+
+  const groups = new Map();
+  contactList.forEach((_, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  return Array.from(groups.entries())
+    .filter(([, indices]) => indices.length > 1)
+    .map(([root, indices]) => ({ indices, reasons: Array.from(reasonsByRoot.get(root) || []) }));
+};
+
+const createdAtMillis = (contact) => {
+  const value = contact.createdAt;
+  if (!value) return Infinity;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value._seconds) return value._seconds * 1000;
+  const millis = new Date(value).getTime();
+  return isNaN(millis) ? Infinity : millis;
+};
+
+/**
+ * Merge duplicate contacts into one.
+ * Keeps the earliest createdAt, the earliest contact's location (or the first one
+ * available), fills empty fields from the other records and combines howWeMet notes.
+ * @param {Object[]} contacts - Contacts to merge (any order)
+ * @returns {Object} - Merged contact
+ */
+const mergeContacts = (contacts) => {
+  const ordered = [...contacts].sort((a, b) => createdAtMillis(a) - createdAtMillis(b));
+  const merged = { ...ordered[0] };
+
+  ordered.slice(1).forEach(contact => {
+    Object.entries(contact).forEach(([field, value]) => {
+      if (['createdAt', 'location', 'howWeMet', 'mergedCount', 'possibleDuplicate'].includes(field)) return;
+      if ((merged[field] === undefined || merged[field] === null || merged[field] === '') && value !== undefined) {
+        merged[field] = value;
+      }
+    });
+  });
+
+  const location = ordered.find(contact => contact.location)?.location;
+  if (location) merged.location = location;
+
+  const notes = [];
+  ordered.forEach(contact => {
+    String(contact.howWeMet || '').split('; ').map(note => note.trim()).filter(Boolean).forEach(note => {
+      if (!notes.some(existing => existing.toLowerCase() === note.toLowerCase())) notes.push(note);
+    });
+  });
+  merged.howWeMet = notes.join('; ');
+
+  merged.mergedCount = ordered.reduce((count, contact) => count + (contact.mergedCount || 1), 0);
+
+  // A review flag is settled once the contacts it points between are merged
+  if (merged.possibleDuplicate && ordered.some(contact => contact.id && contact.id === merged.possibleDuplicate.contactId)) {
+    delete merged.possibleDuplicate;
+  }
+  return merged;
+};
+
+/**
+ * Resolve the duplicate policy for a user
+ * @param {Object} userData - User document data
+ * @returns {string} - One of DUPLICATE_POLICIES
+ */
+const getDuplicatePolicy = (userData = {}) => {
+  const policies = Object.values(DUPLICATE_POLICIES);
+  const candidates = [userData.contactDuplicatePolicy, process.env.CONTACT_DUPLICATE_POLICY];
+  return candidates.find(policy => policies.includes(policy)) || DUPLICATE_POLICIES.MERGE;
+};
+
+/**
+ * Apply the duplicate policy to a new contact.
+ * Mutates contactList for 'added' and 'merged'; 'rejected' leaves it untouched.
+ * @param {Object[]} contactList - Existing contacts
+ * @param {Object} newContact - Contact being added
+ * @param {string} policy - Duplicate policy
+ * @param {Object} options - Options
+ * @param {boolean} options.publicSubmission - Submitted by an anonymous visitor (name-only matches are flagged, not merged)
+ * @returns {{action: string, index: number, contact: Object, duplicate: Object|null}}
+ *   action is 'added', 'merged' or 'rejected'; index is where the contact now lives
+ *   (or the existing duplicate when rejected). A flagged contact is 'added' with its duplicate set.
+ */
+const applyContactInsert = (contactList, newContact, policy, { publicSubmission = false } = {}) => {
+  const duplicate = policy === DUPLICATE_POLICIES.KEEP_BOTH ? null : findDuplicate(contactList, newContact);
+
+  if (!duplicate) {
+    contactList.push(newContact);
+    return { action: 'added', index: contactList.length - 1, contact: newContact, duplicate: null };
+  }
+
+  if (publicSubmission && isNameOnlyMatch(duplicate.reasons)) {
+    const flagged = {
+      ...newContact,
+      possibleDuplicate: { contactId: contactList[duplicate.index].id || null, matchedOn: duplicate.reasons }
+    };
+    contactList.push(flagged);
+    return { action: 'added', index: contactList.length - 1, contact: flagged, duplicate };
+  }
+
+  if (policy === DUPLICATE_POLICIES.REJECT) {
+    return { action: 'rejected', index: duplicate.index, contact: contactList[duplicate.index], duplicate };
+  }
+
+  contactList[duplicate.index] = mergeContacts([contactList[duplicate.index], newContact]);
+  return { action: 'merged', index: duplicate.index, contact: contactList[duplicate.index], duplicate };
+};
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  normaliseEmail,
+  normalisePhone,
+  nameSimilarity,
+  matchContacts,
+  findDuplicate,
+  findDuplicateGroups,
+  nameBlockKeys,
+  mergeContacts,
+  getDuplicatePolicy,
+  applyContactInsert
+};
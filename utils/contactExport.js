@@ -0,0 +1,231 @@
+/**
+ * Contact export rendering (CSV, vCard, Excel).
+ *
+ * Columns are picked from EXPORT_COLUMNS; location columns read the `location`
+ * object written by locationQueue. Excel files are built as a minimal
+ * single-sheet .xlsx package with inline strings, so no spreadsheet library is needed.
+ */
+
+const archiver = require('archiver');
+const { stringify } = require('csv-stringify/sync');
+const { buildContactVCard } = require('./vcardGenerator');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const toIsoDate = (value) => {
+  if (!value) return '';
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value._seconds) return new Date(value._seconds * 1000).toISOString();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+};
+
+const locationField = (field) => (contact) => {
+  const value = contact.location?.[field];
+  return value === undefined || value === null ? '' : value;
+};
+
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', value: contact => contact.id || '' },
+  name: { header: 'First Name', value: contact => contact.name || '' },
+  surname: { header: 'Last Name', value: contact => contact.surname || '' },
+  email: { header: 'Email', value: contact => contact.email || '' },
+  phone: { header: 'Phone', value: contact => contact.phone || '' },
+  company: { header: 'Company', value: contact => contact.company || '' },
+  howWeMet: { header: 'How We Met', value: contact => contact.howWeMet || '' },
+  createdAt: { header: 'Date Added', value: contact => toIsoDate(contact.createdAt) },
+  city: { header: 'City', value: locationField('city') },
+  region: { header: 'Region', value: locationField('region') },
+  country: { header: 'Country', value: locationField('country') },
+  countryCode: { header: 'Country Code', value: locationField('countryCode') },
+  latitude: { header: 'Latitude', value: locationField('latitude') },
+  longitude: { header: 'Longitude', value: locationField('longitude') }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a comma-separated column list
+ * @param {string} value - e.g. 'name,email,city' (empty for every column)
+ * @returns {string[]} - Column keys in the requested order
+ */
+const parseColumns = (value) => {
+  if (!value) return Object.keys(EXPORT_COLUMNS);
+
+  const columns = [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown column(s): ${unknown.join(', ')}. Supported: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+  }
+  return columns.length > 0 ? columns : Object.keys(EXPORT_COLUMNS);
+};
+
+/**
+ * Parse a createdAt range. A date without a time in `to` includes that whole day.
+ * @param {string} from - Start date (ISO)
+ * @param {string} to - End date (ISO)
+ * @returns {{from: Date|null, to: Date|null}}
+ */
+const parseDateRange = (from, to) => {
+  const parse = (value, name, endOfDay) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw badRequest(`Invalid '${name}' date`);
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+    return date;
+  };
+
+  const range = { from: parse(from, 'from', false), to: parse(to, 'to', true) };
+  if (range.from && range.to && range.from > range.to) {
+    throw badRequest("'from' must be before 'to'");
+  }
+  return range;
+};
+
+/**
+ * Keep contacts whose createdAt falls within the range (contacts without a date are
+ * only kept when no range is given)
+ * @param {Object[]} contacts - Contacts
+ * @param {{from: Date|null, to: Date|null}} range - Date range
+ * @returns {Object[]}
+ */
+const filterByCreatedAt = (contacts, { from, to }) => {
+  if (!from && !to) return contacts;
+  return contacts.filter(contact => {
+    const createdAt = toIsoDate(contact.createdAt);
+    if (!createdAt) return false;
+    const date = new Date(createdAt);
+    return (!from || date >= from) && (!to || date <= to);
+  });
+};
+
+/**
+ * @param {Object[]} contacts - Contacts
+ * @param {string[]} columns - Column keys
+ * @returns {Array<Array>} - Header row followed by one row per contact
+ */
+const buildRows = (contacts, columns) => [
+  columns.map(column => EXPORT_COLUMNS[column].header),
+  ...contacts.map(contact => columns.map(column => EXPORT_COLUMNS[column].value(contact)))
+];
+
+const escapeXml = (value) => String(value)
+  // Control characters other than tab/newline are not allowed in XML
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const buildSheetXml = (rows) => {
+  const rowXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnLetter(columnIndex)}${rowIndex + 1}`;
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rowXml}</sheetData></worksheet>`;
+};
+
+/**
+ * Build an .xlsx workbook with a single sheet
+ * @param {Array<Array>} rows - Rows (first row is the header)
+ * @param {string} sheetName - Sheet name
+ * @returns {Promise<Buffer>}
+ */
+const buildXlsx = (rows, sheetName = 'Contacts') => new Promise((resolve, reject) => {
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>',
+    'xl/worksheets/sheet1.xml': buildSheetXml(rows)
+  };
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  Object.keys(files).forEach(name => archive.append(files[name], { name }));
+  archive.finalize();
+});
+
+/**
+ * Render contacts in the requested format
+ * @param {Object[]} contacts - Contacts to export
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv, vcf or xlsx
+ * @param {string[]} options.columns - Column keys (csv/xlsx)
+ * @param {string} options.version - vCard version (vcf)
+ * @returns {Promise<{body: Buffer|string, contentType: string, extension: string}>}
+ */
+const renderContactExport = async (contacts, { format, columns, version }) => {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw badRequest(`Unsupported format '${format}'. Supported: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  let body;
+  if (format === 'vcf') {
+    body = contacts.map(contact => buildContactVCard(contact, { version })).join('');
+  } else if (format === 'xlsx') {
+    body = await buildXlsx(buildRows(contacts, columns));
+  } else {
+    // BOM so Excel opens UTF-8 names correctly
+    body = '\uFEFF' + stringify(buildRows(contacts, columns));
+  }
+
+  return { body, ...exportFormat };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  parseColumns,
+  parseDateRange,
+  filterByCreatedAt,
+  buildRows,
+  buildXlsx,
+  renderContactExport
+};
@@ -0,0 +1,673 @@
+/**
+ * Contact storage: one document per contact in `contacts/{userId}/items/{contactId}`.
+ *
+ * The parent `contacts/{userId}` document keeps the owner reference, a
+ * `contactCount` and a `nextSequence` counter. `sequence` preserves the order
+ * of the old `contactList` array, which legacy index-based endpoints and the
+ * compatibility response shape still rely on.
+ *
+ * Lists that still use the `contactList` array are converted on first access
+ * (see migrations/move-contacts-to-subcollection.js to convert them all up front).
+ * Writes that depend on the rest of the list (duplicate checks, plan limits,
+ * merges) run in transactions so concurrent saves cannot overwrite each other.
+ * Duplicate checks read only the contacts sharing a normalised email, phone or
+ * name block with the new contact (the match key fields), never the whole list.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../firebase');
+const {
+  DUPLICATE_POLICIES,
+  applyContactInsert,
+  mergeContacts,
+  normaliseEmail,
+  normalisePhone,
+  nameBlockKeys
+} = require('./contactDedup');
+
+const CONTACTS_COLLECTION = 'contacts';
+const ITEMS_SUBCOLLECTION = 'items';
+const STORAGE_VERSION = 'subcollection';
+const MIGRATION_BATCH_SIZE = 400;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PREFIX_LENGTH = 20;
+// Documents a multi-word search reads to fill one page
+const MAX_SEARCH_SCAN = 1000;
+// Duplicate candidates read per match key when adding a contact
+const MAX_KEY_CANDIDATES = 10;
+const MAX_NAME_CANDIDATES = 50;
+
+// Derived fields kept for querying; never returned to clients
+const INDEX_FIELDS = ['searchKeywords', 'sortName', 'sortCompany', 'emailKey', 'phoneKey', 'nameKeys'];
+// Raised when INDEX_FIELDS changes; lists indexed by an older version are re-indexed on first access
+const INDEX_VERSION = 2;
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'sortName',
+  company: 'sortCompany',
+  sequence: 'sequence'
+};
+
+// Users whose lists are known to be converted (saves a read per call)
+const migratedUsers = new Set();
+
+const contactsDocRef = (userId) => db.collection(CONTACTS_COLLECTION).doc(userId);
+const itemsRef = (userId) => contactsDocRef(userId).collection(ITEMS_SUBCOLLECTION);
+
+/**
+ * Prefixes of every word in the searchable fields, for array-contains search
+ * @param {Object} contact - Contact data
+ * @returns {string[]}
+ */
+const buildSearchKeywords = (contact) => {
+  const words = [contact.name, contact.surname, contact.company, contact.email, contact.howWeMet]
+    .map(value => String(value || '').toLowerCase())
+    .join(' ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  const phoneDigits = String(contact.phone || '').replace(/\D/g, '');
+  if (phoneDigits) words.push(phoneDigits);
+
+  const keywords = new Set();
+  words.forEach(word => {
+    for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+      keywords.add(word.slice(0, length));
+    }
+  });
+  return Array.from(keywords);
+};
+
+/**
+ * Prepare contact data for storage: drop the ID, refresh derived query fields
+ * @param {Object} contact - Contact data
+ * @returns {Object}
+ */
+const toStoredContact = (contact) => {
+  const { id, ...data } = contact;
+  INDEX_FIELDS.forEach(field => delete data[field]);
+
+  return {
+    ...data,
+    // orderBy skips documents without the field, so keep it present
+    createdAt: data.createdAt || null,
+    sortName: `${data.name || ''} ${data.surname || ''}`.trim().toLowerCase(),
+    sortCompany: String(data.company || '').toLowerCase(),
+    searchKeywords: buildSearchKeywords(data),
+    emailKey: normaliseEmail(data.email) || null,
+    phoneKey: normalisePhone(data.phone) || null,
+    nameKeys: nameBlockKeys(data)
+  };
+};
+
+/**
+ * Client-facing contact (stable ID plus the stored fields)
+ * @param {Object} doc - Contact document snapshot
+ * @returns {Object}
+ */
+const fromSnapshot = (doc) => {
+  const data = { ...doc.data() };
+  INDEX_FIELDS.forEach(field => delete data[field]);
+  return { id: doc.id, ...data };
+};
+
+/**
+ * Old entries stored createdAt as a Timestamp, Date or ISO string; store a Timestamp
+ * so that date sorting and range queries see every contact
+ * @param {*} value - Stored createdAt
+ * @returns {Object|null} - Firestore Timestamp
+ */
+const toTimestamp = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value;
+  if (value._seconds !== undefined) return new admin.firestore.Timestamp(value._seconds, value._nanoseconds || 0);
+
+  const date = new Date(value);
+  return isNaN(date) ? null : admin.firestore.Timestamp.fromDate(date);
+};
+
+/**
+ * Deterministic IDs for migrated contacts so a re-run overwrites instead of duplicating
+ * @param {string} userId - Owner ID
+ * @param {number} index - Position in the old array
+ * @returns {string}
+ */
+const legacyContactId = (userId, index) => crypto
+  .createHash('sha1')
+  .update(`${userId}:${index}`)
+  .digest('hex')
+  .slice(0, 20);
+
+/**
+ * Convert a user's `contactList` array into item documents.
+ * The original array is kept as `legacyContactList` for rollback.
+ * @param {string} userId - Owner ID
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Promise<{migrated: boolean, contactCount: number}>}
+ */
+const migrateUserContacts = async (userId, { dryRun = false } = {}) => {
+  const parentRef = contactsDocRef(userId);
+  const parentDoc = await parentRef.get();
+
+  if (parentDoc.exists && parentDoc.data().storage === STORAGE_VERSION &&
+      (parentDoc.data().indexVersion || 1) < INDEX_VERSION) {
+    return reindexUserContacts(userId, { dryRun });
+  }
+
+  if (!parentDoc.exists || parentDoc.data().storage === STORAGE_VERSION) {
+    migratedUsers.add(userId);
+    return { migrated: false, contactCount: parentDoc.exists ? (parentDoc.data().contactCount || 0) : 0 };
+  }
+
+  const parentData = parentDoc.data();
+  // Older documents used `contactsList`
+  const contactList = Array.isArray(parentData.contactList)
+    ? parentData.contactList
+    : (Array.isArray(parentData.contactsList) ? parentData.contactsList : []);
+
+  if (dryRun) {
+    return { migrated: true, contactCount: contactList.length };
+  }
+
+  for (let start = 0; start < contactList.length; start += MIGRATION_BATCH_SIZE) {
+    const batch = db.batch();
+    contactList.slice(start, start + MIGRATION_BATCH_SIZE).forEach((contact, offset) => {
+      const index = start + offset;
+      const createdAt = toTimestamp(contact.createdAt);
+      batch.set(itemsRef(userId).doc(legacyContactId(userId, index)), {
+        ...toStoredContact({ ...contact, createdAt }),
+        sequence: index,
+        updatedAt: createdAt
+      });
+    });
+    await batch.commit();
+  }
+
+  await parentRef.set({
+    userId: parentData.userId || db.doc(`users/${userId}`),
+    storage: STORAGE_VERSION,
+    indexVersion: INDEX_VERSION,
+    contactCount: contactList.length,
+    nextSequence: contactList.length,
+    legacyContactList: contactList,
+    contactList: admin.firestore.FieldValue.delete(),
+    contactsList: admin.firestore.FieldValue.delete(),
+    migratedAt: admin.firestore.Timestamp.now()
+  }, { merge: true });
+
+  migratedUsers.add(userId);
+  console.log(`📦 [ContactStore] Migrated ${contactList.length} contacts for user ${userId} to subcollection`);
+  return { migrated: true, contactCount: contactList.length };
+};
+
+/**
+ * Refresh the derived fields of a converted list after INDEX_FIELDS changed, and
+ * recount its contacts
+ * @param {string} userId - Owner ID
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Promise<{migrated: boolean, reindexed: boolean, contactCount: number}>}
+ */
+const reindexUserContacts = async (userId, { dryRun = false } = {}) => {
+  const snapshot = await itemsRef(userId).get();
+  if (dryRun) {
+    return { migrated: false, reindexed: true, contactCount: snapshot.size };
+  }
+
+  for (let start = 0; start < snapshot.docs.length; start += MIGRATION_BATCH_SIZE) {
+    const batch = db.batch();
+    snapshot.docs.slice(start, start + MIGRATION_BATCH_SIZE).forEach(doc => {
+      const stored = toStoredContact(doc.data());
+      batch.update(doc.ref, Object.fromEntries(INDEX_FIELDS.map(field => [field, stored[field]])));
+    });
+    await batch.commit();
+  }
+
+  await contactsDocRef(userId).set({
+    indexVersion: INDEX_VERSION,
+    contactCount: snapshot.size
+  }, { merge: true });
+
+  migratedUsers.add(userId);
+  console.log(`📦 [ContactStore] Re-indexed ${snapshot.size} contacts for user ${userId}`);
+  return { migrated: false, reindexed: true, contactCount: snapshot.size };
+};
+
+const ensureMigrated = async (userId) => {
+  if (!migratedUsers.has(userId)) {
+    await migrateUserContacts(userId);
+  }
+};
+
+/**
+ * All of a user's contacts in list order
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object[]>} - Contacts with their `id`
+ */
+const listContacts = async (userId) => {
+  await ensureMigrated(userId);
+  const snapshot = await itemsRef(userId).orderBy('sequence', 'asc').get();
+  return snapshot.docs.map(fromSnapshot);
+};
+
+/**
+ * One page of contacts.
+ * `search` matches word prefixes of name, surname, company, email, howWeMet and phone;
+ * the longest term is queried and any other terms are applied to the results, reading
+ * on until the page is full. A page only comes back short with hasMore set when a
+ * multi-word search reads MAX_SEARCH_SCAN documents without filling it.
+ * @param {string} userId - Owner ID
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Page size (max 100)
+ * @param {string} options.cursor - `nextCursor` from the previous page
+ * @param {string} options.search - Search text
+ * @param {string} options.sort - createdAt, name, company or sequence
+ * @param {string} options.order - asc or desc
+ * @returns {Promise<{contacts: Object[], nextCursor: string|null, hasMore: boolean, limit: number, sort: string, order: string}>}
+ */
+const pageContacts = async (userId, { limit = DEFAULT_PAGE_SIZE, cursor, search, sort = 'createdAt', order } = {}) => {
+  await ensureMigrated(userId);
+
+  const sortField = SORT_FIELDS[sort];
+  if (!sortField) {
+    const error = new Error(`Unsupported sort '${sort}'. Supported: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  const direction = order === 'asc' || order === 'desc' ? order : (sort === 'createdAt' ? 'desc' : 'asc');
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const terms = String(search || '').toLowerCase().split(/\s+/)
+    .map(term => term.replace(/[^a-z0-9]/g, '').slice(0, MAX_PREFIX_LENGTH))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  let query = itemsRef(userId);
+  if (terms.length > 0) {
+    query = query.where('searchKeywords', 'array-contains', terms[0]);
+  }
+  query = query.orderBy(sortField, direction).orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+  let after = null;
+  if (cursor) {
+    after = await itemsRef(userId).doc(cursor).get();
+    if (!after.exists) {
+      const error = new Error('Invalid or expired cursor');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  const matchesOtherTerms = (doc) => terms.slice(1).every(term => (doc.get('searchKeywords') || []).includes(term));
+
+  // Collect one extra match to know whether another page exists
+  const matched = [];
+  let scanned = 0;
+  let exhausted = false;
+  while (matched.length <= pageSize && !exhausted && scanned < MAX_SEARCH_SCAN) {
+    const batchQuery = after ? query.startAfter(after.get(sortField), after.id) : query;
+    const snapshot = await batchQuery.limit(pageSize + 1).get();
+    for (const doc of snapshot.docs) {
+      if (matchesOtherTerms(doc)) matched.push(doc);
+      if (matched.length > pageSize) break;
+    }
+    scanned += snapshot.docs.length;
+    exhausted = snapshot.docs.length <= pageSize;
+    after = snapshot.docs[snapshot.docs.length - 1] || after;
+  }
+
+  const docs = matched.slice(0, pageSize);
+  const hasMore = matched.length > pageSize || !exhausted;
+  // When the scan limit stopped the search, continue after the last document read
+  const nextCursor = matched.length > pageSize ? docs[docs.length - 1].id : (hasMore ? after.id : null);
+
+  return {
+    contacts: docs.map(fromSnapshot),
+    nextCursor,
+    hasMore,
+    limit: pageSize,
+    sort,
+    order: direction
+  };
+};
+
+/**
+ * @param {string} userId - Owner ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>}
+ */
+const getContact = async (userId, contactId) => {
+  await ensureMigrated(userId);
+  const doc = await itemsRef(userId).doc(contactId).get();
+  return doc.exists ? fromSnapshot(doc) : null;
+};
+
+/**
+ * Resolve an old array index to the contact now at that position
+ * @param {string} userId - Owner ID
+ * @param {number} index - Position in list order
+ * @returns {Promise<Object|null>}
+ */
+const getContactByIndex = async (userId, index) => {
+  if (!Number.isInteger(index) || index < 0) return null;
+  await ensureMigrated(userId);
+  const snapshot = await itemsRef(userId).orderBy('sequence', 'asc').offset(index).limit(1).get();
+  return snapshot.empty ? null : fromSnapshot(snapshot.docs[0]);
+};
+
+/**
+ * @param {string} userId - Owner ID
+ * @returns {Promise<number>}
+ */
+const countContacts = async (userId) => {
+  await ensureMigrated(userId);
+  const parentDoc = await contactsDocRef(userId).get();
+  return parentDoc.exists ? (parentDoc.data().contactCount || 0) : 0;
+};
+
+/**
+ * Contacts captured in a time range
+ * @param {string} userId - Owner ID
+ * @param {Object} range - Range
+ * @param {Date} range.from - Start (inclusive)
+ * @param {Date} range.to - End (exclusive)
+ * @returns {Promise<number>}
+ */
+const countContactsCreated = async (userId, { from, to }) => {
+  await ensureMigrated(userId);
+  const snapshot = await itemsRef(userId)
+    .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(from))
+    .where('createdAt', '<', admin.firestore.Timestamp.fromDate(to))
+    .count()
+    .get();
+  return snapshot.data().count;
+};
+
+/**
+ * Located contacts (location set by processContactLocation), reading only the
+ * fields a map needs
+ * @param {string} userId - Owner ID
+ * @param {Object} range - Optional range on createdAt
+ * @param {Date} range.from - Start (inclusive)
+ * @param {Date} range.to - End (exclusive)
+ * @returns {Promise<Array<{id: string, location: Object, createdAt: Object}>>}
+ */
+const listContactLocations = async (userId, { from, to } = {}) => {
+  await ensureMigrated(userId);
+  let query = itemsRef(userId);
+  if (from) query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(from));
+  if (to) query = query.where('createdAt', '<', admin.firestore.Timestamp.fromDate(to));
+  const snapshot = await query.select('location', 'createdAt').get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(contact => contact.location);
+};
+
+/**
+ * Contacts that could duplicate a new one, found through its match keys, in list order
+ * so the earliest duplicate wins
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} userId - Owner ID
+ * @param {Object} keys - emailKey, phoneKey and nameKeys of the new contact
+ * @returns {Promise<Object[]>} - Contact document snapshots
+ */
+const getDuplicateCandidates = async (transaction, userId, { emailKey, phoneKey, nameKeys }) => {
+  const queries = [];
+  if (emailKey) queries.push(itemsRef(userId).where('emailKey', '==', emailKey).limit(MAX_KEY_CANDIDATES));
+  if (phoneKey) queries.push(itemsRef(userId).where('phoneKey', '==', phoneKey).limit(MAX_KEY_CANDIDATES));
+  if (nameKeys.length > 0) {
+    queries.push(itemsRef(userId).where('nameKeys', 'array-contains-any', nameKeys).limit(MAX_NAME_CANDIDATES));
+  }
+
+  const candidates = new Map();
+  for (const query of queries) {
+    const snapshot = await transaction.get(query);
+    snapshot.docs.forEach(doc => candidates.set(doc.id, doc));
+  }
+  return Array.from(candidates.values()).sort((a, b) => a.get('sequence') - b.get('sequence'));
+};
+
+/**
+ * Add a contact, applying the duplicate policy and plan limit atomically.
+ * @param {string} userId - Owner ID
+ * @param {Object} contact - Contact data (createdAt should be set by the caller)
+ * @param {Object} options - Options
+ * @param {string} options.policy - Duplicate policy (see contactDedup)
+ * @param {number} options.limit - Maximum contacts for new additions (omit for unlimited)
+ * @param {boolean} options.publicSubmission - Submitted from a public card page (see contactDedup)
+ * @returns {Promise<Object>} - { action: 'added'|'merged'|'rejected'|'limit_reached', contact, duplicate, contactCount }
+ */
+const addContact = async (userId, contact, { policy, limit, publicSubmission = false } = {}) => {
+  await ensureMigrated(userId);
+  const parentRef = contactsDocRef(userId);
+  const keys = toStoredContact(contact);
+
+  return db.runTransaction(async (transaction) => {
+    const parentDoc = await transaction.get(parentRef);
+    const candidateDocs = policy === DUPLICATE_POLICIES.KEEP_BOTH ? [] : await getDuplicateCandidates(transaction, userId, keys);
+
+    const parentData = parentDoc.exists ? parentDoc.data() : {};
+    const contacts = candidateDocs.map(fromSnapshot);
+    const contactCount = parentData.contactCount || 0;
+
+    const insert = applyContactInsert(contacts, { ...contact }, policy, { publicSubmission });
+
+    if (insert.action === 'rejected') {
+      return { action: 'rejected', contact: insert.contact, duplicate: insert.duplicate, contactCount };
+    }
+
+    if (insert.action === 'merged') {
+      const target = candidateDocs[insert.index];
+      const merged = {
+        ...toStoredContact(insert.contact),
+        sequence: target.get('sequence'),
+        updatedAt: admin.firestore.Timestamp.now()
+      };
+      transaction.set(target.ref, merged);
+      return {
+        action: 'merged',
+        contact: { id: target.id, ...insert.contact, updatedAt: merged.updatedAt },
+        duplicate: insert.duplicate,
+        contactCount
+      };
+    }
+
+    if (limit !== undefined && limit !== null && contactCount >= limit) {
+      return { action: 'limit_reached', contact: null, duplicate: null, contactCount };
+    }
+
+    const sequence = Math.max(parentData.nextSequence || 0, contactCount);
+    const newRef = itemsRef(userId).doc();
+    const stored = {
+      ...toStoredContact(insert.contact),
+      sequence,
+      updatedAt: insert.contact.createdAt || admin.firestore.Timestamp.now()
+    };
+    transaction.set(newRef, stored);
+    transaction.set(parentRef, {
+      userId: parentData.userId || db.doc(`users/${userId}`),
+      storage: STORAGE_VERSION,
+      ...(!parentDoc.exists && { indexVersion: INDEX_VERSION }),
+      contactCount: contactCount + 1,
+      nextSequence: sequence + 1
+    }, { merge: true });
+
+    return {
+      action: 'added',
+      contact: { id: newRef.id, ...insert.contact, sequence, updatedAt: stored.updatedAt },
+      duplicate: insert.duplicate,
+      contactCount: contactCount + 1
+    };
+  });
+};
+
+/**
+ * Update fields on one contact
+ * @param {string} userId - Owner ID
+ * @param {string} contactId - Contact ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} - Updated contact, or null when not found
+ */
+const updateContact = async (userId, contactId, updates) => {
+  await ensureMigrated(userId);
+  const contactRef = itemsRef(userId).doc(contactId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(contactRef);
+    if (!doc.exists) return null;
+
+    const { id, sequence, createdAt, ...allowed } = updates;
+    const updated = {
+      ...toStoredContact({ ...doc.data(), ...allowed }),
+      updatedAt: admin.firestore.Timestamp.now()
+    };
+    transaction.set(contactRef, updated);
+
+    const result = { id: contactId, ...updated };
+    INDEX_FIELDS.forEach(field => delete result[field]);
+    return result;
+  });
+};
+
+/**
+ * Attach IP-derived location data to a contact (single-document write)
+ * @param {string} userId - Owner ID
+ * @param {string} contactId - Contact ID
+ * @param {Object} location - Location data
+ * @returns {Promise<boolean>} - False when the contact no longer exists
+ */
+const updateContactLocation = async (userId, contactId, location) => {
+  await ensureMigrated(userId);
+  try {
+    await itemsRef(userId).doc(contactId).update({ location });
+    return true;
+  } catch (error) {
+    if (error.code === 5 || /not found|no document/i.test(error.message)) return false;
+    throw error;
+  }
+};
+
+/**
+ * Delete one contact
+ * @param {string} userId - Owner ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>} - Deleted contact, or null when not found
+ */
+const deleteContact = async (userId, contactId) => {
+  await ensureMigrated(userId);
+  const parentRef = contactsDocRef(userId);
+  const contactRef = itemsRef(userId).doc(contactId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(contactRef);
+    if (!doc.exists) return null;
+
+    transaction.delete(contactRef);
+    transaction.set(parentRef, {
+      contactCount: admin.firestore.FieldValue.increment(-1)
+    }, { merge: true });
+    return fromSnapshot(doc);
+  });
+};
+
+/**
+ * Delete a user's whole contact list
+ * @param {string} userId - Owner ID
+ * @returns {Promise<number>} - Number of deleted contacts
+ */
+const deleteAllContacts = async (userId) => {
+  const snapshot = await itemsRef(userId).get();
+
+  for (let start = 0; start < snapshot.docs.length; start += MIGRATION_BATCH_SIZE) {
+    const batch = db.batch();
+    snapshot.docs.slice(start, start + MIGRATION_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  await contactsDocRef(userId).delete();
+
+  migratedUsers.delete(userId);
+  return snapshot.size;
+};
+
+/**
+ * Merge groups of contacts; each group collapses into its first contact in list order
+ * @param {string} userId - Owner ID
+ * @param {string[][]} groups - Contact IDs per group
+ * @returns {Promise<{merged: Object[], removedIds: string[], contactCount: number}|null>} - null when an ID no longer exists
+ */
+const mergeContactGroups = async (userId, groups) => {
+  await ensureMigrated(userId);
+  const parentRef = contactsDocRef(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const refs = groups.map(group => group.map(contactId => itemsRef(userId).doc(contactId)));
+    const docs = await Promise.all(refs.map(groupRefs => transaction.getAll(...groupRefs)));
+    if (docs.some(groupDocs => groupDocs.some(doc => !doc.exists))) return null;
+
+    const parentDoc = await transaction.get(parentRef);
+    const merged = [];
+    const removedIds = [];
+
+    docs.forEach(groupDocs => {
+      const ordered = [...groupDocs].sort((a, b) => a.get('sequence') - b.get('sequence'));
+      const target = ordered[0];
+      const contact = mergeContacts(ordered.map(fromSnapshot));
+      const stored = {
+        ...toStoredContact(contact),
+        sequence: target.get('sequence'),
+        updatedAt: admin.firestore.Timestamp.now()
+      };
+
+      transaction.set(target.ref, stored);
+      ordered.slice(1).forEach(doc => {
+        transaction.delete(doc.ref);
+        removedIds.push(doc.id);
+      });
+
+      const result = { ...stored, id: target.id };
+      INDEX_FIELDS.forEach(field => delete result[field]);
+      merged.push(result);
+    });
+
+    const contactCount = (parentDoc.exists ? (parentDoc.data().contactCount || 0) : 0) - removedIds.length;
+    transaction.set(parentRef, { contactCount }, { merge: true });
+
+    return { merged, removedIds, contactCount };
+  });
+};
+
+/**
+ * Old `contactList` entry shape for the compatibility response
+ * @param {Object} contact - Contact from this store
+ * @returns {Object}
+ */
+const toLegacyContact = (contact) => {
+  const { sequence, updatedAt, ...legacy } = contact;
+  return legacy;
+};
+
+module.exports = {
+  CONTACTS_COLLECTION,
+  ITEMS_SUBCOLLECTION,
+  STORAGE_VERSION,
+  INDEX_VERSION,
+  SORT_FIELDS,
+  migrateUserContacts,
+  listContacts,
+  pageContacts,
+  getContact,
+  getContactByIndex,
+  countContacts,
+  countContactsCreated,
+  listContactLocations,
+  addContact,
+  updateContact,
+  updateContactLocation,
+  deleteContact,
+  deleteAllContacts,
+  mergeContactGroups,
+  toLegacyContact
+};
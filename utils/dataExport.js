@@ -0,0 +1,174 @@
+/**
+ * Data subject export: everything we hold about a user, as a zip of JSON files.
+ *
+ * Firestore values are converted to plain JSON (timestamps to ISO strings,
+ * document references to their paths). Secrets we store for the user
+ * (reset and verification tokens) are left out.
+ */
+
+const archiver = require('archiver');
+const { db } = require('../firebase');
+const contactStore = require('./contactStore');
+const { PASSES_COLLECTION } = require('./walletPass');
+const { USAGE_COLLECTION } = require('./entitlements');
+const { DELETION_REQUESTS_COLLECTION } = require('./accountDeletion');
+const { QUERIES_COLLECTION } = require('./queryInbox');
+
+// users fields that are credentials rather than data about the user
+const SECRET_USER_FIELDS = [
+  'passwordResetToken',
+  'passwordResetExpiry',
+  'passwordResetTokenExpires',
+  'verificationToken',
+  'passwordSetupToken'
+];
+
+const ACTIVITY_LOG_LIMIT = 5000;
+
+/**
+ * Firestore data as plain JSON
+ * @param {*} value - Firestore value
+ * @returns {*}
+ */
+const toPlain = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (typeof value.path === 'string' && value.firestore) return value.path; // DocumentReference
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value.constructor?.name === 'GeoPoint') return { latitude: value.latitude, longitude: value.longitude };
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+};
+
+const docData = (doc) => (doc.exists ? toPlain({ id: doc.id, ...doc.data() }) : null);
+
+const queryData = async (query) => {
+  const snapshot = await query.get();
+  return snapshot.docs.map(docData);
+};
+
+const withoutFields = (data, fields) => {
+  if (!data) return data;
+  const copy = { ...data };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Collect a user's data, one entry per file in the export
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { 'profile.json': {...}, ... }, or null if there is no such user
+ */
+const collectUserData = async (userId) => {
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists) return null;
+  const userData = userDoc.data();
+
+  const [
+    cardsDoc,
+    contacts,
+    meetingsDoc,
+    subscriptionDoc,
+    subscriptionHistory,
+    paymentMethods,
+    paymentReceipts,
+    walletPasses,
+    shortLinks,
+    queries,
+    usageDoc,
+    deletionRequestDoc,
+    activityLogs
+  ] = await Promise.all([
+    db.collection('cards').doc(userId).get(),
+    contactStore.listContacts(userId),
+    db.collection('meetings').doc(userId).get(),
+    db.collection('subscriptions').doc(userId).get(),
+    queryData(db.collection('subscriptionHistory').where('userId', '==', userId)),
+    queryData(db.collection('paymentMethods').where('userId', '==', userId)),
+    queryData(db.collection('paymentReceipts').where('userId', '==', userId)),
+    queryData(db.collection(PASSES_COLLECTION).where('userId', '==', userId)),
+    queryData(db.collection('shortLinks').where('userId', '==', userId)),
+    queryData(db.collection(QUERIES_COLLECTION).where('userId', '==', userId)),
+    db.collection(USAGE_COLLECTION).doc(userId).get(),
+    db.collection(DELETION_REQUESTS_COLLECTION).doc(userId).get(),
+    queryData(db.collection('activityLogs')
+      .where('userId', '==', userId)
+      .orderBy('timestamp', 'desc')
+      .limit(ACTIVITY_LOG_LIMIT))
+  ]);
+
+  let employment = null;
+  if (userData.employeeRef) {
+    employment = docData(await userData.employeeRef.get());
+  }
+
+  const deletionRequest = withoutFields(docData(deletionRequestDoc), ['confirmationTokenHash', 'cancelTokenHash']);
+
+  return {
+    'profile.json': withoutFields(docData(userDoc), SECRET_USER_FIELDS),
+    'cards.json': docData(cardsDoc)?.cards || [],
+    'contacts.json': contacts.map(contact => toPlain(contactStore.toLegacyContact(contact))),
+    'meetings.json': docData(meetingsDoc)?.bookings || [],
+    'subscription.json': docData(subscriptionDoc),
+    'subscription-history.json': subscriptionHistory,
+    'payment-methods.json': paymentMethods,
+    'payment-receipts.json': paymentReceipts,
+    'wallet-passes.json': walletPasses,
+    'short-links.json': shortLinks,
+    'queries.json': queries,
+    'employment.json': employment,
+    'usage.json': docData(usageDoc),
+    'account-deletion.json': deletionRequest,
+    'activity-log.json': activityLogs
+  };
+};
+
+/**
+ * Build the export archive
+ * @param {string} userId - User ID
+ * @returns {Promise<{body: Buffer, files: Object}|null>} - Zip contents and item count per file, or null if there is no such user
+ */
+const buildUserDataExport = async (userId) => {
+  const data = await collectUserData(userId);
+  if (!data) return null;
+
+  const files = Object.fromEntries(Object.entries(data).map(([name, content]) => [
+    name,
+    Array.isArray(content) ? content.length : (content ? 1 : 0)
+  ]));
+  const readme = [
+    'XS Card data export',
+    `User: ${userId}`,
+    `Generated: ${new Date().toISOString()}`,
+    '',
+    'Each JSON file holds one kind of data we store about you. Dates are ISO 8601 (UTC);',
+    'references to other records are given as their paths.',
+    `activity-log.json holds your most recent ${ACTIVITY_LOG_LIMIT} activity entries.`,
+    ''
+  ].join('\n');
+
+  const body = await new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    archive.append(readme, { name: 'README.txt' });
+    Object.entries(data).forEach(([name, content]) => {
+      archive.append(JSON.stringify(content, null, 2), { name });
+    });
+    archive.finalize();
+  });
+
+  return { body, files };
+};
+
+module.exports = {
+  toPlain,
+  collectUserData,
+  buildUserDataExport
+};
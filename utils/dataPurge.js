@@ -0,0 +1,120 @@
+/**
+ * Oldest-first deletion of log collections, shared by the purge scripts and
+ * the scheduled retention jobs.
+ *
+ * Documents are read by `timestamp` ascending and deleted in batches of up to
+ * 500. An enterprise filter and a `before` cutoff narrow the scope.
+ */
+
+const { db, admin } = require('../firebase');
+
+const PURGE_TARGETS = {
+  activityLogs: { collection: 'activityLogs', enterpriseField: 'details.enterpriseId' },
+  securityAlerts: { collection: 'securityAlerts', enterpriseField: 'enterpriseId' }
+};
+
+const BATCH_LIMIT = 500;
+
+const getTarget = (name) => {
+  const target = PURGE_TARGETS[name];
+  if (!target) throw new Error(`Unknown purge target: ${name}`);
+  return target;
+};
+
+const buildQuery = (target, { enterpriseId, before }) => {
+  let query = db.collection(target.collection);
+  if (enterpriseId) {
+    query = query.where(target.enterpriseField, '==', enterpriseId);
+  }
+  if (before) {
+    query = query.where('timestamp', '<', admin.firestore.Timestamp.fromDate(before));
+  }
+  return query;
+};
+
+/**
+ * @param {string} name - PURGE_TARGETS key
+ * @param {Object} options - Scope
+ * @param {string} options.enterpriseId - Only this enterprise's documents
+ * @param {Date} options.before - Only documents older than this
+ * @returns {Promise<number>}
+ */
+const countDocuments = async (name, { enterpriseId, before } = {}) => {
+  const target = getTarget(name);
+  const base = buildQuery(target, { enterpriseId, before });
+
+  // Prefer count() aggregation if supported
+  try {
+    if (typeof base.count === 'function') {
+      const snap = await base.count().get();
+      return snap.data().count;
+    }
+  } catch (e) {
+    // Fallthrough to manual count
+  }
+
+  let total = 0;
+  let page = base.orderBy('timestamp', 'asc').limit(1000);
+  for (;;) {
+    const snap = await page.get();
+    total += snap.size;
+    if (snap.empty || snap.size < 1000) break;
+    const lastDoc = snap.docs[snap.docs.length - 1];
+    page = base.orderBy('timestamp', 'asc').startAfter(lastDoc).limit(1000);
+  }
+  return total;
+};
+
+/**
+ * Delete the oldest documents in scope
+ * @param {string} name - PURGE_TARGETS key
+ * @param {Object} options - Scope
+ * @param {number} options.limit - Most documents to delete (default: all in scope)
+ * @param {string} options.enterpriseId - Only this enterprise's documents
+ * @param {Date} options.before - Only documents older than this
+ * @returns {Promise<number>} - Documents deleted
+ */
+const deleteOldest = async (name, { limit = Infinity, enterpriseId, before } = {}) => {
+  const target = getTarget(name);
+  const base = buildQuery(target, { enterpriseId, before }).orderBy('timestamp', 'asc');
+  let deleted = 0;
+
+  while (deleted < limit) {
+    // Deleted documents drop out of the query, so each page starts from the oldest left
+    const pageSize = Math.min(BATCH_LIMIT, limit - deleted);
+    const snap = await base.limit(pageSize).get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    snap.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snap.size;
+    console.log(`✅ Deleted batch from ${target.collection}: ${snap.size} (total deleted: ${deleted})`);
+
+    if (snap.size < pageSize) break;
+  }
+
+  return deleted;
+};
+
+/**
+ * Delete everything older than a retention period
+ * @param {string} name - PURGE_TARGETS key
+ * @param {number} retentionDays - Days to keep
+ * @returns {Promise<{deleted: number, cutoff: string}>}
+ */
+const purgeExpired = async (name, retentionDays) => {
+  if (!Number.isFinite(retentionDays) || retentionDays <= 0) {
+    throw new Error(`Invalid retention period for ${name}: ${retentionDays}`);
+  }
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const deleted = await deleteOldest(name, { before: cutoff });
+  return { deleted, cutoff: cutoff.toISOString() };
+};
+
+module.exports = {
+  PURGE_TARGETS,
+  countDocuments,
+  deleteOldest,
+  purgeExpired
+};
@@ -0,0 +1,558 @@
+/**
+ * Bulk employee onboarding from an uploaded CSV/XLSX file.
+ *
+ * An upload is validated into an `employeeImports/{importId}` document (the dry-run
+ * report). Running it processes each valid row like `addEmployee`: existing users
+ * are attached to the department, new users get a Firebase Auth account, a card
+ * built from the effective department/enterprise template and a verification email.
+ * Per-row results and progress are written back to the import document.
+ *
+ * Rows run in-process by default; set EMPLOYEE_IMPORT_USE_QUEUE=true to run them
+ * through a Bull queue (REDIS_HOST/REDIS_PORT) instead.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../firebase');
+const { sendMailWithStatus } = require('../public/Utils/emailService');
+const { logActivity, ACTIONS, RESOURCES } = require('./logger');
+const { WEBHOOK_EVENTS, emitWebhookEvent, toWebhookEmployee } = require('./webhooks');
+
+const IMPORTS_COLLECTION = 'employeeImports';
+const ALLOWED_ROLES = ['employee', 'manager', 'director', 'admin'];
+const MAX_IMPORT_ROWS = parseInt(process.env.EMPLOYEE_IMPORT_MAX_ROWS || '1000', 10);
+const PROGRESS_INTERVAL = 10; // rows between progress writes
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const IMPORT_STATUS = {
+  VALIDATED: 'validated',
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed'
+};
+
+// Normalised header -> row field
+const HEADER_ALIASES = {
+  email: 'email',
+  emailaddress: 'email',
+  firstname: 'firstName',
+  name: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  role: 'role',
+  department: 'department',
+  departmentname: 'department',
+  team: 'team',
+  teamname: 'team',
+  title: 'title',
+  jobtitle: 'title',
+  position: 'position',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  employeeid: 'employeeId',
+  employeenumber: 'employeeId'
+};
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const normaliseName = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Map a parsed spreadsheet row onto employee fields
+ * @param {Object} values - Header -> value
+ * @returns {Object}
+ */
+const toEmployeeFields = (values) => {
+  const fields = {};
+  Object.entries(values).forEach(([header, value]) => {
+    const field = HEADER_ALIASES[normaliseHeader(header)];
+    if (field && value && !fields[field]) fields[field] = value;
+  });
+  return {
+    email: (fields.email || '').toLowerCase(),
+    firstName: fields.firstName || '',
+    lastName: fields.lastName || '',
+    role: (fields.role || 'employee').toLowerCase(),
+    department: fields.department || '',
+    team: fields.team || '',
+    title: fields.title || '',
+    position: fields.position || '',
+    phone: fields.phone || '',
+    employeeId: fields.employeeId || ''
+  };
+};
+
+/**
+ * Departments and their teams, indexed by lower-cased name
+ * @param {string} enterpriseId - Enterprise ID
+ * @returns {Promise<Map<string, {id: string, name: string, teams: Map<string, {id: string, name: string}>}>>}
+ */
+const loadDepartments = async (enterpriseId) => {
+  const departmentsSnapshot = await db.collection('enterprise').doc(enterpriseId).collection('departments').get();
+  const departments = new Map();
+
+  for (const deptDoc of departmentsSnapshot.docs) {
+    const teamsSnapshot = await deptDoc.ref.collection('teams').get();
+    const teams = new Map();
+    teamsSnapshot.forEach(teamDoc => {
+      teams.set(normaliseName(teamDoc.data().name), { id: teamDoc.id, name: teamDoc.data().name });
+    });
+
+    const name = deptDoc.data().name || deptDoc.id;
+    departments.set(normaliseName(name), { id: deptDoc.id, name, teams });
+  }
+  return departments;
+};
+
+/**
+ * Existing users by email (Firestore `in` queries take up to 30 values)
+ * @param {string[]} emails - Lower-cased emails
+ * @returns {Promise<Map<string, string>>} - email -> user ID
+ */
+const findUsersByEmail = async (emails) => {
+  const users = new Map();
+  for (let i = 0; i < emails.length; i += 30) {
+    const snapshot = await db.collection('users').where('email', 'in', emails.slice(i, i + 30)).get();
+    snapshot.forEach(doc => users.set(String(doc.data().email).toLowerCase(), doc.id));
+  }
+  return users;
+};
+
+const isEmployeeOfDepartment = async (enterpriseId, departmentId, userId) => {
+  const snapshot = await db.collection('enterprise').doc(enterpriseId)
+    .collection('departments').doc(departmentId)
+    .collection('employees')
+    .where('userId', '==', db.doc(`users/${userId}`))
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+};
+
+/**
+ * Validate every row of an upload without writing anything
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {Array<{rowNumber: number, values: Object}>} rows - Parsed rows
+ * @param {Object} options - Options
+ * @param {string} options.defaultDepartmentId - Department for rows without one
+ * @returns {Promise<Object>} - { summary, rows } where each row has `errors` and an `action`
+ */
+const validateImportRows = async (enterpriseId, rows, { defaultDepartmentId = null } = {}) => {
+  if (rows.length === 0) {
+    const error = new Error('File contains no employee rows');
+    error.status = 400;
+    throw error;
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows; this file has ${rows.length}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const departments = await loadDepartments(enterpriseId);
+  const defaultDepartment = defaultDepartmentId
+    ? Array.from(departments.values()).find(department => department.id === defaultDepartmentId)
+    : null;
+
+  const parsed = rows.map(row => ({ rowNumber: row.rowNumber, ...toEmployeeFields(row.values) }));
+  const validEmails = [...new Set(parsed.map(row => row.email).filter(email => EMAIL_PATTERN.test(email)))];
+  const existingUsers = await findUsersByEmail(validEmails);
+  const seenEmails = new Set();
+
+  const results = [];
+  for (const row of parsed) {
+    const errors = [];
+
+    if (!row.email) {
+      errors.push('Email is required');
+    } else if (!EMAIL_PATTERN.test(row.email)) {
+      errors.push(`Invalid email '${row.email}'`);
+    } else if (seenEmails.has(row.email)) {
+      errors.push('Email appears more than once in this file');
+    }
+    seenEmails.add(row.email);
+
+    if (!ALLOWED_ROLES.includes(row.role)) {
+      errors.push(`Role must be one of: ${ALLOWED_ROLES.join(', ')}`);
+    }
+
+    const department = row.department ? departments.get(normaliseName(row.department)) : defaultDepartment;
+    if (!department) {
+      errors.push(row.department ? `Department '${row.department}' not found` : 'Department is required');
+    }
+
+    const team = department && row.team ? department.teams.get(normaliseName(row.team)) : null;
+    if (department && row.team && !team) {
+      errors.push(`Team '${row.team}' not found in department '${department.name}'`);
+    }
+
+    const existingUserId = existingUsers.get(row.email) || null;
+    if (!existingUserId && (!row.firstName || !row.lastName)) {
+      errors.push('First name and last name are required for new users');
+    }
+    if (existingUserId && department && errors.length === 0 &&
+        await isEmployeeOfDepartment(enterpriseId, department.id, existingUserId)) {
+      errors.push(`User is already an employee in department '${department.name}'`);
+    }
+
+    results.push({
+      ...row,
+      departmentId: department ? department.id : null,
+      departmentName: department ? department.name : row.department,
+      teamId: team ? team.id : null,
+      teamName: team ? team.name : row.team,
+      existingUserId,
+      action: existingUserId ? 'add_existing_user' : 'create_user',
+      valid: errors.length === 0,
+      errors
+    });
+  }
+
+  const valid = results.filter(row => row.valid);
+  return {
+    summary: {
+      totalRows: results.length,
+      validRows: valid.length,
+      invalidRows: results.length - valid.length,
+      newUsers: valid.filter(row => row.action === 'create_user').length,
+      existingUsers: valid.filter(row => row.action === 'add_existing_user').length
+    },
+    rows: results
+  };
+};
+
+const sendVerificationEmail = async ({ email, firstName, userId, verificationToken, passwordSetupToken }) => {
+  const appUrl = process.env.APP_URL || 'http://localhost:8383';
+  const verificationLink = `${appUrl}/verify-email?token=${verificationToken}&uid=${userId}`;
+  const setupLink = `${appUrl}/set-password?token=${passwordSetupToken}&uid=${userId}`;
+
+  await sendMailWithStatus({
+    to: email,
+    subject: 'Welcome to XS Card - Verify your email address',
+    html: `
+      <h1>Welcome to XS Card!</h1>
+      <p>Hello ${firstName},</p>
+      <p>You've been added as an employee by your administrator.</p>
+      <p>Please click the link below to verify your email address:</p>
+      <a href="${verificationLink}">Verify Email</a>
+      <p>This link will expire in 24 hours.</p>
+      <p><strong>Set Your Password</strong></p>
+      <p>You'll need to set up your password to access your account:</p>
+      <a href="${setupLink}">Set Your Password</a>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't expect this email, please ignore it.</p>`
+  });
+};
+
+/**
+ * Create the user (with a templated card) when needed and add them to the department/team.
+ * Follows the same steps as departmentsController.addEmployee (also used by SCIM provisioning).
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {Object} enterpriseData - Enterprise document data
+ * @param {Object} row - Validated import row
+ * @param {Function} getTemplate - departmentId -> Promise<effective template>
+ * @returns {Promise<{userId: string, created: boolean}>}
+ */
+const onboardEmployee = async (enterpriseId, enterpriseData, row, getTemplate) => {
+  const departmentRef = db.collection('enterprise').doc(enterpriseId).collection('departments').doc(row.departmentId);
+  const now = admin.firestore.Timestamp.now();
+
+  // Re-check: the user may have signed up since the dry run
+  const existingUsers = await findUsersByEmail([row.email]);
+  let userId = existingUsers.get(row.email) || null;
+  let userData;
+  let created = false;
+
+  if (userId) {
+    if (await isEmployeeOfDepartment(enterpriseId, row.departmentId, userId)) {
+      throw new Error('User is already an employee in this department');
+    }
+    userData = (await db.collection('users').doc(userId).get()).data();
+  } else {
+    const template = await getTemplate(row.departmentId);
+    const verificationToken = crypto.randomBytes(24).toString('hex');
+    const passwordSetupToken = crypto.randomBytes(24).toString('hex');
+
+    const userRecord = await admin.auth().createUser({
+      email: row.email,
+      password: crypto.randomBytes(24).toString('base64'),
+      emailVerified: false
+    });
+    userId = userRecord.uid;
+    created = true;
+
+    userData = {
+      uid: userId,
+      email: row.email,
+      name: row.firstName,
+      surname: row.lastName,
+      phone: row.phone,
+      title: row.title,
+      profileImage: '',
+      employeeId: row.employeeId,
+      colorScheme: template.colorScheme,
+      plan: 'enterprise',
+      createdAt: now,
+      updatedAt: now,
+      isEmployee: true,
+      isEmailVerified: false,
+      verificationToken,
+      passwordSetupToken,
+      passwordSetupExpires: admin.firestore.Timestamp.fromDate(new Date(Date.now() + 24 * 60 * 60 * 1000))
+    };
+
+    await db.collection('users').doc(userId).set(userData);
+    await db.collection('cards').doc(userId).set({
+      cards: [{
+        name: row.firstName,
+        surname: row.lastName,
+        email: row.email,
+        phone: row.phone,
+        occupation: row.position || row.title,
+        company: enterpriseData.name || '',
+        profileImage: null,
+        companyLogo: template.companyLogo || enterpriseData.logoUrl || null,
+        socials: {},
+        colorScheme: template.colorScheme,
+        templateId: template.templateId,
+        templateName: template.templateName,
+        templateSource: template.source,
+        createdAt: now
+      }]
+    });
+
+    try {
+      await sendVerificationEmail({
+        email: row.email,
+        firstName: row.firstName,
+        userId,
+        verificationToken,
+        passwordSetupToken
+      });
+    } catch (emailError) {
+      console.error(`Failed to send verification email to ${row.email}:`, emailError);
+    }
+  }
+
+  const employeeRef = departmentRef.collection('employees').doc(userId);
+  const employeeData = {
+    userId: db.doc(`users/${userId}`),
+    name: row.firstName || userData.name || '',
+    surname: row.lastName || userData.surname || '',
+    email: row.email,
+    phone: row.phone || userData.phone || '',
+    role: row.role,
+    position: row.position || row.title || '',
+    profileImage: userData.profileImage || '',
+    employeeId: row.employeeId,
+    teamId: row.teamId,
+    isActive: true,
+    cardsRef: db.doc(`cards/${userId}`),
+    createdAt: now,
+    updatedAt: now
+  };
+  await employeeRef.set(employeeData);
+
+  await db.collection('users').doc(userId).update({
+    isEmployee: true,
+    employeeRef,
+    departmentRef,
+    enterpriseRef: db.doc(`enterprise/${enterpriseId}`),
+    updatedAt: now
+  });
+
+  await departmentRef.update({
+    memberCount: admin.firestore.FieldValue.increment(1),
+    updatedAt: now
+  });
+
+  if (row.teamId) {
+    const teamRef = departmentRef.collection('teams').doc(row.teamId);
+    const teamEmployeeRef = await teamRef.collection('employees').add({
+      employeeRef,
+      userId: db.doc(`users/${userId}`),
+      name: employeeData.name,
+      surname: employeeData.surname,
+      role: row.role,
+      position: employeeData.position,
+      addedAt: now
+    });
+    await employeeRef.update({ teamRef, teamEmployeeRef });
+    await teamRef.update({
+      memberCount: admin.firestore.FieldValue.increment(1),
+      updatedAt: now
+    });
+  }
+
+  emitWebhookEvent(enterpriseId, WEBHOOK_EVENTS.EMPLOYEE_ADDED, {
+    ...toWebhookEmployee(userId, row.departmentId, employeeData),
+    source: row.source || 'import'
+  });
+
+  return { userId, created };
+};
+
+/**
+ * Run a validated import, writing per-row results and progress to the import document.
+ * Rows that already have a result are skipped, so a failed run can be resumed.
+ * @param {string} importId - employeeImports document ID
+ * @returns {Promise<Object>} - Final progress counts
+ */
+const processEmployeeImport = async (importId) => {
+  const importRef = db.collection(IMPORTS_COLLECTION).doc(importId);
+  const importDoc = await importRef.get();
+  if (!importDoc.exists) throw new Error(`Employee import ${importId} not found`);
+
+  const importData = importDoc.data();
+  const { enterpriseId } = importData;
+  const rows = importData.rows;
+
+  try {
+    const enterpriseDoc = await db.collection('enterprise').doc(enterpriseId).get();
+    if (!enterpriseDoc.exists) throw new Error('Enterprise not found');
+    const enterpriseData = enterpriseDoc.data();
+
+    // One template lookup per department
+    const { getEffectiveTemplateForCardCreation } = require('../controllers/cardTemplateController');
+    const templates = new Map();
+    const getTemplate = (departmentId) => {
+      if (!templates.has(departmentId)) {
+        templates.set(departmentId, getEffectiveTemplateForCardCreation(enterpriseId, departmentId));
+      }
+      return templates.get(departmentId);
+    };
+
+    const progress = {
+      total: rows.length,
+      processed: 0,
+      created: 0,
+      added: 0,
+      failed: 0,
+      skipped: 0
+    };
+    const count = (result) => {
+      progress.processed++;
+      progress[result.status]++;
+    };
+    rows.filter(row => row.result).forEach(row => count(row.result));
+
+    await importRef.update({
+      status: IMPORT_STATUS.RUNNING,
+      startedAt: importData.startedAt || admin.firestore.Timestamp.now(),
+      progress
+    });
+    console.log(`👥 [EmployeeImport] Running import ${importId}: ${rows.length} rows for enterprise ${enterpriseId}`);
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (row.result) continue;
+
+      if (!row.valid) {
+        row.result = { status: 'skipped', error: row.errors.join('; ') };
+      } else {
+        try {
+          const { userId, created } = await onboardEmployee(enterpriseId, enterpriseData, row, getTemplate);
+          row.result = { status: created ? 'created' : 'added', userId };
+        } catch (error) {
+          console.error(`❌ [EmployeeImport] Row ${row.rowNumber} (${row.email}) failed:`, error.message);
+          row.result = { status: 'failed', error: error.message };
+        }
+      }
+      count(row.result);
+
+      if (progress.processed % PROGRESS_INTERVAL === 0) {
+        await importRef.update({ rows, progress });
+      }
+    }
+
+    const status = progress.failed > 0 ? IMPORT_STATUS.COMPLETED_WITH_ERRORS : IMPORT_STATUS.COMPLETED;
+    await importRef.update({
+      rows,
+      progress,
+      status,
+      completedAt: admin.firestore.Timestamp.now()
+    });
+
+    const { invalidateEnterpriseCache } = require('../controllers/enterprise/contactAggregationController');
+    await invalidateEnterpriseCache(enterpriseId);
+
+    await logActivity({
+      action: ACTIONS.IMPORT,
+      resource: RESOURCES.EMPLOYEE,
+      userId: importData.createdBy,
+      resourceId: importId,
+      details: {
+        enterpriseId,
+        fileName: importData.fileName,
+        status,
+        ...progress
+      }
+    });
+
+    console.log(`✅ [EmployeeImport] Import ${importId} finished: ${progress.created} created, ${progress.added} added, ${progress.failed} failed, ${progress.skipped} skipped`);
+    return progress;
+  } catch (error) {
+    console.error(`❌ [EmployeeImport] Import ${importId} failed:`, error);
+    await importRef.update({
+      rows,
+      status: IMPORT_STATUS.FAILED,
+      error: error.message,
+      completedAt: admin.firestore.Timestamp.now()
+    });
+    throw error;
+  }
+};
+
+let importQueue = null;
+const getImportQueue = () => {
+  if (!importQueue) {
+    const Queue = require('bull');
+    importQueue = new Queue('employee-import', {
+      redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT || '6379')
+      }
+    });
+    importQueue.process(job => processEmployeeImport(job.data.importId));
+    importQueue.on('failed', (job, err) => {
+      console.error(`Employee import job ${job.id} failed with error:`, err);
+    });
+  }
+  return importQueue;
+};
+
+/**
+ * Start a validated import in the background
+ * @param {string} importId - employeeImports document ID
+ */
+const queueEmployeeImport = async (importId) => {
+  await db.collection(IMPORTS_COLLECTION).doc(importId).update({
+    status: IMPORT_STATUS.QUEUED,
+    queuedAt: admin.firestore.Timestamp.now()
+  });
+
+  if (process.env.EMPLOYEE_IMPORT_USE_QUEUE === 'true') {
+    await getImportQueue().add({ importId }, { attempts: 1, removeOnComplete: true });
+    return;
+  }
+
+  setImmediate(() => {
+    processEmployeeImport(importId).catch(() => {
+      // Failure is recorded on the import document
+    });
+  });
+};
+
+module.exports = {
+  IMPORTS_COLLECTION,
+  IMPORT_STATUS,
+  ALLOWED_ROLES,
+  MAX_IMPORT_ROWS,
+  findUsersByEmail,
+  onboardEmployee,
+  validateImportRows,
+  processEmployeeImport,
+  queueEmployeeImport
+};
@@ -0,0 +1,209 @@
+/**
+ * Enterprise dashboard statistics
+ *
+ * Member counts come from the users collection (enterpriseRef), structure from
+ * enterprise/{id}/departments and their teams, scans from the enterprise's scan
+ * rollups (utils/scanRollups) and contacts from each member's contact items.
+ * Scans and contacts are counted over a period and compared with the period
+ * before it; scans by whole UTC days, as that is how they are rolled up.
+ *
+ * Every figure is recalculated on each call: callers cache the result
+ * (see enterpriseController.getEnterpriseStats).
+ */
+
+const { db } = require('../firebase');
+const contactStore = require('./contactStore');
+const { resolveEnterprisePlan } = require('./planCatalogue');
+const { ROLLUP_SCOPES, countScans } = require('./scanRollups');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATS_PERIODS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '365d': 365
+};
+
+const DEFAULT_PERIOD = '30d';
+
+// Members whose cards and contacts are read at the same time
+const MEMBER_BATCH_SIZE = 20;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Sum an async count over every member, a batch at a time
+const sumOverMembers = async (userIds, count) => {
+  let total = 0;
+  for (const batch of chunk(userIds, MEMBER_BATCH_SIZE)) {
+    const counts = await Promise.all(batch.map(count));
+    total += counts.reduce((sum, value) => sum + value, 0);
+  }
+  return total;
+};
+
+/**
+ * The period ending now and the one before it
+ * @param {string} period - STATS_PERIODS key
+ * @param {Date} now - End of the current period
+ * @returns {{current: {from: Date, to: Date}, previous: {from: Date, to: Date}}}
+ */
+const getPeriodRanges = (period, now = new Date()) => {
+  const length = STATS_PERIODS[period] * DAY;
+  const from = new Date(now.getTime() - length);
+  return {
+    current: { from, to: now },
+    previous: { from: new Date(from.getTime() - length), to: from }
+  };
+};
+
+/**
+ * A figure for the current period with its change from the previous one
+ * @param {number} current - Current period
+ * @param {number} previous - Previous period
+ * @returns {{current: number, previous: number, change: number, changePercent: number|null}}
+ */
+const buildTrend = (current, previous) => ({
+  current,
+  previous,
+  change: current - previous,
+  // No percentage from a zero baseline
+  changePercent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null
+});
+
+const countDepartmentsAndTeams = async (enterpriseRef) => {
+  const departmentsSnapshot = await enterpriseRef.collection('departments').get();
+  const teamCounts = await Promise.all(departmentsSnapshot.docs.map(async (deptDoc) => {
+    const snapshot = await deptDoc.ref.collection('teams').count().get();
+    return snapshot.data().count;
+  }));
+  return {
+    departments: departmentsSnapshot.size,
+    teams: teamCounts.reduce((sum, count) => sum + count, 0)
+  };
+};
+
+const countCards = async (userId) => {
+  const cardDoc = await db.collection('cards').doc(userId).get();
+  return cardDoc.exists ? (cardDoc.data().cards || []).length : 0;
+};
+
+// Scans in the period's last N UTC days (today included) and the N days before
+const countEnterpriseScans = async (enterpriseId, period, now) => {
+  const days = STATS_PERIODS[period];
+  const today = new Date(`${now.toISOString().slice(0, 10)}T00:00:00Z`);
+  const from = new Date(today.getTime() - (days - 1) * DAY);
+  const previousFrom = new Date(from.getTime() - days * DAY);
+  const previousTo = new Date(from.getTime() - DAY);
+
+  const [current, previous] = await Promise.all([
+    countScans(ROLLUP_SCOPES.ENTERPRISE, { enterpriseId }, from, today),
+    countScans(ROLLUP_SCOPES.ENTERPRISE, { enterpriseId }, previousFrom, previousTo)
+  ]);
+  return buildTrend(current, previous);
+};
+
+const countContacts = (userIds, range) =>
+  sumOverMembers(userIds, userId => contactStore.countContactsCreated(userId, range));
+
+const getLastActivity = async (enterpriseId) => {
+  const snapshot = await db.collection('activityLogs')
+    .where('enterpriseId', '==', enterpriseId)
+    .orderBy('timestamp', 'desc')
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+  const { timestamp } = snapshot.docs[0].data();
+  return timestamp?.toDate ? timestamp.toDate().toISOString() : timestamp || null;
+};
+
+/**
+ * Seats bought on the enterprise's plan against the members using them
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {Object} enterpriseData - enterprise document data
+ * @param {number} activeUsers - Active members (each takes a seat)
+ * @returns {Promise<Object>}
+ */
+const getSeatUsage = async (enterpriseId, enterpriseData, activeUsers) => {
+  const { plan } = await resolveEnterprisePlan(enterpriseId);
+  const purchased = enterpriseData.billingPlan?.seats ?? null;
+  return {
+    plan: { id: plan.id, version: plan.version, name: plan.name },
+    pricingModel: plan.pricingModel || 'flat',
+    purchased,
+    used: activeUsers,
+    remaining: purchased === null ? null : Math.max(purchased - activeUsers, 0),
+    overAllocated: purchased !== null && activeUsers > purchased,
+    utilisationPercent: purchased ? Math.round((activeUsers / purchased) * 1000) / 10 : null
+  };
+};
+
+/**
+ * Dashboard statistics for an enterprise
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {Object} options - Options
+ * @param {string} options.period - STATS_PERIODS key (default 30d)
+ * @returns {Promise<Object|null>} - Stats, or null if there is no such enterprise
+ */
+const calculateEnterpriseStats = async (enterpriseId, { period = DEFAULT_PERIOD } = {}) => {
+  const startTime = Date.now();
+  const enterpriseRef = db.collection('enterprise').doc(enterpriseId);
+  const enterpriseDoc = await enterpriseRef.get();
+  if (!enterpriseDoc.exists) return null;
+
+  const usersSnapshot = await db.collection('users').where('enterpriseRef', '==', enterpriseRef).get();
+  const userIds = usersSnapshot.docs.map(doc => doc.id);
+  const deactivatedUsers = usersSnapshot.docs.filter(doc => doc.data().active === false).length;
+  const activeUsers = userIds.length - deactivatedUsers;
+
+  const ranges = getPeriodRanges(period);
+
+  const [structure, cardsIssued, scans, contacts, previousContacts, seats, lastActivity] = await Promise.all([
+    countDepartmentsAndTeams(enterpriseRef),
+    sumOverMembers(userIds, countCards),
+    countEnterpriseScans(enterpriseId, period, ranges.current.to),
+    countContacts(userIds, ranges.current),
+    countContacts(userIds, ranges.previous),
+    getSeatUsage(enterpriseId, enterpriseDoc.data(), activeUsers),
+    getLastActivity(enterpriseId)
+  ]);
+
+  return {
+    enterpriseId,
+    period,
+    range: {
+      from: ranges.current.from.toISOString(),
+      to: ranges.current.to.toISOString()
+    },
+    previousRange: {
+      from: ranges.previous.from.toISOString(),
+      to: ranges.previous.to.toISOString()
+    },
+    totalUsers: userIds.length,
+    activeUsers,
+    deactivatedUsers,
+    departments: structure.departments,
+    teams: structure.teams,
+    cardsIssued,
+    scans,
+    contactsCaptured: buildTrend(contacts, previousContacts),
+    seats,
+    lastActivity,
+    generatedAt: new Date().toISOString(),
+    calculationTime: Date.now() - startTime
+  };
+};
+
+module.exports = {
+  STATS_PERIODS,
+  DEFAULT_PERIOD,
+  getPeriodRanges,
+  buildTrend,
+  calculateEnterpriseStats
+};
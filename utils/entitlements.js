@@ -0,0 +1,256 @@
+/**
+ * Plan entitlements: what a user (or their enterprise) may create, and how much
+ * of each quota is left.
+ *
+ * Limits come from the plan that applies to the user (utils/planCatalogue); write
+ * paths ask here instead of testing users.plan. Contacts, cards, wallet passes and
+ * templates limit how many exist at once; exports are an allowance per calendar
+ * month, metered in entitlementUsage/{userId}.
+ */
+
+const { db } = require('../firebase');
+const { DEFAULT_PLANS, DEFAULT_PLAN_BY_TIER } = require('../config/subscriptionPlans');
+const { resolveUserPlan, resolveEnterprisePlan } = require('./planCatalogue');
+const contactStore = require('./contactStore');
+const { PASSES_COLLECTION } = require('./walletPass');
+
+const USAGE_COLLECTION = 'entitlementUsage';
+
+const FEATURES = {
+  CONTACTS: 'contacts',
+  CARDS: 'cards',
+  WALLET_PASSES: 'walletPasses',
+  TEMPLATES: 'templates',
+  EXPORTS: 'exports'
+};
+
+const METERED_FEATURES = [FEATURES.EXPORTS];
+
+const FEATURE_LABELS = {
+  contacts: 'Contact',
+  cards: 'Card',
+  walletPasses: 'Wallet pass',
+  templates: 'Template',
+  exports: 'Monthly export'
+};
+
+/**
+ * Current metering period, e.g. 2026-10 (UTC)
+ * @returns {string}
+ */
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Limit for a feature on a resolved plan. Plan versions stored before a feature
+ * existed fall back to the tier's built-in limit.
+ * @param {{tier: string, entitlements: Object}} resolved - From resolveUserPlan
+ * @param {string} feature - FEATURES value
+ * @returns {number|null} - null is unlimited
+ */
+const limitFor = (resolved, feature) => {
+  const limit = resolved.entitlements?.[feature];
+  if (limit !== undefined) return limit;
+  return DEFAULT_PLANS[DEFAULT_PLAN_BY_TIER[resolved.tier]].entitlements[feature] ?? null;
+};
+
+/**
+ * @param {string} feature - FEATURES value
+ * @param {number|null} limit - Limit (null = unlimited)
+ * @param {number} used - Current usage
+ * @returns {{feature: string, limit: number|null, used: number, remaining: number|null, allowed: boolean}}
+ */
+const buildQuota = (feature, limit, used) => ({
+  feature,
+  limit,
+  used,
+  remaining: limit === null ? null : Math.max(limit - used, 0),
+  allowed: limit === null || used < limit,
+  ...(METERED_FEATURES.includes(feature) && { period: currentPeriod() })
+});
+
+const loadUserData = async (userId, userData) => {
+  if (userData) return userData;
+  const userDoc = await db.collection('users').doc(userId).get();
+  return userDoc.exists ? userDoc.data() : {};
+};
+
+const countCards = async (userId) => {
+  const cardDoc = await db.collection('cards').doc(userId).get();
+  return cardDoc.exists ? (cardDoc.data().cards || []).length : 0;
+};
+
+// Wallet passes are counted per card: re-issuing a card's pass does not use another one
+const activePassCardIndexes = async (userId) => {
+  const snapshot = await db.collection(PASSES_COLLECTION)
+    .where('userId', '==', userId)
+    .where('status', '==', 'active')
+    .get();
+  return [...new Set(snapshot.docs.map(doc => doc.data().cardIndex || 0))];
+};
+
+const countTemplates = async (enterpriseId) => {
+  const snapshot = await db.collection('cardTemplates')
+    .where('enterpriseId', '==', enterpriseId)
+    .where('isActive', '==', true)
+    .get();
+  return snapshot.size;
+};
+
+const meteredUsage = async (userId, feature) => {
+  const usageDoc = await db.collection(USAGE_COLLECTION).doc(userId).get();
+  const usage = usageDoc.exists ? usageDoc.data()[feature] : null;
+  return usage?.period === currentPeriod() ? usage.count : 0;
+};
+
+/**
+ * Quota for a feature of an enterprise. Only templates are enterprise-wide.
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {string} feature - FEATURES.TEMPLATES
+ * @returns {Promise<Object>} - Quota (see buildQuota)
+ */
+const checkEnterpriseEntitlement = async (enterpriseId, feature) => {
+  if (feature !== FEATURES.TEMPLATES) {
+    throw new Error(`${feature} is not an enterprise-wide entitlement`);
+  }
+  const resolved = await resolveEnterprisePlan(enterpriseId);
+  return buildQuota(feature, limitFor(resolved, feature), await countTemplates(enterpriseId));
+};
+
+/**
+ * Limit for a feature without counting usage, for writes that enforce it atomically
+ * (e.g. contactStore.addContact)
+ * @param {string} userId - User ID
+ * @param {string} feature - FEATURES value
+ * @param {Object} options - Options
+ * @param {Object} options.userData - users document data, when already loaded
+ * @returns {Promise<number|null>} - null is unlimited
+ */
+const getLimit = async (userId, feature, { userData = null } = {}) => {
+  const user = await loadUserData(userId, userData);
+  return limitFor(await resolveUserPlan(userId, user), feature);
+};
+
+/**
+ * Can the user use one more of a feature, and how much is left
+ * @param {string} userId - User ID
+ * @param {string} feature - FEATURES value
+ * @param {Object} options - Options
+ * @param {Object} options.userData - users document data, when already loaded
+ * @param {number} options.cardIndex - Wallet passes: card the pass is for
+ * @returns {Promise<Object>} - Quota (see buildQuota)
+ */
+const checkEntitlement = async (userId, feature, { userData = null, cardIndex } = {}) => {
+  const user = await loadUserData(userId, userData);
+
+  if (feature === FEATURES.TEMPLATES && user.enterpriseRef) {
+    return checkEnterpriseEntitlement(user.enterpriseRef.id, feature);
+  }
+
+  const limit = limitFor(await resolveUserPlan(userId, user), feature);
+
+  switch (feature) {
+    case FEATURES.CONTACTS:
+      return buildQuota(feature, limit, await contactStore.countContacts(userId));
+    case FEATURES.CARDS:
+      return buildQuota(feature, limit, await countCards(userId));
+    case FEATURES.WALLET_PASSES: {
+      const cardIndexes = await activePassCardIndexes(userId);
+      const quota = buildQuota(feature, limit, cardIndexes.length);
+      const reissue = cardIndex !== undefined && cardIndexes.includes(parseInt(cardIndex) || 0);
+      return reissue ? { ...quota, allowed: true } : quota;
+    }
+    case FEATURES.TEMPLATES:
+      // Templates belong to enterprises; users outside one have none
+      return buildQuota(feature, limit, 0);
+    case FEATURES.EXPORTS:
+      return buildQuota(feature, limit, await meteredUsage(userId, feature));
+    default:
+      throw new Error(`Unknown entitlement: ${feature}`);
+  }
+};
+
+/**
+ * Use one unit of a metered feature, atomically with the limit check
+ * @param {string} userId - User ID
+ * @param {string} feature - Metered FEATURES value (exports)
+ * @param {Object} options - Options
+ * @param {Object} options.userData - users document data, when already loaded
+ * @returns {Promise<Object>} - Quota after use; allowed is false (and nothing used) when exhausted
+ */
+const consumeEntitlement = async (userId, feature, { userData = null } = {}) => {
+  if (!METERED_FEATURES.includes(feature)) {
+    throw new Error(`${feature} is not a metered entitlement`);
+  }
+
+  const limit = await getLimit(userId, feature, { userData });
+  const usageRef = db.collection(USAGE_COLLECTION).doc(userId);
+  const period = currentPeriod();
+
+  return db.runTransaction(async (transaction) => {
+    const usageDoc = await transaction.get(usageRef);
+    const usage = usageDoc.exists ? usageDoc.data()[feature] : null;
+    const used = usage?.period === period ? usage.count : 0;
+
+    if (limit !== null && used >= limit) {
+      return buildQuota(feature, limit, used);
+    }
+
+    transaction.set(usageRef, { [feature]: { period, count: used + 1 } }, { merge: true });
+    return { ...buildQuota(feature, limit, used + 1), allowed: true };
+  });
+};
+
+/**
+ * Every entitlement of a user with current usage
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {Object} options.userData - users document data, when already loaded
+ * @returns {Promise<{tier: string, plan: Object, entitlements: Object}>}
+ */
+const getEntitlements = async (userId, { userData = null } = {}) => {
+  const user = await loadUserData(userId, userData);
+  const resolved = await resolveUserPlan(userId, user);
+
+  const quotas = await Promise.all(
+    Object.values(FEATURES).map(feature => checkEntitlement(userId, feature, { userData: user }))
+  );
+
+  return {
+    tier: resolved.tier,
+    plan: {
+      id: resolved.plan.id,
+      version: resolved.plan.version,
+      name: resolved.plan.name
+    },
+    entitlements: Object.fromEntries(quotas.map(({ feature, ...quota }) => [feature, quota]))
+  };
+};
+
+/**
+ * Response body for a write refused by a plan limit (send with 403)
+ * @param {Object} quota - Quota from checkEntitlement / consumeEntitlement
+ * @returns {Object}
+ */
+const limitReachedBody = (quota) => ({
+  success: false,
+  message: `${FEATURE_LABELS[quota.feature]} limit reached`,
+  // Contacts keep the code the apps already handle
+  error: quota.feature === FEATURES.CONTACTS ? 'FREE_PLAN_LIMIT_REACHED' : 'PLAN_LIMIT_REACHED',
+  feature: quota.feature,
+  limit: quota.limit,
+  used: quota.used,
+  ...(quota.feature === FEATURES.CONTACTS && { currentContacts: quota.used }),
+  ...(quota.period && { period: quota.period })
+});
+
+module.exports = {
+  USAGE_COLLECTION,
+  FEATURES,
+  buildQuota,
+  getLimit,
+  checkEntitlement,
+  checkEnterpriseEntitlement,
+  consumeEntitlement,
+  getEntitlements,
+  limitReachedBody
+};
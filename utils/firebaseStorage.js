@@ -293,9 +293,158 @@ const convertPathToStorageUrl = async (relativePath, userId) => {
   }
 };
 
+// Local fallback for private documents - outside public/ so it is never served statically
+const PRIVATE_LOCAL_DIR = path.join(__dirname, '..', 'storage');
+
+const isFirebaseStorageAvailable = () => bucket && typeof bucket.file === 'function' && bucket.name !== 'mock-bucket';
+
+/**
+ * Save a private file (not made public) to Firebase Storage, or to local storage as a fallback
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} storagePath - Path inside the bucket, e.g. invoices/{enterpriseId}/{invoiceId}.pdf
+ * @param {string} contentType - MIME type
+ * @returns {Promise<{storagePath: string, location: string}>} - Where the file was stored
+ */
+const savePrivateFile = async (fileBuffer, storagePath, contentType) => {
+  if (isFirebaseStorageAvailable()) {
+    try {
+      await bucket.file(storagePath).save(fileBuffer, {
+        metadata: { contentType },
+        resumable: false,
+        validation: 'md5'
+      });
+      return { storagePath, location: 'firebase' };
+    } catch (error) {
+      console.error('Error saving private file to Firebase, using local fallback:', error.message);
+    }
+  }
+
+  const localPath = path.join(PRIVATE_LOCAL_DIR, storagePath);
+  fs.mkdirSync(path.dirname(localPath), { recursive: true });
+  fs.writeFileSync(localPath, fileBuffer);
+  return { storagePath, location: 'local' };
+};
+
+/**
+ * Check whether a private file exists
+ * @param {string} storagePath - Path inside the bucket
+ * @param {string} location - 'firebase' or 'local'
+ * @returns {Promise<boolean>}
+ */
+const privateFileExists = async (storagePath, location = 'firebase') => {
+  if (location === 'local') {
+    return fs.existsSync(path.join(PRIVATE_LOCAL_DIR, storagePath));
+  }
+  if (!isFirebaseStorageAvailable()) return false;
+  const [exists] = await bucket.file(storagePath).exists();
+  return exists;
+};
+
+/**
+ * Create a time-limited signed URL for a private file
+ * @param {string} storagePath - Path inside the bucket
+ * @param {number} expiresInMs - Validity in milliseconds (default 15 minutes)
+ * @returns {Promise<{url: string, expiresAt: string}|null>} - Signed URL, or null when Firebase Storage is unavailable
+ */
+const getSignedFileUrl = async (storagePath, expiresInMs = 15 * 60 * 1000) => {
+  if (!isFirebaseStorageAvailable()) return null;
+  const expires = Date.now() + expiresInMs;
+  const [url] = await bucket.file(storagePath).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires
+  });
+  return { url, expiresAt: new Date(expires).toISOString() };
+};
+
+/**
+ * Read a private file
+ * @param {string} storagePath - Path inside the bucket
+ * @param {string} location - 'firebase' or 'local'
+ * @returns {Promise<Buffer>} - File contents
+ */
+const readPrivateFile = async (storagePath, location = 'firebase') => {
+  if (location === 'local') {
+    return fs.readFileSync(path.join(PRIVATE_LOCAL_DIR, storagePath));
+  }
+  const [contents] = await bucket.file(storagePath).download();
+  return contents;
+};
+
+// Folders uploadFile keeps per user, in Firebase Storage and in the local fallback under public/
+const USER_FOLDERS = ['profiles', 'events'];
+
+/**
+ * Whether a file URL is one of a user's own uploads: a USER_FOLDERS/{userId}/ object
+ * in our bucket, or a path inside public/{folder}/{userId}/. Image fields on users
+ * and cards are user-supplied, so check them with this before calling deleteFile.
+ * @param {string} fileUrl - Firebase Storage URL or path relative to public/
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isUserFile = (fileUrl, userId) => {
+  if (typeof fileUrl !== 'string' || !fileUrl || !userId) return false;
+
+  if (/^[a-z][a-z\d+.-]*:/i.test(fileUrl)) {
+    let url;
+    try {
+      url = new URL(fileUrl);
+    } catch (error) {
+      return false;
+    }
+    if (url.protocol !== 'https:' || url.hostname !== 'storage.googleapis.com') return false;
+
+    // deleteFile drops the bucket segment, so it has to be our bucket
+    const [bucketName, ...segments] = url.pathname.split('/').slice(1);
+    if (!bucket || bucketName !== bucket.name) return false;
+    const storagePath = segments.join('/');
+    return USER_FOLDERS.some(folder => storagePath.startsWith(`${folder}/${userId}/`));
+  }
+
+  // Same resolution as deleteFile; a prefix check would also accept ../ and siblings
+  const localPath = path.join(__dirname, '..', 'public', fileUrl);
+  return USER_FOLDERS.some(folder => {
+    const relative = path.relative(path.join(__dirname, '..', 'public', folder, userId), localPath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+};
+
+/**
+ * Delete every file uploadFile stored for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Files deleted
+ */
+const deleteUserFiles = async (userId) => {
+  let deleted = 0;
+
+  if (isFirebaseStorageAvailable()) {
+    for (const folder of USER_FOLDERS) {
+      const [files] = await bucket.getFiles({ prefix: `${folder}/${userId}/` });
+      await Promise.all(files.map(file => file.delete({ ignoreNotFound: true })));
+      deleted += files.length;
+    }
+  }
+
+  for (const folder of USER_FOLDERS) {
+    const localDir = path.join(__dirname, '..', 'public', folder, userId);
+    if (fs.existsSync(localDir)) {
+      deleted += fs.readdirSync(localDir).length;
+      fs.rmSync(localDir, { recursive: true, force: true });
+    }
+  }
+
+  return deleted;
+};
+
 module.exports = {
   uploadFile,
   deleteFile,
   getContentType,
-  convertPathToStorageUrl
+  convertPathToStorageUrl,
+  savePrivateFile,
+  privateFileExists,
+  getSignedFileUrl,
+  readPrivateFile,
+  isUserFile,
+  deleteUserFiles
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { assertPublicUrl, publicOnlyRequestConfig } = require('./outboundRequest');
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 3;
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// A prefix check would also accept siblings such as public-old
+const isInsidePublicDir = (filePath) => {
+  const relative = path.relative(PUBLIC_DIR, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Load an image stored either in Firebase Storage (absolute URL) or as a
+ * legacy upload under public/profiles (relative path such as /profiles/x.jpg).
+ * URLs come from users, so only public hosts are fetched (utils/outboundRequest)
+ * and relative paths must stay inside the public directory.
+ * @param {string} imageUrl - Absolute URL or path relative to the public directory
+ * @param {Object} options - Load options
+ * @param {number} options.maxBytes - Skip images larger than this
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>} - Image data, or null if unavailable
+ */
+const loadImageBuffer = async (imageUrl, options = {}) => {
+  if (!imageUrl || typeof imageUrl !== 'string') return null;
+
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+
+  try {
+    if (/^https?:\/\//i.test(imageUrl)) {
+      await assertPublicUrl(imageUrl);
+      const response = await axios.get(imageUrl, {
+        ...publicOnlyRequestConfig(),
+        responseType: 'arraybuffer',
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: maxBytes,
+        maxRedirects: MAX_REDIRECTS
+      });
+      const extension = path.extname(imageUrl.split('?')[0]).toLowerCase();
+      return {
+        buffer: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || CONTENT_TYPES[extension] || 'image/jpeg'
+      };
+    }
+
+    const localPath = path.join(PUBLIC_DIR, imageUrl.replace(/^\/+/, ''));
+    if (!isInsidePublicDir(localPath) || !fs.existsSync(localPath)) {
+      return null;
+    }
+
+    const stats = await fs.promises.stat(localPath);
+    if (stats.size > maxBytes) {
+      console.warn(`[ImageLoader] Skipping oversized image ${imageUrl} (${stats.size} bytes)`);
+      return null;
+    }
+
+    return {
+      buffer: await fs.promises.readFile(localPath),
+      contentType: CONTENT_TYPES[path.extname(localPath).toLowerCase()] || 'image/jpeg'
+    };
+  } catch (error) {
+    console.warn(`[ImageLoader] Could not load image ${imageUrl}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Turn a stored image reference into an absolute URL that external services can fetch
+ * @param {string} imageUrl - Absolute URL or path relative to the public directory
+ * @param {string} baseUrl - Public base URL of this server
+ * @returns {string|null} - Absolute URL
+ */
+const toAbsoluteImageUrl = (imageUrl, baseUrl) => {
+  if (!imageUrl) return null;
+  if (/^https?:\/\//i.test(imageUrl)) return imageUrl;
+  if (!baseUrl) return null;
+  return `${baseUrl.replace(/\/+$/, '')}/${imageUrl.replace(/^\/+/, '')}`;
+};
+
+module.exports = {
+  isInsidePublicDir,
+  loadImageBuffer,
+  toAbsoluteImageUrl
+};
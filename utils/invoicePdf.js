@@ -0,0 +1,297 @@
+/**
+ * PDF renderer for billing documents
+ *
+ * Renders both enterprise invoices (`enterpriseInvoices`) and individual-plan
+ * payment receipts (`paymentReceipts`). Both documents share the same shape:
+ * { number, date, dueDate?, amount, currency, status, lineItems[], reference? }.
+ * Amounts are VAT-inclusive unless the document sets `vatInclusive: false`.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const { loadImageBuffer } = require('./imageLoader');
+
+// Bump when the layout changes so cached PDFs are re-rendered
+const RENDERER_VERSION = 1;
+
+const DEFAULT_VAT_RATE = 0.15;
+const BRAND_COLOR = '#1B2B5B';
+const MUTED_COLOR = '#6B7280';
+const PAGE_MARGIN = 50;
+
+const DOCUMENT_TITLES = {
+  invoice: 'TAX INVOICE',
+  receipt: 'PAYMENT RECEIPT'
+};
+
+/**
+ * Seller details printed on every document
+ * @returns {Object} - Issuer name, address lines, VAT number, email and logo URL
+ */
+const getIssuerDetails = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || 'XS Card',
+  addressLines: (process.env.INVOICE_COMPANY_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  vatNumber: process.env.INVOICE_COMPANY_VAT_NUMBER || null,
+  email: process.env.INVOICE_COMPANY_EMAIL || process.env.EMAIL_USER || null,
+  logoUrl: process.env.INVOICE_LOGO_URL || null
+});
+
+const getVatRate = () => {
+  const rate = parseFloat(process.env.INVOICE_VAT_RATE);
+  return isNaN(rate) ? DEFAULT_VAT_RATE : rate;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Format an amount for print, e.g. R12,000.00
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted amount
+ */
+const formatMoney = (amount, currency = 'ZAR') => {
+  const value = roundCurrency(amount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  return currency === 'ZAR' ? `R${value}` : `${currency} ${value}`;
+};
+
+/**
+ * Format a stored date (ISO string, Date or Firestore Timestamp) as e.g. 1 January 2025
+ * @param {*} value - Date value
+ * @returns {string} - Formatted date, or empty string
+ */
+const formatDocumentDate = (value) => {
+  if (!value) return '';
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Johannesburg' });
+};
+
+/**
+ * Work out subtotal, VAT and total for a billing document
+ * @param {Object} billingDocument - Invoice or receipt data
+ * @returns {{subtotal: number, vat: number, total: number, vatRate: number, vatInclusive: boolean}}
+ */
+const computeTotals = (billingDocument) => {
+  const vatRate = billingDocument.vatRate !== undefined ? Number(billingDocument.vatRate) : getVatRate();
+  const vatInclusive = billingDocument.vatInclusive !== false;
+  const lineItems = billingDocument.lineItems || [];
+  const lineTotal = lineItems.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+
+  // Explicit values on the document win over derived ones
+  if (billingDocument.vatAmount !== undefined && billingDocument.amount !== undefined) {
+    const total = roundCurrency(billingDocument.amount);
+    const vat = roundCurrency(billingDocument.vatAmount);
+    return { subtotal: roundCurrency(total - vat), vat, total, vatRate, vatInclusive };
+  }
+
+  if (vatInclusive) {
+    const total = roundCurrency(billingDocument.amount !== undefined ? billingDocument.amount : lineTotal);
+    const subtotal = roundCurrency(total / (1 + vatRate));
+    return { subtotal, vat: roundCurrency(total - subtotal), total, vatRate, vatInclusive };
+  }
+
+  const subtotal = roundCurrency(lineItems.length > 0 ? lineTotal : billingDocument.amount);
+  const vat = roundCurrency(subtotal * vatRate);
+  return { subtotal, vat, total: roundCurrency(subtotal + vat), vatRate, vatInclusive };
+};
+
+/**
+ * Hash of everything that ends up on the PDF, used to decide whether a cached file is stale
+ * @param {Object} billingDocument - Invoice or receipt data
+ * @param {Object} billTo - Customer details
+ * @returns {string} - SHA-1 hex digest
+ */
+const getDocumentHash = (billingDocument, billTo = {}) => {
+  const { pdf, createdAt, updatedAt, ...content } = billingDocument;
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ version: RENDERER_VERSION, content, billTo, issuer: getIssuerDetails() }))
+    .digest('hex');
+};
+
+// pdfkit only embeds PNG and JPEG, so normalise whatever the logo is
+const loadLogoForPdf = async (url) => {
+  if (!url) return null;
+  try {
+    const image = await loadImageBuffer(url);
+    if (!image) return null;
+    return await sharp(image.buffer)
+      .resize(360, 120, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.warn('[InvoicePdf] Could not load logo:', error.message);
+    return null;
+  }
+};
+
+const formatAddressLines = (address) => {
+  if (!address) return [];
+  if (typeof address === 'string') return address.split(/\n|,\s*/).filter(Boolean);
+  return ['street', 'line1', 'line2', 'suburb', 'city', 'province', 'state', 'postalCode', 'zip', 'country']
+    .map(field => address[field])
+    .filter(Boolean);
+};
+
+/**
+ * Render an invoice or receipt to PDF
+ * @param {Object} billingDocument - Invoice or receipt data
+ * @param {Object} options - Render options
+ * @param {string} options.type - 'invoice' or 'receipt'
+ * @param {Object} options.billTo - Customer details { name, email, vatNumber, address, logoUrl }
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const renderBillingDocumentPdf = async (billingDocument, { type = 'invoice', billTo = {} } = {}) => {
+  const issuer = getIssuerDetails();
+  const currency = billingDocument.currency || 'ZAR';
+  const totals = computeTotals(billingDocument);
+  const [issuerLogo, customerLogo] = await Promise.all([
+    loadLogoForPdf(issuer.logoUrl),
+    loadLogoForPdf(billTo.logoUrl)
+  ]);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${DOCUMENT_TITLES[type] || 'INVOICE'} ${billingDocument.number || ''}`.trim(),
+        Author: issuer.name
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+    const rightColumnX = PAGE_MARGIN + pageWidth / 2;
+
+    // Header: issuer logo/name on the left, document title and meta on the right
+    let headerBottom = PAGE_MARGIN;
+    if (issuerLogo) {
+      doc.image(issuerLogo, PAGE_MARGIN, PAGE_MARGIN, { fit: [160, 50] });
+      headerBottom = PAGE_MARGIN + 55;
+    } else {
+      doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR).text(issuer.name, PAGE_MARGIN, PAGE_MARGIN);
+      headerBottom = doc.y + 5;
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+    doc.y = headerBottom;
+    doc.x = PAGE_MARGIN;
+    if (issuerLogo) doc.font('Helvetica-Bold').fillColor('#000000').text(issuer.name).font('Helvetica').fillColor(MUTED_COLOR);
+    issuer.addressLines.forEach(line => doc.text(line));
+    if (issuer.vatNumber) doc.text(`VAT No: ${issuer.vatNumber}`);
+    if (issuer.email) doc.text(issuer.email);
+    const issuerBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR)
+      .text(DOCUMENT_TITLES[type] || 'INVOICE', rightColumnX, PAGE_MARGIN, { width: pageWidth / 2, align: 'right' });
+    doc.font('Helvetica').fontSize(10).fillColor('#000000');
+    const meta = [
+      [type === 'receipt' ? 'Receipt No' : 'Invoice No', billingDocument.number],
+      ['Date', formatDocumentDate(billingDocument.date)],
+      ['Due Date', type === 'invoice' ? formatDocumentDate(billingDocument.dueDate) : null],
+      ['Reference', billingDocument.reference],
+      ['Status', billingDocument.status ? String(billingDocument.status).toUpperCase() : null]
+    ].filter(([, value]) => value);
+    meta.forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`, rightColumnX, doc.y + 2, { width: pageWidth / 2, align: 'right' });
+    });
+
+    // Bill to
+    let y = Math.max(issuerBottom, doc.y) + 25;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text('BILL TO', PAGE_MARGIN, y);
+    if (customerLogo) {
+      doc.image(customerLogo, rightColumnX + pageWidth / 2 - 120, y, { fit: [120, 40], align: 'right' });
+    }
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(billTo.name || '', PAGE_MARGIN, doc.y + 4);
+    doc.font('Helvetica').fontSize(10);
+    formatAddressLines(billTo.address).forEach(line => doc.text(line));
+    if (billTo.vatNumber) doc.text(`VAT No: ${billTo.vatNumber}`);
+    if (billTo.email) doc.text(billTo.email);
+
+    // Line items table
+    y = Math.max(doc.y, customerLogo ? y + 45 : 0) + 25;
+    const columns = [
+      { label: 'Description', width: pageWidth * 0.52, align: 'left' },
+      { label: 'Qty', width: pageWidth * 0.1, align: 'right' },
+      { label: 'Rate', width: pageWidth * 0.19, align: 'right' },
+      { label: 'Amount', width: pageWidth * 0.19, align: 'right' }
+    ];
+    const drawRow = (values, rowY, { bold = false } = {}) => {
+      let x = PAGE_MARGIN;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      const heights = values.map((value, index) => doc.heightOfString(String(value), { width: columns[index].width - 8 }));
+      values.forEach((value, index) => {
+        doc.text(String(value), x + 4, rowY, { width: columns[index].width - 8, align: columns[index].align });
+        x += columns[index].width;
+      });
+      return rowY + Math.max(...heights) + 8;
+    };
+
+    doc.rect(PAGE_MARGIN, y - 4, pageWidth, 20).fill(BRAND_COLOR);
+    doc.fillColor('#FFFFFF');
+    y = drawRow(columns.map(column => column.label), y, { bold: true });
+    doc.fillColor('#000000');
+
+    const lineItems = billingDocument.lineItems && billingDocument.lineItems.length > 0
+      ? billingDocument.lineItems
+      : [{ description: billingDocument.description || 'XS Card subscription', quantity: 1, rate: billingDocument.amount, amount: billingDocument.amount }];
+
+    lineItems.forEach(item => {
+      if (y > doc.page.height - 200) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+      }
+      y = drawRow([
+        item.description || '',
+        item.quantity !== undefined ? item.quantity : 1,
+        formatMoney(item.rate !== undefined ? item.rate : item.amount, currency),
+        formatMoney(item.amount, currency)
+      ], y);
+      doc.moveTo(PAGE_MARGIN, y - 4).lineTo(PAGE_MARGIN + pageWidth, y - 4).strokeColor('#E5E7EB').lineWidth(0.5).stroke();
+    });
+
+    // Totals
+    y += 10;
+    const vatPercent = `${roundCurrency(totals.vatRate * 100)}%`;
+    const totalsRows = [
+      ['Subtotal (excl. VAT)', formatMoney(totals.subtotal, currency)],
+      [`VAT (${vatPercent})`, formatMoney(totals.vat, currency)],
+      [type === 'receipt' ? 'Total Paid' : 'Total Due', formatMoney(totals.total, currency)]
+    ];
+    const labelWidth = pageWidth * 0.3;
+    const valueWidth = pageWidth * 0.19;
+    const labelX = PAGE_MARGIN + pageWidth - labelWidth - valueWidth;
+    totalsRows.forEach(([label, value], index) => {
+      const isTotal = index === totalsRows.length - 1;
+      doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(isTotal ? 12 : 10).fillColor('#000000');
+      doc.text(label, labelX, y, { width: labelWidth, align: 'right' });
+      doc.text(value, labelX + labelWidth, y, { width: valueWidth - 4, align: 'right' });
+      y += isTotal ? 20 : 16;
+    });
+
+    // Footer
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    const footer = totals.vatInclusive
+      ? `All amounts in ${currency}. Prices include VAT at ${vatPercent}.`
+      : `All amounts in ${currency}. VAT charged at ${vatPercent}.`;
+    doc.text(footer, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 20, { width: pageWidth, align: 'center' });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  RENDERER_VERSION,
+  computeTotals,
+  formatMoney,
+  getDocumentHash,
+  renderBillingDocumentPdf
+};
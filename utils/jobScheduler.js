@@ -0,0 +1,290 @@
+/**
+ * Persistent background jobs
+ *
+ * Recurring jobs (config/scheduledJobs.js) are Bull repeatable jobs and one-off
+ * jobs such as account unlocks are Bull delayed jobs, all on the
+ * 'scheduled-jobs' queue in Redis (REDIS_HOST/REDIS_PORT). They survive
+ * restarts, and however many instances run, each job is processed once.
+ *
+ * With SCHEDULED_JOBS_USE_QUEUE=false (e.g. local development without Redis)
+ * jobs run on in-process timers, which are lost on restart.
+ */
+
+const { RECURRING_JOBS, JOB_ATTEMPTS, JOB_BACKOFF_MS } = require('../config/scheduledJobs');
+
+const QUEUE_NAME = 'scheduled-jobs';
+
+const JOB_NAMES = {
+  ACCOUNT_UNLOCK: 'account-unlock',
+  ALERT_DETECTION: 'alert-detection',
+  PURGE_ACTIVITY_LOGS: 'purge-activity-logs',
+  PURGE_SECURITY_ALERTS: 'purge-security-alerts',
+  ACCOUNT_DELETIONS: 'account-deletions',
+  WEEKLY_DIGESTS: 'weekly-digests',
+  SUBSCRIPTION_DUNNING: 'subscription-dunning'
+};
+
+const JOB_STATUSES = ['waiting', 'delayed', 'active', 'failed', 'completed'];
+
+// Redis calls from request handlers give up after this rather than hang
+const QUEUE_TIMEOUT_MS = 5000;
+
+// Handlers are required when a job runs: the controllers they live in schedule jobs too
+const JOB_HANDLERS = {
+  [JOB_NAMES.ACCOUNT_UNLOCK]: (data) => {
+    const { autoUnlockAccount } = require('../controllers/enterprise/securityActionsController');
+    return autoUnlockAccount(data.userId, new Date(data.unlockAt));
+  },
+  [JOB_NAMES.ALERT_DETECTION]: () => {
+    const { processActivityLogsForAlerts } = require('../controllers/enterprise/alertDetectionService');
+    return processActivityLogsForAlerts();
+  },
+  [JOB_NAMES.PURGE_ACTIVITY_LOGS]: () => {
+    const { purgeExpired } = require('./dataPurge');
+    return purgeExpired('activityLogs', RECURRING_JOBS[JOB_NAMES.PURGE_ACTIVITY_LOGS].retentionDays);
+  },
+  [JOB_NAMES.PURGE_SECURITY_ALERTS]: () => {
+    const { purgeExpired } = require('./dataPurge');
+    return purgeExpired('securityAlerts', RECURRING_JOBS[JOB_NAMES.PURGE_SECURITY_ALERTS].retentionDays);
+  },
+  [JOB_NAMES.ACCOUNT_DELETIONS]: () => {
+    const { processDueDeletions } = require('./accountDeletion');
+    return processDueDeletions();
+  },
+  [JOB_NAMES.WEEKLY_DIGESTS]: () => {
+    const { runWeeklyDigests } = require('./weeklyDigest');
+    return runWeeklyDigests();
+  },
+  [JOB_NAMES.SUBSCRIPTION_DUNNING]: () => {
+    const { runDunning } = require('./subscriptionDunning');
+    return runDunning();
+  }
+};
+
+const useQueue = () => process.env.SCHEDULED_JOBS_USE_QUEUE !== 'false';
+
+const withTimeout = (promise, label) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${QUEUE_TIMEOUT_MS}ms`)), QUEUE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runJob = async (name, data = {}) => {
+  const started = Date.now();
+  const result = await JOB_HANDLERS[name](data);
+  console.log(`✅ [JobScheduler] ${name} finished in ${Date.now() - started}ms`);
+  return result ?? null;
+};
+
+let jobQueue = null;
+const getJobQueue = () => {
+  if (!jobQueue) {
+    const Queue = require('bull');
+    jobQueue = new Queue(QUEUE_NAME, {
+      redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT || '6379'),
+        ...(process.env.REDIS_PASSWORD && { password: process.env.REDIS_PASSWORD })
+      },
+      defaultJobOptions: {
+        attempts: JOB_ATTEMPTS,
+        backoff: { type: 'exponential', delay: JOB_BACKOFF_MS },
+        removeOnComplete: 100, // Keep recent runs for the admin job list
+        removeOnFail: 500
+      }
+    });
+    Object.keys(JOB_HANDLERS).forEach(name => {
+      jobQueue.process(name, job => runJob(name, job.data));
+    });
+    jobQueue.on('failed', (job, err) => {
+      console.error(`❌ [JobScheduler] ${job.name} job ${job.id} failed (attempt ${job.attemptsMade}):`, err.message);
+    });
+    // Log once per outage rather than on every reconnect attempt
+    let errorLogged = false;
+    jobQueue.on('error', (error) => {
+      if (errorLogged) return;
+      errorLogged = true;
+      console.error('[JobScheduler] Queue error:', error.message);
+    });
+    jobQueue.client.on('ready', () => {
+      errorLogged = false;
+    });
+  }
+  return jobQueue;
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const repeatOptions = (schedule) => (schedule.cron ? { cron: schedule.cron, tz: 'UTC' } : { every: schedule.every });
+
+/**
+ * Register the recurring jobs. Repeatable jobs are keyed by name and schedule,
+ * so every instance registering them adds them once; schedules no longer in
+ * config are removed.
+ */
+const scheduleRecurringJobs = async () => {
+  const queue = getJobQueue();
+  const existing = await queue.getRepeatableJobs();
+
+  for (const [name, schedule] of Object.entries(RECURRING_JOBS)) {
+    const repeat = repeatOptions(schedule);
+    const stale = existing.filter(job => job.name === name &&
+      (job.cron !== (repeat.cron || null) || job.every !== (repeat.every || null)));
+    for (const job of stale) {
+      await queue.removeRepeatableByKey(job.key);
+    }
+    await queue.add(name, {}, { repeat, jobId: name });
+  }
+
+  for (const job of existing.filter(job => !RECURRING_JOBS[job.name])) {
+    await queue.removeRepeatableByKey(job.key);
+  }
+};
+
+// Whether a cron schedule ('m h dom mon dow', each field a number list or *) names the current UTC hour
+const cronMatchesHour = (cron, date = new Date()) => {
+  const [, hour, dayOfMonth, month, dayOfWeek] = cron.trim().split(/\s+/);
+  const matches = (field, value) => field === '*' || field.split(',').map(Number).includes(value);
+  return matches(hour, date.getUTCHours()) && matches(dayOfMonth, date.getUTCDate()) &&
+    matches(month, date.getUTCMonth() + 1) && matches(dayOfWeek, date.getUTCDay());
+};
+
+const startLocalTimers = () => {
+  for (const [name, schedule] of Object.entries(RECURRING_JOBS)) {
+    const run = () => runJob(name).catch(error => {
+      console.error(`❌ [JobScheduler] ${name} failed:`, error);
+    });
+    if (schedule.every) {
+      setInterval(run, schedule.every);
+      setTimeout(run, 10000); // Catch up shortly after startup
+    } else {
+      // Check cron schedules hourly and run in the hour they name
+      setInterval(() => {
+        if (cronMatchesHour(schedule.cron)) run();
+      }, HOUR);
+    }
+  }
+};
+
+/**
+ * Start processing jobs and register the recurring ones
+ */
+const initializeScheduledJobs = () => {
+  if (!useQueue()) {
+    startLocalTimers();
+    console.log('⚠️ [JobScheduler] Running scheduled jobs on local timers (SCHEDULED_JOBS_USE_QUEUE=false); they do not survive restarts');
+    return;
+  }
+
+  scheduleRecurringJobs()
+    .then(() => {
+      console.log(`✅ [JobScheduler] Scheduled jobs registered: ${Object.keys(RECURRING_JOBS).join(', ')}`);
+    })
+    .catch(error => {
+      console.error('❌ [JobScheduler] Failed to register scheduled jobs:', error);
+    });
+};
+
+/**
+ * Lift an account lock when it expires
+ * @param {string} userId - User ID
+ * @param {Date} unlockAt - When the lock ends
+ * @returns {Promise<{jobId: string, persistent: boolean}>}
+ */
+const scheduleAccountUnlock = async (userId, unlockAt) => {
+  const data = { userId, unlockAt: unlockAt.toISOString() };
+  // One job per lock: re-locking the account schedules another instead of replacing this one
+  const jobId = `${JOB_NAMES.ACCOUNT_UNLOCK}:${userId}:${unlockAt.getTime()}`;
+  const delay = Math.max(unlockAt.getTime() - Date.now(), 0);
+
+  if (useQueue()) {
+    try {
+      await withTimeout(getJobQueue().add(JOB_NAMES.ACCOUNT_UNLOCK, data, { jobId, delay }), 'Scheduling account unlock');
+      return { jobId, persistent: true };
+    } catch (error) {
+      console.error(`[JobScheduler] Could not queue unlock for ${userId}, using a local timer:`, error.message);
+    }
+  }
+
+  setTimeout(() => {
+    runJob(JOB_NAMES.ACCOUNT_UNLOCK, data).catch(error => {
+      console.error(`❌ [JobScheduler] Unlock for ${userId} failed:`, error);
+    });
+  }, delay);
+  return { jobId, persistent: false };
+};
+
+const formatJob = (job, status) => ({
+  id: job.id,
+  name: job.name,
+  status,
+  data: job.data,
+  attemptsMade: job.attemptsMade,
+  failedReason: job.failedReason || null,
+  createdAt: new Date(job.timestamp).toISOString(),
+  runAt: new Date(job.timestamp + (job.delay || 0)).toISOString(),
+  processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+});
+
+/**
+ * Jobs on the queue, newest first within each status
+ * @param {Object} options - Options
+ * @param {string[]} options.statuses - JOB_STATUSES to include
+ * @param {number} options.limit - Most jobs per status
+ * @returns {Promise<{counts: Object, jobs: Object[], recurring: Object[]}>}
+ */
+const listJobs = async ({ statuses = ['waiting', 'delayed', 'active', 'failed'], limit = 50 } = {}) => {
+  if (!useQueue()) {
+    throw new Error('Scheduled jobs are running on local timers (SCHEDULED_JOBS_USE_QUEUE=false)');
+  }
+  const queue = getJobQueue();
+
+  const [counts, repeatable, ...byStatus] = await withTimeout(Promise.all([
+    queue.getJobCounts(),
+    queue.getRepeatableJobs(),
+    ...statuses.map(status => queue.getJobs([status], 0, limit - 1))
+  ]), 'Listing jobs');
+
+  return {
+    counts,
+    jobs: byStatus.flatMap((jobs, i) => jobs.filter(Boolean).map(job => formatJob(job, statuses[i]))),
+    recurring: repeatable.map(job => ({
+      name: job.name,
+      description: RECURRING_JOBS[job.name]?.description || null,
+      cron: job.cron || null,
+      every: job.every ? Number(job.every) : null,
+      nextRunAt: job.next ? new Date(job.next).toISOString() : null
+    }))
+  };
+};
+
+/**
+ * Run a failed job again
+ * @param {string} jobId - Bull job ID
+ * @returns {Promise<Object|null>} - The job, or null if there is no such job
+ */
+const retryJob = async (jobId) => {
+  if (!useQueue()) {
+    throw new Error('Scheduled jobs are running on local timers (SCHEDULED_JOBS_USE_QUEUE=false)');
+  }
+  const job = await withTimeout(getJobQueue().getJob(jobId), 'Loading job');
+  if (!job) return null;
+  if (!(await job.isFailed())) {
+    throw new Error('Only failed jobs can be retried');
+  }
+  await job.retry();
+  return formatJob(job, 'waiting');
+};
+
+module.exports = {
+  JOB_NAMES,
+  JOB_STATUSES,
+  cronMatchesHour,
+  initializeScheduledJobs,
+  scheduleAccountUnlock,
+  listJobs,
+  retryJob
+};
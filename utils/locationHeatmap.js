@@ -0,0 +1,337 @@
+/**
+ * Contact location heatmaps
+ *
+ * Contacts get a location from the IP they were captured from
+ * (contactMiddleware.processContactLocation). A heatmap gathers the located
+ * contacts of one user or of the members of a team, department or enterprise,
+ * clusters them into geohash cells sized for the map's zoom level and breaks
+ * them down by country, city and employee. toGeoJSON turns the clusters into a
+ * FeatureCollection map libraries can load as a source.
+ *
+ * Access is decided by the caller (routes/locationRoutes.js).
+ */
+
+const { db } = require('../firebase');
+const contactStore = require('./contactStore');
+
+const HEATMAP_SCOPES = {
+  OWN: 'own',
+  TEAM: 'team',
+  DEPARTMENT: 'department',
+  ENTERPRISE: 'enterprise'
+};
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Geohash precision per map zoom level (0-20): cells a little smaller than the tiles
+const ZOOM_PRECISION = [1, 1, 2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 5, 6, 6, 6, 7, 7, 7, 8, 8];
+const MAX_PRECISION = 9;
+const DEFAULT_PRECISION = 4;
+
+const MAX_CITIES = 50;
+
+// Members whose contacts are read at the same time
+const MEMBER_BATCH_SIZE = 20;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Geohash of a point
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} precision - Characters (1-9)
+ * @returns {string}
+ */
+const encodeGeohash = (latitude, longitude, precision) => {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let hash = '';
+  let value = 0;
+  let bits = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const [range, coordinate] = evenBit ? [lng, longitude] : [lat, latitude];
+    const mid = (range[0] + range[1]) / 2;
+    if (coordinate >= mid) {
+      value = (value << 1) | 1;
+      range[0] = mid;
+    } else {
+      value <<= 1;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      value = 0;
+      bits = 0;
+    }
+  }
+  return hash;
+};
+
+// YYYY-MM-DD means the whole day: as an end date it runs to the start of the next
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  if (!value) return undefined;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (isNaN(date)) throw httpError(400, `${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+  return dateOnly && endOfDay ? new Date(date.getTime() + DAY) : date;
+};
+
+/**
+ * Heatmap options from a request query
+ * @param {Object} query - from, to (or startDate, endDate), and precision (1-9) or zoom (0-20)
+ * @returns {{from: Date|undefined, to: Date|undefined, precision: number}}
+ * @throws {Error} - status 400 for bad dates or an out of range zoom or precision
+ */
+const parseHeatmapOptions = (query = {}) => {
+  const from = parseDate(query.from || query.startDate, 'from');
+  const to = parseDate(query.to || query.endDate, 'to', { endOfDay: true });
+  if (from && to && from >= to) throw httpError(400, 'from must be before to');
+
+  let precision = DEFAULT_PRECISION;
+  if (query.precision !== undefined) {
+    precision = parseInt(query.precision, 10);
+    if (!(precision >= 1 && precision <= MAX_PRECISION)) {
+      throw httpError(400, `precision must be between 1 and ${MAX_PRECISION}`);
+    }
+  } else if (query.zoom !== undefined) {
+    const zoom = Math.floor(Number(query.zoom));
+    if (!(zoom >= 0)) throw httpError(400, 'zoom must be 0 or more');
+    precision = ZOOM_PRECISION[Math.min(zoom, ZOOM_PRECISION.length - 1)];
+  }
+
+  return { from, to, precision };
+};
+
+const employeeUserId = (employeeDoc) => {
+  const { userId } = employeeDoc.data();
+  if (userId?.id) return userId.id;
+  return typeof userId === 'string' ? userId : null;
+};
+
+const employeeName = (data) =>
+  [data.name || data.firstName, data.surname || data.lastName].filter(Boolean).join(' ') || 'Unknown';
+
+/**
+ * Users whose contacts make up a team, department or enterprise heatmap,
+ * from the department employee records
+ * @param {string} scope - HEATMAP_SCOPES.TEAM, DEPARTMENT or ENTERPRISE
+ * @param {Object} ids - enterpriseId, and departmentId / teamId as the scope needs
+ * @returns {Promise<Array<{userId: string, name: string, departmentId: string}>>}
+ * @throws {Error} - status 404 when the department or team doesn't exist
+ */
+const resolveScopeMembers = async (scope, { enterpriseId, departmentId, teamId }) => {
+  const departmentsRef = db.collection('enterprise').doc(enterpriseId).collection('departments');
+
+  let departmentDocs;
+  if (scope === HEATMAP_SCOPES.ENTERPRISE) {
+    departmentDocs = (await departmentsRef.get()).docs;
+  } else {
+    if (!departmentId) throw httpError(400, 'departmentId is required');
+    const departmentDoc = await departmentsRef.doc(departmentId).get();
+    if (!departmentDoc.exists) throw httpError(404, 'Department not found');
+    departmentDocs = [departmentDoc];
+  }
+
+  if (scope === HEATMAP_SCOPES.TEAM) {
+    if (!teamId) throw httpError(400, 'teamId is required');
+    const teamDoc = await departmentsRef.doc(departmentId).collection('teams').doc(teamId).get();
+    if (!teamDoc.exists) throw httpError(404, 'Team not found');
+  }
+
+  const members = new Map();
+  for (const departmentDoc of departmentDocs) {
+    const employeesSnapshot = await departmentDoc.ref.collection('employees').get();
+    employeesSnapshot.docs.forEach(employeeDoc => {
+      const data = employeeDoc.data();
+      const userId = employeeUserId(employeeDoc);
+      if (!userId) return;
+      if (scope === HEATMAP_SCOPES.TEAM && data.teamRef?.id !== teamId && data.teamId !== teamId) return;
+      members.set(userId, { userId, name: employeeName(data), departmentId: departmentDoc.id });
+    });
+  }
+  return [...members.values()];
+};
+
+const toPoint = (contact, ownerId) => {
+  const { latitude, longitude, city, country, countryCode } = contact.location;
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === null || longitude === null || isNaN(lat) || isNaN(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) return null;
+
+  return {
+    latitude: lat,
+    longitude: lng,
+    city: city || null,
+    country: country || null,
+    countryCode: countryCode ? String(countryCode).toUpperCase() : null,
+    ownerId
+  };
+};
+
+const collectPoints = async (members, range) => {
+  const points = [];
+  for (let i = 0; i < members.length; i += MEMBER_BATCH_SIZE) {
+    const batch = members.slice(i, i + MEMBER_BATCH_SIZE);
+    const located = await Promise.all(batch.map(({ userId }) => contactStore.listContactLocations(userId, range)));
+    located.forEach((contacts, index) => {
+      contacts.forEach(contact => {
+        const point = toPoint(contact, batch[index].userId);
+        if (point) points.push(point);
+      });
+    });
+  }
+  return points;
+};
+
+const locationName = ({ city, country }) =>
+  (city && country ? `${city}, ${country}` : city || country || 'Unknown Location');
+
+const mostCommon = (counts) =>
+  [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || 'Unknown Location';
+
+/**
+ * Group points into geohash cells, each placed at the average of its points
+ * @param {Array<Object>} points - Points with latitude and longitude
+ * @param {number} precision - Geohash precision
+ * @returns {Array<Object>} - Clusters, largest first
+ */
+const clusterPoints = (points, precision) => {
+  const cells = new Map();
+  points.forEach(point => {
+    const geohash = encodeGeohash(point.latitude, point.longitude, precision);
+    const cell = cells.get(geohash) || { geohash, count: 0, latitude: 0, longitude: 0, names: new Map(), owners: new Set() };
+    cell.count++;
+    cell.latitude += point.latitude;
+    cell.longitude += point.longitude;
+    const name = locationName(point);
+    cell.names.set(name, (cell.names.get(name) || 0) + 1);
+    cell.owners.add(point.ownerId);
+    cells.set(geohash, cell);
+  });
+
+  return [...cells.values()]
+    .map(cell => ({
+      geohash: cell.geohash,
+      latitude: Math.round((cell.latitude / cell.count) * 1e6) / 1e6,
+      longitude: Math.round((cell.longitude / cell.count) * 1e6) / 1e6,
+      count: cell.count,
+      locationName: mostCommon(cell.names),
+      employees: cell.owners.size
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+const countriesOf = (points) => {
+  const countries = new Map();
+  points.forEach(point => {
+    const key = point.countryCode || point.country || 'unknown';
+    const entry = countries.get(key) || { countryCode: point.countryCode, country: point.country || 'Unknown', count: 0 };
+    entry.count++;
+    countries.set(key, entry);
+  });
+  return [...countries.values()]
+    .map(entry => ({ ...entry, percent: percentOf(entry.count, points.length) }))
+    .sort((a, b) => b.count - a.count);
+};
+
+const citiesOf = (points) => {
+  const cities = new Map();
+  points.filter(point => point.city).forEach(point => {
+    const key = `${point.city}|${point.countryCode || point.country}`;
+    const entry = cities.get(key) || { city: point.city, country: point.country, countryCode: point.countryCode, count: 0 };
+    entry.count++;
+    cities.set(key, entry);
+  });
+  return [...cities.values()]
+    .map(entry => ({ ...entry, percent: percentOf(entry.count, points.length) }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_CITIES);
+};
+
+const employeesOf = (points, members) => {
+  const counts = new Map();
+  points.forEach(point => counts.set(point.ownerId, (counts.get(point.ownerId) || 0) + 1));
+  return members
+    .map(member => ({ ...member, count: counts.get(member.userId) || 0 }))
+    .filter(member => member.count > 0)
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Heatmap of the located contacts of some users
+ * @param {Array<Object>} members - { userId, name?, departmentId? } whose contacts are included
+ * @param {Object} options - from, to (on contact createdAt) and precision (see parseHeatmapOptions)
+ * @returns {Promise<Object>} - Clusters, country, city and employee breakdowns
+ */
+const buildLocationHeatmap = async (members, { from, to, precision = DEFAULT_PRECISION } = {}) => {
+  const points = await collectPoints(members, { from, to });
+
+  return {
+    precision,
+    range: {
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null
+    },
+    totalContacts: points.length,
+    clusters: clusterPoints(points, precision),
+    countries: countriesOf(points),
+    cities: citiesOf(points),
+    employees: employeesOf(points, members)
+  };
+};
+
+/**
+ * A heatmap's clusters as a GeoJSON FeatureCollection of points. Each feature's
+ * `weight` is its count relative to the largest cluster (0-1).
+ * @param {Object} heatmap - buildLocationHeatmap result
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+const toGeoJSON = (heatmap) => {
+  const maxCount = heatmap.clusters.reduce((max, cluster) => Math.max(max, cluster.count), 0);
+  return {
+    type: 'FeatureCollection',
+    features: heatmap.clusters.map(cluster => ({
+      type: 'Feature',
+      id: cluster.geohash,
+      geometry: {
+        type: 'Point',
+        coordinates: [cluster.longitude, cluster.latitude]
+      },
+      properties: {
+        geohash: cluster.geohash,
+        count: cluster.count,
+        weight: maxCount > 0 ? Math.round((cluster.count / maxCount) * 1000) / 1000 : 0,
+        locationName: cluster.locationName,
+        employees: cluster.employees
+      }
+    })),
+    metadata: {
+      precision: heatmap.precision,
+      range: heatmap.range,
+      totalContacts: heatmap.totalContacts
+    }
+  };
+};
+
+module.exports = {
+  HEATMAP_SCOPES,
+  encodeGeohash,
+  parseHeatmapOptions,
+  resolveScopeMembers,
+  clusterPoints,
+  buildLocationHeatmap,
+  toGeoJSON
+};
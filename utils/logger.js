@@ -9,6 +9,7 @@ const ACTIONS = {
   LOGIN: 'login',
   LOGOUT: 'logout',
   EXPORT: 'export',
+  IMPORT: 'import',
   SEND: 'send',
   VERIFY: 'verify',
   APPLY: 'apply',
@@ -35,7 +36,13 @@ const RESOURCES = {
   EMAIL: 'email',
   SYSTEM: 'system',
   WALLET_PASS: 'wallet_pass',
-  QR_CODE: 'qr_code'
+  QR_CODE: 'qr_code',
+  SHORT_LINK: 'short_link',
+  SCIM_TOKEN: 'scim_token',
+  API_KEY: 'api_key',
+  WEBHOOK: 'webhook',
+  SUBSCRIPTION_PLAN: 'subscription_plan',
+  QUERY: 'query'
 };
 
 /**
@@ -0,0 +1,206 @@
+/**
+ * Sign-in brute-force protection.
+ *
+ * Failed sign-ins are counted per account (normalised email) in a rate limit
+ * bucket. Reaching LOGIN_LOCKOUT.MAX_FAILURES locks the account with the same
+ * accountLocked fields an enterprise admin's temporary lock (tempLockAccount)
+ * sets, so both kinds of lock are enforced at sign-in. Each lockout that follows
+ * another within ESCALATION_RESET_MS lasts longer. Automatic locks are lifted
+ * lazily: a lock past accountLockedUntil no longer applies.
+ */
+
+const { db, admin } = require('../firebase');
+const { logActivity, RESOURCES } = require('./logger');
+const { sendSecurityAlert } = require('../public/Utils/emailService');
+const rateLimiter = require('./rateLimit');
+const { LOGIN_LOCKOUT } = require('../config/rateLimits');
+
+// accountLockedBy for locks set here (admin locks hold the admin's uid)
+const SYSTEM_LOCK = 'system';
+const LOCK_REASON = 'Too many failed sign-in attempts';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const failureKey = (email) => `signInFailures:${normalizeEmail(email)}`;
+
+/**
+ * @param {string} email - Email as entered
+ * @returns {Promise<Object|null>} - users document snapshot
+ */
+const findUserByEmail = async (email) => {
+  const entered = String(email || '').trim();
+  if (!entered) return null;
+
+  for (const candidate of new Set([entered, entered.toLowerCase()])) {
+    const snapshot = await db.collection('users').where('email', '==', candidate).limit(1).get();
+    if (!snapshot.empty) return snapshot.docs[0];
+  }
+  return null;
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : null);
+
+const clearSystemLock = (userRef) => userRef.update({
+  accountLocked: false,
+  accountLockedUntil: admin.firestore.FieldValue.delete(),
+  accountLockReason: admin.firestore.FieldValue.delete(),
+  accountLockedBy: admin.firestore.FieldValue.delete(),
+  accountLockedAt: admin.firestore.FieldValue.delete(),
+  updatedAt: admin.firestore.Timestamp.now()
+});
+
+/**
+ * Lock state of the account an email belongs to
+ * @param {string} email - Email as entered
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null, reason: string|null}>}
+ */
+const checkAccountLock = async (email) => {
+  const unlocked = { locked: false, lockedUntil: null, reason: null };
+  const userDoc = await findUserByEmail(email);
+  if (!userDoc || !userDoc.data().accountLocked) return unlocked;
+
+  const userData = userDoc.data();
+  const lockedUntil = toDate(userData.accountLockedUntil);
+  if (lockedUntil && lockedUntil <= new Date()) {
+    if (userData.accountLockedBy === SYSTEM_LOCK) {
+      await clearSystemLock(userDoc.ref).catch((error) => {
+        console.error(`[LoginProtection] Failed to clear expired lock for user ${userDoc.id}:`, error.message);
+      });
+    }
+    return unlocked;
+  }
+
+  return { locked: true, lockedUntil, reason: userData.accountLockReason || null };
+};
+
+/**
+ * Lock an account after repeated failures, escalating the duration
+ */
+const lockAccount = async (userDoc, { failedAttempts, ipAddress, userAgent }) => {
+  const userData = userDoc.data();
+  const now = new Date();
+
+  const lastLockoutAt = toDate(userData.lastSignInLockoutAt);
+  const level = lastLockoutAt && now - lastLockoutAt < LOGIN_LOCKOUT.ESCALATION_RESET_MS
+    ? (userData.signInLockoutCount || 0) + 1
+    : 1;
+  const durations = LOGIN_LOCKOUT.LOCK_DURATIONS_MINUTES;
+  const durationMinutes = durations[Math.min(level, durations.length) - 1];
+  const lockedUntil = new Date(now.getTime() + durationMinutes * 60 * 1000);
+
+  await userDoc.ref.update({
+    accountLocked: true,
+    accountLockedUntil: admin.firestore.Timestamp.fromDate(lockedUntil),
+    accountLockReason: LOCK_REASON,
+    accountLockedBy: SYSTEM_LOCK,
+    accountLockedAt: admin.firestore.Timestamp.now(),
+    signInLockoutCount: level,
+    lastSignInLockoutAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.Timestamp.now()
+  });
+
+  console.log(`🔒 [LoginProtection] Locked account ${userDoc.id} for ${durationMinutes} minutes (lockout ${level})`);
+
+  const enterpriseId = userData.enterpriseRef?.id || null;
+  await logActivity({
+    action: 'AUTO_LOCK_ACCOUNT',
+    resource: RESOURCES.USER,
+    userId: SYSTEM_LOCK,
+    resourceId: userDoc.id,
+    ...(enterpriseId && { enterpriseId }),
+    details: {
+      targetUserId: userDoc.id,
+      reason: LOCK_REASON,
+      failedAttempts,
+      lockoutLevel: level,
+      durationMinutes,
+      lockUntil: lockedUntil.toISOString(),
+      ipAddress: ipAddress || null,
+      actionType: 'auto_lock_account'
+    }
+  });
+
+  if (userData.email) {
+    try {
+      await sendSecurityAlert(userDoc.id, {
+        title: 'Account Temporarily Locked',
+        type: 'account_locked',
+        description: `Your account was locked after ${failedAttempts} failed sign-in attempts. The lock will be automatically lifted on ${lockedUntil.toISOString()}. If this wasn't you, reset your password once the lock is lifted.`,
+        timestamp: now.toISOString(),
+        reason: LOCK_REASON,
+        lockUntil: lockedUntil.toISOString(),
+        ipAddress,
+        userAgent
+      });
+    } catch (emailError) {
+      console.error('[LoginProtection] Error sending account lock notification:', emailError);
+    }
+  }
+
+  if (enterpriseId) {
+    try {
+      const { createSecurityAlert, SECURITY_ALERT_TYPES, SEVERITY_LEVELS } = require('../controllers/enterprise/securityAlertsController');
+      await createSecurityAlert({
+        enterpriseId,
+        type: SECURITY_ALERT_TYPES.ACCOUNT_LOCKOUT,
+        severity: level > 1 ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.MEDIUM,
+        title: 'Account Locked After Failed Sign-ins',
+        description: `Account for ${userData.name || userData.email} was locked for ${durationMinutes} minutes after ${failedAttempts} failed sign-in attempts.`,
+        userId: userDoc.id,
+        metadata: {
+          ipAddress: ipAddress || null,
+          userAgent: userAgent || null,
+          failedAttempts,
+          lockoutLevel: level,
+          lockUntil: lockedUntil.toISOString()
+        }
+      });
+    } catch (alertError) {
+      console.error('[LoginProtection] Error creating lockout alert:', alertError);
+    }
+  }
+
+  return { locked: true, lockedUntil, level };
+};
+
+/**
+ * Count a failed sign-in and lock the account when the limit is reached
+ * @param {string} email - Email as entered
+ * @param {Object} context - Request context
+ * @param {string} context.ipAddress - Client IP
+ * @param {string} context.userAgent - Client user agent
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date, level?: number}>}
+ */
+const recordFailedSignIn = async (email, { ipAddress = null, userAgent = null } = {}) => {
+  if (!normalizeEmail(email)) return { locked: false };
+
+  const failures = await rateLimiter.consume(failureKey(email), {
+    max: LOGIN_LOCKOUT.MAX_FAILURES,
+    windowMs: LOGIN_LOCKOUT.FAILURE_WINDOW_MS
+  });
+  if (failures.count < LOGIN_LOCKOUT.MAX_FAILURES) return { locked: false };
+
+  // Unknown emails have no account to lock; the per-IP limit covers them
+  const userDoc = await findUserByEmail(email);
+  if (!userDoc) return { locked: false };
+
+  await rateLimiter.reset(failureKey(email));
+  return lockAccount(userDoc, { failedAttempts: failures.count, ipAddress, userAgent });
+};
+
+/**
+ * Forget failed attempts after a successful sign-in. Lockout escalation is
+ * left to expire after ESCALATION_RESET_MS, so the owner signing in between
+ * two attacks does not shorten the next lock.
+ * @param {string} email - Email as entered
+ */
+const clearFailedSignIns = (email) => rateLimiter.reset(failureKey(email));
+
+module.exports = {
+  SYSTEM_LOCK,
+  normalizeEmail,
+  findUserByEmail,
+  checkAccountLock,
+  recordFailedSignIn,
+  clearFailedSignIns
+};
@@ -0,0 +1,150 @@
+/**
+ * Guards for requests the server makes to URLs that users supply (card images,
+ * logos, webhook endpoints), so they can't be pointed at our own network:
+ * loopback, private (RFC 1918), carrier-grade NAT, link-local (including the
+ * 169.254.169.254 metadata service) and other non-public addresses are refused.
+ *
+ * Hosts are checked when a URL is accepted (assertPublicUrl) and again when the
+ * connection is made (publicOnlyRequestConfig), since a name can resolve to a
+ * different address by then.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'], // Multicast, reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 of any IPv4 address
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+const blockedAddressError = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to a non-public address (${address})`);
+  error.status = 400;
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet.
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true for anything that isn't a public address
+ */
+const isPrivateAddress = (address) => {
+  const type = net.isIP(address);
+  if (type === 0) return true;
+  return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns.lookup signature, refusing names that resolve to a blocked address
+const publicOnlyLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+};
+
+const checkLiteralHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw blockedAddressError(hostname, host);
+  }
+};
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ * @param {string} url - URL to check
+ * @param {Object} options - Options
+ * @param {boolean} options.allowHttp - Accept http as well as https (default true)
+ * @returns {Promise<URL>} - Parsed URL
+ * @throws {Error} - status 400 when the URL is invalid, uses another scheme or points at a non-public host
+ */
+const assertPublicUrl = async (url, { allowHttp = true } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    const invalid = new Error('Invalid URL');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  const protocols = allowHttp ? ['https:', 'http:'] : ['https:'];
+  if (!protocols.includes(parsed.protocol)) {
+    const error = new Error(`URL must use ${allowHttp ? 'http or https' : 'https'}`);
+    error.status = 400;
+    throw error;
+  }
+
+  checkLiteralHost(parsed.hostname);
+  if (!net.isIP(parsed.hostname.replace(/^\[|\]$/g, ''))) {
+    await new Promise((resolve, reject) => {
+      publicOnlyLookup(parsed.hostname, { all: true }, (error) => {
+        if (!error) return resolve();
+        if (error.code !== 'EBLOCKEDADDRESS') {
+          error.message = `Could not resolve ${parsed.hostname}: ${error.message}`;
+          error.status = 400;
+        }
+        reject(error);
+      });
+    });
+  }
+
+  return parsed;
+};
+
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * axios options that re-check every connection (redirects included) against the
+ * blocked ranges, so a host can't be re-pointed at an internal address after
+ * assertPublicUrl passed
+ * @returns {Object} - httpAgent, httpsAgent, proxy and beforeRedirect for axios
+ */
+const publicOnlyRequestConfig = () => ({
+  httpAgent,
+  httpsAgent,
+  // An environment proxy would make the request on our behalf, unchecked
+  proxy: false,
+  // Connections to IP literals skip the lookup, so check redirect targets here
+  beforeRedirect: (options) => checkLiteralHost(options.hostname || '')
+});
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicOnlyLookup,
+  publicOnlyRequestConfig
+};
@@ -0,0 +1,105 @@
+/**
+ * Store of received Paystack webhook events (paystackEvents/{eventKeyHash}).
+ *
+ * Paystack retries a webhook until it gets a 2xx, and the callback URL and webhook
+ * can report the same payment. Each event is claimed before it is applied, so a
+ * retry of an event that was already processed is acknowledged without re-applying it.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../firebase');
+
+const PAYSTACK_EVENTS_COLLECTION = 'paystackEvents';
+// A claim older than this is assumed to belong to a crashed handler and can be retaken
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+/**
+ * Identify an event. Paystack payloads have no envelope ID, so the event type and
+ * the object's ID are used; invoice events also include updated_at because each
+ * failed charge attempt on the same invoice is a separate event.
+ * @param {Object} event - Webhook body ({ event, data })
+ * @returns {string}
+ */
+const getPaystackEventKey = (event) => {
+  const data = event.data || {};
+  const objectId = data.id ?? data.invoice_code ?? data.reference ?? data.subscription_code ?? 'unknown';
+  const parts = [event.event, objectId];
+  if (String(event.event).startsWith('invoice.')) parts.push(data.updated_at || data.updatedAt || '');
+  return parts.join(':');
+};
+
+const eventDocId = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Claim an event for processing
+ * @param {Object} event - Webhook body
+ * @param {string} source - Endpoint that received it
+ * @returns {Promise<{claimed: boolean, key: string, status: string|null}>}
+ *   claimed is false when the event was already processed or is being processed
+ */
+const claimPaystackEvent = async (event, source) => {
+  const key = getPaystackEventKey(event);
+  const eventRef = db.collection(PAYSTACK_EVENTS_COLLECTION).doc(eventDocId(key));
+
+  return db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+    const existing = eventDoc.exists ? eventDoc.data() : null;
+    const now = admin.firestore.Timestamp.now();
+
+    if (existing?.status === EVENT_STATUS.PROCESSED) {
+      transaction.update(eventRef, { duplicateCount: admin.firestore.FieldValue.increment(1), lastReceivedAt: now });
+      return { claimed: false, key, status: existing.status };
+    }
+    if (existing?.status === EVENT_STATUS.PROCESSING &&
+        Date.now() - existing.claimedAt.toMillis() < PROCESSING_TIMEOUT_MS) {
+      return { claimed: false, key, status: existing.status };
+    }
+
+    transaction.set(eventRef, {
+      key,
+      event: event.event,
+      source,
+      status: EVENT_STATUS.PROCESSING,
+      attempts: (existing?.attempts || 0) + 1,
+      payload: event,
+      receivedAt: existing?.receivedAt || now,
+      lastReceivedAt: now,
+      claimedAt: now,
+      duplicateCount: existing?.duplicateCount || 0,
+      error: null
+    });
+    return { claimed: true, key, status: existing?.status || null };
+  });
+};
+
+/**
+ * @param {string} key - Event key from claimPaystackEvent
+ * @param {Object} result - Outcome summary stored with the event
+ */
+const markPaystackEventProcessed = (key, result = {}) => db.collection(PAYSTACK_EVENTS_COLLECTION)
+  .doc(eventDocId(key))
+  .update({ status: EVENT_STATUS.PROCESSED, processedAt: admin.firestore.Timestamp.now(), result });
+
+/**
+ * Release the claim so Paystack's next retry processes the event again
+ * @param {string} key - Event key from claimPaystackEvent
+ * @param {Error} error - Failure
+ */
+const markPaystackEventFailed = (key, error) => db.collection(PAYSTACK_EVENTS_COLLECTION)
+  .doc(eventDocId(key))
+  .update({ status: EVENT_STATUS.FAILED, failedAt: admin.firestore.Timestamp.now(), error: error.message });
+
+module.exports = {
+  PAYSTACK_EVENTS_COLLECTION,
+  EVENT_STATUS,
+  getPaystackEventKey,
+  claimPaystackEvent,
+  markPaystackEventProcessed,
+  markPaystackEventFailed
+};
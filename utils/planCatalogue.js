@@ -0,0 +1,465 @@
+/**
+ * Versioned subscription plan catalogue.
+ *
+ * Each plan version is an immutable document subscriptionPlans/{planId}@v{version}.
+ * New subscribers get the latest active version of a plan; existing subscribers keep
+ * the version recorded on their subscription (planVersion), so price or entitlement
+ * changes and retirements never alter what someone already bought. Built-in plans
+ * from config/subscriptionPlans.js are served as version 1 until they are stored.
+ */
+
+const { db, admin } = require('../firebase');
+const { DEFAULT_PLANS, DEFAULT_PLAN_BY_TIER } = require('../config/subscriptionPlans');
+
+const PLANS_COLLECTION = 'subscriptionPlans';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const PLAN_STATUS = {
+  ACTIVE: 'active',
+  RETIRED: 'retired'
+};
+
+const PLAN_TIERS = ['free', 'premium', 'enterprise'];
+const PRICING_MODELS = ['flat', 'per_seat'];
+const PLAN_INTERVALS = ['monthly', 'annually'];
+const ENTITLEMENT_KEYS = ['contacts', 'cards', 'walletPasses', 'templates', 'exports'];
+
+// Fields a new version may change; planId, version and status are managed here
+const VERSIONED_FIELDS = [
+  'name', 'description', 'tier', 'interval', 'pricingModel', 'minSeats', 'maxSeats',
+  'defaultCurrency', 'prices', 'entitlements'
+];
+
+class PlanCatalogueError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PlanCatalogueError';
+    this.status = status;
+  }
+}
+
+const versionDocId = (planId, version) => `${planId}@v${version}`;
+
+const pickVersionedFields = (source) => Object.fromEntries(
+  VERSIONED_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const defaultVersions = () => Object.values(DEFAULT_PLANS).map(plan => ({
+  planId: plan.id,
+  version: 1,
+  status: PLAN_STATUS.ACTIVE,
+  minSeats: null,
+  maxSeats: null,
+  ...pickVersionedFields(plan),
+  source: 'default'
+}));
+
+let cachedVersions = null;
+let cachedAt = 0;
+
+/**
+ * All plan versions: stored ones plus defaults for plans that are not stored yet
+ * @returns {Promise<Object[]>}
+ */
+const loadVersions = async () => {
+  if (cachedVersions && Date.now() - cachedAt < CACHE_TTL_MS) return cachedVersions;
+
+  try {
+    const snapshot = await db.collection(PLANS_COLLECTION).get();
+    const stored = snapshot.docs.map(doc => ({ ...doc.data(), source: 'catalogue' }));
+    const storedPlanIds = new Set(stored.map(version => version.planId));
+
+    cachedVersions = [...stored, ...defaultVersions().filter(version => !storedPlanIds.has(version.planId))];
+    cachedAt = Date.now();
+    return cachedVersions;
+  } catch (error) {
+    // Plan lookups sit on request paths (contact limits, checkout): fall back rather than fail
+    console.error('[PlanCatalogue] Failed to load plans, using built-in defaults:', error.message);
+    return cachedVersions || defaultVersions();
+  }
+};
+
+const invalidateCatalogue = () => {
+  cachedVersions = null;
+  cachedAt = 0;
+};
+
+/**
+ * Plan object handed to callers: the version plus id, and amount/planCode/currency
+ * for one currency (the plan's default unless another is requested)
+ * @param {Object} version - Plan version
+ * @param {string} currency - Currency code
+ * @returns {Object|null}
+ */
+const toPlan = (version, currency = null) => {
+  if (!version) return null;
+  const planCurrency = currency && version.prices?.[currency] ? currency : version.defaultCurrency;
+  const price = version.prices?.[planCurrency] || {};
+  return {
+    ...version,
+    id: version.planId,
+    currency: planCurrency,
+    amount: price.amount ?? 0,
+    planCode: price.planCode ?? null
+  };
+};
+
+const byVersionDesc = (a, b) => b.version - a.version;
+
+/**
+ * @param {string} planId - Plan ID
+ * @param {number|null} version - Specific version (e.g. the one a subscriber is on);
+ *   defaults to the latest active version, then the latest version
+ * @param {string|null} currency - Currency for amount/planCode (defaults to the plan's)
+ * @returns {Promise<Object|null>}
+ */
+const getPlan = async (planId, version = null, currency = null) => {
+  if (!planId) return null;
+  const versions = (await loadVersions()).filter(entry => entry.planId === planId).sort(byVersionDesc);
+  if (version) {
+    return toPlan(versions.find(entry => entry.version === Number(version)), currency);
+  }
+  return toPlan(versions.find(entry => entry.status === PLAN_STATUS.ACTIVE) || versions[0], currency);
+};
+
+/**
+ * Find the plan version a Paystack plan code belongs to
+ * @param {string} planCode - Paystack plan code
+ * @returns {Promise<Object|null>} - Plan priced in the matching currency
+ */
+const getPlanByCode = async (planCode) => {
+  if (!planCode) return null;
+  const versions = (await loadVersions()).slice().sort(byVersionDesc);
+  for (const version of versions) {
+    const currency = Object.keys(version.prices || {}).find(code => version.prices[code].planCode === planCode);
+    if (currency) return toPlan(version, currency);
+  }
+  return null;
+};
+
+/**
+ * Latest version of each plan
+ * @param {Object} options - Filters
+ * @param {boolean} options.includeRetired - Include retired plans
+ * @param {string} options.tier - Only plans of this tier
+ * @param {string} options.currency - Only plans priced in this currency (prices shown in it)
+ * @returns {Promise<Object[]>}
+ */
+const listPlans = async ({ includeRetired = false, tier = null, currency = null } = {}) => {
+  const planIds = [...new Set((await loadVersions()).map(version => version.planId))];
+  const plans = await Promise.all(planIds.map(planId => getPlan(planId, null, currency)));
+
+  return plans
+    .filter(plan => includeRetired || plan.status === PLAN_STATUS.ACTIVE)
+    .filter(plan => !tier || plan.tier === tier)
+    .filter(plan => !currency || plan.prices?.[currency]);
+};
+
+/**
+ * Every version of a plan, newest first
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object[]>}
+ */
+const listPlanVersions = async (planId) => (await loadVersions())
+  .filter(version => version.planId === planId)
+  .sort(byVersionDesc)
+  .map(version => toPlan(version));
+
+/**
+ * @param {Object} plan - Plan
+ * @param {number} seats - Requested seats
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateSeatCount = (plan, seats) => {
+  if (plan.pricingModel !== 'per_seat') return null;
+  if (!Number.isInteger(seats) || seats < 1) return 'seats must be a positive integer';
+  if (plan.minSeats && seats < plan.minSeats) return `${plan.name} requires at least ${plan.minSeats} seats`;
+  if (plan.maxSeats && seats > plan.maxSeats) return `${plan.name} allows at most ${plan.maxSeats} seats`;
+  return null;
+};
+
+/**
+ * Price of a plan per billing interval
+ * @param {Object} plan - Plan
+ * @param {Object} options - Quote options
+ * @param {string} options.currency - Currency (defaults to the plan's)
+ * @param {number} options.seats - Seats for per-seat plans
+ * @returns {{currency: string, unitAmount: number, seats: number, amount: number}|null} - null when not priced in the currency
+ */
+const quotePlan = (plan, { currency = null, seats = 1 } = {}) => {
+  const planCurrency = currency || plan.defaultCurrency;
+  const price = plan.prices?.[planCurrency];
+  if (!price) return null;
+
+  const quantity = plan.pricingModel === 'per_seat' ? seats : 1;
+  return {
+    currency: planCurrency,
+    unitAmount: price.amount,
+    seats: quantity,
+    amount: Math.round(price.amount * quantity * 100) / 100
+  };
+};
+
+/**
+ * Plan assigned to an enterprise (billingPlan), or the default enterprise plan
+ * @param {string} enterpriseId - Enterprise ID
+ * @returns {Promise<{tier: string, plan: Object, entitlements: Object}>}
+ */
+const resolveEnterprisePlan = async (enterpriseId) => {
+  let assigned = null;
+  try {
+    const enterpriseDoc = await db.collection('enterprise').doc(enterpriseId).get();
+    assigned = enterpriseDoc.exists ? enterpriseDoc.data().billingPlan : null;
+  } catch (error) {
+    console.error(`[PlanCatalogue] Failed to load plan assignment for enterprise ${enterpriseId}:`, error.message);
+  }
+
+  let plan = assigned?.planId ? await getPlan(assigned.planId, assigned.planVersion || null) : null;
+  if (!plan || plan.tier !== 'enterprise') {
+    plan = await getPlan(DEFAULT_PLAN_BY_TIER.enterprise);
+  }
+
+  return { tier: 'enterprise', plan, entitlements: plan.entitlements };
+};
+
+/**
+ * Plan that applies to a user: enterprise members use their enterprise's plan,
+ * premium users the version on their subscription, everyone else the free plan
+ * @param {string} userId - User ID
+ * @param {Object} userData - users document data, when already loaded
+ * @returns {Promise<{tier: string, plan: Object, entitlements: Object}>}
+ */
+const resolveUserPlan = async (userId, userData = null) => {
+  const user = userData || (await db.collection('users').doc(userId).get()).data() || {};
+  const tier = PLAN_TIERS.includes(user.plan) ? user.plan : 'free';
+
+  if (tier === 'enterprise' && user.enterpriseRef) {
+    return resolveEnterprisePlan(user.enterpriseRef.id);
+  }
+
+  let assigned = null;
+  if (tier === 'premium') {
+    try {
+      const subscriptionDoc = await db.collection('subscriptions').doc(userId).get();
+      assigned = subscriptionDoc.exists ? subscriptionDoc.data() : null;
+    } catch (error) {
+      console.error(`[PlanCatalogue] Failed to load plan assignment for user ${userId}:`, error.message);
+    }
+  }
+
+  let plan = assigned?.planId ? await getPlan(assigned.planId, assigned.planVersion || null) : null;
+  // A recorded plan of another tier (e.g. a lapsed subscription) does not apply
+  if (!plan || plan.tier !== tier) {
+    plan = await getPlan(DEFAULT_PLAN_BY_TIER[tier]);
+  }
+
+  return { tier, plan, entitlements: plan.entitlements };
+};
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+/**
+ * @param {Object} definition - Plan fields
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validatePlanDefinition = (definition) => {
+  const { name, tier, interval, pricingModel, prices, defaultCurrency, entitlements, minSeats, maxSeats } = definition;
+
+  if (!name || typeof name !== 'string') return 'name is required';
+  if (!PLAN_TIERS.includes(tier)) return `tier must be one of: ${PLAN_TIERS.join(', ')}`;
+  if (interval !== null && !PLAN_INTERVALS.includes(interval)) {
+    return `interval must be null or one of: ${PLAN_INTERVALS.join(', ')}`;
+  }
+  if (!PRICING_MODELS.includes(pricingModel)) return `pricingModel must be one of: ${PRICING_MODELS.join(', ')}`;
+
+  if (!prices || typeof prices !== 'object' || Object.keys(prices).length === 0) {
+    return 'prices must map currency codes to { amount, planCode }';
+  }
+  for (const [currency, price] of Object.entries(prices)) {
+    if (!/^[A-Z]{3}$/.test(currency)) return `Invalid currency code: ${currency}`;
+    if (typeof price?.amount !== 'number' || price.amount < 0) return `prices.${currency}.amount must be a non-negative number`;
+    if (price.planCode !== null && price.planCode !== undefined && typeof price.planCode !== 'string') {
+      return `prices.${currency}.planCode must be a string`;
+    }
+  }
+  if (!prices[defaultCurrency]) return 'defaultCurrency must be one of the priced currencies';
+
+  if (!entitlements || typeof entitlements !== 'object') return 'entitlements are required';
+  const unknown = Object.keys(entitlements).filter(key => !ENTITLEMENT_KEYS.includes(key));
+  if (unknown.length > 0) return `Unknown entitlement(s): ${unknown.join(', ')}. Supported: ${ENTITLEMENT_KEYS.join(', ')}`;
+  const invalid = ENTITLEMENT_KEYS.filter(key => !isLimit(entitlements[key]));
+  if (invalid.length > 0) return `Entitlements must be a non-negative integer or null (unlimited): ${invalid.join(', ')}`;
+
+  if (pricingModel === 'per_seat') {
+    if (minSeats != null && (!Number.isInteger(minSeats) || minSeats < 1)) return 'minSeats must be a positive integer';
+    if (maxSeats != null && (!Number.isInteger(maxSeats) || maxSeats < (minSeats || 1))) return 'maxSeats must be at least minSeats';
+  }
+  return null;
+};
+
+/**
+ * Normalise and validate a version before it is stored
+ */
+const buildVersion = (planId, version, fields, userId) => {
+  const definition = {
+    description: '',
+    interval: null,
+    pricingModel: 'flat',
+    ...fields,
+    minSeats: fields.pricingModel === 'per_seat' ? fields.minSeats ?? null : null,
+    maxSeats: fields.pricingModel === 'per_seat' ? fields.maxSeats ?? null : null,
+    prices: Object.fromEntries(Object.entries(fields.prices || {}).map(([currency, price]) => [
+      currency,
+      { amount: price?.amount, planCode: price?.planCode || null }
+    ])),
+    // Unknown keys are kept so validation rejects them rather than dropping them silently
+    entitlements: {
+      ...Object.fromEntries(ENTITLEMENT_KEYS.map(key => [key, null])),
+      ...fields.entitlements
+    }
+  };
+  if (!definition.defaultCurrency) definition.defaultCurrency = Object.keys(definition.prices)[0];
+
+  const error = validatePlanDefinition(definition);
+  if (error) throw new PlanCatalogueError(400, error);
+
+  return {
+    ...pickVersionedFields(definition),
+    planId,
+    version,
+    status: PLAN_STATUS.ACTIVE,
+    createdAt: admin.firestore.Timestamp.now(),
+    createdBy: userId
+  };
+};
+
+/**
+ * Store a built-in plan's default version so that later versions build on it
+ */
+const materializeDefault = async (planId) => {
+  const version = defaultVersions().find(entry => entry.planId === planId);
+  if (!version) return;
+
+  const { source, ...fields } = version;
+  try {
+    await db.collection(PLANS_COLLECTION).doc(versionDocId(planId, 1)).create({
+      ...fields,
+      createdAt: admin.firestore.Timestamp.now(),
+      createdBy: 'system'
+    });
+  } catch (error) {
+    if (error.code !== 6 && !/already exists/i.test(error.message)) throw error;
+  }
+};
+
+/**
+ * Create a new plan (version 1)
+ * @param {Object} definition - id plus plan fields
+ * @param {string} userId - Admin creating the plan
+ * @returns {Promise<Object>} - Created plan
+ */
+const createPlan = async (definition, userId) => {
+  const planId = definition.id;
+  if (!planId || !/^[A-Z0-9_]{3,50}$/.test(planId)) {
+    throw new PlanCatalogueError(400, 'id must be 3-50 characters of A-Z, 0-9 and _');
+  }
+  if ((await loadVersions()).some(version => version.planId === planId)) {
+    throw new PlanCatalogueError(409, `Plan ${planId} already exists; create a new version instead`);
+  }
+
+  const version = buildVersion(planId, 1, pickVersionedFields(definition), userId);
+  try {
+    await db.collection(PLANS_COLLECTION).doc(versionDocId(planId, 1)).create(version);
+  } catch (error) {
+    if (error.code === 6 || /already exists/i.test(error.message)) {
+      throw new PlanCatalogueError(409, `Plan ${planId} already exists; create a new version instead`);
+    }
+    throw error;
+  }
+  invalidateCatalogue();
+  return getPlan(planId, 1);
+};
+
+/**
+ * Create the next version of a plan from its latest version plus changes.
+ * Earlier versions stay valid for the subscribers on them.
+ * @param {string} planId - Plan ID
+ * @param {Object} changes - Versioned fields to change
+ * @param {string} userId - Admin creating the version
+ * @returns {Promise<Object>} - New version
+ */
+const createPlanVersion = async (planId, changes, userId) => {
+  const versions = (await loadVersions()).filter(version => version.planId === planId).sort(byVersionDesc);
+  const latest = versions[0];
+  if (!latest) throw new PlanCatalogueError(404, `Plan ${planId} not found`);
+  if (latest.source === 'default') await materializeDefault(planId);
+
+  const nextVersion = latest.version + 1;
+  const version = buildVersion(planId, nextVersion, { ...pickVersionedFields(latest), ...pickVersionedFields(changes) }, userId);
+
+  try {
+    await db.collection(PLANS_COLLECTION).doc(versionDocId(planId, nextVersion)).create(version);
+  } catch (error) {
+    if (error.code === 6 || /already exists/i.test(error.message)) {
+      throw new PlanCatalogueError(409, `Version ${nextVersion} of ${planId} was just created by someone else; retry`);
+    }
+    throw error;
+  }
+  await db.collection(PLANS_COLLECTION).doc(versionDocId(planId, latest.version)).update({
+    supersededBy: nextVersion,
+    supersededAt: admin.firestore.Timestamp.now()
+  });
+
+  invalidateCatalogue();
+  return getPlan(planId, nextVersion);
+};
+
+/**
+ * Stop offering a plan to new subscribers. Existing subscribers keep their version.
+ * @param {string} planId - Plan ID
+ * @param {string} userId - Admin retiring the plan
+ * @returns {Promise<number>} - Versions retired
+ */
+const retirePlan = async (planId, userId) => {
+  if (Object.values(DEFAULT_PLAN_BY_TIER).includes(planId)) {
+    throw new PlanCatalogueError(400, `${planId} is the default plan for its tier and cannot be retired`);
+  }
+
+  const versions = (await loadVersions()).filter(version => version.planId === planId);
+  if (versions.length === 0) throw new PlanCatalogueError(404, `Plan ${planId} not found`);
+  if (versions.some(version => version.source === 'default')) await materializeDefault(planId);
+
+  const active = versions.filter(version => version.status === PLAN_STATUS.ACTIVE);
+  const batch = db.batch();
+  active.forEach(version => {
+    batch.update(db.collection(PLANS_COLLECTION).doc(versionDocId(planId, version.version)), {
+      status: PLAN_STATUS.RETIRED,
+      retiredAt: admin.firestore.Timestamp.now(),
+      retiredBy: userId
+    });
+  });
+  await batch.commit();
+
+  invalidateCatalogue();
+  return active.length;
+};
+
+module.exports = {
+  PLANS_COLLECTION,
+  PLAN_STATUS,
+  PLAN_TIERS,
+  ENTITLEMENT_KEYS,
+  PlanCatalogueError,
+  getPlan,
+  getPlanByCode,
+  listPlans,
+  listPlanVersions,
+  validateSeatCount,
+  quotePlan,
+  resolveEnterprisePlan,
+  resolveUserPlan,
+  createPlan,
+  createPlanVersion,
+  retirePlan,
+  invalidateCatalogue
+};
@@ -0,0 +1,286 @@
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const { db } = require('../firebase');
+const { buildCardVCard } = require('./vcardGenerator');
+const { loadImageBuffer } = require('./imageLoader');
+const { normaliseHexColor } = require('./walletPass/passContent');
+const { getOrCreateCardShortLink, buildShortUrl } = require('./shortLinks');
+
+const SUPPORTED_FORMATS = ['png', 'svg', 'pdf'];
+const DEFAULT_SIZE = 300;
+const MIN_SIZE = 100;
+const MAX_SIZE = 2000;
+const DEFAULT_MARGIN = 1;
+const MAX_MARGIN = 10;
+const DEFAULT_FOREGROUND = '#000000';
+const DEFAULT_BACKGROUND = '#FFFFFF';
+
+// Error correction H tolerates ~30% damage; keep the logo well below that
+const LOGO_SCALE = 0.22;
+const LOGO_PADDING_RATIO = 0.1;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Parse and clamp QR rendering options from a request query
+ * @param {Object} query - Request query (format, size, margin)
+ * @returns {{format: string, size: number, margin: number}} - Normalised options
+ */
+const parseQrOptions = (query = {}) => {
+  const format = SUPPORTED_FORMATS.includes(String(query.format || '').toLowerCase())
+    ? String(query.format).toLowerCase()
+    : 'png';
+
+  const size = Math.min(Math.max(parseInt(query.size) || DEFAULT_SIZE, MIN_SIZE), MAX_SIZE);
+  const parsedMargin = parseInt(query.margin);
+  const margin = isNaN(parsedMargin) ? DEFAULT_MARGIN : Math.min(Math.max(parsedMargin, 0), MAX_MARGIN);
+
+  return { format, size, margin };
+};
+
+/**
+ * Make sure a foreground colour is dark enough to scan against a white background
+ * @param {string} color - Candidate hex colour
+ * @returns {string} - Scannable #RRGGBB colour (falls back to black)
+ */
+const ensureScannableColor = (color) => {
+  if (!color) return DEFAULT_FOREGROUND;
+  const hex = normaliseHexColor(color);
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.6 ? DEFAULT_FOREGROUND : hex;
+};
+
+/**
+ * Build the data encoded in a card's QR code
+ * @param {Object} params - Payload parameters
+ * @param {string} params.baseUrl - Public base URL of this server
+ * @param {string} params.userId - Card owner ID
+ * @param {number|string} params.cardIndex - Card index
+ * @param {Object} params.card - Card data
+ * @param {string} params.payload - 'url' (short link, default), 'direct' (full saveContact URL) or 'vcard' (contact embedded directly)
+ * @returns {Promise<string>} - QR payload
+ */
+const buildCardQrPayload = async ({ baseUrl, userId, cardIndex, card, payload }) => {
+  if (payload === 'vcard') {
+    // Images would blow past QR capacity, so the embedded vCard is text only
+    return buildCardVCard(card, { version: '3.0', includeImages: false });
+  }
+
+  const directUrl = `${baseUrl}/saveContact?userId=${userId}&cardIndex=${cardIndex}`;
+  if (payload === 'direct') {
+    return directUrl;
+  }
+
+  try {
+    const link = await getOrCreateCardShortLink(userId, cardIndex, 'saveContact');
+    return buildShortUrl(baseUrl, link.code);
+  } catch (error) {
+    console.warn('[QRCode] Falling back to direct URL, short link unavailable:', error.message);
+    return directUrl;
+  }
+};
+
+/**
+ * Look up the enterprise card template that applies to a card
+ * @param {string} userId - Card owner ID
+ * @param {Object} card - Card data (may carry templateId)
+ * @returns {Promise<Object|null>} - Template with colorScheme/companyLogo, or null
+ */
+const findCardTemplate = async (userId, card) => {
+  try {
+    if (card.templateId) {
+      const templateDoc = await db.collection('cardTemplates').doc(card.templateId).get();
+      if (templateDoc.exists && templateDoc.data().isActive !== false) {
+        return templateDoc.data();
+      }
+    }
+
+    const userDoc = await db.collection('users').doc(userId).get();
+    const enterpriseRef = userDoc.exists ? userDoc.data().enterpriseRef : null;
+    if (!enterpriseRef) return null;
+
+    const { getEffectiveTemplateForCardCreation } = require('../controllers/cardTemplateController');
+    const template = await getEffectiveTemplateForCardCreation(enterpriseRef.id, card.departmentId || null);
+    return template.source === 'default' ? null : template;
+  } catch (error) {
+    console.warn('[QRCode] Could not resolve card template:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Resolve QR colour and logo for a card from request options
+ * @param {string} userId - Card owner ID
+ * @param {Object} card - Card data
+ * @param {Object} query - Request query
+ * @param {string} query.color - 'card', 'template' or a hex colour (default black)
+ * @param {string} query.logo - 'true' to overlay the company logo
+ * @returns {Promise<{foreground: string, logo: Buffer|null}>}
+ */
+const resolveQrBranding = async (userId, card, query = {}) => {
+  const colorOption = String(query.color || '').trim();
+  const wantsLogo = query.logo === 'true' || query.logo === '1';
+  const needsTemplate = colorOption === 'template' || (wantsLogo && !card.companyLogo);
+  const template = needsTemplate ? await findCardTemplate(userId, card) : null;
+
+  let foreground = DEFAULT_FOREGROUND;
+  if (colorOption === 'card') {
+    foreground = card.colorScheme || DEFAULT_FOREGROUND;
+  } else if (colorOption === 'template') {
+    foreground = (template && template.colorScheme) || card.colorScheme || DEFAULT_FOREGROUND;
+  } else if (/^#?[0-9a-f]{3}([0-9a-f]{3})?$/i.test(colorOption)) {
+    foreground = colorOption.startsWith('#') ? colorOption : `#${colorOption}`;
+  }
+
+  let logo = null;
+  if (wantsLogo) {
+    const logoSource = card.companyLogo || (template && template.companyLogo);
+    const image = await loadImageBuffer(logoSource);
+    logo = image ? image.buffer : null;
+  }
+
+  return { foreground: ensureScannableColor(foreground), logo };
+};
+
+/**
+ * Prepare a logo as a padded PNG tile for the centre of the QR code
+ * @param {Buffer} logoBuffer - Source image
+ * @param {number} tileSize - Tile size in pixels
+ * @param {string} background - Tile background colour
+ * @returns {Promise<Buffer|null>} - PNG tile
+ */
+const buildLogoTile = async (logoBuffer, tileSize, background) => {
+  try {
+    const padding = Math.max(2, Math.round(tileSize * LOGO_PADDING_RATIO));
+    const inner = Math.max(1, tileSize - padding * 2);
+    const logo = await sharp(logoBuffer)
+      .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+
+    return sharp({
+      create: { width: tileSize, height: tileSize, channels: 4, background }
+    })
+      .composite([{ input: logo, left: padding, top: padding }])
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.warn('[QRCode] Could not prepare logo overlay:', error.message);
+    return null;
+  }
+};
+
+const renderPng = async (payload, { size, margin, foreground, background, logo }) => {
+  const qrBuffer = await QRCode.toBuffer(payload, {
+    errorCorrectionLevel: 'H',
+    margin,
+    width: size,
+    color: { dark: foreground, light: background }
+  });
+
+  if (!logo) return qrBuffer;
+
+  const { width } = await sharp(qrBuffer).metadata();
+  const tileSize = Math.round(width * LOGO_SCALE);
+  const tile = await buildLogoTile(logo, tileSize, background);
+  if (!tile) return qrBuffer;
+
+  const offset = Math.round((width - tileSize) / 2);
+  return sharp(qrBuffer)
+    .composite([{ input: tile, left: offset, top: offset }])
+    .png()
+    .toBuffer();
+};
+
+const renderSvg = async (payload, { size, margin, foreground, background, logo }) => {
+  let svg = await QRCode.toString(payload, {
+    type: 'svg',
+    errorCorrectionLevel: 'H',
+    margin,
+    width: size,
+    color: { dark: foreground, light: background }
+  });
+
+  if (!logo) return Buffer.from(svg, 'utf8');
+
+  // Coordinates are in module units from the viewBox, not pixels
+  const viewBoxMatch = svg.match(/viewBox="0 0 (\d+(?:\.\d+)?) (\d+(?:\.\d+)?)"/);
+  if (!viewBoxMatch) return Buffer.from(svg, 'utf8');
+
+  const viewBoxSize = parseFloat(viewBoxMatch[1]);
+  const tilePixels = Math.round(size * LOGO_SCALE);
+  const tile = await buildLogoTile(logo, tilePixels, background);
+  if (!tile) return Buffer.from(svg, 'utf8');
+
+  const tileUnits = viewBoxSize * LOGO_SCALE;
+  const offset = (viewBoxSize - tileUnits) / 2;
+  const image = `<image x="${offset}" y="${offset}" width="${tileUnits}" height="${tileUnits}" href="data:image/png;base64,${tile.toString('base64')}"/>`;
+  svg = svg.replace(/<\/svg>\s*$/, `${image}</svg>`);
+
+  return Buffer.from(svg, 'utf8');
+};
+
+const renderPdf = async (payload, options) => {
+  const png = await renderPng(payload, options);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [options.size, options.size], margin: 0 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.image(png, 0, 0, { width: options.size, height: options.size });
+    doc.end();
+  });
+};
+
+/**
+ * Render a QR code
+ * @param {string} payload - Data to encode
+ * @param {Object} options - Rendering options
+ * @param {string} options.format - png, svg or pdf
+ * @param {number} options.size - Width/height in pixels (points for PDF)
+ * @param {number} options.margin - Quiet zone in modules
+ * @param {string} options.foreground - Dark module colour
+ * @param {string} options.background - Light module colour
+ * @param {Buffer} options.logo - Optional logo to composite in the centre
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+ */
+const renderQrCode = async (payload, options = {}) => {
+  const format = SUPPORTED_FORMATS.includes(options.format) ? options.format : 'png';
+  const renderOptions = {
+    size: options.size || DEFAULT_SIZE,
+    margin: options.margin === undefined ? DEFAULT_MARGIN : options.margin,
+    foreground: ensureScannableColor(options.foreground),
+    background: options.background || DEFAULT_BACKGROUND,
+    logo: options.logo || null
+  };
+
+  const renderers = { png: renderPng, svg: renderSvg, pdf: renderPdf };
+  const buffer = await renderers[format](payload, renderOptions);
+
+  return {
+    buffer,
+    contentType: CONTENT_TYPES[format],
+    extension: format
+  };
+};
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  parseQrOptions,
+  ensureScannableColor,
+  buildCardQrPayload,
+  resolveQrBranding,
+  renderQrCode
+};
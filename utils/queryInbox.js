@@ -0,0 +1,289 @@
+/**
+ * Query inbox
+ *
+ * Messages sent from the public query form (public/queries.html, reached from
+ * a card's `queries` short link or wallet pass barcode) are stored as
+ * `queries/{id}` documents against the card owner, who is emailed about each
+ * one and can reply to the sender or mark it handled from the app.
+ *
+ * Submissions that don't name a card owner (e.g. the TestFlight invite request
+ * on saveContact.html) are stored with userId null and emailed to
+ * PLATFORM_QUERY_EMAIL.
+ */
+
+const { db, admin } = require('../firebase');
+const { sendMailWithStatus, sendNotificationEmail } = require('../public/Utils/emailService');
+
+const QUERIES_COLLECTION = 'queries';
+
+const QUERY_STATUS = {
+  NEW: 'new',
+  REPLIED: 'replied',
+  HANDLED: 'handled'
+};
+
+const MAX_LENGTHS = {
+  name: 100,
+  email: 254,
+  message: 5000,
+  reply: 5000
+};
+
+const PLATFORM_QUERY_EMAIL = process.env.PLATFORM_QUERY_EMAIL || 'xscard@xspark.co.za';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Submitted text goes into HTML emails
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toHtmlParagraphs = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+const toRecord = (doc) => (doc.exists ? { id: doc.id, ...doc.data() } : null);
+
+/**
+ * Check and tidy a submission from the public form
+ * @param {Object} input - name, email, message
+ * @returns {{name: string, email: string, message: string}}
+ * @throws {Error} - status 400 when a field is missing or invalid
+ */
+const validateQuery = ({ name, email, message } = {}) => {
+  const clean = {
+    name: String(name ?? '').trim(),
+    email: String(email ?? '').trim().toLowerCase(),
+    message: String(message ?? '').trim()
+  };
+
+  if (!clean.name || !clean.email || !clean.message) {
+    throw badRequest('Name, email and message are required');
+  }
+  if (!EMAIL_PATTERN.test(clean.email)) {
+    throw badRequest('Please provide a valid email address');
+  }
+  for (const field of ['name', 'email', 'message']) {
+    if (clean[field].length > MAX_LENGTHS[field]) {
+      throw badRequest(`${field} must be at most ${MAX_LENGTHS[field]} characters`);
+    }
+  }
+  return clean;
+};
+
+/**
+ * Store a query from the public form
+ * @param {Object} params - Query parameters
+ * @param {string|null} params.userId - Card owner ID, or null for the platform inbox
+ * @param {number} params.cardIndex - Card the form was opened from
+ * @param {Object} params.query - Validated name, email and message
+ * @param {Object} params.source - page, ipAddress and userAgent of the submission
+ * @returns {Promise<Object>} - Query record
+ */
+const createQuery = async ({ userId = null, cardIndex = 0, query, source = {} }) => {
+  const now = admin.firestore.Timestamp.now();
+  const data = {
+    userId,
+    cardIndex: userId ? (parseInt(cardIndex) || 0) : null,
+    name: query.name,
+    email: query.email,
+    message: query.message,
+    status: QUERY_STATUS.NEW,
+    replies: [],
+    source: {
+      page: source.page || null,
+      ipAddress: source.ipAddress || null,
+      userAgent: source.userAgent || null
+    },
+    createdAt: now,
+    updatedAt: now,
+    handledAt: null
+  };
+
+  const ref = await db.collection(QUERIES_COLLECTION).add(data);
+  return { id: ref.id, ...data };
+};
+
+/**
+ * Fetch a query by ID
+ * @param {string} queryId - Query ID
+ * @returns {Promise<Object|null>} - Query record
+ */
+const getQuery = async (queryId) => {
+  const doc = await db.collection(QUERIES_COLLECTION).doc(String(queryId)).get();
+  return toRecord(doc);
+};
+
+/**
+ * A page of an inbox, newest first
+ * @param {string|null} userId - Card owner ID, or null for the platform inbox
+ * @param {Object} options - status, cardIndex, limit and startAfter (query ID)
+ * @returns {Promise<{queries: Array<Object>, hasMore: boolean, nextCursor: string|null}>}
+ */
+const listQueries = async (userId, { status, cardIndex, limit = 50, startAfter } = {}) => {
+  if (status && !Object.values(QUERY_STATUS).includes(status)) {
+    throw badRequest(`status must be one of: ${Object.values(QUERY_STATUS).join(', ')}`);
+  }
+
+  let query = db.collection(QUERIES_COLLECTION).where('userId', '==', userId);
+  if (status) query = query.where('status', '==', status);
+  if (cardIndex !== undefined) query = query.where('cardIndex', '==', parseInt(cardIndex) || 0);
+  query = query.orderBy('createdAt', 'desc');
+
+  if (startAfter) {
+    const cursorDoc = await db.collection(QUERIES_COLLECTION).doc(String(startAfter)).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(limit + 1).get();
+  const queries = snapshot.docs.slice(0, limit).map(toRecord);
+  return {
+    queries,
+    hasMore: snapshot.docs.length > limit,
+    nextCursor: snapshot.docs.length > limit ? queries[queries.length - 1].id : null
+  };
+};
+
+/**
+ * Mark a query handled, or back to new
+ * @param {string} queryId - Query ID
+ * @param {string} status - QUERY_STATUS.HANDLED or QUERY_STATUS.NEW
+ * @param {string} updatedBy - User making the change
+ * @returns {Promise<Object>} - Updated query record
+ */
+const setQueryStatus = async (queryId, status, updatedBy) => {
+  if (![QUERY_STATUS.HANDLED, QUERY_STATUS.NEW].includes(status)) {
+    throw badRequest(`status must be ${QUERY_STATUS.HANDLED} or ${QUERY_STATUS.NEW}`);
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  const ref = db.collection(QUERIES_COLLECTION).doc(String(queryId));
+  await ref.update({
+    status,
+    handledAt: status === QUERY_STATUS.HANDLED ? now : null,
+    handledBy: status === QUERY_STATUS.HANDLED ? updatedBy : null,
+    updatedAt: now
+  });
+  return toRecord(await ref.get());
+};
+
+/**
+ * Tell the inbox owner about a new query. Card owners get it as a teamUpdates
+ * notification (so it follows their email preferences); platform queries go
+ * to PLATFORM_QUERY_EMAIL.
+ * @param {Object} query - Query record
+ * @param {Object|null} owner - Card owner's users data, or null for the platform inbox
+ * @returns {Promise<Object>} - Send result
+ */
+const notifyQueryReceived = async (query, owner) => {
+  const details = `
+    <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 10px 0;">
+      <p><strong>From:</strong> ${escapeHtml(query.name)} (${escapeHtml(query.email)})</p>
+      <p>${toHtmlParagraphs(query.message)}</p>
+    </div>`;
+
+  if (!owner) {
+    return sendMailWithStatus({
+      to: PLATFORM_QUERY_EMAIL,
+      replyTo: query.email,
+      subject: `New query from ${query.name}`,
+      html: `<h2>New Query</h2>${details}<p style="color: #666; font-size: 12px;">Query ID: ${query.id}</p>`
+    });
+  }
+
+  if (!owner.email) {
+    return { success: false, error: 'Card owner has no email address' };
+  }
+
+  return sendNotificationEmail(query.userId, 'teamUpdates', {
+    to: owner.email,
+    subject: `New query from ${query.name}`,
+    html: `
+      <h2>You Have a New Query</h2>
+      <p>Someone who viewed your XS Card has sent you a message:</p>
+      ${details}
+      <p>You can reply to them from the XS Card app.</p>
+      <p style="color: #666; font-size: 12px;">This is an automated notification from your XS Card application.</p>
+    `
+  });
+};
+
+/**
+ * Email a reply to the person who sent a query and record it on the query.
+ * Replies carry the sender's email signature and come back to their address.
+ * @param {Object} query - Query record
+ * @param {Object} params - Reply parameters
+ * @param {string} params.message - Reply text
+ * @param {string} params.repliedBy - User replying
+ * @param {Object} params.sender - Replying user's users data (name, surname, email)
+ * @returns {Promise<{query: Object, messageId: string}>}
+ * @throws {Error} - status 400 for an empty or long reply, 502 when the email can't be sent
+ */
+const replyToQuery = async (query, { message, repliedBy, sender = {} }) => {
+  const text = String(message ?? '').trim();
+  if (!text) {
+    throw badRequest('Reply message is required');
+  }
+  if (text.length > MAX_LENGTHS.reply) {
+    throw badRequest(`Reply must be at most ${MAX_LENGTHS.reply} characters`);
+  }
+
+  const senderName = [sender.name, sender.surname].filter(Boolean).join(' ') || 'XS Card';
+  const mailResult = await sendMailWithStatus({
+    to: query.email,
+    ...(sender.email && { replyTo: sender.email }),
+    subject: 'Re: Your query',
+    html: `
+      <p>Hi ${escapeHtml(query.name)},</p>
+      <p>${toHtmlParagraphs(text)}</p>
+      <p>${escapeHtml(senderName)}</p>
+      <div style="border-left: 3px solid #ddd; padding-left: 10px; margin-top: 20px; color: #666;">
+        <p><strong>Your message:</strong></p>
+        <p>${toHtmlParagraphs(query.message)}</p>
+      </div>
+    `
+  }, repliedBy);
+
+  if (!mailResult.success) {
+    const error = new Error(`Failed to send reply: ${mailResult.error}`);
+    error.status = 502;
+    throw error;
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  const reply = {
+    message: text,
+    repliedBy,
+    messageId: mailResult.messageId || null,
+    sentAt: now
+  };
+  const ref = db.collection(QUERIES_COLLECTION).doc(query.id);
+  await ref.update({
+    replies: admin.firestore.FieldValue.arrayUnion(reply),
+    status: query.status === QUERY_STATUS.HANDLED ? QUERY_STATUS.HANDLED : QUERY_STATUS.REPLIED,
+    lastRepliedAt: now,
+    updatedAt: now
+  });
+
+  return { query: toRecord(await ref.get()), messageId: reply.messageId };
+};
+
+module.exports = {
+  QUERIES_COLLECTION,
+  QUERY_STATUS,
+  MAX_LENGTHS,
+  validateQuery,
+  createQuery,
+  getQuery,
+  listQueries,
+  setQueryStatus,
+  notifyQueryReceived,
+  replyToQuery
+};
@@ -0,0 +1,75 @@
+/**
+ * Rate limit buckets
+ *
+ * Counters live in Redis (RATE_LIMIT_BACKEND=redis, the default) so every
+ * instance shares the same limits. While Redis is unreachable, or with
+ * RATE_LIMIT_BACKEND=memory, an in-process store counts instead.
+ */
+
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+const RedisRateLimitStore = require('./redisRateLimitStore');
+
+let memoryStore = null;
+let sharedStore;
+
+const getMemoryStore = () => {
+  if (!memoryStore) memoryStore = new MemoryRateLimitStore();
+  return memoryStore;
+};
+
+const getSharedStore = () => {
+  if (sharedStore !== undefined) return sharedStore;
+
+  const backend = (process.env.RATE_LIMIT_BACKEND || 'redis').toLowerCase();
+  if (backend !== 'redis' && backend !== 'memory') {
+    console.warn(`[RateLimit] Unknown backend '${backend}', using memory. Supported: redis, memory`);
+  }
+  sharedStore = backend === 'redis' ? new RedisRateLimitStore() : null;
+  return sharedStore;
+};
+
+const withStore = async (operation) => {
+  const shared = getSharedStore();
+  if (shared && shared.isReady()) {
+    try {
+      return await operation(shared);
+    } catch (error) {
+      console.error('[RateLimit] Redis command failed, using in-memory limits:', error.message);
+    }
+  }
+  return operation(getMemoryStore());
+};
+
+/**
+ * Count a request against a bucket
+ * @param {string} key - Bucket key (e.g. signIn:ip:203.0.113.7)
+ * @param {Object} limit - Limit
+ * @param {number} limit.max - Requests allowed per window
+ * @param {number} limit.windowMs - Window length
+ * @returns {Promise<{allowed: boolean, count: number, limit: number, remaining: number, resetAt: number, retryAfter: number}>}
+ *   retryAfter is in seconds
+ */
+const consume = async (key, { max, windowMs }) => {
+  const { count, resetAt } = await withStore(store => store.hit(key, windowMs));
+  return {
+    allowed: count <= max,
+    count,
+    limit: max,
+    remaining: Math.max(max - count, 0),
+    resetAt,
+    retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)
+  };
+};
+
+/**
+ * Clear a bucket (e.g. failed sign-ins after a successful one)
+ * @param {string} key - Bucket key
+ */
+const reset = (key) => withStore(store => store.reset(key));
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  consume,
+  reset
+};
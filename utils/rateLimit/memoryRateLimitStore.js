@@ -0,0 +1,60 @@
+/**
+ * In-process fixed-window counters backed by a Map.
+ *
+ * Used when RATE_LIMIT_BACKEND=memory and as the fallback while Redis is
+ * unreachable. Counts are per instance, so limits are looser behind a load
+ * balancer.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+
+    // Drop expired windows so one-off keys (IPs, emails) don't accumulate
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Count one request in the key's current window
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{count: number, resetAt: number}>}
+   */
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+    bucket.count++;
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+
+  /**
+   * @param {string} key - Bucket key
+   * @returns {Promise<{count: number, resetAt: number}|null>} - null when no window is open
+   */
+  async get(key) {
+    const bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= Date.now()) return null;
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,87 @@
+/**
+ * Fixed-window counters shared by every instance, in the Redis Bull uses.
+ *
+ * Each bucket is `<prefix><key>`: SET NX starts the window with its expiry,
+ * INCR counts the request, and the key expires when the window ends.
+ */
+
+const Redis = require('ioredis');
+
+const DEFAULT_PREFIX = 'xscard:rateLimit:';
+
+// A limiter must never hold a request up: fail fast so the caller falls back to memory
+const connectionOptions = () => ({
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT || '6379'),
+  ...(process.env.REDIS_PASSWORD && { password: process.env.REDIS_PASSWORD }),
+  maxRetriesPerRequest: 1,
+  enableOfflineQueue: false,
+  retryStrategy: (times) => Math.min(times * 500, 10000)
+});
+
+class RedisRateLimitStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.prefix - Key prefix
+   * @param {Object} options.redisOptions - Extra ioredis options
+   */
+  constructor({ prefix = process.env.RATE_LIMIT_REDIS_PREFIX || DEFAULT_PREFIX, redisOptions = {} } = {}) {
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = new Redis({ ...connectionOptions(), ...redisOptions });
+    this.errorLogged = false;
+
+    // Log once per outage rather than on every reconnect attempt
+    this.client.on('error', (error) => {
+      if (this.errorLogged) return;
+      this.errorLogged = true;
+      console.error('[RateLimit] Redis unavailable, using in-memory limits:', error.message);
+    });
+    this.client.on('ready', () => {
+      if (this.errorLogged) console.log('[RateLimit] Redis connection restored');
+      this.errorLogged = false;
+    });
+  }
+
+  isReady() {
+    return this.client.status === 'ready';
+  }
+
+  bucketKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async hit(key, windowMs) {
+    const bucketKey = this.bucketKey(key);
+    const results = await this.client.multi()
+      .set(bucketKey, 0, 'PX', windowMs, 'NX')
+      .incr(bucketKey)
+      .pttl(bucketKey)
+      .exec();
+
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+
+    const count = results[1][1];
+    const ttl = results[2][1];
+    return { count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+  }
+
+  async get(key) {
+    const bucketKey = this.bucketKey(key);
+    const [[getError, raw], [ttlError, ttl]] = await this.client.multi().get(bucketKey).pttl(bucketKey).exec();
+    if (getError || ttlError) throw getError || ttlError;
+    if (raw === null || ttl <= 0) return null;
+    return { count: parseInt(raw), resetAt: Date.now() + ttl };
+  }
+
+  async reset(key) {
+    await this.client.del(this.bucketKey(key));
+  }
+
+  async close() {
+    await this.client.quit().catch(() => {});
+  }
+}
+
+module.exports = RedisRateLimitStore;
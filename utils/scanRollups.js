@@ -0,0 +1,514 @@
+/**
+ * Scan rollups: counters kept up to date as scans are recorded, so analytics
+ * never read the scan activity logs.
+ *
+ * Each `scanRollups/{scope}:{key}:{date}` document counts one UTC day of scans
+ * for a card, a user, a department or an enterprise: a total, the total per
+ * hour of the day, and totals per scanType, country and device. Department and
+ * enterprise rollups follow the card owner's membership at the time of the scan.
+ *
+ * `cardScanTotals/{userId}:{cardIndex}` holds each card's lifetime count. Cards
+ * still carry the scanCount they had before rollups existed; withScanCounts
+ * adds the two together.
+ */
+
+const { db, admin } = require('../firebase');
+const { getLocationFromIp } = require('../locationService');
+
+const ROLLUPS_COLLECTION = 'scanRollups';
+const TOTALS_COLLECTION = 'cardScanTotals';
+
+const ROLLUP_SCOPES = {
+  CARD: 'card',
+  USER: 'user',
+  DEPARTMENT: 'department',
+  ENTERPRISE: 'enterprise'
+};
+
+// Longest range each bucket size may cover, in days
+const BUCKETS = {
+  hour: { maxDays: 31 },
+  day: { maxDays: 366 },
+  week: { maxDays: 3 * 366 }
+};
+
+const BREAKDOWNS = ['scanTypes', 'countries', 'devices'];
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Client timestamps further from now than this are replaced by the server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_SCAN_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const COUNTRY_LOOKUP_TIMEOUT_MS = 1500;
+
+// Country set by the CDN or load balancer in front of us
+const COUNTRY_HEADERS = ['cf-ipcountry', 'cloudfront-viewer-country', 'x-vercel-ip-country', 'x-country-code'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 400;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Rollup key for a scope
+ * @param {string} scope - ROLLUP_SCOPES value
+ * @param {Object} ids - userId, cardIndex, departmentId, enterpriseId as the scope needs
+ * @returns {string}
+ */
+const rollupKey = (scope, { userId, cardIndex, departmentId, enterpriseId } = {}) => {
+  switch (scope) {
+    case ROLLUP_SCOPES.CARD:
+      return `${userId}:${parseInt(cardIndex) || 0}`;
+    case ROLLUP_SCOPES.USER:
+      return userId;
+    case ROLLUP_SCOPES.DEPARTMENT:
+      return `${enterpriseId}:${departmentId}`;
+    case ROLLUP_SCOPES.ENTERPRISE:
+      return enterpriseId;
+    default:
+      throw new Error(`Unknown scan rollup scope '${scope}'`);
+  }
+};
+
+const rollupRef = (scope, key, date) => db.collection(ROLLUPS_COLLECTION).doc(`${scope}:${key}:${date}`);
+
+const totalsRef = (userId, cardIndex) => db.collection(TOTALS_COLLECTION).doc(`${userId}:${parseInt(cardIndex) || 0}`);
+
+// Counter map keys come from clients: keep them short and field-path safe
+const toCounterKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 32) || 'unknown';
+
+/**
+ * Device family from a user agent
+ * @param {string} userAgent - User agent header
+ * @returns {string} - ios, android, desktop, other or unknown
+ */
+const detectDevice = (userAgent) => {
+  if (!userAgent) return 'unknown';
+  if (/iphone|ipad|ipod/i.test(userAgent)) return 'ios';
+  if (/android/i.test(userAgent)) return 'android';
+  if (/windows|macintosh|mac os x|cros|linux/i.test(userAgent)) return 'desktop';
+  return 'other';
+};
+
+/**
+ * Two-letter country code from the CDN headers, if any
+ * @param {Object} headers - Request headers
+ * @returns {string|null}
+ */
+const countryFromHeaders = (headers = {}) => {
+  for (const header of COUNTRY_HEADERS) {
+    const value = String(headers[header] || '').toUpperCase();
+    if (/^[A-Z]{2}$/.test(value) && value !== 'XX') return value;
+  }
+  return null;
+};
+
+// Fall back to an IP lookup (cached by locationService), but never hold up a scan for long
+const resolveCountry = async (country, ipAddress) => {
+  if (country) return country;
+  if (!ipAddress) return 'unknown';
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), COUNTRY_LOOKUP_TIMEOUT_MS);
+  });
+  try {
+    const location = await Promise.race([getLocationFromIp(ipAddress), timeout]);
+    return location?.countryCode ? String(location.countryCode).toUpperCase() : 'unknown';
+  } catch (error) {
+    return 'unknown';
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Trust a client timestamp only if it is plausible
+const scanTime = (timestamp) => {
+  const now = Date.now();
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  if (isNaN(time) || time > now + MAX_CLOCK_SKEW_MS || time < now - MAX_SCAN_AGE_MS) {
+    return new Date(now);
+  }
+  return new Date(time);
+};
+
+// Department from the user's departmentRef, or the path of their employeeRef
+const membershipOf = (userData = {}) => ({
+  enterpriseId: userData.enterpriseRef?.id || null,
+  departmentId: userData.departmentRef?.id || userData.employeeRef?.path?.split('/')[3] || null
+});
+
+/**
+ * Add the rollup increments for some scans to a batch
+ * @param {Object} batch - Firestore write batch
+ * @param {Object} scan - userId, cardIndex, enterpriseId, departmentId, date (YYYY-MM-DD), hour (00-23), scanType, country, device
+ * @param {number} count - Scans to add
+ */
+const addRollupWrites = (batch, scan, count = 1) => {
+  const increment = admin.firestore.FieldValue.increment(count);
+  const ids = {
+    userId: scan.userId,
+    cardIndex: parseInt(scan.cardIndex) || 0,
+    enterpriseId: scan.enterpriseId || null,
+    departmentId: scan.departmentId || null
+  };
+  const counters = {
+    total: increment,
+    hours: { [scan.hour]: increment },
+    scanTypes: { [toCounterKey(scan.scanType)]: increment },
+    countries: { [scan.country || 'unknown']: increment },
+    devices: { [scan.device || 'unknown']: increment },
+    updatedAt: admin.firestore.Timestamp.now()
+  };
+
+  const scopes = [
+    { scope: ROLLUP_SCOPES.CARD, fields: ids },
+    { scope: ROLLUP_SCOPES.USER, fields: { userId: ids.userId, enterpriseId: ids.enterpriseId, departmentId: ids.departmentId } },
+    ids.enterpriseId && ids.departmentId && {
+      scope: ROLLUP_SCOPES.DEPARTMENT,
+      fields: { enterpriseId: ids.enterpriseId, departmentId: ids.departmentId }
+    },
+    ids.enterpriseId && { scope: ROLLUP_SCOPES.ENTERPRISE, fields: { enterpriseId: ids.enterpriseId } }
+  ].filter(Boolean);
+
+  for (const { scope, fields } of scopes) {
+    const key = rollupKey(scope, ids);
+    batch.set(rollupRef(scope, key, scan.date), {
+      scope,
+      key,
+      date: scan.date,
+      ...fields,
+      ...counters
+    }, { merge: true });
+  }
+};
+
+/**
+ * Count a scan in every rollup it belongs to and in the card's lifetime total
+ * @param {Object} scan - Scan data
+ * @param {string} scan.userId - Card owner ID
+ * @param {number} scan.cardIndex - Card index
+ * @param {string} scan.scanType - save, exchange, link...
+ * @param {number} scan.timestamp - Client timestamp in ms (optional)
+ * @param {string} scan.country - Country code from countryFromHeaders (optional)
+ * @param {string} scan.ipAddress - Used to look the country up when it isn't given
+ * @param {string} scan.userAgent - Request user agent
+ * @param {Object} scan.userData - Card owner's users data
+ * @returns {Promise<{scannedAt: Date, country: string, device: string}>}
+ */
+const recordScanRollups = async ({ userId, cardIndex, scanType, timestamp, country, ipAddress, userAgent, userData }) => {
+  const scannedAt = scanTime(timestamp);
+  const iso = scannedAt.toISOString();
+  const resolvedCountry = await resolveCountry(country, ipAddress);
+  const device = detectDevice(userAgent);
+
+  const batch = db.batch();
+  addRollupWrites(batch, {
+    userId,
+    cardIndex,
+    ...membershipOf(userData),
+    date: iso.slice(0, 10),
+    hour: iso.slice(11, 13),
+    scanType,
+    country: resolvedCountry,
+    device
+  });
+  batch.set(totalsRef(userId, cardIndex), {
+    userId,
+    cardIndex: parseInt(cardIndex) || 0,
+    scanCount: admin.firestore.FieldValue.increment(1),
+    lastScannedAt: admin.firestore.Timestamp.fromDate(scannedAt)
+  }, { merge: true });
+  await batch.commit();
+
+  return { scannedAt, country: resolvedCountry, device };
+};
+
+/**
+ * Cards with their lifetime scanCount and lastScanned (pre-rollup count plus rollup total)
+ * @param {string} userId - Card owner ID
+ * @param {Array<Object>} cards - The user's cards array
+ * @returns {Promise<Array<Object>>}
+ */
+const withScanCounts = async (userId, cards = []) => {
+  const snapshot = await db.collection(TOTALS_COLLECTION).where('userId', '==', userId).get();
+  const totals = new Map(snapshot.docs.map(doc => [doc.data().cardIndex, doc.data()]));
+
+  return cards.map((card, cardIndex) => {
+    const total = totals.get(cardIndex);
+    if (!total) return card;
+
+    const previous = card.lastScanned?.toDate ? card.lastScanned.toDate() : null;
+    const latest = total.lastScannedAt?.toDate ? total.lastScannedAt.toDate() : null;
+    return {
+      ...card,
+      scanCount: (card.scanCount || 0) + (total.scanCount || 0),
+      lastScanned: latest && (!previous || latest > previous) ? total.lastScannedAt : card.lastScanned
+    };
+  });
+};
+
+const commitInBatches = async (operations) => {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    operations.slice(i, i + BATCH_SIZE).forEach(operation => operation(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Keep card rollups attached to the same card after a card is removed from the
+ * cards array: the deleted card's rollups are removed and later cards' move
+ * down one index. User, department and enterprise rollups are unaffected.
+ * @param {string} userId - Card owner ID
+ * @param {number} deletedIndex - Index of the deleted card
+ * @returns {Promise<{deleted: number, moved: number}>}
+ */
+const reindexScanRollupsAfterCardDelete = async (userId, deletedIndex) => {
+  const [rollupSnapshot, totalsSnapshot] = await Promise.all([
+    db.collection(ROLLUPS_COLLECTION)
+      .where('scope', '==', ROLLUP_SCOPES.CARD)
+      .where('userId', '==', userId)
+      .get(),
+    db.collection(TOTALS_COLLECTION).where('userId', '==', userId).get()
+  ]);
+
+  const docs = [...rollupSnapshot.docs, ...totalsSnapshot.docs];
+  const removed = docs.filter(doc => doc.data().cardIndex === deletedIndex);
+  await commitInBatches(removed.map(doc => batch => batch.delete(doc.ref)));
+
+  // Lowest index first, so each move goes to an ID the previous step has freed
+  const later = docs
+    .filter(doc => doc.data().cardIndex > deletedIndex)
+    .sort((a, b) => a.data().cardIndex - b.data().cardIndex);
+
+  const byIndex = new Map();
+  later.forEach(doc => {
+    const index = doc.data().cardIndex;
+    byIndex.set(index, [...(byIndex.get(index) || []), doc]);
+  });
+
+  for (const [index, indexDocs] of byIndex) {
+    await commitInBatches(indexDocs.flatMap(doc => {
+      const data = doc.data();
+      const target = doc.ref.parent.id === TOTALS_COLLECTION
+        ? totalsRef(userId, index - 1)
+        : rollupRef(ROLLUP_SCOPES.CARD, rollupKey(ROLLUP_SCOPES.CARD, { userId, cardIndex: index - 1 }), data.date);
+      const moved = doc.ref.parent.id === TOTALS_COLLECTION
+        ? { ...data, cardIndex: index - 1 }
+        : { ...data, cardIndex: index - 1, key: rollupKey(ROLLUP_SCOPES.CARD, { userId, cardIndex: index - 1 }) };
+      return [batch => batch.set(target, moved), batch => batch.delete(doc.ref)];
+    }));
+  }
+
+  return { deleted: removed.length, moved: later.length };
+};
+
+const toDate = (value) => {
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return isNaN(date) ? null : date;
+};
+
+const dateKey = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+/**
+ * UTC days covered by a request, inclusive
+ * @param {Object} query - from, to (YYYY-MM-DD or ISO dates; default the last 30 days) and bucket
+ * @returns {{from: Date, to: Date, days: number, bucket: string}}
+ * @throws {Error} - status 400 for bad dates, an unknown bucket or too long a range
+ */
+const parseRange = ({ from, to, bucket = 'day' } = {}) => {
+  if (!BUCKETS[bucket]) {
+    throw badRequest(`bucket must be one of: ${Object.keys(BUCKETS).join(', ')}`);
+  }
+
+  const end = to ? toDate(to) : new Date();
+  if (!end) throw badRequest('to must be a date (YYYY-MM-DD)');
+  const endDay = new Date(`${dateKey(end)}T00:00:00Z`);
+
+  const start = from ? toDate(from) : addDays(endDay, -(DEFAULT_RANGE_DAYS - 1));
+  if (!start) throw badRequest('from must be a date (YYYY-MM-DD)');
+  const startDay = new Date(`${dateKey(start)}T00:00:00Z`);
+
+  if (startDay > endDay) throw badRequest('from must not be after to');
+
+  const days = Math.round((endDay - startDay) / DAY) + 1;
+  if (days > BUCKETS[bucket].maxDays) {
+    throw badRequest(`${bucket} buckets cover at most ${BUCKETS[bucket].maxDays} days`);
+  }
+
+  return { from: startDay, to: endDay, days, bucket };
+};
+
+// Rollup documents of one scope key, or of every key of a scope in an enterprise
+const loadRollups = async ({ scope, key, enterpriseId }, from, to) => {
+  let query = db.collection(ROLLUPS_COLLECTION);
+  query = key
+    ? query.where('key', '==', key)
+    : query.where('scope', '==', scope).where('enterpriseId', '==', enterpriseId);
+  const snapshot = await query
+    .where('date', '>=', dateKey(from))
+    .where('date', '<=', dateKey(to))
+    .get();
+  return snapshot.docs.map(doc => doc.data()).filter(rollup => rollup.scope === scope);
+};
+
+// Monday (UTC) of the week a day falls in
+const weekStart = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+
+const bucketStarts = ({ from, to, bucket }) => {
+  const starts = [];
+  if (bucket === 'hour') {
+    for (let time = from.getTime(); time < addDays(to, 1).getTime(); time += 60 * 60 * 1000) {
+      starts.push(new Date(time));
+    }
+  } else {
+    const step = bucket === 'week' ? 7 : 1;
+    for (let day = bucket === 'week' ? weekStart(from) : from; day <= to; day = addDays(day, step)) {
+      starts.push(day);
+    }
+  }
+  return starts;
+};
+
+const sumCounters = (rollups, field) => {
+  const totals = {};
+  rollups.forEach(rollup => {
+    Object.entries(rollup[field] || {}).forEach(([name, count]) => {
+      totals[name] = (totals[name] || 0) + count;
+    });
+  });
+  return totals;
+};
+
+const summarize = (rollups) => ({
+  total: rollups.reduce((sum, rollup) => sum + (rollup.total || 0), 0),
+  ...Object.fromEntries(BREAKDOWNS.map(field => [field, sumCounters(rollups, field)]))
+});
+
+const buildSeries = (rollups, range) => {
+  const counts = new Map(bucketStarts(range).map(start => [start.toISOString(), 0]));
+
+  rollups.forEach(rollup => {
+    const day = new Date(`${rollup.date}T00:00:00Z`);
+    if (range.bucket === 'hour') {
+      Object.entries(rollup.hours || {}).forEach(([hour, count]) => {
+        const start = new Date(day.getTime() + parseInt(hour, 10) * 60 * 60 * 1000).toISOString();
+        if (counts.has(start)) counts.set(start, counts.get(start) + count);
+      });
+    } else {
+      const start = (range.bucket === 'week' ? weekStart(day) : day).toISOString();
+      if (counts.has(start)) counts.set(start, counts.get(start) + (rollup.total || 0));
+    }
+  });
+
+  return [...counts].map(([start, total]) => ({ start, total }));
+};
+
+const percentChange = (current, previous) =>
+  (previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null);
+
+/**
+ * Scan analytics for one card, user, department or enterprise
+ * @param {string} scope - ROLLUP_SCOPES value
+ * @param {Object} ids - IDs the scope needs (see rollupKey)
+ * @param {Object} options - from, to, bucket (hour, day or week) and compare
+ * @returns {Promise<Object>} - Totals, breakdowns, a bucketed series and, with compare, the previous period of the same length
+ */
+const getScanAnalytics = async (scope, ids, { from, to, bucket = 'day', compare = true } = {}) => {
+  const range = parseRange({ from, to, bucket });
+  const key = rollupKey(scope, ids);
+
+  const rollups = await loadRollups({ scope, key }, range.from, range.to);
+  const current = summarize(rollups);
+
+  const result = {
+    scope,
+    ...ids,
+    bucket,
+    range: { from: dateKey(range.from), to: dateKey(range.to), days: range.days },
+    ...current,
+    series: buildSeries(rollups, range)
+  };
+
+  if (compare) {
+    const previousRange = { from: addDays(range.from, -range.days), to: addDays(range.from, -1) };
+    const previous = summarize(await loadRollups({ scope, key }, previousRange.from, previousRange.to));
+    result.previous = {
+      range: { from: dateKey(previousRange.from), to: dateKey(previousRange.to), days: range.days },
+      ...previous
+    };
+    result.change = {
+      total: current.total - previous.total,
+      percent: percentChange(current.total, previous.total)
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Users or departments of an enterprise ranked by scans over a range
+ * @param {string} scope - ROLLUP_SCOPES.USER or ROLLUP_SCOPES.DEPARTMENT
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {Object} options - from, to and limit
+ * @returns {Promise<Array<Object>>} - { userId | departmentId, total, scanTypes }
+ */
+const rankWithinEnterprise = async (scope, enterpriseId, { from, to, limit = 10 } = {}) => {
+  const range = parseRange({ from, to });
+  const idField = scope === ROLLUP_SCOPES.USER ? 'userId' : 'departmentId';
+  const rollups = await loadRollups({ scope, enterpriseId }, range.from, range.to);
+
+  const grouped = new Map();
+  rollups.forEach(rollup => {
+    const id = rollup[idField];
+    grouped.set(id, [...(grouped.get(id) || []), rollup]);
+  });
+
+  return [...grouped]
+    .map(([id, idRollups]) => {
+      const { total, scanTypes } = summarize(idRollups);
+      return { [idField]: id, total, scanTypes };
+    })
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+};
+
+/**
+ * Total scans of one rollup key over whole UTC days
+ * @param {string} scope - ROLLUP_SCOPES value
+ * @param {Object} ids - IDs the scope needs (see rollupKey)
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<number>}
+ */
+const countScans = async (scope, ids, from, to) => {
+  const rollups = await loadRollups({ scope, key: rollupKey(scope, ids) }, from, to);
+  return rollups.reduce((sum, rollup) => sum + (rollup.total || 0), 0);
+};
+
+module.exports = {
+  ROLLUPS_COLLECTION,
+  TOTALS_COLLECTION,
+  ROLLUP_SCOPES,
+  BUCKETS,
+  rollupKey,
+  detectDevice,
+  countryFromHeaders,
+  membershipOf,
+  addRollupWrites,
+  recordScanRollups,
+  withScanCounts,
+  reindexScanRollupsAfterCardDelete,
+  parseRange,
+  getScanAnalytics,
+  rankWithinEnterprise,
+  countScans
+};
@@ -0,0 +1,70 @@
+const { db } = require('../firebase');
+const { logActivity } = require('./logger');
+const { membershipOf, recordScanRollups } = require('./scanRollups');
+
+/**
+ * Record a card scan: writes the scan activity log and counts the scan in the
+ * card, user, department and enterprise rollups (utils/scanRollups).
+ * Shared by POST /track-scan and the /c/:code short-link redirect.
+ * @param {Object} scan - Scan data
+ * @param {string} scan.userId - Card owner ID
+ * @param {number} scan.cardIndex - Card index
+ * @param {string} scan.scanType - save, exchange, link...
+ * @param {string} scan.sessionId - Client session ID (optional)
+ * @param {number} scan.timestamp - Client timestamp in ms (optional)
+ * @param {string} scan.userAgent - Request user agent
+ * @param {string} scan.ipAddress - Request IP address
+ * @param {string} scan.country - Country code from the request headers (optional)
+ * @param {Object} scan.details - Extra log details (optional)
+ * @returns {Promise<{cardIndex: number}>}
+ */
+const trackCardScan = async ({ userId, cardIndex, scanType, sessionId, timestamp, userAgent, ipAddress, country, details = {} }) => {
+  const targetCardIndex = parseInt(cardIndex) || 0;
+  const scannedAt = timestamp ? new Date(timestamp) : new Date();
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  const userData = userDoc.exists ? userDoc.data() : {};
+  const { enterpriseId, departmentId } = membershipOf(userData);
+
+  // Log the scan activity
+  await logActivity({
+    action: 'scan',
+    resource: 'CARD',
+    userId: userId,
+    resourceId: userId,
+    ...(enterpriseId && { enterpriseId }),
+    ...(departmentId && { departmentId }),
+    details: {
+      ...details,
+      scanType: scanType,
+      cardIndex: targetCardIndex,
+      sessionId: sessionId,
+      timestamp: scannedAt.toISOString(),
+      userAgent: userAgent,
+      ipAddress: ipAddress
+    }
+  });
+
+  // Counters are increments, so concurrent scans of the same card don't conflict
+  try {
+    await recordScanRollups({
+      userId,
+      cardIndex: targetCardIndex,
+      scanType,
+      timestamp,
+      country,
+      ipAddress,
+      userAgent,
+      userData
+    });
+  } catch (rollupError) {
+    console.error('❌ Error updating scan rollups:', rollupError);
+    // Don't fail the scan tracking if the rollups can't be updated
+  }
+
+  return { cardIndex: targetCardIndex };
+};
+
+module.exports = {
+  trackCardScan
+};
@@ -0,0 +1,345 @@
+/**
+ * SCIM 2.0 (RFC 7643/7644) helpers: schemas, bearer tokens, filters, resource
+ * mapping and PATCH interpretation.
+ *
+ * Users map onto `users` documents plus the department `employees` document.
+ * Groups map onto departments (id = departmentId) and teams (id = departmentId:teamId).
+ */
+
+const crypto = require('crypto');
+
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType'
+};
+
+const SCIM_TOKENS_COLLECTION = 'scimTokens';
+const TOKEN_PREFIX = 'xscim_';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * SCIM error with status and optional scimType, rendered by toScimErrorBody
+ */
+class ScimError extends Error {
+  constructor(status, detail, scimType = null) {
+    super(detail);
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+const toScimErrorBody = (error) => ({
+  schemas: [SCHEMAS.ERROR],
+  status: String(error.status || 500),
+  ...(error.scimType && { scimType: error.scimType }),
+  detail: error.message
+});
+
+/**
+ * Generate a new bearer token; only its hash is stored
+ * @returns {{token: string, tokenHash: string, lastFour: string}}
+ */
+const generateScimToken = () => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashScimToken(token), lastFour: token.slice(-4) };
+};
+
+const hashScimToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Parse the simple filters identity providers send (attr eq "value")
+ * @param {string} filter - SCIM filter expression
+ * @param {string[]} supported - Attributes that may be filtered on
+ * @returns {{attribute: string, value: string}|null}
+ */
+const parseFilter = (filter, supported) => {
+  if (!filter) return null;
+  const match = String(filter).trim().match(/^([\w.:]+)\s+eq\s+"((?:[^"\\]|\\.)*)"$/i);
+  if (!match) {
+    throw new ScimError(400, `Unsupported filter '${filter}'. Only 'attribute eq "value"' is supported`, 'invalidFilter');
+  }
+  const attribute = supported.find(name => name.toLowerCase() === match[1].toLowerCase());
+  if (!attribute) {
+    throw new ScimError(400, `Filtering on '${match[1]}' is not supported. Supported: ${supported.join(', ')}`, 'invalidFilter');
+  }
+  return { attribute, value: match[2].replace(/\\(.)/g, '$1') };
+};
+
+/**
+ * @param {Object} query - Request query (startIndex, count)
+ * @returns {{startIndex: number, count: number}}
+ */
+const parsePagination = (query) => ({
+  startIndex: Math.max(parseInt(query.startIndex, 10) || 1, 1),
+  count: Math.min(Math.max(parseInt(query.count, 10) || DEFAULT_PAGE_SIZE, 0), MAX_PAGE_SIZE)
+});
+
+/**
+ * @param {Object[]} resources - Resources on this page
+ * @param {number} totalResults - Number of matching resources
+ * @param {number} startIndex - 1-based index of the first resource
+ * @returns {Object} - ListResponse
+ */
+const toListResponse = (resources, totalResults, startIndex) => ({
+  schemas: [SCHEMAS.LIST_RESPONSE],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources
+});
+
+const toIso = (value) => {
+  if (!value) return undefined;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Render a user (and their employee record) as a SCIM User
+ * @param {string} userId - User ID
+ * @param {Object} userData - users document
+ * @param {Object|null} employee - { data, departmentName } for the user's employee record
+ * @param {string} baseUrl - SCIM base URL for meta.location
+ * @returns {Object}
+ */
+const toScimUser = (userId, userData, employee, baseUrl) => {
+  const employeeData = employee ? employee.data : {};
+  const givenName = userData.name || employeeData.name || '';
+  const familyName = userData.surname || employeeData.surname || '';
+  const phone = userData.phone || employeeData.phone;
+  const title = employeeData.position || userData.title;
+
+  return {
+    schemas: [SCHEMAS.USER, SCHEMAS.ENTERPRISE_USER],
+    id: userId,
+    ...(userData.scimExternalId && { externalId: userData.scimExternalId }),
+    userName: userData.email,
+    name: {
+      givenName,
+      familyName,
+      formatted: `${givenName} ${familyName}`.trim()
+    },
+    displayName: `${givenName} ${familyName}`.trim() || userData.email,
+    emails: [{ value: userData.email, type: 'work', primary: true }],
+    ...(phone && { phoneNumbers: [{ value: phone, type: 'work' }] }),
+    ...(title && { title }),
+    active: userData.active !== false && employeeData.isActive !== false,
+    [SCHEMAS.ENTERPRISE_USER]: {
+      ...(employeeData.employeeId || userData.employeeId ? { employeeNumber: employeeData.employeeId || userData.employeeId } : {}),
+      ...(employee && employee.departmentName && { department: employee.departmentName })
+    },
+    meta: {
+      resourceType: 'User',
+      created: toIso(userData.createdAt),
+      lastModified: toIso(userData.updatedAt || userData.createdAt),
+      location: `${baseUrl}/Users/${userId}`
+    }
+  };
+};
+
+/**
+ * Render a department or team as a SCIM Group
+ * @param {string} id - Group ID
+ * @param {string} displayName - Department/team name
+ * @param {Array<{value: string, display: string}>|null} members - Members (null when excluded)
+ * @param {Object} data - Department/team document data
+ * @param {string} baseUrl - SCIM base URL for meta.location
+ * @returns {Object}
+ */
+const toScimGroup = (id, displayName, members, data, baseUrl) => ({
+  schemas: [SCHEMAS.GROUP],
+  id,
+  displayName,
+  ...(members && { members }),
+  meta: {
+    resourceType: 'Group',
+    created: toIso(data.createdAt),
+    lastModified: toIso(data.updatedAt || data.createdAt),
+    location: `${baseUrl}/Groups/${encodeURIComponent(id)}`
+  }
+});
+
+// Azure AD sends booleans as "True"/"False" strings
+const toBoolean = (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value));
+
+const pickWorkValue = (list) => {
+  if (!Array.isArray(list) || list.length === 0) return undefined;
+  const entry = list.find(item => item.primary) || list.find(item => item.type === 'work') || list[0];
+  return entry && entry.value;
+};
+
+/**
+ * Extract the user fields we store from a full SCIM User (POST/PUT body)
+ * @param {Object} resource - SCIM User
+ * @returns {Object} - { email, firstName, lastName, phone, title, externalId, employeeId, department, active }
+ */
+const fromScimUser = (resource) => {
+  const enterprise = resource[SCHEMAS.ENTERPRISE_USER] || {};
+  const fields = {
+    email: String(resource.userName || pickWorkValue(resource.emails) || '').trim().toLowerCase(),
+    firstName: resource.name?.givenName || '',
+    lastName: resource.name?.familyName || '',
+    phone: pickWorkValue(resource.phoneNumbers) || '',
+    title: resource.title || '',
+    externalId: resource.externalId || null,
+    employeeId: enterprise.employeeNumber || '',
+    department: enterprise.department || ''
+  };
+  if (resource.active !== undefined) fields.active = toBoolean(resource.active);
+  return fields;
+};
+
+// PATCH paths (lower-cased) -> stored field
+const USER_PATCH_PATHS = {
+  active: 'active',
+  username: 'email',
+  externalid: 'externalId',
+  title: 'title',
+  'name.givenname': 'firstName',
+  'name.familyname': 'lastName',
+  'emails[type eq "work"].value': 'email',
+  'phonenumbers[type eq "work"].value': 'phone',
+  'phonenumbers[type eq "mobile"].value': 'phone',
+  [`${SCHEMAS.ENTERPRISE_USER}:employeenumber`.toLowerCase()]: 'employeeId',
+  [`${SCHEMAS.ENTERPRISE_USER}:department`.toLowerCase()]: 'department'
+};
+
+/**
+ * Turn SCIM PATCH operations on a User into field changes
+ * @param {Object} body - PatchOp body
+ * @returns {Object} - Changed fields (same keys as fromScimUser)
+ */
+const userPatchToChanges = (body) => {
+  if (!Array.isArray(body?.Operations)) {
+    throw new ScimError(400, 'PATCH body must contain Operations', 'invalidSyntax');
+  }
+
+  const changes = {};
+  body.Operations.forEach(operation => {
+    const op = String(operation.op || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw new ScimError(400, `Unsupported operation '${operation.op}'`, 'invalidSyntax');
+    }
+
+    // No path: value is a partial User
+    if (!operation.path) {
+      if (op === 'remove') throw new ScimError(400, 'remove requires a path', 'noTarget');
+      const value = operation.value || {};
+      const enterprise = value[SCHEMAS.ENTERPRISE_USER] || {};
+      Object.entries(value).forEach(([key, attributeValue]) => {
+        const field = USER_PATCH_PATHS[key.toLowerCase()];
+        if (field) changes[field] = field === 'active' ? toBoolean(attributeValue) : attributeValue;
+      });
+      if (value.name?.givenName !== undefined) changes.firstName = value.name.givenName;
+      if (value.name?.familyName !== undefined) changes.lastName = value.name.familyName;
+      if (value.emails) changes.email = pickWorkValue(value.emails);
+      if (value.phoneNumbers) changes.phone = pickWorkValue(value.phoneNumbers);
+      if (enterprise.employeeNumber !== undefined) changes.employeeId = enterprise.employeeNumber;
+      if (enterprise.department !== undefined) changes.department = enterprise.department;
+      return;
+    }
+
+    const path = String(operation.path).toLowerCase();
+    const field = USER_PATCH_PATHS[path] ||
+      (path === 'emails' ? 'email' : null) ||
+      (path === 'phonenumbers' ? 'phone' : null);
+    if (!field) {
+      // Attributes we do not store are accepted and ignored, as RFC 7644 allows
+      return;
+    }
+
+    let value = op === 'remove' ? '' : operation.value;
+    if (Array.isArray(value)) value = pickWorkValue(value);
+    changes[field] = field === 'active' ? toBoolean(value) : (value ?? '');
+  });
+
+  if (changes.email !== undefined) changes.email = String(changes.email).trim().toLowerCase();
+  return changes;
+};
+
+/**
+ * Member IDs added/removed and new displayName from Group PATCH operations
+ * @param {Object} body - PatchOp body
+ * @returns {{add: string[], remove: string[], displayName: string|undefined}}
+ */
+const groupPatchToChanges = (body) => {
+  if (!Array.isArray(body?.Operations)) {
+    throw new ScimError(400, 'PATCH body must contain Operations', 'invalidSyntax');
+  }
+
+  const changes = { add: [], remove: [], displayName: undefined };
+  body.Operations.forEach(operation => {
+    const op = String(operation.op || '').toLowerCase();
+    const path = String(operation.path || '');
+    const values = Array.isArray(operation.value) ? operation.value : (operation.value ? [operation.value] : []);
+
+    if (!path && op !== 'remove') {
+      // { op: replace, value: { displayName, members } }
+      const value = operation.value || {};
+      if (value.displayName !== undefined) changes.displayName = value.displayName;
+      if (Array.isArray(value.members)) changes.add.push(...value.members.map(member => member.value));
+      return;
+    }
+
+    if (path.toLowerCase() === 'displayname') {
+      changes.displayName = operation.value;
+      return;
+    }
+
+    if (path.toLowerCase() === 'members' && (op === 'add' || op === 'replace')) {
+      changes.add.push(...values.map(member => member.value));
+      return;
+    }
+
+    if (op === 'remove') {
+      // members[value eq "id"] or path 'members' with a value list
+      const filtered = path.match(/^members\[value eq "([^"]+)"\]$/i);
+      if (filtered) changes.remove.push(filtered[1]);
+      else if (path.toLowerCase() === 'members') changes.remove.push(...values.map(member => member.value));
+      else throw new ScimError(400, `Unsupported path '${path}'`, 'invalidPath');
+      return;
+    }
+
+    throw new ScimError(400, `Unsupported path '${path}'`, 'invalidPath');
+  });
+
+  changes.add = changes.add.filter(Boolean);
+  changes.remove = changes.remove.filter(Boolean);
+  return changes;
+};
+
+/**
+ * Split a Group ID into department and team
+ * @param {string} groupId - departmentId or departmentId:teamId
+ * @returns {{departmentId: string, teamId: string|null}}
+ */
+const parseGroupId = (groupId) => {
+  const [departmentId, teamId = null] = String(groupId).split(':');
+  return { departmentId, teamId };
+};
+
+module.exports = {
+  SCHEMAS,
+  SCIM_TOKENS_COLLECTION,
+  ScimError,
+  toScimErrorBody,
+  generateScimToken,
+  hashScimToken,
+  parseFilter,
+  parsePagination,
+  toListResponse,
+  toScimUser,
+  toScimGroup,
+  fromScimUser,
+  userPatchToChanges,
+  groupPatchToChanges,
+  parseGroupId
+};
@@ -0,0 +1,256 @@
+/**
+ * Short card links
+ *
+ * A short link is a `shortLinks/{code}` document that points at a card by
+ * owner and index. Printed QR codes and wallet pass barcodes carry only
+ * `/c/{code}`, so the owner can re-point or disable a code later, and
+ * deleteCard re-indexes codes so they keep following the same card.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../firebase');
+
+const SHORT_LINKS_COLLECTION = 'shortLinks';
+
+// No 0/O, 1/l/I - codes get read aloud and typed from print
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 7;
+const MAX_CODE_ATTEMPTS = 5;
+
+const LINK_STATUS = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled'
+};
+
+// Pages a code can resolve to
+const LINK_TARGETS = {
+  saveContact: (userId, cardIndex) => `/saveContact?userId=${encodeURIComponent(userId)}&cardIndex=${cardIndex}`,
+  queries: (userId, cardIndex) => `/queries.html?userId=${encodeURIComponent(userId)}&cardIndex=${cardIndex}`
+};
+
+const DEFAULT_TARGET = 'saveContact';
+
+/**
+ * Generate a random short code
+ * @param {number} length - Code length
+ * @returns {string} - Code
+ */
+const generateCode = (length = CODE_LENGTH) => {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+/**
+ * Check a code looks like one we issue (cheap guard before hitting Firestore)
+ * @param {string} code - Candidate code
+ * @returns {boolean}
+ */
+const isValidCode = (code) => typeof code === 'string' && /^[a-zA-Z0-9]{4,32}$/.test(code);
+
+const toRecord = (doc) => (doc.exists ? { code: doc.id, ...doc.data() } : null);
+
+/**
+ * Fetch a short link by code
+ * @param {string} code - Short code
+ * @returns {Promise<Object|null>} - Link record
+ */
+const getShortLink = async (code) => {
+  if (!isValidCode(code)) return null;
+  const doc = await db.collection(SHORT_LINKS_COLLECTION).doc(code).get();
+  return toRecord(doc);
+};
+
+/**
+ * Create a new short link for a card
+ * @param {Object} params - Link parameters
+ * @param {string} params.userId - Card owner ID
+ * @param {number} params.cardIndex - Card index
+ * @param {string} params.target - Key of LINK_TARGETS (default saveContact)
+ * @param {string} params.createdBy - User creating the link (defaults to owner)
+ * @returns {Promise<Object>} - Link record
+ */
+const createShortLink = async ({ userId, cardIndex, target = DEFAULT_TARGET, createdBy }) => {
+  if (!LINK_TARGETS[target]) {
+    const error = new Error(`Unknown short link target '${target}'. Supported: ${Object.keys(LINK_TARGETS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  const data = {
+    userId,
+    cardIndex: parseInt(cardIndex) || 0,
+    target,
+    status: LINK_STATUS.ACTIVE,
+    hits: 0,
+    lastHitAt: null,
+    createdBy: createdBy || userId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateCode();
+    try {
+      // create() fails if the code is already taken
+      await db.collection(SHORT_LINKS_COLLECTION).doc(code).create(data);
+      return { code, ...data };
+    } catch (error) {
+      if (error.code !== 6 && !/already exists/i.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not allocate a unique short link code');
+};
+
+/**
+ * List short links owned by a user
+ * @param {string} userId - Card owner ID
+ * @param {Object} filters - Optional cardIndex/target/status filters
+ * @returns {Promise<Array<Object>>} - Link records
+ */
+const listShortLinks = async (userId, filters = {}) => {
+  let query = db.collection(SHORT_LINKS_COLLECTION).where('userId', '==', userId);
+  if (filters.cardIndex !== undefined) query = query.where('cardIndex', '==', parseInt(filters.cardIndex) || 0);
+  if (filters.target) query = query.where('target', '==', filters.target);
+  if (filters.status) query = query.where('status', '==', filters.status);
+
+  const snapshot = await query.get();
+  return snapshot.docs.map(toRecord);
+};
+
+/**
+ * Return the card's active short link for a target, creating one if needed
+ * @param {string} userId - Card owner ID
+ * @param {number} cardIndex - Card index
+ * @param {string} target - Key of LINK_TARGETS
+ * @returns {Promise<Object>} - Link record
+ */
+const getOrCreateCardShortLink = async (userId, cardIndex, target = DEFAULT_TARGET) => {
+  const [existing] = await listShortLinks(userId, { cardIndex, target, status: LINK_STATUS.ACTIVE });
+  if (existing) return existing;
+  return createShortLink({ userId, cardIndex, target });
+};
+
+/**
+ * Re-point or disable a short link
+ * @param {string} code - Short code
+ * @param {Object} changes - cardIndex, target and/or status
+ * @returns {Promise<Object>} - Updated link record
+ */
+const updateShortLink = async (code, changes) => {
+  const update = { updatedAt: admin.firestore.Timestamp.now() };
+
+  if (changes.cardIndex !== undefined) {
+    update.cardIndex = parseInt(changes.cardIndex) || 0;
+  }
+  if (changes.target !== undefined) {
+    if (!LINK_TARGETS[changes.target]) {
+      const error = new Error(`Unknown short link target '${changes.target}'`);
+      error.status = 400;
+      throw error;
+    }
+    update.target = changes.target;
+  }
+  if (changes.status !== undefined) {
+    if (!Object.values(LINK_STATUS).includes(changes.status)) {
+      const error = new Error(`Invalid status '${changes.status}'. Use ${Object.values(LINK_STATUS).join(' or ')}`);
+      error.status = 400;
+      throw error;
+    }
+    update.status = changes.status;
+    update.disabledReason = changes.status === LINK_STATUS.DISABLED
+      ? (changes.disabledReason || 'owner')
+      : admin.firestore.FieldValue.delete();
+  }
+
+  const ref = db.collection(SHORT_LINKS_COLLECTION).doc(code);
+  await ref.update(update);
+  return toRecord(await ref.get());
+};
+
+/**
+ * Build the redirect path for a resolved link
+ * @param {Object} link - Link record
+ * @returns {string} - Relative URL
+ */
+const buildShortLinkTarget = (link) => {
+  const buildTarget = LINK_TARGETS[link.target] || LINK_TARGETS[DEFAULT_TARGET];
+  return buildTarget(link.userId, link.cardIndex);
+};
+
+/**
+ * Build the public URL for a code
+ * @param {string} baseUrl - Public base URL
+ * @param {string} code - Short code
+ * @returns {string} - Short URL
+ */
+const buildShortUrl = (baseUrl, code) => `${(baseUrl || '').replace(/\/+$/, '')}/c/${code}`;
+
+/**
+ * Count a hit on a short link
+ * @param {string} code - Short code
+ * @returns {Promise<void>}
+ */
+const recordShortLinkHit = async (code) => {
+  await db.collection(SHORT_LINKS_COLLECTION).doc(code).update({
+    hits: admin.firestore.FieldValue.increment(1),
+    lastHitAt: admin.firestore.Timestamp.now()
+  });
+};
+
+/**
+ * Keep codes attached to the same card after a card is removed from the cards array.
+ * Links to the deleted card are disabled; links to later cards shift down by one.
+ * @param {string} userId - Card owner ID
+ * @param {number} deletedIndex - Index of the deleted card
+ * @returns {Promise<{disabled: number, shifted: number}>}
+ */
+const reindexShortLinksAfterCardDelete = async (userId, deletedIndex) => {
+  const links = await listShortLinks(userId);
+  const now = admin.firestore.Timestamp.now();
+  const batch = db.batch();
+  let disabled = 0;
+  let shifted = 0;
+
+  for (const link of links) {
+    const ref = db.collection(SHORT_LINKS_COLLECTION).doc(link.code);
+    if (link.cardIndex === deletedIndex) {
+      if (link.status !== LINK_STATUS.DISABLED) {
+        batch.update(ref, { status: LINK_STATUS.DISABLED, disabledReason: 'card_deleted', updatedAt: now });
+        disabled++;
+      }
+    } else if (link.cardIndex > deletedIndex) {
+      batch.update(ref, { cardIndex: link.cardIndex - 1, updatedAt: now });
+      shifted++;
+    }
+  }
+
+  if (disabled + shifted > 0) {
+    await batch.commit();
+  }
+
+  return { disabled, shifted };
+};
+
+module.exports = {
+  SHORT_LINKS_COLLECTION,
+  LINK_STATUS,
+  LINK_TARGETS,
+  isValidCode,
+  getShortLink,
+  createShortLink,
+  listShortLinks,
+  getOrCreateCardShortLink,
+  updateShortLink,
+  buildShortLinkTarget,
+  buildShortUrl,
+  recordShortLinkHit,
+  reindexShortLinksAfterCardDelete
+};
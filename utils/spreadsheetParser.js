@@ -0,0 +1,258 @@
+/**
+ * Read uploaded CSV and XLSX files into rows of header -> value.
+ *
+ * XLSX files are zip packages of XML parts; only the first worksheet is read,
+ * with shared and inline strings resolved. Formulas contribute their cached value.
+ */
+
+const zlib = require('zlib');
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// Uploads are capped at 5MB; a workbook's XML parts shouldn't inflate past this
+const MAX_UNCOMPRESSED_SIZE = 50 * 1024 * 1024;
+const WORKBOOK_TOO_LARGE = 'Workbook is too large once uncompressed';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma or semicolon delimited)
+ * @param {string} text - File contents
+ * @returns {string[][]} - Rows of cell values
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Extract the files in a zip archive. Every offset is checked against the buffer,
+ * and inflated data is capped in total, so truncated files and zip bombs are
+ * rejected with a 400 instead of crashing or filling memory.
+ * @param {Buffer} buffer - Zip contents
+ * @returns {Object<string, Buffer>} - File name -> contents
+ * @throws {Error} - status 400 when the archive is malformed or inflates past MAX_UNCOMPRESSED_SIZE
+ */
+const readZipEntries = (buffer) => {
+  const invalid = () => badRequest('File is not a valid XLSX workbook');
+  const uint16 = (offset) => {
+    if (offset < 0 || offset + 2 > buffer.length) throw invalid();
+    return buffer.readUInt16LE(offset);
+  };
+  const uint32 = (offset) => {
+    if (offset < 0 || offset + 4 > buffer.length) throw invalid();
+    return buffer.readUInt32LE(offset);
+  };
+
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) throw invalid();
+
+  const entryCount = uint16(end + 10);
+  let offset = uint32(end + 16);
+  const files = {};
+  let uncompressedTotal = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (uint32(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) throw invalid();
+    const method = uint16(offset + 10);
+    const compressedSize = uint32(offset + 20);
+    const nameLength = uint16(offset + 28);
+    const extraLength = uint16(offset + 30);
+    const commentLength = uint16(offset + 32);
+    const localOffset = uint32(offset + 42);
+    if (offset + 46 + nameLength > buffer.length) throw invalid();
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (uint32(localOffset) !== ZIP_LOCAL_FILE_HEADER) throw invalid();
+    const dataStart = localOffset + 30 + uint16(localOffset + 26) + uint16(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) throw invalid();
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let contents = null;
+    if (method === 0) {
+      contents = data;
+    } else if (method === 8) {
+      try {
+        contents = zlib.inflateRawSync(data, { maxOutputLength: MAX_UNCOMPRESSED_SIZE - uncompressedTotal + 1 });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw badRequest(WORKBOOK_TOO_LARGE);
+        throw invalid();
+      }
+    }
+    if (contents) {
+      uncompressedTotal += contents.length;
+      if (uncompressedTotal > MAX_UNCOMPRESSED_SIZE) throw badRequest(WORKBOOK_TOO_LARGE);
+      files[name] = contents;
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Concatenate the <t> runs of a string item (rich text is split across runs)
+const readTextRuns = (xml) => {
+  const texts = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) texts.push(decodeXml(match[1]));
+  return texts.join('');
+};
+
+const columnIndex = (ref) => {
+  const letters = (ref.match(/^[A-Z]+/) || [''])[0];
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - Workbook contents
+ * @returns {string[][]} - Rows of cell values
+ */
+const parseXlsx = (buffer) => {
+  const files = readZipEntries(buffer);
+  const read = (name) => (files[name] ? files[name].toString('utf8') : null);
+
+  // Resolve the first <sheet> through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const relationships = read('xl/_rels/workbook.xml.rels');
+  const firstSheetId = workbook && (workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/) || [])[1];
+  if (firstSheetId && relationships) {
+    const target = (relationships.match(new RegExp(`<Relationship\\b[^>]*Id="${firstSheetId}"[^>]*Target="([^"]+)"`)) ||
+      relationships.match(new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${firstSheetId}"`)) || [])[1];
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheet = read(sheetPath);
+  if (!sheet) throw badRequest('Workbook does not contain a worksheet');
+
+  const sharedStringsXml = read('xl/sharedStrings.xml') || '';
+  const sharedStrings = (sharedStringsXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(readTextRuns);
+
+  const rows = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(sheet)) !== null) {
+    const row = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const ref = (attributes.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+      const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[parseInt(rawValue, 10)] || '';
+      else if (type === 'inlineStr') value = readTextRuns(content);
+      else if (rawValue !== undefined) value = decodeXml(rawValue);
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    // Keep sheet row numbers: empty rows are usually left out of the XML
+    const rowNumber = parseInt((rowMatch[1].match(/\br="(\d+)"/) || [])[1], 10);
+    rows[rowNumber ? rowNumber - 1 : rows.length] = Array.from(row, value => value || '');
+  }
+  return Array.from(rows, row => row || []);
+};
+
+/**
+ * Parse an uploaded spreadsheet into records keyed by header
+ * @param {Object} file - Multer file (buffer, originalname, mimetype)
+ * @returns {{headers: string[], rows: Array<{rowNumber: number, values: Object}>}}
+ *   rowNumber is the 1-based line in the file (the header is row 1); blank rows are skipped
+ */
+const parseSpreadsheet = (file) => {
+  if (!file || !file.buffer) throw badRequest('A CSV or XLSX file is required');
+
+  const name = String(file.originalname || '').toLowerCase();
+  const isXlsx = name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  const isCsv = name.endsWith('.csv') || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+  if (!isXlsx && !isCsv) throw badRequest('Only CSV and XLSX files are supported');
+
+  const table = isXlsx ? parseXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+  if (table.length === 0) throw badRequest('File is empty');
+
+  const headers = table[0].map(header => String(header || '').trim());
+  const rows = table.slice(1)
+    .map((cells, index) => ({
+      rowNumber: index + 2,
+      values: headers.reduce((values, header, column) => {
+        if (header) values[header] = String(cells[column] ?? '').trim();
+        return values;
+      }, {})
+    }))
+    .filter(row => Object.values(row.values).some(Boolean));
+
+  return { headers, rows };
+};
+
+module.exports = {
+  MAX_UNCOMPRESSED_SIZE,
+  parseCsv,
+  parseXlsx,
+  parseSpreadsheet
+};
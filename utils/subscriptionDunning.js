@@ -0,0 +1,351 @@
+/**
+ * Failed-renewal (dunning) workflow for Paystack subscriptions.
+ *
+ * State is kept on subscriptions/{userId}: `status` moves
+ *   active -> past_due -> suspended -> cancelled
+ * and `dunning` holds the timeline. A failed renewal starts the grace period
+ * (past_due, full access). When it ends the user is downgraded to the free plan
+ * (suspended); if the payment still has not been recovered the subscription is
+ * cancelled. A successful renewal at any point returns the subscription to active.
+ * Every transition writes a subscriptionHistory entry.
+ */
+
+const { db, admin } = require('../firebase');
+const { sendDunningNotice } = require('../public/Utils/emailService');
+const { DEFAULT_PLAN_BY_TIER } = require('../config/subscriptionPlans');
+const { getPlan } = require('./planCatalogue');
+const { logActivity, ACTIONS, RESOURCES } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = parseInt(process.env.DUNNING_GRACE_DAYS || '7', 10);
+const SUSPENSION_DAYS = parseInt(process.env.DUNNING_SUSPENSION_DAYS || '7', 10);
+// Reminders while past_due, in days after the failed renewal
+const REMINDER_DAYS = [3, 6];
+// Final notice before cancellation, in days before cancelsAt
+const FINAL_NOTICE_DAYS = 2;
+
+const DUNNING_STATUS = {
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  SUSPENDED: 'suspended',
+  CANCELLED: 'cancelled'
+};
+
+const IN_DUNNING = [DUNNING_STATUS.PAST_DUE, DUNNING_STATUS.SUSPENDED];
+
+// Required lazily: subscriptionController requires this module
+const getSubscriptionController = () => require('../controllers/subscriptionController');
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Apply a dunning step once. The step is skipped when the subscription has left
+ * `expectedStatus` or the step was already recorded, so concurrent runs (or a
+ * webhook arriving mid-run) cannot apply it twice.
+ * @param {Object} subscriptionRef - subscriptions document reference
+ * @param {string} expectedStatus - Status the subscription must still have
+ * @param {string} step - Step key stored in dunning.steps
+ * @param {Object} updates - Fields to update with the step
+ * @param {string[]} skippedSteps - Earlier steps to record as done without acting on them
+ * @returns {Promise<Object|null>} - Subscription data before the step, or null when skipped
+ */
+const claimStep = (subscriptionRef, expectedStatus, step, updates = {}, skippedSteps = []) => db.runTransaction(async (transaction) => {
+  const subscriptionDoc = await transaction.get(subscriptionRef);
+  const subscription = subscriptionDoc.exists ? subscriptionDoc.data() : null;
+  if (!subscription || subscription.status !== expectedStatus) return null;
+  if ((subscription.dunning?.steps || []).includes(step)) return null;
+
+  transaction.update(subscriptionRef, {
+    ...updates,
+    'dunning.steps': admin.firestore.FieldValue.arrayUnion(...skippedSteps, step),
+    lastUpdated: new Date().toISOString()
+  });
+  return subscription;
+});
+
+/**
+ * Record a transition in subscriptionHistory and the activity log
+ */
+const recordTransition = async (userId, subscription, from, to, reason) => {
+  const now = new Date().toISOString();
+  await getSubscriptionController().createSubscriptionHistory(userId, subscription, {
+    cancellationDate: now,
+    reason,
+    source: 'dunning',
+    status: to,
+    transition: { from, to }
+  });
+
+  await logActivity({
+    action: to === DUNNING_STATUS.CANCELLED ? ACTIONS.CANCEL : ACTIONS.UPDATE,
+    resource: RESOURCES.SUBSCRIPTION,
+    userId,
+    resourceId: subscription.subscriptionCode || userId,
+    details: { operation: 'dunning_transition', from, to, reason }
+  });
+  console.log(`💳 [Dunning] Subscription of user ${userId}: ${from} -> ${to}`);
+};
+
+const sendNotice = async (userId, type, subscription) => {
+  const result = await sendDunningNotice(userId, {
+    type,
+    planName: subscription.planName || 'XS Card Subscription',
+    amount: subscription.planAmount || null,
+    graceEndsAt: subscription.dunning?.graceEndsAt || null,
+    cancelsAt: subscription.dunning?.cancelsAt || null,
+    contactLimit: (await getPlan(DEFAULT_PLAN_BY_TIER.free)).entitlements.contacts
+  });
+  if (!result.success) {
+    console.error(`[Dunning] Failed to send ${type} notice to user ${userId}:`, result.error);
+  }
+  return result;
+};
+
+/**
+ * A renewal failed: move the subscription to past_due and start the grace period.
+ * Further failures while in dunning only update the failure details.
+ * @param {string} userId - User ID
+ * @param {Object} failure - { invoiceCode, amount, description }
+ * @returns {Promise<string|null>} - Subscription status after the failure, or null when not subscribed
+ */
+const startDunning = async (userId, failure = {}) => {
+  const subscriptionRef = db.collection('subscriptions').doc(userId);
+  const now = new Date();
+  const lastFailure = {
+    date: now.toISOString(),
+    invoiceCode: failure.invoiceCode || null,
+    amount: failure.amount || null,
+    description: failure.description || null
+  };
+
+  const transition = await db.runTransaction(async (transaction) => {
+    const subscriptionDoc = await transaction.get(subscriptionRef);
+    if (!subscriptionDoc.exists) return null;
+
+    const subscription = subscriptionDoc.data();
+    if (subscription.status === DUNNING_STATUS.CANCELLED) {
+      return { status: subscription.status, subscription, started: false };
+    }
+    if (IN_DUNNING.includes(subscription.status)) {
+      transaction.update(subscriptionRef, {
+        'dunning.failureCount': admin.firestore.FieldValue.increment(1),
+        'dunning.lastFailure': lastFailure,
+        lastUpdated: now.toISOString()
+      });
+      return { status: subscription.status, subscription, started: false };
+    }
+
+    const graceEndsAt = addDays(now, GRACE_DAYS);
+    const dunning = {
+      status: DUNNING_STATUS.PAST_DUE,
+      previousStatus: subscription.status || null,
+      failedAt: now.toISOString(),
+      failureCount: 1,
+      lastFailure,
+      graceEndsAt: graceEndsAt.toISOString(),
+      cancelsAt: addDays(graceEndsAt, SUSPENSION_DAYS).toISOString(),
+      steps: ['payment_failed']
+    };
+    transaction.update(subscriptionRef, {
+      status: DUNNING_STATUS.PAST_DUE,
+      dunning,
+      lastUpdated: now.toISOString()
+    });
+    return { status: DUNNING_STATUS.PAST_DUE, subscription: { ...subscription, dunning }, previousStatus: subscription.status || null, started: true };
+  });
+
+  if (!transition) return null;
+  if (!transition.started) return transition.status;
+
+  await db.collection('users').doc(userId).update({
+    subscriptionStatus: DUNNING_STATUS.PAST_DUE,
+    lastUpdated: now.toISOString()
+  });
+  await recordTransition(userId, transition.subscription, transition.previousStatus, DUNNING_STATUS.PAST_DUE, 'Renewal payment failed');
+  await sendNotice(userId, 'payment_failed', transition.subscription);
+
+  return DUNNING_STATUS.PAST_DUE;
+};
+
+/**
+ * A renewal succeeded: end dunning for a past_due or suspended subscription.
+ * The caller restores the subscription and user plan.
+ * @param {string} userId - User ID
+ * @param {Object} payment - { reference }
+ * @returns {Promise<boolean>} - True when the subscription was in dunning
+ */
+const recoverFromDunning = async (userId, payment = {}) => {
+  const subscriptionRef = db.collection('subscriptions').doc(userId);
+  const now = new Date().toISOString();
+
+  const subscription = await db.runTransaction(async (transaction) => {
+    const subscriptionDoc = await transaction.get(subscriptionRef);
+    if (!subscriptionDoc.exists || !IN_DUNNING.includes(subscriptionDoc.data().status)) return null;
+
+    transaction.update(subscriptionRef, {
+      status: DUNNING_STATUS.ACTIVE,
+      'dunning.status': 'recovered',
+      'dunning.recoveredAt': now,
+      'dunning.recoveryReference': payment.reference || null,
+      lastUpdated: now
+    });
+    return subscriptionDoc.data();
+  });
+
+  if (!subscription) return false;
+
+  await recordTransition(userId, subscription, subscription.status, DUNNING_STATUS.ACTIVE, 'Renewal payment recovered');
+  await sendNotice(userId, 'recovered', subscription);
+  return true;
+};
+
+/**
+ * Grace period over: downgrade to the free plan (re-imposing the free contact limit)
+ */
+const suspendSubscription = async (subscriptionDoc) => {
+  const userId = subscriptionDoc.id;
+  const subscription = await claimStep(subscriptionDoc.ref, DUNNING_STATUS.PAST_DUE, 'suspended', {
+    status: DUNNING_STATUS.SUSPENDED,
+    'dunning.status': DUNNING_STATUS.SUSPENDED,
+    'dunning.suspendedAt': new Date().toISOString()
+  });
+  if (!subscription) return false;
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (userDoc.exists) {
+    await userDoc.ref.update({
+      subscriptionStatus: DUNNING_STATUS.SUSPENDED,
+      // Enterprise plans are not billed through this subscription
+      ...(userDoc.data().plan !== 'enterprise' && { plan: 'free' }),
+      lastUpdated: new Date().toISOString()
+    });
+  }
+
+  await recordTransition(userId, subscription, DUNNING_STATUS.PAST_DUE, DUNNING_STATUS.SUSPENDED, 'Grace period ended without payment');
+  await sendNotice(userId, 'suspended', subscription);
+  return true;
+};
+
+/**
+ * Suspension over: disable the subscription on Paystack and cancel it
+ */
+const cancelSuspendedSubscription = async (subscriptionDoc) => {
+  const userId = subscriptionDoc.id;
+  const now = new Date().toISOString();
+  const subscription = await claimStep(subscriptionDoc.ref, DUNNING_STATUS.SUSPENDED, 'cancelled', {
+    status: DUNNING_STATUS.CANCELLED,
+    cancellationDate: now,
+    'dunning.status': DUNNING_STATUS.CANCELLED,
+    'dunning.cancelledAt': now
+  });
+  if (!subscription) return false;
+
+  const emailToken = subscription.subscriptionData?.email_token;
+  if (subscription.subscriptionCode && emailToken) {
+    try {
+      const result = await getSubscriptionController().cancelSubscriptionWithPaystack(subscription.subscriptionCode, emailToken);
+      if (!result.status) {
+        console.error(`[Dunning] Paystack did not disable subscription ${subscription.subscriptionCode}:`, result.message);
+      }
+    } catch (error) {
+      console.error(`[Dunning] Failed to disable subscription ${subscription.subscriptionCode} on Paystack:`, error.message);
+    }
+  }
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (userDoc.exists) {
+    await userDoc.ref.update({
+      subscriptionStatus: DUNNING_STATUS.CANCELLED,
+      ...(userDoc.data().plan !== 'enterprise' && { plan: 'free' }),
+      cancellationDate: now,
+      lastUpdated: now
+    });
+  }
+
+  await recordTransition(userId, subscription, DUNNING_STATUS.SUSPENDED, DUNNING_STATUS.CANCELLED, 'Renewal payment not recovered');
+  await sendNotice(userId, 'cancelled', subscription);
+  return true;
+};
+
+/**
+ * Send the reminder that is due, if any. Reminders that were missed (e.g. the
+ * server was down) are marked sent together so the user gets one email.
+ */
+const sendDueReminder = async (subscriptionDoc, now) => {
+  const subscription = subscriptionDoc.data();
+  const dunning = subscription.dunning || {};
+  const sent = dunning.steps || [];
+
+  let due = [];
+  if (subscription.status === DUNNING_STATUS.PAST_DUE) {
+    const elapsedDays = (now - new Date(dunning.failedAt)) / DAY_MS;
+    due = REMINDER_DAYS.filter(day => elapsedDays >= day).map(day => `reminder_${day}`);
+  } else if (subscription.status === DUNNING_STATUS.SUSPENDED &&
+      now >= addDays(new Date(dunning.cancelsAt), -FINAL_NOTICE_DAYS)) {
+    due = ['final_notice'];
+  }
+
+  const unsent = due.filter(step => !sent.includes(step));
+  if (unsent.length === 0) return false;
+
+  const step = unsent[unsent.length - 1];
+  const claimed = await claimStep(subscriptionDoc.ref, subscription.status, step, {}, unsent.slice(0, -1));
+  if (!claimed) return false;
+
+  await sendNotice(subscriptionDoc.id, step === 'final_notice' ? 'final_notice' : 'reminder', claimed);
+  return true;
+};
+
+/**
+ * Move one subscription along the dunning timeline
+ * @param {Object} subscriptionDoc - subscriptions document snapshot
+ * @param {Date} now - Current time
+ * @returns {Promise<string|null>} - Action taken (suspended, cancelled, reminded) or null
+ */
+const advanceDunning = async (subscriptionDoc, now = new Date()) => {
+  const { status, dunning } = subscriptionDoc.data();
+  if (!dunning) return null;
+
+  if (status === DUNNING_STATUS.PAST_DUE && now >= new Date(dunning.graceEndsAt)) {
+    return (await suspendSubscription(subscriptionDoc)) ? 'suspended' : null;
+  }
+  if (status === DUNNING_STATUS.SUSPENDED && now >= new Date(dunning.cancelsAt)) {
+    return (await cancelSuspendedSubscription(subscriptionDoc)) ? 'cancelled' : null;
+  }
+  return (await sendDueReminder(subscriptionDoc, now)) ? 'reminded' : null;
+};
+
+/**
+ * Process every subscription in dunning. Run hourly by the 'subscription-dunning'
+ * job (config/scheduledJobs.js).
+ * @param {Object} options - Run options
+ * @param {Date} options.now - Current time (defaults to now)
+ * @returns {Promise<Object>} - Run summary
+ */
+const runDunning = async ({ now = new Date() } = {}) => {
+  const snapshot = await db.collection('subscriptions').where('status', 'in', IN_DUNNING).get();
+  const summary = { checked: snapshot.size, suspended: 0, cancelled: 0, reminded: 0, failed: 0 };
+
+  for (const subscriptionDoc of snapshot.docs) {
+    try {
+      const action = await advanceDunning(subscriptionDoc, now);
+      if (action) summary[action]++;
+    } catch (error) {
+      console.error(`[Dunning] Failed to process subscription of user ${subscriptionDoc.id}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  if (summary.suspended || summary.cancelled || summary.reminded || summary.failed) {
+    console.log('✅ [Dunning] Run completed:', JSON.stringify(summary));
+  }
+  return summary;
+};
+
+module.exports = {
+  DUNNING_STATUS,
+  startDunning,
+  recoverFromDunning,
+  advanceDunning,
+  runDunning
+};
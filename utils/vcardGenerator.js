@@ -0,0 +1,271 @@
+const path = require('path');
+const { loadImageBuffer } = require('./imageLoader');
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+const DEFAULT_VERSION = '3.0';
+
+// Images larger than this are left out so the .vcf stays importable on phones
+const MAX_EMBEDDED_IMAGE_BYTES = 1024 * 1024;
+
+const IMAGE_TYPES = {
+  '.jpg': 'JPEG',
+  '.jpeg': 'JPEG',
+  '.png': 'PNG',
+  '.gif': 'GIF',
+  '.webp': 'WEBP'
+};
+
+/**
+ * Normalise a requested vCard version, falling back to 3.0 (best iOS/Android support)
+ * @param {string} version - Requested version ('3.0' or '4.0')
+ * @returns {string} - Supported version string
+ */
+const resolveVersion = (version) => {
+  if (!version) return DEFAULT_VERSION;
+  const normalised = String(version).trim();
+  if (normalised === '3' || normalised === '4') return `${normalised}.0`;
+  return SUPPORTED_VERSIONS.includes(normalised) ? normalised : DEFAULT_VERSION;
+};
+
+/**
+ * Escape a text value per RFC 6350 section 3.4 (backslash, comma, semicolon, newline)
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped value
+ */
+const escapeText = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+};
+
+/**
+ * Fold a content line at 75 octets, continuing with CRLF + single space.
+ * Multi-byte UTF-8 characters are never split across lines.
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded content line
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      // Continuation lines lose one octet to the leading space
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  if (current) parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Detect the image type from a URL/path or response content type
+ * @param {string} source - Image URL or path
+ * @param {string} contentType - Optional HTTP content type
+ * @returns {string} - Image type (JPEG, PNG, ...)
+ */
+const detectImageType = (source, contentType) => {
+  if (contentType && contentType.startsWith('image/')) {
+    const subtype = contentType.split('/')[1].split(';')[0].trim().toUpperCase();
+    return subtype === 'JPG' ? 'JPEG' : subtype;
+  }
+  const extension = path.extname((source || '').split('?')[0]).toLowerCase();
+  return IMAGE_TYPES[extension] || 'JPEG';
+};
+
+/**
+ * Load an image (Firebase Storage URL or legacy /profiles path) as base64
+ * @param {string} imageUrl - Absolute URL or path relative to the public directory
+ * @returns {Promise<{data: string, type: string}|null>} - Base64 data and image type, or null if unavailable
+ */
+const fetchImageAsBase64 = async (imageUrl) => {
+  const image = await loadImageBuffer(imageUrl, { maxBytes: MAX_EMBEDDED_IMAGE_BYTES });
+  if (!image) return null;
+
+  return {
+    data: image.buffer.toString('base64'),
+    type: detectImageType(imageUrl, image.contentType)
+  };
+};
+
+/**
+ * Build an embedded PHOTO/LOGO property for the given version
+ * @param {string} property - 'PHOTO' or 'LOGO'
+ * @param {{data: string, type: string}} image - Base64 image data
+ * @param {string} version - vCard version
+ * @returns {string} - Content line
+ */
+const buildImageLine = (property, image, version) => {
+  if (version === '4.0') {
+    return `${property}:data:image/${image.type.toLowerCase()};base64,${image.data}`;
+  }
+  return `${property};ENCODING=b;TYPE=${image.type}:${image.data}`;
+};
+
+/**
+ * Build the phone property for the given version
+ * @param {string} phone - Phone number
+ * @param {string} version - vCard version
+ * @returns {string} - Content line
+ */
+const buildPhoneLine = (phone, version) => {
+  if (version === '4.0') {
+    return `TEL;TYPE=cell;VALUE=uri:tel:${String(phone).replace(/[^\d+]/g, '')}`;
+  }
+  return `TEL;TYPE=CELL:${escapeText(phone)}`;
+};
+
+/**
+ * Build socials (URL + X-SOCIALPROFILE) lines from the normalised socials map
+ * @param {Object} socials - Map of platform -> { link, title }
+ * @returns {string[]} - Content lines
+ */
+const buildSocialLines = (socials) => {
+  if (!socials || typeof socials !== 'object') return [];
+
+  const lines = [];
+  Object.keys(socials).forEach(platform => {
+    const social = socials[platform];
+    const link = social && typeof social === 'object' ? social.link : social;
+    if (!link) return;
+
+    const type = escapeText(platform.toLowerCase());
+    lines.push(`URL;TYPE=${type}:${link}`);
+    lines.push(`X-SOCIALPROFILE;TYPE=${type}:${link}`);
+  });
+  return lines;
+};
+
+/**
+ * Assemble content lines into a complete, folded vCard with CRLF line endings
+ * @param {string[]} lines - Unfolded property lines (without BEGIN/VERSION/END)
+ * @param {string} version - vCard version
+ * @returns {string} - vCard text
+ */
+const assembleVCard = (lines, version) => {
+  return [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    ...lines,
+    'END:VCARD'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Render a card from the `cards` collection as a vCard
+ * @param {Object} card - Card data (name, surname, occupation, company, phone, email, socials, images)
+ * @param {Object} options - Rendering options
+ * @param {string} options.version - '3.0' or '4.0'
+ * @param {string} options.uid - Stable identifier for the card
+ * @param {boolean} options.includeImages - Embed profileImage/companyLogo as base64
+ * @returns {Promise<string>} - vCard text
+ */
+const buildCardVCard = async (card, options = {}) => {
+  const version = resolveVersion(options.version);
+  const includeImages = options.includeImages !== false;
+
+  const name = card.name || '';
+  const surname = card.surname || '';
+  const fullName = `${name} ${surname}`.trim() || card.company || 'XS Card Contact';
+
+  const lines = [
+    `FN:${escapeText(fullName)}`,
+    `N:${escapeText(surname)};${escapeText(name)};;;`
+  ];
+
+  if (version === '4.0') lines.push('KIND:individual');
+  if (options.uid) lines.push(`UID:${escapeText(options.uid)}`);
+  if (card.company) lines.push(`ORG:${escapeText(card.company)}`);
+  if (card.occupation) lines.push(`TITLE:${escapeText(card.occupation)}`);
+  if (card.phone) lines.push(buildPhoneLine(card.phone, version));
+  if (card.email) lines.push(`EMAIL;TYPE=${version === '4.0' ? 'work' : 'INTERNET,WORK'}:${escapeText(card.email)}`);
+
+  lines.push(...buildSocialLines(card.socials));
+
+  if (includeImages) {
+    const [photo, logo] = await Promise.all([
+      fetchImageAsBase64(card.profileImage),
+      fetchImageAsBase64(card.companyLogo)
+    ]);
+    if (photo) lines.push(buildImageLine('PHOTO', photo, version));
+    if (logo) lines.push(buildImageLine('LOGO', logo, version));
+  }
+
+  lines.push(`PRODID:-//XS Card//XS Card Backend//EN`);
+  lines.push(`REV:${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}`);
+
+  return assembleVCard(lines, version);
+};
+
+/**
+ * Render an entry from a user's `contactList` as a vCard
+ * @param {Object} contact - Contact data (name, surname, phone, email, company, howWeMet, location)
+ * @param {Object} options - Rendering options
+ * @param {string} options.version - '3.0' or '4.0'
+ * @returns {string} - vCard text
+ */
+const buildContactVCard = (contact, options = {}) => {
+  const version = resolveVersion(options.version);
+
+  const name = contact.name || '';
+  const surname = contact.surname || '';
+  const fullName = `${name} ${surname}`.trim() || contact.email || contact.phone || 'XS Card Contact';
+
+  const lines = [
+    `FN:${escapeText(fullName)}`,
+    `N:${escapeText(surname)};${escapeText(name)};;;`
+  ];
+
+  if (contact.company) lines.push(`ORG:${escapeText(contact.company)}`);
+  if (contact.phone) lines.push(buildPhoneLine(contact.phone, version));
+  if (contact.email) lines.push(`EMAIL;TYPE=${version === '4.0' ? 'home' : 'INTERNET'}:${escapeText(contact.email)}`);
+
+  const location = contact.location;
+  if (location && (location.city || location.country)) {
+    lines.push(`ADR:;;;${escapeText(location.city)};${escapeText(location.region)};;${escapeText(location.country)}`);
+  }
+
+  if (contact.howWeMet) lines.push(`NOTE:${escapeText(`How we met: ${contact.howWeMet}`)}`);
+
+  return assembleVCard(lines, version);
+};
+
+/**
+ * Build a filesystem-safe .vcf filename
+ * @param {...string} parts - Name parts
+ * @returns {string} - Filename ending in .vcf
+ */
+const buildVCardFilename = (...parts) => {
+  const base = parts
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^\w\-]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+  return `${base || 'contact'}.vcf`;
+};
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  resolveVersion,
+  escapeText,
+  foldLine,
+  fetchImageAsBase64,
+  buildCardVCard,
+  buildContactVCard,
+  buildVCardFilename
+};
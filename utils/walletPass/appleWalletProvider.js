@@ -0,0 +1,319 @@
+/**
+ * Apple Wallet (.pkpass) provider
+ *
+ * Builds signed pass bundles locally: pass.json, images, manifest.json (SHA-1
+ * of every file) and a detached PKCS#7 signature made with the pass type
+ * certificate and Apple's WWDR intermediate. Passes carry a webServiceURL so
+ * devices register for updates; when a card changes we send an empty APNs
+ * push and the device fetches the new version from /wallet/v1/passes.
+ *
+ * Certificates/keys may be given as inline PEM, a path to a PEM file, or base64 PEM.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http2 = require('http2');
+const archiver = require('archiver');
+const forge = require('node-forge');
+const sharp = require('sharp');
+const { db } = require('../../firebase');
+const config = require('../../config/config');
+const { loadImageBuffer } = require('../imageLoader');
+const { buildBarcodeUrl, buildPassContent, hexToRgbString } = require('./passContent');
+
+const REGISTRATIONS_COLLECTION = 'walletPassRegistrations';
+const APNS_HOST = process.env.APPLE_APNS_HOST || 'https://api.push.apple.com';
+
+/**
+ * Read a PEM setting that may be inline, a file path or base64 encoded
+ * @param {string} value - Setting value
+ * @returns {string|null} - PEM text
+ */
+const readPemSetting = (value) => {
+  if (!value) return null;
+  if (value.includes('-----BEGIN')) return value.replace(/\\n/g, '\n');
+  if (fs.existsSync(value)) return fs.readFileSync(value, 'utf8');
+  const decoded = Buffer.from(value, 'base64').toString('utf8');
+  return decoded.includes('-----BEGIN') ? decoded : null;
+};
+
+const getSettings = () => ({
+  passTypeIdentifier: process.env.APPLE_PASS_TYPE_IDENTIFIER,
+  teamIdentifier: process.env.APPLE_TEAM_IDENTIFIER,
+  organizationName: process.env.APPLE_PASS_ORGANIZATION_NAME || 'XS Card',
+  certificate: readPemSetting(process.env.APPLE_PASS_CERTIFICATE),
+  privateKey: readPemSetting(process.env.APPLE_PASS_PRIVATE_KEY),
+  passphrase: process.env.APPLE_PASS_KEY_PASSPHRASE || undefined,
+  wwdrCertificate: readPemSetting(process.env.APPLE_WWDR_CERTIFICATE)
+});
+
+const isConfigured = () => {
+  const settings = getSettings();
+  return Boolean(
+    settings.passTypeIdentifier &&
+    settings.teamIdentifier &&
+    settings.certificate &&
+    settings.privateKey &&
+    settings.wwdrCertificate
+  );
+};
+
+/**
+ * Public URL the device uses to download the current version of a pass
+ * @param {Object} record - walletPasses record
+ * @returns {string} - Download URL
+ */
+const buildDownloadUrl = (record) => {
+  return `${config.BASE_URL}/wallet/passes/${record.serialNumber}.pkpass?token=${record.authenticationToken}`;
+};
+
+/**
+ * Build pass.json for a card
+ * @param {Object} record - walletPasses record (serialNumber, authenticationToken, userId, cardIndex)
+ * @param {Object} card - Card data
+ * @returns {Object} - pass.json content
+ */
+const buildPassJson = (record, card) => {
+  const settings = getSettings();
+  const content = buildPassContent(card);
+  const barcodeMessage = buildBarcodeUrl(config.BASE_URL, record.userId, record.cardIndex, record.shortCode);
+
+  const barcode = {
+    format: 'PKBarcodeFormatQR',
+    message: barcodeMessage,
+    messageEncoding: 'iso-8859-1',
+    altText: 'Scan to connect'
+  };
+
+  const auxiliaryFields = [];
+  if (content.email) auxiliaryFields.push({ key: 'email', label: 'EMAIL', value: content.email });
+  if (content.phone) auxiliaryFields.push({ key: 'phone', label: 'PHONE', value: content.phone });
+
+  return {
+    formatVersion: 1,
+    passTypeIdentifier: settings.passTypeIdentifier,
+    teamIdentifier: settings.teamIdentifier,
+    serialNumber: record.serialNumber,
+    organizationName: content.company || settings.organizationName,
+    description: `${content.fullName} - XS Card`,
+    logoText: content.company || settings.organizationName,
+    backgroundColor: hexToRgbString(content.backgroundColor),
+    foregroundColor: hexToRgbString(content.foregroundColor),
+    labelColor: hexToRgbString(content.foregroundColor),
+    webServiceURL: `${config.BASE_URL}/wallet`,
+    authenticationToken: record.authenticationToken,
+    barcode,
+    barcodes: [barcode],
+    generic: {
+      primaryFields: [{ key: 'name', label: 'NAME', value: content.fullName }],
+      secondaryFields: [
+        ...(content.jobTitle ? [{ key: 'title', label: 'TITLE', value: content.jobTitle }] : []),
+        ...(content.company ? [{ key: 'company', label: 'COMPANY', value: content.company }] : [])
+      ],
+      auxiliaryFields,
+      backFields: [
+        ...content.socials.map(social => ({
+          key: `social_${social.key}`,
+          label: social.label.toUpperCase(),
+          value: social.value
+        })),
+        { key: 'version', label: 'PASS VERSION', value: String(record.version || 1) }
+      ]
+    }
+  };
+};
+
+/**
+ * Render the PNG images Wallet needs (icon is mandatory, logo/thumbnail optional)
+ * @param {Object} card - Card data
+ * @returns {Promise<Object>} - Map of filename -> PNG buffer
+ */
+const buildPassImages = async (card) => {
+  const content = buildPassContent(card);
+  const [logo, profile] = await Promise.all([
+    loadImageBuffer(card.companyLogo),
+    loadImageBuffer(card.profileImage)
+  ]);
+
+  const files = {};
+  const iconSource = logo || profile;
+
+  for (const [name, size] of [['icon.png', 29], ['icon@2x.png', 58], ['icon@3x.png', 87]]) {
+    files[name] = iconSource
+      ? await sharp(iconSource.buffer).resize(size, size, { fit: 'contain', background: content.backgroundColor }).png().toBuffer()
+      : await sharp({ create: { width: size, height: size, channels: 4, background: content.backgroundColor } }).png().toBuffer();
+  }
+
+  if (logo) {
+    files['logo.png'] = await sharp(logo.buffer).resize(160, 50, { fit: 'inside' }).png().toBuffer();
+    files['logo@2x.png'] = await sharp(logo.buffer).resize(320, 100, { fit: 'inside' }).png().toBuffer();
+  }
+
+  if (profile) {
+    files['thumbnail.png'] = await sharp(profile.buffer).resize(90, 90, { fit: 'cover' }).png().toBuffer();
+    files['thumbnail@2x.png'] = await sharp(profile.buffer).resize(180, 180, { fit: 'cover' }).png().toBuffer();
+  }
+
+  return files;
+};
+
+/**
+ * Create the detached PKCS#7 signature of manifest.json
+ * @param {Buffer} manifest - manifest.json bytes
+ * @returns {Buffer} - DER encoded signature
+ */
+const signManifest = (manifest) => {
+  const settings = getSettings();
+  const certificate = forge.pki.certificateFromPem(settings.certificate);
+  const wwdrCertificate = forge.pki.certificateFromPem(settings.wwdrCertificate);
+  const privateKey = settings.passphrase
+    ? forge.pki.decryptRsaPrivateKey(settings.privateKey, settings.passphrase)
+    : forge.pki.privateKeyFromPem(settings.privateKey);
+
+  if (!privateKey) {
+    throw new Error('Unable to read Apple pass private key (check APPLE_PASS_KEY_PASSPHRASE)');
+  }
+
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(manifest.toString('binary'));
+  p7.addCertificate(certificate);
+  p7.addCertificate(wwdrCertificate);
+  p7.addSigner({
+    key: privateKey,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  p7.sign({ detached: true });
+
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+};
+
+/**
+ * Zip in-memory files into a buffer
+ * @param {Object} files - Map of filename -> Buffer
+ * @returns {Promise<Buffer>} - Zip archive
+ */
+const zipFiles = (files) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  Object.keys(files).forEach(name => archive.append(files[name], { name }));
+  archive.finalize();
+});
+
+/**
+ * Build a signed .pkpass bundle for a card
+ * @param {Object} record - walletPasses record
+ * @param {Object} card - Card data
+ * @returns {Promise<Buffer>} - .pkpass file contents
+ */
+const buildPassBundle = async (record, card) => {
+  if (!isConfigured()) {
+    throw new Error('Missing required Apple Wallet configuration');
+  }
+
+  const files = {
+    'pass.json': Buffer.from(JSON.stringify(buildPassJson(record, card)), 'utf8'),
+    ...(await buildPassImages(card))
+  };
+
+  const manifest = {};
+  Object.keys(files).forEach(name => {
+    manifest[name] = crypto.createHash('sha1').update(files[name]).digest('hex');
+  });
+  files['manifest.json'] = Buffer.from(JSON.stringify(manifest), 'utf8');
+  files['signature'] = signManifest(files['manifest.json']);
+
+  return zipFiles(files);
+};
+
+/**
+ * Send empty APNs pushes telling devices a pass changed
+ * @param {string[]} pushTokens - Device push tokens
+ * @returns {Promise<Object>} - Counts of sent/failed pushes
+ */
+const sendUpdatePushes = async (pushTokens) => {
+  if (!pushTokens.length) return { sent: 0, failed: 0 };
+
+  const settings = getSettings();
+  const client = http2.connect(APNS_HOST, {
+    cert: settings.certificate,
+    key: settings.privateKey,
+    passphrase: settings.passphrase
+  });
+
+  const sendOne = (pushToken) => new Promise((resolve) => {
+    const request = client.request({
+      ':method': 'POST',
+      ':path': `/3/device/${pushToken}`,
+      'apns-topic': settings.passTypeIdentifier,
+      'content-type': 'application/json'
+    });
+    let status = 0;
+    request.on('response', headers => { status = headers[':status']; });
+    request.on('error', (error) => {
+      console.error(`[AppleWallet] APNs push failed for ${pushToken}:`, error.message);
+      resolve(false);
+    });
+    request.on('end', () => resolve(status === 200));
+    request.resume();
+    request.end('{}');
+  });
+
+  try {
+    const results = await Promise.all(pushTokens.map(sendOne));
+    const sent = results.filter(Boolean).length;
+    return { sent, failed: results.length - sent };
+  } finally {
+    client.close();
+  }
+};
+
+const createPass = async (context) => {
+  if (!isConfigured()) {
+    throw new Error('Missing required Apple Wallet configuration');
+  }
+
+  // Build once up front so signing/config problems surface at issue time
+  await buildPassBundle(context.record, context.card);
+
+  const passFileUrl = buildDownloadUrl(context.record);
+  return {
+    externalId: context.record.serialNumber,
+    passUri: passFileUrl,
+    passFileUrl,
+    passPageUrl: passFileUrl,
+    imagesIncluded: Boolean(context.card.profileImage || context.card.companyLogo),
+    warning: null
+  };
+};
+
+const updatePass = async (record) => {
+  const snapshot = await db.collection(REGISTRATIONS_COLLECTION)
+    .where('serialNumber', '==', record.serialNumber)
+    .get();
+
+  const pushTokens = [...new Set(snapshot.docs.map(doc => doc.data().pushToken).filter(Boolean))];
+  const result = await sendUpdatePushes(pushTokens);
+  return { updated: true, devicesNotified: result.sent, devicesFailed: result.failed };
+};
+
+module.exports = {
+  name: 'apple',
+  REGISTRATIONS_COLLECTION,
+  isConfigured,
+  getSettings,
+  buildPassJson,
+  buildPassBundle,
+  createPass,
+  updatePass
+};
@@ -0,0 +1,183 @@
+/**
+ * Google Wallet provider
+ *
+ * Issues "Save to Google Wallet" links as signed JWTs carrying a generic pass
+ * object, and patches the stored object through the Wallet REST API when the
+ * card changes. Uses a dedicated service account when configured, otherwise
+ * the Firebase service account (it must be granted issuer access).
+ */
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const { toAbsoluteImageUrl } = require('../imageLoader');
+const { buildBarcodeUrl, buildPassContent } = require('./passContent');
+
+const SAVE_URL = 'https://pay.google.com/gp/v/save';
+const WALLET_API_URL = 'https://walletobjects.googleapis.com/walletobjects/v1';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const ISSUER_SCOPE = 'https://www.googleapis.com/auth/wallet_object.issuer';
+
+const getSettings = () => ({
+  issuerId: process.env.GOOGLE_WALLET_ISSUER_ID,
+  classSuffix: process.env.GOOGLE_WALLET_CLASS_SUFFIX || 'xscard_business_card',
+  serviceAccountEmail: process.env.GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL || process.env.FIREBASE_CLIENT_EMAIL,
+  privateKey: (process.env.GOOGLE_WALLET_PRIVATE_KEY || process.env.FIREBASE_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+});
+
+const isConfigured = () => {
+  const settings = getSettings();
+  return Boolean(settings.issuerId && settings.serviceAccountEmail && settings.privateKey);
+};
+
+const buildClassId = () => {
+  const settings = getSettings();
+  return `${settings.issuerId}.${settings.classSuffix}`;
+};
+
+const buildObjectId = (record) => {
+  // Object IDs allow only alphanumerics, '.', '_' and '-'
+  return `${getSettings().issuerId}.${record.serialNumber.replace(/[^\w.-]/g, '_')}`;
+};
+
+const localized = (value) => ({
+  defaultValue: { language: 'en', value }
+});
+
+/**
+ * Build the generic pass object for a card
+ * @param {Object} record - walletPasses record
+ * @param {Object} card - Card data
+ * @returns {Object} - Google Wallet genericObject
+ */
+const buildGenericObject = (record, card) => {
+  const content = buildPassContent(card);
+  const logoUrl = toAbsoluteImageUrl(card.companyLogo || card.profileImage, config.BASE_URL);
+  const heroUrl = toAbsoluteImageUrl(card.profileImage, config.BASE_URL);
+
+  const textModulesData = [];
+  if (content.email) textModulesData.push({ id: 'email', header: 'Email', body: content.email });
+  if (content.phone) textModulesData.push({ id: 'phone', header: 'Phone', body: content.phone });
+
+  const genericObject = {
+    id: buildObjectId(record),
+    classId: buildClassId(),
+    state: 'ACTIVE',
+    cardTitle: localized(content.company || 'XS Card'),
+    header: localized(content.fullName),
+    hexBackgroundColor: content.backgroundColor,
+    barcode: {
+      type: 'QR_CODE',
+      value: buildBarcodeUrl(config.BASE_URL, record.userId, record.cardIndex, record.shortCode),
+      alternateText: 'Scan to connect'
+    },
+    textModulesData,
+    linksModuleData: {
+      uris: content.socials.map(social => ({ uri: social.value, description: social.label, id: social.key }))
+    }
+  };
+
+  if (content.jobTitle) genericObject.subheader = localized(content.jobTitle);
+  if (logoUrl) genericObject.logo = { sourceUri: { uri: logoUrl } };
+  if (heroUrl) genericObject.heroImage = { sourceUri: { uri: heroUrl } };
+
+  return genericObject;
+};
+
+/**
+ * Build a signed "Save to Google Wallet" link
+ * @param {Object} record - walletPasses record
+ * @param {Object} card - Card data
+ * @returns {string} - Save URL
+ */
+const buildSaveUrl = (record, card) => {
+  const settings = getSettings();
+  const token = jwt.sign({
+    iss: settings.serviceAccountEmail,
+    aud: 'google',
+    typ: 'savetowallet',
+    origins: [config.BASE_URL],
+    payload: {
+      genericClasses: [{ id: buildClassId() }],
+      genericObjects: [buildGenericObject(record, card)]
+    }
+  }, settings.privateKey, { algorithm: 'RS256' });
+
+  return `${SAVE_URL}/${token}`;
+};
+
+/**
+ * Exchange a service account assertion for a Wallet API access token
+ * @returns {Promise<string>} - OAuth access token
+ */
+const getAccessToken = async () => {
+  const settings = getSettings();
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign({
+    iss: settings.serviceAccountEmail,
+    scope: ISSUER_SCOPE,
+    aud: TOKEN_URL,
+    iat: now,
+    exp: now + 3600
+  }, settings.privateKey, { algorithm: 'RS256' });
+
+  const response = await axios.post(TOKEN_URL, new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+
+  return response.data.access_token;
+};
+
+const createPass = async ({ record, card }) => {
+  if (!isConfigured()) {
+    throw new Error('Missing required Google Wallet configuration');
+  }
+
+  const saveUrl = buildSaveUrl(record, card);
+  return {
+    externalId: buildObjectId(record),
+    passUri: saveUrl,
+    passFileUrl: null,
+    passPageUrl: saveUrl,
+    saveUrl,
+    imagesIncluded: Boolean(card.profileImage || card.companyLogo),
+    warning: null
+  };
+};
+
+const updatePass = async (record, card) => {
+  if (!isConfigured()) {
+    throw new Error('Missing required Google Wallet configuration');
+  }
+
+  const accessToken = await getAccessToken();
+  const genericObject = buildGenericObject(record, card);
+
+  try {
+    await axios.patch(
+      `${WALLET_API_URL}/genericObject/${encodeURIComponent(genericObject.id)}`,
+      genericObject,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+  } catch (error) {
+    // The object only exists once the user has saved the pass
+    if (error.response?.status === 404) {
+      return { updated: false, reason: 'not_saved_yet' };
+    }
+    throw error;
+  }
+
+  return { updated: true };
+};
+
+module.exports = {
+  name: 'google',
+  isConfigured,
+  buildGenericObject,
+  buildSaveUrl,
+  createPass,
+  updatePass
+};
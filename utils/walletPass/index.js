@@ -0,0 +1,192 @@
+/**
+ * Wallet pass provider layer
+ *
+ * Providers share one interface - { name, isConfigured(), createPass(context),
+ * updatePass(record, card) } - so cardController does not care whether a pass
+ * comes from Passcreator or is generated locally. Every issued pass gets a
+ * `walletPasses/{serialNumber}` record, which is what lets us push a new
+ * version to previously issued passes when the card changes.
+ *
+ * Provider selection: explicit request > WALLET_PASS_PROVIDER > first configured
+ * of passcreator, apple, google.
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../../firebase');
+const passcreatorProvider = require('./passcreatorProvider');
+const appleWalletProvider = require('./appleWalletProvider');
+const googleWalletProvider = require('./googleWalletProvider');
+const { getOrCreateCardShortLink } = require('../shortLinks');
+
+const PASSES_COLLECTION = 'walletPasses';
+
+const PROVIDERS = {
+  [passcreatorProvider.name]: passcreatorProvider,
+  [appleWalletProvider.name]: appleWalletProvider,
+  [googleWalletProvider.name]: googleWalletProvider
+};
+
+const PROVIDER_PRIORITY = ['passcreator', 'apple', 'google'];
+
+/**
+ * Resolve which provider should issue a pass
+ * @param {string} requested - Provider requested by the client (optional)
+ * @returns {Object} - Provider module
+ */
+const resolveProvider = (requested) => {
+  const name = (requested || process.env.WALLET_PASS_PROVIDER || '').toLowerCase();
+
+  if (name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      const error = new Error(`Unknown wallet pass provider '${name}'. Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return provider;
+  }
+
+  const configured = PROVIDER_PRIORITY.map(key => PROVIDERS[key]).find(provider => provider.isConfigured());
+  if (!configured) {
+    const error = new Error('No wallet pass provider is configured');
+    error.status = 503;
+    throw error;
+  }
+  return configured;
+};
+
+/**
+ * List providers with their configuration status
+ * @returns {Array<{name: string, configured: boolean}>}
+ */
+const listProviders = () => {
+  return PROVIDER_PRIORITY.map(name => ({
+    name,
+    configured: PROVIDERS[name].isConfigured()
+  }));
+};
+
+/**
+ * Fetch a pass record by serial number
+ * @param {string} serialNumber - Pass serial number
+ * @returns {Promise<Object|null>} - Pass record
+ */
+const getPassRecord = async (serialNumber) => {
+  const doc = await db.collection(PASSES_COLLECTION).doc(serialNumber).get();
+  return doc.exists ? { serialNumber: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * Issue a new wallet pass for a card and record it for later updates
+ * @param {Object} params - Issue parameters
+ * @param {string} params.userId - Card owner ID
+ * @param {number} params.cardIndex - Card index
+ * @param {Object} params.card - Card data
+ * @param {string} params.provider - Requested provider (optional)
+ * @param {boolean} params.skipImages - Skip images (Passcreator only)
+ * @returns {Promise<Object>} - Provider result plus provider name and serial number
+ */
+const issuePass = async ({ userId, cardIndex, card, provider: requestedProvider, skipImages }) => {
+  const provider = resolveProvider(requestedProvider);
+  const now = admin.firestore.Timestamp.now();
+
+  const record = {
+    serialNumber: crypto.randomUUID(),
+    authenticationToken: crypto.randomBytes(24).toString('hex'),
+    userId,
+    cardIndex: parseInt(cardIndex) || 0,
+    provider: provider.name,
+    version: 1,
+    status: 'active',
+    shortCode: null
+  };
+
+  // Barcodes carry the short link so they survive card re-indexing and can be re-pointed
+  try {
+    const shortLink = await getOrCreateCardShortLink(record.userId, record.cardIndex, 'queries');
+    record.shortCode = shortLink.code;
+  } catch (error) {
+    console.warn('[WalletPass] Short link unavailable, using direct barcode URL:', error.message);
+  }
+
+  const result = await provider.createPass({
+    userId: record.userId,
+    cardIndex: record.cardIndex,
+    card,
+    record,
+    skipImages
+  });
+
+  await db.collection(PASSES_COLLECTION).doc(record.serialNumber).set({
+    ...record,
+    externalId: result.externalId || null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return {
+    ...result,
+    provider: provider.name,
+    serialNumber: record.serialNumber
+  };
+};
+
+/**
+ * Bump the version of every active pass issued for a card and ask each
+ * provider to push the new data. Failures are recorded per pass, never thrown.
+ * @param {string} userId - Card owner ID
+ * @param {number} cardIndex - Card index
+ * @param {Object} card - Updated card data
+ * @returns {Promise<Object>} - Summary of refreshed passes
+ */
+const refreshPassesForCard = async (userId, cardIndex, card) => {
+  const snapshot = await db.collection(PASSES_COLLECTION)
+    .where('userId', '==', userId)
+    .where('cardIndex', '==', parseInt(cardIndex) || 0)
+    .where('status', '==', 'active')
+    .get();
+
+  if (snapshot.empty) {
+    return { total: 0, updated: 0, failed: 0 };
+  }
+
+  let updated = 0;
+  let failed = 0;
+
+  for (const doc of snapshot.docs) {
+    const record = { serialNumber: doc.id, ...doc.data() };
+    const nextVersion = (record.version || 1) + 1;
+
+    // Bump first so devices that fetch the pass see the new version
+    await doc.ref.update({
+      version: nextVersion,
+      updatedAt: admin.firestore.Timestamp.now()
+    });
+
+    try {
+      const provider = PROVIDERS[record.provider];
+      if (!provider) {
+        throw new Error(`Unknown provider '${record.provider}'`);
+      }
+      await provider.updatePass({ ...record, version: nextVersion }, card);
+      await doc.ref.update({ lastUpdateError: admin.firestore.FieldValue.delete() });
+      updated++;
+    } catch (error) {
+      console.error(`[WalletPass] Failed to update pass ${record.serialNumber}:`, error.message);
+      await doc.ref.update({ lastUpdateError: error.message });
+      failed++;
+    }
+  }
+
+  return { total: snapshot.size, updated, failed };
+};
+
+module.exports = {
+  PASSES_COLLECTION,
+  PROVIDERS,
+  resolveProvider,
+  listProviders,
+  getPassRecord,
+  issuePass,
+  refreshPassesForCard
+};
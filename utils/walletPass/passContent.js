@@ -0,0 +1,108 @@
+/**
+ * Shared wallet pass content helpers
+ *
+ * Every provider renders the same card data, so the barcode target,
+ * colours and field list are built here once.
+ */
+
+const DEFAULT_BACKGROUND = '#1B2B5B';
+
+/**
+ * Build the URL encoded in the pass barcode (the queries page for the card)
+ * @param {string} baseUrl - Public base URL
+ * @param {string} userId - Card owner ID
+ * @param {number|string} cardIndex - Index of the card in the user's cards array
+ * @param {string} shortCode - Short link code for the pass, preferred when present
+ * @returns {string} - Barcode URL
+ */
+const buildBarcodeUrl = (baseUrl, userId, cardIndex, shortCode) => {
+  const base = (baseUrl || '').replace(/\/+$/, '');
+  if (shortCode) {
+    return `${base}/c/${shortCode}`;
+  }
+  return `${base}/queries.html?userId=${userId}&cardIndex=${cardIndex}`;
+};
+
+/**
+ * Normalise a card colour to #RRGGBB
+ * @param {string} color - Hex colour (#RGB or #RRGGBB)
+ * @returns {string} - #RRGGBB colour
+ */
+const normaliseHexColor = (color) => {
+  if (typeof color !== 'string') return DEFAULT_BACKGROUND;
+  const hex = color.trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    return `#${hex.split('').map(c => c + c).join('')}`.toUpperCase();
+  }
+  if (/^[0-9a-f]{6}$/i.test(hex)) {
+    return `#${hex}`.toUpperCase();
+  }
+  return DEFAULT_BACKGROUND;
+};
+
+/**
+ * Convert a hex colour to the rgb(r, g, b) form Apple Wallet expects
+ * @param {string} color - Hex colour
+ * @returns {string} - rgb() colour
+ */
+const hexToRgbString = (color) => {
+  const hex = normaliseHexColor(color).slice(1);
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+/**
+ * Pick a readable foreground colour (black or white) for a background colour
+ * @param {string} color - Background hex colour
+ * @returns {string} - #000000 or #FFFFFF
+ */
+const contrastingColor = (color) => {
+  const hex = normaliseHexColor(color).slice(1);
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.6 ? '#000000' : '#FFFFFF';
+};
+
+/**
+ * Build the provider-neutral pass content for a card
+ * @param {Object} card - Card data from the `cards` collection
+ * @returns {Object} - Pass content (names, colours, contact fields, socials)
+ */
+const buildPassContent = (card) => {
+  const fullName = `${card.name || ''} ${card.surname || ''}`.trim();
+  const backgroundColor = normaliseHexColor(card.colorScheme);
+
+  const socials = Object.keys(card.socials || {})
+    .map(platform => {
+      const social = card.socials[platform];
+      const link = social && typeof social === 'object' ? social.link : social;
+      return link ? { key: platform, label: (social && social.title) || platform, value: link } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    fullName: fullName || card.company || 'XS Card',
+    company: card.company || '',
+    jobTitle: card.occupation || '',
+    email: card.email || '',
+    phone: card.phone || '',
+    backgroundColor,
+    foregroundColor: contrastingColor(backgroundColor),
+    socials,
+    profileImage: card.profileImage || null,
+    companyLogo: card.companyLogo || null
+  };
+};
+
+module.exports = {
+  DEFAULT_BACKGROUND,
+  buildBarcodeUrl,
+  normaliseHexColor,
+  hexToRgbString,
+  contrastingColor,
+  buildPassContent
+};
@@ -0,0 +1,155 @@
+/**
+ * Passcreator wallet pass provider
+ *
+ * Creates and updates passes through the hosted Passcreator HTTP API.
+ * Requires PASSCREATOR_BASE_URL, PASSCREATOR_TEMPLATE_ID, PASSCREATOR_API_KEY
+ * and a public URL (PASSCREATOR_PUBLIC_URL) the service can fetch images from.
+ */
+
+const axios = require('axios');
+const config = require('../../config/config');
+const { buildBarcodeUrl, buildPassContent } = require('./passContent');
+
+const LOCAL_URL_PATTERN = /^(localhost|127\.0\.0\.1|192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/;
+const IMAGE_IMPORT_ERROR = 'Thumbnail could not be imported from given URL';
+
+const logPasscreatorConfig = () => {
+  console.log('=== Passcreator Configuration ===');
+  console.log('PASSCREATOR_BASE_URL:', process.env.PASSCREATOR_BASE_URL || 'Not set');
+  console.log('PASSCREATOR_TEMPLATE_ID:', process.env.PASSCREATOR_TEMPLATE_ID || 'Not set');
+  console.log('PASSCREATOR_API_KEY:', process.env.PASSCREATOR_API_KEY ? '✓ Present' : '✗ Missing');
+  console.log('PASSCREATOR_PUBLIC_URL:', config.PASSCREATOR_PUBLIC_URL || 'Not set');
+  console.log('==============================');
+};
+
+const isConfigured = () => {
+  return Boolean(
+    process.env.PASSCREATOR_BASE_URL &&
+    process.env.PASSCREATOR_TEMPLATE_ID &&
+    process.env.PASSCREATOR_API_KEY &&
+    config.PASSCREATOR_PUBLIC_URL
+  );
+};
+
+const isLocalEnvironment = () => LOCAL_URL_PATTERN.test(config.PASSCREATOR_PUBLIC_URL || '');
+
+const requestHeaders = () => ({
+  'Authorization': process.env.PASSCREATOR_API_KEY,
+  'Content-Type': 'application/json'
+});
+
+/**
+ * Build the Passcreator zapier-style payload for a card
+ * @param {Object} record - walletPasses record (userId, cardIndex, shortCode)
+ * @param {Object} card - Card data
+ * @param {boolean} includeImages - Whether to send image URLs
+ * @returns {Object} - Passcreator pass data
+ */
+const buildPassData = (record, card, includeImages) => {
+  const content = buildPassContent(card);
+  const passData = {
+    name: content.fullName,
+    company: content.company,
+    jobTitle: content.jobTitle,
+    barcodeValue: buildBarcodeUrl(config.PASSCREATOR_PUBLIC_URL, record.userId, record.cardIndex, record.shortCode)
+  };
+
+  if (includeImages) {
+    if (card.profileImage) {
+      passData.urlToThumbnail = `${config.PASSCREATOR_PUBLIC_URL}${card.profileImage}`;
+    }
+    if (card.companyLogo) {
+      passData.urlToLogo = `${config.PASSCREATOR_PUBLIC_URL}${card.companyLogo}`;
+    }
+  }
+
+  return passData;
+};
+
+/**
+ * Create a pass through Passcreator, retrying without images when the
+ * service cannot import them
+ * @param {Object} context - Pass context
+ * @param {string} context.userId - Card owner ID
+ * @param {number} context.cardIndex - Card index
+ * @param {Object} context.card - Card data
+ * @param {Object} context.record - walletPasses record being issued
+ * @param {boolean} context.skipImages - Explicitly skip images
+ * @returns {Promise<Object>} - Provider result
+ */
+const createPass = async ({ card, record, skipImages }) => {
+  logPasscreatorConfig();
+
+  if (!isConfigured()) {
+    throw new Error('Missing required Passcreator configuration');
+  }
+
+  const localEnvironment = isLocalEnvironment();
+  const shouldSkipImages = skipImages || localEnvironment;
+  const url = `${process.env.PASSCREATOR_BASE_URL}/api/pass?passtemplate=${process.env.PASSCREATOR_TEMPLATE_ID}&zapierStyle=true`;
+
+  let response;
+  let imagesIncluded = !shouldSkipImages;
+  let warning = shouldSkipImages ? 'Images were skipped due to local development environment or query parameter.' : null;
+
+  try {
+    response = await axios.post(url, buildPassData(record, card, !shouldSkipImages), { headers: requestHeaders() });
+  } catch (error) {
+    if (error.response?.data?.ErrorMessage !== IMAGE_IMPORT_ERROR) {
+      throw error;
+    }
+
+    console.log('Retrying without images...');
+    response = await axios.post(url, buildPassData(record, card, false), { headers: requestHeaders() });
+    imagesIncluded = false;
+    warning = 'Images could not be accessed by the wallet service and were omitted.';
+  }
+
+  console.log('Passcreator API Response:', {
+    uri: response.data.uri,
+    fileUrl: response.data.linkToPassFile,
+    pageUrl: response.data.linkToPassPage,
+    identifier: response.data.identifier
+  });
+
+  return {
+    externalId: response.data.identifier,
+    passUri: response.data.uri,
+    passFileUrl: response.data.linkToPassFile,
+    passPageUrl: response.data.linkToPassPage,
+    imagesIncluded,
+    warning,
+    environment: localEnvironment ? 'development' : 'production',
+    imageSkipReason: skipImages ? 'explicit_skip' : (localEnvironment ? 'local_environment' : null)
+  };
+};
+
+/**
+ * Push new card data to an existing Passcreator pass
+ * @param {Object} record - walletPasses record
+ * @param {Object} card - Updated card data
+ * @returns {Promise<Object>} - Update result
+ */
+const updatePass = async (record, card) => {
+  if (!isConfigured()) {
+    throw new Error('Missing required Passcreator configuration');
+  }
+  if (!record.externalId) {
+    throw new Error('Passcreator pass identifier missing from record');
+  }
+
+  await axios.put(
+    `${process.env.PASSCREATOR_BASE_URL}/api/pass/${record.externalId}?zapierStyle=true`,
+    buildPassData(record, card, !isLocalEnvironment()),
+    { headers: requestHeaders() }
+  );
+
+  return { updated: true };
+};
+
+module.exports = {
+  name: 'passcreator',
+  isConfigured,
+  createPass,
+  updatePass
+};
@@ -0,0 +1,326 @@
+/**
+ * Outbound webhooks for enterprise integrations.
+ *
+ * Enterprises subscribe URLs to event types (webhooks/{webhookId}). Each event creates
+ * one webhookDeliveries document per matching subscription, delivered through a Bull
+ * queue with exponential backoff. Payloads are signed with the subscription secret:
+ *
+ *   X-XSCard-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Subscription URLs must be https on a public host, checked when subscribing and
+ * again on every delivery (utils/outboundRequest). Endpoint response bodies are not stored.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { db, admin } = require('../firebase');
+const { assertPublicUrl, publicOnlyRequestConfig } = require('./outboundRequest');
+
+const WEBHOOKS_COLLECTION = 'webhooks';
+const DELIVERIES_COLLECTION = 'webhookDeliveries';
+const DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_DELIVERY_ATTEMPTS || '6', 10);
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const WEBHOOK_EVENTS = {
+  CONTACT_CREATED: 'contact.created',
+  CONTACT_MERGED: 'contact.merged',
+  CARD_SCANNED: 'card.scanned',
+  EMPLOYEE_ADDED: 'employee.added',
+  EMPLOYEE_REMOVED: 'employee.removed'
+};
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} - X-XSCard-Signature header value
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Subscription URLs must be https and resolve only to public addresses
+ * @param {string} url - Target URL
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+const validateWebhookUrl = async (url) => {
+  try {
+    await assertPublicUrl(url, { allowHttp: false });
+    return null;
+  } catch (error) {
+    if (error.status !== 400) throw error;
+    return error.message === 'Invalid URL' ? 'url must be a valid URL' : error.message;
+  }
+};
+
+let webhookQueue = null;
+
+// Created on first use so processes that never send webhooks don't connect to Redis
+const getWebhookQueue = () => {
+  if (webhookQueue) return webhookQueue;
+
+  const Queue = require('bull');
+  webhookQueue = new Queue('webhook-delivery', {
+    redis: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT || '6379')
+    }
+  });
+
+  webhookQueue.process(async (job) => {
+    const isLastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    return deliverWebhook(job.data.deliveryId, { isLastAttempt });
+  });
+
+  webhookQueue.on('failed', (job, err) => {
+    console.error(`Webhook delivery job ${job.id} (${job.data.deliveryId}) failed:`, err.message);
+  });
+
+  return webhookQueue;
+};
+
+/**
+ * @param {string} deliveryId - webhookDeliveries document ID
+ */
+const queueWebhookDelivery = (deliveryId) => getWebhookQueue().add({ deliveryId }, {
+  attempts: DELIVERY_ATTEMPTS,
+  backoff: {
+    type: 'exponential',
+    delay: 5000
+  },
+  removeOnComplete: true,
+  removeOnFail: true
+});
+
+/**
+ * POST a delivery to its subscription URL and record the attempt.
+ * Throws on failure so Bull retries it.
+ * @param {string} deliveryId - webhookDeliveries document ID
+ * @param {Object} options - Options
+ * @param {boolean} options.isLastAttempt - Mark the delivery failed instead of retrying
+ * @returns {Promise<{status: string, responseStatus: number|null}>}
+ */
+const deliverWebhook = async (deliveryId, { isLastAttempt = true } = {}) => {
+  const deliveryRef = db.collection(DELIVERIES_COLLECTION).doc(deliveryId);
+  const deliveryDoc = await deliveryRef.get();
+  if (!deliveryDoc.exists) return { status: 'missing', responseStatus: null };
+
+  const delivery = deliveryDoc.data();
+  const webhookDoc = await db.collection(WEBHOOKS_COLLECTION).doc(delivery.webhookId).get();
+  if (!webhookDoc.exists || webhookDoc.data().active === false) {
+    await deliveryRef.update({ status: DELIVERY_STATUS.FAILED, error: 'Webhook deleted or disabled' });
+    return { status: DELIVERY_STATUS.FAILED, responseStatus: null };
+  }
+
+  const webhook = webhookDoc.data();
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // The host may have been re-pointed since the subscription was created
+    await assertPublicUrl(webhook.url, { allowHttp: false });
+    const response = await axios.post(webhook.url, body, {
+      ...publicOnlyRequestConfig(),
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'XSCard-Webhooks/1.0',
+        'X-XSCard-Event': delivery.event,
+        'X-XSCard-Delivery': deliveryId,
+        'X-XSCard-Signature': signPayload(webhook.secret, body)
+      }
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  const succeeded = !error;
+  const status = succeeded ? DELIVERY_STATUS.SUCCEEDED : (isLastAttempt ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.RETRYING);
+
+  await deliveryRef.update({
+    status,
+    attempts: admin.firestore.FieldValue.increment(1),
+    lastAttemptAt: now,
+    responseStatus,
+    durationMs: Date.now() - startedAt,
+    error,
+    ...(succeeded && { deliveredAt: now })
+  });
+
+  await webhookDoc.ref.update(succeeded
+    ? { lastDeliveryAt: now, lastDeliveryStatus: status, consecutiveFailures: 0 }
+    : { lastDeliveryAt: now, lastDeliveryStatus: status, consecutiveFailures: admin.firestore.FieldValue.increment(1) });
+
+  if (!succeeded) {
+    throw new Error(error);
+  }
+  return { status, responseStatus };
+};
+
+/**
+ * Record and queue a delivery of a payload to one subscription
+ * @returns {Promise<string>} - Delivery ID
+ */
+const createDelivery = async (webhookId, enterpriseId, payload, extra = {}) => {
+  const deliveryRef = await db.collection(DELIVERIES_COLLECTION).add({
+    webhookId,
+    enterpriseId,
+    event: payload.type,
+    eventId: payload.id,
+    payload,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 0,
+    createdAt: admin.firestore.Timestamp.now(),
+    lastAttemptAt: null,
+    deliveredAt: null,
+    responseStatus: null,
+    error: null,
+    ...extra
+  });
+  await queueWebhookDelivery(deliveryRef.id);
+  return deliveryRef.id;
+};
+
+/**
+ * Send an event to every active subscription of the enterprise that includes it.
+ * Never throws: webhook problems must not fail the request that produced the event.
+ * @param {string} enterpriseId - Enterprise ID
+ * @param {string} event - WEBHOOK_EVENTS value
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+const emitWebhookEvent = async (enterpriseId, event, data) => {
+  if (!enterpriseId) return 0;
+
+  try {
+    const snapshot = await db.collection(WEBHOOKS_COLLECTION)
+      .where('enterpriseId', '==', enterpriseId)
+      .where('active', '==', true)
+      .get();
+
+    const subscriptions = snapshot.docs.filter(doc => {
+      const events = doc.data().events || [];
+      return events.includes(event) || events.includes('*');
+    });
+    if (subscriptions.length === 0) return 0;
+
+    const payload = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: event,
+      createdAt: new Date().toISOString(),
+      enterpriseId,
+      data
+    };
+
+    for (const doc of subscriptions) {
+      await createDelivery(doc.id, enterpriseId, payload);
+    }
+    console.log(`🔔 Webhook event ${event} queued for ${subscriptions.length} subscription(s) of enterprise ${enterpriseId}`);
+    return subscriptions.length;
+  } catch (error) {
+    console.error(`Failed to emit webhook event ${event} for enterprise ${enterpriseId}:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Emit an event for a user's enterprise (no-op for users outside an enterprise)
+ * @param {string} userId - User ID
+ * @param {string} event - WEBHOOK_EVENTS value
+ * @param {Object} data - Event data
+ * @param {Object} userData - users document data, when already loaded
+ * @returns {Promise<number>}
+ */
+const emitWebhookEventForUser = async (userId, event, data, userData = null) => {
+  try {
+    const user = userData || (await db.collection('users').doc(userId).get()).data();
+    return await emitWebhookEvent(user?.enterpriseRef?.id, event, data);
+  } catch (error) {
+    console.error(`Failed to emit webhook event ${event} for user ${userId}:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Contact fields sent in contact.* events
+ * @param {Object} contact - Stored contact (with id)
+ * @returns {Object}
+ */
+const toWebhookContact = (contact) => ({
+  id: contact.id,
+  name: contact.name || '',
+  surname: contact.surname || '',
+  email: contact.email || '',
+  phone: contact.phone || '',
+  company: contact.company || '',
+  howWeMet: contact.howWeMet || '',
+  createdAt: contact.createdAt?.toDate ? contact.createdAt.toDate().toISOString() : null
+});
+
+/**
+ * Employee fields sent in employee.* events
+ * @param {string} userId - Employee user ID (employee document ID)
+ * @param {string} departmentId - Department ID
+ * @param {Object} employee - Employee document data
+ * @returns {Object}
+ */
+const toWebhookEmployee = (userId, departmentId, employee) => ({
+  userId: employee.userId?.id || userId,
+  departmentId,
+  teamId: employee.teamRef?.id || employee.teamId || null,
+  name: employee.name || '',
+  surname: employee.surname || '',
+  email: employee.email || '',
+  role: employee.role || 'employee',
+  position: employee.position || '',
+  employeeId: employee.employeeId || ''
+});
+
+/**
+ * Queue a new delivery with the same payload as an earlier one
+ * @param {string} deliveryId - Delivery to replay
+ * @returns {Promise<string>} - New delivery ID
+ */
+const replayDelivery = async (deliveryId) => {
+  const deliveryDoc = await db.collection(DELIVERIES_COLLECTION).doc(deliveryId).get();
+  if (!deliveryDoc.exists) throw new Error(`Webhook delivery ${deliveryId} not found`);
+
+  const delivery = deliveryDoc.data();
+  return createDelivery(delivery.webhookId, delivery.enterpriseId, delivery.payload, { replayOf: deliveryId });
+};
+
+module.exports = {
+  WEBHOOKS_COLLECTION,
+  DELIVERIES_COLLECTION,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  generateWebhookSecret,
+  signPayload,
+  validateWebhookUrl,
+  deliverWebhook,
+  emitWebhookEvent,
+  emitWebhookEventForUser,
+  toWebhookContact,
+  toWebhookEmployee,
+  replayDelivery
+};
@@ -0,0 +1,319 @@
+const { db, admin } = require('../firebase');
+const { sendWeeklyDigest, sendUsageReport } = require('../public/Utils/emailService');
+const contactStore = require('./contactStore');
+
+const DIGEST_RUNS_COLLECTION = 'digestRuns';
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_LISTED_CONTACTS = 10;
+
+/**
+ * Convert the date shapes stored across collections (Timestamp, Date, ISO string) to a Date
+ * @param {*} value - Stored date
+ * @returns {Date|null} - Date, or null when missing/invalid
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value._seconds) return new Date(value._seconds * 1000);
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const isWithin = (date, start, end) => !!date && date >= start && date < end;
+
+/**
+ * ISO week key (e.g. 2024-W07) used to send each digest at most once per week
+ * @param {Date} date - Date inside the week
+ * @returns {string} - Week key
+ */
+const getWeekKey = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayOfWeek = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - dayOfWeek); // Thursday decides the ISO year
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Reporting window: the 7 days before `now`
+ * @param {Date} now - End of the period
+ * @returns {{start: Date, end: Date, key: string}}
+ */
+const getDigestPeriod = (now = new Date()) => ({
+  start: new Date(now.getTime() - WEEK_MS),
+  end: now,
+  key: getWeekKey(now)
+});
+
+/**
+ * Count card scans in the period per card owner
+ * @param {Object} period - Digest period
+ * @returns {Promise<Map<string, {total: number, byType: Object}>>}
+ */
+const getScansByUser = async (period) => {
+  const snapshot = await db.collection('activityLogs')
+    .where('action', '==', 'scan')
+    .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(period.start))
+    .where('timestamp', '<', admin.firestore.Timestamp.fromDate(period.end))
+    .get();
+
+  const scansByUser = new Map();
+  snapshot.forEach(doc => {
+    const log = doc.data();
+    if (!log.userId) return;
+
+    const scans = scansByUser.get(log.userId) || { total: 0, byType: {} };
+    const scanType = log.details?.scanType || 'other';
+    scans.total++;
+    scans.byType[scanType] = (scans.byType[scanType] || 0) + 1;
+    scansByUser.set(log.userId, scans);
+  });
+  return scansByUser;
+};
+
+/**
+ * Contacts the user captured during the period, newest first
+ * @param {string} userId - User ID
+ * @param {Object} period - Digest period
+ * @returns {Promise<Object[]>}
+ */
+const getNewContacts = async (userId, period) => {
+  const contacts = await contactStore.listContacts(userId);
+
+  return contacts
+    .map(contact => ({ ...contact, createdAt: toDate(contact.createdAt) }))
+    .filter(contact => isWithin(contact.createdAt, period.start, period.end))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Meetings booked for the week after the period
+ * @param {string} userId - User ID
+ * @param {Object} period - Digest period
+ * @returns {Promise<Object[]>}
+ */
+const getUpcomingMeetings = async (userId, period) => {
+  const meetingDoc = await db.collection('meetings').doc(userId).get();
+  if (!meetingDoc.exists) return [];
+
+  const horizon = new Date(period.end.getTime() + WEEK_MS);
+  return (meetingDoc.data().bookings || [])
+    .map(meeting => ({ ...meeting, meetingWhen: toDate(meeting.meetingWhen) }))
+    .filter(meeting => isWithin(meeting.meetingWhen, period.end, horizon))
+    .sort((a, b) => a.meetingWhen - b.meetingWhen);
+};
+
+/**
+ * Build one user's weekly digest
+ * @param {string} userId - User ID
+ * @param {Object} period - Digest period
+ * @param {Map} scansByUser - Output of getScansByUser
+ * @returns {Promise<Object>} - Digest passed to sendWeeklyDigest
+ */
+const buildUserDigest = async (userId, period, scansByUser) => {
+  const [newContacts, upcomingMeetings] = await Promise.all([
+    getNewContacts(userId, period),
+    getUpcomingMeetings(userId, period)
+  ]);
+
+  return {
+    periodStart: period.start,
+    periodEnd: period.end,
+    newContactCount: newContacts.length,
+    newContacts: newContacts.slice(0, MAX_LISTED_CONTACTS).map(contact => ({
+      name: contact.name || '',
+      surname: contact.surname || '',
+      company: contact.company || '',
+      howWeMet: contact.howWeMet || ''
+    })),
+    scans: scansByUser.get(userId) || { total: 0, byType: {} },
+    upcomingMeetings: upcomingMeetings.map(meeting => ({
+      title: meeting.title || meeting.meetingWith || 'Meeting',
+      meetingWhen: meeting.meetingWhen,
+      location: meeting.location || ''
+    }))
+  };
+};
+
+/**
+ * Build an enterprise usage report across departments
+ * @param {Object} enterpriseDoc - Enterprise document snapshot
+ * @param {Object} period - Digest period
+ * @param {Map} scansByUser - Output of getScansByUser
+ * @param {Map} contactCounts - userId -> contacts captured (filled lazily, shared across the run)
+ * @returns {Promise<{report: Object, adminIds: string[]}>}
+ */
+const buildEnterpriseUsageReport = async (enterpriseDoc, period, scansByUser, contactCounts) => {
+  const departmentsSnapshot = await enterpriseDoc.ref.collection('departments').get();
+  const adminIds = new Set();
+  const departments = [];
+
+  for (const departmentDoc of departmentsSnapshot.docs) {
+    const employeesSnapshot = await departmentDoc.ref.collection('employees').get();
+    const stats = {
+      id: departmentDoc.id,
+      name: departmentDoc.data().name || departmentDoc.id,
+      activeEmployees: 0,
+      scans: 0,
+      contactsCaptured: 0
+    };
+
+    for (const employeeDoc of employeesSnapshot.docs) {
+      const employee = employeeDoc.data();
+      const employeeUserId = employee.userId?.id || employee.userId || employeeDoc.id;
+
+      if (employee.role === 'admin' && employee.isActive !== false) {
+        adminIds.add(employeeUserId);
+      }
+      if (employee.isActive === false) continue;
+
+      if (!contactCounts.has(employeeUserId)) {
+        contactCounts.set(employeeUserId, (await getNewContacts(employeeUserId, period)).length);
+      }
+
+      stats.activeEmployees++;
+      stats.scans += scansByUser.get(employeeUserId)?.total || 0;
+      stats.contactsCaptured += contactCounts.get(employeeUserId);
+    }
+
+    departments.push(stats);
+  }
+
+  const totals = departments.reduce((sum, department) => ({
+    activeEmployees: sum.activeEmployees + department.activeEmployees,
+    scans: sum.scans + department.scans,
+    contactsCaptured: sum.contactsCaptured + department.contactsCaptured
+  }), { activeEmployees: 0, scans: 0, contactsCaptured: 0 });
+
+  return {
+    report: {
+      enterpriseId: enterpriseDoc.id,
+      enterpriseName: enterpriseDoc.data().name || enterpriseDoc.id,
+      periodStart: period.start,
+      periodEnd: period.end,
+      departments,
+      totals
+    },
+    adminIds: Array.from(adminIds)
+  };
+};
+
+/**
+ * Claim the week's run so that only one server instance sends the emails
+ * @param {Object} period - Digest period
+ * @returns {Promise<boolean>} - True when this instance should run
+ */
+const claimDigestRun = async (period) => {
+  try {
+    await db.collection(DIGEST_RUNS_COLLECTION).doc(period.key).create({
+      status: 'running',
+      periodStart: admin.firestore.Timestamp.fromDate(period.start),
+      periodEnd: admin.firestore.Timestamp.fromDate(period.end),
+      startedAt: admin.firestore.Timestamp.now()
+    });
+    return true;
+  } catch (error) {
+    if (error.code !== 6 && !/already exists/i.test(error.message)) {
+      throw error;
+    }
+    return false;
+  }
+};
+
+const countResult = (summary, result) => {
+  if (!result.success) summary.failed++;
+  else if (result.blocked) summary.optedOut++;
+  else summary.sent++;
+};
+
+/**
+ * Send the weekly digest to every user and the usage report to every enterprise admin.
+ * Opt-outs are enforced by sendNotificationEmail (weeklyDigest / usageReports preferences).
+ * Run weekly by the 'weekly-digests' job (config/scheduledJobs.js).
+ * @param {Object} options - Run options
+ * @param {Date} options.now - End of the reporting period (defaults to now)
+ * @param {boolean} options.force - Run even if this week's digest was already sent
+ * @returns {Promise<Object|null>} - Run summary, or null when already sent this week
+ */
+const runWeeklyDigests = async ({ now = new Date(), force = false } = {}) => {
+  const period = getDigestPeriod(now);
+
+  if (!force && !(await claimDigestRun(period))) {
+    console.log(`📬 [WeeklyDigest] Digest for ${period.key} already sent, skipping`);
+    return null;
+  }
+
+  console.log(`📬 [WeeklyDigest] Sending weekly digests for ${period.key}`);
+  const summary = {
+    digests: { sent: 0, optedOut: 0, failed: 0, skipped: 0 },
+    usageReports: { sent: 0, optedOut: 0, failed: 0 }
+  };
+
+  let scansByUser;
+  try {
+    scansByUser = await getScansByUser(period);
+  } catch (error) {
+    await db.collection(DIGEST_RUNS_COLLECTION).doc(period.key).set({
+      status: 'failed',
+      error: error.message,
+      completedAt: admin.firestore.Timestamp.now()
+    }, { merge: true });
+    throw error;
+  }
+  const contactCounts = new Map();
+
+  const usersSnapshot = await db.collection('users').get();
+  for (const userDoc of usersSnapshot.docs) {
+    try {
+      if (!userDoc.data().email) {
+        summary.digests.skipped++;
+        continue;
+      }
+
+      const digest = await buildUserDigest(userDoc.id, period, scansByUser);
+      contactCounts.set(userDoc.id, digest.newContactCount);
+
+      // Nothing to report - don't send an empty email
+      if (digest.newContactCount === 0 && digest.scans.total === 0 && digest.upcomingMeetings.length === 0) {
+        summary.digests.skipped++;
+        continue;
+      }
+
+      countResult(summary.digests, await sendWeeklyDigest(userDoc.id, digest));
+    } catch (error) {
+      console.error(`[WeeklyDigest] Failed to send digest to ${userDoc.id}:`, error.message);
+      summary.digests.failed++;
+    }
+  }
+
+  const enterprisesSnapshot = await db.collection('enterprise').get();
+  for (const enterpriseDoc of enterprisesSnapshot.docs) {
+    try {
+      const { report, adminIds } = await buildEnterpriseUsageReport(enterpriseDoc, period, scansByUser, contactCounts);
+      for (const adminId of adminIds) {
+        countResult(summary.usageReports, await sendUsageReport(adminId, report));
+      }
+    } catch (error) {
+      console.error(`[WeeklyDigest] Failed to send usage report for enterprise ${enterpriseDoc.id}:`, error.message);
+      summary.usageReports.failed++;
+    }
+  }
+
+  await db.collection(DIGEST_RUNS_COLLECTION).doc(period.key).set({
+    status: 'completed',
+    summary,
+    completedAt: admin.firestore.Timestamp.now()
+  }, { merge: true });
+
+  console.log(`✅ [WeeklyDigest] Completed ${period.key}:`, JSON.stringify(summary));
+  return summary;
+};
+
+module.exports = {
+  getDigestPeriod,
+  buildUserDigest,
+  buildEnterpriseUsageReport,
+  runWeeklyDigests
+};